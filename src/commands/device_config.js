@@ -0,0 +1,440 @@
+/**
+ * Device Configuration Loader
+ * Single source of truth for RS-422 line settings: config/default.json is read
+ * once, validated against LINE_SETTINGS_SCHEMA and every connection opens with
+ * the settings of the device it addresses.
+ *
+ * Per-device keys override the top-level "lineDefaults", which override the
+ * protocol defaults (RS-422A: 38400 baud, 8 data bits, even parity, 1 stop bit).
+ * The command retry policy resolves the same way from "retryPolicy" blocks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FlexicartError } = require('./flexicart_errors');
+const { FRAME_RATE_IDS } = require('./timecode');
+
+const DEFAULT_CONFIG_PATH = process.env.FLEXICART_CONFIG ||
+    path.join(__dirname, '..', '..', 'config', 'default.json');
+
+/**
+ * Schema for every tunable line setting
+ */
+const LINE_SETTINGS_SCHEMA = {
+    baudRate:          { type: 'integer', enum: [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200], default: 38400 },
+    dataBits:          { type: 'integer', enum: [7, 8], default: 8 },
+    parity:            { type: 'string', enum: ['none', 'even', 'odd'], default: 'even' },
+    stopBits:          { type: 'integer', enum: [1, 2], default: 1 },
+    interCommandDelay: { type: 'integer', min: 0, max: 5000, default: 0 },      // ms between commands
+    responseTimeout:   { type: 'integer', min: 10, max: 120000, default: 3000 }, // ms, when the caller gives none
+    openTimeout:       { type: 'integer', min: 100, max: 60000, default: 5000 }  // ms
+};
+
+/**
+ * Schema for the command retry policy (top-level "retryPolicy", per-device "retryPolicy")
+ * Non-idempotent commands (moves, load/eject macros) are only resent once a
+ * status query confirms the first attempt was not executed
+ */
+const RETRY_POLICY_SCHEMA = {
+    maxAttempts:          { type: 'integer', min: 1, max: 10, default: 3 },
+    backoff:              { type: 'integer', min: 0, max: 10000, default: 50 },    // ms before the 2nd attempt
+    backoffFactor:        { type: 'integer', min: 1, max: 10, default: 2 },        // Multiplier per further attempt
+    maxBackoff:           { type: 'integer', min: 0, max: 60000, default: 1000 },  // ms
+    retryOnNak:           { type: 'boolean', default: true },
+    retryOnBusy:          { type: 'boolean', default: true },
+    retryOnChecksumError: { type: 'boolean', default: true },
+    retryOnTimeout:       { type: 'boolean', default: true }     // No reply, or a partial one
+};
+
+/**
+ * Schema for the top-level "wireCapture" block (TX/RX capture files)
+ */
+const WIRE_CAPTURE_SCHEMA = {
+    enabled:   { type: 'boolean', default: false },
+    directory: { type: 'string', default: 'logs/capture' },     // Relative to the project root
+    fileName:  { type: 'string', default: 'wire-capture.jsonl' },
+    maxBytes:  { type: 'integer', min: 1024, max: 1073741824, default: 10485760 },  // Rotate after this size
+    maxFiles:  { type: 'integer', min: 1, max: 100, default: 5 }                   // Rotated files kept
+};
+
+/**
+ * Schema for the top-level "schedule" block (playlist scheduler)
+ */
+const SCHEDULE_SCHEMA = {
+    leadTime:     { type: 'integer', min: 0, max: 3600000, default: 120000 },  // ms before air to pre-fetch the cassette
+    turnaround:   { type: 'integer', min: 0, max: 600000, default: 30000 },    // ms after air until the player is free again
+    tickInterval: { type: 'integer', min: 10, max: 10000, default: 250 }       // ms between scheduler checks
+};
+
+/**
+ * Schema for the top-level "asRun" block (as-run log of everything taken to air)
+ */
+const AS_RUN_SCHEMA = {
+    enabled:    { type: 'boolean', default: true },
+    directory:  { type: 'string', default: 'logs/as-run' },             // Relative to the project root
+    retainDays: { type: 'integer', min: 1, max: 3650, default: 90 }     // Daily files kept
+};
+
+/**
+ * Schema for the non-line keys of an rs422Devices entry
+ */
+const DEVICE_SCHEMA = {
+    type:          { type: 'string', enum: ['vtr', 'flexicart'], required: true },
+    channelId:     { type: 'integer', min: 0, required: true },
+    transport:     { type: 'string', enum: ['serial', 'tcp', 'memory'] },
+    path:          { type: 'string' },
+    host:          { type: 'string' },
+    port:          { type: 'integer', min: 1, max: 65535 },
+    name:          { type: 'string' },
+    cartAddresses: { type: 'array', items: { type: 'integer', enum: [0x01, 0x02, 0x04, 0x08, 0x10, 0x20, 0x40, 0x80] } },
+    autodetect:    { type: 'boolean' },  // Sweep line settings when nothing answers (default: only if no line format is set)
+    frameRate:     { type: 'string', enum: FRAME_RATE_IDS },  // VTR timecode rate (24, 25, 29.97df, 30)
+    cartVtr:       { type: 'integer', min: 1, max: 6 },  // VTR No. of the deck in the cart (BIN No. 0101-0106)
+    retryPolicy:   { type: 'object', schema: RETRY_POLICY_SCHEMA }
+};
+
+const DEFAULT_LINE_SETTINGS = Object.freeze(Object.fromEntries(
+    Object.entries(LINE_SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default])
+));
+
+const DEFAULT_RETRY_POLICY = Object.freeze(Object.fromEntries(
+    Object.entries(RETRY_POLICY_SCHEMA).map(([key, rule]) => [key, rule.default])
+));
+
+const DEFAULT_WIRE_CAPTURE = Object.freeze(Object.fromEntries(
+    Object.entries(WIRE_CAPTURE_SCHEMA).map(([key, rule]) => [key, rule.default])
+));
+
+const DEFAULT_SCHEDULE = Object.freeze(Object.fromEntries(
+    Object.entries(SCHEDULE_SCHEMA).map(([key, rule]) => [key, rule.default])
+));
+
+const DEFAULT_AS_RUN = Object.freeze(Object.fromEntries(
+    Object.entries(AS_RUN_SCHEMA).map(([key, rule]) => [key, rule.default])
+));
+
+/**
+ * Check one value against a schema rule
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkValue(value, rule) {
+    if (rule.type === 'array') {
+        if (!Array.isArray(value)) return 'must be an array';
+        for (const item of value) {
+            const problem = checkValue(item, rule.items);
+            if (problem) return `item ${JSON.stringify(item)} ${problem}`;
+        }
+        return null;
+    }
+    if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+    if (rule.type === 'string' && typeof value !== 'string') return 'must be a string';
+    if (rule.type === 'boolean' && typeof value !== 'boolean') return 'must be true or false';
+    if (rule.enum && !rule.enum.includes(value)) return `must be one of ${rule.enum.join(', ')}`;
+    if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+    return null;
+}
+
+/**
+ * Validate an object's keys against a schema
+ * @returns {Array<string>} Problems found (prefixed with where)
+ */
+function checkObject(object, schema, where) {
+    const errors = [];
+
+    for (const [key, rule] of Object.entries(schema)) {
+        if (object[key] === undefined) {
+            if (rule.required) errors.push(`${where}.${key} is required`);
+            continue;
+        }
+        if (rule.type === 'object') {
+            const value = object[key];
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${where}.${key} must be an object`);
+            } else {
+                errors.push(...checkObject(value, rule.schema, `${where}.${key}`));
+            }
+            continue;
+        }
+        const problem = checkValue(object[key], rule);
+        if (problem) errors.push(`${where}.${key} ${problem} (got ${JSON.stringify(object[key])})`);
+    }
+
+    for (const key of Object.keys(object)) {
+        if (!schema[key]) errors.push(`${where}.${key} is not a known setting`);
+    }
+
+    return errors;
+}
+
+/**
+ * Build the address string for an rs422Devices config entry
+ * @param {Object} device - { transport: 'serial'|'tcp'|'memory', path, host, port, name }
+ * @returns {string} Device address usable anywhere a port path is accepted
+ */
+function getDeviceAddress(device) {
+    const transport = device.transport || 'serial';
+
+    switch (transport) {
+        case 'serial':
+            return device.path;
+        case 'tcp':
+            return `tcp://${device.host}:${device.port}`;
+        case 'memory':
+            return `memory://${device.name || device.path}`;
+        default:
+            throw new FlexicartError(`Unknown transport "${transport}" for device ${device.channelId}`, 'INVALID_TRANSPORT');
+    }
+}
+
+/**
+ * Validate a parsed configuration object
+ * @param {Object} config - Parsed config/default.json
+ * @returns {Object} { valid, errors }
+ */
+function validateDeviceConfig(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object') {
+        return { valid: false, errors: ['configuration must be a JSON object'] };
+    }
+
+    if (config.lineDefaults !== undefined) {
+        errors.push(...checkObject(config.lineDefaults, LINE_SETTINGS_SCHEMA, 'lineDefaults'));
+    }
+
+    if (config.retryPolicy !== undefined) {
+        errors.push(...checkObject(config.retryPolicy, RETRY_POLICY_SCHEMA, 'retryPolicy'));
+    }
+
+    if (config.wireCapture !== undefined) {
+        errors.push(...checkObject(config.wireCapture, WIRE_CAPTURE_SCHEMA, 'wireCapture'));
+    }
+
+    if (config.schedule !== undefined) {
+        errors.push(...checkObject(config.schedule, SCHEDULE_SCHEMA, 'schedule'));
+    }
+
+    if (config.asRun !== undefined) {
+        errors.push(...checkObject(config.asRun, AS_RUN_SCHEMA, 'asRun'));
+    }
+
+    const devices = config.rs422Devices || [];
+    if (!Array.isArray(devices)) {
+        errors.push('rs422Devices must be an array');
+        return { valid: false, errors };
+    }
+
+    const seenChannels = new Set();
+    const seenAddresses = new Map();
+
+    devices.forEach((device, index) => {
+        const where = `rs422Devices[${index}]`;
+        const deviceSchema = { ...DEVICE_SCHEMA, ...LINE_SETTINGS_SCHEMA };
+        errors.push(...checkObject(device, deviceSchema, where));
+
+        const transport = device.transport || 'serial';
+        if (transport === 'serial' && !device.path) errors.push(`${where}.path is required for serial transport`);
+        if (transport === 'tcp' && (!device.host || !device.port)) errors.push(`${where}.host and .port are required for tcp transport`);
+        if (transport === 'memory' && !device.name && !device.path) errors.push(`${where}.name is required for memory transport`);
+
+        if (seenChannels.has(device.channelId)) errors.push(`${where}.channelId ${device.channelId} is used twice`);
+        seenChannels.add(device.channelId);
+
+        // Carts sharing a line must agree on how the line is driven
+        try {
+            const address = getDeviceAddress(device);
+            const previous = seenAddresses.get(address);
+            if (previous) {
+                const a = resolveLineSettings(config, previous);
+                const b = resolveLineSettings(config, device);
+                for (const key of ['baudRate', 'dataBits', 'parity', 'stopBits']) {
+                    if (a[key] !== b[key]) errors.push(`${where}.${key} conflicts with another device on ${address}`);
+                }
+            } else {
+                seenAddresses.set(address, device);
+            }
+        } catch (error) {
+            // Transport problems are already reported above
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Merge protocol defaults, lineDefaults and per-device overrides
+ * @param {Object} config - Parsed config
+ * @param {Object} device - rs422Devices entry (or null for the line defaults)
+ * @returns {Object} Complete line settings
+ */
+function resolveLineSettings(config, device = null) {
+    const settings = { ...DEFAULT_LINE_SETTINGS, ...(config.lineDefaults || {}) };
+    if (device) {
+        for (const key of Object.keys(LINE_SETTINGS_SCHEMA)) {
+            if (device[key] !== undefined) settings[key] = device[key];
+        }
+    }
+    return settings;
+}
+
+/**
+ * Merge the default retry policy, the top-level "retryPolicy" and the device's own
+ * @param {Object} config - Parsed config
+ * @param {Object} device - rs422Devices entry (or null for the top-level policy)
+ * @returns {Object} Complete retry policy
+ */
+function resolveRetryPolicy(config, device = null) {
+    return {
+        ...DEFAULT_RETRY_POLICY,
+        ...(config.retryPolicy || {}),
+        ...((device && device.retryPolicy) || {})
+    };
+}
+
+/**
+ * Load, validate and normalise a device configuration file
+ * @param {string} configPath - JSON file to read (default: config/default.json)
+ * @returns {Object} { path, raw, lineDefaults, devices: [{ ...entry, address, lineSettings }] }
+ * @throws {FlexicartError} INVALID_CONFIG listing every problem found
+ */
+function loadDeviceConfig(configPath = DEFAULT_CONFIG_PATH) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new FlexicartError(`Cannot read device config ${configPath}: ${error.message}`, 'INVALID_CONFIG');
+    }
+
+    return normaliseDeviceConfig(raw, configPath);
+}
+
+/**
+ * Validate a parsed config and attach each device's address and line settings
+ * @throws {FlexicartError} INVALID_CONFIG listing every problem found
+ */
+function normaliseDeviceConfig(raw, configPath = null) {
+    const { valid, errors } = validateDeviceConfig(raw);
+    if (!valid) {
+        throw new FlexicartError(`Invalid device config ${configPath || '(inline)'}:\n  - ${errors.join('\n  - ')}`, 'INVALID_CONFIG');
+    }
+
+    return {
+        path: configPath,
+        raw,
+        lineDefaults: resolveLineSettings(raw),
+        retryPolicy: resolveRetryPolicy(raw),
+        wireCapture: { ...DEFAULT_WIRE_CAPTURE, ...(raw.wireCapture || {}) },
+        schedule: { ...DEFAULT_SCHEDULE, ...(raw.schedule || {}) },
+        asRun: { ...DEFAULT_AS_RUN, ...(raw.asRun || {}) },
+        devices: (raw.rs422Devices || []).map(device => ({
+            transport: 'serial',
+            ...device,
+            address: getDeviceAddress(device),
+            lineSettings: resolveLineSettings(raw, device),
+            retryPolicy: resolveRetryPolicy(raw, device)
+        }))
+    };
+}
+
+let activeConfig = null;
+
+// Settings found at runtime (line autodetect) - win over the file until restart
+const lineOverrides = new Map();
+
+/**
+ * The configuration every connection uses (loaded lazily, cached)
+ */
+function getDeviceConfig() {
+    if (!activeConfig) {
+        activeConfig = fs.existsSync(DEFAULT_CONFIG_PATH) ?
+            loadDeviceConfig(DEFAULT_CONFIG_PATH) :
+            normaliseDeviceConfig({});
+    }
+    return activeConfig;
+}
+
+/**
+ * Replace the active configuration (another file, or an already-parsed object)
+ * @param {string|Object} source - Config path or parsed config object
+ * @returns {Object} The new active configuration
+ */
+function setDeviceConfig(source) {
+    lineOverrides.clear();
+    activeConfig = typeof source === 'string' ? loadDeviceConfig(source) : normaliseDeviceConfig(source);
+    return activeConfig;
+}
+
+/**
+ * Line settings for a device address (configured device, else lineDefaults),
+ * with any runtime override applied
+ * @param {string} address - Serial path, tcp://host:port or memory://name
+ * @returns {Object} Complete line settings
+ */
+function getLineSettings(address) {
+    const config = getDeviceConfig();
+    const device = config.devices.find(d => d.address === address);
+    return { ...(device ? device.lineSettings : config.lineDefaults), ...(lineOverrides.get(address) || {}) };
+}
+
+/**
+ * Retry policy for a device address (configured device, else the top-level policy)
+ * @param {string} address - Serial path, tcp://host:port or memory://name
+ * @returns {Object} Complete retry policy
+ */
+function getRetryPolicy(address) {
+    const config = getDeviceConfig();
+    const device = config.devices.find(d => d.address === address);
+    return { ...(device ? device.retryPolicy : config.retryPolicy) };
+}
+
+/**
+ * Runtime override for an address, if any
+ * @returns {Object|null} Overridden settings
+ */
+function getLineOverride(address) {
+    return lineOverrides.has(address) ? { ...lineOverrides.get(address) } : null;
+}
+
+/**
+ * Record line settings detected at runtime for an address
+ * @param {string} address - Device address
+ * @param {Object|null} settings - Partial line settings (null clears the override)
+ */
+function overrideLineSettings(address, settings) {
+    if (!settings) {
+        lineOverrides.delete(address);
+        return;
+    }
+
+    const errors = checkObject(settings, LINE_SETTINGS_SCHEMA, `override(${address})`);
+    if (errors.length > 0) {
+        throw new FlexicartError(`Invalid line settings:\n  - ${errors.join('\n  - ')}`, 'INVALID_CONFIG', address);
+    }
+    lineOverrides.set(address, { ...settings });
+}
+
+module.exports = {
+    loadDeviceConfig,
+    validateDeviceConfig,
+    getDeviceConfig,
+    setDeviceConfig,
+    getLineSettings,
+    getRetryPolicy,
+    overrideLineSettings,
+    getLineOverride,
+    getDeviceAddress,
+    resolveLineSettings,
+    resolveRetryPolicy,
+    LINE_SETTINGS_SCHEMA,
+    RETRY_POLICY_SCHEMA,
+    WIRE_CAPTURE_SCHEMA,
+    SCHEDULE_SCHEMA,
+    AS_RUN_SCHEMA,
+    DEFAULT_LINE_SETTINGS,
+    DEFAULT_RETRY_POLICY,
+    DEFAULT_WIRE_CAPTURE,
+    DEFAULT_SCHEDULE,
+    DEFAULT_AS_RUN,
+    DEFAULT_CONFIG_PATH
+};
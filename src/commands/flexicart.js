@@ -1,19 +1,34 @@
 // src/commands/flexicart.js
 const EventEmitter = require('events');
+const { createTransport } = require('./flexicart_transports');
+const { getDeviceAddress, getDeviceConfig, getLineSettings, resolveLineSettings } = require('./device_config');
 
 const ports = new Map();
 const emitter = new EventEmitter();
 
 /**
- * Register a SerialPort instance under a channel ID for Flexicart commands
+ * Register a port under a channel ID for Flexicart commands
+ * Accepts an already-open SerialPort/transport, a device address
+ * (/dev/ttyRP2, tcp://host:port, memory://name) or an rs422Devices config entry
  * @param {number} channelId
- * @param {SerialPort} port
+ * @param {SerialPort|EventEmitter|string|Object} port
+ * @returns {Promise<EventEmitter>} The registered port/transport
  */
-function registerPort(channelId, port) {
+async function registerPort(channelId, port) {
+  if (typeof port === 'string' || (port && typeof port.write !== 'function')) {
+    const address = typeof port === 'string' ? port : getDeviceAddress(port);
+    const settings = typeof port === 'string' ?
+      getLineSettings(address) :
+      resolveLineSettings(getDeviceConfig().raw, port);
+    port = createTransport(address, settings);
+    await port.open();
+  }
+
   ports.set(channelId, port);
   port.on('data', data => {
     emitter.emit(`data:${channelId}`, data);
   });
+  return port;
 }
 
 /**
@@ -0,0 +1,510 @@
+/**
+ * FlexiCart Air Workflow
+ * "Air a cassette" end to end: find it by barcode (or house ID), move the elevator to
+ * its bin, move the cassette into the player VTR (10H, bin -> 0101-0106), cue the player deck, take it
+ * to air (PLAY, then the ON-AIR tally once the preroll has run), and when the
+ * programme ends stop the deck and return the cassette to its home bin.
+ * The cart does the mechanics (macros through FlexiCartStateIntegration); the
+ * player transport is the VTR's own 9-pin line (vtr_interface.js).
+ * A run is one 'air_cassette' operation with a step per stage - the macro and
+ * cue stages name their own operations - and a failed stage rolls back the
+ * stages already done, newest first. prepare() pre-fetches (locate to cue)
+ * so a scheduler can load the player ahead of air time; take() does the rest.
+ */
+
+const { FlexicartError } = require('./flexicart_errors');
+const { VtrCueController } = require('./vtr_cue');
+const {
+    getVtrPorts,
+    getVtrFrameRate,
+    getVtrCartPosition,
+    getVtrStatus,
+    playVtr,
+    stopVtr,
+    VTR_MODE,
+    MAX_PREROLL_SECONDS
+} = require('./vtr_interface');
+const { timecodeToFrames, framesToSeconds } = require('./timecode');
+const { getCassetteBinNumber, getVtrBinNumber, describeBinNumber } = require('./flexicart_command_catalog');
+
+/**
+ * Workflow defaults
+ */
+const AIR_WORKFLOW_DEFAULTS = {
+    start: '01:00:00:00',       // Programme start on tape
+    preroll: 5,                 // Seconds of tape rolled before the start
+    pollInterval: 250,          // ms between player status polls while on air
+    responseTimeout: 1000,      // ms per 9-pin exchange
+    timeoutFactor: 2            // Stage budget = getExpectedDuration x factor
+};
+
+/**
+ * Stages in running order
+ */
+const AIR_STAGES = ['locate', 'move', 'load', 'cue', 'roll', 'on_air', 'off_air', 'return'];
+
+/**
+ * Error codes of a run that did not complete (cue stages throw VTR_CUE_ERRORS codes)
+ */
+const AIR_WORKFLOW_ERRORS = {
+    NOT_FOUND: 'CASSETTE_NOT_FOUND',    // No bin holds the barcode
+    BUSY: 'WORKFLOW_BUSY',              // This workflow is already airing a cassette
+    MACRO_FAILED: 'MACRO_FAILED',       // Move, load or unload did not complete
+    TALLY_FAILED: 'TALLY_FAILED',       // ON-AIR tally not ACKed
+    PLAYER_FAILED: 'PLAYER_FAILED'      // PLAY/STOP not ACKed or the deck faulted on air
+};
+
+const OPERATION_TYPE = 'air_cassette';
+
+// Cart stages with a time budget from FlexiCartOperations.getExpectedDuration
+const BUDGETED_STAGES = ['move', 'load', 'vtr_cue', 'unload'];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Air workflow for one cart and its player deck
+ */
+class FlexiCartAirWorkflow {
+    /**
+     * @param {Object} options
+     * @param {FlexiCartStateIntegration} options.cart - Connected cart (macros, tally, inventory, operations)
+     * @param {string} options.vtrPath - Player deck address (default: the first configured VTR)
+     * @param {number} options.cartVtr - VTR No. (1-6) the cart loads the player as (default: getVtrCartPosition)
+     * @param {number} options.pollInterval - ms between player status polls
+     * @param {number} options.responseTimeout - ms per 9-pin exchange
+     * @param {number} options.timeoutFactor - Multiplier on the stage durations for the run timeout
+     * @param {number} options.cuePollInterval - ms between status polls while cueing
+     * @param {Function} options.onStage - (stage, run) after each stage ('<stage>_failed' on failure) and with
+     *                                     'completed', 'failed' or 'cancelled' when the run ends; 'on_air'
+     *                                     fires as the tally goes on, the rest when the stage is done
+     * @param {boolean} options.debug - Enable debug output
+     */
+    constructor(options = {}) {
+        if (!options.cart) {
+            throw new FlexicartError('Air workflow needs a cart', 'INVALID_PARAMETER');
+        }
+
+        this.cart = options.cart;
+        this.vtrPath = options.vtrPath || getVtrPorts()[0];
+        if (!this.vtrPath) {
+            throw new FlexicartError('Air workflow needs a player deck (no vtr devices configured)', 'INVALID_PARAMETER');
+        }
+        this.cartVtr = options.cartVtr || getVtrCartPosition(this.vtrPath) || 1;
+        this.vtrBin = getVtrBinNumber(this.cartVtr);
+
+        this.operations = this.cart.stateManager.operations;
+        this.inventory = this.cart.stateManager.inventory;
+        this.pollInterval = options.pollInterval || AIR_WORKFLOW_DEFAULTS.pollInterval;
+        this.responseTimeout = options.responseTimeout || AIR_WORKFLOW_DEFAULTS.responseTimeout;
+        this.timeoutFactor = options.timeoutFactor || AIR_WORKFLOW_DEFAULTS.timeoutFactor;
+        this.onStage = options.onStage || null;
+        this.debug = !!options.debug;
+        this.cueController = new VtrCueController({
+            path: this.vtrPath,
+            operations: this.operations,
+            pollInterval: options.cuePollInterval,
+            timeoutFactor: this.timeoutFactor,
+            responseTimeout: this.responseTimeout,
+            debug: this.debug
+        });
+
+        this.activeOperationId = null;
+        this.takeOffRequested = false;
+    }
+
+    /**
+     * Run timeout: every stage's budget plus the programme itself
+     */
+    getTimeout(programmeMs = 0, preroll = 0) {
+        const stages = BUDGETED_STAGES.reduce((total, type) => total + this.operations.getExpectedDuration(type), 0);
+        return Math.round(stages * this.timeoutFactor) + preroll * 1000 + programmeMs;
+    }
+
+    /**
+     * Air a cassette and return it to its bin when the programme ends (prepare, then take)
+     * @param {string} key - Cassette barcode or house ID
+     * @param {Object} options - See prepare()
+     * @returns {Promise<Object>} See take()
+     */
+    async air(key, options = {}) {
+        return this.take(await this.prepare(key, options));
+    }
+
+    /**
+     * Pre-fetch a cassette: locate, move, load and cue it, ready to roll
+     * @param {string} key - Cassette barcode, or house ID (cassette id) when no barcode matches
+     * @param {Object} options - { start (timecode), preroll (whole seconds), duration (timecode or frames;
+     *                           default the cassette's duration, none = until the deck stops or takeOff()),
+     *                           holdMs (time the cassette may wait cued before take(), added to the timeout),
+     *                           event (schedule details carried on the run for the as-run log: id, title,
+     *                           plannedStart, startMode) }
+     * @returns {Promise<Object>} Run to pass to take() - { operationId, key, bin, cassette, cue, ... }
+     * @throws {FlexicartError} INVALID_PARAMETER or WORKFLOW_BUSY before anything moves, otherwise an
+     *         AIR_WORKFLOW_ERRORS / VTR_CUE_ERRORS code with operationId, operation and rolledBack attached
+     */
+    async prepare(key, options = {}) {
+        if (this.activeOperationId) {
+            throw new FlexicartError(`Already airing (operation ${this.activeOperationId})`, AIR_WORKFLOW_ERRORS.BUSY);
+        }
+
+        const { start = AIR_WORKFLOW_DEFAULTS.start, preroll = AIR_WORKFLOW_DEFAULTS.preroll, holdMs = 0 } = options;
+        const rate = getVtrFrameRate(this.vtrPath);
+        // Refuse a bad start or preroll before anything moves
+        timecodeToFrames(start, rate);
+        if (!Number.isInteger(preroll) || preroll < 0 || preroll > MAX_PREROLL_SECONDS) {
+            throw new FlexicartError(`Preroll must be whole seconds from 0 to ${MAX_PREROLL_SECONDS}, got ${preroll}`, 'INVALID_PARAMETER');
+        }
+        const found = this.findCassette(key);
+        const programme = options.duration !== undefined ? options.duration : (found && found.cassette.duration);
+        const programmeFrames = programme ? timecodeToFrames(programme, rate) : 0;
+        const programmeMs = programmeFrames > 0 ? Math.round(framesToSeconds(programmeFrames, rate) * 1000) : null;
+
+        const operationId = this.operations.startOperation(OPERATION_TYPE, {
+            key,
+            bin: found ? found.binNumber : null,
+            vtrPath: this.vtrPath,
+            cartVtr: this.cartVtr,
+            start,
+            preroll,
+            programmeMs,
+            timeoutMs: this.getTimeout(programmeMs || 0, preroll) + holdMs
+        });
+        this.activeOperationId = operationId;
+        this.takeOffRequested = false;
+
+        const run = {
+            operationId,
+            key,
+            start,
+            preroll,
+            programmeMs,
+            bin: null,
+            cassette: null,
+            cue: null,
+            event: options.event || null,
+            onAirAt: null,
+            offAirAt: null,
+            errors: [],         // { stage, code, message } of the failed stage
+            rolledBack: [],
+            rollback: []        // [stage, undo] for the stages done so far
+        };
+
+        try {
+            this.operations.updateOperation(operationId, { status: 'in_progress' });
+
+            await this.stage(run, 'locate', async () => {
+                if (!found) throw new FlexicartError(`No cassette ${key} in the cart`, AIR_WORKFLOW_ERRORS.NOT_FOUND);
+                run.bin = found.binNumber;
+                run.cassette = found.cassette;
+                return { bin: run.bin, cassetteId: run.cassette.id };
+            });
+
+            await this.stage(run, 'move', () => this.runMacro('ELEVATOR_MOVE', {
+                destination: getCassetteBinNumber(run.bin)
+            }));
+
+            await this.stage(run, 'load', async () => {
+                // A load that fails may still have moved the cassette (lost ACK, end report
+                // not seen) - the return is refused when the cassette never left its bin
+                run.rollback.push(['load', () => this.returnCassette(run)]);
+                const result = await this.runMacro('CASSETTE_MOVE', {
+                    source: getCassetteBinNumber(run.bin),
+                    destination: this.vtrBin
+                });
+                this.inventory.removeCassette(run.bin);
+                this.cart.stateManager.systemStatus.player.cartId = run.cassette.id;
+                return result;
+            });
+
+            await this.stage(run, 'cue', async () => {
+                run.rollback.push(['cue', () => this.playerCommand(stopVtr)]);
+                run.cue = await this.cueController.cue(start, { preroll });
+                return { operationId: run.cue.operationId, cuePoint: run.cue.cuePoint, position: run.cue.position };
+            });
+        } catch (error) {
+            throw await this.fail(run, error);
+        }
+
+        return run;
+    }
+
+    /**
+     * Take a prepared cassette to air: PLAY, the ON-AIR tally after the preroll,
+     * off air at the end of the programme (or takeOff()), then back to its bin
+     * @param {Object} run - prepare() result
+     * @returns {Promise<Object>} { success, operationId, operation, key, bin, cassetteId, cue, onAirAt, offAirAt, executionTime, timestamp }
+     * @throws {FlexicartError} AIR_WORKFLOW_ERRORS code with operationId, operation and rolledBack attached
+     */
+    async take(run) {
+        const { operationId, preroll, programmeMs } = run;
+        const done = (stage) => {
+            const index = run.rollback.findIndex(([name]) => name === stage);
+            if (index !== -1) run.rollback.splice(index, 1);
+        };
+
+        try {
+            await this.stage(run, 'roll', async () => {
+                await this.playerCommand(playVtr);
+                await this.waitUnlessTakenOff(preroll * 1000);
+                return { preroll };
+            });
+
+            await this.stage(run, 'on_air', async () => {
+                await this.setTally(true);
+                run.rollback.push(['on_air', () => this.setTally(false)]);
+                run.onAirAt = new Date().toISOString();
+                this.notify('on_air', run);
+                await this.playOut(programmeMs);
+                return { onAirAt: run.onAirAt, programmeMs };
+            });
+
+            await this.stage(run, 'off_air', async () => {
+                await this.setTally(false);
+                done('on_air');
+                run.offAirAt = new Date().toISOString();
+                await this.playerCommand(stopVtr);
+                done('cue');
+                return { offAirAt: run.offAirAt };
+            });
+
+            await this.stage(run, 'return', async () => {
+                const result = await this.returnCassette(run);
+                done('load');
+                return result;
+            });
+
+            this.settle(operationId, 'completed', {
+                result: { success: true, key: run.key, bin: run.bin, cuePoint: run.cue.cuePoint, onAirAt: run.onAirAt, offAirAt: run.offAirAt }
+            });
+        } catch (error) {
+            throw await this.fail(run, error);
+        }
+        this.activeOperationId = null;
+        this.notify('completed', run);
+
+        const operation = this.operations.getOperation(operationId);
+        return {
+            success: true,
+            operationId,
+            operation,
+            key: run.key,
+            bin: run.bin,
+            cassetteId: run.cassette.id,
+            cue: run.cue,
+            onAirAt: run.onAirAt,
+            offAirAt: run.offAirAt,
+            executionTime: operation.duration,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Give up on a prepared run that will not be taken: stop the deck and return the cassette
+     * @param {Object} run - prepare() result
+     * @param {string} reason - Recorded as the operation's error
+     * @returns {Promise<Array<string>>} Stages rolled back
+     */
+    async cancel(run, reason = 'Cancelled') {
+        run.rolledBack = await this.rollBack(run.operationId, run.rollback);
+        this.settle(run.operationId, 'cancelled', { error: reason });
+        this.activeOperationId = null;
+        this.notify('cancelled', run);
+        return run.rolledBack;
+    }
+
+    /**
+     * Roll back a failed run and settle its operation
+     * @returns {Promise<FlexicartError>} The error to throw, with operationId, operation and rolledBack
+     */
+    async fail(run, error) {
+        const failure = error instanceof FlexicartError ? error : new FlexicartError(error.message, AIR_WORKFLOW_ERRORS.PLAYER_FAILED);
+        run.rolledBack = await this.rollBack(run.operationId, run.rollback);
+        failure.rolledBack = run.rolledBack;
+        this.settle(run.operationId, 'failed', { error: failure.message });
+        failure.operationId = run.operationId;
+        failure.operation = this.operations.getOperation(run.operationId);
+        this.activeOperationId = null;
+        this.notify('failed', run);
+        return failure;
+    }
+
+    /**
+     * Cassette by barcode, falling back to its house ID (cassette id)
+     * @returns {Object|null} { binNumber, cassette }
+     */
+    findCassette(key) {
+        return this.inventory.findCassetteByBarcode(key) || this.inventory.findCassetteById(key);
+    }
+
+    /**
+     * End the programme now: the running take() goes off air and returns the cassette
+     * @returns {boolean} True when a run was in progress
+     */
+    takeOff() {
+        if (!this.activeOperationId) return false;
+        this.takeOffRequested = true;
+        return true;
+    }
+
+    /**
+     * Run one stage, recording it as a step (and the failure as a step of its own)
+     */
+    async stage(run, name, work) {
+        const index = AIR_STAGES.indexOf(name);
+        if (this.debug) console.log(`🎬 ${run.key}: ${name}`);
+
+        try {
+            const details = await work();
+            this.operations.addOperationStep(run.operationId, { name, ...details });
+            if (name !== 'on_air') this.notify(name, run);
+            this.operations.updateOperation(run.operationId, {
+                progress: Math.round(((index + 1) / AIR_STAGES.length) * 100)
+            });
+            return details;
+        } catch (error) {
+            run.errors.push({ stage: name, code: error.code || null, message: error.message });
+            this.notify(`${name}_failed`, run);
+            this.operations.addOperationStep(run.operationId, {
+                name: `${name}_failed`,
+                code: error.code || null,
+                error: error.message,
+                operationId: error.operationId || null
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Tell the onStage listener about a stage of a run
+     */
+    notify(stage, run) {
+        if (this.onStage) this.onStage(stage, run);
+    }
+
+    /**
+     * Run a move macro to completion
+     * @param {string} name - 'ELEVATOR_MOVE' or 'CASSETTE_MOVE'
+     * @param {Object} bins - { source, destination } BIN Nos.
+     * @returns {Promise<Object>} { operationId, source, destination }
+     */
+    async runMacro(name, bins) {
+        const result = await this.cart.executeMacro(name, bins);
+        if (!result.success) {
+            const route = Object.values(bins).map(describeBinNumber).join(' -> ');
+            const error = new FlexicartError(`${name} ${route}: ${result.error}`, AIR_WORKFLOW_ERRORS.MACRO_FAILED);
+            error.operationId = result.operationId;
+            throw error;
+        }
+        return { operationId: result.operationId, ...bins };
+    }
+
+    /**
+     * Move the player cassette back to its home bin and put it back in the inventory
+     * (plays are counted by the as-run log)
+     */
+    async returnCassette(run) {
+        const result = await this.runMacro('CASSETTE_MOVE', {
+            source: this.vtrBin,
+            destination: getCassetteBinNumber(run.bin)
+        });
+        this.inventory.setCassette(run.bin, run.cassette);
+        this.cart.stateManager.systemStatus.player.cartId = null;
+        return result;
+    }
+
+    /**
+     * Send a player transport command that must be ACKed
+     */
+    async playerCommand(send) {
+        const result = await send(this.vtrPath, this.responseTimeout, this.debug);
+        if (!result.success) {
+            throw new FlexicartError(`${result.command} not accepted: ${result.error}`, AIR_WORKFLOW_ERRORS.PLAYER_FAILED, this.vtrPath);
+        }
+        return result;
+    }
+
+    /**
+     * Switch the ON-AIR tally and require the cart's ACK
+     */
+    async setTally(on) {
+        const result = await this.cart.setOnAirTally(on);
+        if (!result.response.isACK) {
+            throw new FlexicartError(`ON-AIR tally ${on ? 'on' : 'off'} not acknowledged`, AIR_WORKFLOW_ERRORS.TALLY_FAILED);
+        }
+        return result;
+    }
+
+    /**
+     * Wait, ending early on takeOff()
+     */
+    async waitUnlessTakenOff(ms) {
+        const until = Date.now() + ms;
+        while (!this.takeOffRequested && Date.now() < until) {
+            await delay(Math.min(this.pollInterval, until - Date.now()));
+        }
+    }
+
+    /**
+     * Stay on air for the programme (or until the deck stops by itself or
+     * takeOff() is called), watching the player for faults
+     * A poll without an answer only costs one tick
+     */
+    async playOut(programmeMs) {
+        const started = Date.now();
+
+        while (!this.takeOffRequested && (programmeMs === null || Date.now() - started < programmeMs)) {
+            await delay(programmeMs === null ? this.pollInterval : Math.min(this.pollInterval, programmeMs - (Date.now() - started)));
+
+            const result = await getVtrStatus(this.vtrPath, this.responseTimeout, this.debug);
+            if (!result.success) continue;
+            this.cart.applyPlayerSense(result.raw);
+
+            const { status } = result;
+            if (status.error || !status.cassettePresent) {
+                throw new FlexicartError(`Player fault on air: ${status.flags.join(', ')}`, AIR_WORKFLOW_ERRORS.PLAYER_FAILED, this.vtrPath);
+            }
+            // End of the recording - the deck has stopped playing on its own
+            if (status.mode !== VTR_MODE.PLAY) break;
+        }
+    }
+
+    /**
+     * Undo the stages done so far, newest first; a failed undo is recorded and skipped
+     * @returns {Promise<Array<string>>} Stages rolled back
+     */
+    async rollBack(operationId, rollback) {
+        const undone = [];
+
+        while (rollback.length > 0) {
+            const [stage, undo] = rollback.pop();
+            try {
+                await undo();
+                undone.push(stage);
+                this.operations.addOperationStep(operationId, { name: `rollback_${stage}` });
+            } catch (error) {
+                this.operations.addOperationStep(operationId, { name: `rollback_${stage}_failed`, error: error.message });
+            }
+        }
+
+        return undone;
+    }
+
+    /**
+     * Finish the run's operation with a final step
+     */
+    settle(operationId, status, updates = {}) {
+        this.operations.updateOperation(operationId, {
+            ...updates,
+            status,
+            progress: status === 'completed' ? 100 : this.operations.getOperation(operationId).progress
+        });
+        this.operations.addOperationStep(operationId, { name: status, error: updates.error || null });
+    }
+}
+
+module.exports = {
+    FlexiCartAirWorkflow,
+    AIR_STAGES,
+    AIR_WORKFLOW_DEFAULTS,
+    AIR_WORKFLOW_ERRORS
+};
@@ -0,0 +1,434 @@
+/**
+ * FlexiCart As-Run Log
+ * Compliance record of every cassette taken to air: planned vs actual start,
+ * actual duration, barcode / house ID, bin, player, ON-AIR tally times and the
+ * errors of a run that failed. Entries come from the air workflow as each run
+ * ends, and from the scheduler for events that never got a player. One JSON-lines
+ * file per UTC day (as-run-YYYY-MM-DD.jsonl, by the actual or planned start);
+ * days older than retainDays are deleted when a new day starts.
+ * exportDay() turns a day into CSV or BXF-style XML.
+ *
+ * The log also feeds the inventory: every airing counts as a play of the
+ * cassette (playCount, lastPlayed = tally off), and applyToInventory() restores
+ * both from the files after the inventory has been rebuilt from the cart.
+ *
+ * Entry (one JSON object per line):
+ *   { loggedAt, eventId, title, status, barcode, houseId, bin, player, operationId, startMode,
+ *     plannedStart, actualStart, startVarianceMs, plannedDuration, actualDuration (ms),
+ *     tallyOn, tallyOff, errors: [{ stage, code, message }], rolledBack }
+ *   actualStart is the tally-on time; status is one of AS_RUN_STATUS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { FlexicartError } = require('./flexicart_errors');
+const { getDeviceConfig, DEFAULT_AS_RUN } = require('./device_config');
+const { framesToTimecode, secondsToFrames, DEFAULT_FRAME_RATE } = require('./timecode');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const FILE_PATTERN = /^as-run-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How an entry went
+ */
+const AS_RUN_STATUS = {
+    AIRED: 'aired',                 // On air for the programme, back in its bin
+    INTERRUPTED: 'interrupted',     // On air, then a fault ended the run
+    FAILED: 'failed',               // Never reached air
+    MISSED: 'missed'                // Scheduled, no player was free in time
+};
+
+const AIRED = [AS_RUN_STATUS.AIRED, AS_RUN_STATUS.INTERRUPTED];
+
+/**
+ * CSV columns, in order
+ */
+const CSV_COLUMNS = [
+    ['event_id', 'eventId'],
+    ['status', 'status'],
+    ['title', 'title'],
+    ['barcode', 'barcode'],
+    ['house_id', 'houseId'],
+    ['bin', 'bin'],
+    ['player', 'player'],
+    ['start_mode', 'startMode'],
+    ['planned_start', 'plannedStart'],
+    ['actual_start', 'actualStart'],
+    ['start_variance_ms', 'startVarianceMs'],
+    ['planned_duration_ms', 'plannedDuration'],
+    ['actual_duration_ms', 'actualDuration'],
+    ['tally_on', 'tallyOn'],
+    ['tally_off', 'tallyOff'],
+    ['operation_id', 'operationId'],
+    ['errors', 'errors']
+];
+
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+const between = (from, to) => (from && to ? Date.parse(to) - Date.parse(from) : null);
+const describeErrors = (errors) => (errors || []).map(error => `${error.stage}: ${error.message}`).join('; ');
+const later = (a, b) => (!a || (b && b > a) ? b : a);
+
+// Plays are counted per cassette: its barcode, or its house ID when it has none
+const playKey = (entry) => entry.barcode || entry.houseId;
+const cassetteKey = (cassette) => cassette.barcode || cassette.id;
+
+/**
+ * Entry for an air workflow run that has ended
+ * @param {Object} run - Workflow run
+ * @param {string} player - Player deck address
+ * @param {string} outcome - 'completed' or 'failed'
+ */
+function runToEntry(run, player, outcome) {
+    const event = run.event || {};
+    const cassette = run.cassette || {};
+    const status = outcome === 'completed' ? AS_RUN_STATUS.AIRED :
+        run.onAirAt ? AS_RUN_STATUS.INTERRUPTED : AS_RUN_STATUS.FAILED;
+
+    return {
+        eventId: event.id || null,
+        title: event.title || cassette.title || '',
+        status,
+        barcode: run.cassette ? cassette.barcode : run.key,
+        houseId: run.cassette ? cassette.id : null,
+        bin: run.bin,
+        player,
+        operationId: run.operationId,
+        startMode: event.startMode || null,
+        plannedStart: event.plannedStart || null,
+        actualStart: run.onAirAt,
+        startVarianceMs: between(event.plannedStart, run.onAirAt),
+        plannedDuration: run.programmeMs,
+        actualDuration: between(run.onAirAt, run.offAirAt),
+        tallyOn: run.onAirAt,
+        tallyOff: run.offAirAt,
+        errors: run.errors || [],
+        rolledBack: run.rolledBack || []
+    };
+}
+
+/**
+ * Entry for a scheduled event that never got a player
+ * @param {Object} event - Scheduler event
+ */
+function missedToEntry(event) {
+    return {
+        eventId: event.id,
+        title: event.title,
+        status: AS_RUN_STATUS.MISSED,
+        barcode: event.barcode,
+        houseId: event.houseId,
+        bin: null,
+        player: null,
+        operationId: null,
+        startMode: event.startMode,
+        plannedStart: event.startTime,
+        actualStart: null,
+        startVarianceMs: null,
+        plannedDuration: event.durationMs,
+        actualDuration: null,
+        tallyOn: null,
+        tallyOff: null,
+        errors: [{ stage: 'schedule', code: null, message: event.error }],
+        rolledBack: []
+    };
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * As-run entries as CSV (header row, one row per entry, errors joined with "; ")
+ * @param {Array<Object>} entries - As-run entries
+ * @returns {string} CSV text
+ */
+function formatAsRunCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(([, key]) =>
+        csvField(key === 'errors' ? describeErrors(entry.errors) : entry[key])
+    ).join(','));
+    return [CSV_COLUMNS.map(([column]) => column).join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function xml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * As-run entries as BXF-style XML (BxfMessage / Schedule type="As-Run" / AsRun per entry)
+ * Durations are SMPTE timecode at the given rate
+ * @param {Array<Object>} entries - As-run entries
+ * @param {Object} options - { day (YYYY-MM-DD), frameRate, origin }
+ * @returns {string} XML text
+ */
+function formatAsRunBxf(entries, options = {}) {
+    const { day = entries.length ? dayOf(entries[0].actualStart || entries[0].plannedStart) : dayOf(Date.now()),
+        frameRate = DEFAULT_FRAME_RATE, origin = 'flexicart-control' } = options;
+    const duration = (ms) => (ms === null || ms === undefined ? '' : framesToTimecode(secondsToFrames(ms / 1000, frameRate), frameRate));
+    const element = (indent, name, value) => `${' '.repeat(indent)}<${name}>${xml(value)}</${name}>`;
+
+    const asRuns = entries.map(entry => [
+        '      <AsRun>',
+        '        <BasicAsRun>',
+        `          <AsRunEventId><EventId>${xml(entry.eventId || entry.operationId)}</EventId></AsRunEventId>`,
+        '          <AsRunDetail>',
+        element(12, 'Status', entry.status),
+        element(12, 'StartMode', entry.startMode),
+        element(12, 'PlannedStartDateTime', entry.plannedStart),
+        element(12, 'StartDateTime', entry.actualStart),
+        element(12, 'StartVarianceMs', entry.startVarianceMs),
+        element(12, 'PlannedDuration', duration(entry.plannedDuration)),
+        element(12, 'Duration', duration(entry.actualDuration)),
+        element(12, 'TallyOn', entry.tallyOn),
+        element(12, 'TallyOff', entry.tallyOff),
+        '          </AsRunDetail>',
+        '          <Content>',
+        `            <ContentId><HouseNumber>${xml(entry.houseId)}</HouseNumber><Barcode>${xml(entry.barcode)}</Barcode></ContentId>`,
+        element(12, 'Name', entry.title),
+        '          </Content>',
+        '          <Source>',
+        element(12, 'Bin', entry.bin),
+        element(12, 'Player', entry.player),
+        '          </Source>',
+        ...(entry.errors && entry.errors.length ? [
+            '          <Errors>',
+            ...entry.errors.map(error => `            <Error stage="${xml(error.stage)}" code="${xml(error.code)}">${xml(error.message)}</Error>`),
+            '          </Errors>'
+        ] : []),
+        '        </BasicAsRun>',
+        '      </AsRun>'
+    ].join('\n'));
+
+    const scheduleEnd = new Date(Date.parse(`${day}T00:00:00Z`) + DAY_MS).toISOString();
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<BxfMessage id="as-run-${xml(day)}" dateTime="${new Date().toISOString()}" messageType="Information" origin="${xml(origin)}">`,
+        '  <BxfData action="add">',
+        `    <Schedule type="As-Run" scheduleStart="${day}T00:00:00.000Z" scheduleEnd="${scheduleEnd}">`,
+        ...asRuns,
+        '    </Schedule>',
+        '  </BxfData>',
+        '</BxfMessage>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Daily as-run files
+ *
+ * Events:
+ *   'entry'  (entry)   - Every entry written
+ *   'error'  (error)   - Write failure (only when someone listens - the run on air is never affected)
+ */
+class AsRunLog extends EventEmitter {
+    /**
+     * @param {Object} options - { directory, retainDays } (defaults: config "asRun")
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_AS_RUN, ...options };
+        this.directory = path.resolve(PROJECT_ROOT, this.options.directory);
+        this.stats = { entries: 0, pruned: 0 };
+        this.uncounted = new Map();     // Cassette key -> { count, last } of airings not yet in the inventory
+    }
+
+    fileFor(day) {
+        return path.join(this.directory, `as-run-${day}.jsonl`);
+    }
+
+    /**
+     * Append an entry to its day's file
+     * @param {Object} entry - As-run entry (loggedAt is added)
+     * @param {CassetteBinOccupancy} inventory - Inventory to count an airing in
+     * @returns {Object|null} The entry written, or null when it could not be written
+     */
+    record(entry, inventory = null) {
+        const written = { loggedAt: new Date().toISOString(), ...entry };
+        const day = dayOf(written.actualStart || written.plannedStart || written.loggedAt);
+
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            const file = this.fileFor(day);
+            const newDay = !fs.existsSync(file);
+            fs.appendFileSync(file, JSON.stringify(written) + '\n');
+            if (newDay) this.prune();
+        } catch (error) {
+            if (this.listenerCount('error') > 0) this.emit('error', error);
+            else console.error(`❌ As-run entry not written: ${error.message}`);
+            return null;
+        }
+
+        this.stats.entries++;
+        if (inventory && AIRED.includes(written.status)) this.countPlay(inventory, written);
+        this.emit('entry', written);
+        return written;
+    }
+
+    /**
+     * Log every run of an air workflow as it ends, counting airings in its inventory
+     * @param {FlexiCartAirWorkflow} workflow - Workflow (its onStage listener is kept)
+     */
+    attachWorkflow(workflow) {
+        const previous = workflow.onStage;
+        workflow.onStage = (stage, run) => {
+            if (previous) previous(stage, run);
+            if (stage === 'completed' || stage === 'failed') {
+                this.record(runToEntry(run, workflow.vtrPath, stage), workflow.inventory);
+            }
+        };
+        return this;
+    }
+
+    /**
+     * Log the scheduled events that never got a player (runs are logged by their workflow)
+     * @param {FlexiCartScheduler} scheduler - Scheduler
+     */
+    attachScheduler(scheduler) {
+        scheduler.on('event', event => {
+            if (event.status === AS_RUN_STATUS.MISSED) this.record(missedToEntry(event));
+        });
+        return this;
+    }
+
+    /**
+     * Days with a file, oldest first
+     * @returns {Array<string>} YYYY-MM-DD
+     */
+    listDays() {
+        if (!fs.existsSync(this.directory)) return [];
+        return fs.readdirSync(this.directory)
+            .map(name => name.match(FILE_PATTERN))
+            .filter(Boolean)
+            .map(match => match[1])
+            .sort();
+    }
+
+    /**
+     * Entries of one day (a line cut short by a crash is skipped)
+     * @param {string} day - YYYY-MM-DD
+     * @returns {Array<Object>} Entries in the order written
+     */
+    readDay(day) {
+        const file = this.fileFor(day);
+        if (!fs.existsSync(file)) return [];
+
+        const entries = [];
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Incomplete last line
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * One day as CSV or BXF-style XML
+     * @param {string} day - YYYY-MM-DD
+     * @param {string} format - 'csv' or 'bxf'
+     * @param {Object} options - formatAsRunBxf() options
+     * @returns {string} Export text
+     */
+    exportDay(day, format = 'csv', options = {}) {
+        const entries = this.readDay(day);
+        switch (format) {
+            case 'csv':
+                return formatAsRunCsv(entries);
+            case 'bxf':
+                return formatAsRunBxf(entries, { ...options, day });
+            default:
+                throw new FlexicartError(`Unknown as-run export format ${format} (csv or bxf)`, 'INVALID_PARAMETER');
+        }
+    }
+
+    /**
+     * Delete the days older than retainDays
+     * @returns {Array<string>} Days deleted
+     */
+    prune(now = Date.now()) {
+        const oldest = dayOf(now - (this.options.retainDays - 1) * DAY_MS);
+        const removed = this.listDays().filter(day => day < oldest);
+        for (const day of removed) fs.unlinkSync(this.fileFor(day));
+        this.stats.pruned += removed.length;
+        return removed;
+    }
+
+    /**
+     * Set playCount/lastPlayed of the cassettes in an inventory from the logged airings;
+     * a count the inventory already has above the log's (older days pruned) is kept
+     * @param {CassetteBinOccupancy} inventory - Inventory
+     * @returns {number} Cassettes updated
+     */
+    applyToInventory(inventory) {
+        const plays = new Map();
+        for (const day of this.listDays()) {
+            for (const entry of this.readDay(day).filter(e => AIRED.includes(e.status))) {
+                const play = plays.get(playKey(entry)) || { count: 0, last: null };
+                plays.set(playKey(entry), { count: play.count + 1, last: later(play.last, entry.tallyOff || entry.tallyOn) });
+            }
+        }
+
+        let updated = 0;
+        for (const { binNumber, cassette } of inventory.getOccupiedBins()) {
+            const play = plays.get(cassetteKey(cassette));
+            if (!play) continue;
+            inventory.setCassette(binNumber, {
+                ...cassette,
+                playCount: Math.max(cassette.playCount, play.count),
+                lastPlayed: later(cassette.lastPlayed, play.last)
+            });
+            this.uncounted.delete(cassetteKey(cassette));
+            updated++;
+        }
+        return updated;
+    }
+
+    /**
+     * Count one airing by cassette key. A cassette that is not in a bin (its return
+     * failed) keeps the play until it is next found, as the log replay would count it
+     */
+    countPlay(inventory, entry) {
+        const key = playKey(entry);
+        const held = this.uncounted.get(key) || { count: 0, last: null };
+        const play = { count: held.count + 1, last: later(held.last, entry.tallyOff || entry.tallyOn) };
+        const found = entry.barcode ? inventory.findCassetteByBarcode(entry.barcode) : inventory.findCassetteById(entry.houseId);
+        if (!found) {
+            this.uncounted.set(key, play);
+            return;
+        }
+
+        this.uncounted.delete(key);
+        inventory.setCassette(found.binNumber, {
+            ...found.cassette,
+            playCount: found.cassette.playCount + play.count,
+            lastPlayed: later(found.cassette.lastPlayed, play.last)
+        });
+    }
+}
+
+/**
+ * As-run log with the config "asRun" settings
+ * @param {Object} options - Overrides for the config "asRun" block
+ * @returns {AsRunLog|null} The log, or null when disabled
+ */
+function createAsRunLog(options = {}) {
+    const settings = { ...getDeviceConfig().asRun, ...options };
+    return settings.enabled ? new AsRunLog(settings) : null;
+}
+
+module.exports = {
+    AsRunLog,
+    createAsRunLog,
+    formatAsRunCsv,
+    formatAsRunBxf,
+    AS_RUN_STATUS
+};
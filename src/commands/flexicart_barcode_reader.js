@@ -5,17 +5,8 @@
  * Based on official FlexiCart protocol specification
  */
 
-const { createFlexiCartCommand, sendCommand } = require('./flexicart_serial_utils');
-
-/**
- * FlexiCart Commands for barcode reading and lamp control
- * Based on official FlexiCart protocol specification
- */
-const BARCODE_COMMANDS = {
-    SENSE_BIN_STATUS: { cmd: 0x62, ctrl: 0x01, data: 0x80 },  // Request bin status with barcode
-    BIN_STATUS_RETURN: { cmd: 0x72, ctrl: 0x01, data: 0x80 }, // Bin status response with barcode data  
-    SET_BIN_LAMP: { cmd: 0x09, ctrl: 0x01, data: 0x80 }       // Set bin lamp for detected cassettes
-};
+const { sendCommand } = require('./flexicart_serial_utils');
+const { encodeCommand, getCassetteBinNumber, MAX_BIN_INDEX } = require('./flexicart_command_catalog');
 
 /**
  * Barcode reader for FlexiCart cassettes using integrated hardware
@@ -37,6 +28,7 @@ class FlexiCartBarcodeReader {
     
     /**
      * Read barcode from cassette at specified position using FlexiCart's integrated scanner
+     * Positions are bins 1-MAX_BIN_INDEX, sent as their BIN No. (getCassetteBinNumber)
      * Based on actual FlexiCart behavior analysis:
      * - ACK (0x04) response = empty bin
      * - Timeout = possibly occupied bin or barcode scanning in progress
@@ -47,16 +39,18 @@ class FlexiCartBarcodeReader {
         
         try {
             // Step 1: Send SENSE BIN STATUS command for the specific position
-            const senseBinCommand = createFlexiCartCommand(
-                cartAddress,                              // UA2 - Cart address
-                BARCODE_COMMANDS.SENSE_BIN_STATUS.cmd,    // CMD - 0x62
-                0x00,                                     // BT - Block type
-                position,                                 // CTRL - Position as control byte  
-                BARCODE_COMMANDS.SENSE_BIN_STATUS.data    // DATA - 0x80
-            );
+            const senseBinCommand = encodeCommand('SENSE_BIN_STATUS', { bin: getCassetteBinNumber(position) }, cartAddress);  // CMD 0x62
             
             console.log(`📡 Sending SENSE BIN STATUS command for position ${position}...`);
-            const response = await sendCommand(port, senseBinCommand, 3000); // Shorter timeout
+            let response = null;
+            try {
+                response = await sendCommand(port, senseBinCommand, 3000, false, {   // Shorter timeout
+                    retry: { maxAttempts: this.config.retryAttempts }
+                });
+            } catch (error) {
+                // Nothing back after all attempts - fall through to BIN STATUS RETURN below
+                if (error.code !== 'RESPONSE_TIMEOUT') throw error;
+            }
             
             if (!response || response.length === 0) {
                 // No response might indicate occupied bin with barcode scan in progress
@@ -65,17 +59,12 @@ class FlexiCartBarcodeReader {
                 // Wait a moment and try to get BIN STATUS RETURN data
                 await new Promise(resolve => setTimeout(resolve, 500));
                 
-                const statusReturnCommand = createFlexiCartCommand(
-                    cartAddress,                               // UA2 - Cart address
-                    BARCODE_COMMANDS.BIN_STATUS_RETURN.cmd,    // CMD - 0x72
-                    0x00,                                      // BT - Block type
-                    position,                                  // CTRL - Position as control byte
-                    BARCODE_COMMANDS.BIN_STATUS_RETURN.data    // DATA - 0x80
-                );
+                const statusReturnCommand = encodeCommand('BIN_STATUS_RETURN', { bin: getCassetteBinNumber(position) }, cartAddress);  // CMD 0x72
                 
                 const statusResponse = await sendCommand(port, statusReturnCommand, 2000);
                 
-                if (statusResponse && statusResponse.length > 1) {
+                // An ACK here is an empty bin, as for SENSE BIN STATUS
+                if (statusResponse && statusResponse.length > 0) {
                     return this.parseBinStatusResponse(statusResponse, position, true);
                 }
                 
@@ -106,7 +95,7 @@ class FlexiCartBarcodeReader {
             
         } catch (error) {
             // Timeout errors might indicate occupied bins
-            if (error.message.includes('timeout')) {
+            if (error.code === 'RESPONSE_TIMEOUT' || error.message.includes('timeout')) {
                 console.log(`⏱️  Position ${position}: Timeout - likely occupied bin scanning barcode`);
                 
                 const timeoutResult = {
@@ -161,13 +150,8 @@ class FlexiCartBarcodeReader {
         try {
             console.log(`💡 ${lampState ? 'Setting' : 'Clearing'} bin lamp at position ${position}...`);
             
-            const lampCommand = createFlexiCartCommand(
-                cartAddress,                           // UA2 - Cart address  
-                BARCODE_COMMANDS.SET_BIN_LAMP.cmd,     // CMD - 0x09
-                0x00,                                  // BT - Block type
-                position,                              // CTRL - Position as control byte
-                lampState ? 0x01 : 0x00               // DATA - Lamp state (0x01=on, 0x00=off)
-            );
+            // CMD 0x09, DATA 0x01 = on / 0x00 = off
+            const lampCommand = encodeCommand('SET_BIN_LAMP', { bin: getCassetteBinNumber(position), on: !!lampState }, cartAddress);
             
             const response = await sendCommand(port, lampCommand, 2000);
             
@@ -329,10 +313,10 @@ class FlexiCartBarcodeReader {
             console.log(`📋 Barcode Read Status: ${result.barcodeReadStatus ? 'SUCCESS' : 'FAILED'}`);
             console.log(`📦 Cassette in BIN: ${result.cassetteInBin ? 'YES' : 'NO'}`);
             
-            // Extract barcode data if available
-            if (response.length > bitMapIndex + 1) {
+            // Extract barcode data if available (the last byte is the frame checksum)
+            if (response.length - 1 > bitMapIndex + 1) {
                 const barcodeDataStart = bitMapIndex + 1;
-                const barcodeBytes = response.slice(barcodeDataStart);
+                const barcodeBytes = response.slice(barcodeDataStart, response.length - 1);
                 
                 console.log(`📄 Barcode data bytes: ${barcodeBytes.toString('hex')}`);
                 
@@ -487,7 +471,7 @@ class FlexiCartBarcodeReader {
     /**
      * Scan all positions for occupied bins and read their barcodes
      */
-    async scanAllPositionsForBarcodes(port, maxPositions = 360, cartAddress = 0x01) {
+    async scanAllPositionsForBarcodes(port, maxPositions = MAX_BIN_INDEX, cartAddress = 0x01) {
         console.log(`🔍 Scanning all ${maxPositions} positions for occupied bins with barcodes...`);
         
         const results = [];
@@ -788,7 +772,7 @@ class FlexiCartBarcodeIntegration {
     /**
      * Perform full inventory scan using FlexiCart integrated scanner
      */
-    async performFullInventoryScan(maxPositions = 360, cartAddress = 0x01) {
+    async performFullInventoryScan(maxPositions = MAX_BIN_INDEX, cartAddress = 0x01) {
         console.log(`🔍 Performing full inventory scan of ${maxPositions} positions...`);
         
         const scanResult = await this.barcodeReader.scanAllPositionsForBarcodes(
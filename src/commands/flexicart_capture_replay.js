@@ -0,0 +1,159 @@
+/**
+ * FlexiCart Capture Replay
+ * Feeds a wire capture (flexicart_wire_capture.js) back through the response
+ * parsers so decoding bugs seen on air can be reproduced offline: TX records
+ * are paired with the RX bytes that followed them on the same port, and each
+ * exchange is handed to every parser that applies to its command.
+ */
+
+const { readCaptureFile, listCaptureFiles } = require('./flexicart_wire_capture');
+const { decodeFlexiCartResponse, isFlexiCartFrame } = require('./flexicart_frame_decoder');
+const { parseFlexicartStatus } = require('./flexicart_status_parser');
+const { FlexiCartBarcodeReader } = require('./flexicart_barcode_reader');
+const { findCommand, getBinNumber, getCassetteBinIndex } = require('./flexicart_command_catalog');
+
+const BIN_STATUS_COMMANDS = [0x62, 0x72];   // SENSE BIN STATUS / BIN STATUS RETURN
+
+/**
+ * Parsers run on replayed exchanges: { matches(exchange), parse(exchange) }
+ */
+const REPLAY_PARSERS = {
+    status: {
+        matches: (exchange) => !isBinStatusExchange(exchange),
+        parse: (exchange) => parseFlexicartStatus(exchange.response)
+    },
+    binStatus: {
+        matches: isBinStatusExchange,
+        parse: (exchange) => new FlexiCartBarcodeReader().parseBinStatusResponse(
+            exchange.response,
+            commandBinNumber(exchange.command),
+            exchange.command[5] === 0x72
+        )
+    }
+};
+
+/**
+ * Bin (CassetteBinOccupancy numbering) a captured bin status command asked for
+ * Captures made before BIN No. addressing carry the bin in CTRL
+ */
+function commandBinNumber(command) {
+    const block = command.subarray(6, command.length - 1);
+    const bin = getBinNumber(findCommand(command[5], block[0]), block);
+    return bin !== null ? getCassetteBinIndex(bin) : command[6];
+}
+
+function isBinStatusExchange(exchange) {
+    return !!exchange.command && isFlexiCartFrame(exchange.command) && BIN_STATUS_COMMANDS.includes(exchange.command[5]);
+}
+
+/**
+ * Pair each TX record with the RX bytes that followed it on the same port
+ * Unsolicited RX records become exchanges without a command
+ * @param {Array<Object>} records - Capture records (readCaptureFile)
+ * @returns {Array<Object>} { port, device, ts, us, command, response, records, unsolicited }
+ */
+function groupExchanges(records) {
+    const exchanges = [];
+    const open = new Map();     // port -> exchange still collecting its reply
+
+    for (const record of records) {
+        if (record.dir === 'tx') {
+            const exchange = {
+                port: record.port,
+                device: record.device,
+                ts: record.ts,
+                us: record.us,
+                command: record.data,
+                response: Buffer.alloc(0),
+                records: [record],
+                unsolicited: false
+            };
+            open.set(record.port, exchange);
+            exchanges.push(exchange);
+            continue;
+        }
+
+        const current = open.get(record.port);
+        if (record.unsolicited || !current) {
+            exchanges.push({
+                port: record.port,
+                device: record.device,
+                ts: record.ts,
+                us: record.us,
+                command: null,
+                response: record.data,
+                records: [record],
+                unsolicited: true
+            });
+            continue;
+        }
+
+        current.response = Buffer.concat([current.response, record.data]);
+        current.records.push(record);
+    }
+
+    return exchanges;
+}
+
+/**
+ * Replay one or more capture files through the parsers
+ * @param {string|Array<string>} source - Capture file(s); a single active file
+ *                                        also pulls in its rotated predecessors
+ * @param {Object} options - { parsers (names or { name: parser }), port, device, includeUnsolicited }
+ * @returns {Object} { files, header, exchanges: [{ ...exchange, decoded, results }], stats }
+ *   results[name] is the parser's return value, or { error, stack } if it threw
+ */
+function replayCapture(source, options = {}) {
+    const {
+        parsers = REPLAY_PARSERS,
+        port = null,
+        device = null,
+        includeUnsolicited = true
+    } = options;
+
+    const files = Array.isArray(source) ? source : listCaptureFiles(source);
+    const selected = Array.isArray(parsers) ?
+        Object.fromEntries(parsers.map(name => [name, REPLAY_PARSERS[name]]).filter(([, parser]) => parser)) :
+        parsers;
+
+    let header = null;
+    let invalidLines = 0;
+    const records = [];
+    for (const file of files) {
+        const capture = readCaptureFile(file);
+        header = header || capture.header;
+        invalidLines += capture.invalidLines;
+        records.push(...capture.records);
+    }
+
+    const stats = { records: records.length, exchanges: 0, parsed: 0, parserErrors: 0, invalidLines };
+    const exchanges = groupExchanges(records)
+        .filter(exchange => !port || exchange.port === port)
+        .filter(exchange => !device || exchange.device === device)
+        .filter(exchange => includeUnsolicited || !exchange.unsolicited);
+
+    for (const exchange of exchanges) {
+        exchange.decoded = decodeFlexiCartResponse(exchange.response);
+        exchange.results = {};
+
+        for (const [name, parser] of Object.entries(selected)) {
+            if (!parser.matches(exchange)) continue;
+            try {
+                exchange.results[name] = parser.parse(exchange);
+                stats.parsed++;
+            } catch (error) {
+                exchange.results[name] = { error: error.message, stack: error.stack };
+                stats.parserErrors++;
+            }
+        }
+    }
+    stats.exchanges = exchanges.length;
+
+    return { files, header, exchanges, stats };
+}
+
+module.exports = {
+    replayCapture,
+    groupExchanges,
+    REPLAY_PARSERS
+};
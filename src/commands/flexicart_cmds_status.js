@@ -5,21 +5,58 @@
 
 // Import from the new serial utils module
 const { sendCommand } = require('./flexicart_serial_utils');
-const { parseFlexicartStatus } = require('./flexicart_status_parser');
+const {
+    parseFlexicartStatus,
+    parseFlexicartErrors,
+    parseFlexicartInventory,
+    parseFlexicartErrorReport,
+    decodeStatusReturn,
+    decodeConsoleStatusReturn,
+    statusReturnToSystemStatus
+} = require('./flexicart_status_parser');
+const { decodeFlexiCartResponse } = require('./flexicart_frame_decoder');
+const { findConnectedCart } = require('./flexicart_state_integration');
+const {
+    buildCommandTable,
+    encodeCommand,
+    getCassetteBinIndex,
+    getCassetteBinNumber,
+    COMMAND_PROTOCOL,
+    MAX_BIN_INDEX
+} = require('./flexicart_command_catalog');
+
+/**
+ * Sense the Cart Status Return (STATUS_REQUEST 61H) of a cart
+ * @throws {Error} When the reply holds no Cart Status Return - nothing on the
+ *   line speaks the FlexiCart protocol at this address
+ */
+async function senseCartStatus(path, timeout, debug, cartAddress) {
+    const response = await sendCommand(path, encodeCommand('STATUS_REQUEST', {}, cartAddress), timeout, debug);
+    if (!decodeStatusReturn(response)) {
+        throw new Error(`Status request: expected a Cart Status Return (71H), received ${response.toString('hex') || 'nothing'}`);
+    }
+    return response;
+}
 
 /**
  * Get current status of Flexicart
+ * The Cart Status Return (STATUS_REQUEST 61H) and the cassette console status
+ * (SENSE_CONSOLE_STATUS, the door) are sensed; status.system holds the
+ * FlexiCartSystemStatus sections they report (statusReturnToSystemStatus)
  * @param {string} path - Serial port path
  * @param {number} timeout - Command timeout in milliseconds
  * @param {boolean} debug - Enable debug output
+ * @param {number} cartAddress - UA2 bit of the cart on the line
  * @returns {Promise<Object>} Status result
  */
-async function getFlexicartStatus(path, timeout = 2000, debug = false) {
+async function getFlexicartStatus(path, timeout = 2000, debug = false, cartAddress = 0x01) {
     try {
         if (debug) console.log(`📊 Getting Flexicart status from ${path}...`);
         
-        const response = await sendCommand(path, FLEXICART_COMMANDS.STATUS, timeout, debug);
+        const response = await senseCartStatus(path, timeout, debug, cartAddress);
+        const consoleReply = await sendCommand(path, encodeCommand('SENSE_CONSOLE_STATUS', {}, cartAddress), timeout, debug);
         const status = parseFlexicartStatus(response);
+        status.system = statusReturnToSystemStatus(status.statusReturn, { console: decodeConsoleStatusReturn(consoleReply) });
         
         return {
             success: true,
@@ -39,22 +76,27 @@ async function getFlexicartStatus(path, timeout = 2000, debug = false) {
 
 /**
  * Get current position of Flexicart
+ * The cart reports no position: it is the one tracked by the connected
+ * FlexiCartStateIntegration from the last motion macro that settled
+ * (parseFlexicartPosition), so nothing is sent
  * @param {string} path - Serial port path
- * @param {number} timeout - Command timeout in milliseconds
+ * @param {number} timeout - Unused (kept for the other status functions' signature)
  * @param {boolean} debug - Enable debug output
- * @returns {Promise<Object>} Position result
+ * @param {number} cartAddress - UA2 bit of the cart on the line
+ * @returns {Promise<Object>} Position result: { current, target, moving, command, operationId }
  */
-async function getFlexicartPosition(path, timeout = 2000, debug = false) {
+async function getFlexicartPosition(path, timeout = 2000, debug = false, cartAddress = 0x01) {
     try {
         if (debug) console.log(`📍 Getting Flexicart position from ${path}...`);
         
-        const response = await sendCommand(path, FLEXICART_COMMANDS.GET_POSITION, timeout, debug);
-        const position = parseFlexicartPosition(response);
+        const cart = findConnectedCart(path, cartAddress);
+        if (!cart) {
+            throw new Error(`No cart connected on ${path} - the position is tracked from the moves sent through FlexiCartStateIntegration`);
+        }
         
         return {
             success: true,
-            position: position,
-            raw: response,
+            position: cart.getPosition(),
             timestamp: new Date().toISOString()
         };
     } catch (error) {
@@ -68,27 +110,28 @@ async function getFlexicartPosition(path, timeout = 2000, debug = false) {
 }
 
 /**
- * Get inventory information from Flexicart
+ * Get error status from Flexicart (STATUS_REQUEST 61H: abnormal macro end
+ * information, console and data stream errors reported since the last sense)
  * @param {string} path - Serial port path
  * @param {number} timeout - Command timeout in milliseconds
  * @param {boolean} debug - Enable debug output
- * @returns {Promise<Object>} Inventory result
+ * @returns {Promise<Object>} Error status result
  */
-async function getFlexicartInventory(path, timeout = 3000, debug = false) {
+async function getFlexicartErrors(path, timeout = 2000, debug = false) {
     try {
-        if (debug) console.log(`📦 Getting Flexicart inventory from ${path}...`);
+        if (debug) console.log(`🚨 Getting Flexicart errors from ${path}...`);
         
-        const response = await sendCommand(path, FLEXICART_COMMANDS.GET_INVENTORY, timeout, debug);
-        const inventory = parseFlexicartInventory(response);
+        const response = await sendCommand(path, encodeCommand('STATUS_REQUEST'), timeout, debug);
+        const errors = parseFlexicartErrors(response);
         
         return {
             success: true,
-            inventory: inventory,
+            errors: errors,
             raw: response,
             timestamp: new Date().toISOString()
         };
     } catch (error) {
-        if (debug) console.log(`❌ Inventory check failed: ${error.message}`);
+        if (debug) console.log(`❌ Error status check failed: ${error.message}`);
         return {
             success: false,
             error: error.message,
@@ -98,27 +141,51 @@ async function getFlexicartInventory(path, timeout = 3000, debug = false) {
 }
 
 /**
- * Get error status from Flexicart
+ * Get the bins whose occupancy changed, with what is in them now
+ * CSTS3 (SENSE_CHANGED_BIN) reports one changed BIN No. per sense until it
+ * reads all 0; each cassette bin is then sensed with 62H SENSE BIN STATUS.
+ * After power on every bin counts as changed; `all` asks the cart to report
+ * every bin again first (REPORT_ALL_BINS)
  * @param {string} path - Serial port path
  * @param {number} timeout - Command timeout in milliseconds
  * @param {boolean} debug - Enable debug output
- * @returns {Promise<Object>} Error status result
+ * @param {boolean} all - Re-read every bin, not only the changed ones
+ * @returns {Promise<Object>} Inventory result: parseFlexicartInventory() of the bins sensed
  */
-async function getFlexicartErrors(path, timeout = 2000, debug = false) {
+async function getFlexicartInventory(path, timeout = 2000, debug = false, all = false) {
     try {
-        if (debug) console.log(`🚨 Getting Flexicart errors from ${path}...`);
+        if (debug) console.log(`📦 Getting Flexicart inventory from ${path}...`);
         
-        const response = await sendCommand(path, FLEXICART_COMMANDS.GET_ERRORS, timeout, debug);
-        const errors = parseFlexicartErrors(response);
+        if (all) {
+            const reply = await sendCommand(path, encodeCommand('REPORT_ALL_BINS'), timeout, debug);
+            const [answer] = decodeFlexiCartResponse(reply).messages;
+            if (!answer || answer.type !== 'ACK') {
+                throw new Error(`Report all bins refused: expected ACK, received ${answer ? answer.type : 'nothing'}`);
+            }
+        }
+        
+        const changed = new Set();
+        for (let senses = 0; senses <= MAX_BIN_INDEX; senses++) {
+            const status = decodeStatusReturn(await sendCommand(path, encodeCommand('SENSE_CHANGED_BIN'), timeout, debug));
+            if (!status) throw new Error('No Cart Status Return to SENSE_CHANGED_BIN');
+            if (status.changedBin === null) break;
+            changed.add(getCassetteBinIndex(status.changedBin));
+        }
+        changed.delete(null);   // VTRs
+        
+        const replies = [];
+        for (const bin of changed) {
+            const response = await sendCommand(path, encodeCommand('SENSE_BIN_STATUS', { bin: getCassetteBinNumber(bin) }), timeout, debug);
+            replies.push({ bin, response });
+        }
         
         return {
             success: true,
-            errors: errors,
-            raw: response,
+            inventory: parseFlexicartInventory(replies),
             timestamp: new Date().toISOString()
         };
     } catch (error) {
-        if (debug) console.log(`❌ Error status check failed: ${error.message}`);
+        if (debug) console.log(`❌ Inventory check failed: ${error.message}`);
         return {
             success: false,
             error: error.message,
@@ -128,22 +195,36 @@ async function getFlexicartErrors(path, timeout = 2000, debug = false) {
 }
 
 /**
- * Clear all errors on Flexicart
+ * Clear all errors on Flexicart without moving it
+ * 6FH SENSE ERROR REPORT returns the command behind a data stream error and
+ * clears CSTS15; abnormal macro end information is reported once per macro,
+ * so the status sensed afterwards confirms no error is left
  * @param {string} path - Serial port path
  * @param {number} timeout - Command timeout in milliseconds
  * @param {boolean} debug - Enable debug output
- * @returns {Promise<Object>} Clear errors result
+ * @returns {Promise<Object>} Clear errors result with the error report
+ *   (parseFlexicartErrorReport) and the error status read afterwards
  */
 async function clearFlexicartErrors(path, timeout = 2000, debug = false) {
     try {
         if (debug) console.log(`🧹 Clearing Flexicart errors on ${path}...`);
         
-        const response = await sendCommand(path, FLEXICART_COMMANDS.CLEAR_ERRORS, timeout, debug);
-        const status = parseFlexicartStatus(response);
+        const reply = await sendCommand(path, encodeCommand('SENSE_ERROR_REPORT'), timeout, debug);
+        const errorReport = parseFlexicartErrorReport(reply);
+        if (!errorReport) {
+            throw new Error(`Sense error report: expected an Error Report Return (7FH), received ${reply.toString('hex') || 'nothing'}`);
+        }
+        
+        const response = await sendCommand(path, encodeCommand('STATUS_REQUEST'), timeout, debug);
+        const errors = parseFlexicartErrors(response);
+        if (!errors.valid || errors.count > 0 || errors.errorReport) {
+            throw new Error(`${errors.count + (errors.errorReport ? 1 : 0)} error(s) still reported after clearing`);
+        }
         
         return {
             success: true,
-            status: status,
+            errorReport: errorReport,
+            errors: errors,
             raw: response,
             timestamp: new Date().toISOString()
         };
@@ -159,17 +240,19 @@ async function clearFlexicartErrors(path, timeout = 2000, debug = false) {
 
 /**
  * Test communication with Flexicart
+ * Succeeds only when a Cart Status Return comes back to STATUS_REQUEST (61H)
  * @param {string} path - Serial port path
  * @param {number} timeout - Command timeout in milliseconds
  * @param {boolean} debug - Enable debug output
+ * @param {number} cartAddress - UA2 bit of the cart on the line
  * @returns {Promise<Object>} Communication test result
  */
-async function testFlexicartCommunication(path, timeout = 2000, debug = false) {
+async function testFlexicartCommunication(path, timeout = 2000, debug = false, cartAddress = 0x01) {
     try {
         if (debug) console.log(`🔄 Testing communication with ${path}...`);
         
         const startTime = Date.now();
-        const response = await sendCommand(path, FLEXICART_COMMANDS.STATUS, timeout, debug);
+        const response = await senseCartStatus(path, timeout, debug, cartAddress);
         const endTime = Date.now();
         
         const status = parseFlexicartStatus(response);
@@ -305,23 +388,16 @@ async function autoScanFlexicarts(ports, debug = false) {
     return results;
 }
 
-// Flexicart command constants
-const FLEXICART_COMMANDS = {
-    STATUS: Buffer.from([0x02, 0x53, 0x03]),           // STX S ETX
-    GET_POSITION: Buffer.from([0x02, 0x50, 0x03]),     // STX P ETX  
-    GET_INVENTORY: Buffer.from([0x02, 0x49, 0x03]),    // STX I ETX
-    GET_ERRORS: Buffer.from([0x02, 0x45, 0x03]),       // STX E ETX
-    CLEAR_ERRORS: Buffer.from([0x02, 0x43, 0x03]),     // STX C ETX
-    GET_VERSION: Buffer.from([0x02, 0x56, 0x03]),      // STX V ETX
-    PING: Buffer.from([0x05]),                         // ENQ
-    RESET: Buffer.from([0x02, 0x52, 0x03])             // STX R ETX
-};
+// Flexicart command constants (ASCII STX/ETX entries of the command catalog)
+const FLEXICART_COMMANDS = buildCommandTable(COMMAND_PROTOCOL.ASCII, [
+    'STATUS', 'GET_POSITION', 'GET_INVENTORY', 'GET_ERRORS', 'CLEAR_ERRORS', 'GET_VERSION', 'PING', 'RESET'
+]);
 
 module.exports = {
     getFlexicartStatus,
-    getFlexicartPosition, 
-    getFlexicartInventory,
+    getFlexicartPosition,
     getFlexicartErrors,
+    getFlexicartInventory,
     clearFlexicartErrors,
     testFlexicartCommunication,
     autoScanFlexicarts,
@@ -5,7 +5,23 @@
 
 // Import from the new serial utils module
 const { sendCommand } = require('./flexicart_serial_utils');
-const { parseFlexicartStatus, parseFlexicartPosition, parseFlexicartMoveResponse } = require('./flexicart_status_parser');
+const { COMMAND_PRIORITY, COMMAND_CATEGORY } = require('./flexicart_command_queue');
+const {
+    parseFlexicartStatus,
+    parseFlexicartMoveResponse,
+    parseFlexicartCalibrationResponse
+} = require('./flexicart_status_parser');
+const { buildCommandTable, COMMAND_PROTOCOL } = require('./flexicart_command_catalog');
+
+// Queue options for anything that moves the hardware
+const MOVE_QUEUE_OPTIONS = { priority: COMMAND_PRIORITY.CONTROL, category: COMMAND_CATEGORY.MOVE };
+
+// Emergency stop jumps the queue and flushes pending moves
+const EMERGENCY_QUEUE_OPTIONS = {
+    priority: COMMAND_PRIORITY.EMERGENCY,
+    category: COMMAND_CATEGORY.EMERGENCY,
+    flush: [COMMAND_CATEGORY.MOVE]
+};
 
 /**
  * Send generic Flexicart command
@@ -52,7 +68,7 @@ async function moveFlexicartHome(path, timeout = 10000, debug = false) {
     try {
         if (debug) console.log(`🏠 Moving Flexicart to home position on ${path}...`);
         
-        const response = await sendCommand(path, FLEXICART_MOVEMENT_COMMANDS.MOVE_HOME, timeout, debug);
+        const response = await sendCommand(path, FLEXICART_MOVEMENT_COMMANDS.MOVE_HOME, timeout, debug, MOVE_QUEUE_OPTIONS);
         const moveResult = parseFlexicartMoveResponse(response);
         
         return {
@@ -87,7 +103,7 @@ async function moveFlexicartToPosition(path, position, timeout = 10000, debug =
         
         // Create position command - this will depend on your specific protocol
         const positionCommand = createPositionCommand(position);
-        const response = await sendCommand(path, positionCommand, timeout, debug);
+        const response = await sendCommand(path, positionCommand, timeout, debug, MOVE_QUEUE_OPTIONS);
         const moveResult = parseFlexicartMoveResponse(response);
         
         return {
@@ -112,6 +128,7 @@ async function moveFlexicartToPosition(path, position, timeout = 10000, debug =
 
 /**
  * Emergency stop Flexicart movement
+ * Sent ahead of everything queued on the port; queued moves are rejected with REQUEST_FLUSHED
  * @param {string} path - Serial port path
  * @param {number} timeout - Command timeout in milliseconds
  * @param {boolean} debug - Enable debug output
@@ -121,7 +138,7 @@ async function emergencyStopFlexicart(path, timeout = 3000, debug = false) {
     try {
         if (debug) console.log(`🛑 Emergency stop on ${path}...`);
         
-        const response = await sendCommand(path, FLEXICART_MOVEMENT_COMMANDS.EMERGENCY_STOP, timeout, debug);
+        const response = await sendCommand(path, FLEXICART_MOVEMENT_COMMANDS.EMERGENCY_STOP, timeout, debug, EMERGENCY_QUEUE_OPTIONS);
         const status = parseFlexicartStatus(response);
         
         return {
@@ -153,7 +170,7 @@ async function calibrateFlexicart(path, timeout = 30000, debug = false) {
     try {
         if (debug) console.log(`⚙️ Calibrating Flexicart on ${path}...`);
         
-        const response = await sendCommand(path, FLEXICART_MOVEMENT_COMMANDS.CALIBRATE, timeout, debug);
+        const response = await sendCommand(path, FLEXICART_MOVEMENT_COMMANDS.CALIBRATE, timeout, debug, MOVE_QUEUE_OPTIONS);
         const calibrationResult = parseFlexicartCalibrationResponse(response);
         
         return {
@@ -326,18 +343,12 @@ function createPositionCommand(position) {
     return Buffer.from(positionBytes);
 }
 
-// Flexicart movement command constants
+// Flexicart movement command constants (ASCII and Sony entries of the command catalog)
 const FLEXICART_MOVEMENT_COMMANDS = {
-    MOVE_HOME: Buffer.from([0x02, 0x48, 0x03]),                    // STX H ETX
-    EMERGENCY_STOP: Buffer.from([0x02, 0x21, 0x03]),               // STX ! ETX
-    CALIBRATE: Buffer.from([0x02, 0x43, 0x41, 0x4C, 0x03]),        // STX CAL ETX
-    ESTABLISH_CONTROL: Buffer.from([0x02, 0x43, 0x54, 0x52, 0x4C, 0x03]),  // STX CTRL ETX
+    ...buildCommandTable(COMMAND_PROTOCOL.ASCII, ['MOVE_HOME', 'EMERGENCY_STOP', 'CALIBRATE', 'ESTABLISH_CONTROL']),
     
-    // Sony-specific movement commands
-    SONY_STOP: Buffer.from([0x90, 0x20, 0x00, 0x00]),
-    SONY_EJECT: Buffer.from([0x90, 0x2A, 0x00, 0x00]),
-    SONY_LOAD: Buffer.from([0x90, 0x2B, 0x00, 0x00]),
-    SONY_GOTO_POS: Buffer.from([0x90, 0x24, 0x00, 0x00])          // Position will be set in last byte
+    // Sony 9-pin transport commands for the deck
+    ...buildCommandTable(COMMAND_PROTOCOL.SONY, ['SONY_STOP', 'SONY_EJECT'])
 };
 
 module.exports = {
@@ -0,0 +1,786 @@
+/**
+ * FlexiCart Command Catalog
+ * Single declarative table of every command the project sends: the framed
+ * FlexiCart protocol (STX BC UA1 UA2 BT CMD CTRL DATA CS), the Sony 9-pin
+ * packets (CMD-1 CMD-2 DATA CHECKSUM) and the legacy ASCII (STX x ETX) buffers
+ * still used by the older modules.
+ * Command builders, reply routing, queue classification, log names and
+ * request validation are all generated from these entries.
+ */
+
+const { FlexicartError } = require('./flexicart_errors');
+const { encodeFlexiCartFrame, isFlexiCartFrame } = require('./flexicart_frame_decoder');
+const { encodeSonyCommand, isSonyPacket, SONY_CMD1 } = require('./flexicart_sony_9pin');
+
+/**
+ * Wire format a catalog entry is sent in
+ */
+const COMMAND_PROTOCOL = {
+    FLEXICART: 'flexicart',     // Framed binary protocol
+    ASCII: 'ascii',             // Legacy STX <text> ETX
+    SONY: 'sony'                // Sony 9-pin RS-422 packets
+};
+
+/**
+ * How the cart answers a command
+ */
+const RESPONSE_CLASS = {
+    IMMEDIATE: 'immediate',     // The reply itself is the answer (sense data, ACK for a dummy)
+    MACRO: 'macro',             // ACK on acceptance, completion found by polling status
+    CONTROL: 'control'          // ACK, takes effect at once (tally, lamps, emergency stop)
+};
+
+/**
+ * What a command can do to the hardware
+ */
+const SAFETY_LEVEL = {
+    READ_ONLY: 'read_only',     // Queries - safe to repeat
+    CONTROL: 'control',         // Changes indicators or settings, nothing moves
+    MOTION: 'motion',           // Moves the elevator, carousel or a cassette
+    EMERGENCY: 'emergency'      // Emergency stop
+};
+
+const DEFAULT_DATA = 0x80;
+
+/**
+ * Bin addressing (BT 01H command blocks, protocol 8-2)
+ * CMD [Macro No.] + C.C SELECT + BIN No. (2 bytes BCD, high first) + DATA
+ *
+ * BIN No. (protocol 8-2-1): cassette bins are 10nn (S cassette, left),
+ * 11nn (S cassette, right) and 60nn (L/M cassette), nn = bin unit counted
+ * from the top (01 = topmost); VTR1-6 are 0101-0106 and the elevator is 0001.
+ * The L/M address of a unit covers the same space as its two S addresses, so
+ * it is not a bin of its own: an L/M cassette fills the unit and is kept at
+ * the unit's left bin, which 60nn resolves to. CassetteBinOccupancy numbers
+ * the physical bins 1..MAX_BIN_INDEX unit by unit: 1 = 1001, 2 = 1101, 3 = 1002 ...
+ */
+const CC_SELECT = 0x01;             // Cassette console 1
+const BIN_STATUS_BITMAP = 0x09;     // BSTS0 (bin flags) + BSTS3 (barcode data)
+const CONSOLE_STATUS_BITMAP = 0x01; // CCS0 - CCS1-7 are undefined
+const MAX_BIN_NUMBER = 9999;        // Largest 4-digit BCD bin number
+const BIN_COLUMNS = [10, 11];       // S left, S right - the physical bins of a unit
+const LM_COLUMN = 60;               // L/M address of a unit - spans both S bins
+const BIN_UNITS = 99;               // nn is two BCD digits
+const MAX_BIN_INDEX = BIN_COLUMNS.length * BIN_UNITS;
+const VTR_COUNT = 6;
+const ELEVATOR_BIN = 1;             // 0001
+const MAX_MACRO_NUMBER = 99;        // Macro No. is one BCD byte
+
+/**
+ * Cart status (Sense Cart Status 61H / Cart Status Return 71H, protocol 8-1-2)
+ * BIT MAP 1 bit n requests CSTSn, BIT MAP 2 bit n requests CSTS(8+n); the
+ * return carries each bit map followed by the CSTS bytes it asked for
+ */
+const CART_STATUS_BITMAP_1 = {
+    FAILURE: 0x01,              // CSTS0 TEST, REF/LTC missing, Power Down
+    MACRO_END: 0x02,            // CSTS1 Macro No. + end information
+    TURN_ON_END: 0x04,          // CSTS2
+    CHANGED_BIN: 0x08,          // CSTS3
+    CHANGED_CC: 0x10,           // CSTS4
+    CHANGED_VTR: 0x20,          // CSTS5
+    UB_BLOCK_COUNT: 0x40        // CSTS6
+};
+const CART_STATUS_BITMAP_2 = {
+    SYSTEM_MODE: 0x01,          // CSTS8
+    SWITCHER: 0x08,             // CSTS11
+    EXPANDED_VTR: 0x10,         // CSTS12
+    TURN_ON_END_EXTENDED: 0x20, // CSTS13
+    EXT_INPUT: 0x40,            // CSTS14
+    ERROR_REPORT: 0x80          // CSTS15
+};
+// What the status poll asks for: failures, macro ends, console errors, data errors
+const STATUS_POLL_BITMAP_1 = CART_STATUS_BITMAP_1.FAILURE | CART_STATUS_BITMAP_1.MACRO_END | CART_STATUS_BITMAP_1.CHANGED_CC;
+const STATUS_POLL_BITMAP_2 = CART_STATUS_BITMAP_2.ERROR_REPORT;
+
+const toBcd = (value) => ((Math.floor(value / 10) % 10) << 4) | (value % 10);
+
+/**
+ * Encode a bin number as the 2-byte BCD BIN No. field
+ * @param {number} bin - Bin number (0-9999)
+ * @returns {Array<number>} [high, low], e.g. 1012 -> [0x10, 0x12]
+ */
+function encodeBinNumber(bin) {
+    if (!Number.isInteger(bin) || bin < 0 || bin > MAX_BIN_NUMBER) {
+        throw new FlexicartError(`Bin number ${bin} cannot be encoded`, 'INVALID_PARAMETER');
+    }
+    return [toBcd(Math.floor(bin / 100)), toBcd(bin % 100)];
+}
+
+/**
+ * Decode a 2-byte BCD BIN No. field
+ * @returns {number|null} Bin number, null when a nibble is not a decimal digit
+ */
+function decodeBinNumber(high, low) {
+    const digits = [high >> 4, high & 0x0F, low >> 4, low & 0x0F];
+    if (digits.some(digit => digit > 9)) return null;
+    return digits.reduce((value, digit) => value * 10 + digit, 0);
+}
+
+/**
+ * BIN No. of a cassette bin (CassetteBinOccupancy numbering)
+ * @param {number} index - Bin 1..MAX_BIN_INDEX
+ * @returns {number} e.g. 1 -> 1001, 4 -> 1102, 198 -> 1199
+ */
+function getCassetteBinNumber(index) {
+    if (!Number.isInteger(index) || index < 1 || index > MAX_BIN_INDEX) {
+        throw new FlexicartError(`Bin ${index} is outside 1-${MAX_BIN_INDEX}`, 'INVALID_PARAMETER');
+    }
+    const unit = Math.floor((index - 1) / BIN_COLUMNS.length) + 1;
+    return BIN_COLUMNS[(index - 1) % BIN_COLUMNS.length] * 100 + unit;
+}
+
+/**
+ * Cassette bin (CassetteBinOccupancy numbering) for a BIN No.
+ * An L/M address (60nn) resolves to the left bin of its unit (10nn)
+ * @returns {number|null} Bin index, null for VTRs, the elevator and undefined numbers
+ */
+function getCassetteBinIndex(binNumber) {
+    if (!Number.isInteger(binNumber)) return null;
+    const prefix = Math.floor(binNumber / 100);
+    const column = prefix === LM_COLUMN ? 0 : BIN_COLUMNS.indexOf(prefix);
+    const unit = binNumber % 100;
+    if (column === -1 || unit < 1) return null;
+    return (unit - 1) * BIN_COLUMNS.length + column + 1;
+}
+
+/**
+ * L/M address (60nn) of the unit a cassette bin belongs to
+ * @param {number} index - Bin 1..MAX_BIN_INDEX
+ * @returns {number} e.g. 1 -> 6001, 2 -> 6001, 3 -> 6002
+ */
+function getLmBinNumber(index) {
+    return LM_COLUMN * 100 + getCassetteBinNumber(index) % 100;
+}
+
+/**
+ * BIN No. of a VTR in the cart
+ * @param {number} vtr - VTR 1-6
+ * @returns {number} 0101-0106
+ */
+function getVtrBinNumber(vtr) {
+    if (!Number.isInteger(vtr) || vtr < 1 || vtr > VTR_COUNT) {
+        throw new FlexicartError(`VTR ${vtr} is outside 1-${VTR_COUNT}`, 'INVALID_PARAMETER');
+    }
+    return 100 + vtr;
+}
+
+/**
+ * VTR a BIN No. addresses
+ * @returns {number|null} VTR 1-6, null for anything else
+ */
+function getVtrNumber(binNumber) {
+    const vtr = binNumber - 100;
+    return Number.isInteger(vtr) && vtr >= 1 && vtr <= VTR_COUNT ? vtr : null;
+}
+
+/**
+ * Readable BIN No. for logs, e.g. "BIN 1012", "VTR2", "ELEVATOR"
+ */
+function describeBinNumber(binNumber) {
+    if (binNumber === ELEVATOR_BIN) return 'ELEVATOR';
+    const vtr = getVtrNumber(binNumber);
+    return vtr !== null ? `VTR${vtr}` : `BIN ${String(binNumber).padStart(4, '0')}`;
+}
+
+/**
+ * Command parameter: a BIN No. (2 bytes BCD)
+ * Cassette bins are always accepted; VTRs and the elevator only where the
+ * command can address them (moves)
+ */
+function binParam(name = 'bin', { vtr = false, elevator = false } = {}) {
+    const kinds = ['a cassette bin number (10nn, 11nn or 60nn)'];
+    if (vtr) kinds.push('a VTR (0101-0106)');
+    if (elevator) kinds.push('the elevator (0001)');
+    return {
+        param: name,
+        type: 'binNumber',
+        accepts: (value) => getCassetteBinIndex(value) !== null ||
+            (vtr && getVtrNumber(value) !== null) ||
+            (elevator && value === ELEVATOR_BIN),
+        expected: kinds.length > 1 ? `${kinds.slice(0, -1).join(', ')} or ${kinds[kinds.length - 1]}` : kinds[0],
+        encode: encodeBinNumber
+    };
+}
+
+/**
+ * Command parameter: the Macro No. (one BCD byte, assigned by the controller
+ * and reported back with the end information in CSTS1)
+ */
+function macroParam(name = 'macro') {
+    return { param: name, type: 'integer', min: 0, max: MAX_MACRO_NUMBER, encode: toBcd };
+}
+
+/**
+ * Command parameter: a bit map byte (Sense Cart Status)
+ */
+function bitmapParam(name) {
+    return { param: name, type: 'integer', min: 0, max: 0xFF, encode: value => value };
+}
+
+/**
+ * Command parameter: an on/off flag sent as 01H/00H
+ */
+function flagParam(name) {
+    return { param: name, type: 'boolean', encode: value => (value ? 0x01 : 0x00) };
+}
+
+// Sony time data (DATA-1..4 BCD, see timecode.js encodeSonyTimeData)
+const NO_TIME_DATA = [0x00, 0x00, 0x00, 0x00];
+
+/**
+ * Command parameter: 4 bytes of Sony time data, already encoded at the deck's
+ * frame rate (the rate is not known to the catalog)
+ */
+function timeDataParam(name = 'time') {
+    return { param: name, type: 'timeData', encode: value => (Array.isArray(value) ? value : NO_TIME_DATA) };
+}
+
+const isParam = (field) => field !== null && typeof field === 'object';
+
+// Bytes a field takes on the wire
+const fieldWidth = (field) => (isParam(field) ? [].concat(field.encode(field.min || 0)).length : 1);
+
+/**
+ * Framed FlexiCart commands
+ * ctrl/data are a fixed byte or a parameter; commands with a Macro No. or
+ * BIN No. give the whole command block instead (block, first byte = CTRL -
+ * the Macro No. for BT 01H macros). responseLength is
+ * the whole reply in bytes (1 = ACK) or null when it varies
+ */
+const FLEXICART_COMMAND_DEFINITIONS = [
+    // Immediate sense commands
+    {
+        name: 'DUMMY', cmd: 0x50, ctrl: 0x00,
+        responseClass: RESPONSE_CLASS.IMMEDIATE, responseLength: 1, safety: SAFETY_LEVEL.READ_ONLY,
+        description: 'Dummy command - ACKed without side effects'
+    },
+    {
+        name: 'SENSE_CART_STATUS', cmd: 0x61, block: [bitmapParam('bitmap1'), bitmapParam('bitmap2')],
+        responseClass: RESPONSE_CLASS.IMMEDIATE, responseLength: null, safety: SAFETY_LEVEL.READ_ONLY,
+        responseType: 'status', description: 'Sense the CSTS bytes the two bit maps select'
+    },
+    {
+        name: 'STATUS_REQUEST', cmd: 0x61, ctrl: STATUS_POLL_BITMAP_1, data: STATUS_POLL_BITMAP_2,
+        responseClass: RESPONSE_CLASS.IMMEDIATE, responseLength: 16, safety: SAFETY_LEVEL.READ_ONLY,
+        responseType: 'status', description: 'Status poll - failure status, macro end, console and data errors'
+    },
+    {
+        name: 'SENSE_CHANGED_BIN', cmd: 0x61, ctrl: CART_STATUS_BITMAP_1.CHANGED_BIN, data: 0x00,
+        responseClass: RESPONSE_CLASS.IMMEDIATE, responseLength: 12, safety: SAFETY_LEVEL.READ_ONLY,
+        responseType: 'status', description: 'Next changed bin (CSTS3) - all 0 once none is left'
+    },
+    {
+        name: 'SENSE_CONSOLE_STATUS', cmd: 0x61, bt: 0x01, block: [CC_SELECT, CONSOLE_STATUS_BITMAP],
+        responseClass: RESPONSE_CLASS.IMMEDIATE, responseLength: 10, safety: SAFETY_LEVEL.READ_ONLY,
+        responseType: 'console', description: 'Cassette Console Status Return (BT 01H, 71H) - CCS0 door open/opening'
+    },
+    {
+        name: 'SENSE_BIN_STATUS', cmd: 0x62, bt: 0x01, block: [CC_SELECT, binParam(), BIN_STATUS_BITMAP],
+        responseClass: RESPONSE_CLASS.IMMEDIATE, responseLength: null, safety: SAFETY_LEVEL.READ_ONLY,
+        description: 'Bin status with barcode - ACK for an empty bin'
+    },
+    {
+        name: 'SENSE_REQUEST_63', cmd: 0x63, ctrl: 0x00,
+        responseClass: RESPONSE_CLASS.IMMEDIATE, responseLength: null, safety: SAFETY_LEVEL.READ_ONLY,
+        description: 'Sense request (reply format not documented)'
+    },
+    {
+        name: 'SYSTEM_MODE_REQUEST', cmd: 0x65, ctrl: 0x00,
+        responseClass: RESPONSE_CLASS.IMMEDIATE, responseLength: null, safety: SAFETY_LEVEL.READ_ONLY,
+        description: 'System mode / parameters'
+    },
+    {
+        name: 'SENSE_ERROR_REPORT', cmd: 0x6F, ctrl: 0x00,
+        responseClass: RESPONSE_CLASS.IMMEDIATE, responseLength: null, safety: SAFETY_LEVEL.READ_ONLY,
+        description: 'Error Report Return (7FH): BT + block of the command behind a data stream error, FFH when none - clears CSTS15'
+    },
+    {
+        name: 'BIN_STATUS_RETURN', cmd: 0x72, bt: 0x01, block: [CC_SELECT, binParam(), BIN_STATUS_BITMAP],
+        responseClass: RESPONSE_CLASS.IMMEDIATE, responseLength: null, safety: SAFETY_LEVEL.READ_ONLY,
+        description: 'Fetch the bin status/barcode after a slow SENSE BIN STATUS'
+    },
+
+    // Control commands - ACK, effective at once
+    {
+        name: 'SET_BIN_LAMP', cmd: 0x09, bt: 0x01, block: [CC_SELECT, binParam(), flagParam('on')],
+        responseClass: RESPONSE_CLASS.CONTROL, responseLength: 1, safety: SAFETY_LEVEL.CONTROL,
+        description: 'Bin lamp on/off'
+    },
+    {
+        name: 'ON_AIR_TALLY_ON', cmd: 0x71, ctrl: 0x01,
+        responseClass: RESPONSE_CLASS.CONTROL, responseLength: 1, safety: SAFETY_LEVEL.CONTROL,
+        description: 'ON-AIR tally on'
+    },
+    {
+        name: 'ON_AIR_TALLY_OFF', cmd: 0x71, ctrl: 0x00,
+        responseClass: RESPONSE_CLASS.CONTROL, responseLength: 1, safety: SAFETY_LEVEL.CONTROL,
+        description: 'ON-AIR tally off'
+    },
+    {
+        name: 'REPORT_ALL_BINS', cmd: 0x00, bt: 0x01, block: [0x01],
+        responseClass: RESPONSE_CLASS.CONTROL, responseLength: 1, safety: SAFETY_LEVEL.READ_ONLY,
+        description: 'Report every bin as changed in CSTS3 (re-reads the whole inventory)'
+    },
+    {
+        name: 'EMERGENCY_STOP', cmd: 0x48, ctrl: 0x00,
+        responseClass: RESPONSE_CLASS.CONTROL, responseLength: 1, safety: SAFETY_LEVEL.EMERGENCY,
+        description: 'Stop all motion at once'
+    },
+
+    // Macros - ACK, then poll status until done
+    {
+        name: 'CASSETTE_MOVE', cmd: 0x10, bt: 0x01,
+        block: [macroParam(), CC_SELECT, binParam('source', { vtr: true, elevator: true }),
+            CC_SELECT, binParam('destination', { vtr: true, elevator: true })],
+        responseClass: RESPONSE_CLASS.MACRO, responseLength: 1, safety: SAFETY_LEVEL.MOTION,
+        operationType: 'cassette_move', description: 'Move a cassette between bins, VTRs and the elevator'
+    },
+    {
+        name: 'ELEVATOR_MOVE', cmd: 0x14, bt: 0x01,
+        block: [macroParam(), CC_SELECT, binParam('destination', { vtr: true })],
+        responseClass: RESPONSE_CLASS.MACRO, responseLength: 1, safety: SAFETY_LEVEL.MOTION,
+        operationType: 'elevator_move', description: 'Move the elevator to a bin or VTR'
+    },
+    {
+        name: 'ELEVATOR_INITIALIZE', cmd: 0x1D, bt: 0x01, block: [macroParam(), CC_SELECT, 0x00],
+        responseClass: RESPONSE_CLASS.MACRO, responseLength: 1, safety: SAFETY_LEVEL.MOTION,
+        operationType: 'initialize', description: 'Initialize the elevator and read the bin and VTR positions'
+    },
+    {
+        name: 'ELEVATOR_UP', cmd: 0x41, ctrl: 0x01,
+        responseClass: RESPONSE_CLASS.MACRO, responseLength: 1, safety: SAFETY_LEVEL.MOTION,
+        operationType: 'elevator_move', description: 'Elevator up one level'
+    },
+    {
+        name: 'ELEVATOR_DOWN', cmd: 0x41, ctrl: 0x02,
+        responseClass: RESPONSE_CLASS.MACRO, responseLength: 1, safety: SAFETY_LEVEL.MOTION,
+        operationType: 'elevator_move', description: 'Elevator down one level'
+    },
+    {
+        name: 'CAROUSEL_CW', cmd: 0x42, ctrl: 0x01,
+        responseClass: RESPONSE_CLASS.MACRO, responseLength: 1, safety: SAFETY_LEVEL.MOTION,
+        operationType: 'carousel_rotate', description: 'Rotate carousel clockwise'
+    },
+    {
+        name: 'CAROUSEL_CCW', cmd: 0x42, ctrl: 0x02,
+        responseClass: RESPONSE_CLASS.MACRO, responseLength: 1, safety: SAFETY_LEVEL.MOTION,
+        operationType: 'carousel_rotate', description: 'Rotate carousel counter-clockwise'
+    },
+    {
+        name: 'INITIALIZE', cmd: 0x46, ctrl: 0x01,
+        responseClass: RESPONSE_CLASS.MACRO, responseLength: 1, safety: SAFETY_LEVEL.MOTION,
+        operationType: 'initialize', description: 'Initialize the system (clears emergency stop)'
+    },
+    {
+        name: 'CALIBRATE', cmd: 0x47, ctrl: 0x01,
+        responseClass: RESPONSE_CLASS.MACRO, responseLength: 1, safety: SAFETY_LEVEL.MOTION,
+        operationType: 'calibrate', description: 'Calibrate bin positions'
+    }
+];
+
+/**
+ * Legacy ASCII buffers (bytes may contain parameters) and Sony 9-pin packets
+ * (cmd1 group, cmd2, data). aliases are the names older modules use for the
+ * same command
+ */
+const LEGACY_COMMAND_DEFINITIONS = [
+    // ASCII status queries
+    { name: 'STATUS', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x53, 0x03], responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'STX S ETX' },
+    { name: 'GET_POSITION', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x50, 0x03], responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'STX P ETX' },
+    { name: 'GET_INVENTORY', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x49, 0x03], responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'STX I ETX' },
+    { name: 'GET_ERRORS', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x45, 0x03], responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'STX E ETX' },
+    { name: 'CLEAR_ERRORS', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x43, 0x03], responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.CONTROL, description: 'STX C ETX' },
+    { name: 'GET_VERSION', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x56, 0x03], responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'STX V ETX' },
+    { name: 'PING', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x05], responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'ENQ' },
+    { name: 'RESET', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x52, 0x03], responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.CONTROL, description: 'STX R ETX' },
+
+    // ASCII movement
+    { name: 'MOVE_HOME', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x48, 0x03], responseClass: RESPONSE_CLASS.MACRO, safety: SAFETY_LEVEL.MOTION, description: 'STX H ETX' },
+    { name: 'EMERGENCY_STOP', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x21, 0x03], responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.EMERGENCY, description: 'STX ! ETX' },
+    { name: 'CALIBRATE', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x43, 0x41, 0x4C, 0x03], responseClass: RESPONSE_CLASS.MACRO, safety: SAFETY_LEVEL.MOTION, description: 'STX CAL ETX' },
+    { name: 'ESTABLISH_CONTROL', protocol: COMMAND_PROTOCOL.ASCII, bytes: [0x02, 0x43, 0x54, 0x52, 0x4C, 0x03], responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.CONTROL, description: 'STX CTRL ETX' },
+
+    // Sony 9-pin (CMD-1 group + CMD-2 [+ DATA], count and checksum added by the codec)
+    { name: 'DEVICE_TYPE', aliases: ['ID_REQUEST', 'ID_QUERY'], protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.SYSTEM_CONTROL, cmd2: 0x11, responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'DEVICE TYPE REQUEST - returns 12 11 + 2 bytes' },
+    { name: 'SENSE_STATUS', aliases: ['STATUS_REQUEST', 'STATUS_QUERY', 'GENERAL_STATUS'], protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.SENSE_REQUEST, cmd2: 0x20, data: [0x0A], responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'STATUS SENSE - returns 7A 20 + STATUS DATA No.0-9' },
+    { name: 'CURRENT_TIME_SENSE', aliases: ['POSITION_STATUS', 'POSITION_QUERY'], protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.SENSE_REQUEST, cmd2: 0x0C, data: [0x01], responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'CURRENT TIME SENSE (LTC) - returns 74 04 + 4 bytes BCD' },
+    { name: 'VITC_TIME_SENSE', protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.SENSE_REQUEST, cmd2: 0x0C, data: [0x02], responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'CURRENT TIME SENSE (VITC) - returns 74 06 + 4 bytes BCD' },
+    { name: 'TIMER1_TIME_SENSE', protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.SENSE_REQUEST, cmd2: 0x0C, data: [0x04], responseClass: RESPONSE_CLASS.IMMEDIATE, safety: SAFETY_LEVEL.READ_ONLY, description: 'CURRENT TIME SENSE (TIMER-1 / CTL) - returns 74 00 + 4 bytes BCD' },
+    { name: 'SONY_STOP', aliases: ['STOP_COMMAND'], protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.TRANSPORT_CONTROL, cmd2: 0x00, responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.CONTROL, description: 'STOP - halts the tape transport only, not the cart' },
+    { name: 'SONY_PLAY', protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.TRANSPORT_CONTROL, cmd2: 0x01, responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.MOTION, description: 'PLAY' },
+    { name: 'SONY_FAST_FWD', protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.TRANSPORT_CONTROL, cmd2: 0x10, responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.MOTION, description: 'FAST FWD' },
+    { name: 'SONY_REWIND', protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.TRANSPORT_CONTROL, cmd2: 0x20, responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.MOTION, description: 'REWIND' },
+    { name: 'SONY_STANDBY_OFF', protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.TRANSPORT_CONTROL, cmd2: 0x04, responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.CONTROL, description: 'STANDBY OFF - accepted in STOP only' },
+    { name: 'SONY_STANDBY_ON', protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.TRANSPORT_CONTROL, cmd2: 0x05, responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.CONTROL, description: 'STANDBY ON' },
+    { name: 'SONY_CUE_UP_WITH_DATA', aliases: ['CUE_UP_WITH_DATA'], protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.TRANSPORT_CONTROL, cmd2: 0x31, data: [timeDataParam()], responseClass: RESPONSE_CLASS.MACRO, safety: SAFETY_LEVEL.MOTION, operationType: 'vtr_cue', description: 'CUE UP WITH DATA - ACK, then CUE UP COMPLETE in STATUS DATA No.2' },
+    { name: 'PREROLL_TIME_PRESET', protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.PRESET_SELECT, cmd2: 0x31, data: [timeDataParam()], responseClass: RESPONSE_CLASS.CONTROL, safety: SAFETY_LEVEL.CONTROL, description: 'PREROLL TIME PRESET - 4 bytes time data' },
+    { name: 'SONY_EJECT', aliases: ['EJECT_COMMAND'], protocol: COMMAND_PROTOCOL.SONY, cmd1: SONY_CMD1.TRANSPORT_CONTROL, cmd2: 0x0F, responseClass: RESPONSE_CLASS.MACRO, safety: SAFETY_LEVEL.MOTION, description: 'EJECT' }
+];
+
+/**
+ * Fill in defaults and freeze an entry
+ */
+function defineCommand(definition) {
+    const protocol = definition.protocol || COMMAND_PROTOCOL.FLEXICART;
+    // Framed commands: the command block after CMD (CTRL first); Sony: the data
+    // after CMD-2; ASCII: the whole buffer
+    let fields = definition.bytes;
+    if (protocol === COMMAND_PROTOCOL.FLEXICART) {
+        fields = definition.block || [definition.ctrl, 'data' in definition ? definition.data : DEFAULT_DATA];
+    } else if (protocol === COMMAND_PROTOCOL.SONY) {
+        fields = definition.data || [];
+    }
+
+    return Object.freeze({
+        bt: 0x00,
+        bytes: null,
+        aliases: [],
+        responseLength: null,
+        responseType: null,
+        operationType: null,
+        ...definition,
+        protocol,
+        block: protocol === COMMAND_PROTOCOL.FLEXICART ? fields : null,
+        ctrl: protocol === COMMAND_PROTOCOL.FLEXICART ? fields[0] : null,
+        fields,
+        params: fields.filter(isParam).map(field => field.param)
+    });
+}
+
+const COMMAND_CATALOG = Object.freeze(
+    [...FLEXICART_COMMAND_DEFINITIONS, ...LEGACY_COMMAND_DEFINITIONS].map(defineCommand)
+);
+
+// Framed commands by CMD byte for reply/log lookups
+const COMMANDS_BY_CODE = new Map();
+for (const definition of COMMAND_CATALOG) {
+    if (definition.protocol !== COMMAND_PROTOCOL.FLEXICART) continue;
+    if (!COMMANDS_BY_CODE.has(definition.cmd)) COMMANDS_BY_CODE.set(definition.cmd, []);
+    COMMANDS_BY_CODE.get(definition.cmd).push(definition);
+}
+
+/**
+ * Look up a catalog entry by name (or alias)
+ * @param {string} name - Command name
+ * @param {string} protocol - COMMAND_PROTOCOL value
+ * @returns {Object|null} Catalog entry
+ */
+function getCommandDefinition(name, protocol = COMMAND_PROTOCOL.FLEXICART) {
+    return COMMAND_CATALOG.find(d =>
+        d.protocol === protocol && (d.name === name || d.aliases.includes(name))
+    ) || null;
+}
+
+/**
+ * Find the framed command a CMD/CTRL pair belongs to
+ * A fixed CTRL must match; a parameter CTRL matches any value, and a CMD
+ * with a single entry matches whatever CTRL was sent. A CMD used in more than
+ * one BT (61H) only matches the entries of the BT given
+ * @param {number} cmd - CMD byte
+ * @param {number} ctrl - CTRL byte
+ * @param {number} bt - Block type
+ * @returns {Object|null} Catalog entry
+ */
+function findCommand(cmd, ctrl = 0x00, bt = 0x00) {
+    const entries = COMMANDS_BY_CODE.get(cmd) || [];
+    const candidates = entries.some(d => d.bt === bt) ? entries.filter(d => d.bt === bt) : entries;
+    return candidates.find(d => d.ctrl === ctrl) ||
+        candidates.find(d => isParam(d.ctrl)) ||
+        (candidates.length === 1 ? candidates[0] : null);
+}
+
+/**
+ * Readable name for a CMD/CTRL pair (CMD_xx when not in the catalog)
+ */
+function getCommandName(cmd, ctrl = 0x00, bt = 0x00) {
+    const definition = findCommand(cmd, ctrl, bt);
+    return definition ? definition.name : `CMD_${cmd.toString(16).toUpperCase()}`;
+}
+
+/**
+ * Check a parameter value against its field definition
+ * @returns {string|null} Problem description
+ */
+function checkParam(field, value) {
+    if (value === undefined) return `missing parameter "${field.param}"`;
+    if (field.type === 'boolean') {
+        return typeof value === 'boolean' ? null : `"${field.param}" must be true or false`;
+    }
+    if (field.type === 'binNumber') {
+        return field.accepts(value) ? null : `"${field.param}" must be ${field.expected}`;
+    }
+    if (field.type === 'timeData') {
+        const isByte = (byte) => Number.isInteger(byte) && byte >= 0 && byte <= 0xFF;
+        return Array.isArray(value) && value.length === NO_TIME_DATA.length && value.every(isByte) ?
+            null : `"${field.param}" must be 4 bytes of time data`;
+    }
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        return `"${field.param}" must be an integer from ${field.min} to ${field.max}`;
+    }
+    return null;
+}
+
+/**
+ * Validate a command request (API input, named sends)
+ * @param {Object} request - { name, params, protocol }
+ * @param {Object} options - { allowedSafety: [SAFETY_LEVEL...] } to refuse e.g. motion
+ * @returns {Object} { valid, errors, definition }
+ */
+function validateCommandRequest(request = {}, options = {}) {
+    const { name, params = {}, protocol = COMMAND_PROTOCOL.FLEXICART } = request;
+    const definition = typeof name === 'string' ? getCommandDefinition(name, protocol) : null;
+    if (!definition) {
+        return { valid: false, errors: [`Unknown ${protocol} command "${name}"`], definition: null };
+    }
+
+    const errors = [];
+    for (const field of definition.fields.filter(isParam)) {
+        const problem = checkParam(field, params[field.param]);
+        if (problem) errors.push(`${definition.name}: ${problem}`);
+    }
+    for (const key of Object.keys(params)) {
+        if (!definition.params.includes(key)) errors.push(`${definition.name}: unexpected parameter "${key}"`);
+    }
+    if (options.allowedSafety && !options.allowedSafety.includes(definition.safety)) {
+        errors.push(`${definition.name}: ${definition.safety} commands are not allowed`);
+    }
+
+    return { valid: errors.length === 0, errors, definition };
+}
+
+/**
+ * Validate a request or throw
+ * @returns {Object} Catalog entry
+ */
+function assertValidCommand(name, params, protocol) {
+    const result = validateCommandRequest({ name, params, protocol });
+    if (!result.valid) {
+        throw new FlexicartError(result.errors.join('; '), result.definition ? 'INVALID_PARAMETER' : 'INVALID_COMMAND');
+    }
+    return result.definition;
+}
+
+const encodeFields = (fields, params) =>
+    fields.flatMap(field => (isParam(field) ? field.encode(params[field.param]) : field));
+
+/**
+ * Resolve the bytes of a framed command
+ * @param {string} name - Command name
+ * @param {Object} params - Parameter values
+ * @returns {Object} { definition, bt, cmd, ctrl, data, block } - block is CTRL + data bytes
+ */
+function resolveCommand(name, params = {}) {
+    const definition = assertValidCommand(name, params, COMMAND_PROTOCOL.FLEXICART);
+    const block = encodeFields(definition.block, params);
+    return {
+        definition,
+        bt: definition.bt,
+        cmd: definition.cmd,
+        ctrl: block[0],
+        data: block.slice(1),
+        block
+    };
+}
+
+/**
+ * Bytes of a Sony packet or ASCII buffer
+ * @param {Object} definition - Catalog entry
+ * @param {Object} params - Parameter values
+ * @returns {Buffer} Command buffer
+ */
+function encodeLegacyCommand(definition, params) {
+    const bytes = encodeFields(definition.fields, params);
+    return definition.protocol === COMMAND_PROTOCOL.SONY ?
+        encodeSonyCommand(definition.cmd1, definition.cmd2, bytes) :
+        Buffer.from(bytes);
+}
+
+/**
+ * Build the bytes for a catalog command
+ * @param {string} name - Command name
+ * @param {Object} params - Parameter values, e.g. { bin: 42 }
+ * @param {number} ua2 - Cart address (framed commands only)
+ * @param {string} protocol - COMMAND_PROTOCOL value
+ * @returns {Buffer} Command buffer
+ */
+function encodeCommand(name, params = {}, ua2 = 0x01, protocol = COMMAND_PROTOCOL.FLEXICART) {
+    if (protocol !== COMMAND_PROTOCOL.FLEXICART) {
+        return encodeLegacyCommand(assertValidCommand(name, params, protocol), params);
+    }
+
+    const { bt, cmd, block } = resolveCommand(name, params);
+    return encodeFlexiCartFrame(ua2, bt, cmd, block);
+}
+
+/**
+ * Name -> Buffer table for parameterless commands (the shape the older modules export)
+ * @param {string} protocol - COMMAND_PROTOCOL value
+ * @param {Array<string>} names - Names or aliases to include
+ * @param {number} ua2 - Cart address for framed commands
+ * @returns {Object} { NAME: Buffer }
+ */
+function buildCommandTable(protocol, names, ua2 = 0x01) {
+    const table = {};
+    for (const name of names) {
+        const definition = getCommandDefinition(name, protocol);
+        if (!definition) throw new FlexicartError(`Unknown ${protocol} command "${name}"`, 'INVALID_COMMAND');
+        // Parameterised bytes are 0 in a static table
+        const params = Object.fromEntries(definition.params.map(param => [param, 0]));
+        table[name] = protocol === COMMAND_PROTOCOL.FLEXICART ?
+            encodeCommand(name, {}, ua2) :
+            encodeLegacyCommand(definition, params);
+    }
+    return table;
+}
+
+/**
+ * BIN No. fields carried in a framed command's block
+ * @param {Object} definition - Catalog entry
+ * @param {Buffer|Array} block - Bytes after CMD (CTRL first)
+ * @returns {Object} { param: bin number } for every BIN No. field present
+ */
+function getBinNumbers(definition, block) {
+    const bins = {};
+    let offset = 0;
+    for (const field of (definition && definition.block) || []) {
+        if (isParam(field) && field.encode === encodeBinNumber && block.length >= offset + 2) {
+            bins[field.param] = decodeBinNumber(block[offset], block[offset + 1]);
+        }
+        offset += fieldWidth(field);
+    }
+    return bins;
+}
+
+/**
+ * Bin number carried in a framed command's block
+ * @param {Object} definition - Catalog entry
+ * @param {Buffer|Array} block - Bytes after CMD (CTRL first)
+ * @param {string} param - Which BIN No. field (default: the first)
+ * @returns {number|null} Bin number, null when the command has no such BIN No. field
+ */
+function getBinNumber(definition, block, param = null) {
+    const bins = getBinNumbers(definition, block);
+    const value = param ? bins[param] : Object.values(bins)[0];
+    return value === undefined ? null : value;
+}
+
+/**
+ * Macro No. carried by a framed command
+ * @param {Buffer} command - Command buffer
+ * @returns {number|null} Macro No., null for commands sent without one (the
+ *          cart reports their end under FFH)
+ */
+function getMacroNumber(command) {
+    if (!isFlexiCartFrame(command) || command.length < 8) return null;
+
+    const block = command.subarray(6, command.length - 1);
+    const definition = findCommand(command[5], block[0], command[4]);
+    const [field] = (definition && definition.block) || [];
+    if (!isParam(field) || field.param !== 'macro') return null;
+    return decodeBinNumber(0x00, block[0]);
+}
+
+/**
+ * Describe a command buffer for logs
+ * @param {Buffer} command - Command buffer
+ * @returns {string} e.g. "STATUS_REQUEST (61H, CTRL 10H)", "CASSETTE_MOVE (10H, BIN 1012 -> VTR1)"
+ *                   or "SONY SONY_STOP (20 00)"
+ */
+function describeCommand(command) {
+    const hex = (byte) => byte.toString(16).toUpperCase().padStart(2, '0');
+
+    if (isFlexiCartFrame(command) && command.length >= 6) {
+        const block = command.subarray(6, command.length - 1);
+        const ctrl = block.length > 0 ? block[0] : 0x00;
+        const definition = findCommand(command[5], ctrl, command[4]);
+        const bins = Object.values(getBinNumbers(definition, block)).filter(bin => bin !== null);
+        return `${getCommandName(command[5], ctrl, command[4])} (${hex(command[5])}H, ` +
+            (bins.length > 0 ? `${bins.map(describeBinNumber).join(' -> ')})` : `CTRL ${hex(ctrl)}H)`);
+    }
+
+    if (isSonyPacket(command)) {
+        const sony = COMMAND_CATALOG.find(d =>
+            d.protocol === COMMAND_PROTOCOL.SONY && d.cmd1 === (command[0] & 0xF0) && d.cmd2 === command[1]
+        );
+        if (sony) return `SONY ${sony.name} (${hex(command[0])} ${hex(command[1])})`;
+    }
+
+    const legacy = COMMAND_CATALOG.find(d =>
+        d.bytes && d.bytes.reduce((length, field) => length + fieldWidth(field), 0) === command.length &&
+        d.bytes.every((field, i) => isParam(field) || field === command[i])
+    );
+    return legacy ? `${legacy.protocol.toUpperCase()} ${legacy.name}` : `RAW ${command.toString('hex')}`;
+}
+
+/**
+ * CMD bytes of the framed commands matching a predicate
+ * @param {Function} predicate - (definition) => boolean
+ * @returns {Array<number>} Unique CMD bytes
+ */
+function getCommandCodes(predicate) {
+    const codes = COMMAND_CATALOG
+        .filter(d => d.protocol === COMMAND_PROTOCOL.FLEXICART && predicate(d))
+        .map(d => d.cmd);
+    return [...new Set(codes)];
+}
+
+/**
+ * Whether a CMD byte is a macro (ACK first, completion by polling)
+ */
+function isMacroCommand(cmd) {
+    return (COMMANDS_BY_CODE.get(cmd) || []).some(d => d.responseClass === RESPONSE_CLASS.MACRO);
+}
+
+/**
+ * Operation type tracked for a macro (null for anything else)
+ */
+function getOperationType(cmd, ctrl = 0x00, bt = 0x00) {
+    const definition = findCommand(cmd, ctrl, bt);
+    return definition ? definition.operationType : null;
+}
+
+/**
+ * Which reply parser handles the data returned for a CMD/CTRL pair
+ */
+function getResponseType(cmd, ctrl = 0x00, bt = 0x00) {
+    const definition = findCommand(cmd, ctrl, bt);
+    return (definition && definition.responseType) || 'status';
+}
+
+module.exports = {
+    getCommandDefinition,
+    findCommand,
+    encodeBinNumber,
+    decodeBinNumber,
+    getBinNumber,
+    getBinNumbers,
+    getMacroNumber,
+    getCassetteBinNumber,
+    getCassetteBinIndex,
+    getLmBinNumber,
+    getVtrBinNumber,
+    getVtrNumber,
+    describeBinNumber,
+    getCommandName,
+    validateCommandRequest,
+    resolveCommand,
+    encodeCommand,
+    buildCommandTable,
+    describeCommand,
+    getCommandCodes,
+    isMacroCommand,
+    getOperationType,
+    getResponseType,
+    COMMAND_CATALOG,
+    COMMAND_PROTOCOL,
+    CART_STATUS_BITMAP_1,
+    CART_STATUS_BITMAP_2,
+    STATUS_POLL_BITMAP_1,
+    STATUS_POLL_BITMAP_2,
+    MAX_BIN_INDEX,
+    MAX_MACRO_NUMBER,
+    VTR_COUNT,
+    ELEVATOR_BIN,
+    RESPONSE_CLASS,
+    SAFETY_LEVEL
+};
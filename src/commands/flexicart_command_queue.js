@@ -0,0 +1,305 @@
+/**
+ * FlexiCart Command Queue
+ * Per-device priority queue in front of a connection: requests run one at a
+ * time, highest priority first (FIFO within a priority), with optional
+ * deadlines and cancellation. Emergency stops jump the queue and flush any
+ * queued moves before they are sent.
+ */
+
+const EventEmitter = require('events');
+const { FlexicartError } = require('./flexicart_errors');
+const { isFlexiCartFrame } = require('./flexicart_frame_decoder');
+const { getCommandCodes, SAFETY_LEVEL } = require('./flexicart_command_catalog');
+
+/**
+ * Request priorities (lower runs first)
+ */
+const COMMAND_PRIORITY = {
+    EMERGENCY: 0,   // Emergency stop - always next on the wire
+    CONTROL: 10,    // Moves, macros, load/unload
+    NORMAL: 20,     // One-off queries, barcode reads, lamps
+    POLL: 30        // Background status/inventory polling
+};
+
+/**
+ * Command categories used for flushing
+ */
+const COMMAND_CATEGORY = {
+    EMERGENCY: 'emergency',
+    MOVE: 'move',
+    STATUS: 'status',
+    OTHER: 'other'
+};
+
+// Categories follow the catalog safety level: emergency stop, anything that moves hardware, queries
+const EMERGENCY_COMMANDS = getCommandCodes(d => d.safety === SAFETY_LEVEL.EMERGENCY);
+const MOVE_COMMANDS = getCommandCodes(d => d.safety === SAFETY_LEVEL.MOTION);
+const STATUS_COMMANDS = getCommandCodes(d => d.safety === SAFETY_LEVEL.READ_ONLY);
+
+/**
+ * Work out the default priority/category for an outgoing command
+ * @param {Buffer} command - Command buffer
+ * @returns {Object} { priority, category }
+ */
+function classifyCommand(command) {
+    if (!isFlexiCartFrame(command)) {
+        return { priority: COMMAND_PRIORITY.NORMAL, category: COMMAND_CATEGORY.OTHER };
+    }
+
+    const cmd = command[5];
+    if (EMERGENCY_COMMANDS.includes(cmd)) {
+        return { priority: COMMAND_PRIORITY.EMERGENCY, category: COMMAND_CATEGORY.EMERGENCY };
+    }
+    if (MOVE_COMMANDS.includes(cmd)) {
+        return { priority: COMMAND_PRIORITY.CONTROL, category: COMMAND_CATEGORY.MOVE };
+    }
+    if (STATUS_COMMANDS.includes(cmd)) {
+        return { priority: COMMAND_PRIORITY.NORMAL, category: COMMAND_CATEGORY.STATUS };
+    }
+    return { priority: COMMAND_PRIORITY.NORMAL, category: COMMAND_CATEGORY.OTHER };
+}
+
+/**
+ * Priority queue that feeds one request at a time to an executor
+ *
+ * Events:
+ *   'queued'    ({ id, priority, category, depth })
+ *   'dispatch'  ({ id, priority, category, waited })
+ *   'cancelled' ({ id, category, code })
+ *   'flushed'   ({ by, count, categories }) - a flushing request was dispatched
+ */
+class FlexiCartCommandQueue extends EventEmitter {
+    /**
+     * @param {Function} executor - async (command, options) => response
+     * @param {string} name - Label used in errors (device address)
+     */
+    constructor(executor, name = 'flexicart') {
+        super();
+        this.executor = executor;
+        this.name = name;
+        this.entries = [];
+        this.active = null;
+        this.nextId = 1;
+        this.stats = {
+            enqueued: 0,
+            executed: 0,
+            cancelled: 0,
+            expired: 0,
+            flushed: 0,
+            emergencies: 0
+        };
+    }
+
+    /**
+     * Queue a command
+     * @param {Buffer} command - Command buffer
+     * @param {Object} options - Executor options plus:
+     *   priority     {number}        COMMAND_PRIORITY value (default: classified from the command)
+     *   category     {string}        COMMAND_CATEGORY value (default: classified from the command)
+     *   deadline     {number}        Epoch ms after which the request is dropped if not yet sent
+     *   maxWait      {number}        Relative alternative to deadline (ms from now)
+     *   signal       {AbortSignal}   Cancels the request while it is still queued
+     *   flush        {Array<string>} Categories to flush when this request is dispatched
+     *                                (default for emergency stops: ['move'])
+     * @returns {Promise<Buffer>} Response; the promise carries the request id as .requestId
+     */
+    enqueue(command, options = {}) {
+        const {
+            priority: priorityOption,
+            category: categoryOption,
+            deadline: deadlineOption,
+            maxWait,
+            signal,
+            flush,
+            ...executorOptions
+        } = options;
+
+        const classified = classifyCommand(command);
+        const priority = priorityOption !== undefined ? priorityOption : classified.priority;
+        const category = categoryOption || classified.category;
+        const deadline = deadlineOption || (maxWait !== undefined ? Date.now() + maxWait : null);
+        const isEmergency = priority === COMMAND_PRIORITY.EMERGENCY;
+
+        const entry = {
+            id: this.nextId++,
+            command,
+            options: executorOptions,
+            priority,
+            category,
+            deadline,
+            flush: flush || (isEmergency ? [COMMAND_CATEGORY.MOVE] : []),
+            signal,
+            queuedAt: Date.now(),
+            resolve: null,
+            reject: null,
+            deadlineTimer: null,
+            onAbort: null
+        };
+
+        const promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        promise.requestId = entry.id;
+
+        if (signal && signal.aborted) {
+            this.stats.cancelled++;
+            entry.reject(new FlexicartError(`Request ${entry.id} cancelled`, 'REQUEST_CANCELLED', this.name));
+            return promise;
+        }
+
+        if (deadline !== null) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                this.stats.expired++;
+                entry.reject(new FlexicartError(`Request ${entry.id} deadline already passed`, 'DEADLINE_EXCEEDED', this.name));
+                return promise;
+            }
+            entry.deadlineTimer = setTimeout(() => {
+                this.stats.expired++;
+                this.remove(entry, new FlexicartError(`Request ${entry.id} not sent before its deadline`, 'DEADLINE_EXCEEDED', this.name));
+            }, remaining);
+            entry.deadlineTimer.unref();
+        }
+
+        if (signal) {
+            entry.onAbort = () => {
+                this.stats.cancelled++;
+                this.remove(entry, new FlexicartError(`Request ${entry.id} cancelled`, 'REQUEST_CANCELLED', this.name));
+            };
+            signal.addEventListener('abort', entry.onAbort, { once: true });
+        }
+
+        // Stable insert: after every entry with the same or higher priority
+        let index = this.entries.findIndex(e => e.priority > priority);
+        if (index === -1) index = this.entries.length;
+        this.entries.splice(index, 0, entry);
+
+        this.stats.enqueued++;
+        if (isEmergency) this.stats.emergencies++;
+        this.emit('queued', { id: entry.id, priority, category, depth: this.entries.length });
+
+        this.pump();
+        return promise;
+    }
+
+    /**
+     * Cancel a queued request by id (requests already on the wire run to completion)
+     * @param {number} id - Request id (promise.requestId)
+     * @returns {boolean} True if the request was still queued
+     */
+    cancel(id) {
+        const entry = this.entries.find(e => e.id === id);
+        if (!entry) return false;
+        this.stats.cancelled++;
+        return this.remove(entry, new FlexicartError(`Request ${id} cancelled`, 'REQUEST_CANCELLED', this.name));
+    }
+
+    /**
+     * Reject every queued request matching the given categories
+     * @param {Array<string>|null} categories - Categories to flush (null = everything)
+     * @param {FlexicartError} error - Rejection reason
+     * @returns {number} Number of requests flushed
+     */
+    flush(categories = null, error = null) {
+        const victims = this.entries.filter(e => !categories || categories.includes(e.category));
+        const reason = error || new FlexicartError('Request flushed from queue', 'REQUEST_FLUSHED', this.name);
+
+        for (const entry of victims) {
+            this.remove(entry, reason);
+        }
+        this.stats.flushed += victims.length;
+        return victims.length;
+    }
+
+    /**
+     * Number of queued (not yet dispatched) requests
+     */
+    get depth() {
+        return this.entries.length;
+    }
+
+    /**
+     * True while a request is on the wire
+     */
+    get busy() {
+        return this.active !== null;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            depth: this.entries.length,
+            busy: this.busy
+        };
+    }
+
+    /**
+     * Drop an entry from the queue and reject it
+     */
+    remove(entry, error) {
+        const index = this.entries.indexOf(entry);
+        if (index === -1) return false;
+
+        this.entries.splice(index, 1);
+        this.releaseEntry(entry);
+        entry.reject(error);
+        this.emit('cancelled', { id: entry.id, category: entry.category, code: error.code });
+        return true;
+    }
+
+    releaseEntry(entry) {
+        clearTimeout(entry.deadlineTimer);
+        if (entry.signal && entry.onAbort) {
+            entry.signal.removeEventListener('abort', entry.onAbort);
+        }
+    }
+
+    /**
+     * Dispatch the next request if nothing is on the wire
+     */
+    pump() {
+        if (this.active || this.entries.length === 0) return;
+
+        const entry = this.entries.shift();
+        this.releaseEntry(entry);
+        this.active = entry;
+
+        if (entry.flush.length > 0) {
+            const count = this.flush(entry.flush, new FlexicartError(
+                `Request flushed by ${entry.category} request ${entry.id}`, 'REQUEST_FLUSHED', this.name));
+            // Also emitted when nothing was queued: retries waiting out a backoff listen for it
+            this.emit('flushed', { by: entry.id, count, categories: entry.flush });
+        }
+
+        this.emit('dispatch', {
+            id: entry.id,
+            priority: entry.priority,
+            category: entry.category,
+            waited: Date.now() - entry.queuedAt
+        });
+
+        let result;
+        try {
+            result = Promise.resolve(this.executor(entry.command, entry.options));
+        } catch (error) {
+            result = Promise.reject(error);
+        }
+
+        result.then(
+            (response) => entry.resolve(response),
+            (error) => entry.reject(error)
+        ).then(() => {
+            this.stats.executed++;
+            this.active = null;
+            this.pump();
+        });
+    }
+}
+
+module.exports = {
+    FlexiCartCommandQueue,
+    classifyCommand,
+    COMMAND_PRIORITY,
+    COMMAND_CATEGORY
+};
@@ -0,0 +1,521 @@
+/**
+ * Flexicart Connection Manager
+ * Owns one long-lived connection per device address (serial path, tcp:// or
+ * memory://), serializes requests on it and reconnects automatically after I/O errors
+ */
+
+const EventEmitter = require('events');
+const { FlexicartError } = require('./flexicart_errors');
+const { createTransport } = require('./flexicart_transports');
+const { getLineSettings, DEFAULT_LINE_SETTINGS } = require('./device_config');
+const { FlexiCartCommandQueue } = require('./flexicart_command_queue');
+const { FlexiCartFrameDecoder, decodeFlexiCartResponse } = require('./flexicart_frame_decoder');
+const { describeCommand } = require('./flexicart_command_catalog');
+
+/**
+ * Default connection behaviour (line-specific timing comes from device_config)
+ */
+const DEFAULT_CONNECTION_OPTIONS = {
+    reconnectDelay: 500,        // First reconnect attempt after an I/O error
+    maxReconnectDelay: 10000,   // Reconnect backoff ceiling
+    idleTimeout: 0              // Close after this many idle ms (0 = keep open)
+};
+
+// After a NAK the cart must not be sent the next message within 40ms (protocol 4-2.5)
+const NAK_QUIET_TIME = 40;
+
+/**
+ * Legacy completion check: a chunk containing ETX/CR/LF or 64 buffered bytes
+ * @param {Buffer} buffer - Everything received so far for this request
+ * @param {Buffer} chunk - The chunk that just arrived
+ * @returns {boolean} True when the response is considered complete
+ */
+function isTerminatedResponse(buffer, chunk) {
+    return chunk.includes(0x03) ||      // ETX terminator
+           chunk.includes(0x0D) ||      // CR terminator
+           chunk.includes(0x0A) ||      // LF terminator
+           buffer.length >= 64;         // Max reasonable response length
+}
+
+/**
+ * A single persistent device connection
+ * Requests are executed strictly one at a time in priority order. Every decoded
+ * FlexiCart frame is also emitted as 'frame' so multi-drop carts can be routed by UA2,
+ * and every byte written or received is emitted as 'traffic' for wire capture.
+ */
+class FlexiCartConnection extends EventEmitter {
+    constructor(path, settings = {}, options = {}) {
+        super();
+        this.path = path;
+        this.settings = { ...getLineSettings(path), ...settings };
+        this.options = { ...DEFAULT_CONNECTION_OPTIONS, ...options };
+        this.lastRequestEnd = 0;
+        this.quietUntil = 0;            // Set after a NAK
+
+        this.transport = null;
+        this.isOpen = false;
+        this.closing = false;
+        this.openPromise = null;
+
+        // Request serialization (priority order, one on the wire at a time)
+        this.queue = new FlexiCartCommandQueue((command, opts) => this.execute(command, opts), path);
+        this.queue.on('flushed', (info) => this.emit('flushed', { path: this.path, ...info }));
+        this.pending = null;
+
+        // Frames arriving outside a request (late replies, unsolicited reports)
+        this.unsolicitedDecoder = new FlexiCartFrameDecoder();
+        this.unsolicitedDecoder.on('frame', (frame) => {
+            this.emit('frame', { path: this.path, frame, unsolicited: true });
+        });
+
+        // Reconnect / idle handling
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.idleTimer = null;
+
+        this.stats = {
+            opens: 0,
+            reconnects: 0,
+            requests: 0,
+            timeouts: 0,
+            ioErrors: 0,
+            lastError: null
+        };
+    }
+
+    /**
+     * Open the transport if it is not already open
+     * Concurrent callers share the same open attempt
+     */
+    open(debug = false) {
+        if (this.isOpen) return Promise.resolve();
+        if (this.openPromise) return this.openPromise;
+
+        this.closing = false;
+        const opening = new Promise((resolve, reject) => {
+            const startTime = Date.now();
+            let settled = false;
+            let transport;
+
+            if (debug) console.log(`    🔌 [DEBUG] Opening RS-422 port ${this.path}...`);
+
+            const fail = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(openTimeout);
+                if (transport) {
+                    transport.removeAllListeners();
+                    transport.on('error', () => {});
+                }
+                this.stats.lastError = error.message;
+                reject(error);
+            };
+
+            const openTimeout = setTimeout(() => {
+                if (debug) console.log(`    ⏰ [DEBUG] Port open timeout for ${this.path}`);
+                fail(new FlexicartError(`Port open timeout: ${this.path}`, 'OPEN_TIMEOUT', this.path));
+                // Opened after the open timeout fired - don't leak the handle
+                if (transport) transport.close().catch(() => {});
+            }, this.settings.openTimeout);
+
+            try {
+                transport = createTransport(this.path, this.settings);
+            } catch (error) {
+                fail(error instanceof FlexicartError ? error :
+                    new FlexicartError(`Failed to open port: ${error.message}`, 'OPEN_FAILED', this.path));
+                return;
+            }
+
+            if (debug) console.log(`    📡 [DEBUG] RS-422 Transport: ${transport.describe()}`);
+
+            transport.on('error', (err) => {
+                if (!settled) {
+                    fail(new FlexicartError(`Port error: ${err.message}`, 'PORT_ERROR', this.path));
+                } else {
+                    this.handleIoError(err, debug);
+                }
+            });
+
+            transport.open().then(() => {
+                const openDuration = Date.now() - startTime;
+                if (settled) return;
+
+                settled = true;
+                clearTimeout(openTimeout);
+                if (debug) console.log(`    ✅ [DEBUG] RS-422 port ${this.path} opened successfully (${openDuration}ms)`);
+
+                transport.on('data', (data) => this.handleData(data));
+                transport.on('close', (closeErr) => {
+                    if (!this.closing) {
+                        this.handleIoError(closeErr || new Error('Port closed unexpectedly'), debug);
+                    }
+                });
+
+                this.transport = transport;
+                this.isOpen = true;
+                this.stats.opens++;
+
+                const wasReconnect = this.reconnectAttempts > 0;
+                this.reconnectAttempts = 0;
+                this.emit('open', { path: this.path });
+                if (wasReconnect) {
+                    this.stats.reconnects++;
+                    this.emit('reconnected', { path: this.path });
+                }
+
+                resolve();
+            }, (err) => {
+                if (debug) console.log(`    ❌ [DEBUG] Failed to open ${this.path}: ${err.message} (${Date.now() - startTime}ms)`);
+                fail(new FlexicartError(`Failed to open port: ${err.message}`, 'OPEN_FAILED', this.path));
+            });
+        });
+
+        // Cleared once settled - also when the transport could not even be created,
+        // so the next attempt (a reconnect) opens afresh
+        this.openPromise = opening;
+        const settle = () => {
+            if (this.openPromise === opening) this.openPromise = null;
+        };
+        opening.then(settle, settle);
+        return opening;
+    }
+
+    /**
+     * Close the transport and stop reconnecting
+     */
+    close() {
+        this.closing = true;
+        this.clearTimers();
+
+        this.queue.flush(null, new FlexicartError(`Connection closed: ${this.path}`, 'CONNECTION_CLOSED', this.path));
+        if (this.pending) {
+            this.finishPending(new FlexicartError(`Connection closed: ${this.path}`, 'CONNECTION_CLOSED', this.path));
+        }
+
+        const transport = this.transport;
+        this.transport = null;
+        this.isOpen = false;
+
+        if (!transport) return Promise.resolve();
+
+        transport.removeAllListeners('data');
+        return transport.close().catch(() => {}).then(() => {
+            transport.removeAllListeners();
+            this.emit('close', { path: this.path });
+        });
+    }
+
+    /**
+     * Queue a command and resolve with its response
+     * @param {Buffer} command - Command buffer to send
+     * @param {Object} options - { timeout, debug, isComplete(buffer, chunk) } plus queue
+     *                           options { priority, category, deadline, maxWait, signal, flush }
+     * @returns {Promise<Buffer>} Response buffer (promise.requestId identifies the request)
+     */
+    request(command, options = {}) {
+        return this.queue.enqueue(command, options);
+    }
+
+    /**
+     * Cancel a request that has not been sent yet
+     * @param {number} requestId - Id from promise.requestId
+     * @returns {boolean} True if the request was still queued
+     */
+    cancel(requestId) {
+        return this.queue.cancel(requestId);
+    }
+
+    /**
+     * Execute one request on the open port (never called concurrently)
+     */
+    async execute(command, { timeout = this.settings.responseTimeout, debug = false, isComplete = isTerminatedResponse } = {}) {
+        const startTime = Date.now();
+        this.stats.requests++;
+        this.clearIdleTimer();
+        this.unsolicitedDecoder.reset();    // Bytes from now on belong to this request
+
+        try {
+            await this.open(debug);
+        } catch (error) {
+            this.scheduleReconnect(debug);
+            throw error;
+        }
+
+        // Configured quiet time between the end of one exchange and the next command,
+        // stretched to the protocol's NAK quiet time when the last reply was a NAK
+        const gap = Math.max(
+            this.settings.interCommandDelay - (Date.now() - this.lastRequestEnd),
+            this.quietUntil - Date.now()
+        );
+        if (gap > 0) {
+            if (debug) console.log(`    ⏳ [DEBUG] Inter-command delay ${gap}ms`);
+            await new Promise(resolve => setTimeout(resolve, gap));
+        }
+
+        const response = await new Promise((resolve, reject) => {
+            this.pending = {
+                buffer: Buffer.alloc(0),
+                resolve,
+                reject,
+                isComplete,
+                debug,
+                startTime,
+                timer: setTimeout(() => {
+                    const pending = this.pending;
+                    const totalDuration = Date.now() - startTime;
+                    this.stats.timeouts++;
+                    if (debug) {
+                        console.log(`    ⏰ [DEBUG] Response timeout after ${totalDuration}ms`);
+                        console.log(`    📥 [DEBUG] Partial response: ${pending.buffer.length} bytes: ${pending.buffer.toString('hex')}`);
+                    }
+
+                    if (pending.buffer.length > 0) {
+                        if (debug) console.log(`    📥 [DEBUG] Returning partial response`);
+                        this.finishPending(null, pending.buffer);
+                    } else {
+                        this.finishPending(new FlexicartError(`Response timeout: ${timeout}ms`, 'RESPONSE_TIMEOUT', this.path));
+                    }
+                }, timeout)
+            };
+
+            if (debug) {
+                console.log(`    📤 [DEBUG] Sending RS-422 command ${describeCommand(command)}: ${command.toString('hex')} (${command.length} bytes)`);
+                console.log(`    📤 [DEBUG] Command ASCII: "${command.toString('ascii').replace(/[^\x20-\x7E]/g, '.')}"`);
+            }
+
+            this.emit('traffic', { path: this.path, direction: 'tx', data: command });
+            this.transport.write(command).then(() => {
+                if (debug) console.log(`    ✅ [DEBUG] RS-422 command sent successfully (${Date.now() - startTime}ms)`);
+            }, (err) => {
+                if (debug) console.log(`    ❌ [DEBUG] RS-422 write failed after ${Date.now() - startTime}ms: ${err.message}`);
+                this.finishPending(new FlexicartError(`Write failed: ${err.message}`, 'WRITE_FAILED', this.path));
+                this.handleIoError(err, debug);
+            });
+        });
+
+        this.armIdleTimer();
+        return response;
+    }
+
+    /**
+     * Route incoming bytes to the active request
+     */
+    handleData(data) {
+        const pending = this.pending;
+        this.emit('traffic', { path: this.path, direction: 'rx', data, unsolicited: !pending });
+
+        if (!pending) {
+            // Late reply to a timed-out request or unsolicited traffic
+            this.emit('unsolicited', { path: this.path, data });
+            this.unsolicitedDecoder.push(data);
+            return;
+        }
+
+        pending.buffer = Buffer.concat([pending.buffer, data]);
+
+        if (pending.debug) {
+            console.log(`    📥 [DEBUG] Received ${data.length} bytes: ${data.toString('hex')}`);
+            console.log(`    📥 [DEBUG] ASCII: "${data.toString('ascii').replace(/[^\x20-\x7E]/g, '.')}" `);
+            console.log(`    📥 [DEBUG] Total buffer: ${pending.buffer.length} bytes: ${pending.buffer.toString('hex')}`);
+        }
+
+        if (pending.isComplete(pending.buffer, data)) {
+            if (pending.debug) console.log(`    ✅ [DEBUG] Complete response received (${Date.now() - pending.startTime}ms total)`);
+            this.finishPending(null, pending.buffer);
+        }
+    }
+
+    /**
+     * Settle the active request exactly once
+     */
+    finishPending(error, result) {
+        const pending = this.pending;
+        if (!pending) return;
+
+        this.pending = null;
+        this.lastRequestEnd = Date.now();
+        clearTimeout(pending.timer);
+
+        if (error) {
+            pending.reject(error);
+            return;
+        }
+
+        const decoded = decodeFlexiCartResponse(result);
+        if (decoded.messages.some(m => m.type === 'NAK')) {
+            this.quietUntil = this.lastRequestEnd + NAK_QUIET_TIME;
+        }
+
+        pending.resolve(result);
+        for (const frame of decoded.frames) {
+            this.emit('frame', { path: this.path, frame, unsolicited: false });
+        }
+    }
+
+    /**
+     * Drop the broken transport, fail the active request and start reconnecting
+     */
+    handleIoError(err, debug = false) {
+        if (this.closing) return;
+
+        if (debug) console.log(`    ❌ [DEBUG] RS-422 port error on ${this.path}: ${err.message}`);
+
+        this.stats.ioErrors++;
+        this.stats.lastError = err.message;
+
+        const transport = this.transport;
+        this.transport = null;
+        this.isOpen = false;
+
+        if (transport) {
+            transport.removeAllListeners();
+            transport.on('error', () => {}); // Swallow errors from the dying handle
+            transport.close().catch(() => {});
+        }
+
+        this.finishPending(new FlexicartError(`Port error: ${err.message}`, 'PORT_ERROR', this.path));
+        this.emit('disconnected', { path: this.path, error: err.message });
+        this.scheduleReconnect(debug);
+    }
+
+    /**
+     * Reopen the transport in the background with exponential backoff
+     */
+    scheduleReconnect(debug = false) {
+        if (this.closing || this.reconnectTimer || this.isOpen) return;
+
+        const delay = Math.min(
+            this.options.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+            this.options.maxReconnectDelay
+        );
+        this.reconnectAttempts++;
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.closing || this.isOpen) return;
+
+            try {
+                await this.open(debug);
+                this.armIdleTimer();
+            } catch (error) {
+                this.scheduleReconnect(debug);
+            }
+        }, delay);
+
+        // Never keep the process alive just to reconnect
+        if (this.reconnectTimer.unref) this.reconnectTimer.unref();
+    }
+
+    armIdleTimer() {
+        if (!this.options.idleTimeout) return;
+        this.clearIdleTimer();
+        this.idleTimer = setTimeout(() => {
+            this.idleTimer = null;
+            if (!this.pending && this.queue.depth === 0) this.close();
+        }, this.options.idleTimeout);
+        if (this.idleTimer.unref) this.idleTimer.unref();
+    }
+
+    clearIdleTimer() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    clearTimers() {
+        this.clearIdleTimer();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    getStats() {
+        return {
+            path: this.path,
+            isOpen: this.isOpen,
+            busy: !!this.pending,
+            settings: { ...this.settings },
+            queue: this.queue.getStats(),
+            ...this.stats
+        };
+    }
+}
+
+/**
+ * Registry of persistent connections keyed by device address
+ */
+class FlexiCartConnectionManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.connections = new Map();
+    }
+
+    /**
+     * Get (or lazily create) the connection for a device address
+     * Line settings only take effect when the transport is (re)opened
+     */
+    getConnection(path, settings = {}, options = {}) {
+        let connection = this.connections.get(path);
+
+        if (!connection) {
+            connection = new FlexiCartConnection(path, settings, { ...this.options, ...options });
+
+            for (const event of ['open', 'close', 'disconnected', 'reconnected', 'unsolicited', 'flushed', 'frame', 'traffic']) {
+                connection.on(event, (info) => this.emit(event, info));
+            }
+
+            this.connections.set(path, connection);
+        } else if (!connection.isOpen) {
+            Object.assign(connection.settings, settings);
+            Object.assign(connection.options, options);
+        }
+
+        return connection;
+    }
+
+    /**
+     * Send a command on the shared connection for a device address
+     */
+    request(path, command, options = {}) {
+        return this.getConnection(path).request(command, options);
+    }
+
+    /**
+     * Close and forget the connection for a device address
+     */
+    async close(path) {
+        const connection = this.connections.get(path);
+        if (!connection) return;
+
+        this.connections.delete(path);
+        await connection.close();
+        connection.removeAllListeners();
+    }
+
+    /**
+     * Close every managed connection (service shutdown / end of script)
+     */
+    async closeAll() {
+        await Promise.all(Array.from(this.connections.keys()).map(path => this.close(path)));
+    }
+
+    getStats() {
+        return Array.from(this.connections.values()).map(connection => connection.getStats());
+    }
+}
+
+// Process-wide manager shared by every Flexicart module
+const connectionManager = new FlexiCartConnectionManager();
+
+module.exports = {
+    FlexiCartConnection,
+    FlexiCartConnectionManager,
+    connectionManager,
+    isTerminatedResponse,
+    DEFAULT_LINE_SETTINGS,
+    DEFAULT_CONNECTION_OPTIONS,
+    NAK_QUIET_TIME
+};
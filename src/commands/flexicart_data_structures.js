@@ -5,13 +5,22 @@
  */
 
 const { FlexiCartBarcodeReader, FlexiCartBarcodeIntegration } = require('./flexicart_barcode_reader');
+const {
+    getFrameRate,
+    timecodeToFrames,
+    framesToTimecode,
+    framesToSeconds,
+    secondsToFrames,
+    DEFAULT_FRAME_RATE
+} = require('./timecode');
+const { getCassetteBinNumber, MAX_BIN_INDEX } = require('./flexicart_command_catalog');
 
 /**
  * FlexiCart System Status Structure
  * Tracks overall system state and capabilities
  */
 class FlexiCartSystemStatus {
-    constructor(cartId = 'FC01', maxPositions = 360) {
+    constructor(cartId = 'FC01', maxPositions = MAX_BIN_INDEX) {
         this.cartId = cartId;
         this.maxPositions = maxPositions;
         this.timestamp = new Date().toISOString();
@@ -52,7 +61,7 @@ class FlexiCartSystemStatus {
                 targetPosition: 0,
                 calibrated: false
             },
-            currentBin: 0, // Current bin number (1-360)
+            currentBin: 0, // Bin the elevator is at (1-maxPositions), 0 when unknown
             movementLocked: false
         };
         
@@ -61,7 +70,9 @@ class FlexiCartSystemStatus {
             cartLoaded: false,
             cartId: null,
             playing: false,
-            position: '00:00:00:00', // Timecode
+            position: framesToTimecode(0), // Timecode
+            positionFrames: 0,
+            frameRate: DEFAULT_FRAME_RATE.id,
             ready: false,
             error: false
         };
@@ -93,17 +104,49 @@ class FlexiCartSystemStatus {
         }
         
         if (responseData.movement) {
-            Object.assign(this.movement, responseData.movement);
+            // Position replies carry only positions - keep the motion flags
+            const { elevator, carousel, ...movement } = responseData.movement;
+            Object.assign(this.movement, movement);
+            if (elevator) Object.assign(this.movement.elevator, elevator);
+            if (carousel) Object.assign(this.movement.carousel, carousel);
         }
         
         if (responseData.hardware) {
             Object.assign(this.hardware, responseData.hardware);
         }
         
-        if (responseData.errors && responseData.errors.length > 0) {
-            this.errors.system = responseData.errors;
-            this.errors.lastError = responseData.errors[responseData.errors.length - 1];
+        if (responseData.player) {
+            const { position, ...player } = responseData.player;
+            Object.assign(this.player, player);
+            if (position !== undefined) this.setPlayerPosition(position);
         }
+        
+        if (responseData.onAir) {
+            Object.assign(this.onAir, responseData.onAir);
+        }
+        
+        if (Array.isArray(responseData.errors)) {
+            if (responseData.errors.length > 0) {
+                this.errors.system = responseData.errors;
+                this.errors.lastError = responseData.errors[responseData.errors.length - 1];
+            }
+        } else if (responseData.errors) {
+            // Error sections are passed whole (the integration appends) - replace them
+            const { mechanical = [], system = [], lastError = null } = responseData.errors;
+            this.errors.mechanical = mechanical;
+            this.errors.system = system;
+            this.errors.lastError = lastError;
+        }
+    }
+    
+    /**
+     * Set the player position from a timecode or frame count at the player's frame rate
+     */
+    setPlayerPosition(position, frameRate = this.player.frameRate) {
+        const frames = timecodeToFrames(position, frameRate);
+        this.player.frameRate = getFrameRate(frameRate).id;
+        this.player.position = framesToTimecode(frames, frameRate);
+        this.player.positionFrames = frames;
     }
     
     /**
@@ -155,7 +198,7 @@ class FlexiCartOperations {
         const operation = {
             id: operationId,
             type: type, // 'move', 'load', 'unload', 'calibrate', 'initialize', etc.
-            status: 'started', // 'started', 'in_progress', 'completed', 'failed', 'timeout'
+            status: 'started', // 'started', 'in_progress', 'completed', 'failed', 'timeout', 'cancelled'
             startTime: new Date().toISOString(),
             endTime: null,
             duration: 0,
@@ -184,7 +227,7 @@ class FlexiCartOperations {
         
         Object.assign(operation, updates);
         
-        if (updates.status === 'completed' || updates.status === 'failed') {
+        if (['completed', 'failed', 'timeout', 'cancelled'].includes(updates.status)) {
             operation.endTime = new Date().toISOString();
             operation.duration = new Date(operation.endTime) - new Date(operation.startTime);
         }
@@ -258,10 +301,17 @@ class FlexiCartOperations {
             'unload': 6000,    // 6 seconds to unload cart
             'calibrate': 30000, // 30 seconds for calibration
             'initialize': 45000, // 45 seconds for initialization
-            'eject': 10000     // 10 seconds for cart ejection
+            'eject': 10000,    // 10 seconds for cart ejection
+            'vtr_cue': 90000   // 90 seconds to spool a tape to a cue point
         };
-        
-        return durations[type] || 10000; // Default 10 seconds
+
+        // Macro operation types from the command catalog
+        const aliases = {
+            'elevator_move': 'move',
+            'cassette_move': 'load'
+        };
+
+        return durations[aliases[type] || type] || 10000; // Default 10 seconds
     }
     
     /**
@@ -278,12 +328,30 @@ class FlexiCartOperations {
     }
 }
 
+/**
+ * Cassette running time as timecode (duration) and seconds (length)
+ * Either may be given ('HH:MM:SS' durations read as frame 00); duration wins
+ */
+function resolveCassetteDuration({ duration, length, frameRate = DEFAULT_FRAME_RATE }) {
+    if (!duration && length) {
+        return { duration: framesToTimecode(secondsToFrames(length, frameRate), frameRate), length };
+    }
+    
+    const frames = duration ? timecodeToFrames(duration, frameRate) : 0;
+    return { duration: framesToTimecode(frames, frameRate), length: framesToSeconds(frames, frameRate) };
+}
+
 /**
  * Cassette Bin Occupancy Tracker
  * Tracks which bins contain cassettes and their details
+ * Bins are numbered 1..maxBins; each one's address is the BIN No. the cart
+ * uses for it (getCassetteBinNumber: 1 = 1001, 2 = 1101, 3 = 1002, ...)
  */
 class CassetteBinOccupancy {
-    constructor(maxBins = 360) {
+    constructor(maxBins = MAX_BIN_INDEX) {
+        if (!Number.isInteger(maxBins) || maxBins < 1 || maxBins > MAX_BIN_INDEX) {
+            throw new Error(`Invalid bin count: ${maxBins}. Must be 1-${MAX_BIN_INDEX}`);
+        }
         this.maxBins = maxBins;
         this.bins = new Map(); // bin number -> cassette details
         this.lastInventoryUpdate = null;
@@ -293,6 +361,7 @@ class CassetteBinOccupancy {
         for (let i = 1; i <= maxBins; i++) {
             this.bins.set(i, {
                 binNumber: i,
+                address: getCassetteBinNumber(i),
                 occupied: false,
                 cassette: null,
                 lastAccessed: null,
@@ -310,6 +379,7 @@ class CassetteBinOccupancy {
         }
         
         const bin = this.bins.get(binNumber);
+        const { duration, length } = resolveCassetteDuration(cassetteDetails);
         bin.occupied = true;
         bin.cassette = {
             id: cassetteDetails.id || `CART_${binNumber}`,
@@ -317,10 +387,10 @@ class CassetteBinOccupancy {
             scannedBarcode: cassetteDetails.scannedBarcode || null, // Last scanned barcode
             barcodeValid: cassetteDetails.barcodeValid !== undefined ? cassetteDetails.barcodeValid : null,
             type: cassetteDetails.type || 'unknown', // 'A', 'B', 'C' (NAB cart types)
-            length: cassetteDetails.length || 0, // in seconds
+            length: length, // in seconds
             title: cassetteDetails.title || '',
             artist: cassetteDetails.artist || '',
-            duration: cassetteDetails.duration || '00:00:00',
+            duration: duration, // timecode, HH:MM:SS:FF
             category: cassetteDetails.category || 'general',
             priority: cassetteDetails.priority || 'normal',
             playCount: cassetteDetails.playCount || 0,
@@ -402,6 +472,7 @@ class CassetteBinOccupancy {
             if (bin.occupied) {
                 occupied.push({
                     binNumber: bin.binNumber,
+                    address: bin.address,
                     cassette: bin.cassette,
                     lastAccessed: bin.lastAccessed,
                     accessCount: bin.accessCount
@@ -456,7 +527,7 @@ class CassetteBinOccupancy {
             // Update title/artist if provided from barcode database lookup
             if (barcodeData.title) bin.cassette.title = barcodeData.title;
             if (barcodeData.artist) bin.cassette.artist = barcodeData.artist;
-            if (barcodeData.duration) bin.cassette.duration = barcodeData.duration;
+            if (barcodeData.duration) Object.assign(bin.cassette, resolveCassetteDuration({ duration: barcodeData.duration }));
             if (barcodeData.category) bin.cassette.category = barcodeData.category;
         }
         
@@ -573,13 +644,19 @@ class CassetteBinOccupancy {
     updateFromInventoryResponse(responseData) {
         this.lastInventoryUpdate = new Date().toISOString();
         
-        // Parse inventory response and update bin occupancy
-        // This would be implemented based on the actual FlexiCart inventory response format
+        // bins: [{ binNumber, occupied, cassette? }] (parseFlexicartBinStatus)
+        // Occupancy alone, or the barcode already on record, keeps the details
+        // of a cassette already known in that bin
         if (responseData && responseData.bins) {
             for (const binData of responseData.bins) {
-                if (binData.occupied) {
+                if (binData.binNumber < 1 || binData.binNumber > this.maxBins) continue;
+                
+                const known = this.isBinOccupied(binData.binNumber);
+                const recorded = known ? this.bins.get(binData.binNumber).cassette : null;
+                const sameCassette = !!recorded && !!binData.cassette && recorded.barcode === binData.cassette.barcode;
+                if (binData.occupied && ((binData.cassette && !sameCassette) || !known)) {
                     this.setCassette(binData.binNumber, binData.cassette || {});
-                } else {
+                } else if (!binData.occupied && known) {
                     this.removeCassette(binData.binNumber);
                 }
             }
@@ -626,7 +703,7 @@ class CassetteBinOccupancy {
  * Combines all data structures for comprehensive state management
  */
 class FlexiCartStateManager {
-    constructor(cartId = 'FC01', maxPositions = 360) {
+    constructor(cartId = 'FC01', maxPositions = MAX_BIN_INDEX) {
         this.systemStatus = new FlexiCartSystemStatus(cartId, maxPositions);
         this.operations = new FlexiCartOperations();
         this.inventory = new CassetteBinOccupancy(maxPositions);
@@ -650,10 +727,17 @@ class FlexiCartStateManager {
     updateFromResponse(responseType, responseData) {
         switch (responseType) {
             case 'status':
+            case 'console':
+            case 'position':
                 this.systemStatus.updateFromResponse(responseData);
                 this.emit('statusUpdate', this.systemStatus);
                 break;
                 
+            case 'error':
+                this.systemStatus.updateFromResponse(responseData);
+                this.emit('errorUpdate', this.systemStatus.errors);
+                break;
+                
             case 'inventory':
                 this.inventory.updateFromInventoryResponse(responseData);
                 this.emit('inventoryUpdate', this.inventory.getOccupancyStats());
@@ -0,0 +1,362 @@
+/**
+ * FlexiCart Device Registry
+ * Multi-drop support: up to 8 FlexiCarts share one RS-422 line, each answering
+ * to one bit of UA2 (0x01, 0x02, 0x04 ... 0x80). Devices are keyed by
+ * (port, UA2); received frames are routed to the matching logical cart.
+ */
+
+const EventEmitter = require('events');
+const { FlexicartError } = require('./flexicart_errors');
+const { connectionManager } = require('./flexicart_connection_manager');
+const { createFlexiCartCommand, sendCommand, parseFlexiCartResponse } = require('./flexicart_serial_utils');
+const { getDeviceAddress, getLineSettings, getLineOverride } = require('./device_config');
+const { autodetectLineSettings } = require('./flexicart_line_autodetect');
+const { encodeCommand } = require('./flexicart_command_catalog');
+
+/**
+ * Every UA2 address bit a cart can answer to (unit 1 = 0x01 ... unit 8 = 0x80)
+ */
+const CART_ADDRESSES = [0x01, 0x02, 0x04, 0x08, 0x10, 0x20, 0x40, 0x80];
+
+/**
+ * Check that a UA2 value addresses exactly one cart
+ * @param {number} ua2 - Unit address 2
+ * @returns {boolean} True for a single address bit
+ */
+function isSingleCartAddress(ua2) {
+    return CART_ADDRESSES.includes(ua2);
+}
+
+/**
+ * Unit number (1-8) for a single-bit UA2
+ * @param {number} ua2 - Unit address 2
+ * @returns {number} Unit number
+ */
+function ua2ToUnit(ua2) {
+    if (!isSingleCartAddress(ua2)) {
+        throw new FlexicartError(`UA2 0x${Number(ua2).toString(16).toUpperCase()} does not address a single cart`, 'INVALID_ADDRESS');
+    }
+    return CART_ADDRESSES.indexOf(ua2) + 1;
+}
+
+/**
+ * UA2 bit for a unit number (1-8)
+ * @param {number} unit - Unit number
+ * @returns {number} Unit address 2
+ */
+function unitToUa2(unit) {
+    if (!Number.isInteger(unit) || unit < 1 || unit > CART_ADDRESSES.length) {
+        throw new FlexicartError(`Cart unit must be 1-${CART_ADDRESSES.length}, got ${unit}`, 'INVALID_ADDRESS');
+    }
+    return CART_ADDRESSES[unit - 1];
+}
+
+/**
+ * Registry key / device id for a cart on a line
+ * @param {string} port - Device address (serial path, tcp://, memory://)
+ * @param {number} ua2 - Unit address 2
+ * @returns {string} Device id, e.g. "/dev/ttyRP2#2"
+ */
+function formatDeviceId(port, ua2) {
+    return `${port}#${ua2ToUnit(ua2)}`;
+}
+
+/**
+ * One logical FlexiCart on a (possibly shared) line
+ */
+class FlexiCartDevice extends EventEmitter {
+    constructor(port, ua2, info = {}) {
+        super();
+        this.id = formatDeviceId(port, ua2);
+        this.type = 'flexicart';
+        this.port = port;
+        this.ua2 = ua2;
+        this.unit = ua2ToUnit(ua2);
+        this.channelId = info.channelId !== undefined ? info.channelId : null;
+        this.name = info.name || `FlexiCart ${this.unit} @ ${port}`;
+        this.lastSeen = null;
+        this.lastFrame = null;
+        this.framesReceived = 0;
+    }
+
+    /**
+     * Build a command frame addressed to this cart
+     */
+    createCommand(cmd, bt = 0x00, control = 0x00, data = 0x80) {
+        return createFlexiCartCommand(this.ua2, cmd, bt, control, data);
+    }
+
+    /**
+     * Send a command to this cart on the shared line
+     * @param {number} cmd - Command byte
+     * @param {Object} options - { bt, control, data, timeout, debug, ...queueOptions }
+     *                           (timeout defaults to the line's configured responseTimeout)
+     * @returns {Promise<Buffer>} Response buffer
+     */
+    send(cmd, options = {}) {
+        const { bt = 0x00, control = 0x00, data = 0x80, timeout, debug = false, ...queueOptions } = options;
+        return sendCommand(this.port, this.createCommand(cmd, bt, control, data), timeout, debug, queueOptions);
+    }
+
+    /**
+     * Send a catalog command to this cart by name
+     * @param {string} name - Catalog command name, e.g. 'SET_BIN_LAMP'
+     * @param {Object} params - Command parameters, e.g. { bin: 1012, on: true }
+     * @param {Object} options - { timeout, debug, ...queueOptions }
+     * @returns {Promise<Buffer>} Response buffer
+     */
+    sendNamed(name, params = {}, options = {}) {
+        const { timeout, debug = false, ...queueOptions } = options;
+        return sendCommand(this.port, encodeCommand(name, params, this.ua2), timeout, debug, queueOptions);
+    }
+
+    /**
+     * Record a frame routed to this cart
+     */
+    handleFrame(frame, unsolicited = false) {
+        this.lastSeen = new Date().toISOString();
+        this.lastFrame = frame;
+        this.framesReceived++;
+        this.emit('frame', frame, { unsolicited });
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            port: this.port,
+            ua2: this.ua2,
+            unit: this.unit,
+            channelId: this.channelId,
+            name: this.name,
+            lastSeen: this.lastSeen,
+            framesReceived: this.framesReceived
+        };
+    }
+}
+
+/**
+ * Registry of logical carts keyed by (port, UA2)
+ *
+ * Events:
+ *   'registered'    (device)
+ *   'unregistered'  (device)
+ *   'frame'         (device, frame, { unsolicited })
+ *   'unroutedFrame' ({ port, frame, unsolicited })  - No registered cart matches the UA2
+ */
+class FlexiCartDeviceRegistry extends EventEmitter {
+    constructor(manager = connectionManager) {
+        super();
+        this.manager = manager;
+        this.devices = new Map();
+        this.onFrame = ({ path, frame, unsolicited }) => this.routeFrame(path, frame, unsolicited);
+        this.manager.on('frame', this.onFrame);
+    }
+
+    /**
+     * Register (or update) the cart answering to ua2 on port
+     * @returns {FlexiCartDevice} Registered device
+     */
+    register(port, ua2, info = {}) {
+        const id = formatDeviceId(port, ua2);
+        let device = this.devices.get(id);
+
+        if (device) {
+            if (info.channelId !== undefined) device.channelId = info.channelId;
+            if (info.name) device.name = info.name;
+            return device;
+        }
+
+        device = new FlexiCartDevice(port, ua2, info);
+        this.devices.set(id, device);
+        this.emit('registered', device);
+        return device;
+    }
+
+    unregister(port, ua2) {
+        const id = formatDeviceId(port, ua2);
+        const device = this.devices.get(id);
+        if (!device) return false;
+
+        this.devices.delete(id);
+        this.emit('unregistered', device);
+        return true;
+    }
+
+    get(port, ua2) {
+        return isSingleCartAddress(ua2) ? this.devices.get(formatDeviceId(port, ua2)) || null : null;
+    }
+
+    getById(id) {
+        return this.devices.get(id) || null;
+    }
+
+    getByPort(port) {
+        return this.list().filter(device => device.port === port);
+    }
+
+    list() {
+        return Array.from(this.devices.values());
+    }
+
+    clear() {
+        for (const device of this.list()) {
+            this.unregister(device.port, device.ua2);
+        }
+    }
+
+    /**
+     * Stop listening to the connection manager
+     */
+    detach() {
+        this.manager.removeListener('frame', this.onFrame);
+    }
+
+    /**
+     * Hand a received frame to every registered cart whose UA2 bit it carries
+     * @returns {Array<FlexiCartDevice>} Devices the frame was routed to
+     */
+    routeFrame(port, frame, unsolicited = false) {
+        const targets = this.getByPort(port).filter(device => (frame.ua2 & device.ua2) !== 0);
+
+        if (targets.length === 0) {
+            this.emit('unroutedFrame', { port, frame, unsolicited });
+            return targets;
+        }
+
+        for (const device of targets) {
+            device.handleFrame(frame, unsolicited);
+            this.emit('frame', device, frame, { unsolicited });
+        }
+        return targets;
+    }
+}
+
+const deviceRegistry = new FlexiCartDeviceRegistry();
+
+/**
+ * Line format keys an rs422Devices entry can pin
+ */
+const LINE_FORMAT_KEYS = ['baudRate', 'dataBits', 'parity', 'stopBits'];
+
+/**
+ * Whether discovery may sweep line settings on an entry's silent line
+ * "autodetect": true always may, false never; left out, only an entry that
+ * pins no line format of its own (it runs on the lineDefaults guess)
+ * @param {Object} entry - rs422Devices entry
+ * @returns {boolean} True to sweep
+ */
+function shouldAutodetect(entry) {
+    if (typeof entry.autodetect === 'boolean') return entry.autodetect;
+    return !LINE_FORMAT_KEYS.some(key => entry[key] !== undefined);
+}
+
+/**
+ * Probe each UA2 address bit on one line and register the carts that answer
+ * @param {string} port - Device address
+ * @param {Object} options - { addresses, timeout, debug, channelId, registry }
+ * @returns {Promise<Array<Object>>} Found carts (status.json entries)
+ */
+async function discoverFlexicarts(port, options = {}) {
+    const {
+        addresses = CART_ADDRESSES,
+        timeout = 2000,
+        debug = false,
+        channelId,
+        registry = deviceRegistry
+    } = options;
+
+    const found = [];
+    console.log(`🔍 Probing ${addresses.length} cart address(es) on ${port}...`);
+
+    for (const ua2 of addresses) {
+        if (!isSingleCartAddress(ua2)) {
+            console.log(`⚠️  Skipping UA2 0x${Number(ua2).toString(16).toUpperCase()} - not a single cart address`);
+            continue;
+        }
+
+        const startTime = Date.now();
+        try {
+            // Dummy command (0x50): every cart ACKs it without side effects
+            const command = encodeCommand('DUMMY', {}, ua2);
+            // Single shot - a NAK or BUSY still proves a cart answers to this address
+            const response = await sendCommand(port, command, timeout, debug, { retry: false });
+            const parsed = parseFlexiCartResponse(response, ua2);
+
+            if (!parsed.valid) {
+                if (debug) console.log(`    ❌ UA2 0x${ua2.toString(16).toUpperCase()}: ${parsed.type}`);
+                continue;
+            }
+
+            const device = registry.register(port, ua2, { channelId });
+            device.lastSeen = new Date().toISOString();
+
+            found.push({
+                ...device.toJSON(),
+                response: parsed.type,
+                responseTime: Date.now() - startTime,
+                timestamp: device.lastSeen
+            });
+            console.log(`📦 Found FlexiCart unit ${device.unit} (UA2 0x${ua2.toString(16).toUpperCase().padStart(2, '0')}) on ${port}`);
+        } catch (error) {
+            if (debug) console.log(`    ❌ UA2 0x${ua2.toString(16).toUpperCase()}: ${error.message}`);
+            // A dead line won't answer on any other address either
+            if (error.code === 'OPEN_FAILED' || error.code === 'OPEN_TIMEOUT') break;
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Discover carts on every flexicart entry of the rs422Devices config
+ * Entries may list "cartAddresses" (UA2 values); otherwise all 8 bits are probed.
+ * Discovery uses the configured line settings. When nothing answers, the line
+ * settings are swept (see shouldAutodetect) unless the entry pins its own line
+ * format or sets "autodetect": false; a pinned line is left as configured.
+ * @param {Array<Object>} rs422Devices - Config entries
+ * @param {Object} options - { timeout, debug, registry, autodetect }
+ *   autodetect: options for autodetectLineSettings (matrix, timeout)
+ * @returns {Promise<Array<Object>>} Found carts across all lines, with the line settings used
+ */
+async function discoverConfiguredFlexicarts(rs422Devices, options = {}) {
+    const results = [];
+
+    for (const entry of rs422Devices.filter(device => device.type === 'flexicart')) {
+        const port = getDeviceAddress(entry);
+        const addresses = entry.cartAddresses || CART_ADDRESSES;
+        const discover = () => discoverFlexicarts(port, { ...options, addresses, channelId: entry.channelId });
+
+        let carts = await discover();
+
+        if (carts.length === 0 && shouldAutodetect(entry)) {
+            const detected = await autodetectLineSettings(port, { ...options.autodetect, addresses, debug: options.debug });
+            if (detected.success) carts = await discover();
+        }
+
+        const { baudRate, dataBits, parity, stopBits } = getLineSettings(port);
+        for (const cart of carts) {
+            results.push({
+                ...cart,
+                lineSettings: { baudRate, dataBits, parity, stopBits },
+                lineSettingsSource: getLineOverride(port) ? 'autodetect' : 'config'
+            });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    FlexiCartDevice,
+    FlexiCartDeviceRegistry,
+    deviceRegistry,
+    discoverFlexicarts,
+    discoverConfiguredFlexicarts,
+    shouldAutodetect,
+    isSingleCartAddress,
+    ua2ToUnit,
+    unitToUa2,
+    formatDeviceId,
+    CART_ADDRESSES
+};
@@ -0,0 +1,190 @@
+/**
+ * FlexiCart Error Catalog
+ * Macro end information codes (Appendix-1, Tables 1 and 2) with the severity,
+ * recoverability and operator remediation text used by the status parser,
+ * the state manager and the operator-facing tools. The cart reports the end
+ * information of every macro once, in CSTS1 of a Cart Status Return (61H/71H).
+ */
+
+/**
+ * What part of the system a code points at
+ */
+const ERROR_CATEGORY = {
+    MECHANICAL: 'mechanical',       // Servo, drive and power faults
+    ELEVATOR: 'elevator',
+    CAROUSEL: 'carousel',           // Bins and the cassette path through them
+    PLAYER: 'player',               // VTR
+    BARCODE: 'barcode',
+    DOOR: 'door',                   // Door and front panel
+    COMMUNICATION: 'communication', // Links to the cassette console and the VTR
+    COMMAND: 'command',             // The request itself could not be run
+    SYSTEM: 'system'
+};
+
+/**
+ * How urgently an operator has to act
+ */
+const ERROR_SEVERITY = {
+    INFO: 'info',                   // Nothing to do
+    WARNING: 'warning',             // Refused or interrupted; fix the condition and retry
+    ERROR: 'error',                 // Fault that needs an operator at the cart
+    CRITICAL: 'critical'            // Hardware fault - stop using the cart and call maintenance
+};
+
+const SEVERITY_RANK = [ERROR_SEVERITY.INFO, ERROR_SEVERITY.WARNING, ERROR_SEVERITY.ERROR, ERROR_SEVERITY.CRITICAL];
+
+/**
+ * Where FlexiCartSystemStatus.errors keeps each category
+ * Line-level failures (timeouts, NAKs) go to errors.communication separately
+ */
+const MECHANICAL_CATEGORIES = [
+    ERROR_CATEGORY.MECHANICAL,
+    ERROR_CATEGORY.ELEVATOR,
+    ERROR_CATEGORY.CAROUSEL,
+    ERROR_CATEGORY.PLAYER,
+    ERROR_CATEGORY.BARCODE,
+    ERROR_CATEGORY.DOOR
+];
+
+/**
+ * When the macro stopped: codes come in pairs, "1" refused before execution
+ * and "2" stopped during execution
+ */
+const ERROR_PHASE = {
+    BEFORE: 'before',
+    DURING: 'during'
+};
+
+/**
+ * Catalog entries
+ * before/during are the end information bytes of the two phases (null when
+ * the manual defines only one). Severity and recoverable apply to both
+ */
+const ERROR_DEFINITIONS = [
+    { name: 'NORMAL_END', before: 0x00, message: 'Normal end', category: ERROR_CATEGORY.SYSTEM, severity: ERROR_SEVERITY.INFO, recoverable: true, hint: 'No action required' },
+
+    // External cause - conditions an operator can clear
+    { name: 'CMD_DATA_ERROR', before: 0x42, message: 'Command data error', category: ERROR_CATEGORY.COMMAND, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Check the bin number and parameters of the request and send it again' },
+    { name: 'INITIALIZING', before: 0x47, message: 'Initializing', category: ERROR_CATEGORY.SYSTEM, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Wait for initialization to finish, then retry' },
+    { name: 'SERVO_OFF', before: 0x48, during: 0x28, message: 'Servo off', category: ERROR_CATEGORY.MECHANICAL, severity: ERROR_SEVERITY.ERROR, recoverable: true, hint: 'Turn the servo on at the cart panel and initialize' },
+    { name: 'CASSETTE_SIZE_ERROR', before: 0x49, during: 0x29, message: 'Cassette size error', category: ERROR_CATEGORY.CAROUSEL, severity: ERROR_SEVERITY.ERROR, recoverable: true, hint: 'Cassette does not fit the bin - move it to a bin of the right size' },
+    { name: 'NO_COMMUNICATION_CC', before: 0x4F, during: 0x2F, message: 'No communication with cassette console', category: ERROR_CATEGORY.COMMUNICATION, severity: ERROR_SEVERITY.ERROR, recoverable: true, hint: 'Check the cassette console cable and power, then initialize' },
+    { name: 'BIN_NOT_INITIALIZED', before: 0x54, during: 0x34, message: 'Bin not initialized', category: ERROR_CATEGORY.CAROUSEL, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Initialize the cart before moving cassettes' },
+    { name: 'TEST_MODE', before: 0x57, message: 'Test mode', category: ERROR_CATEGORY.SYSTEM, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Return the cart from test mode to normal operation' },
+    { name: 'DOOR_OPEN', before: 0x58, during: 0x38, message: 'Door open', category: ERROR_CATEGORY.DOOR, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Close the cart door and retry' },
+    { name: 'BIN_TYPE_ERROR', before: 0x59, message: 'Bin type error', category: ERROR_CATEGORY.CAROUSEL, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'The bin does not accept this cassette type - choose another bin' },
+    { name: 'NO_BIN', before: 0x5A, message: 'No bin', category: ERROR_CATEGORY.CAROUSEL, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'The bin number does not exist on this cart - check the bin number' },
+    { name: 'CASSETTE_IN_ELEVATOR', before: 0x5B, during: 0x3B, message: 'Cassette exists in elevator', category: ERROR_CATEGORY.ELEVATOR, severity: ERROR_SEVERITY.ERROR, recoverable: true, hint: 'Return the cassette in the elevator to a bin or remove it by hand' },
+    { name: 'DESTINATION_BIN_OCCUPIED', before: 0x5E, during: 0x3E, message: 'Destination bin cassette exists', category: ERROR_CATEGORY.CAROUSEL, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Destination bin is occupied - choose an empty bin or refresh the inventory' },
+    { name: 'SOURCE_BIN_EMPTY', before: 0x5F, during: 0x3F, message: 'Source bin no cassette', category: ERROR_CATEGORY.CAROUSEL, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Source bin is empty - refresh the inventory and check the bin number' },
+    { name: 'DISTURBED', during: 0x23, message: 'Disturbed by panel operation', category: ERROR_CATEGORY.DOOR, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Stop using the front panel while the cart is remote controlled, then retry' },
+    { name: 'VTR_EJECT_TIMEOUT', during: 0x24, message: 'VTR eject time out', category: ERROR_CATEGORY.PLAYER, severity: ERROR_SEVERITY.ERROR, recoverable: true, hint: 'The VTR did not eject within 60 s - check the VTR and eject by hand' },
+
+    // Per-macro, external cause
+    { name: 'INITIALIZE_ERROR', during: 0x1E, message: 'Initialize error', category: ERROR_CATEGORY.SYSTEM, severity: ERROR_SEVERITY.ERROR, recoverable: true, hint: 'A bin unit or VTR could not be initialized - check them and initialize again' },
+    { name: 'BARCODE_UNREADABLE', during: 0x1F, message: 'Cannot read barcode', category: ERROR_CATEGORY.BARCODE, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Check the cassette label is present and clean, then rescan the bin' },
+
+    // Internal cause - hardware faults
+    { name: 'ELEVATOR_NOT_CONNECTED', before: 0xC7, during: 0xA7, message: 'Elevator not connected', category: ERROR_CATEGORY.ELEVATOR, severity: ERROR_SEVERITY.CRITICAL, recoverable: false, hint: 'Check the elevator connection - call maintenance' },
+    { name: 'VTR_COMMUNICATION_ERROR', before: 0xCC, during: 0xAC, message: 'VTR communication error', category: ERROR_CATEGORY.COMMUNICATION, severity: ERROR_SEVERITY.ERROR, recoverable: true, hint: 'Check the VTR remote cable and that the VTR is in remote, then initialize' },
+    { name: 'POWER_DOWN', before: 0xD0, during: 0xB0, message: 'Power down', category: ERROR_CATEGORY.MECHANICAL, severity: ERROR_SEVERITY.CRITICAL, recoverable: false, hint: 'Power was lost - check the supply, then initialize before use' },
+    { name: 'BARCODE_READER_TROUBLE', before: 0xD6, during: 0xB6, message: 'Barcode reader trouble', category: ERROR_CATEGORY.BARCODE, severity: ERROR_SEVERITY.ERROR, recoverable: false, hint: 'Barcode reader fault - call maintenance; barcodes are unavailable until repaired' },
+    { name: 'ELEVATOR_TROUBLE', before: 0xD7, during: 0xB7, message: 'Elevator trouble', category: ERROR_CATEGORY.ELEVATOR, severity: ERROR_SEVERITY.CRITICAL, recoverable: false, hint: 'Elevator fault - stop the cart and call maintenance' },
+    { name: 'SERVO_TROUBLE', before: 0xD8, during: 0xB8, message: 'Servo trouble', category: ERROR_CATEGORY.MECHANICAL, severity: ERROR_SEVERITY.CRITICAL, recoverable: false, hint: 'Servo fault - stop the cart and call maintenance' },
+    { name: 'DESTINATION_BIN_TROUBLE', before: 0xDA, during: 0xBA, message: 'Destination bin trouble', category: ERROR_CATEGORY.CAROUSEL, severity: ERROR_SEVERITY.ERROR, recoverable: false, hint: 'Destination bin fault - take the bin out of use and call maintenance' },
+    { name: 'SOURCE_BIN_TROUBLE', before: 0xDB, during: 0xBB, message: 'Source bin trouble', category: ERROR_CATEGORY.CAROUSEL, severity: ERROR_SEVERITY.ERROR, recoverable: false, hint: 'Source bin fault - take the bin out of use and call maintenance' },
+    { name: 'BIN_TROUBLE', before: 0xDF, during: 0xBF, message: 'Bin trouble', category: ERROR_CATEGORY.CAROUSEL, severity: ERROR_SEVERITY.CRITICAL, recoverable: false, hint: 'A cassette protrudes from a bin and stopped the elevator - push it back, then initialize' },
+
+    // Common to all macros
+    { name: 'NUMBER_IN_USE', before: 0xF9, message: 'Number in use', category: ERROR_CATEGORY.COMMAND, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Another macro is using this number - wait for it to finish' },
+    { name: 'ABNORMAL_END', before: 0xFA, message: 'Abnormal end', category: ERROR_CATEGORY.SYSTEM, severity: ERROR_SEVERITY.ERROR, recoverable: true, hint: 'Check the cart status and initialize before retrying' },
+    { name: 'IMPOSSIBLE_TO_EXECUTE', before: 0xFB, message: 'Impossible to execute', category: ERROR_CATEGORY.COMMAND, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'The cart cannot run this macro in its current state - check the status and retry' },
+    { name: 'BUSY', before: 0xFC, message: 'Busy', category: ERROR_CATEGORY.COMMAND, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'Wait for the running macro to finish, then retry' },
+    { name: 'NUMBER_UNKNOWN', before: 0xFD, message: 'Number unknown', category: ERROR_CATEGORY.COMMAND, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'The cart does not know this macro - check the command' },
+    { name: 'CMD_CANCEL', before: 0xFF, during: 0xFE, message: 'Command cancelled', category: ERROR_CATEGORY.SYSTEM, severity: ERROR_SEVERITY.WARNING, recoverable: true, hint: 'The macro was cancelled (e.g. emergency stop) - initialize, then retry' }
+];
+
+/**
+ * Build the code -> entry table, one entry per phase
+ */
+function buildErrorCodes(definitions) {
+    const codes = {};
+    for (const { before, during, ...entry } of definitions) {
+        const phases = [[before, ERROR_PHASE.BEFORE], [during, ERROR_PHASE.DURING]];
+        for (const [code, phase] of phases) {
+            if (code === undefined) continue;
+            codes[code] = Object.freeze({ ...entry, code, phase: code === 0x00 ? null : phase });
+        }
+    }
+    return Object.freeze(codes);
+}
+
+const FLEXICART_ERROR_CODES = buildErrorCodes(ERROR_DEFINITIONS);
+
+/**
+ * Classification of a code by range, for codes the catalog does not list
+ */
+function classifyErrorCode(code) {
+    if (code >= 0xF0) return { phase: null, internal: null };
+    if (code >= 0xC0) return { phase: ERROR_PHASE.BEFORE, internal: true };
+    if (code >= 0xA0) return { phase: ERROR_PHASE.DURING, internal: true };
+    if (code >= 0x80) return { phase: null, internal: true };
+    if (code >= 0x40) return { phase: ERROR_PHASE.BEFORE, internal: false };
+    if (code >= 0x20) return { phase: ERROR_PHASE.DURING, internal: false };
+    return { phase: null, internal: false };
+}
+
+const hex = (byte) => byte.toString(16).toUpperCase().padStart(2, '0');
+
+/**
+ * Catalog entry for an end information byte
+ * Unknown codes get an entry from their range: internal causes are treated
+ * as unrecoverable faults, external causes as conditions to clear and retry
+ * @param {number} code - End information byte
+ * @returns {Object} { code, name, message, category, phase, severity, recoverable, hint, known }
+ */
+function describeFlexicartError(code) {
+    const entry = FLEXICART_ERROR_CODES[code];
+    if (entry) return { ...entry, known: true };
+
+    const { phase, internal } = classifyErrorCode(code);
+    return {
+        name: 'UNKNOWN',
+        message: `Unknown end information ${hex(code)}H`,
+        category: internal ? ERROR_CATEGORY.MECHANICAL : ERROR_CATEGORY.SYSTEM,
+        severity: internal ? ERROR_SEVERITY.ERROR : ERROR_SEVERITY.WARNING,
+        recoverable: !internal,
+        hint: internal ? 'Unlisted internal fault - note the code and call maintenance' : 'Check the cart status and initialize before retrying',
+        code,
+        phase,
+        known: false
+    };
+}
+
+/**
+ * FlexiCartSystemStatus.errors list an entry belongs in
+ * @returns {string} 'mechanical' or 'system'
+ */
+function getErrorStorage(entry) {
+    return MECHANICAL_CATEGORIES.includes(entry.category) ? 'mechanical' : 'system';
+}
+
+/**
+ * Most severe of a list of catalog entries
+ * @returns {string|null} Severity, null for an empty list
+ */
+function getHighestSeverity(entries) {
+    return entries.reduce((highest, entry) => (
+        highest === null || SEVERITY_RANK.indexOf(entry.severity) > SEVERITY_RANK.indexOf(highest) ? entry.severity : highest
+    ), null);
+}
+
+module.exports = {
+    FLEXICART_ERROR_CODES,
+    ERROR_CATEGORY,
+    ERROR_SEVERITY,
+    ERROR_PHASE,
+    describeFlexicartError,
+    getErrorStorage,
+    getHighestSeverity
+};
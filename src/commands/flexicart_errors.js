@@ -0,0 +1,21 @@
+/**
+ * Flexicart Error Classes
+ * Shared by the serial, connection and command modules without circular dependencies
+ */
+
+/**
+ * Flexicart Error class for handling device-specific errors
+ */
+class FlexicartError extends Error {
+    constructor(message, code = 'FLEXICART_ERROR', port = null) {
+        super(message);
+        this.name = 'FlexicartError';
+        this.code = code;
+        this.port = port;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+module.exports = {
+    FlexicartError
+};
@@ -0,0 +1,350 @@
+/**
+ * FlexiCart Frame Decoder
+ * Streaming decoder for FlexiCart device messages:
+ *   STX + BC + UA1 + UA2 + BT + CMD [+ CTRL + DATA...] + CS
+ * BC counts the bytes from UA1 to the last command-block byte, and CS makes the
+ * low-order byte of the sum from BC to CS zero (2's complement checksum).
+ * Standalone ACK (04H), NAK (05H) and BUSY (06H) bytes are reported separately.
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Protocol framing constants
+ */
+const FRAME_BYTES = {
+    STX: 0x02,
+    ACK: 0x04,
+    NAK: 0x05,
+    BUSY: 0x06
+};
+
+const MIN_BYTE_COUNT = 4;           // UA1 + UA2 + BT + CMD
+const FRAME_OVERHEAD = 3;           // STX + BC + CS
+
+/**
+ * Calculate the 2's complement checksum of BC through the last data byte
+ * @param {Buffer|Array<number>} bytes - Bytes from BC to the last command-block byte
+ * @returns {number} Checksum byte
+ */
+function calculateChecksum(bytes) {
+    let sum = 0;
+    for (const byte of bytes) {
+        sum += byte;
+    }
+    return (0x100 - (sum & 0xFF)) & 0xFF;
+}
+
+/**
+ * Verify a complete frame: the sum of BC through CS must be zero mod 256
+ * @param {Buffer} frame - Complete frame including STX and CS
+ * @returns {boolean} True when the checksum is correct
+ */
+function verifyChecksum(frame) {
+    let sum = 0;
+    for (let i = 1; i < frame.length; i++) {
+        sum += frame[i];
+    }
+    return (sum & 0xFF) === 0;
+}
+
+/**
+ * Encode a frame of any length (replies, multi-byte data blocks)
+ * @param {number} ua2 - Unit address 2
+ * @param {number} bt - Block type
+ * @param {number} cmd - Command byte
+ * @param {Buffer|Array<number>} payload - Bytes after CMD (CTRL, DATA...)
+ * @param {number} ua1 - Unit address 1 (0x01 = FlexiCart)
+ * @returns {Buffer} STX BC UA1 UA2 BT CMD [payload] CS
+ */
+function encodeFlexiCartFrame(ua2, bt, cmd, payload = [], ua1 = 0x01) {
+    const body = Buffer.from([ua1, ua2, bt, cmd, ...payload]);
+    if (body.length > 0xFF) {
+        throw new RangeError(`FlexiCart frame too long: ${body.length} bytes after BC`);
+    }
+
+    const frame = Buffer.alloc(body.length + FRAME_OVERHEAD);
+    frame[0] = FRAME_BYTES.STX;
+    frame[1] = body.length;
+    body.copy(frame, 2);
+    frame[frame.length - 1] = calculateChecksum(frame.slice(1, frame.length - 1));
+    return frame;
+}
+
+/**
+ * Build a typed frame object from a complete, checksum-valid frame buffer
+ * @param {Buffer} raw - Complete frame including STX and CS
+ * @returns {Object} Decoded frame
+ */
+function buildFrame(raw) {
+    const payload = raw.slice(6, raw.length - 1);   // Everything after CMD
+
+    return {
+        type: 'FRAME',
+        bc: raw[1],
+        ua1: raw[2],
+        ua2: raw[3],
+        bt: raw[4],
+        cmd: raw[5],
+        ctrl: payload.length > 0 ? payload[0] : null,
+        data: payload.slice(1),
+        payload: payload,
+        checksum: raw[raw.length - 1],
+        length: raw.length,
+        raw: raw,
+        hex: raw.toString('hex').toUpperCase()
+    };
+}
+
+/**
+ * Find the first complete, checksum-valid frame starting in [from, until)
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} from - First candidate STX position
+ * @param {number} until - Candidate STX positions stop here
+ * @returns {number} Offset of the frame's STX, or -1
+ */
+function findValidFrame(buffer, from, until) {
+    for (let offset = from; offset < until && offset + 1 < buffer.length; offset++) {
+        if (buffer[offset] !== FRAME_BYTES.STX || buffer[offset + 1] < MIN_BYTE_COUNT) continue;
+
+        const end = offset + buffer[offset + 1] + FRAME_OVERHEAD;
+        if (end <= buffer.length && verifyChecksum(buffer.slice(offset, end))) return offset;
+    }
+    return -1;
+}
+
+/**
+ * Streaming FlexiCart message decoder
+ *
+ * Events:
+ *   'frame'         (frame)               - Complete frame with a valid checksum
+ *   'ack'           ({ type, byte })      - Standalone ACK
+ *   'nak'           ({ type, byte })      - Standalone NAK
+ *   'busy'          ({ type, byte })      - Standalone BUSY
+ *   'checksumError' ({ type, raw, ... })  - Complete frame with a bad checksum; decoding
+ *                                           resumes one byte past its STX
+ *   'discard'       ({ bytes, reason })   - Bytes that could not be framed
+ *   'message'       (message)             - Every frame/ACK/NAK/BUSY/checksum error
+ */
+class FlexiCartFrameDecoder extends EventEmitter {
+    constructor() {
+        super();
+        this.buffer = Buffer.alloc(0);
+        this.quietBytes = 0;
+        this.stats = {
+            frames: 0,
+            acks: 0,
+            naks: 0,
+            busy: 0,
+            checksumErrors: 0,
+            discardedBytes: 0
+        };
+    }
+
+    /**
+     * Feed received bytes into the decoder
+     * @param {Buffer} chunk - Received bytes
+     * @returns {Array<Object>} Messages completed by this chunk
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : Buffer.from(chunk);
+
+        const messages = [];
+        let garbageStart = -1;
+        let quietUntil = this.quietBytes;   // Bytes of a corrupted frame are not ACK/NAK/BUSY
+        let offset = 0;
+
+        const flushGarbage = (end, reason = 'unframed') => {
+            if (garbageStart === -1) return;
+            this.discard(this.buffer.slice(garbageStart, end), reason);
+            garbageStart = -1;
+        };
+
+        while (offset < this.buffer.length) {
+            const byte = this.buffer[offset];
+
+            if (byte === FRAME_BYTES.STX) {
+                if (offset + 1 >= this.buffer.length) break;  // Need BC
+
+                const bc = this.buffer[offset + 1];
+                if (bc < MIN_BYTE_COUNT) {
+                    // Not a plausible frame header - treat STX as noise
+                    if (garbageStart === -1) garbageStart = offset;
+                    offset++;
+                    continue;
+                }
+
+                const frameLength = bc + FRAME_OVERHEAD;
+                if (offset + frameLength > this.buffer.length) {
+                    // Wait for the rest - unless a complete frame follows, which makes this STX noise
+                    const next = findValidFrame(this.buffer, offset + 1, this.buffer.length);
+                    if (next === -1) break;
+                    if (garbageStart === -1) garbageStart = offset;
+                    offset = next;
+                    continue;
+                }
+
+                const raw = Buffer.from(this.buffer.slice(offset, offset + frameLength));
+                if (verifyChecksum(raw)) {
+                    flushGarbage(offset);
+                    messages.push(this.emitMessage('frame', buildFrame(raw)));
+                    offset += frameLength;
+                    continue;
+                }
+
+                // Resync one byte past the bad STX; the checksum error is only
+                // reported when no valid frame starts inside the claimed length
+                const next = findValidFrame(this.buffer, offset + 1, offset + frameLength);
+                if (next !== -1) {
+                    if (garbageStart === -1) garbageStart = offset;
+                } else {
+                    flushGarbage(offset);
+                    this.discard(raw.slice(0, 1), 'checksum');
+                    messages.push(this.emitMessage('checksumError', {
+                        type: 'CHECKSUM_ERROR',
+                        raw: raw,
+                        hex: raw.toString('hex').toUpperCase(),
+                        received: raw[raw.length - 1],
+                        expected: calculateChecksum(raw.slice(1, raw.length - 1))
+                    }));
+                }
+                quietUntil = Math.max(quietUntil, next === -1 ? offset + frameLength : next);
+                offset++;
+                continue;
+            }
+
+            if (offset >= quietUntil &&
+                (byte === FRAME_BYTES.ACK || byte === FRAME_BYTES.NAK || byte === FRAME_BYTES.BUSY)) {
+                flushGarbage(offset);
+                const type = byte === FRAME_BYTES.ACK ? 'ACK' : byte === FRAME_BYTES.NAK ? 'NAK' : 'BUSY';
+                messages.push(this.emitMessage(type.toLowerCase(), { type, byte }));
+                offset++;
+                continue;
+            }
+
+            if (garbageStart === -1) garbageStart = offset;
+            offset++;
+        }
+
+        flushGarbage(offset);
+        this.buffer = this.buffer.slice(offset);
+        this.quietBytes = Math.max(0, quietUntil - offset);
+
+        return messages;
+    }
+
+    /**
+     * Number of bytes held for an incomplete frame
+     */
+    get pendingBytes() {
+        return this.buffer.length;
+    }
+
+    /**
+     * Drop any partially received frame
+     */
+    reset() {
+        if (this.buffer.length > 0) {
+            this.discard(this.buffer, 'reset');
+        }
+        this.buffer = Buffer.alloc(0);
+        this.quietBytes = 0;
+    }
+
+    emitMessage(event, message) {
+        switch (event) {
+            case 'frame': this.stats.frames++; break;
+            case 'ack': this.stats.acks++; break;
+            case 'nak': this.stats.naks++; break;
+            case 'busy': this.stats.busy++; break;
+            case 'checksumError': this.stats.checksumErrors++; break;
+        }
+
+        this.emit(event, message);
+        this.emit('message', message);
+        return message;
+    }
+
+    discard(bytes, reason) {
+        this.stats.discardedBytes += bytes.length;
+        this.emit('discard', { bytes: Buffer.from(bytes), reason });
+    }
+}
+
+/**
+ * Decode a complete response buffer in one pass
+ * @param {Buffer} response - Raw response buffer
+ * @returns {Object} { messages, frames, pendingBytes, discardedBytes }
+ */
+function decodeFlexiCartResponse(response) {
+    const decoder = new FlexiCartFrameDecoder();
+    const messages = response && response.length > 0 ? decoder.push(response) : [];
+
+    return {
+        messages: messages,
+        frames: messages.filter(m => m.type === 'FRAME'),
+        pendingBytes: decoder.pendingBytes,
+        discardedBytes: decoder.stats.discardedBytes
+    };
+}
+
+/**
+ * Check whether a decoded message answers a request sent to the given UA2
+ * ACK/NAK/BUSY carry no address and always match; frames must share a UA2 bit
+ * @param {Object} message - Decoded message
+ * @param {number|null} ua2 - UA2 of the request (null = any)
+ * @returns {boolean} True when the message belongs to the request
+ */
+function matchesUnitAddress(message, ua2) {
+    if (ua2 === null || ua2 === undefined || message.type !== 'FRAME') return true;
+    return (message.ua2 & ua2) !== 0;
+}
+
+/**
+ * Completion check for a FlexiCart request: done once one full message
+ * (frame, ACK, NAK, BUSY or checksum-error frame) has been received
+ * @param {Buffer} buffer - Everything received so far for the request
+ * @param {number|null} ua2 - Only count frames from this unit (multi-drop lines)
+ * @returns {boolean} True when the response is complete
+ */
+function isCompleteFlexiCartResponse(buffer, ua2 = null) {
+    return decodeFlexiCartResponse(buffer).messages.some(m => matchesUnitAddress(m, ua2));
+}
+
+/**
+ * Build a completion check bound to the UA2 of an outgoing command
+ * Frames from other carts on the same line don't complete the request
+ * @param {Buffer} command - Outgoing FlexiCart frame
+ * @returns {Function} isComplete(buffer) for the connection manager
+ */
+function createResponseMatcher(command) {
+    const ua2 = command[3];
+    return (buffer) => isCompleteFlexiCartResponse(buffer, ua2);
+}
+
+/**
+ * Check whether a buffer is a well-formed FlexiCart frame (used to pick the
+ * completion strategy for outgoing commands)
+ * @param {Buffer} buffer - Candidate frame
+ * @returns {boolean} True for a single complete frame with a valid checksum
+ */
+function isFlexiCartFrame(buffer) {
+    return Buffer.isBuffer(buffer) &&
+           buffer.length >= MIN_BYTE_COUNT + FRAME_OVERHEAD &&
+           buffer[0] === FRAME_BYTES.STX &&
+           buffer[1] + FRAME_OVERHEAD === buffer.length &&
+           verifyChecksum(buffer);
+}
+
+module.exports = {
+    FlexiCartFrameDecoder,
+    decodeFlexiCartResponse,
+    isCompleteFlexiCartResponse,
+    createResponseMatcher,
+    matchesUnitAddress,
+    isFlexiCartFrame,
+    encodeFlexiCartFrame,
+    calculateChecksum,
+    verifyChecksum,
+    FRAME_BYTES
+};
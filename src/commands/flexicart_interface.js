@@ -4,14 +4,53 @@
  */
 
 // Import from the new serial utils module
-const { sendCommand, FlexicartError } = require('./flexicart_serial_utils');
+const { sendCommand, closeAllConnections, FlexicartError } = require('./flexicart_serial_utils');
+
+const { FlexiCartFrameDecoder, decodeFlexiCartResponse } = require('./flexicart_frame_decoder');
+
+const {
+    createTransport,
+    registerMemoryEndpoint,
+    unregisterMemoryEndpoint
+} = require('./flexicart_transports');
+
+const {
+    loadDeviceConfig,
+    getDeviceConfig,
+    setDeviceConfig,
+    getLineSettings,
+    getDeviceAddress
+} = require('./device_config');
+
+const {
+    deviceRegistry,
+    discoverFlexicarts,
+    discoverConfiguredFlexicarts,
+    CART_ADDRESSES
+} = require('./flexicart_device_registry');
+
+const { autodetectLineSettings } = require('./flexicart_line_autodetect');
+const { startWireCapture, stopWireCapture } = require('./flexicart_wire_capture');
+const { replayCapture } = require('./flexicart_capture_replay');
+const { FlexiCartSimulator } = require('./flexicart_simulator');
+const {
+    COMMAND_CATALOG,
+    COMMAND_PROTOCOL,
+    RESPONSE_CLASS,
+    SAFETY_LEVEL,
+    getCommandDefinition,
+    getCommandName,
+    encodeCommand,
+    validateCommandRequest,
+    describeCommand
+} = require('./flexicart_command_catalog');
 
 // Import specialized modules
 const {
     getFlexicartStatus,
     getFlexicartPosition,
-    getFlexicartInventory,
     getFlexicartErrors,
+    getFlexicartInventory,
     clearFlexicartErrors,
     testFlexicartCommunication,
     autoScanFlexicarts,
@@ -32,21 +71,30 @@ const {
 const {
     parseFlexicartStatus,
     parseFlexicartPosition,
+    parseFlexicartMotion,
     parseFlexicartInventory,
     parseFlexicartErrors,
     parseFlexicartMoveResponse,
     parseFlexicartCalibrationResponse,
+    parseFlexicartBinStatus,
+    parseFlexicartErrorReport,
     FLEXICART_STATUS_CODES,
     FLEXICART_ERROR_CODES
 } = require('./flexicart_status_parser');
 
+const {
+    describeFlexicartError,
+    ERROR_CATEGORY,
+    ERROR_SEVERITY
+} = require('./flexicart_error_catalog');
+
 // Export all functionality from the specialized modules
 module.exports = {
     // Status functions
     getFlexicartStatus,
     getFlexicartPosition,
-    getFlexicartInventory,
     getFlexicartErrors,
+    getFlexicartInventory,
     clearFlexicartErrors,
     testFlexicartCommunication,
     autoScanFlexicarts,
@@ -63,19 +111,66 @@ module.exports = {
     // Parsing functions
     parseFlexicartStatus,
     parseFlexicartPosition,
+    parseFlexicartMotion,
     parseFlexicartInventory,
     parseFlexicartErrors,
     parseFlexicartMoveResponse,
     parseFlexicartCalibrationResponse,
+    parseFlexicartBinStatus,
+    parseFlexicartErrorReport,
     
     // Core utility
     sendCommand,
+    closeAllConnections,
+    decodeFlexiCartResponse,
+    
+    // Transports and device configuration
+    createTransport,
+    getDeviceAddress,
+    loadDeviceConfig,
+    getDeviceConfig,
+    setDeviceConfig,
+    getLineSettings,
+    registerMemoryEndpoint,
+    unregisterMemoryEndpoint,
+    
+    // Multi-drop devices
+    deviceRegistry,
+    discoverFlexicarts,
+    discoverConfiguredFlexicarts,
+    autodetectLineSettings,
+    
+    // Wire capture and replay
+    startWireCapture,
+    stopWireCapture,
+    replayCapture,
+    
+    // Hardware simulator
+    FlexiCartSimulator,
+    
+    // Command catalog
+    getCommandDefinition,
+    getCommandName,
+    encodeCommand,
+    validateCommandRequest,
+    describeCommand,
+    
+    // Error catalog
+    describeFlexicartError,
     
     // Constants and classes
+    COMMAND_CATALOG,
+    COMMAND_PROTOCOL,
+    RESPONSE_CLASS,
+    SAFETY_LEVEL,
     FLEXICART_COMMANDS,
     FLEXICART_MOVEMENT_COMMANDS,
     FLEXICART_STATUS_CODES,
     FLEXICART_ERROR_CODES,
+    ERROR_CATEGORY,
+    ERROR_SEVERITY,
+    CART_ADDRESSES,
+    FlexiCartFrameDecoder,
     FlexicartError
 };
 
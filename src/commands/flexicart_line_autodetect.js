@@ -0,0 +1,198 @@
+/**
+ * FlexiCart Line Autodetect
+ * Finds working RS-422 line parameters for a port whose settings are unknown:
+ * each baud/parity/stop-bit candidate is opened in turn, a side-effect-free
+ * probe (0x50 dummy, then 0x61 status) is sent and the reply is scored with
+ * the frame decoder. Clean frames and ACKs win; checksum errors and unframed
+ * bytes mean "something is there, but the line settings are wrong".
+ */
+
+const { connectionManager } = require('./flexicart_connection_manager');
+const { encodeCommand } = require('./flexicart_command_catalog');
+const { decodeFlexiCartResponse, createResponseMatcher, matchesUnitAddress } = require('./flexicart_frame_decoder');
+const { overrideLineSettings } = require('./device_config');
+
+/**
+ * Candidate settings, most likely first (RS-422A default is 38400 8E1)
+ */
+const AUTODETECT_MATRIX = {
+    baudRates: [38400, 19200, 9600, 4800],
+    parities: ['even', 'none', 'odd'],
+    stopBits: [1, 2],
+    dataBits: [8]
+};
+
+/**
+ * Response scores (higher is better)
+ */
+const PROBE_SCORES = {
+    FRAME: 100,             // Checksum-valid frame from the probed cart
+    ACK: 90,
+    NAK: 70,                // Understood the framing, rejected the command
+    BUSY: 60,
+    CHECKSUM_ERROR: 20,     // Bytes arrive but are corrupted - near miss
+    NOISE: 5,               // Unframed bytes only
+    SILENCE: 0
+};
+
+// Good enough to stop sweeping
+const ACCEPT_SCORE = PROBE_SCORES.NAK;
+
+/**
+ * Expand the matrix into an ordered candidate list
+ * @param {Object} matrix - { baudRates, parities, stopBits, dataBits }
+ * @returns {Array<Object>} Line settings candidates
+ */
+function buildCandidates(matrix = AUTODETECT_MATRIX) {
+    const candidates = [];
+    for (const baudRate of matrix.baudRates) {
+        for (const parity of matrix.parities) {
+            for (const stopBits of matrix.stopBits) {
+                for (const dataBits of matrix.dataBits) {
+                    candidates.push({ baudRate, dataBits, parity, stopBits });
+                }
+            }
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Score a probe response
+ * @param {Buffer} response - Bytes received for the probe
+ * @param {number} ua2 - UA2 the probe was sent to
+ * @returns {Object} { score, type, discardedBytes }
+ */
+function scoreProbeResponse(response, ua2) {
+    if (!response || response.length === 0) {
+        return { score: PROBE_SCORES.SILENCE, type: 'SILENCE', discardedBytes: 0 };
+    }
+
+    const decoded = decodeFlexiCartResponse(response);
+    const messages = decoded.messages.filter(m => matchesUnitAddress(m, ua2));
+
+    let best = { score: PROBE_SCORES.NOISE, type: 'NOISE' };
+    for (const message of messages) {
+        const score = PROBE_SCORES[message.type] || 0;
+        if (score > best.score) best = { score, type: message.type };
+    }
+
+    // Stray bytes around a good reply hint at a marginal setting (e.g. wrong stop bits)
+    const penalty = Math.min(decoded.discardedBytes, 10);
+    return {
+        score: best.type === 'NOISE' ? best.score : Math.max(best.score - penalty, 1),
+        type: best.type,
+        discardedBytes: decoded.discardedBytes
+    };
+}
+
+/**
+ * Try one candidate: reopen the port with it and send each probe
+ * @returns {Promise<Object>} Candidate result
+ */
+async function tryCandidate(port, settings, probes, timeout, debug) {
+    await connectionManager.close(port);
+    connectionManager.getConnection(port, settings);
+
+    const result = { settings, score: PROBE_SCORES.SILENCE, type: 'SILENCE', probe: null, ua2: null, error: null };
+
+    for (const probe of probes) {
+        try {
+            const response = await connectionManager.request(port, probe.command, {
+                timeout,
+                debug,
+                isComplete: createResponseMatcher(probe.command)
+            });
+            const scored = scoreProbeResponse(response, probe.ua2);
+            if (scored.score > result.score) {
+                Object.assign(result, scored, { probe: probe.name, ua2: probe.ua2, hex: response.toString('hex').toUpperCase() });
+            }
+        } catch (error) {
+            result.error = error.code || error.message;
+            // Can't open the port at all - no setting will help
+            if (error.code === 'OPEN_FAILED' || error.code === 'OPEN_TIMEOUT') {
+                result.fatal = true;
+                break;
+            }
+        }
+        if (result.score >= ACCEPT_SCORE) break;
+    }
+
+    return result;
+}
+
+/**
+ * Sweep line settings on a port until a cart answers cleanly
+ * @param {string} port - Device address
+ * @param {Object} options - { addresses, matrix, timeout, stopOnFirst, apply, debug }
+ *   addresses: UA2 values to probe on each candidate (first cart that answers wins)
+ *   apply: remember the detected settings for this address so later opens use them
+ * @returns {Promise<Object>} { success, port, settings, score, type, results, duration, timestamp }
+ */
+async function autodetectLineSettings(port, options = {}) {
+    const {
+        addresses = [0x01],
+        matrix = AUTODETECT_MATRIX,
+        timeout = 500,
+        stopOnFirst = true,
+        apply = true,
+        debug = false
+    } = options;
+
+    const startTime = Date.now();
+    const candidates = buildCandidates(matrix);
+    const probes = [];
+    for (const ua2 of addresses) {
+        probes.push({ name: 'DUMMY', ua2, command: encodeCommand('DUMMY', {}, ua2) });
+        probes.push({ name: 'STATUS', ua2, command: encodeCommand('STATUS_REQUEST', {}, ua2) });
+    }
+
+    console.log(`🔧 Autodetecting line settings on ${port} (${candidates.length} candidates, ${addresses.length} cart address(es))...`);
+
+    const results = [];
+    let best = null;
+
+    for (const settings of candidates) {
+        const label = `${settings.baudRate} ${settings.dataBits}${settings.parity[0].toUpperCase()}${settings.stopBits}`;
+        const result = await tryCandidate(port, settings, probes, timeout, debug);
+        results.push(result);
+
+        if (debug) console.log(`    ${result.score >= ACCEPT_SCORE ? '✅' : '❌'} ${label}: ${result.type} (score ${result.score})`);
+
+        if (result.fatal) break;
+        if (!best || result.score > best.score) best = result;
+        if (stopOnFirst && result.score >= ACCEPT_SCORE) break;
+    }
+
+    await connectionManager.close(port);
+
+    const success = !!best && best.score >= ACCEPT_SCORE;
+    const duration = Date.now() - startTime;
+
+    if (success) {
+        const s = best.settings;
+        console.log(`✅ ${port}: ${s.baudRate} ${s.dataBits}${s.parity[0].toUpperCase()}${s.stopBits} (${best.type}, ${duration}ms)`);
+        if (apply) overrideLineSettings(port, s);
+    } else {
+        console.log(`❌ ${port}: no working line settings found (${duration}ms)`);
+    }
+
+    return {
+        success,
+        port,
+        settings: success ? { ...best.settings } : null,
+        score: best ? best.score : 0,
+        type: best ? best.type : 'SILENCE',
+        results,
+        duration,
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    autodetectLineSettings,
+    scoreProbeResponse,
+    buildCandidates,
+    AUTODETECT_MATRIX,
+    PROBE_SCORES
+};
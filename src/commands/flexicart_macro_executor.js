@@ -0,0 +1,330 @@
+/**
+ * FlexiCart Macro Executor
+ * Library form of the ACK-then-poll pattern for macro commands (BT 01H moves
+ * 10H/14H/1DH and the 0x41-0x47 macros): assign a Macro No. where the
+ * command carries one, send the command, require ACK (04H), then sense the
+ * cart status (61H) at a fixed rate until CSTS1 reports the macro's end
+ * information or the per-type timeout runs out. Progress is recorded as
+ * FlexiCartOperations steps.
+ *
+ * CSTS1 reports each macro's end once, so every Cart Status Return the cart
+ * sends - the executor's polls or anyone else's (recordStatus) - is kept by
+ * Macro No. until the macro waiting for it picks it up. Macros sent without
+ * a Macro No. are reported under FFH.
+ */
+
+const { FlexicartError } = require('./flexicart_errors');
+const { encodeFlexiCartFrame, decodeFlexiCartResponse } = require('./flexicart_frame_decoder');
+const { decodeStatusReturn } = require('./flexicart_status_parser');
+const { FlexiCartOperations } = require('./flexicart_data_structures');
+const { COMMAND_PRIORITY } = require('./flexicart_command_queue');
+const catalog = require('./flexicart_command_catalog');
+
+/**
+ * Executor defaults
+ */
+const MACRO_EXECUTOR_DEFAULTS = {
+    pollInterval: 100,          // ms between status polls
+    timeoutFactor: 2            // Timeout = getExpectedDuration(type) x factor
+};
+
+const NORMAL_END = 0x00;        // Macro end information: normal end
+
+// Poll failures that only cost one tick - the macro keeps running regardless
+const TRANSIENT_POLL_ERRORS = ['DEADLINE_EXCEEDED', 'RESPONSE_TIMEOUT', 'RESPONSE_INCOMPLETE'];
+
+/**
+ * Judge the end report of a macro (CSTS1 Macro No. + end information)
+ * @param {Object|null} end - { macroNo, endInfo, remaining } reported for the macro, null while it runs
+ * @returns {Object} { done, success, endInfo }
+ */
+function evaluateMacroEnd(end) {
+    if (!end) {
+        return { done: false, success: false, endInfo: null };
+    }
+    return { done: true, success: end.endInfo === NORMAL_END, endInfo: end.endInfo };
+}
+
+const isActive = (operation) => !!operation && (operation.status === 'started' || operation.status === 'in_progress');
+
+// Macro No. an operation was sent with, null for macros without one
+const macroNumberOf = (operation) => (operation.details.macro === undefined ? null : operation.details.macro);
+
+const hex = (byte) => byte.toString(16).toUpperCase().padStart(2, '0');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Macro executor for one cart
+ */
+class FlexiCartMacroExecutor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.send - (command, queueOptions) => Promise<Buffer>, one exchange on the cart's line
+     * @param {FlexiCartOperations} options.operations - Tracker to record into (a private one by default)
+     * @param {number} options.cartAddress - UA2 of the cart
+     * @param {Function} options.onStatus - (response, status) for every status poll, e.g. state updates
+     * @param {Function} options.onSettled - (operation) once a macro has completed, failed or timed out
+     * @param {number} options.pollInterval - ms between status polls
+     * @param {number} options.timeoutFactor - Multiplier on getExpectedDuration for the timeout
+     */
+    constructor(options = {}) {
+        if (typeof options.send !== 'function') {
+            throw new FlexicartError('Macro executor needs a send function', 'INVALID_PARAMETER');
+        }
+
+        this.send = options.send;
+        this.operations = options.operations || new FlexiCartOperations();
+        this.cartAddress = options.cartAddress || 0x01;
+        this.onStatus = options.onStatus || null;
+        this.onSettled = options.onSettled || null;
+        this.pollInterval = options.pollInterval || MACRO_EXECUTOR_DEFAULTS.pollInterval;
+        this.timeoutFactor = options.timeoutFactor || MACRO_EXECUTOR_DEFAULTS.timeoutFactor;
+        this.monitors = new Map();     // operationId -> completion promise
+        this.macroEnds = new Map();    // Macro No. (null = none) -> CSTS1 end report not yet picked up
+        this.nextMacroNumber = 0;
+    }
+
+    /**
+     * Keep the macro end a Cart Status Return reports (CSTS1)
+     * Call with every decoded status from this cart - the cart reports each end once
+     * @param {Object|null} status - decodeStatusReturn() result
+     */
+    recordStatus(status) {
+        if (status && status.macroEnd) {
+            this.macroEnds.set(status.macroEnd.macroNo, status.macroEnd);
+        }
+    }
+
+    /**
+     * Pick up the end report of a Macro No.
+     * @returns {Object|null} { macroNo, endInfo, remaining }, null when none was reported
+     */
+    takeMacroEnd(macroNo) {
+        const end = this.macroEnds.get(macroNo) || null;
+        this.macroEnds.delete(macroNo);
+        return end;
+    }
+
+    /**
+     * Assign a Macro No. (00-99) not held by a macro still running on the cart
+     * @returns {number} Macro No.
+     */
+    allocateMacroNumber() {
+        const inUse = new Set(this.operations.getActiveOperations().map(operation => operation.details.macro));
+
+        for (let i = 0; i <= catalog.MAX_MACRO_NUMBER; i++) {
+            const number = (this.nextMacroNumber + i) % (catalog.MAX_MACRO_NUMBER + 1);
+            if (!inUse.has(number)) {
+                this.nextMacroNumber = (number + 1) % (catalog.MAX_MACRO_NUMBER + 1);
+                return number;
+            }
+        }
+        throw new FlexicartError('Every Macro No. is held by a running macro', 'MACRO_NUMBERS_EXHAUSTED');
+    }
+
+    /**
+     * Parameters with a Macro No. assigned when the command takes one and none was given
+     * @param {Object} definition - Catalog entry
+     * @param {Object} params - Command parameters
+     * @returns {Object} Parameters to encode
+     */
+    withMacroNumber(definition, params) {
+        if (!definition || !definition.params.includes('macro') || params.macro !== undefined) return params;
+        return { ...params, macro: this.allocateMacroNumber() };
+    }
+
+    /**
+     * Timeout for an operation type (expected duration x timeoutFactor)
+     */
+    getTimeout(operationType) {
+        return Math.round(this.operations.getExpectedDuration(operationType) * this.timeoutFactor);
+    }
+
+    /**
+     * Start tracking a macro with its per-type timeout
+     * @returns {string} Operation ID
+     */
+    startOperation(operationType, details = {}) {
+        // A report left over from an earlier macro with this number is not this one's
+        this.macroEnds.delete(details.macro === undefined ? null : details.macro);
+        return this.operations.startOperation(operationType, {
+            ...details,
+            timeoutMs: this.getTimeout(operationType)
+        });
+    }
+
+    /**
+     * Send a catalog macro and wait until it completes, fails or times out
+     * @param {string} name - Catalog macro name, e.g. 'CASSETTE_MOVE'
+     * @param {Object} params - Command parameters, e.g. { source: 1012, destination: 101 };
+     *                          the Macro No. is assigned unless given
+     * @param {Object} queueOptions - Priority/deadline/cancellation for the send
+     * @returns {Promise<Object>} { success, operationId, operation, executionTime, error, timestamp }
+     */
+    async execute(name, params = {}, queueOptions = {}) {
+        const definition = catalog.getCommandDefinition(name);
+        if (definition && definition.responseClass !== catalog.RESPONSE_CLASS.MACRO) {
+            throw new FlexicartError(`${name} is not a macro command`, 'INVALID_COMMAND');
+        }
+
+        const request = this.withMacroNumber(definition, params);
+        const { bt, cmd, ctrl, block } = catalog.resolveCommand(name, request);
+        const command = encodeFlexiCartFrame(this.cartAddress, bt, cmd, block);
+        const operationId = this.startOperation(definition.operationType, { command: name, cmd, ctrl, ...request });
+        this.operations.addOperationStep(operationId, { name: 'sent', command: command.toString('hex') });
+
+        try {
+            const reply = await this.send(command, queueOptions);
+            const answer = decodeFlexiCartResponse(reply).messages[0];
+
+            if (answer && answer.type === 'ACK') {
+                await this.accept(operationId);
+            } else {
+                const received = answer ? answer.type : (reply.length > 0 ? 'unframed data' : 'nothing');
+                this.settle(operationId, 'failed', { error: `Expected ACK, received ${received}` });
+            }
+        } catch (error) {
+            this.settle(operationId, 'failed', { error: error.message });
+        }
+
+        return this.getResult(operationId);
+    }
+
+    /**
+     * A macro was ACKed - mark it in progress and poll until it settles
+     * @returns {Promise<Object>} The settled operation
+     */
+    accept(operationId) {
+        this.operations.updateOperation(operationId, { status: 'in_progress' });
+        this.operations.addOperationStep(operationId, { name: 'accepted' });
+        return this.monitor(operationId);
+    }
+
+    /**
+     * Poll an accepted macro until it settles (one monitor per operation)
+     * @returns {Promise<Object>} The settled operation
+     */
+    monitor(operationId) {
+        if (!this.monitors.has(operationId)) {
+            const completion = this.pollUntilSettled(operationId)
+                .finally(() => this.monitors.delete(operationId));
+            this.monitors.set(operationId, completion);
+        }
+        return this.monitors.get(operationId);
+    }
+
+    /**
+     * Wait for an operation to settle (resolves at once when nothing monitors it)
+     * @returns {Promise<Object>} The operation
+     */
+    waitFor(operationId) {
+        return this.monitors.get(operationId) || Promise.resolve(this.operations.getOperation(operationId));
+    }
+
+    /**
+     * Status polling loop
+     * Ends when CSTS1 has reported the macro's end, the timeout runs out, a
+     * poll fails hard, or the operation was settled elsewhere
+     * (FlexiCartOperations.checkTimeouts). While the cart says more end
+     * reports are waiting (remaining data) the next poll goes out at once
+     */
+    async pollUntilSettled(operationId) {
+        const operation = this.operations.getOperation(operationId);
+        if (!operation) return operation;
+
+        const statusCommand = catalog.encodeCommand('STATUS_REQUEST', {}, this.cartAddress);
+        const macroNo = macroNumberOf(operation);
+        const { timeoutMs, expectedDuration } = operation.details;
+        const started = Date.now();
+        let backlog = false;
+
+        try {
+            while (isActive(operation)) {
+                const verdict = evaluateMacroEnd(this.takeMacroEnd(macroNo));
+                if (verdict.done && verdict.success) {
+                    this.settle(operationId, 'completed', { result: { success: true, endInfo: verdict.endInfo } });
+                    break;
+                } else if (verdict.done) {
+                    this.settle(operationId, 'failed', {
+                        error: `Macro ended with end information ${hex(verdict.endInfo)}H`,
+                        result: { success: false, endInfo: verdict.endInfo }
+                    });
+                    break;
+                }
+
+                if (!backlog) await delay(this.pollInterval);
+                if (!isActive(operation)) break;
+
+                const elapsed = Date.now() - started;
+                if (elapsed > timeoutMs) {
+                    this.settle(operationId, 'timeout', { error: `Macro did not complete within ${timeoutMs}ms` });
+                    break;
+                }
+
+                let reply;
+                try {
+                    reply = await this.send(statusCommand, {
+                        priority: COMMAND_PRIORITY.NORMAL,
+                        maxWait: this.pollInterval
+                    });
+                } catch (error) {
+                    backlog = false;
+                    if (TRANSIENT_POLL_ERRORS.includes(error.code)) continue;
+                    this.settle(operationId, 'failed', { error: error.message });
+                    break;
+                }
+
+                const status = decodeStatusReturn(reply);
+                this.recordStatus(status);
+                if (this.onStatus) this.onStatus(reply, status);
+                backlog = !!(status && status.macroEnd && status.macroEnd.remaining > 0);
+
+                this.operations.updateOperation(operationId, {
+                    progress: Math.min(99, Math.round((elapsed / expectedDuration) * 100))
+                });
+            }
+        } catch (error) {
+            this.settle(operationId, 'failed', { error: error.message });
+        }
+
+        return operation;
+    }
+
+    /**
+     * Finish an operation with a final step
+     */
+    settle(operationId, status, updates = {}) {
+        const operation = this.operations.getOperation(operationId);
+        if (!isActive(operation)) return;
+
+        this.operations.updateOperation(operationId, {
+            ...updates,
+            status,
+            progress: status === 'completed' ? 100 : operation.progress
+        });
+        this.operations.addOperationStep(operationId, { name: status, error: updates.error || null });
+        if (this.onSettled) this.onSettled(operation);
+    }
+
+    /**
+     * Result object for a settled operation
+     */
+    getResult(operationId) {
+        const operation = this.operations.getOperation(operationId);
+        return {
+            success: operation.status === 'completed',
+            operationId,
+            operation,
+            executionTime: operation.duration,
+            error: operation.error,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = {
+    FlexiCartMacroExecutor,
+    evaluateMacroEnd,
+    MACRO_EXECUTOR_DEFAULTS
+};
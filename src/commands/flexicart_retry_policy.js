@@ -0,0 +1,263 @@
+/**
+ * FlexiCart Retry Policy
+ * Decides whether a failed exchange is sent again: NAK (communication error at
+ * the cart or a Sony 9-pin NAK), BUSY (status not ready within 40ms), checksum-corrupted replies and
+ * missing/partial replies are retried with exponential backoff as configured in
+ * device_config.js. Commands that move hardware are never resent blindly - a
+ * load or eject may have run even though its reply was lost - so they are only
+ * retried once a follow-up status query confirms the cart did not execute
+ * them, and never once an emergency stop has flushed the port queue.
+ */
+
+const { FlexicartError } = require('./flexicart_errors');
+const { isTerminatedResponse } = require('./flexicart_connection_manager');
+const { classifyCommand, COMMAND_CATEGORY } = require('./flexicart_command_queue');
+const { getRetryPolicy, DEFAULT_RETRY_POLICY } = require('./device_config');
+const {
+    decodeFlexiCartResponse,
+    isCompleteFlexiCartResponse,
+    matchesUnitAddress,
+    isFlexiCartFrame
+} = require('./flexicart_frame_decoder');
+const { decodeSonyResponse, isSonyPacket } = require('./flexicart_sony_9pin');
+const { decodeStatusReturn } = require('./flexicart_status_parser');
+const { describeFlexicartError, ERROR_PHASE } = require('./flexicart_error_catalog');
+const { getMacroNumber, CART_STATUS_BITMAP_1 } = require('./flexicart_command_catalog');
+
+/**
+ * What came back for one attempt
+ */
+const RESPONSE_OUTCOME = {
+    OK: 'OK',                           // Frame or ACK from the addressed cart (Sony: ACK or return)
+    NAK: 'NAK',
+    BUSY: 'BUSY',
+    CHECKSUM_ERROR: 'CHECKSUM_ERROR',
+    INCOMPLETE: 'INCOMPLETE',           // Timed out with part of a reply
+    NO_RESPONSE: 'NO_RESPONSE'
+};
+
+// Policy switch and error code for each failed outcome
+const OUTCOME_RULES = {
+    NAK:            { flag: 'retryOnNak',           code: 'RESPONSE_NAK' },
+    BUSY:           { flag: 'retryOnBusy',          code: 'RESPONSE_BUSY' },
+    CHECKSUM_ERROR: { flag: 'retryOnChecksumError', code: 'CHECKSUM_ERROR' },
+    INCOMPLETE:     { flag: 'retryOnTimeout',       code: 'RESPONSE_INCOMPLETE' },
+    NO_RESPONSE:    { flag: 'retryOnTimeout',       code: 'RESPONSE_TIMEOUT' }
+};
+
+// Replies in which the cart refused the command: NAK is sent for a
+// communication error and BUSY when it could not take the command in time
+const NOT_EXECUTED_OUTCOMES = [RESPONSE_OUTCOME.NAK, RESPONSE_OUTCOME.BUSY];
+
+/**
+ * Classify the reply to one attempt
+ * @param {Buffer} command - Command that was sent
+ * @param {Buffer|null} response - Bytes received (null/empty when nothing came back)
+ * @returns {string} RESPONSE_OUTCOME value
+ */
+function classifyResponse(command, response) {
+    if (!response || response.length === 0) return RESPONSE_OUTCOME.NO_RESPONSE;
+
+    if (isSonyPacket(command)) {
+        const { packets, checksumErrors } = decodeSonyResponse(response);
+        if (packets.length > 0) return packets[0].type === 'NAK' ? RESPONSE_OUTCOME.NAK : RESPONSE_OUTCOME.OK;
+        return checksumErrors.length > 0 ? RESPONSE_OUTCOME.CHECKSUM_ERROR : RESPONSE_OUTCOME.INCOMPLETE;
+    }
+
+    // Legacy STX/ETX commands: all we can tell is whether the reply was terminated
+    if (!isFlexiCartFrame(command)) {
+        return isTerminatedResponse(response, response) ? RESPONSE_OUTCOME.OK : RESPONSE_OUTCOME.INCOMPLETE;
+    }
+
+    const ua2 = command[3];
+    if (!isCompleteFlexiCartResponse(response, ua2)) return RESPONSE_OUTCOME.INCOMPLETE;
+
+    const messages = decodeFlexiCartResponse(response).messages.filter(m => matchesUnitAddress(m, ua2));
+    if (messages.some(m => m.type === 'FRAME' || m.type === 'ACK')) return RESPONSE_OUTCOME.OK;
+    return messages[0].type;
+}
+
+/**
+ * Whether a command can safely be sent twice
+ * Moves and load/eject macros are not; emergency stop and queries are
+ * @param {Buffer} command - Command buffer
+ * @param {string} category - Queue category given by the caller, if any
+ * @returns {boolean} True when a repeat has no extra effect
+ */
+function isIdempotentCommand(command, category = null) {
+    return (category || classifyCommand(command).category) !== COMMAND_CATEGORY.MOVE;
+}
+
+/**
+ * Delay before the next attempt
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed (1 = first)
+ * @returns {number} Milliseconds
+ */
+function getBackoffDelay(policy, attempt) {
+    return Math.min(policy.backoff * Math.pow(policy.backoffFactor, attempt - 1), policy.maxBackoff);
+}
+
+/**
+ * Check the status query sent after a failed move for proof it was not executed
+ * CSTS1 reports the end of each macro once. An end naming the move's Macro No.
+ * with end information of the "before execution" phase shows the cart refused
+ * it (except a cancel: nothing is resent after an emergency stop); after the cart's own NAK or BUSY it is enough that no end was reported
+ * for it. A normal or during-execution end, a lost reply with no end, or a
+ * reply that is not a Cart Status Return prove nothing - an idle cart looks
+ * the same whether the move never ran, finished or was stopped
+ * @param {Buffer} command - Move that was sent
+ * @param {string} outcome - RESPONSE_OUTCOME of its last attempt
+ * @param {Buffer|null} response - Reply to the status query
+ * @returns {boolean} True when the cart demonstrably did not execute the move
+ */
+function confirmsNotExecuted(command, outcome, response) {
+    const status = response ? decodeStatusReturn(response) : null;
+    if (!status || (status.bitmap1 & CART_STATUS_BITMAP_1.MACRO_END) === 0) return false;
+
+    const end = status.macroEnd;
+    if (end && end.macroNo === getMacroNumber(command)) {
+        const { phase, name } = describeFlexicartError(end.endInfo);
+        return phase === ERROR_PHASE.BEFORE && name !== 'CMD_CANCEL';
+    }
+    return NOT_EXECUTED_OUTCOMES.includes(outcome);
+}
+
+/**
+ * Abort signal for the retries of a move: fires when a request that flushes
+ * moves (an emergency stop) is dispatched on the connection, so a retry
+ * waiting out its backoff is not sent after the stop
+ * @param {EventEmitter} connection - Connection whose queue emits 'flushed'
+ * @param {Buffer} command - Command being retried
+ * @param {string} category - Queue category given by the caller, if any
+ * @returns {Object} { signal, release } - call release() once the exchange is over;
+ *          signal is null for commands that are safe to repeat
+ */
+function abortOnFlush(connection, command, category = null) {
+    if (isIdempotentCommand(command, category)) return { signal: null, release: () => {} };
+
+    const controller = new AbortController();
+    const own = category || classifyCommand(command).category;
+    const onFlushed = ({ categories }) => {
+        if (!categories || categories.includes(own)) controller.abort();
+    };
+
+    connection.on('flushed', onFlushed);
+    return {
+        signal: controller.signal,
+        release: () => connection.removeListener('flushed', onFlushed)
+    };
+}
+
+/**
+ * Wait out a backoff delay, ending early when the signal aborts
+ */
+function backoff(delay, signal) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, delay);
+        if (signal) signal.addEventListener('abort', done, { once: true });
+    });
+}
+
+/**
+ * Effective policy for a request
+ * @param {string} path - Device address
+ * @param {Object|boolean} override - Partial policy, or false to send exactly once
+ * @returns {Object} Complete retry policy
+ */
+function resolveRequestPolicy(path, override = undefined) {
+    if (override === false) return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+    return { ...getRetryPolicy(path), ...(override || {}) };
+}
+
+/**
+ * Send a command under a retry policy
+ * @param {Buffer} command - Command buffer
+ * @param {Function} sendOnce - async () => Buffer; one exchange on the wire
+ * @param {Object} options - { path, policy, category, queryStatus, signal, debug }
+ *   queryStatus: async () => Buffer; sends a Cart Status Return query (61H)
+ *                before a move is resent (see confirmsNotExecuted) - without
+ *                it moves are never resent
+ *   signal: AbortSignal; once aborted no further attempt is sent (see abortOnFlush)
+ * @returns {Promise<Buffer>} First good response
+ * @throws {FlexicartError} RESPONSE_NAK, RESPONSE_BUSY, CHECKSUM_ERROR,
+ *         RESPONSE_INCOMPLETE or RESPONSE_TIMEOUT once retrying stops; the error
+ *         carries .outcome, .attempts and the last .response. REQUEST_FLUSHED
+ *         when the signal aborted a pending retry
+ */
+async function sendWithRetry(command, sendOnce, options = {}) {
+    const {
+        path = null,
+        policy = resolveRequestPolicy(path),
+        category = null,
+        queryStatus = null,
+        signal = null,
+        debug = false
+    } = options;
+
+    const idempotent = isIdempotentCommand(command, category);
+
+    for (let attempt = 1; ; attempt++) {
+        let response = null;
+        try {
+            response = await sendOnce();
+        } catch (error) {
+            if (error.code !== 'RESPONSE_TIMEOUT') throw error;
+        }
+
+        const outcome = classifyResponse(command, response);
+        if (outcome === RESPONSE_OUTCOME.OK) return response;
+
+        const rule = OUTCOME_RULES[outcome];
+        const fail = (reason) => {
+            const error = new FlexicartError(`${outcome} after ${attempt} attempt(s)${reason ? ` - ${reason}` : ''}`, rule.code, path);
+            error.outcome = outcome;
+            error.attempts = attempt;
+            error.response = response || Buffer.alloc(0);
+            return error;
+        };
+
+        if (!policy[rule.flag] || attempt >= policy.maxAttempts) throw fail();
+
+        if (!idempotent && !(signal && signal.aborted)) {
+            let status = null;
+            if (queryStatus) {
+                try {
+                    status = await queryStatus();
+                } catch (error) {
+                    if (debug) console.log(`    ❌ [DEBUG] Status query before resend failed: ${error.message}`);
+                }
+            }
+            if (!confirmsNotExecuted(command, outcome, status)) {
+                throw fail('not resent, command may have been executed');
+            }
+        }
+
+        const delay = getBackoffDelay(policy, attempt);
+        if (debug) console.log(`    🔁 [DEBUG] ${outcome} on attempt ${attempt}/${policy.maxAttempts}, retrying in ${delay}ms`);
+        if (delay > 0 && !(signal && signal.aborted)) await backoff(delay, signal);
+
+        if (signal && signal.aborted) {
+            const error = new FlexicartError(`${outcome} after ${attempt} attempt(s) - not resent, flushed by an emergency stop`, 'REQUEST_FLUSHED', path);
+            error.outcome = outcome;
+            error.attempts = attempt;
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    sendWithRetry,
+    classifyResponse,
+    isIdempotentCommand,
+    confirmsNotExecuted,
+    abortOnFlush,
+    getBackoffDelay,
+    resolveRequestPolicy,
+    RESPONSE_OUTCOME
+};
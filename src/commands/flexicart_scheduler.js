@@ -0,0 +1,497 @@
+/**
+ * FlexiCart Scheduler
+ * Runs a playlist through the air workflow. Each event names a cassette
+ * (barcode or house ID), a start time, a duration and a hard or soft start.
+ * The cassette is pre-fetched into a free player (load and cue, prepare())
+ * a lead time ahead of air, then taken to air at the right moment (take()):
+ * a hard start rolls on its time and cuts off whatever is still on air, a
+ * soft start waits until the events before it are finished.
+ * Conflicts (one cassette needed by two events at once, more events in
+ * flight than there are players) are checked when a playlist is loaded,
+ * against the planned times - soft starts that slip are not foreseen.
+ * Progress is emitted as 'progress' messages for the WebSocket server.
+ */
+
+const EventEmitter = require('events');
+const { FlexicartError } = require('./flexicart_errors');
+const { getDeviceConfig } = require('./device_config');
+const { getVtrFrameRate, MAX_PREROLL_SECONDS } = require('./vtr_interface');
+const { AIR_WORKFLOW_DEFAULTS } = require('./flexicart_air_workflow');
+const { timecodeToFrames, framesToSeconds } = require('./timecode');
+
+/**
+ * How an event goes to air
+ */
+const START_MODES = {
+    HARD: 'hard',       // On its time, cutting off the event before it
+    SOFT: 'soft'        // When the events before it have finished, never before its time
+};
+
+/**
+ * Event status through a run
+ */
+const EVENT_STATUS = {
+    PENDING: 'pending',
+    PREFETCHING: 'prefetching',     // Loading and cueing in a player
+    CUED: 'cued',                   // Ready to roll
+    ROLLING: 'rolling',             // Preroll running
+    ON_AIR: 'on_air',
+    DONE: 'done',
+    FAILED: 'failed',
+    MISSED: 'missed',               // No player was free before the event ended
+    CANCELLED: 'cancelled'          // Cued, then the schedule was stopped
+};
+
+const FINISHED = [EVENT_STATUS.DONE, EVENT_STATUS.FAILED, EVENT_STATUS.MISSED, EVENT_STATUS.CANCELLED];
+const IN_FLIGHT = [EVENT_STATUS.PREFETCHING, EVENT_STATUS.CUED, EVENT_STATUS.ROLLING, EVENT_STATUS.ON_AIR];
+
+/**
+ * Playlist conflicts
+ */
+const CONFLICT_TYPES = {
+    DUPLICATE_CASSETTE: 'duplicate_cassette',   // One cassette needed by overlapping events
+    PLAYER_SHORTAGE: 'player_shortage',         // More events in flight than players
+    NOT_FOUND: 'cassette_not_found'             // No cart holds the cassette
+};
+
+/**
+ * Error codes
+ */
+const SCHEDULER_ERRORS = {
+    INVALID_EVENT: 'INVALID_EVENT',
+    CONFLICT: 'SCHEDULE_CONFLICT',
+    BUSY: 'SCHEDULE_BUSY'           // Playlist change while events are in flight
+};
+
+/**
+ * Check a playlist event and fill in its defaults
+ * @param {Object} raw - { id, start (ISO string, Date or ms), barcode | houseId, duration (timecode),
+ *                       startMode ('hard' | 'soft', default hard), som (tape start timecode), preroll (s), title }
+ * @param {number} index - Position in the playlist (default id)
+ * @param {string|number|Object} rate - Frame rate of the duration and SOM
+ * @returns {Object} Scheduled event
+ * @throws {FlexicartError} INVALID_EVENT
+ */
+function normaliseEvent(raw, index, rate) {
+    if (!raw || typeof raw !== 'object') {
+        throw new FlexicartError(`Event ${index + 1} must be an object`, SCHEDULER_ERRORS.INVALID_EVENT);
+    }
+
+    const id = raw.id !== undefined ? String(raw.id) : String(index + 1);
+    const invalid = (problem) => new FlexicartError(`Event ${id}: ${problem}`, SCHEDULER_ERRORS.INVALID_EVENT);
+
+    const key = raw.barcode || raw.houseId;
+    if (!key) throw invalid('needs a barcode or houseId');
+
+    const start = raw.start instanceof Date ? raw.start.getTime() :
+        typeof raw.start === 'number' ? raw.start : Date.parse(raw.start);
+    if (!Number.isFinite(start)) throw invalid(`invalid start time ${raw.start}`);
+
+    if (raw.duration === undefined) throw invalid('needs a duration');
+    const som = raw.som || AIR_WORKFLOW_DEFAULTS.start;
+    let frames;
+    try {
+        frames = timecodeToFrames(raw.duration, rate);
+        timecodeToFrames(som, rate);
+    } catch (error) {
+        throw invalid(error.message);
+    }
+    if (frames <= 0) throw invalid('duration must be longer than zero');
+
+    const startMode = raw.startMode || START_MODES.HARD;
+    if (!Object.values(START_MODES).includes(startMode)) throw invalid(`unknown startMode ${startMode}`);
+
+    const preroll = raw.preroll !== undefined ? raw.preroll : AIR_WORKFLOW_DEFAULTS.preroll;
+    if (!Number.isInteger(preroll) || preroll < 0 || preroll > MAX_PREROLL_SECONDS) {
+        throw invalid(`preroll must be whole seconds from 0 to ${MAX_PREROLL_SECONDS}`);
+    }
+
+    return {
+        id,
+        key,
+        barcode: raw.barcode || null,
+        houseId: raw.houseId || null,
+        title: raw.title || '',
+        start,
+        startTime: new Date(start).toISOString(),
+        duration: raw.duration,
+        durationMs: Math.round(framesToSeconds(frames, rate) * 1000),
+        startMode,
+        som,
+        preroll,
+        status: EVENT_STATUS.PENDING,
+        player: null,
+        operationId: null,
+        onAirAt: null,
+        offAirAt: null,
+        lateMs: 0,
+        error: null
+    };
+}
+
+/**
+ * Find the conflicts in a playlist. An event holds its player from the
+ * pre-fetch (start - leadTime) until its cassette is back (end + turnaround).
+ * @param {Array<Object>} events - normaliseEvent() results
+ * @param {Object} options - { players (count), leadTime (ms), turnaround (ms),
+ *                           locate (key => truthy when a cart holds the cassette) }
+ * @returns {Array<Object>} { type, events (ids), key | at, message }
+ */
+function detectConflicts(events, options = {}) {
+    const { players = 1, leadTime = 0, turnaround = 0, locate = null } = options;
+    const windows = events
+        .map(event => ({ event, from: event.start - leadTime, to: event.start + event.durationMs + turnaround }))
+        .sort((a, b) => a.from - b.from);
+    const conflicts = [];
+
+    if (locate) {
+        for (const event of events) {
+            if (!locate(event.key)) {
+                conflicts.push({
+                    type: CONFLICT_TYPES.NOT_FOUND,
+                    key: event.key,
+                    events: [event.id],
+                    message: `No cassette ${event.key} in the cart (event ${event.id})`
+                });
+            }
+        }
+    }
+
+    windows.forEach((a, index) => {
+        for (const b of windows.slice(index + 1)) {
+            if (b.from >= a.to) break;
+            if (a.event.key === b.event.key) {
+                conflicts.push({
+                    type: CONFLICT_TYPES.DUPLICATE_CASSETTE,
+                    key: a.event.key,
+                    events: [a.event.id, b.event.id],
+                    message: `Cassette ${a.event.key} is needed by events ${a.event.id} and ${b.event.id} at the same time`
+                });
+            }
+        }
+    });
+
+    // Count the windows open as each one opens; overlapping shortages are one conflict
+    let shortage = null;
+    windows.forEach((window, index) => {
+        const open = windows.slice(0, index + 1).filter(other => other.to > window.from);
+        if (open.length <= players) return;
+
+        if (shortage && shortage.until > window.from) {
+            const ids = new Set([...shortage.events, ...open.map(other => other.event.id)]);
+            shortage.events = [...ids];
+            shortage.needed = Math.max(shortage.needed, open.length);
+            shortage.until = Math.max(shortage.until, ...open.map(other => other.to));
+        } else {
+            shortage = {
+                type: CONFLICT_TYPES.PLAYER_SHORTAGE,
+                at: new Date(window.from).toISOString(),
+                events: open.map(other => other.event.id),
+                players,
+                needed: open.length,
+                until: Math.max(...open.map(other => other.to))
+            };
+            conflicts.push(shortage);
+        }
+        shortage.message = `${shortage.needed} events need a player from ${shortage.at}, only ${players} available (events ${shortage.events.join(', ')})`;
+    });
+
+    return conflicts.map(({ until, ...conflict }) => conflict);
+}
+
+/**
+ * Playlist scheduler over one air workflow per player deck
+ * Emits 'progress' ({ type, ..., timestamp }) for every playlist, schedule,
+ * event status and stage change, and 'event' with the event on each status change
+ */
+class FlexiCartScheduler extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Array<FlexiCartAirWorkflow>} options.players - One workflow per player deck
+     * @param {number} options.leadTime - ms before air to pre-fetch (default: config "schedule")
+     * @param {number} options.turnaround - ms after air until the player is free (default: config "schedule")
+     * @param {number} options.tickInterval - ms between checks (default: config "schedule")
+     * @param {string|number} options.frameRate - Rate of event durations (default: the first player's deck)
+     * @param {Function} options.now - Clock, ms (default Date.now)
+     * @param {boolean} options.debug - Enable debug output
+     */
+    constructor(options = {}) {
+        super();
+        const workflows = options.players || [];
+        if (workflows.length === 0) {
+            throw new FlexicartError('Scheduler needs at least one player', 'INVALID_PARAMETER');
+        }
+
+        const config = getDeviceConfig().schedule;
+        this.leadTime = options.leadTime !== undefined ? options.leadTime : config.leadTime;
+        this.turnaround = options.turnaround !== undefined ? options.turnaround : config.turnaround;
+        this.tickInterval = options.tickInterval || config.tickInterval;
+        this.frameRate = options.frameRate || getVtrFrameRate(workflows[0].vtrPath);
+        this.now = options.now || Date.now;
+        this.debug = !!options.debug;
+
+        this.players = workflows.map((workflow, index) => ({ index, workflow, eventId: null, run: null }));
+        this.events = [];
+        this.timer = null;
+
+        // Follow every stage of the runs this scheduler starts
+        for (const player of this.players) {
+            const previous = player.workflow.onStage;
+            player.workflow.onStage = (stage, run) => {
+                if (previous) previous(stage, run);
+                this.handleStage(player, stage, run);
+            };
+        }
+    }
+
+    /**
+     * Replace the playlist
+     * @param {Array<Object>} events - See normaliseEvent()
+     * @returns {Object} { success, events, conflicts, error, timestamp } - refused when it has conflicts
+     */
+    loadPlaylist(events) {
+        const refuse = (error, playlist = [], conflicts = []) => ({
+            success: false,
+            events: playlist,
+            conflicts,
+            error: error.message,
+            code: error.code,
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.events.some(event => IN_FLIGHT.includes(event.status))) {
+            return refuse(new FlexicartError('Playlist cannot change while events are in flight', SCHEDULER_ERRORS.BUSY));
+        }
+
+        let playlist;
+        try {
+            if (!Array.isArray(events)) {
+                throw new FlexicartError('Playlist must be an array of events', SCHEDULER_ERRORS.INVALID_EVENT);
+            }
+            playlist = events.map((event, index) => normaliseEvent(event, index, this.frameRate))
+                .sort((a, b) => a.start - b.start);
+            const ids = new Set();
+            for (const event of playlist) {
+                if (ids.has(event.id)) throw new FlexicartError(`Event id ${event.id} is used twice`, SCHEDULER_ERRORS.INVALID_EVENT);
+                ids.add(event.id);
+            }
+        } catch (error) {
+            return refuse(error);
+        }
+
+        const conflicts = detectConflicts(playlist, {
+            players: this.players.length,
+            leadTime: this.leadTime,
+            turnaround: this.turnaround,
+            locate: (key) => this.locate(key)
+        });
+        if (conflicts.length > 0) {
+            this.publish('playlist.rejected', { conflicts });
+            return refuse(new FlexicartError(
+                `Playlist has ${conflicts.length} conflict(s): ${conflicts.map(conflict => conflict.message).join('; ')}`,
+                SCHEDULER_ERRORS.CONFLICT
+            ), playlist, conflicts);
+        }
+
+        this.events = playlist;
+        this.publish('playlist.loaded', { events: this.getPlaylist() });
+        return { success: true, events: this.getPlaylist(), conflicts: [], error: null, timestamp: new Date().toISOString() };
+    }
+
+    /**
+     * Start executing the playlist
+     * @returns {boolean} False when already running
+     */
+    start() {
+        if (this.timer) return false;
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+        this.publish('schedule.started', { events: this.getPlaylist() });
+        this.tick();
+        return true;
+    }
+
+    /**
+     * Stop executing: cued cassettes go back to their bins, events on air play to their end
+     * @returns {Promise<boolean>} False when not running
+     */
+    async stop() {
+        if (!this.timer) return false;
+        clearInterval(this.timer);
+        this.timer = null;
+
+        for (const player of this.players) {
+            const event = this.getEvent(player.eventId);
+            if (event && event.status === EVENT_STATUS.CUED) await this.cancel(event, player, 'Schedule stopped');
+        }
+        this.publish('schedule.stopped', { events: this.getPlaylist() });
+        return true;
+    }
+
+    /**
+     * Copies of the scheduled events
+     */
+    getPlaylist() {
+        return this.events.map(event => ({ ...event }));
+    }
+
+    getEvent(id) {
+        return this.events.find(event => event.id === id) || null;
+    }
+
+    /**
+     * Scheduler state for a client that has just connected
+     */
+    getStatus() {
+        return {
+            running: !!this.timer,
+            leadTime: this.leadTime,
+            turnaround: this.turnaround,
+            players: this.players.map(player => ({ index: player.index, vtrPath: player.workflow.vtrPath, eventId: player.eventId })),
+            events: this.getPlaylist(),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * True when a cart holds the cassette (or a player of ours has it loaded)
+     */
+    locate(key) {
+        return this.players.some(({ workflow, run }) =>
+            workflow.findCassette(key) || (run && run.cassette && [run.cassette.barcode, run.cassette.id].includes(key))
+        );
+    }
+
+    /**
+     * One pass over the playlist: pre-fetch, take, cut off, give up
+     */
+    tick() {
+        const now = this.now();
+
+        for (const event of this.events) {
+            if (event.status === EVENT_STATUS.PENDING) {
+                this.checkPending(event, now);
+            } else if (event.status === EVENT_STATUS.CUED && this.isDue(event, now)) {
+                this.take(event, this.players[event.player]);
+            }
+
+            // A hard start takes whatever came before it off air on its time
+            if (event.startMode === START_MODES.HARD && now >= event.start && !FINISHED.includes(event.status)) {
+                for (const other of this.events) {
+                    if (other.start < event.start && [EVENT_STATUS.ROLLING, EVENT_STATUS.ON_AIR].includes(other.status)) {
+                        this.players[other.player].workflow.takeOff();
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Pre-fetch a pending event once it is within the lead time and a player holding it is free
+     */
+    checkPending(event, now) {
+        if (now >= event.start + event.durationMs) {
+            this.setStatus(event, EVENT_STATUS.MISSED, { error: 'No player was free before the event ended' });
+            return;
+        }
+        if (now < event.start - this.leadTime) return;
+
+        const player = this.players.find(({ eventId, workflow }) => !eventId && workflow.findCassette(event.key));
+        if (player) this.prefetch(event, player);
+    }
+
+    /**
+     * A cued event rolls its preroll ahead of its time; a soft start also waits for the events before it
+     */
+    isDue(event, now) {
+        if (now < event.start - event.preroll * 1000) return false;
+        if (event.startMode === START_MODES.HARD) return true;
+        return !this.events.some(other => other.start < event.start && !FINISHED.includes(other.status));
+    }
+
+    async prefetch(event, player) {
+        player.eventId = event.id;
+        this.setStatus(event, EVENT_STATUS.PREFETCHING, { player: player.index });
+
+        try {
+            player.run = await player.workflow.prepare(event.key, {
+                start: event.som,
+                preroll: event.preroll,
+                duration: event.duration,
+                holdMs: Math.max(0, event.start - this.now()),
+                event: { id: event.id, title: event.title, plannedStart: event.startTime, startMode: event.startMode }
+            });
+        } catch (error) {
+            this.finish(event, player, EVENT_STATUS.FAILED, { error: error.message, operationId: error.operationId || event.operationId });
+            return;
+        }
+
+        // Stopped while loading - nothing will take it
+        if (!this.timer) {
+            await this.cancel(event, player, 'Schedule stopped');
+            return;
+        }
+        this.setStatus(event, EVENT_STATUS.CUED);
+    }
+
+    async take(event, player) {
+        this.setStatus(event, EVENT_STATUS.ROLLING);
+
+        try {
+            const result = await player.workflow.take(player.run);
+            this.finish(event, player, EVENT_STATUS.DONE, { offAirAt: result.offAirAt });
+        } catch (error) {
+            this.finish(event, player, EVENT_STATUS.FAILED, { error: error.message });
+        }
+    }
+
+    async cancel(event, player, reason) {
+        await player.workflow.cancel(player.run, reason);
+        this.finish(event, player, EVENT_STATUS.CANCELLED, { error: reason });
+    }
+
+    /**
+     * Free the player and record how the event ended
+     */
+    finish(event, player, status, details = {}) {
+        player.eventId = null;
+        player.run = null;
+        this.setStatus(event, status, details);
+    }
+
+    /**
+     * Workflow stage of the run a player is doing for us
+     */
+    handleStage(player, stage, run) {
+        const event = this.getEvent(player.eventId);
+        if (!event) return;
+
+        if (!event.operationId) event.operationId = run.operationId;
+        this.publish('event.stage', { eventId: event.id, player: player.index, operationId: run.operationId, stage });
+        if (stage === 'on_air') {
+            this.setStatus(event, EVENT_STATUS.ON_AIR, { onAirAt: run.onAirAt, lateMs: Math.max(0, this.now() - event.start) });
+        }
+    }
+
+    setStatus(event, status, details = {}) {
+        Object.assign(event, details, { status });
+        if (this.debug) console.log(`📅 ${event.id} (${event.key}): ${status}${event.error ? ` - ${event.error}` : ''}`);
+        this.publish('event.status', { event: { ...event } });
+        this.emit('event', { ...event });
+    }
+
+    publish(type, data = {}) {
+        const message = { type, ...data, timestamp: new Date().toISOString() };
+        this.emit('progress', message);
+        return message;
+    }
+}
+
+module.exports = {
+    FlexiCartScheduler,
+    normaliseEvent,
+    detectConflicts,
+    START_MODES,
+    EVENT_STATUS,
+    CONFLICT_TYPES,
+    SCHEDULER_ERRORS
+};
@@ -3,38 +3,27 @@
  * Core serial communication functions without circular dependencies
  */
 
-const { SerialPort } = require('serialport');
-const { execSync } = require('child_process');
-
-/**
- * Flexicart Error class for handling device-specific errors
- */
-class FlexicartError extends Error {
-    constructor(message, code = 'FLEXICART_ERROR', port = null) {
-        super(message);
-        this.name = 'FlexicartError';
-        this.code = code;
-        this.port = port;
-        this.timestamp = new Date().toISOString();
-    }
-}
+const { FlexicartError } = require('./flexicart_errors');
+const { connectionManager, isTerminatedResponse } = require('./flexicart_connection_manager');
+const { getLineSettings } = require('./device_config');
+const { sendWithRetry, resolveRequestPolicy, abortOnFlush } = require('./flexicart_retry_policy');
+const { encodeCommand } = require('./flexicart_command_catalog');
+const {
+    decodeFlexiCartResponse,
+    createResponseMatcher,
+    matchesUnitAddress,
+    isFlexiCartFrame,
+    calculateChecksum
+} = require('./flexicart_frame_decoder');
+const { isSonyPacket, isCompleteSonyResponse } = require('./flexicart_sony_9pin');
 
 /**
  * PRODUCTION READY - FlexiCart Serial Communication
- * Using CONFIRMED working configuration: 19200 baud, 8E1
+ * Line settings (baud, parity, stop bits, timeouts) come from config/default.json
+ * via device_config.js; ports are owned by the shared connection manager and
+ * stay open between commands
  */
 
-/**
- * Force release port locks (Linux-specific fix)
- */
-function releasePortLocks(path) {
-    try {
-        execSync(`fuser -k ${path}`, { stdio: 'ignore' });
-    } catch (e) {
-        // Ignore errors - port might not be in use
-    }
-}
-
 /**
  * Create FlexiCart command packet
  */
@@ -50,207 +39,109 @@ function createFlexiCartCommand(ua2, cmd, bt = 0x00, control = 0x00, data = 0x80
     packet[7] = data;        // Data byte
     
     // Calculate checksum (sum of BC through DATA, then 2's complement)
-    let sum = 0;
-    for (let i = 1; i < 8; i++) {
-        sum += packet[i];
-    }
-    packet[8] = (0x100 - (sum & 0xFF)) & 0xFF;
+    packet[8] = calculateChecksum(packet.slice(1, 8));
     
     return packet;
 }
 
 /**
  * Parse FlexiCart response
+ * Validated by framing (STX/BC) and checksum rather than byte-pattern heuristics
+ * @param {Buffer} response - Raw response buffer
+ * @param {number|null} ua2 - Ignore frames from other carts on a shared line
  */
-function parseFlexiCartResponse(response) {
+function parseFlexiCartResponse(response, ua2 = null) {
     if (!response || response.length === 0) {
         return { type: 'NO_RESPONSE', valid: false };
     }
 
-    const hex = response.toString('hex').toUpperCase();
-    
-    // Check for known FlexiCart response patterns
-    const patterns = {
-        hasSpacePattern: hex.includes('2020'),
-        hasStatusPattern: hex.includes('0606') || hex.includes('FCFC'),
-        hasUnitPattern: hex.includes('0101'),
-        hasMaxPattern: hex.includes('FFFF'),
-        hasETXPattern: hex.includes('0303'),
-        isStatusLength: response.length >= 10 && response.length <= 30
-    };
-    
-    const patternCount = Object.values(patterns).filter(p => p).length;
+    const decoded = decodeFlexiCartResponse(response);
+    const messages = decoded.messages.filter(m => matchesUnitAddress(m, ua2));
+    const first = messages[0];
     
     return {
-        type: 'FLEXICART_STATUS',
-        valid: patternCount >= 2, // At least 2 patterns indicate FlexiCart response
+        type: first ? (first.type === 'FRAME' ? 'FLEXICART_FRAME' : first.type) : 'UNRECOGNIZED',
+        valid: !!first && first.type !== 'CHECKSUM_ERROR',
         length: response.length,
-        hex: hex,
-        patterns: patterns,
+        hex: response.toString('hex').toUpperCase(),
+        messages: messages,
+        frame: messages.find(m => m.type === 'FRAME') || null,
+        incomplete: decoded.pendingBytes > 0,
         raw: response
     };
 }
 
 /**
- * Core command sending function with enhanced error handling
+ * Core command sending function
+ * Routed through the persistent per-port connection; concurrent callers are
+ * queued by priority (see flexicart_command_queue.js). NAK, BUSY, checksum
+ * errors and missing or partial replies are retried per the line's retry policy
+ * (see flexicart_retry_policy.js); moves are only resent once a status query
+ * shows the cart did not execute them, and no retry goes out once an emergency
+ * stop has flushed the queue.
  * @param {string} path - Serial port path
  * @param {Buffer} command - Command buffer to send
- * @param {number} timeout - Response timeout in milliseconds
+ * @param {number} timeout - Response timeout in milliseconds (default: the line's responseTimeout)
  * @param {boolean} debug - Enable debug output
+ * @param {Object} queueOptions - { priority, category, deadline, maxWait, signal, flush,
+ *                                  retry (partial policy, or false to send exactly once) }
  * @returns {Promise<Buffer>} Response buffer
  */
-async function sendCommand(path, command, timeout = 3000, debug = false) {
-    return new Promise((resolve, reject) => {
-        let port;
-        let timeoutId;
-        let openTimeout;
-        let responseBuffer = Buffer.alloc(0);
-        const startTime = Date.now();
-        let isResolved = false;
-
-        function cleanup(error = null, result = null) {
-            if (isResolved) return;
-            isResolved = true;
-            
-            // Clear all timeouts
-            if (timeoutId) clearTimeout(timeoutId);
-            if (openTimeout) clearTimeout(openTimeout);
-            
-            // Close port safely
-            if (port) {
-                try {
-                    if (port.isOpen) {
-                        port.removeAllListeners();
-                        port.close((err) => {
-                            if (debug && err) console.log(`    ⚠️  [DEBUG] Close error: ${err.message}`);
-                            if (error) reject(error);
-                            else if (result) resolve(result);
-                        });
-                    } else {
-                        if (error) reject(error);
-                        else if (result) resolve(result);
-                    }
-                } catch (closeError) {
-                    if (debug) console.log(`    ⚠️  [DEBUG] Close exception: ${closeError.message}`);
-                    if (error) reject(error);
-                    else if (result) resolve(result);
-                }
-            } else {
-                if (error) reject(error);
-                else if (result) resolve(result);
-            }
-        }
-
-        try {
-            if (debug) console.log(`    🔌 [DEBUG] Opening RS-422 port ${path}...`);
-            
-            // CONFIRMED WORKING CONFIGURATION
-            port = new SerialPort({
-                path: path,
-                baudRate: 19200,        // CONFIRMED: Changed from 38400 to 19200
-                dataBits: 8,           
-                parity: 'even',        // CONFIRMED: Even parity required
-                stopBits: 1,           
-                flowControl: false,    
-                autoOpen: false,
-                lock: false
-            });
-
-            if (debug) {
-                console.log(`    📡 [DEBUG] RS-422 Settings: 19200 baud, 8E1 (CONFIRMED WORKING)`);
-            }
-
-            // Set open timeout
-            openTimeout = setTimeout(() => {
-                if (debug) console.log(`    ⏰ [DEBUG] Port open timeout for ${path}`);
-                cleanup(new FlexicartError(`Port open timeout: ${path}`, 'OPEN_TIMEOUT', path));
-            }, 5000);
-
-            // Handle port errors
-            port.on('error', (err) => {
-                if (debug) console.log(`    ❌ [DEBUG] RS-422 port error: ${err.message}`);
-                cleanup(new FlexicartError(`Port error: ${err.message}`, 'PORT_ERROR', path));
-            });
+async function sendCommand(path, command, timeout = undefined, debug = false, queueOptions = {}) {
+    const { retry, ...requestOptions } = queueOptions;
 
-            port.open((err) => {
-                if (openTimeout) {
-                    clearTimeout(openTimeout);
-                    openTimeout = null;
-                }
-                
-                const openDuration = Date.now() - startTime;
-                
-                if (err) {
-                    if (debug) console.log(`    ❌ [DEBUG] Failed to open ${path}: ${err.message} (${openDuration}ms)`);
-                    cleanup(new FlexicartError(`Failed to open port: ${err.message}`, 'OPEN_FAILED', path));
-                    return;
-                }
-                
-                if (debug) console.log(`    ✅ [DEBUG] RS-422 port ${path} opened successfully (${openDuration}ms)`);
-
-                // Set up data handler
-                port.on('data', (data) => {
-                    responseBuffer = Buffer.concat([responseBuffer, data]);
-                    
-                    if (debug) {
-                        console.log(`    📥 [DEBUG] Received ${data.length} bytes: ${data.toString('hex')}`);
-                        console.log(`    📥 [DEBUG] ASCII: "${data.toString('ascii').replace(/[^\x20-\x7E]/g, '.')}" `);
-                        console.log(`    📥 [DEBUG] Total buffer: ${responseBuffer.length} bytes: ${responseBuffer.toString('hex')}`);
-                    }
-                    
-                    // Check for complete response patterns
-                    if (data.includes(0x03) ||           // ETX terminator
-                        data.includes(0x0D) ||           // CR terminator  
-                        data.includes(0x0A) ||           // LF terminator
-                        responseBuffer.length >= 64) {   // Max reasonable response length
-                        
-                        const totalDuration = Date.now() - startTime;
-                        if (debug) console.log(`    ✅ [DEBUG] Complete response received (${totalDuration}ms total)`);
-                        cleanup(null, responseBuffer);
-                    }
-                });
+    try {
+        // FlexiCart frames complete on a decoded reply from the addressed cart,
+        // Sony packets on a decoded ACK/NAK/return; ASCII keeps the terminator check
+        let isComplete = isTerminatedResponse;
+        if (isFlexiCartFrame(command)) isComplete = createResponseMatcher(command);
+        else if (isSonyPacket(command)) isComplete = isCompleteSonyResponse;
+        const sendOnce = () => connectionManager.request(path, command, { ...requestOptions, timeout, debug, isComplete });
 
-                // Set response timeout
-                timeoutId = setTimeout(() => {
-                    const totalDuration = Date.now() - startTime;
-                    if (debug) {
-                        console.log(`    ⏰ [DEBUG] Response timeout after ${totalDuration}ms`);
-                        console.log(`    📥 [DEBUG] Partial response: ${responseBuffer.length} bytes: ${responseBuffer.toString('hex')}`);
-                    }
-                    
-                    if (responseBuffer.length > 0) {
-                        if (debug) console.log(`    📥 [DEBUG] Returning partial response`);
-                        cleanup(null, responseBuffer);
-                    } else {
-                        cleanup(new FlexicartError(`Response timeout: ${timeout}ms`, 'RESPONSE_TIMEOUT', path));
-                    }
-                }, timeout);
+        // Single shot: hand back whatever arrived, as before
+        if (retry === false) return await sendOnce();
 
-                // Send command with RS-422 considerations
-                if (debug) {
-                    console.log(`    📤 [DEBUG] Sending RS-422 command: ${command.toString('hex')} (${command.length} bytes)`);
-                    console.log(`    📤 [DEBUG] Command ASCII: "${command.toString('ascii').replace(/[^\x20-\x7E]/g, '.')}"`);
-                }
-                
-                port.write(command, (err) => {
-                    const writeDuration = Date.now() - startTime;
-                    if (err) {
-                        if (debug) console.log(`    ❌ [DEBUG] RS-422 write failed after ${writeDuration}ms: ${err.message}`);
-                        cleanup(new FlexicartError(`Write failed: ${err.message}`, 'WRITE_FAILED', path));
-                    } else {
-                        if (debug) console.log(`    ✅ [DEBUG] RS-422 command sent successfully (${writeDuration}ms)`);
-                    }
-                });
+        const flushed = abortOnFlush(connectionManager.getConnection(path), command, requestOptions.category);
+        try {
+            return await sendWithRetry(command, sendOnce, {
+                path,
+                policy: resolveRequestPolicy(path, retry),
+                category: requestOptions.category,
+                queryStatus: isFlexiCartFrame(command) ?
+                    () => queryCartStatus(path, command[3], timeout, debug, requestOptions.priority) : null,
+                signal: flushed.signal,
+                debug
             });
-
-        } catch (error) {
-            const catchDuration = Date.now() - startTime;
-            if (debug) console.log(`    ❌ [DEBUG] RS-422 exception after ${catchDuration}ms: ${error.message}`);
-            cleanup(new FlexicartError(`Send command failed: ${error.message}`, 'SEND_FAILED', path));
+        } finally {
+            flushed.release();
         }
+    } catch (error) {
+        if (error instanceof FlexicartError) throw error;
+        if (debug) console.log(`    ❌ [DEBUG] RS-422 exception: ${error.message}`);
+        throw new FlexicartError(`Send command failed: ${error.message}`, 'SEND_FAILED', path);
+    }
+}
+
+/**
+ * Status query sent before a move is resent (see confirmsNotExecuted)
+ */
+function queryCartStatus(path, ua2, timeout, debug, priority) {
+    const command = encodeCommand('STATUS_REQUEST', {}, ua2);
+    return connectionManager.request(path, command, {
+        priority,
+        timeout,
+        debug,
+        isComplete: createResponseMatcher(command)
     });
 }
 
+/**
+ * Close every persistent FlexiCart connection (call before a script exits)
+ */
+async function closeAllConnections() {
+    await connectionManager.closeAll();
+}
+
 /**
  * High-level FlexiCart command functions using CONFIRMED settings
  */
@@ -261,11 +152,11 @@ async function sendCommand(path, command, timeout = 3000, debug = false) {
 async function sendDummyCommand(path, cartAddress = 0x01, debug = false) {
     if (debug) console.log(`📤 [DEBUG] Sending dummy command to cart 0x${cartAddress.toString(16).toUpperCase()}`);
     
-    const command = createFlexiCartCommand(cartAddress, 0x50); // CMD 0x50 = Dummy
-    const response = await sendCommand(path, command, 5000, debug);
+    const command = encodeCommand('DUMMY', {}, cartAddress);   // CMD 0x50
+    const response = await sendCommand(path, command, undefined, debug);
     
     if (debug && response) {
-        console.log(`📥 [DEBUG] Dummy response: ${response.type}, Length: ${response.length || 0}`);
+        console.log(`📥 [DEBUG] Dummy response: ${parseFlexiCartResponse(response).type}, Length: ${response.length || 0}`);
     }
     
     return response;
@@ -277,11 +168,11 @@ async function sendDummyCommand(path, cartAddress = 0x01, debug = false) {
 async function sendStatusRequest(path, cartAddress = 0x01, debug = false) {
     if (debug) console.log(`📤 [DEBUG] Sending status request to cart 0x${cartAddress.toString(16).toUpperCase()}`);
     
-    const command = createFlexiCartCommand(cartAddress, 0x61); // CMD 0x61 = Status
-    const response = await sendCommand(path, command, 5000, debug);
+    const command = encodeCommand('STATUS_REQUEST', {}, cartAddress);   // CMD 0x61
+    const response = await sendCommand(path, command, undefined, debug);
     
     if (debug && response) {
-        console.log(`📥 [DEBUG] Status response: ${response.type}, Length: ${response.length || 0}`);
+        console.log(`📥 [DEBUG] Status response: ${parseFlexiCartResponse(response).type}, Length: ${response.length || 0}`);
     }
     
     return response;
@@ -293,26 +184,27 @@ async function sendStatusRequest(path, cartAddress = 0x01, debug = false) {
 async function sendSystemModeRequest(path, cartAddress = 0x01, debug = false) {
     if (debug) console.log(`📤 [DEBUG] Sending system mode request to cart 0x${cartAddress.toString(16).toUpperCase()}`);
     
-    const command = createFlexiCartCommand(cartAddress, 0x65); // CMD 0x65 = System Mode
-    const response = await sendCommand(path, command, 5000, debug);
+    const command = encodeCommand('SYSTEM_MODE_REQUEST', {}, cartAddress);   // CMD 0x65
+    const response = await sendCommand(path, command, undefined, debug);
     
     if (debug && response) {
-        console.log(`📥 [DEBUG] System mode response: ${response.type}, Length: ${response.length || 0}`);
+        console.log(`📥 [DEBUG] System mode response: ${parseFlexiCartResponse(response).type}, Length: ${response.length || 0}`);
     }
     
     return response;
 }
 
 /**
- * Test FlexiCart connectivity with CONFIRMED settings
+ * Test FlexiCart connectivity with the configured line settings
  */
 async function testFlexiCartConnection(path, debug = false) {
+    const settings = getLineSettings(path);
     console.log(`🔬 Testing FlexiCart connection on ${path}`);
-    console.log(`📡 Using CONFIRMED settings: 19200 baud, 8E1, RS-422`);
+    console.log(`📡 Using configured settings: ${settings.baudRate} baud, ${settings.dataBits}${settings.parity[0].toUpperCase()}${settings.stopBits}, RS-422`);
     
     try {
         // Test with confirmed working dummy command
-        const response = await sendDummyCommand(path, 0x01, debug);
+        const response = parseFlexiCartResponse(await sendDummyCommand(path, 0x01, debug));
         
         if (response && response.valid) {
             console.log(`✅ FlexiCart connection successful!`);
@@ -334,6 +226,7 @@ async function testFlexiCartConnection(path, debug = false) {
 module.exports = {
     FlexicartError,
     sendCommand,
+    closeAllConnections,
     createFlexiCartCommand,
     parseFlexiCartResponse,
     sendDummyCommand,
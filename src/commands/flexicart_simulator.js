@@ -0,0 +1,979 @@
+/**
+ * FlexiCart Hardware Simulator
+ * Speaks the FlexiCart frame protocol so the stack and the tests/ scripts can
+ * run without a cart. One simulator hosts one or more carts (UA2 bits) on a
+ * shared line and is reachable as memory://<name> (in-process) or through a
+ * pseudo-terminal that SerialPort opens like /dev/ttyRP0.
+ *
+ * Command model (replies follow the repo's parsers):
+ *   0x50        Dummy                        -> ACK
+ *   0x61        Sense cart status [BIT MAP 1, BIT MAP 2 (optional)]
+ *                                            -> Cart Status Return (CMD 0x71): each bit map and the
+ *                                               CSTS it selects (Cart Status MAP, protocol 8-1-2)
+ *   0x61 (BT 01) Sense console status [C.C, BIT MAP]
+ *                                            -> Cassette Console Status Return (BT 01, CMD 0x71): C.C, BIT MAP, CCS0
+ *   0x62, 0x72  Sense bin [C.C, BIN No., BIT MAP] -> ACK when empty, else BIN Status Return (BT 01, CMD 0x72)
+ *   0x09        Bin lamp [C.C, BIN No., 1 = on]   -> ACK
+ *   0x00 (BT 01) [01]  Report all bins       -> ACK, CSTS3 then reports every bin as changed
+ *   0x71        ON-AIR tally (CTRL 1 = on)   -> ACK
+ *   0x10        Cassette move [Macro No., C.C, source BIN No., C.C, destination BIN No.]
+ *   0x14        Elevator move [Macro No., C.C, destination BIN No.]
+ *   0x1D        Elevator initialize [Macro No., C.C, 00]
+ *   0x41, 0x42, 0x46, 0x47  Macros           -> ACK, then run; end information via 0x61 CSTS1
+ *   0x48        Emergency stop               -> ACK, motion stops at once
+ *   0x6F        Sense error report           -> Error Report Return (CMD 0x7F): BT + block of the last
+ *                                               command the cart could not take, FFH when none; clears CSTS15
+ *
+ * BIN No. is 2 bytes BCD in the manual's numbering (flexicart_command_catalog):
+ * cassette bins 10nn/11nn (60nn, L/M, is the unit's 10nn bin), VTR1-6 0101-0106, the elevator 0001. The
+ * simulator keeps cassette bins by their CassetteBinOccupancy number (1..binCount)
+ * and the VTRs one level below the last bin level.
+ *
+ * Macro ends are queued and CSTS1 reports them one per sense, oldest first,
+ * with the number still queued behind it (FFH for macros without a Macro No.).
+ * The maintenance switch is reported as TEST mode in CSTS0. Opening or
+ * closing the door sets Console Status Changed (CSTS4) until the console
+ * status is sensed. Bins whose
+ * cassette came or went are reported by CSTS3 one per sense, oldest first;
+ * after power on every bin is.
+ */
+
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const { FlexicartError } = require('./flexicart_errors');
+const { FlexiCartFrameDecoder, encodeFlexiCartFrame, FRAME_BYTES } = require('./flexicart_frame_decoder');
+const { registerMemoryEndpoint, unregisterMemoryEndpoint } = require('./flexicart_transports');
+const {
+    decodeBinNumber,
+    encodeBinNumber,
+    getCassetteBinIndex,
+    getCassetteBinNumber,
+    getVtrNumber,
+    ELEVATOR_BIN,
+    MAX_BIN_INDEX
+} = require('./flexicart_command_catalog');
+const {
+    CART_STATUS_WIDTHS,
+    FAILURE_STATUS_FLAGS,
+    CONSOLE_STATUS_FLAGS,
+    CASSETTE_CONSOLE_FLAGS,
+    BIN_STATUS_FLAGS
+} = require('./flexicart_status_parser');
+
+/**
+ * Simulator defaults
+ */
+const SIMULATOR_DEFAULTS = {
+    addresses: [0x01],          // UA2 bit of every simulated cart on the line
+    binCount: MAX_BIN_INDEX,
+    binsPerLevel: 36,           // Carousel slots per elevator level
+    occupancy: 0.5,             // Share of bins holding a cassette (generated population)
+    seed: 1,                    // Same seed, same population
+    barcodePrefix: 'SIM',
+    population: null,           // { bin: barcode } instead of a generated one
+    timeScale: 1,               // 0.01 = 100x faster mechanics
+    responseDelay: 2,           // ms before a reply goes out
+    interByteTimeout: 40        // ms; a frame that stalls longer is NAKed (protocol 4-2.3)
+};
+
+/**
+ * Mechanical timing (ms, before timeScale)
+ */
+const SIMULATOR_TIMING = {
+    settle: 300,                // Start/stop overhead of every macro
+    elevatorPerLevel: 400,
+    carouselPerSlot: 120,
+    load: 4000,                 // Cassette into a VTR
+    unload: 3500,               // Cassette out of a VTR
+    transfer: 3000,             // Cassette between bins or the elevator
+    initialize: 8000,
+    calibrate: 15000
+};
+
+/**
+ * Macro end information (Appendix-1, Tables 1 and 2)
+ */
+const MACRO_END_INFO = {
+    NORMAL_END: 0x00,
+    DOOR_OPEN: 0x58,
+    NO_BIN: 0x5A,
+    CASSETTE_IN_ELEVATOR: 0x5B,
+    DEST_BIN_OCCUPIED: 0x5E,
+    SOURCE_BIN_EMPTY: 0x5F,
+    ABNORMAL_END: 0xFA,
+    BUSY: 0xFC,
+    CANCELLED: 0xFF
+};
+
+/**
+ * Scriptable faults (FlexiCartSimulator.injectFault)
+ *
+ * Line faults act on the next `count` exchanges (default: until cleared),
+ * optionally only for one CMD and/or cart:
+ *   dropReply          Reply lost; { bytes } drops only the last n bytes
+ *   corruptChecksum    Frame replies go out with a wrong checksum
+ *   delayReply         Reply held back { ms }
+ *   nak                Command refused with NAK and not executed (count > 1 = NAK storm)
+ *   busy               Command refused with BUSY and not executed
+ * Cart conditions hold until cleared:
+ *   stuckMotion        Macros start but the mechanics never arrive
+ *   doorOpen           Macros refused with end information 58H; a running macro halts
+ *   emergencyStop      Motion halts and macros are refused until 0x46 initialize
+ *   unreadableBarcode  Occupied bins report a barcode read error { bins } (bin numbers 1..n, default all)
+ */
+const FAULT_TYPES = {
+    DROP_REPLY: 'dropReply',
+    CORRUPT_CHECKSUM: 'corruptChecksum',
+    DELAY_REPLY: 'delayReply',
+    NAK: 'nak',
+    BUSY: 'busy',
+    STUCK_MOTION: 'stuckMotion',
+    DOOR_OPEN: 'doorOpen',
+    EMERGENCY_STOP: 'emergencyStop',
+    UNREADABLE_BARCODE: 'unreadableBarcode'
+};
+
+const LINE_FAULTS = [
+    FAULT_TYPES.DROP_REPLY,
+    FAULT_TYPES.CORRUPT_CHECKSUM,
+    FAULT_TYPES.DELAY_REPLY,
+    FAULT_TYPES.NAK,
+    FAULT_TYPES.BUSY
+];
+
+const STATUS_RETURN_CMD = 0x71;
+const BIN_STATUS_RETURN_CMD = 0x72;
+const ERROR_REPORT_RETURN_CMD = 0x7F;
+const NOT_EXECUTED = [0xFF, 0xFF, 0xFF];    // CSTS1/CSTS2 with nothing to report
+
+// Cart Status MAP bits the cart does not define come back cleared
+const DEFINED_BITMAP_1 = 0x7F;              // CSTS7 is reserved
+const DEFINED_BITMAP_2 = 0xF9;              // CSTS9 and CSTS10 are reserved
+
+/**
+ * BIN No. (2 bytes BCD) at an offset of a frame's data bytes, null when missing
+ */
+function readBin(data, offset) {
+    return data.length >= offset + 2 ? decodeBinNumber(data[offset], data[offset + 1]) : null;
+}
+
+const fromBcd = (byte) => (byte >> 4) * 10 + (byte & 0x0F);
+const toBcd = (value) => ((Math.floor(value / 10) % 10) << 4) | (value % 10);
+
+/**
+ * Deterministic bin population
+ * @param {Object} options - { binCount, occupancy, seed, barcodePrefix }
+ * @returns {Map<number, string>} bin -> barcode
+ */
+function createPopulation(options = {}) {
+    const { binCount, occupancy, seed, barcodePrefix } = { ...SIMULATOR_DEFAULTS, ...options };
+
+    // mulberry32 - tiny seeded PRNG so runs are reproducible
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const bins = new Map();
+    for (let bin = 1; bin <= binCount; bin++) {
+        if (random() < occupancy) bins.set(bin, `${barcodePrefix}${String(bin).padStart(5, '0')}`);
+    }
+    return bins;
+}
+
+/**
+ * One simulated cart
+ *
+ * Events:
+ *   'macroStart'  ({ cmd, ctrl, macroNo, source, destination, durationMs }) - BIN Nos. of a 10H/14H move
+ *   'macroEnd'    ({ cmd, macroNo, endInfo })
+ *   'lamp'        ({ bin, on })
+ *   'tally'       ({ on })
+ */
+class SimulatedCart extends EventEmitter {
+    constructor(ua2, options = {}) {
+        super();
+        this.ua2 = ua2;
+        this.options = { ...SIMULATOR_DEFAULTS, ...options };
+        this.timing = { ...SIMULATOR_TIMING, ...(options.timing || {}) };
+
+        const { population } = this.options;
+        this.bins = population ?
+            new Map(Object.entries(population).map(([bin, barcode]) => [Number(bin), barcode])) :
+            createPopulation(this.options);
+
+        this.level = 1;
+        this.slot = 0;
+        this.vtrs = new Map();          // VTR 1-6 -> barcode of the cassette in it
+        this.elevator = null;           // Barcode of the cassette held by the elevator, if any
+        this.lamps = new Set();
+        this.onAir = false;
+        this.doorOpen = false;
+        this.consoleChanged = false;    // CSTS4: door opened or closed since the console status was sensed
+        this.emergencyStop = false;
+        this.initialized = true;
+        this.calibrated = true;
+        this.maintenanceMode = false;   // Front-panel maintenance switch (TEST mode)
+        this.powerDown = true;          // CSTS0 Power Down: set at power on until sensed
+        this.playing = false;           // Player transport as reported to the cart
+        this.errors = [];               // End information of abnormal macro ends
+        this.macro = null;              // Running macro
+        this.stuckMotion = false;       // Fault: macros never arrive
+        this.unreadableBins = null;     // Fault: true = every bin, or a Set of bins
+        this.lastMacro = { cmd: 0x00, macroNo: null, endInfo: MACRO_END_INFO.NORMAL_END };
+        this.macroEnds = [];            // End reports CSTS1 has yet to deliver, oldest first
+        this.changedBins = new Set();   // Bins CSTS3 has yet to report, oldest first
+        this.errorReport = null;        // BT + block of the last command refused as a data stream error (CSTS15)
+        this.reportAllBins();
+    }
+
+    get binCount() {
+        return this.options.binCount;
+    }
+
+    get levels() {
+        return Math.ceil(this.binCount / this.options.binsPerLevel);
+    }
+
+    /**
+     * Cassette bin the elevator is at, null at a VTR
+     */
+    get currentBin() {
+        const bin = (this.level - 1) * this.options.binsPerLevel + this.slot + 1;
+        return this.isValidBin(bin) ? bin : null;
+    }
+
+    isValidBin(bin) {
+        return Number.isInteger(bin) && bin >= 1 && bin <= this.binCount;
+    }
+
+    /**
+     * Queue every bin for CSTS3 (power on, BT 01 CMD 00 DATA 01)
+     */
+    reportAllBins() {
+        for (let bin = 1; bin <= this.binCount; bin++) this.changedBins.add(bin);
+    }
+
+    locate(bin) {
+        return {
+            level: Math.floor((bin - 1) / this.options.binsPerLevel) + 1,
+            slot: (bin - 1) % this.options.binsPerLevel
+        };
+    }
+
+    /**
+     * Place a BIN No. addresses
+     * @returns {Object|null} { bin } for a cassette bin, { vtr }, { elevator: true }, null when undefined
+     */
+    resolvePlace(binNumber) {
+        if (binNumber === ELEVATOR_BIN) return { elevator: true };
+        const vtr = getVtrNumber(binNumber);
+        if (vtr !== null) return { vtr };
+        const bin = getCassetteBinIndex(binNumber);
+        return this.isValidBin(bin) ? { bin } : null;
+    }
+
+    /**
+     * Elevator position of a place (the elevator is wherever it is)
+     */
+    positionOf(place) {
+        if (place.vtr) return { level: this.levels + 1, slot: place.vtr - 1 };
+        if (place.bin) return this.locate(place.bin);
+        return { level: this.level, slot: this.slot };
+    }
+
+    /**
+     * Barcode of the cassette at a place, null when empty
+     */
+    cassetteAt(place) {
+        if (place.vtr) return this.vtrs.get(place.vtr) || null;
+        if (place.bin) return this.bins.get(place.bin) || null;
+        return this.elevator;
+    }
+
+    putCassette(place, barcode) {
+        if (place.vtr) {
+            if (barcode === null) {
+                this.vtrs.delete(place.vtr);
+                this.playing = false;
+            } else {
+                this.vtrs.set(place.vtr, barcode);
+            }
+        } else if (place.bin) {
+            if (barcode === null) this.bins.delete(place.bin); else this.bins.set(place.bin, barcode);
+            this.changedBins.delete(place.bin);
+            this.changedBins.add(place.bin);
+        } else {
+            this.elevator = barcode;
+        }
+    }
+
+    /**
+     * Handle one command frame addressed to this cart
+     * @param {Object} frame - Decoded frame
+     * @returns {Buffer|null} Reply
+     */
+    handleCommand(frame) {
+        switch (frame.cmd) {
+            case 0x50:
+                return Buffer.from([FRAME_BYTES.ACK]);
+            case 0x00:
+                if (frame.bt !== 0x01 || frame.ctrl !== 0x01) return this.refuse(frame);
+                this.reportAllBins();
+                return Buffer.from([FRAME_BYTES.ACK]);
+            case 0x61:
+                if (frame.bt === 0x01) return this.senseConsole(frame.data[0]);
+                return this.senseStatus(frame.ctrl, frame.data[0]);
+            case 0x62:
+            case 0x72:
+                return this.senseBin(getCassetteBinIndex(readBin(frame.data, 0)));
+            case 0x09:
+                return this.setLamp(getCassetteBinIndex(readBin(frame.data, 0)), frame.data[2] === 0x01);
+            case 0x6F:
+                return this.senseErrorReport();
+            case 0x71:
+                this.onAir = frame.ctrl === 0x01;
+                this.emit('tally', { on: this.onAir });
+                return Buffer.from([FRAME_BYTES.ACK]);
+            case 0x48:
+                this.stop(MACRO_END_INFO.CANCELLED, true);
+                return Buffer.from([FRAME_BYTES.ACK]);
+            case 0x10:
+                return this.startMacro(frame.cmd, frame.ctrl, fromBcd(frame.ctrl),
+                    { source: readBin(frame.data, 1), destination: readBin(frame.data, 4) });
+            case 0x14:
+                return this.startMacro(frame.cmd, frame.ctrl, fromBcd(frame.ctrl), { destination: readBin(frame.data, 1) });
+            case 0x1D:
+                return this.startMacro(frame.cmd, frame.ctrl, fromBcd(frame.ctrl));
+            case 0x41:
+            case 0x42:
+            case 0x46:
+            case 0x47:
+                return this.startMacro(frame.cmd, frame.ctrl);
+            default:
+                return this.refuse(frame);
+        }
+    }
+
+    /**
+     * NAK a command the cart cannot take, kept for the error report
+     */
+    refuse(frame) {
+        this.errorReport = [frame.bt, frame.cmd, ...frame.payload];
+        return Buffer.from([FRAME_BYTES.NAK]);
+    }
+
+    /**
+     * 0x6F reply: the command behind the data stream error, which is cleared
+     */
+    senseErrorReport() {
+        const report = this.errorReport || [0xFF];
+        this.errorReport = null;
+        return encodeFlexiCartFrame(this.ua2, 0x00, ERROR_REPORT_RETURN_CMD, report);
+    }
+
+    /**
+     * Mechanical state right now (motion is derived from the macro's timeline)
+     */
+    snapshot() {
+        const macro = this.macro;
+        if (!macro) {
+            return { level: this.level, slot: this.slot, elevatorMoving: false, carouselMoving: false };
+        }
+
+        const elapsed = Date.now() - macro.startedAt;
+        const elevatorDone = elapsed >= macro.elevatorMs;
+        const carouselDone = elapsed >= macro.carouselMs;
+        return {
+            level: elevatorDone ? macro.target.level : this.level,
+            slot: carouselDone ? macro.target.slot : this.slot,
+            elevatorMoving: !elevatorDone,
+            carouselMoving: !carouselDone
+        };
+    }
+
+    /**
+     * Bytes of one CSTS
+     */
+    cartStatus(index) {
+        switch (index) {
+            case 0: {   // Failure Status; Power Down clears once reported
+                const bytes = [this.maintenanceMode ? FAILURE_STATUS_FLAGS.TEST : 0x00,
+                    this.powerDown ? FAILURE_STATUS_FLAGS.POWER_DOWN : 0x00];
+                this.powerDown = false;
+                return bytes;
+            }
+            case 1: {   // Macro end: Macro No., end information, reports still queued
+                const end = this.macroEnds.shift();
+                if (!end) return NOT_EXECUTED;
+                return [end.macroNo === null ? 0xFF : toBcd(end.macroNo), end.endInfo, Math.min(this.macroEnds.length, 0xFF)];
+            }
+            case 2:     // Turn On end: Turn On macros are not simulated
+                return NOT_EXECUTED;
+            case 3: {   // Changed BIN: C.C 01 + BIN No., all 0 when none is left
+                const [bin] = this.changedBins;
+                if (bin === undefined) return [0x00, 0x00, 0x00];
+                this.changedBins.delete(bin);
+                return [0x01, ...encodeBinNumber(getCassetteBinNumber(bin))];
+            }
+            case 4:     // Changed CC Status: console 1
+                return [this.consoleChanged ? CONSOLE_STATUS_FLAGS.CHANGED : 0x00];
+            case 5:
+            case 6:
+            case 12:    // V.C 01 + VTR bit map
+                return [0x01, 0x00];
+            case 13:
+                return [0xFF, 0xFF, 0x00, 0x00, 0x00, 0x00];
+            case 15:    // Error report: 01 after a command the cart could not take, until 0x6F
+                return [this.errorReport ? 0x01 : 0x00];
+            default:
+                return new Array(CART_STATUS_WIDTHS[index]).fill(0x00);
+        }
+    }
+
+    /**
+     * 0x61 reply: BIT MAP 1, its CSTS, then BIT MAP 2 and its CSTS when it was sent
+     * @param {number} bitmap1 - CSTS0-7 to report
+     * @param {number} [bitmap2] - CSTS8-15 to report
+     */
+    senseStatus(bitmap1, bitmap2) {
+        const maps = [bitmap1 & DEFINED_BITMAP_1];
+        if (bitmap2 !== undefined) maps.push(bitmap2 & DEFINED_BITMAP_2);
+
+        const payload = [];
+        maps.forEach((bitmap, map) => {
+            payload.push(bitmap);
+            for (let bit = 0; bit < 8; bit++) {
+                if (bitmap & (1 << bit)) payload.push(...this.cartStatus(map * 8 + bit));
+            }
+        });
+
+        return encodeFlexiCartFrame(this.ua2, 0x00, STATUS_RETURN_CMD, payload);
+    }
+
+    /**
+     * 0x61 (BT 01) reply: C.C 01, the BIT MAP and CCS0 when it was asked for;
+     * clears Console Status Changed
+     * @param {number} bitmap - CCS0-7 to report (only CCS0 is defined)
+     */
+    senseConsole(bitmap = 0x01) {
+        const payload = [0x01, bitmap & 0x01];
+        if (bitmap & 0x01) payload.push(this.doorOpen ? CASSETTE_CONSOLE_FLAGS.DOOR_OPEN : 0x00);
+        this.consoleChanged = false;
+        return encodeFlexiCartFrame(this.ua2, 0x01, STATUS_RETURN_CMD, payload);
+    }
+
+    /**
+     * 0x62/0x72: ACK for an empty bin, otherwise [C.C, BSTS0, barcode ASCII...]
+     * @param {number|null} bin - Cassette bin (1..binCount) the BIN No. addresses
+     */
+    senseBin(bin) {
+        if (!this.isValidBin(bin)) return Buffer.from([FRAME_BYTES.NAK]);
+        if (!this.bins.has(bin)) return Buffer.from([FRAME_BYTES.ACK]);
+
+        const unreadable = this.unreadableBins === true || (this.unreadableBins && this.unreadableBins.has(bin));
+        const barcode = unreadable ? '' : (this.bins.get(bin) || '');
+        const status = BIN_STATUS_FLAGS.CASSETTE_IN_BIN |
+            (barcode ? BIN_STATUS_FLAGS.BARCODE_READ : BIN_STATUS_FLAGS.BARCODE_READ_ERROR);
+        return encodeFlexiCartFrame(this.ua2, 0x01, BIN_STATUS_RETURN_CMD, [0x01, status, ...Buffer.from(barcode, 'ascii')]);
+    }
+
+    setLamp(bin, on) {
+        if (!this.isValidBin(bin)) return Buffer.from([FRAME_BYTES.NAK]);
+        if (on) this.lamps.add(bin); else this.lamps.delete(bin);
+        this.emit('lamp', { bin, on });
+        return Buffer.from([FRAME_BYTES.ACK]);
+    }
+
+    /**
+     * Check preconditions and plan a macro
+     * @param {Object} bins - { source, destination } BIN Nos. of a 10H/14H move
+     * @returns {Object} { endInfo } when refused, else { target, extraMs, apply }
+     */
+    planMacro(cmd, ctrl, bins = {}) {
+        const here = { level: this.level, slot: this.slot };
+
+        if (this.doorOpen) return { endInfo: MACRO_END_INFO.DOOR_OPEN };
+        if (this.emergencyStop && cmd !== 0x46) return { endInfo: MACRO_END_INFO.ABNORMAL_END };
+        if (this.maintenanceMode) return { endInfo: MACRO_END_INFO.ABNORMAL_END };
+
+        switch (cmd) {
+            case 0x10: {    // Cassette move: source -> destination, the elevator carries it
+                const source = this.resolvePlace(bins.source);
+                const destination = this.resolvePlace(bins.destination);
+                if (!source || !destination) return { endInfo: MACRO_END_INFO.NO_BIN };
+
+                const cassette = this.cassetteAt(source);
+                if (cassette === null) return { endInfo: MACRO_END_INFO.SOURCE_BIN_EMPTY };
+                if (!source.elevator && this.elevator !== null) return { endInfo: MACRO_END_INFO.CASSETTE_IN_ELEVATOR };
+                if (this.cassetteAt(destination) !== null) {
+                    return {
+                        endInfo: destination.elevator ? MACRO_END_INFO.CASSETTE_IN_ELEVATOR : MACRO_END_INFO.DEST_BIN_OCCUPIED
+                    };
+                }
+
+                return {
+                    target: destination.elevator ? this.positionOf(source) : this.positionOf(destination),
+                    extraMs: destination.vtr ? this.timing.load :
+                        (source.vtr ? this.timing.unload : this.timing.transfer),
+                    apply: () => { this.putCassette(source, null); this.putCassette(destination, cassette); }
+                };
+            }
+            case 0x14: {    // Elevator move
+                const destination = this.resolvePlace(bins.destination);
+                if (!destination || destination.elevator) return { endInfo: MACRO_END_INFO.NO_BIN };
+                return { target: this.positionOf(destination), extraMs: 0 };
+            }
+            case 0x1D:      // Elevator initialize: home, read the bin and VTR positions
+                return {
+                    target: { level: 1, slot: 0 },
+                    extraMs: this.timing.initialize,
+                    apply: () => { this.initialized = true; }
+                };
+            case 0x41: {    // Elevator up (CTRL 1) / down
+                const level = here.level + (ctrl === 0x01 ? 1 : -1);
+                if (level < 1 || level > this.levels) return { endInfo: MACRO_END_INFO.NO_BIN };
+                return { target: { level, slot: here.slot }, extraMs: 0 };
+            }
+            case 0x42: {    // Carousel clockwise (CTRL 1) / counter-clockwise
+                const perLevel = this.options.binsPerLevel;
+                const slot = (here.slot + (ctrl === 0x01 ? 1 : perLevel - 1)) % perLevel;
+                return { target: { level: here.level, slot }, extraMs: 0 };
+            }
+            case 0x46:      // Initialize: home, clear errors and emergency stop
+                return {
+                    target: { level: 1, slot: 0 },
+                    extraMs: this.timing.initialize,
+                    apply: () => { this.errors = []; this.emergencyStop = false; this.initialized = true; }
+                };
+            case 0x47:      // Calibrate
+                return {
+                    target: { level: 1, slot: 0 },
+                    extraMs: this.timing.calibrate,
+                    apply: () => { this.calibrated = true; }
+                };
+            default:
+                return { endInfo: MACRO_END_INFO.NO_BIN };
+        }
+    }
+
+    /**
+     * Accept a macro: ACK now, end information once the mechanics are done
+     * A second macro while one runs is refused with BUSY
+     * @param {number|null} macroNo - Macro No. of a BT 01H macro
+     * @param {Object} bins - { source, destination } BIN Nos. of a 10H/14H move
+     */
+    startMacro(cmd, ctrl, macroNo = null, bins = {}) {
+        if (this.macro) return Buffer.from([FRAME_BYTES.BUSY]);
+
+        const plan = this.planMacro(cmd, ctrl, bins);
+        if (plan.endInfo !== undefined) {
+            this.finishMacro(cmd, plan.endInfo, macroNo);
+            return Buffer.from([FRAME_BYTES.ACK]);
+        }
+
+        const scale = this.options.timeScale;
+        const perLevel = this.options.binsPerLevel;
+        const slots = Math.abs(plan.target.slot - this.slot);
+        // A stuck mechanism keeps reporting motion until stopped or initialized
+        const elevatorMs = this.stuckMotion ? Infinity :
+            Math.abs(plan.target.level - this.level) * this.timing.elevatorPerLevel * scale;
+        const carouselMs = this.stuckMotion ? Infinity :
+            Math.min(slots, perLevel - slots) * this.timing.carouselPerSlot * scale;
+        const durationMs = (this.timing.settle + plan.extraMs) * scale + Math.max(elevatorMs, carouselMs);
+
+        this.lastMacro = { cmd, macroNo, endInfo: MACRO_END_INFO.NORMAL_END };
+        this.macro = {
+            cmd,
+            ctrl,
+            macroNo,
+            target: plan.target,
+            startedAt: Date.now(),
+            elevatorMs,
+            carouselMs,
+            durationMs,
+            timer: this.stuckMotion ? null : setTimeout(() => {
+                this.macro = null;
+                this.level = plan.target.level;
+                this.slot = plan.target.slot;
+                if (plan.apply) plan.apply();
+                this.finishMacro(cmd, MACRO_END_INFO.NORMAL_END, macroNo);
+            }, durationMs)
+        };
+        if (this.macro.timer && this.macro.timer.unref) this.macro.timer.unref();
+
+        this.emit('macroStart', { cmd, ctrl, macroNo, source: bins.source, destination: bins.destination, durationMs });
+        return Buffer.from([FRAME_BYTES.ACK]);
+    }
+
+    /**
+     * Open or close the cassette door; opening it halts a running macro
+     */
+    setDoorOpen(open) {
+        if (open !== this.doorOpen) this.consoleChanged = true;
+        this.doorOpen = open;
+        if (open) this.stop(MACRO_END_INFO.DOOR_OPEN);
+    }
+
+    finishMacro(cmd, endInfo, macroNo = null) {
+        this.lastMacro = { cmd, macroNo, endInfo };
+        this.macroEnds.push({ macroNo, endInfo });
+        if (endInfo !== MACRO_END_INFO.NORMAL_END) this.errors.push(endInfo);
+        this.emit('macroEnd', { cmd, macroNo, endInfo });
+    }
+
+    /**
+     * Halt any running macro where the mechanics are right now
+     * @param {number} endInfo - End information for the interrupted macro
+     * @param {boolean} latch - Latch the emergency-stop condition (cleared by 0x46)
+     */
+    stop(endInfo = MACRO_END_INFO.CANCELLED, latch = false) {
+        if (latch) this.emergencyStop = true;
+        if (!this.macro) return;
+
+        const now = this.snapshot();
+        clearTimeout(this.macro.timer);
+        const { cmd, macroNo } = this.macro;
+        this.macro = null;
+        this.level = now.level;
+        this.slot = now.slot;
+        this.finishMacro(cmd, endInfo, macroNo);
+    }
+
+    toJSON() {
+        return {
+            ua2: this.ua2,
+            level: this.level,
+            slot: this.slot,
+            currentBin: this.currentBin,
+            vtrs: Object.fromEntries(this.vtrs),
+            elevator: this.elevator,
+            occupiedBins: this.bins.size,
+            lamps: Array.from(this.lamps),
+            onAir: this.onAir,
+            doorOpen: this.doorOpen,
+            emergencyStop: this.emergencyStop,
+            calibrated: this.calibrated,
+            maintenanceMode: this.maintenanceMode,
+            playing: this.playing,
+            macro: this.macro ?
+                { cmd: this.macro.cmd, ctrl: this.macro.ctrl, macroNo: this.macro.macroNo, durationMs: this.macro.durationMs } :
+                null,
+            lastMacro: { ...this.lastMacro },
+            errors: [...this.errors]
+        };
+    }
+}
+
+// Allocates a pty, links it to a fixed path and relays master <-> stdin/stdout.
+// Node has no pty API of its own; python3 ships one in the standard library.
+const PTY_BRIDGE = `
+import os, pty, select, sys, tty
+master, slave = pty.openpty()
+tty.setraw(slave)
+name = os.ttyname(slave)
+link = sys.argv[1] if len(sys.argv) > 1 else ''
+if link:
+    if os.path.lexists(link):
+        os.unlink(link)
+    os.symlink(name, link)
+sys.stderr.write(name + '\\n')
+sys.stderr.flush()
+try:
+    while True:
+        readable, _, _ = select.select([master, 0], [], [])
+        if master in readable:
+            os.write(1, os.read(master, 4096))
+        if 0 in readable:
+            data = os.read(0, 4096)
+            if not data:
+                break
+            os.write(master, data)
+finally:
+    if link and os.path.islink(link):
+        os.unlink(link)
+`;
+
+/**
+ * Simulated FlexiCart line
+ *
+ * Events:
+ *   'command'  ({ ua2, frame })       - Frame received for a simulated cart
+ *   'reply'    ({ data })             - Bytes sent back
+ *   'nak'      ({ reason })           - Checksum error or inter-byte timeout
+ *   'fault'    ({ id, type, cmd, hits }) - A line fault was applied
+ */
+class FlexiCartSimulator extends EventEmitter {
+    /**
+     * @param {Object} options - See SIMULATOR_DEFAULTS; timing overrides SIMULATOR_TIMING
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...SIMULATOR_DEFAULTS, ...options };
+        this.carts = new Map(this.options.addresses.map((ua2, index) => [
+            ua2,
+            new SimulatedCart(ua2, { ...this.options, seed: this.options.seed + index })
+        ]));
+        this.links = new Set();
+        this.memoryEndpoints = new Set();
+        this.ptys = new Set();
+        this.faults = [];
+        this.faultCounter = 0;
+        this.stats = { frames: 0, replies: 0, naks: 0, faults: 0 };
+    }
+
+    getCart(ua2 = this.options.addresses[0]) {
+        return this.carts.get(ua2) || null;
+    }
+
+    /**
+     * Attach a byte stream to the simulated line
+     * @param {Function} write - Sends reply bytes to the controller
+     * @returns {Object} { receive(data), close() }
+     */
+    connect(write) {
+        const decoder = new FlexiCartFrameDecoder();
+        let byteTimer = null;
+
+        const link = {
+            write,
+            receive: (data) => {
+                clearTimeout(byteTimer);
+                decoder.push(data);
+                if (decoder.pendingBytes > 0) {
+                    byteTimer = setTimeout(() => {
+                        decoder.reset();
+                        this.nak(link, 'timeout');
+                    }, this.options.interByteTimeout);
+                }
+            },
+            close: () => {
+                clearTimeout(byteTimer);
+                this.links.delete(link);
+            }
+        };
+
+        decoder.on('frame', (frame) => this.dispatch(link, frame));
+        decoder.on('checksumError', () => this.nak(link, 'checksum'));
+        this.links.add(link);
+        return link;
+    }
+
+    /**
+     * Route a command to the carts whose UA2 bit it carries
+     * Several carts addressed at once execute without replying (protocol 4-2.8)
+     */
+    dispatch(link, frame) {
+        this.stats.frames++;
+        if (frame.ua1 !== 0x01) return;
+
+        const targets = Array.from(this.carts.values()).filter(cart => (frame.ua2 & cart.ua2) !== 0);
+        if (targets.length === 1) {
+            const refused = this.takeFault(frame, FAULT_TYPES.NAK) ? FRAME_BYTES.NAK :
+                this.takeFault(frame, FAULT_TYPES.BUSY) ? FRAME_BYTES.BUSY : null;
+            if (refused !== null) {
+                this.send(link, Buffer.from([refused]));
+                return;
+            }
+        }
+
+        for (const cart of targets) {
+            this.emit('command', { ua2: cart.ua2, frame });
+            const reply = cart.handleCommand(frame);
+            if (reply && targets.length === 1) this.sendReply(link, frame, reply);
+        }
+    }
+
+    /**
+     * Apply reply faults, then send
+     */
+    sendReply(link, frame, reply) {
+        let data = reply;
+        if (data.length > 1 && this.takeFault(frame, FAULT_TYPES.CORRUPT_CHECKSUM)) {
+            data = Buffer.from(data);
+            data[data.length - 1] ^= 0xFF;
+        }
+
+        const drop = this.takeFault(frame, FAULT_TYPES.DROP_REPLY);
+        if (drop) data = data.slice(0, drop.bytes ? Math.max(0, data.length - drop.bytes) : 0);
+        if (data.length === 0) return;
+
+        const delay = this.takeFault(frame, FAULT_TYPES.DELAY_REPLY);
+        this.send(link, data, delay ? delay.ms || 0 : 0);
+    }
+
+    /**
+     * Inject a fault
+     * @param {string} type - FAULT_TYPES value
+     * @param {Object} options - Line faults: { count, cmd, ua2, bytes, ms };
+     *                           cart conditions: { ua2, bins }
+     * @returns {number} Fault id (for clearFault)
+     */
+    injectFault(type, options = {}) {
+        if (!Object.values(FAULT_TYPES).includes(type)) {
+            throw new FlexicartError(`Unknown simulator fault: ${type}`, 'INVALID_FAULT');
+        }
+
+        const fault = { id: ++this.faultCounter, type, count: Infinity, cmd: null, ua2: null, hits: 0, ...options };
+        this.faults.push(fault);
+        if (!LINE_FAULTS.includes(type)) this.applyCondition(fault, true);
+        return fault.id;
+    }
+
+    /**
+     * Remove one fault by id
+     */
+    clearFault(id) {
+        const fault = this.faults.find(f => f.id === id);
+        if (!fault) return false;
+        this.faults = this.faults.filter(f => f !== fault);
+        if (!LINE_FAULTS.includes(fault.type)) this.applyCondition(fault, false);
+        return true;
+    }
+
+    /**
+     * Remove all faults, or all of one type
+     */
+    clearFaults(type = null) {
+        for (const fault of this.faults.filter(f => !type || f.type === type)) this.clearFault(fault.id);
+    }
+
+    /**
+     * Set or reset a cart condition on the carts the fault addresses
+     */
+    applyCondition(fault, active) {
+        for (const cart of this.carts.values()) {
+            if (fault.ua2 !== null && fault.ua2 !== cart.ua2) continue;
+
+            switch (fault.type) {
+                case FAULT_TYPES.STUCK_MOTION:
+                    cart.stuckMotion = active;
+                    break;
+                case FAULT_TYPES.DOOR_OPEN:
+                    cart.setDoorOpen(active);
+                    break;
+                case FAULT_TYPES.EMERGENCY_STOP:
+                    if (active) cart.stop(MACRO_END_INFO.CANCELLED, true);
+                    else cart.emergencyStop = false;
+                    break;
+                case FAULT_TYPES.UNREADABLE_BARCODE:
+                    cart.unreadableBins = !active ? null : (fault.bins ? new Set(fault.bins) : true);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Consume one use of the first matching line fault
+     * @returns {Object|null} The fault applied
+     */
+    takeFault(frame, type) {
+        const fault = this.faults.find(f => f.type === type &&
+            (f.cmd === null || f.cmd === frame.cmd) &&
+            (f.ua2 === null || (f.ua2 & frame.ua2) !== 0));
+        if (!fault) return null;
+
+        fault.hits++;
+        this.stats.faults++;
+        if (fault.hits >= fault.count) this.faults = this.faults.filter(f => f !== fault);
+        this.emit('fault', { id: fault.id, type, cmd: frame.cmd, hits: fault.hits });
+        return fault;
+    }
+
+    nak(link, reason) {
+        this.stats.naks++;
+        this.emit('nak', { reason });
+        this.send(link, Buffer.from([FRAME_BYTES.NAK]));
+    }
+
+    send(link, data, extraDelay = 0) {
+        const deliver = () => {
+            if (!this.links.has(link)) return;
+            this.stats.replies++;
+            this.emit('reply', { data });
+            link.write(data);
+        };
+        const delay = this.options.responseDelay + extraDelay;
+        if (delay > 0) setTimeout(deliver, delay);
+        else setImmediate(deliver);
+    }
+
+    /**
+     * Serve the line in-process as memory://<name>
+     * @returns {string} Device address
+     */
+    attachMemory(name = 'flexicart-sim') {
+        registerMemoryEndpoint(name, (device) => {
+            const link = this.connect((data) => device.write(data).catch(() => link.close()));
+            device.on('data', (data) => link.receive(data));
+        });
+        this.memoryEndpoints.add(name);
+        return `memory://${name}`;
+    }
+
+    /**
+     * Serve the line on a pseudo-terminal (needs python3)
+     * @param {string|null} linkPath - Stable symlink to the pty (e.g. /tmp/flexicart-sim)
+     * @returns {Promise<string>} Path to open with SerialPort
+     */
+    openPty(linkPath = null) {
+        return new Promise((resolve, reject) => {
+            const child = spawn('python3', ['-c', PTY_BRIDGE, ...(linkPath ? [linkPath] : [])], {
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+            const link = this.connect((data) => child.stdin.write(data));
+            let started = false;
+
+            child.stdout.on('data', (data) => link.receive(data));
+            child.stdin.on('error', () => link.close());
+            child.stderr.once('data', (data) => {
+                started = true;
+                this.ptys.add(child);
+                resolve(linkPath || data.toString().trim());
+            });
+            child.on('error', (error) => {
+                link.close();
+                if (!started) reject(new FlexicartError(`Cannot start pty bridge: ${error.message}`, 'PTY_UNAVAILABLE'));
+            });
+            child.on('exit', (code) => {
+                link.close();
+                this.ptys.delete(child);
+                if (!started) reject(new FlexicartError(`Pty bridge exited with code ${code}`, 'PTY_UNAVAILABLE'));
+            });
+        });
+    }
+
+    /**
+     * Stop every cart, endpoint and pty
+     */
+    close() {
+        for (const cart of this.carts.values()) cart.stop(MACRO_END_INFO.CANCELLED);
+        for (const name of this.memoryEndpoints) unregisterMemoryEndpoint(name);
+        this.memoryEndpoints.clear();
+        for (const child of this.ptys) child.stdin.end();     // Bridge exits and removes its link
+        for (const link of Array.from(this.links)) link.close();
+    }
+
+    toJSON() {
+        return {
+            carts: Array.from(this.carts.values()).map(cart => cart.toJSON()),
+            faults: this.faults.map(({ id, type, count, hits }) => ({ id, type, count, hits })),
+            stats: { ...this.stats }
+        };
+    }
+}
+
+module.exports = {
+    FlexiCartSimulator,
+    SimulatedCart,
+    createPopulation,
+    SIMULATOR_DEFAULTS,
+    SIMULATOR_TIMING,
+    MACRO_END_INFO,
+    FAULT_TYPES,
+    BIN_STATUS_FLAGS
+};
@@ -0,0 +1,349 @@
+/**
+ * Sony 9-pin (RS-422) Packet Codec
+ * Encoder/decoder for the BVW/DVW/DNW/HDW/J/MSW/SRW serial protocol
+ * (docs/sony_bvw_dvw_dnw_hdw_j_msw_srw_series.pdf):
+ *   CMD-1 (group << 4 | DATA COUNT) + CMD-2 [+ DATA-1..DATA-N] + CHECKSUM
+ * DATA COUNT is 0-15 and CHECKSUM is the low byte of the sum from CMD-1 to the
+ * last data byte. The device answers every command within 9ms with ACK (10 01),
+ * NAK (11 12 + error bits) or a return packet (12 11 DEVICE TYPE, 7X sense data).
+ */
+
+const { FlexicartError } = require('./flexicart_errors');
+
+/**
+ * CMD-1 function groups (high nibble)
+ */
+const SONY_CMD1 = {
+    SYSTEM_CONTROL: 0x00,
+    SYSTEM_CONTROL_RETURN: 0x10,
+    TRANSPORT_CONTROL: 0x20,
+    PRESET_SELECT: 0x40,
+    SENSE_REQUEST: 0x60,
+    SENSE_RETURN: 0x70
+};
+
+const VALID_GROUPS = new Set(Object.values(SONY_CMD1));
+
+/**
+ * System control returns (CMD-1 group 1)
+ */
+const SONY_REPLIES = {
+    ACK: [0x10, 0x01],
+    NAK: [0x11, 0x12],
+    DEVICE_TYPE: [0x12, 0x11]
+};
+
+/**
+ * NAK DATA-1 error bits
+ */
+const SONY_NAK_ERRORS = {
+    TIME_OUT: 0x80,
+    FRAMING_ERROR: 0x40,
+    OVERRUN_ERROR: 0x20,
+    PARITY_ERROR: 0x10,
+    CHECKSUM_ERROR: 0x04,
+    SOFTWARE_OVERRUN: 0x02,
+    UNDEFINED_COMMAND: 0x01
+};
+
+/**
+ * STATUS DATA (7X 20) flags of DATA No.0-2, 4 and 8: [data no., bit mask, name]
+ */
+const SONY_STATUS_FLAGS = [
+    [0, 0x20, 'CASSETTE_OUT'],
+    [0, 0x10, 'REFERENCE_MISSING'],
+    [0, 0x08, 'TAPE_TROUBLE'],
+    [0, 0x04, 'HARD_ERROR'],
+    [0, 0x01, 'LOCAL'],
+    [1, 0x80, 'STANDBY'],
+    [1, 0x40, 'TENSION_RELEASE'],
+    [1, 0x20, 'STOP'],
+    [1, 0x10, 'EJECT'],
+    [1, 0x08, 'REWIND'],
+    [1, 0x04, 'FAST_FWD'],
+    [1, 0x02, 'REC'],
+    [1, 0x01, 'PLAY'],
+    [2, 0x80, 'SERVO_LOCK'],
+    [2, 0x40, 'TSO_MODE'],
+    [2, 0x20, 'SHUTTLE'],
+    [2, 0x10, 'JOG'],
+    [2, 0x08, 'VAR'],
+    [2, 0x04, 'REVERSE'],
+    [2, 0x02, 'STILL'],
+    [2, 0x01, 'CUE_UP_COMPLETE'],
+    [4, 0x80, 'SELECT_EE'],
+    [4, 0x40, 'FULL_EE'],
+    [4, 0x10, 'EDIT'],
+    [4, 0x08, 'REVIEW'],
+    [4, 0x04, 'AUTO_EDIT'],
+    [4, 0x02, 'PREVIEW'],
+    [4, 0x01, 'PREROLL_OR_CUE_UP'],
+    [8, 0x80, 'BUZZER'],
+    [8, 0x40, 'LOST_LOCK'],
+    [8, 0x20, 'NEAR_END_OF_TAPE'],
+    [8, 0x10, 'END_OF_TAPE'],
+    [8, 0x08, 'COLOR_FRAME_LOCK'],
+    [8, 0x04, 'SERVO_ALARM'],
+    [8, 0x02, 'SYSTEM_ALARM'],
+    [8, 0x01, 'REC_INHIBIT']
+];
+
+const MAX_DATA_COUNT = 0x0F;
+const PACKET_OVERHEAD = 3;          // CMD-1 + CMD-2 + CHECKSUM
+
+/**
+ * DEVICE TYPE (12 11) models by DATA-1 high nibble and DATA-2
+ * The DATA-1 low nibble carries the line/frame system (X/Y/Z in the manual)
+ */
+const SONY_DEVICE_MODELS = {
+    0x2025: 'BVW-75',
+    0x2046: 'BVW-D75',
+    0x2047: 'BVW-9000',
+    0x20E0: 'HDW-500/F500',
+    0x20E1: 'HDW-250',
+    0x20E2: 'HDW-2000/D2000/M2000/S2000',
+    0x20E3: 'HDW-A2100/M2100',
+    0x20E5: 'HDW-S280',
+    0x20A0: 'SRW-5000',
+    0x20A1: 'SRW-5500',
+    0xB000: 'DVW-A500',
+    0xB001: 'DVW-A510',
+    0xB003: 'DVW-CA510',
+    0xB010: 'DVW-500',
+    0xB011: 'DVW-510',
+    0xB030: 'DVW-250',
+    0xB014: 'DVW-2000',
+    0xB004: 'DVW-M2000',
+    0xB045: 'DNW-A45/A50',
+    0xB046: 'DNW-A75',
+    0xB047: 'DNW-A65',
+    0xB04E: 'DNW-75',
+    0xB04B: 'DNW-A25/A25WS',
+    0xB04D: 'DNW-A28',
+    0xB04A: 'DNW-A220/R',
+    0xB04C: 'DNW-A220/L',
+    0xB060: 'MSW-M2000/M2000E',
+    0xB061: 'MSW-A2000',
+    0xB062: 'MSW-2000',
+    0xB063: 'MSW-M2100/M2100E',
+    0xB070: 'J-1/J-2/J-3/J-10/J-30'
+};
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex').toUpperCase();
+
+/**
+ * Calculate the checksum of CMD-1 through the last data byte
+ * @param {Buffer|Array<number>} bytes - CMD-1, CMD-2 and data
+ * @returns {number} Low 8 bits of the sum
+ */
+function calculateSonyChecksum(bytes) {
+    let sum = 0;
+    for (const byte of bytes) {
+        sum += byte;
+    }
+    return sum & 0xFF;
+}
+
+/**
+ * Encode a command packet
+ * @param {number} group - CMD-1 function group (SONY_CMD1 value, low nibble ignored)
+ * @param {number} cmd2 - CMD-2 byte
+ * @param {Buffer|Array<number>} data - DATA-1..DATA-N (up to 15 bytes)
+ * @returns {Buffer} CMD-1 CMD-2 [DATA] CHECKSUM
+ */
+function encodeSonyCommand(group, cmd2, data = []) {
+    if (data.length > MAX_DATA_COUNT) {
+        throw new FlexicartError(`Sony packet carries at most ${MAX_DATA_COUNT} data bytes, got ${data.length}`, 'INVALID_PARAMETER');
+    }
+
+    const body = [(group & 0xF0) | data.length, cmd2, ...data];
+    return Buffer.from([...body, calculateSonyChecksum(body)]);
+}
+
+/**
+ * Names of the error bits set in a NAK DATA-1 byte
+ * @param {number} bits - NAK DATA-1
+ * @returns {Array<string>} e.g. ['PARITY_ERROR', 'CHECKSUM_ERROR']
+ */
+function describeNakErrors(bits) {
+    return Object.keys(SONY_NAK_ERRORS).filter(name => bits & SONY_NAK_ERRORS[name]);
+}
+
+/**
+ * Build a typed packet object from a complete, checksum-valid packet
+ * @param {Buffer} raw - CMD-1 through CHECKSUM
+ * @returns {Object} Decoded packet
+ */
+function buildPacket(raw) {
+    const cmd1 = raw[0];
+    const data = raw.slice(2, raw.length - 1);
+    const isReply = (reply) => cmd1 === reply[0] && raw[1] === reply[1];
+
+    let type = 'RETURN';
+    if (isReply(SONY_REPLIES.ACK)) type = 'ACK';
+    else if (isReply(SONY_REPLIES.NAK)) type = 'NAK';
+
+    const nakBits = type === 'NAK' && data.length > 0 ? data[0] : null;
+
+    return {
+        type,
+        cmd1,
+        group: cmd1 & 0xF0,
+        count: cmd1 & 0x0F,
+        cmd2: raw[1],
+        data,
+        checksum: raw[raw.length - 1],
+        nakBits,
+        nakErrors: nakBits !== null ? describeNakErrors(nakBits) : [],
+        length: raw.length,
+        raw,
+        hex: toHex(raw)
+    };
+}
+
+/**
+ * Decode a response buffer
+ * Bytes that cannot start a packet (unknown group, checksum mismatch, a DATA
+ * COUNT running past a later valid packet) are skipped one at a time until a
+ * valid packet lines up; a bad checksum is only reported when no valid packet
+ * could be found in its place
+ * @param {Buffer} response - Raw response buffer
+ * @returns {Object} { packets, checksumErrors, pendingBytes, discardedBytes }
+ */
+function decodeSonyResponse(response) {
+    const packets = [];
+    const checksumErrors = [];
+    let discardedBytes = 0;
+    let pendingBytes = 0;
+    let offset = 0;
+
+    while (response && offset < response.length) {
+        const cmd1 = response[offset];
+        if (!VALID_GROUPS.has(cmd1 & 0xF0)) {
+            discardedBytes++;
+            offset++;
+            continue;
+        }
+
+        const length = (cmd1 & 0x0F) + PACKET_OVERHEAD;
+        if (offset + length > response.length) {
+            // Wait for the rest - unless a complete packet follows, which makes this byte noise
+            const rest = decodeSonyResponse(response.slice(offset + 1));
+            if (rest.packets.length === 0) {
+                pendingBytes = response.length - offset;
+                break;
+            }
+            packets.push(...rest.packets);
+            discardedBytes += rest.discardedBytes + 1;
+            pendingBytes = rest.pendingBytes;
+            break;
+        }
+
+        const raw = Buffer.from(response.slice(offset, offset + length));
+        const expected = calculateSonyChecksum(raw.slice(0, length - 1));
+        if (raw[length - 1] === expected) {
+            packets.push(buildPacket(raw));
+            offset += length;
+            continue;
+        }
+
+        checksumErrors.push({
+            type: 'CHECKSUM_ERROR',
+            raw,
+            hex: toHex(raw),
+            received: raw[length - 1],
+            expected
+        });
+        discardedBytes++;
+        offset++;
+    }
+
+    return {
+        packets,
+        checksumErrors: packets.length > 0 ? [] : checksumErrors,
+        pendingBytes,
+        discardedBytes
+    };
+}
+
+/**
+ * Completion check for a Sony request: the device sends one reply, so the
+ * request is done once a valid packet or a checksum-corrupted one arrived
+ * @param {Buffer} buffer - Everything received so far for the request
+ * @returns {boolean} True when the response is complete
+ */
+function isCompleteSonyResponse(buffer) {
+    const { packets, checksumErrors } = decodeSonyResponse(buffer);
+    return packets.length > 0 || checksumErrors.length > 0;
+}
+
+/**
+ * Check whether a buffer is a single well-formed Sony command packet (used to
+ * pick the completion strategy for outgoing commands)
+ * @param {Buffer} buffer - Candidate packet
+ * @returns {boolean} True when DATA COUNT, length and checksum agree
+ */
+function isSonyPacket(buffer) {
+    return Buffer.isBuffer(buffer) &&
+           buffer.length >= PACKET_OVERHEAD &&
+           VALID_GROUPS.has(buffer[0] & 0xF0) &&
+           (buffer[0] & 0x0F) + PACKET_OVERHEAD === buffer.length &&
+           calculateSonyChecksum(buffer.slice(0, buffer.length - 1)) === buffer[buffer.length - 1];
+}
+
+/**
+ * First return packet answering a command (skips a leading ACK)
+ * @param {Buffer} response - Raw response buffer
+ * @param {number} cmd2 - Expected CMD-2 of the return (null = any)
+ * @returns {Object|null} Decoded packet
+ */
+function findSonyReturn(response, cmd2 = null) {
+    return decodeSonyResponse(response).packets.find(p =>
+        p.type === 'RETURN' && (cmd2 === null || p.cmd2 === cmd2)
+    ) || null;
+}
+
+/**
+ * Decode the 2 data bytes of DEVICE TYPE (12 11)
+ * @param {Buffer|Array<number>} data - DATA-1, DATA-2
+ * @returns {Object|null} { id, model, system }
+ */
+function decodeSonyDeviceType(data) {
+    if (!data || data.length < 2) return null;
+
+    const key = ((data[0] & 0xF0) << 8) | data[1];
+    return {
+        id: toHex([data[0], data[1]]),
+        model: SONY_DEVICE_MODELS[key] || null,
+        system: data[0] & 0x0F
+    };
+}
+
+/**
+ * Names of the flags set in STATUS DATA starting at DATA No.0
+ * @param {Buffer|Array<number>} data - STATUS DATA bytes
+ * @returns {Array<string>} e.g. ['STOP', 'SERVO_LOCK']
+ */
+function describeSonyStatus(data) {
+    if (!data) return [];
+    return SONY_STATUS_FLAGS
+        .filter(([index, mask]) => index < data.length && (data[index] & mask))
+        .map(([, , name]) => name);
+}
+
+module.exports = {
+    encodeSonyCommand,
+    decodeSonyResponse,
+    isCompleteSonyResponse,
+    isSonyPacket,
+    findSonyReturn,
+    describeNakErrors,
+    decodeSonyDeviceType,
+    describeSonyStatus,
+    calculateSonyChecksum,
+    SONY_CMD1,
+    SONY_REPLIES,
+    SONY_NAK_ERRORS,
+    SONY_STATUS_FLAGS,
+    SONY_DEVICE_MODELS
+};
@@ -1,39 +1,31 @@
 /**
  * Advanced Sony Flexicart Control System
- * Based on successful communication analysis
+ * Deck status and transport checks over the Sony 9-pin protocol
+ * (packets built and decoded by flexicart_sony_9pin.js)
  */
 
 const { sendCommand } = require('./flexicart_serial_utils');
+const { buildCommandTable, COMMAND_PROTOCOL } = require('./flexicart_command_catalog');
+const {
+    decodeSonyResponse,
+    decodeSonyDeviceType,
+    describeSonyStatus
+} = require('./flexicart_sony_9pin');
+const { decodeSonyTimeData } = require('./timecode');
 
 /**
- * Enhanced Sony Command Set
+ * Enhanced Sony Command Set (Sony entries of the command catalog)
  */
-const SONY_COMMANDS = {
-    // Status Commands (CONFIRMED WORKING)
-    DEVICE_TYPE: Buffer.from([0x90, 0x11, 0x00, 0x00]),
-    ID_REQUEST: Buffer.from([0x88, 0x01]),
-    STATUS_QUERY: Buffer.from([0x53, 0x3F, 0x0D]), // "S?" + CR
+const SONY_COMMANDS = buildCommandTable(COMMAND_PROTOCOL.SONY, [
+    // Status Commands
+    'DEVICE_TYPE', 'STATUS_QUERY',
     
-    // Position Commands (TO TEST)
-    POSITION_QUERY: Buffer.from([0x90, 0x10, 0x00, 0x00]),
-    HOME_COMMAND: Buffer.from([0x48, 0x4F, 0x4D, 0x45, 0x0D]), // "HOME" + CR
+    // Position (LTC current time)
+    'POSITION_QUERY',
     
-    // Movement Commands (TO TEST)
-    MOVE_TO_SLOT_1: Buffer.from([0x90, 0x24, 0x00, 0x01]),
-    MOVE_TO_SLOT_2: Buffer.from([0x90, 0x24, 0x00, 0x02]),
-    MOVE_TO_SLOT_3: Buffer.from([0x90, 0x24, 0x00, 0x03]),
-    MOVE_TO_SLOT_5: Buffer.from([0x90, 0x24, 0x00, 0x05]),
-    MOVE_TO_SLOT_10: Buffer.from([0x90, 0x24, 0x00, 0x0A]),
-    
-    // Control Commands (TO TEST)
-    STOP_COMMAND: Buffer.from([0x53, 0x54, 0x4F, 0x50, 0x0D]), // "STOP" + CR
-    EJECT_COMMAND: Buffer.from([0x90, 0x2A, 0x00, 0x00]),
-    LOAD_COMMAND: Buffer.from([0x90, 0x2B, 0x00, 0x00]),
-    
-    // Advanced Queries
-    INVENTORY_QUERY: Buffer.from([0x49, 0x4E, 0x56, 0x3F, 0x0D]), // "INV?" + CR
-    ERROR_QUERY: Buffer.from([0x45, 0x52, 0x52, 0x3F, 0x0D]),     // "ERR?" + CR
-};
+    // Transport Commands
+    'STOP_COMMAND', 'EJECT_COMMAND'
+]);
 
 /**
  * Get comprehensive device status
@@ -54,33 +46,19 @@ async function getComprehensiveStatus(path, debug = false) {
         // 1. Device Information
         if (debug) console.log(`   📋 Querying device info...`);
         const deviceResponse = await sendCommand(path, SONY_COMMANDS.DEVICE_TYPE, 3000, debug);
-        const deviceData = extractDataBytes(deviceResponse);
+        const deviceType = decodeSonyDeviceType(extractDataBytes(deviceResponse));
         
-        if (deviceData.length >= 3) {
+        if (deviceType) {
             status.device = {
-                manufacturer: deviceData[0],
-                model: deviceData[1],
-                version: deviceData[2],
-                identification: `${deviceData[0]}-${deviceData[1]}-${deviceData[2]}`,
-                type: interpretDeviceType(deviceData)
+                ...deviceType,
+                identification: deviceType.id,
+                type: interpretDeviceType(deviceType)
             };
         }
         
         // 2. Position Information
         if (debug) console.log(`   📍 Querying position...`);
-        const posResponse = await sendCommand(path, SONY_COMMANDS.POSITION_QUERY, 3000, debug);
-        const posData = extractDataBytes(posResponse);
-        
-        if (posData.length >= 2) {
-            const currentPos = (posData[0] << 8) | posData[1];
-            status.position = {
-                raw: posData,
-                current: currentPos,
-                isHome: currentPos === 0xFFFF || currentPos === 0,
-                isValid: currentPos !== 0xFFFF,
-                interpretation: interpretPosition(currentPos)
-            };
-        }
+        status.position = await getPosition(path, debug);
         
         // 3. Operational Status
         if (debug) console.log(`   📊 Querying operational status...`);
@@ -88,29 +66,26 @@ async function getComprehensiveStatus(path, debug = false) {
         const statusData = extractDataBytes(statusResponse);
         
         if (statusData.length >= 3) {
+            const flags = describeSonyStatus(statusData);
             status.operational = {
                 raw: statusData,
-                ready: !!(statusData[2] & 0x01),
-                moving: !!(statusData[2] & 0x02),
-                home: !!(statusData[2] & 0x04),
-                error: !!(statusData[2] & 0x08),
-                cartridgePresent: !!(statusData[2] & 0x10),
+                flags: flags,
+                remote: !flags.includes('LOCAL'),
+                cassettePresent: !flags.includes('CASSETTE_OUT'),
+                playing: flags.includes('PLAY'),
+                stopped: flags.includes('STOP'),
+                error: flags.includes('HARD_ERROR') || flags.includes('TAPE_TROUBLE'),
                 interpretation: interpretSonyStatus(statusData)
             };
         }
         
         // Determine capabilities
-        status.capabilities = [
-            'SONY_VTR_PROTOCOL',
-            'DEVICE_IDENTIFICATION',
-            'POSITION_REPORTING',
-            'STATUS_MONITORING'
-        ];
+        status.capabilities = ['SONY_VTR_PROTOCOL'];
         
         if (status.device) status.capabilities.push('DEVICE_TYPE_DETECTION');
-        if (status.position && status.position.isValid) status.capabilities.push('POSITION_TRACKING');
-        if (status.operational && status.operational.ready) status.capabilities.push('READY_STATE');
-        if (status.operational && status.operational.cartridgePresent) status.capabilities.push('MEDIA_DETECTION');
+        if (status.position && status.position.isValid) status.capabilities.push('TIMECODE_TRACKING');
+        if (status.operational && status.operational.remote) status.capabilities.push('REMOTE_CONTROL');
+        if (status.operational && status.operational.cassettePresent) status.capabilities.push('MEDIA_DETECTION');
         
         return { success: true, status };
         
@@ -121,7 +96,7 @@ async function getComprehensiveStatus(path, debug = false) {
 }
 
 /**
- * Test movement capabilities
+ * Test transport capabilities
  */
 async function testMovementCapabilities(path, debug = false) {
     if (debug) console.log(`🏃 Testing Sony Flexicart movement capabilities...`);
@@ -135,11 +110,8 @@ async function testMovementCapabilities(path, debug = false) {
     };
     
     const movements = [
-        { name: 'HOME', command: SONY_COMMANDS.HOME_COMMAND, description: 'Return to home position' },
-        { name: 'SLOT_1', command: SONY_COMMANDS.MOVE_TO_SLOT_1, description: 'Move to slot 1' },
-        { name: 'SLOT_2', command: SONY_COMMANDS.MOVE_TO_SLOT_2, description: 'Move to slot 2' },
-        { name: 'SLOT_3', command: SONY_COMMANDS.MOVE_TO_SLOT_3, description: 'Move to slot 3' },
-        { name: 'STOP', command: SONY_COMMANDS.STOP_COMMAND, description: 'Stop movement' }
+        { name: 'STOP', command: SONY_COMMANDS.STOP_COMMAND, description: 'Stop the transport' },
+        { name: 'EJECT', command: SONY_COMMANDS.EJECT_COMMAND, description: 'Eject the cassette' }
     ];
     
     for (const movement of movements) {
@@ -149,11 +121,14 @@ async function testMovementCapabilities(path, debug = false) {
             // Get position before
             const posBefore = await getPosition(path, false);
             
-            // Send movement command
+            // Send transport command - the deck answers ACK or NAK
             const moveResponse = await sendCommand(path, movement.command, 5000, debug);
-            const moveData = extractDataBytes(moveResponse);
+            const reply = decodeSonyResponse(moveResponse).packets[0];
+            if (!reply || reply.type !== 'ACK') {
+                throw new Error(reply ? `${reply.type} ${reply.nakErrors.join(', ')}`.trim() : 'No valid reply');
+            }
             
-            // Wait for movement to complete
+            // Wait for the transport to settle
             if (debug) console.log(`   ⏳ Waiting for movement...`);
             await new Promise(resolve => setTimeout(resolve, 2000));
             
@@ -167,7 +142,7 @@ async function testMovementCapabilities(path, debug = false) {
                 positionBefore: posBefore,
                 positionAfter: posAfter,
                 positionChanged: JSON.stringify(posBefore) !== JSON.stringify(posAfter),
-                responseData: moveData,
+                reply: reply.type,
                 timestamp: new Date().toISOString()
             };
             
@@ -178,7 +153,7 @@ async function testMovementCapabilities(path, debug = false) {
                 results.positionChanges++;
                 if (debug) console.log(`   ✅ SUCCESS: Position changed!`);
             } else {
-                if (debug) console.log(`   ⚠️  Command sent, but no position change detected`);
+                if (debug) console.log(`   ⚠️  Command acknowledged, but no position change detected`);
             }
             
         } catch (error) {
@@ -204,66 +179,22 @@ async function testMovementCapabilities(path, debug = false) {
 }
 
 /**
- * Move to specific slot
- */
-async function moveToSlot(path, slotNumber, debug = false) {
-    if (debug) console.log(`📍 Moving to slot ${slotNumber}...`);
-    
-    // Create position command
-    const command = Buffer.from([0x90, 0x24, 0x00, slotNumber & 0xFF]);
-    
-    try {
-        // Get current position
-        const currentPos = await getPosition(path, debug);
-        
-        // Send move command
-        const response = await sendCommand(path, command, 8000, debug);
-        const responseData = extractDataBytes(response);
-        
-        // Wait for movement
-        if (debug) console.log(`   ⏳ Waiting for movement to complete...`);
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        // Verify final position
-        const finalPos = await getPosition(path, debug);
-        
-        const success = finalPos && finalPos.current !== undefined && 
-                        (finalPos.current === slotNumber || Math.abs(finalPos.current - slotNumber) <= 1);
-        
-        return {
-            success: success,
-            targetSlot: slotNumber,
-            currentPosition: currentPos,
-            finalPosition: finalPos,
-            moved: JSON.stringify(currentPos) !== JSON.stringify(finalPos),
-            responseData: responseData,
-            command: command.toString('hex')
-        };
-        
-    } catch (error) {
-        return {
-            success: false,
-            error: error.message,
-            targetSlot: slotNumber
-        };
-    }
-}
-
-/**
- * Get current position
+ * Get current tape position (LTC)
  */
 async function getPosition(path, debug = false) {
     try {
         const response = await sendCommand(path, SONY_COMMANDS.POSITION_QUERY, 3000, debug);
         const data = extractDataBytes(response);
+        const time = decodeSonyTimeData(data);
         
-        if (data.length >= 2) {
-            const position = (data[0] << 8) | data[1];
+        if (time) {
             return {
                 raw: data,
-                current: position,
-                isHome: position === 0xFFFF || position === 0,
-                isValid: position !== 0xFFFF
+                timecode: time.timecode,
+                frames: time.frames,
+                dropFrame: time.dropFrame,
+                isValid: time.frames !== null,
+                interpretation: interpretPosition(time.timecode)
             };
         }
         
@@ -275,73 +206,45 @@ async function getPosition(path, debug = false) {
 }
 
 /**
- * Extract meaningful data bytes from response
+ * Data bytes of the first return packet in a response (empty for ACK, NAK
+ * or a response without a valid packet)
  */
 function extractDataBytes(response) {
     if (!response || response.length === 0) return [];
     
-    // Filter out sync bytes (0x55) and common padding
-    return response.filter(byte => 
-        byte !== 0x55 && // Sony sync byte
-        byte !== 0x00 && // Null padding
-        !(byte >= 0xF0 && byte <= 0xFF) // High-value noise
-    ).slice(0, 10); // Take first 10 meaningful bytes
+    const packet = decodeSonyResponse(response).packets.find(p => p.type === 'RETURN');
+    return packet ? Array.from(packet.data) : [];
 }
 
 /**
  * Interpret device type
  */
-function interpretDeviceType(deviceData) {
-    if (!deviceData || deviceData.length < 3) return 'Unknown';
-    
-    const [mfg, model, version] = deviceData;
-    
-    if (mfg === 0xFF || mfg === 0x5D) {
-        return 'Sony/Compatible Flexicart';
-    }
-    
-    return `Device Type: Mfg=${mfg}, Model=${model}, Ver=${version}`;
+function interpretDeviceType(deviceType) {
+    if (!deviceType) return 'Unknown';
+    return deviceType.model ? `Sony ${deviceType.model}` : `Device Type: ${deviceType.id}`;
 }
 
 /**
  * Interpret position value
  */
-function interpretPosition(position) {
-    if (position === 0xFFFF) return 'Home/Unknown';
-    if (position === 0) return 'Home';
-    if (position >= 1 && position <= 100) return `Slot ${position}`;
-    return `Position ${position}`;
+function interpretPosition(timecode) {
+    return timecode === '00:00:00:00' ? 'Start of tape / unstriped' : `LTC ${timecode}`;
 }
 
 /**
- * Interpret Sony status (enhanced)
+ * Interpret Sony status
  */
 function interpretSonyStatus(statusBytes) {
     if (!statusBytes || statusBytes.length === 0) return 'No status data';
     
-    const flags = [];
-    
-    if (statusBytes.length >= 3) {
-        const statusByte = statusBytes[2];
-        
-        if (statusByte & 0x01) flags.push('READY');
-        if (statusByte & 0x02) flags.push('MOVING');
-        if (statusByte & 0x04) flags.push('HOME');
-        if (statusByte & 0x08) flags.push('ERROR');
-        if (statusByte & 0x10) flags.push('CARTRIDGE_PRESENT');
-        if (statusByte & 0x20) flags.push('INITIALIZED');
-        if (statusByte & 0x40) flags.push('CALIBRATED');
-        if (statusByte & 0x80) flags.push('BUSY');
-    }
-    
-    return flags.length > 0 ? flags.join(', ') : 'Unknown status';
+    const flags = describeSonyStatus(statusBytes);
+    return flags.length > 0 ? flags.join(', ') : 'No status flags set';
 }
 
 module.exports = {
     getComprehensiveStatus,
     testMovementCapabilities,
-    moveToSlot,
     getPosition,
     extractDataBytes,
     SONY_COMMANDS
-};
\ No newline at end of file
+};
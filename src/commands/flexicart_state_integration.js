@@ -4,40 +4,81 @@
  */
 
 const { FlexiCartStateManager } = require('./flexicart_data_structures');
-const { SerialPort } = require('serialport');
+const { connectionManager } = require('./flexicart_connection_manager');
+const { createResponseMatcher, encodeFlexiCartFrame, decodeFlexiCartResponse, matchesUnitAddress, isFlexiCartFrame } = require('./flexicart_frame_decoder');
+const { COMMAND_PRIORITY } = require('./flexicart_command_queue');
+const { sendWithRetry, resolveRequestPolicy, abortOnFlush } = require('./flexicart_retry_policy');
+const { FlexiCartMacroExecutor } = require('./flexicart_macro_executor');
+const {
+    decodeStatusReturn,
+    decodeConsoleStatusReturn,
+    decodePlayerSense,
+    statusReturnToSystemStatus,
+    getStatusErrors,
+    parseFlexicartBinStatus,
+    parseFlexicartErrorReport,
+    parseFlexicartPosition,
+    parseFlexicartMotion,
+    MOTION_OPERATION_TYPES
+} = require('./flexicart_status_parser');
+const { getErrorStorage } = require('./flexicart_error_catalog');
+const { FlexicartError } = require('./flexicart_errors');
+const catalog = require('./flexicart_command_catalog');
+
+// Connected integrations by port and UA2 address (findConnectedCart)
+const connectedCarts = new Map();
+const cartKey = (port, cartAddress) => `${port}#${cartAddress}`;
 
 /**
  * FlexiCart State Integration Class
  * Bridges FlexiCart hardware communication with state management
  */
 class FlexiCartStateIntegration {
-    constructor(port = '/dev/ttyRP0', cartId = 'FC01') {
+    constructor(port = '/dev/ttyRP0', cartId = 'FC01', cartAddress = 0x01) {
         this.port = port;
         this.cartId = cartId;
-        this.stateManager = new FlexiCartStateManager(cartId, 360);
-        this.serialPort = null;
+        this.cartAddress = cartAddress;     // UA2 bit of this cart on a multi-drop line
+        this.stateManager = new FlexiCartStateManager(cartId);
+        this.connection = null;
         this.isConnected = false;
         
-        // Communication settings
+        // Polling settings (line settings and timeouts come from config/default.json)
         this.config = {
-            baudRate: 38400,
-            dataBits: 8,
-            parity: 'even',
-            stopBits: 1,
-            timeout: 5000,
             pollInterval: 1000 // Poll status every second
         };
         
+        // Macro completion polling (ACK, then 0x61 status until CSTS1 reports the macro's end)
+        this.macroExecutor = new FlexiCartMacroExecutor({
+            operations: this.stateManager.operations,
+            cartAddress: this.cartAddress,
+            send: (command, queueOptions) => {
+                if (!this.isConnected) throw new Error('Not connected to FlexiCart');
+                return this.sendRawCommand(command, undefined, queueOptions);
+            },
+            onStatus: (response) => this.parseAndUpdateState(0x61, catalog.STATUS_POLL_BITMAP_1, response),
+            onSettled: (operation) => this.applySettledOperation(operation)
+        });
+        
+        // BIN Nos. reported changed (CSTS3) and not yet sensed by queryInventory
+        this.changedBins = [];
+        
+        // Console status reported changed (CSTS4) and not yet sensed by queryConsoleStatus
+        this.consoleChanged = false;
+        
+        // Position from the last motion macro that settled (getPosition)
+        this.lastPosition = null;
+        
+        // Tail of the motion lock queue (acquireMotionLock) and emergency stops sent so far
+        this.motionLock = Promise.resolve();
+        this.emergencyStops = 0;
+        
         // Polling timer
         this.statusPollTimer = null;
-        this.inventoryPollTimer = null;
         
         // Response parsers
         this.responseParsers = {
             status: this.parseStatusResponse.bind(this),
-            position: this.parsePositionResponse.bind(this),
-            inventory: this.parseInventoryResponse.bind(this),
-            error: this.parseErrorResponse.bind(this)
+            console: this.parseConsoleResponse.bind(this)
         };
         
         // Setup event forwarding
@@ -51,23 +92,13 @@ class FlexiCartStateIntegration {
         try {
             console.log(`🔌 Connecting to FlexiCart at ${this.port}...`);
             
-            this.serialPort = new SerialPort({
-                path: this.port,
-                baudRate: this.config.baudRate,
-                dataBits: this.config.dataBits,
-                parity: this.config.parity,
-                stopBits: this.config.stopBits,
-                autoOpen: false
-            });
+            // Shared persistent connection - other modules on this port reuse it
+            this.connection = connectionManager.getConnection(this.port);
             
-            await new Promise((resolve, reject) => {
-                this.serialPort.open((error) => {
-                    if (error) reject(error);
-                    else resolve();
-                });
-            });
+            await this.connection.open();
             
             this.isConnected = true;
+            connectedCarts.set(cartKey(this.port, this.cartAddress), this);
             console.log('✅ Connected to FlexiCart');
             
             // Update connection status
@@ -77,8 +108,9 @@ class FlexiCartStateIntegration {
             // Start periodic status polling
             this.startStatusPolling();
             
-            // Initial status query
+            // Initial status query; the door is only reported by the console status
             await this.queryStatus();
+            await this.queryConsoleStatus();
             
             return true;
             
@@ -92,14 +124,15 @@ class FlexiCartStateIntegration {
     
     /**
      * Disconnect from FlexiCart device
+     * Only this cart lets go of the line: the port is shared with other modules
+     * and other carts on the same multi-drop line, so closing it is left to
+     * whoever owns the connection manager (connectionManager.close/closeAll)
      */
     async disconnect() {
         this.stopStatusPolling();
-        
-        if (this.serialPort && this.serialPort.isOpen) {
-            await new Promise((resolve) => {
-                this.serialPort.close(() => resolve());
-            });
+        this.connection = null;
+        if (connectedCarts.get(cartKey(this.port, this.cartAddress)) === this) {
+            connectedCarts.delete(cartKey(this.port, this.cartAddress));
         }
         
         this.isConnected = false;
@@ -109,57 +142,67 @@ class FlexiCartStateIntegration {
     
     /**
      * Send command to FlexiCart and update state
+     * @param {Object} queueOptions - Priority/deadline/cancellation for the port queue
+     */
+    async sendCommand(cmd, ctrl = 0x00, data = 0x80, cartAddress = this.cartAddress, queueOptions = {}) {
+        const command = this.createFlexiCartCommand(cmd, ctrl, data, cartAddress);
+        return this.dispatchCommand(command, { cmd, ctrl, data }, cartAddress, queueOptions);
+    }
+    
+    /**
+     * Send a built command frame, tracking macros and applying replies to state
+     * @param {Buffer} command - Command frame
+     * @param {Object} details - { cmd, ctrl, data, ... } recorded with the operation
      */
-    async sendCommand(cmd, ctrl = 0x00, data = 0x80, cartAddress = 0x01) {
+    async dispatchCommand(command, details, cartAddress = this.cartAddress, queueOptions = {}) {
         if (!this.isConnected) {
             throw new Error('Not connected to FlexiCart');
         }
         
-        const command = this.createFlexiCartCommand(cmd, ctrl, data, cartAddress);
-        const commandName = this.getCommandName(cmd, ctrl);
+        const { bt = 0x00, cmd, ctrl } = details;
+        const commandName = this.getCommandName(cmd, ctrl, bt);
+        const operationType = this.isMacroCommand(cmd) ? this.getOperationType(cmd, ctrl, bt) : null;
+        
+        // Motion macros take turns with the mechanism, whoever sends them
+        const releaseMotion = MOTION_OPERATION_TYPES.includes(operationType) ? await this.acquireMotionLock(commandName) : null;
         
         // Start operation tracking for macro commands
         let operationId = null;
-        if (this.isMacroCommand(cmd)) {
-            operationId = this.stateManager.operations.startOperation(
-                this.getOperationType(cmd, ctrl),
-                { command: commandName, cmd, ctrl, data }
-            );
-        }
-        
         try {
-            const response = await this.sendRawCommand(command);
-            const analysis = this.analyzeResponse(response);
+            if (operationType) {
+                operationId = this.macroExecutor.startOperation(operationType, { command: commandName, ...details });
+            }
+            
+            const response = await this.sendRawCommand(command, undefined, queueOptions);
+            const analysis = this.analyzeResponse(response, cartAddress);
             
             // Update communication stats
             this.stateManager.systemStatus.communication.lastResponseTime = new Date().toISOString();
             this.stateManager.systemStatus.communication.errorCount = 0;
             
             // Handle different response types
+            let error = null;
             if (analysis.isACK && operationId) {
-                // Macro command accepted - start monitoring
-                this.stateManager.operations.updateOperation(operationId, {
-                    status: 'in_progress'
-                });
-                this.monitorMacroOperation(operationId, cmd);
+                // Macro command accepted - start monitoring; the mechanism moves until it settles
+                this.monitorMacroOperation(operationId);
+                this.applyMotion(this.stateManager.operations.getOperation(operationId));
                 
-            } else if (analysis.isNACK && operationId) {
-                // Macro command rejected
-                this.stateManager.operations.updateOperation(operationId, {
-                    status: 'failed',
-                    error: 'Command rejected (NACK)'
-                });
+            } else if (operationId) {
+                // Macro command not accepted (rejected after the retries, or no ACK at all)
+                error = this.describeMacroRejection(analysis);
+                this.macroExecutor.settle(operationId, 'failed', { error });
                 
             } else if (analysis.hasData) {
                 // Immediate response with data
-                this.parseAndUpdateState(cmd, ctrl, response);
+                this.parseAndUpdateState(cmd, ctrl, response, bt);
             }
             
             return {
-                success: true,
+                success: error === null,
                 operationId,
                 response: analysis,
-                commandName
+                commandName,
+                error
             };
             
         } catch (error) {
@@ -172,94 +215,307 @@ class FlexiCartStateIntegration {
             });
             
             if (operationId) {
-                this.stateManager.operations.updateOperation(operationId, {
-                    status: 'failed',
-                    error: error.message
-                });
+                this.macroExecutor.settle(operationId, 'failed', { error: error.message });
             }
             
             throw error;
+        } finally {
+            // Held until the macro settles, not just until it is ACKed
+            if (releaseMotion && operationId) this.macroExecutor.waitFor(operationId).then(releaseMotion, releaseMotion);
+            else if (releaseMotion) releaseMotion();
+        }
+    }
+    
+    /**
+     * Why a macro was not accepted, from the analysis of its reply
+     * Anything but ACK fails it: NAK/BUSY/checksum error after the retries, an
+     * empty reply or data that is not an ACK from this cart
+     */
+    describeMacroRejection(analysis) {
+        if (analysis.isBusy) return 'Command rejected (BUSY)';
+        if (analysis.isNACK) return 'Command rejected (NACK)';
+        if (analysis.isChecksumError) return 'Reply checksum error';
+        return `Expected ACK, received ${analysis.length === 0 ? 'nothing' : analysis.hex}`;
+    }
+    
+    /**
+     * Send a command from the catalog by name
+     * Parameters are validated against the catalog entry (FlexicartError
+     * INVALID_COMMAND / INVALID_PARAMETER) before anything is queued; macros
+     * that carry a Macro No. get one assigned unless params.macro is given
+     * @param {string} name - Catalog command name, e.g. 'ELEVATOR_MOVE'
+     * @param {Object} params - Command parameters, e.g. { destination: 1012 }
+     * @param {Object} queueOptions - Priority/deadline/cancellation for the port queue
+     */
+    async sendNamedCommand(name, params = {}, queueOptions = {}) {
+        const request = this.macroExecutor.withMacroNumber(catalog.getCommandDefinition(name), params);
+        const { bt, cmd, ctrl, data, block } = catalog.resolveCommand(name, request);
+        const command = encodeFlexiCartFrame(this.cartAddress, bt, cmd, block);
+        return this.dispatchCommand(command, { bt, cmd, ctrl, data, ...request }, this.cartAddress, queueOptions);
+    }
+    
+    /**
+     * Send a macro by name and wait until it completes, fails or times out
+     * @param {string} name - Catalog macro name, e.g. 'CASSETTE_MOVE'
+     * @param {Object} params - Command parameters, e.g. { source: 1012, destination: 101 }
+     * @returns {Promise<Object>} sendNamedCommand result with the settled operation
+     */
+    async executeMacro(name, params = {}, queueOptions = {}) {
+        const definition = catalog.getCommandDefinition(name);
+        if (definition && definition.responseClass !== catalog.RESPONSE_CLASS.MACRO) {
+            throw new FlexicartError(`${name} is not a macro command`, 'INVALID_COMMAND');
         }
+        
+        const result = await this.sendNamedCommand(name, params, queueOptions);
+        const operation = await this.macroExecutor.waitFor(result.operationId);
+        
+        return {
+            ...result,
+            success: operation.status === 'completed',
+            operation,
+            error: operation.error
+        };
+    }
+    
+    /**
+     * Wait until the motion macros sent before this one have settled - the cart
+     * runs one motion at a time, so every caller (air workflows, WebSocket
+     * handlers, the CLI) queues here instead of being refused BUSY. A motion
+     * still waiting when an emergency stop is sent is dropped
+     * @param {string} commandName - For the error of a dropped motion
+     * @returns {Promise<Function>} Call to let the next motion go
+     * @throws {FlexicartError} REQUEST_FLUSHED when an emergency stop was sent while waiting
+     */
+    async acquireMotionLock(commandName) {
+        const previous = this.motionLock;
+        const stops = this.emergencyStops;
+        let release;
+        this.motionLock = new Promise(resolve => { release = resolve; });
+        
+        await previous;
+        if (this.emergencyStops !== stops) {
+            release();
+            throw new FlexicartError(`${commandName} not sent - an emergency stop was sent while it waited`, 'REQUEST_FLUSHED');
+        }
+        return release;
     }
     
     /**
      * Query current status
      */
-    async queryStatus() {
-        return this.sendCommand(0x61, 0x10, 0x80); // STATUS_REQUEST
+    async queryStatus(queueOptions = {}) {
+        return this.sendNamedCommand('STATUS_REQUEST', {}, queueOptions);
+    }
+    
+    /**
+     * Query the cassette console status (61H BT 01H) - the door is reported here only
+     */
+    async queryConsoleStatus(queueOptions = {}) {
+        this.consoleChanged = false;
+        return this.sendNamedCommand('SENSE_CONSOLE_STATUS', {}, queueOptions);
+    }
+    
+    /**
+     * Query the cart's error conditions (appended to systemStatus.errors)
+     * The status poll senses them: abnormal macro end information (CSTS1),
+     * console errors (CSTS4) and data stream errors (CSTS15)
+     */
+    async queryErrors(queueOptions = {}) {
+        return this.queryStatus(queueOptions);
+    }
+    
+    /**
+     * Clear the cart's error report and the local error log - nothing moves
+     * 6FH SENSE ERROR REPORT returns the command behind a data stream error
+     * (CSTS15) and clears it; abnormal end information is reported once per
+     * macro, so its log is emptied here. The cart is sensed again to confirm
+     * nothing new is reported (reinitialize() is the separate, moving recovery)
+     * @returns {Promise<Object>} sendNamedCommand result with the errorReport
+     *   (parseFlexicartErrorReport) and the errors left afterwards
+     */
+    async clearErrors() {
+        const result = await this.sendNamedCommand('SENSE_ERROR_REPORT');
+        const errorReport = parseFlexicartErrorReport(Buffer.from(result.response.bytes));
+        if (!errorReport) {
+            return {
+                ...result,
+                success: false,
+                errorReport: null,
+                error: `Expected an Error Report Return (7FH), received ${result.response.hex || 'nothing'}`
+            };
+        }
+        
+        Object.assign(this.stateManager.systemStatus.errors, { mechanical: [], system: [], lastError: null });
+        await this.queryErrors();
+        const { mechanical, system } = this.stateManager.systemStatus.errors;
+        const remaining = mechanical.length + system.length;
+        
+        return {
+            ...result,
+            success: remaining === 0,
+            errorReport,
+            remaining,
+            error: remaining === 0 ? null : `${remaining} error(s) reported after clearing`
+        };
+    }
+    
+    /**
+     * Initialize the elevator again (ELEVATOR_INITIALIZE 1DH) after a fault
+     * or power down - it homes and reads the bin and VTR positions, so the
+     * mechanism moves
+     * @returns {Promise<Object>} executeMacro result
+     */
+    async reinitialize(queueOptions = {}) {
+        return this.executeMacro('ELEVATOR_INITIALIZE', {}, queueOptions);
+    }
+    
+    /**
+     * Bring the inventory up to date with the bins the cart reports changed
+     * CSTS3 gives one changed BIN No. per sense until it reads all 0; each
+     * cassette bin is then sensed with 62H (ACK = empty, 72H = cassette and
+     * barcode) and the occupancy updated. A bin whose reply cannot be read is
+     * asked once more with 72H and otherwise left as it was
+     * @returns {Promise<Object>} { success, bins, unresolved, timestamp } - the
+     *   bins sensed and the bin numbers left unknown
+     */
+    async queryInventory(queueOptions = {}) {
+        for (let senses = 0; senses <= catalog.MAX_BIN_INDEX; senses++) {
+            const reported = this.changedBins.length;
+            await this.sendNamedCommand('SENSE_CHANGED_BIN', {}, queueOptions);
+            if (this.changedBins.length === reported) break;
+        }
+        
+        const bins = [];
+        const unresolved = [];
+        const changed = new Set(this.changedBins.splice(0).map(catalog.getCassetteBinIndex));
+        for (const bin of changed) {
+            if (bin === null) continue;
+            const sensed = await this.senseBin('SENSE_BIN_STATUS', bin, queueOptions) ||
+                await this.senseBin('BIN_STATUS_RETURN', bin, queueOptions);
+            if (sensed) bins.push(sensed); else unresolved.push(bin);
+        }
+        
+        this.stateManager.updateFromResponse('inventory', { bins });
+        return {
+            success: unresolved.length === 0,
+            bins,
+            unresolved,
+            timestamp: new Date().toISOString()
+        };
     }
     
     /**
-     * Query current position
+     * Re-read the whole inventory: the cart is told to report every bin as
+     * changed (BT 01 CMD 00 DATA 01), then queryInventory senses them all
      */
-    async queryPosition() {
-        return this.sendCommand(0x61, 0x20, 0x80); // POSITION_REQUEST
+    async refreshInventory(queueOptions = {}) {
+        const result = await this.sendNamedCommand('REPORT_ALL_BINS', {}, queueOptions);
+        if (!result.response.isACK) {
+            return {
+                success: false,
+                bins: [],
+                unresolved: [],
+                error: `Expected ACK to REPORT_ALL_BINS, received ${result.response.hex || 'nothing'}`,
+                timestamp: new Date().toISOString()
+            };
+        }
+        return this.queryInventory(queueOptions);
     }
     
     /**
-     * Query inventory
+     * Sense one cassette bin
+     * @param {string} name - SENSE_BIN_STATUS or BIN_STATUS_RETURN
+     * @returns {Promise<Object|null>} parseFlexicartBinStatus() entry
      */
-    async queryInventory() {
-        return this.sendCommand(0x61, 0x30, 0x80); // INVENTORY_REQUEST
+    async senseBin(name, bin, queueOptions = {}) {
+        const result = await this.sendNamedCommand(name, { bin: catalog.getCassetteBinNumber(bin) }, queueOptions);
+        return parseFlexicartBinStatus(Buffer.from(result.response.bytes), bin);
     }
     
     /**
      * Control ON-AIR tally
+     * The cart cannot be asked for the tally, so onAir.tallyOn follows the
+     * last tally command it acknowledged
      */
     async setOnAirTally(on) {
-        return this.sendCommand(0x71, on ? 0x01 : 0x00, 0x80);
+        const result = await this.sendNamedCommand(on ? 'ON_AIR_TALLY_ON' : 'ON_AIR_TALLY_OFF');
+        if (result.response.isACK) {
+            this.stateManager.updateFromResponse('status', { onAir: { tallyOn: on } });
+        }
+        return result;
     }
     
     /**
      * Move elevator up
      */
     async moveElevatorUp() {
-        return this.sendCommand(0x41, 0x01, 0x80);
+        return this.sendNamedCommand('ELEVATOR_UP');
     }
     
     /**
      * Move elevator down
      */
     async moveElevatorDown() {
-        return this.sendCommand(0x41, 0x02, 0x80);
+        return this.sendNamedCommand('ELEVATOR_DOWN');
     }
     
     /**
      * Rotate carousel clockwise
      */
     async rotateCarouselCW() {
-        return this.sendCommand(0x42, 0x01, 0x80);
+        return this.sendNamedCommand('CAROUSEL_CW');
     }
     
     /**
      * Rotate carousel counter-clockwise
      */
     async rotateCarouselCCW() {
-        return this.sendCommand(0x42, 0x02, 0x80);
+        return this.sendNamedCommand('CAROUSEL_CCW');
     }
     
     /**
-     * Move to specific position
+     * Move the elevator to a bin (ELEVATOR MOVE 14H)
+     * @param {number} position - Bin (1-maxBins, sent as its BIN No.)
      */
     async moveToPosition(position) {
-        if (position < 1 || position > 360) {
-            throw new Error('Invalid position. Must be 1-360');
-        }
-        return this.sendCommand(0x43, position & 0xFF, 0x80);
+        return this.sendNamedCommand('ELEVATOR_MOVE', { destination: catalog.getCassetteBinNumber(position) });
+    }
+    
+    /**
+     * Load the cassette in a bin into a VTR (CASSETTE MOVE 10H, bin -> VTR)
+     * @param {number} bin - Source bin (1-maxBins)
+     * @param {number} vtr - Destination VTR (1-6, BIN No. 0101-0106)
+     */
+    async loadCart(bin, vtr) {
+        return this.sendNamedCommand('CASSETTE_MOVE', {
+            source: catalog.getCassetteBinNumber(bin),
+            destination: catalog.getVtrBinNumber(vtr)
+        });
     }
     
     /**
-     * Load cart from current position
+     * Return a VTR's cassette to a bin (CASSETTE MOVE 10H, VTR -> bin)
+     * @param {number} bin - Destination bin (1-maxBins)
+     * @param {number} vtr - Source VTR (1-6)
      */
-    async loadCart() {
-        return this.sendCommand(0x44, 0x01, 0x80);
+    async unloadCart(bin, vtr) {
+        return this.sendNamedCommand('CASSETTE_MOVE', {
+            source: catalog.getVtrBinNumber(vtr),
+            destination: catalog.getCassetteBinNumber(bin)
+        });
     }
     
     /**
-     * Unload cart to current position
+     * Emergency stop (macro 0x48) - jumps the port queue and flushes queued moves
      */
-    async unloadCart() {
-        return this.sendCommand(0x44, 0x02, 0x80);
+    async emergencyStop() {
+        this.emergencyStops++;
+        const result = await this.sendNamedCommand('EMERGENCY_STOP', {}, { priority: COMMAND_PRIORITY.EMERGENCY });
+        // Latched until an initialize completes (applySettledOperation)
+        if (result.response.isACK) {
+            this.stateManager.updateFromResponse('status', { hardware: { emergencyStop: true } });
+        }
+        return result;
     }
     
     /**
@@ -322,22 +578,27 @@ class FlexiCartStateIntegration {
     startStatusPolling() {
         if (this.statusPollTimer) return;
         
+        let pollInFlight = false;
         this.statusPollTimer = setInterval(async () => {
+            // Requests are serialized per port - don't stack polls behind a slow one
+            if (pollInFlight) return;
+            pollInFlight = true;
             try {
-                await this.queryStatus();
+                // A poll that can't go out before the next tick is stale - let it expire
+                // The next poll is the retry
+                const pollOptions = {
+                    priority: COMMAND_PRIORITY.POLL,
+                    maxWait: this.config.pollInterval,
+                    retry: false
+                };
+                await this.queryStatus(pollOptions);
+                if (this.consoleChanged) await this.queryConsoleStatus(pollOptions);
             } catch (error) {
                 console.log('⚠️  Status poll failed:', error.message);
+            } finally {
+                pollInFlight = false;
             }
         }, this.config.pollInterval);
-        
-        // Less frequent inventory polling (every 30 seconds)
-        this.inventoryPollTimer = setInterval(async () => {
-            try {
-                await this.queryInventory();
-            } catch (error) {
-                console.log('⚠️  Inventory poll failed:', error.message);
-            }
-        }, 30000);
     }
     
     /**
@@ -348,269 +609,222 @@ class FlexiCartStateIntegration {
             clearInterval(this.statusPollTimer);
             this.statusPollTimer = null;
         }
-        
-        if (this.inventoryPollTimer) {
-            clearInterval(this.inventoryPollTimer);
-            this.inventoryPollTimer = null;
-        }
     }
     
     /**
      * Parse response and update appropriate state
      */
-    parseAndUpdateState(cmd, ctrl, response) {
-        const responseType = this.getResponseType(cmd, ctrl);
+    parseAndUpdateState(cmd, ctrl, response, bt = 0x00) {
+        const responseType = this.getResponseType(cmd, ctrl, bt);
         const parsedData = this.responseParsers[responseType]?.(response) || {};
         
         this.stateManager.updateFromResponse(responseType, parsedData);
     }
     
     /**
-     * Parse status response
+     * Parse status response (61H sense, 71H Cart Status Return - see flexicart_status_parser.js)
+     * The macro end it reports goes to the macro executor; abnormal end
+     * information is appended to the error log, since the cart reports each end once
      */
     parseStatusResponse(response) {
-        if (!response || response.length < 5) {
+        const status = decodeStatusReturn(response);
+        if (!status) {
             return { communication: { connected: true } };
         }
         
-        // Parse FlexiCart status response format
-        // This would be implemented based on actual response format
+        this.macroExecutor.recordStatus(status);
+        if (status.changedBin !== null) this.changedBins.push(status.changedBin);
+        if (status.consoleStatus && status.consoleStatus.changed) this.consoleChanged = true;
+        
         return {
-            communication: {
-                connected: true,
-                responseTimeMs: Date.now() % 1000 // Simplified
-            },
-            hardware: {
-                powerOn: true,
-                initialized: (response[5] & 0x01) !== 0,
-                emergencyStop: (response[5] & 0x02) !== 0
-            },
-            movement: {
-                elevator: {
-                    moving: (response[6] & 0x01) !== 0,
-                    position: response[7] || 0
-                },
-                carousel: {
-                    moving: (response[6] & 0x02) !== 0,
-                    position: response[8] || 0
-                }
-            }
+            communication: { connected: true },
+            ...statusReturnToSystemStatus(status),
+            ...this.appendStatusErrors(status)
         };
     }
     
     /**
-     * Parse position response
+     * Parse a Cassette Console Status Return (61H BT 01H sense)
      */
-    parsePositionResponse(response) {
-        if (!response || response.length < 8) return {};
+    parseConsoleResponse(response) {
+        const consoleStatus = decodeConsoleStatusReturn(response);
+        if (!consoleStatus) {
+            return { communication: { connected: true } };
+        }
         
         return {
-            movement: {
-                currentBin: response[7] || 0,
-                elevator: { position: response[6] || 0 },
-                carousel: { position: response[8] || 0 }
-            }
+            communication: { connected: true },
+            ...statusReturnToSystemStatus(null, { console: consoleStatus })
         };
     }
     
     /**
-     * Parse inventory response
+     * Apply the player sense - the STATUS DATA return of the deck the cart
+     * loads (see vtr_interface.js getVtrStatus)
+     * @param {Buffer} response - The deck's reply
+     * @returns {boolean} Whether it held STATUS DATA
      */
-    parseInventoryResponse(response) {
-        // Simplified inventory parsing
-        // Real implementation would decode actual inventory data
-        return {
-            bins: [
-                // This would be populated from actual response parsing
-            ]
-        };
+    applyPlayerSense(response) {
+        const player = decodePlayerSense(response);
+        if (!player) return false;
+        
+        const { hardware, ...sections } = statusReturnToSystemStatus(null, { player });
+        this.stateManager.updateFromResponse('status', sections);
+        return true;
     }
     
     /**
-     * Parse error response
+     * Error log with the errors a Cart Status Return reports appended
+     * @returns {Object} { errors } for updateFromResponse, {} when it reports none
      */
-    parseErrorResponse(response) {
-        return {
-            errors: response && response.length > 5 ? [
-                {
-                    code: response[5],
-                    message: `Error code: 0x${response[5]?.toString(16)}`,
-                    timestamp: new Date().toISOString()
-                }
-            ] : []
-        };
+    appendStatusErrors(status) {
+        const reported = getStatusErrors(status);
+        if (reported.length === 0) return {};
+        
+        const timestamp = new Date().toISOString();
+        const { mechanical, system } = this.stateManager.systemStatus.errors;
+        const errors = { mechanical: [...mechanical], system: [...system] };
+        for (const error of reported) {
+            errors[getErrorStorage(error)].push({ ...error, timestamp });
+        }
+        errors.lastError = { ...reported[reported.length - 1], timestamp };
+        return { errors };
     }
     
     /**
-     * Monitor macro operation completion
+     * Apply what a settled macro tells about the cart
+     * The Cart Status MAP has no initialized flag or position - a completed
+     * initialize is the evidence for the one, where moves ended (parseFlexicartPosition)
+     * for the other
      */
-    async monitorMacroOperation(operationId, cmd) {
-        const maxPolls = 50; // 5 seconds at 100ms intervals
-        let polls = 0;
+    applySettledOperation(operation) {
+        const position = parseFlexicartPosition(operation);
+        const motion = parseFlexicartMotion(operation);
+        if (position) this.lastPosition = position;
+        if (position || motion) {
+            this.stateManager.updateFromResponse('position', {
+                movement: { ...motion, ...(position && { currentBin: position.current }) }
+            });
+        }
         
-        const pollInterval = setInterval(async () => {
-            polls++;
-            
-            try {
-                // Query status to check if operation completed
-                const statusResult = await this.queryStatus();
-                
-                // Simple completion check - in real implementation,
-                // this would check specific status bits
-                const isComplete = !this.isMovementActive();
-                
-                if (isComplete) {
-                    clearInterval(pollInterval);
-                    this.stateManager.operations.updateOperation(operationId, {
-                        status: 'completed',
-                        result: { success: true }
-                    });
-                } else if (polls >= maxPolls) {
-                    clearInterval(pollInterval);
-                    this.stateManager.operations.updateOperation(operationId, {
-                        status: 'timeout',
-                        error: 'Operation monitoring timeout'
-                    });
-                }
-            } catch (error) {
-                clearInterval(pollInterval);
-                this.stateManager.operations.updateOperation(operationId, {
-                    status: 'failed',
-                    error: error.message
-                });
-            }
-        }, 100);
+        if (operation.status !== 'completed') return;
+        
+        // A motion the cart completed ran with the door closed
+        const { hardware } = this.stateManager.systemStatus;
+        if (motion) hardware.doorOpen = false;
+        if (operation.type === 'initialize') Object.assign(hardware, { initialized: true, emergencyStop: false });
+        if (operation.type === 'calibrate') hardware.calibrated = true;
+    }
+    
+    /**
+     * Set the elevator/carousel motion flags of a motion macro the cart accepted
+     * (parseFlexicartMotion), from where the elevator is known to be
+     */
+    applyMotion(operation) {
+        const movement = parseFlexicartMotion(operation, this.getPosition().current);
+        if (movement) this.stateManager.updateFromResponse('position', { movement });
+    }
+    
+    /**
+     * Where the elevator is, from the last motion macro that settled
+     * @returns {Object} parseFlexicartPosition() result; current 0 (unknown) until a move has completed
+     */
+    getPosition() {
+        return this.lastPosition || { current: 0, target: 0, moving: false, command: null, operationId: null };
+    }
+    
+    /**
+     * Monitor macro operation completion (see flexicart_macro_executor.js)
+     * @returns {Promise<Object>} The settled operation
+     */
+    monitorMacroOperation(operationId) {
+        return this.macroExecutor.accept(operationId);
     }
     
     /**
      * Check if movement is currently active
+     * The cart reports no motion flags - a macro that has not ended is moving
      */
     isMovementActive() {
-        const status = this.stateManager.systemStatus;
-        return status.movement.elevator.moving || status.movement.carousel.moving;
+        return this.stateManager.operations.getActiveOperations().length > 0;
     }
     
     /**
-     * Helper methods for command analysis
+     * Helper methods for command analysis (see flexicart_command_catalog.js)
      */
     isMacroCommand(cmd) {
         // Commands that require ACK/NACK + polling
-        return [0x41, 0x42, 0x43, 0x44, 0x45, 0x46, 0x47].includes(cmd);
-    }
-    
-    getOperationType(cmd, ctrl) {
-        const types = {
-            0x41: 'elevator_move',
-            0x42: 'carousel_rotate',
-            0x43: 'move_to_position',
-            0x44: ctrl === 0x01 ? 'load_cart' : 'unload_cart',
-            0x45: 'eject_cart',
-            0x46: 'initialize',
-            0x47: 'calibrate'
-        };
-        return types[cmd] || 'unknown';
-    }
-    
-    getCommandName(cmd, ctrl) {
-        // Map command bytes to readable names
-        const commands = {
-            0x61: ctrl === 0x10 ? 'STATUS_REQUEST' : 
-                  ctrl === 0x20 ? 'POSITION_REQUEST' :
-                  ctrl === 0x30 ? 'INVENTORY_REQUEST' :
-                  ctrl === 0x40 ? 'ERROR_STATUS' : 'QUERY',
-            0x71: ctrl === 0x01 ? 'ON_AIR_TALLY_ON' : 'ON_AIR_TALLY_OFF',
-            0x41: ctrl === 0x01 ? 'ELEVATOR_UP' : 'ELEVATOR_DOWN',
-            0x42: ctrl === 0x01 ? 'CAROUSEL_CW' : 'CAROUSEL_CCW',
-            0x43: 'MOVE_TO_POSITION',
-            0x44: ctrl === 0x01 ? 'LOAD_CART' : 'UNLOAD_CART',
-            0x45: 'EJECT_CART',
-            0x46: 'INITIALIZE',
-            0x47: 'CALIBRATE'
-        };
-        return commands[cmd] || `CMD_${cmd.toString(16).toUpperCase()}`;
+        return catalog.isMacroCommand(cmd);
     }
     
-    getResponseType(cmd, ctrl) {
-        if (cmd === 0x61) {
-            switch (ctrl) {
-                case 0x10: return 'status';
-                case 0x20: return 'position';
-                case 0x30: return 'inventory';
-                case 0x40: return 'error';
-            }
-        }
-        return 'status'; // Default
+    getOperationType(cmd, ctrl, bt = 0x00) {
+        return catalog.getOperationType(cmd, ctrl, bt) || 'unknown';
+    }
+    
+    getCommandName(cmd, ctrl, bt = 0x00) {
+        return catalog.getCommandName(cmd, ctrl, bt);
+    }
+    
+    getResponseType(cmd, ctrl, bt = 0x00) {
+        return catalog.getResponseType(cmd, ctrl, bt);
     }
     
     /**
      * Create FlexiCart command buffer
      */
-    createFlexiCartCommand(cmd, ctrl = 0x00, data = 0x80, cartAddress = 0x01) {
-        const command = Buffer.alloc(9);
-        command[0] = 0x02;          // STX
-        command[1] = 0x06;          // BC
-        command[2] = 0x01;          // UA1
-        command[3] = cartAddress;   // UA2
-        command[4] = 0x00;          // BT
-        command[5] = cmd;           // CMD
-        command[6] = ctrl;          // CTRL
-        command[7] = data;          // DATA
-        
-        // Calculate 2's complement checksum
-        let sum = 0;
-        for (let i = 1; i < 8; i++) {
-            sum += command[i];
-        }
-        command[8] = (0x100 - (sum & 0xFF)) & 0xFF;  // CS
-        
-        return command;
+    createFlexiCartCommand(cmd, ctrl = 0x00, data = 0x80, cartAddress = this.cartAddress) {
+        return encodeFlexiCartFrame(cartAddress, 0x00, cmd, [ctrl].concat(data));
     }
     
     /**
      * Send raw command and get response
-     */
-    sendRawCommand(command, timeout = 5000) {
-        return new Promise((resolve, reject) => {
-            const chunks = [];
-            let timeoutHandle;
-            
-            const cleanup = () => {
-                if (timeoutHandle) clearTimeout(timeoutHandle);
-                this.serialPort.removeAllListeners('data');
-            };
-            
-            this.serialPort.on('data', (chunk) => {
-                chunks.push(chunk);
-            });
-            
-            this.serialPort.write(command, (writeError) => {
-                if (writeError) {
-                    cleanup();
-                    reject(new Error(`Write failed: ${writeError.message}`));
-                    return;
-                }
-                
-                this.serialPort.drain(() => {
-                    timeoutHandle = setTimeout(() => {
-                        cleanup();
-                        const response = Buffer.concat(chunks);
-                        resolve(response);
-                    }, timeout);
-                });
-            });
+     * Completes as soon as one ACK/NAK/BUSY byte or one whole frame from the addressed cart is decoded
+     * The timeout defaults to the line's configured responseTimeout. Failed exchanges are
+     * retried per the line's retry policy (queueOptions.retry overrides it); macros are
+     * only resent once a status query shows the cart did not execute them, and not at
+     * all once an emergency stop flushed the queue. That query's Cart Status Return is
+     * applied like any other, so the macro end it reports still reaches the executor
+     */
+    sendRawCommand(command, timeout = undefined, queueOptions = {}) {
+        const { retry, ...requestOptions } = queueOptions;
+        const request = (frame) => this.connection.request(frame, {
+            ...requestOptions,
+            timeout,
+            isComplete: createResponseMatcher(frame)
         });
+        const queryStatus = async () => {
+            const response = await request(catalog.encodeCommand('STATUS_REQUEST', {}, command[3]));
+            if (command[3] === this.cartAddress) this.parseAndUpdateState(0x61, catalog.STATUS_POLL_BITMAP_1, response);
+            return response;
+        };
+        const flushed = abortOnFlush(this.connection, command, requestOptions.category);
+
+        return sendWithRetry(command, () => request(command), {
+            path: this.port,
+            policy: resolveRequestPolicy(this.port, retry),
+            category: requestOptions.category,
+            queryStatus: isFlexiCartFrame(command) ? queryStatus : null,
+            signal: flushed.signal
+        }).catch((error) => {
+            // An empty or rejected reply is not an error at this level - analyzeResponse reports it
+            if (error.response) return error.response;
+            throw error;
+        }).finally(() => flushed.release());
     }
     
     /**
      * Analyze response
+     * Decoded by framing and checksum; only messages from this cart count
      */
-    analyzeResponse(response) {
+    analyzeResponse(response, cartAddress = this.cartAddress) {
         const analysis = {
             length: response.length,
             hex: response.toString('hex').match(/.{2}/g)?.join(' ') || '',
             bytes: Array.from(response),
             isACK: false,
             isNACK: false,
+            isBusy: false,
+            isChecksumError: false,
             hasData: false
         };
         
@@ -618,12 +832,20 @@ class FlexiCartStateIntegration {
             return analysis;
         }
         
-        const firstByte = response[0];
+        const messages = decodeFlexiCartResponse(response).messages
+            .filter(m => matchesUnitAddress(m, cartAddress));
+        const first = messages[0];
         
-        if (firstByte === 0x04) {
+        if (!first) {
+            analysis.hasData = true;    // Unframed bytes - leave it to the parsers
+        } else if (first.type === 'ACK') {
             analysis.isACK = true;
-        } else if (firstByte === 0x05) {
+        } else if (first.type === 'NAK') {
             analysis.isNACK = true;
+        } else if (first.type === 'BUSY') {
+            analysis.isBusy = true;
+        } else if (first.type === 'CHECKSUM_ERROR') {
+            analysis.isChecksumError = true;
         } else {
             analysis.hasData = true;
         }
@@ -640,6 +862,17 @@ class FlexiCartStateIntegration {
     }
 }
 
+/**
+ * The connected integration of a cart, for the path-based status functions
+ * @param {string} port - Device address
+ * @param {number} cartAddress - UA2 bit of the cart on the line
+ * @returns {FlexiCartStateIntegration|null}
+ */
+function findConnectedCart(port, cartAddress = 0x01) {
+    return connectedCarts.get(cartKey(port, cartAddress)) || null;
+}
+
 module.exports = {
-    FlexiCartStateIntegration
+    FlexiCartStateIntegration,
+    findConnectedCart
 };
@@ -3,8 +3,83 @@
  * Handles parsing and interpretation of Flexicart device responses
  */
 
+const { decodeFlexiCartResponse } = require('./flexicart_frame_decoder');
+const { FLEXICART_ERROR_CODES, describeFlexicartError, getErrorStorage, getHighestSeverity } = require('./flexicart_error_catalog');
+const { decodeBinNumber, getCommandName, getCassetteBinIndex, ELEVATOR_BIN } = require('./flexicart_command_catalog');
+const { findSonyReturn, describeSonyStatus } = require('./flexicart_sony_9pin');
+
+const CART_STATUS_RETURN_CMD = 0x71;
+const CONSOLE_STATUS_RETURN_CMD = 0x71;     // Same CMD, BT 01H
+const SONY_STATUS_DATA_RETURN = 0x20;       // 7X 20 STATUS DATA
+const BIN_STATUS_RETURN_CMD = 0x72;
+const ERROR_REPORT_RETURN_CMD = 0x7F;
+const NORMAL_END = 0x00;
+const NOT_EXECUTED = 0xFF;      // CSTS1/CSTS2 bytes when no Macro No. / Turn On No. was executed
+
+const hex = (byte) => byte.toString(16).toUpperCase().padStart(2, '0');
+const fromBcd = (byte) => (byte >> 4) * 10 + (byte & 0x0F);
+
+/**
+ * Bytes of each CSTS in a Cart Status Return (Cart Status MAP, protocol 8-1-2)
+ * CSTS7 is reserved with no size given - a cart that sets its bit cannot be
+ * decoded past it
+ */
+const CART_STATUS_WIDTHS = [2, 3, 3, 3, 1, 2, 2, null, 1, 1, 2, 1, 2, 6, 4, 1];
+
+/**
+ * CSTS0 (Failure Status) bits, first and second byte
+ */
+const FAILURE_STATUS_FLAGS = {
+    TEST: 0x40,                 // Byte 1: cart is in TEST mode
+    REF_MISSING: 0x10,          // Byte 1: reference signal missing
+    LTC_MISSING: 0x08,          // Byte 1: LTC missing
+    POWER_DOWN: 0x08            // Byte 2: set after power on or reset, cleared once sensed
+};
+
+/**
+ * BIN STATUS MAP (BSTS0) bits of a BIN Status Return (72H)
+ */
+const BIN_STATUS_FLAGS = {
+    CASSETTE_IN_BIN: 0x01,
+    BARCODE_READ_ERROR: 0x02,
+    BARCODE_READ: 0x04
+};
+
+/**
+ * Operation types of the macros that move the mechanism
+ */
+const MOTION_OPERATION_TYPES = ['elevator_move', 'cassette_move', 'carousel_rotate', 'initialize', 'calibrate'];
+
+/**
+ * CSTS4 (Changed CC Status) bits
+ */
+const CONSOLE_STATUS_FLAGS = {
+    ERROR: 0x10,                // Console 1 holds error information (sense with 73H)
+    CHANGED: 0x01               // Console 1 status changed
+};
+
+/**
+ * CCS0 (Cassette Console Status MAP, Cassette Console Status Return 71H) bits
+ * The manual's map also names bit 1 Initializing in its first row; the door
+ * row is the one decoded here
+ */
+const CASSETTE_CONSOLE_FLAGS = {
+    DOOR_OPENING: 0x02,         // Set during the action for door opening
+    DOOR_OPEN: 0x01
+};
+
+/**
+ * Macro end information reporting the door open (before / during execution)
+ * and a cancelled macro (emergency stop) - Appendix-1
+ */
+const DOOR_OPEN_END_INFO = [0x58, 0x38];
+const CANCELLED_END_INFO = [0xFF, 0xFE];
+
 /**
  * Parse Flexicart status response
+ * A Cart Status Return is decoded CSTS by CSTS (statusReturn) and mapped onto
+ * the FlexiCartSystemStatus sections it carries (system); other replies are
+ * classified by type
  * @param {Buffer} response - Raw response buffer
  * @returns {Object} Parsed status information
  */
@@ -38,43 +113,34 @@ function parseFlexicartStatus(response) {
         }
     }
 
-    // Standard Flexicart status parsing
-    if (response.length >= 1) {
+    const statusReturn = decodeStatusReturn(response);
+
+    if (statusReturn) {
+        status.statusCode = CART_STATUS_RETURN_CMD;
+        status.statusText = describeStatusReturn(statusReturn);
+        status.errorCount = countStatusErrors(statusReturn);
+        status.ready = status.statusText === 'READY';
+        status.statusReturn = statusReturn;
+        status.system = statusReturnToSystemStatus(statusReturn);
+        return status;
+    }
+
+    // Standalone reply (ACK/NAK/BUSY), another frame or unframed bytes
+    const [reply] = decodeFlexiCartResponse(response).messages;
+    if (reply && reply.type === 'FRAME') {
+        status.statusCode = reply.cmd;
+        status.statusText = 'DATA_RESPONSE';
+    } else if (reply && reply.type === 'CHECKSUM_ERROR') {
+        status.statusText = 'CHECKSUM_ERROR';
+        status.errorCount = 1;
+    } else if (reply) {
+        status.statusCode = reply.byte;
+        status.statusText = FLEXICART_STATUS_CODES[reply.byte];
+        status.ready = reply.type === 'ACK';
+        status.errorCount = reply.type === 'NAK' ? 1 : 0;
+    } else {
         status.statusCode = response[0];
-        status.statusText = FLEXICART_STATUS_CODES[response[0]] || `STATUS_${response[0].toString(16).toUpperCase()}`;
-        
-        // Map common status codes
-        switch (response[0]) {
-            case 0x00:
-                status.statusText = 'IDLE';
-                status.ready = true;
-                break;
-            case 0x01:
-                status.statusText = 'MOVING';
-                status.moving = true;
-                break;
-            case 0x02:
-                status.statusText = 'BUSY';
-                status.moving = true;
-                break;
-            case 0x04:
-                status.statusText = 'READY';
-                status.ready = true;
-                break;
-            case 0x06:
-                status.statusText = 'ACK';
-                status.ready = true;
-                break;
-            case 0x15:
-                status.statusText = 'NAK';
-                status.errorCount = 1;
-                break;
-            case 0x03:
-            case 0xFF:
-                status.statusText = 'ERROR';
-                status.errorCount = 1;
-                break;
-        }
+        status.statusText = 'UNRECOGNIZED';
     }
 
     return status;
@@ -139,72 +205,554 @@ function parseSonyFlexicartStatus(response) {
 }
 
 /**
- * Parse Flexicart position response (placeholder)
+ * Catalog entries for the abnormal end information a Cart Status Return reports
+ * (CSTS1 end information other than 00H normal end)
+ * @param {Object} status - decodeStatusReturn() result
+ * @returns {Array<Object>} describeFlexicartError() entries, with the Macro No.
  */
-function parseFlexicartPosition(response) {
-    return {
-        current: 0,
-        target: 0,
-        moving: false,
+function getStatusErrors(status) {
+    const end = status && status.macroEnd;
+    if (!end || end.endInfo === NORMAL_END) return [];
+    return [{ ...describeFlexicartError(end.endInfo), macroNo: end.macroNo }];
+}
+
+/**
+ * Parse the error conditions of a Cart Status Return
+ * End information is reported once per macro (CSTS1), so a report lists the
+ * abnormal ends since the last sense, not a log; console errors (CSTS4) are
+ * detailed by 73H and data stream errors (CSTS15) by 6FH
+ * @param {Buffer} response - Raw response buffer
+ * @returns {Object} { valid, count, errors, mechanical, system, highestSeverity, consoleError, errorReport, raw }
+ *   each error is a describeFlexicartError() entry; mechanical/system split
+ *   them the way FlexiCartSystemStatus.errors stores them
+ */
+function parseFlexicartErrors(response) {
+    const result = {
+        valid: false,
+        count: 0,
+        errors: [],
+        mechanical: [],
+        system: [],
+        highestSeverity: null,
+        consoleError: null,
+        errorReport: null,
         raw: response ? response.toString('hex') : ''
     };
+
+    const status = decodeStatusReturn(response);
+    if (!status) return result;
+
+    result.valid = true;
+    result.errors = getStatusErrors(status);
+    result.count = result.errors.length;
+    for (const error of result.errors) {
+        result[getErrorStorage(error)].push(error);
+    }
+    result.highestSeverity = getHighestSeverity(result.errors);
+    result.consoleError = status.consoleStatus ? status.consoleStatus.error : null;
+    result.errorReport = status.errorReport;
+    return result;
 }
 
 /**
- * Parse Flexicart inventory response (placeholder)
+ * Parse the Error Report Return (7FH) to 6FH SENSE ERROR REPORT
+ * Data: the BT and command block of the command behind the data stream error
+ * (CSTS15), or FFH when there was none. Sensing it clears CSTS15
+ * @param {Buffer} response - Reply bytes
+ * @returns {Object|null} { reported, bt, cmd, block, commandName }, null when
+ *   the reply is no Error Report Return
  */
-function parseFlexicartInventory(response) {
+function parseFlexicartErrorReport(response) {
+    if (!response || response.length === 0) return null;
+
+    const frame = decodeFlexiCartResponse(response).messages
+        .find(m => m.type === 'FRAME' && m.cmd === ERROR_REPORT_RETURN_CMD && m.payload.length > 0);
+    if (!frame) return null;
+
+    const [bt, cmd, ...block] = frame.payload;
+    if (bt === NOT_EXECUTED && cmd === undefined) {
+        return { reported: false, bt: null, cmd: null, block: [], commandName: null };
+    }
     return {
-        total: 0,
-        occupied: [],
-        empty: [],
-        raw: response ? response.toString('hex') : ''
+        reported: true,
+        bt,
+        cmd: cmd === undefined ? null : cmd,
+        block,
+        commandName: cmd === undefined ? null : getCommandName(cmd, block.length > 0 ? block[0] : 0x00, bt)
     };
 }
 
 /**
- * Parse Flexicart move response (placeholder)
+ * Outcome of a macro from its immediate reply or a later Cart Status Return
+ * ACK = accepted and running; CSTS1 reporting the macro's Macro No. means it
+ * has ended, with its end information
+ * @param {number|null} macroNo - Macro No. the macro was sent with (null: none)
  */
-function parseFlexicartMoveResponse(response) {
+function parseMacroReply(response, macroNo) {
+    const reply = {
+        accepted: false,
+        completed: false,
+        endInfo: null,
+        error: null,
+        status: null
+    };
+
+    if (!response || response.length === 0) {
+        reply.error = 'No response';
+        return reply;
+    }
+
+    const status = decodeStatusReturn(response);
+    if (status) {
+        reply.status = status;
+        const end = status.macroEnd;
+        reply.completed = reply.accepted = !!end && end.macroNo === macroNo;
+        if (reply.completed) {
+            reply.endInfo = end.endInfo;
+            if (end.endInfo !== NORMAL_END) {
+                reply.error = `Macro ended with end information ${hex(end.endInfo)}H`;
+            }
+        }
+        return reply;
+    }
+
+    const [message] = decodeFlexiCartResponse(response).messages;
+    reply.accepted = !!message && message.type === 'ACK';
+    if (!reply.accepted) {
+        reply.error = message ? `Expected ACK, received ${message.type}` : 'Unrecognized response';
+    }
+    return reply;
+}
+
+/**
+ * Parse Flexicart move response (10H CASSETTE MOVE / 14H ELEVATOR MOVE)
+ * The immediate reply is ACK/NAK/BUSY; a Cart Status Return polled afterwards
+ * reports the end information once the move has finished
+ * @param {Buffer} response - ACK/NAK/BUSY or Cart Status Return
+ * @param {number|null} macroNo - Macro No. the move was sent with
+ * @returns {Object} { success, accepted, moving, completed, endInfo, error, raw }
+ */
+function parseFlexicartMoveResponse(response, macroNo = null) {
+    const reply = parseMacroReply(response, macroNo);
+
     return {
-        success: true,
-        moving: false,
-        position: 0,
+        success: reply.error === null,
+        accepted: reply.accepted,
+        moving: reply.accepted && !reply.completed,
+        completed: reply.completed,
+        endInfo: reply.endInfo,
+        error: reply.error,
         raw: response ? response.toString('hex') : ''
     };
 }
 
 /**
- * Parse Flexicart calibration response (placeholder)
+ * Parse Flexicart calibration response (0x47 CALIBRATE)
+ * Progress is 0 once accepted and 100 when the end information is reported
+ * @param {Buffer} response - ACK/NAK/BUSY or Cart Status Return
+ * @param {number|null} macroNo - Macro No. it was sent with (0x47 carries none)
+ * @returns {Object} { success, accepted, completed, calibrated, progress, endInfo, error, raw }
  */
-function parseFlexicartCalibrationResponse(response) {
+function parseFlexicartCalibrationResponse(response, macroNo = null) {
+    const reply = parseMacroReply(response, macroNo);
+
     return {
-        success: true,
-        completed: false,
-        progress: 0,
+        success: reply.error === null,
+        accepted: reply.accepted,
+        completed: reply.completed,
+        calibrated: reply.completed ? reply.endInfo === NORMAL_END : null,
+        progress: reply.completed ? 100 : 0,
+        endInfo: reply.endInfo,
+        error: reply.error,
         raw: response ? response.toString('hex') : ''
     };
 }
 
-// Status code mappings
+/**
+ * Parse the reply to 62H SENSE BIN STATUS / 72H BIN STATUS RETURN
+ * ACK means the bin is empty; a BIN Status Return carries C.C, BSTS0 and the
+ * barcode (ASCII) when BSTS0 says it was read. The reply does not repeat the
+ * BIN No., so the bin that was sensed is passed in
+ * @param {Buffer} response - Reply bytes
+ * @param {number} bin - Cassette bin sensed (CassetteBinOccupancy numbering)
+ * @returns {Object|null} { binNumber, occupied, barcodeReadError, cassette? } as
+ *   CassetteBinOccupancy.updateFromInventoryResponse takes it; null for any other reply
+ */
+function parseFlexicartBinStatus(response, bin) {
+    if (!response || response.length === 0) return null;
+
+    const [message] = decodeFlexiCartResponse(response).messages;
+    if (message && message.type === 'ACK') {
+        return { binNumber: bin, occupied: false, barcodeReadError: false };
+    }
+    if (!message || message.type !== 'FRAME' || message.cmd !== BIN_STATUS_RETURN_CMD || message.payload.length < 2) {
+        return null;
+    }
+
+    const status = message.payload[1];
+    const entry = {
+        binNumber: bin,
+        occupied: (status & BIN_STATUS_FLAGS.CASSETTE_IN_BIN) !== 0,
+        barcodeReadError: (status & BIN_STATUS_FLAGS.BARCODE_READ_ERROR) !== 0
+    };
+    const barcode = message.payload.subarray(2).toString('ascii').trim();
+    if (entry.occupied && (status & BIN_STATUS_FLAGS.BARCODE_READ) && barcode) {
+        entry.cassette = { barcode, scannedBarcode: barcode, barcodeValid: true };
+    }
+    return entry;
+}
+
+/**
+ * Elevator position from a motion macro's operation
+ * The Cart Status MAP reports no position, so it is known from where moves
+ * end: ELEVATOR_MOVE at its destination, CASSETTE_MOVE at its destination or,
+ * when the cassette went into the elevator, at its source. Any other motion,
+ * a move to a VTR or a macro that did not complete leaves it unknown (0)
+ * @param {Object} operation - FlexiCartOperations entry { id, type, status, steps, details }
+ * @returns {Object|null} { current, target, moving, command, operationId } - bins
+ *   1..MAX_BIN_INDEX, 0 when unknown; null when the macro has not moved the
+ *   elevator (not a motion, or never accepted by the cart)
+ */
+function parseFlexicartPosition(operation) {
+    if (!operation || !MOTION_OPERATION_TYPES.includes(operation.type)) return null;
+    if (!(operation.steps || []).some(step => step.name === 'accepted')) return null;
+
+    const { command, source, destination } = operation.details || {};
+    const endsAt = command === 'ELEVATOR_MOVE' || command === 'CASSETTE_MOVE' ?
+        (destination === ELEVATOR_BIN ? source : destination) : null;
+    const target = (endsAt && getCassetteBinIndex(endsAt)) || 0;
+    const moving = operation.status === 'pending' || operation.status === 'in_progress';
+
+    return {
+        current: operation.status === 'completed' ? target : 0,
+        target,
+        moving,
+        command: command || null,
+        operationId: operation.id || null
+    };
+}
+
+/**
+ * Inventory from the replies of the bins sensed with 62H / 72H
+ * @param {Array<Object>} replies - { bin, response } per bin sensed
+ * @returns {Object} { bins, occupied, empty, unread, total } - bins are
+ *   parseFlexicartBinStatus() entries, unread the bins whose reply could not be read
+ */
+function parseFlexicartInventory(replies) {
+    const inventory = { bins: [], occupied: [], empty: [], unread: [], total: 0 };
+
+    for (const { bin, response } of replies) {
+        const entry = parseFlexicartBinStatus(response, bin);
+        if (!entry) {
+            inventory.unread.push(bin);
+            continue;
+        }
+        inventory.bins.push(entry);
+        inventory[entry.occupied ? 'occupied' : 'empty'].push(bin);
+    }
+
+    inventory.total = inventory.bins.length + inventory.unread.length;
+    return inventory;
+}
+
+/**
+ * Data bytes of the first Cart Status Return frame (CMD 0x71) in a reply
+ * @returns {Buffer|null} null when there is none
+ */
+function findStatusReturnPayload(response) {
+    if (!response || response.length === 0) return null;
+
+    const frame = decodeFlexiCartResponse(response).messages
+        .find(m => m.type === 'FRAME' && m.bt === 0x00 && m.cmd === CART_STATUS_RETURN_CMD && m.payload.length > 0);
+    return frame ? frame.payload : null;
+}
+
+/**
+ * Decode a Cassette Console Status Return (BT 01H, 71H)
+ * Data: C.C Select, BIT MAP, then the CCS it selects - only CCS0 is defined
+ * @param {Buffer} response - Reply bytes
+ * @returns {Object|null} { doorOpen, doorOpening }, null when the reply holds no CCS0
+ */
+function decodeConsoleStatusReturn(response) {
+    if (!response || response.length === 0) return null;
+
+    const frame = decodeFlexiCartResponse(response).messages
+        .find(m => m.type === 'FRAME' && m.bt === 0x01 && m.cmd === CONSOLE_STATUS_RETURN_CMD);
+    if (!frame || frame.payload.length < 3 || (frame.payload[1] & 0x01) === 0) return null;
+
+    const ccs0 = frame.payload[2];
+    return {
+        doorOpen: (ccs0 & CASSETTE_CONSOLE_FLAGS.DOOR_OPEN) !== 0,
+        doorOpening: (ccs0 & CASSETTE_CONSOLE_FLAGS.DOOR_OPENING) !== 0
+    };
+}
+
+/**
+ * Decode the player sense: the deck's STATUS DATA return (7X 20, Sony 9-pin)
+ * A cassette is loaded unless CASSETTE OUT is set; the deck is playing in
+ * PLAY, but not while it shuttles, jogs or runs VAR from there
+ * @param {Buffer} response - Reply bytes
+ * @returns {Object|null} { cartLoaded, playing }, null when the reply holds no STATUS DATA
+ */
+function decodePlayerSense(response) {
+    const statusReturn = response && response.length > 0 ? findSonyReturn(response, SONY_STATUS_DATA_RETURN) : null;
+    if (!statusReturn || statusReturn.data.length < 3) return null;
+
+    const flags = describeSonyStatus(statusReturn.data);
+    const has = (flag) => flags.includes(flag);
+    const cartLoaded = !has('CASSETTE_OUT');
+    return {
+        cartLoaded,
+        playing: cartLoaded && has('PLAY') && !has('SHUTTLE') && !has('JOG') && !has('VAR')
+    };
+}
+
+/**
+ * Elevator and carousel motion of a motion macro
+ * The Cart Status MAP has no motion flags: a macro the cart accepted moves
+ * the mechanism until it settles. ELEVATOR UP/DOWN and CAROUSEL CW/CCW name
+ * their direction; an ELEVATOR/CASSETTE MOVE goes up to a higher bin and down
+ * to a lower one when both ends are known (bins are numbered from the bottom
+ * level), and its carousel direction is not known
+ * @param {Object} operation - FlexiCartOperations entry
+ * @param {number} from - Bin the elevator is at (1..MAX_BIN_INDEX), 0 when unknown
+ * @returns {Object|null} { elevator, carousel } with moving (and direction when
+ *   known) each; null for a macro that does not move the mechanism
+ */
+function parseFlexicartMotion(operation, from = 0) {
+    const position = parseFlexicartPosition(operation);
+    if (!position && !(operation && MOTION_OPERATION_TYPES.includes(operation.type))) return null;
+
+    const stopped = { moving: false, direction: 'stopped' };
+    if (!position || !position.moving) return { elevator: { ...stopped }, carousel: { ...stopped } };
+
+    switch (position.command) {
+        case 'ELEVATOR_UP':
+        case 'ELEVATOR_DOWN':
+            return {
+                elevator: { moving: true, direction: position.command === 'ELEVATOR_UP' ? 'up' : 'down' },
+                carousel: { ...stopped }
+            };
+        case 'CAROUSEL_CW':
+        case 'CAROUSEL_CCW':
+            return {
+                elevator: { ...stopped },
+                carousel: { moving: true, direction: position.command === 'CAROUSEL_CW' ? 'cw' : 'ccw' }
+            };
+        default: {
+            const elevator = { moving: true };
+            if (from && position.target && from !== position.target) elevator.direction = position.target > from ? 'up' : 'down';
+            return { elevator, carousel: { moving: true } };
+        }
+    }
+}
+
+/**
+ * VTRs whose bit is set in a V.C 01 + VTR bit map pair (bit 0 = VTR1)
+ */
+const vtrBits = ([, bits]) => [1, 2, 3, 4, 5, 6].filter(vtr => (bits & (1 << (vtr - 1))) !== 0);
+
+/**
+ * Macro/Turn On end report (CSTS1, CSTS2): null when nothing was executed
+ */
+function decodeEndReport([number, endInfo, remaining]) {
+    if (number === NOT_EXECUTED && endInfo === NOT_EXECUTED && remaining === NOT_EXECUTED) return null;
+    return { number: number === NOT_EXECUTED ? null : fromBcd(number), endInfo, remaining };
+}
+
+/**
+ * Decode one CSTS
+ * @param {number} index - CSTS number
+ * @param {Buffer} bytes - Its bytes
+ * @returns {Array} [field name, value]
+ */
+function decodeCartStatus(index, bytes) {
+    switch (index) {
+        case 0:
+            return ['failure', {
+                test: (bytes[0] & FAILURE_STATUS_FLAGS.TEST) !== 0,
+                refMissing: (bytes[0] & FAILURE_STATUS_FLAGS.REF_MISSING) !== 0,
+                ltcMissing: (bytes[0] & FAILURE_STATUS_FLAGS.LTC_MISSING) !== 0,
+                powerDown: (bytes[1] & FAILURE_STATUS_FLAGS.POWER_DOWN) !== 0
+            }];
+        case 1: {
+            const end = decodeEndReport(bytes);
+            return ['macroEnd', end && { macroNo: end.number, endInfo: end.endInfo, remaining: end.remaining }];
+        }
+        case 2: {
+            const end = decodeEndReport(bytes);
+            return ['turnOnEnd', end && { turnOnNo: end.number, endInfo: end.endInfo, remaining: end.remaining }];
+        }
+        case 3: {
+            const bin = decodeBinNumber(bytes[1], bytes[2]);
+            return ['changedBin', bin === 0 ? null : bin];
+        }
+        case 4:
+            return ['consoleStatus', {
+                error: (bytes[0] & CONSOLE_STATUS_FLAGS.ERROR) !== 0,
+                changed: (bytes[0] & CONSOLE_STATUS_FLAGS.CHANGED) !== 0
+            }];
+        case 5:
+            return ['changedVtrs', vtrBits(bytes)];
+        case 6:
+            return ['ubBlockCountVtrs', vtrBits(bytes)];
+        case 8:
+            return ['systemModeChanged', bytes[0]];
+        case 11:
+            return ['switcherChanged', bytes[0]];
+        case 12:
+            return ['expandedVtrs', vtrBits(bytes)];
+        case 13:
+            return ['turnOnEndExtended', Array.from(bytes)];
+        case 14:
+            return ['extInput', Array.from(bytes)];
+        case 15:
+            return ['errorReport', bytes[0] === 0x01];
+        default:
+            return [null, null];    // Reserved
+    }
+}
+
+/**
+ * Decode a Cart Status Return (71H)
+ * Data: BIT MAP 1, the CSTS0-7 it selects, then optionally BIT MAP 2 and the
+ * CSTS8-15 it selects. Each CSTS that was not requested decodes as null
+ * @param {Buffer} response - Reply bytes
+ * @returns {Object|null} Decoded status, null when the reply holds no complete Cart Status Return
+ */
+function decodeStatusReturn(response) {
+    const payload = findStatusReturnPayload(response);
+    if (!payload) return null;
+
+    const status = {
+        bitmap1: payload[0],
+        bitmap2: null,
+        failure: null,
+        macroEnd: null,
+        turnOnEnd: null,
+        changedBin: null,
+        consoleStatus: null,
+        changedVtrs: null,
+        ubBlockCountVtrs: null,
+        systemModeChanged: null,
+        switcherChanged: null,
+        expandedVtrs: null,
+        turnOnEndExtended: null,
+        extInput: null,
+        errorReport: null
+    };
+
+    let offset = 0;
+    for (let map = 0; map < 2 && offset < payload.length; map++) {
+        const bitmap = payload[offset++];
+        if (map === 1) status.bitmap2 = bitmap;
+
+        for (let bit = 0; bit < 8; bit++) {
+            if ((bitmap & (1 << bit)) === 0) continue;
+
+            const index = map * 8 + bit;
+            const width = CART_STATUS_WIDTHS[index];
+            if (width === null) return status;      // Reserved CSTS of unknown size - stop here
+            if (offset + width > payload.length) return null;
+
+            const [field, value] = decodeCartStatus(index, payload.subarray(offset, offset + width));
+            if (field) status[field] = value;
+            offset += width;
+        }
+    }
+
+    return status;
+}
+
+/**
+ * Errors a decoded Cart Status Return indicates
+ */
+function countStatusErrors(status) {
+    const failure = status.failure || {};
+    return getStatusErrors(status).length +
+        (failure.refMissing ? 1 : 0) +
+        (failure.ltcMissing ? 1 : 0) +
+        (status.consoleStatus && status.consoleStatus.error ? 1 : 0) +
+        (status.errorReport ? 1 : 0);
+}
+
+/**
+ * One-word summary of a decoded Cart Status Return, most severe condition first
+ */
+function describeStatusReturn(status) {
+    const failure = status.failure || {};
+    if (failure.test) return 'TEST_MODE';
+    if (failure.powerDown) return 'POWERED_UP';
+    if (countStatusErrors(status) > 0) return 'ERROR';
+    return 'READY';
+}
+
+/**
+ * Map a decoded Cart Status Return and the other senses onto the
+ * FlexiCartSystemStatus sections; only what was sensed is set, so merging
+ * the result keeps the rest:
+ * - TEST mode is maintenance mode, and Power Down (power on or reset since
+ *   the last sense) means the elevator has to be initialized again
+ * - a macro ended by a cancel (FFH/FEH) reports an emergency stop, one ended
+ *   by the door (58H/38H) an open door
+ * - the console status (CCS0) reports the door either way, open or opening
+ *   counting as open
+ * - the player sense reports whether the player holds a cassette and plays
+ * The cart reports no tally or motion flags - see FlexiCartStateIntegration
+ * @param {Object|null} status - decodeStatusReturn() result, null when only the senses were read
+ * @param {Object} sense - { console: decodeConsoleStatusReturn(), player: decodePlayerSense() }
+ * @returns {Object} { hardware, player }
+ */
+function statusReturnToSystemStatus(status, sense = {}) {
+    const hardware = { powerOn: true };     // Only a powered controller answers
+    const system = { hardware };
+
+    if (status && status.failure) {
+        hardware.maintenanceMode = status.failure.test;
+        if (status.failure.powerDown) hardware.initialized = false;
+    }
+    if (status && status.macroEnd) {
+        if (CANCELLED_END_INFO.includes(status.macroEnd.endInfo)) hardware.emergencyStop = true;
+        if (DOOR_OPEN_END_INFO.includes(status.macroEnd.endInfo)) hardware.doorOpen = true;
+    }
+    if (sense.console) {
+        hardware.doorOpen = sense.console.doorOpen || sense.console.doorOpening;
+    }
+    if (sense.player) {
+        system.player = { cartLoaded: sense.player.cartLoaded, playing: sense.player.playing };
+    }
+    return system;
+}
+
+// Standalone reply bytes
 const FLEXICART_STATUS_CODES = {
-    0x00: 'IDLE',
-    0x01: 'MOVING',
-    0x02: 'BUSY', 
-    0x03: 'ERROR',
-    0x04: 'READY',
-    0x05: 'CALIBRATING',
-    0x06: 'ACK',
-    0x15: 'NAK',
-    0xFF: 'UNKNOWN'
+    0x04: 'ACK',
+    0x05: 'NAK',
+    0x06: 'BUSY'
 };
 
 module.exports = {
     parseFlexicartStatus,
     parseSonyFlexicartStatus,
     parseFlexicartPosition,
+    parseFlexicartMotion,
     parseFlexicartInventory,
+    parseFlexicartErrors,
     parseFlexicartMoveResponse,
     parseFlexicartCalibrationResponse,
-    FLEXICART_STATUS_CODES
+    parseFlexicartBinStatus,
+    parseFlexicartErrorReport,
+    decodeStatusReturn,
+    decodeConsoleStatusReturn,
+    decodePlayerSense,
+    statusReturnToSystemStatus,
+    getStatusErrors,
+    FLEXICART_STATUS_CODES,
+    FLEXICART_ERROR_CODES,
+    CART_STATUS_WIDTHS,
+    FAILURE_STATUS_FLAGS,
+    CONSOLE_STATUS_FLAGS,
+    CASSETTE_CONSOLE_FLAGS,
+    BIN_STATUS_FLAGS,
+    MOTION_OPERATION_TYPES
 };
\ No newline at end of file
@@ -0,0 +1,329 @@
+/**
+ * FlexiCart Transport Layer
+ * Byte-stream backends the connection manager can drive:
+ *   - serial:  local RocketPort / tty device        (/dev/ttyRP0)
+ *   - tcp:     raw socket to a serial-over-IP server (tcp://10.0.0.20:4001)
+ *   - memory:  in-process duplex pair for tests      (memory://cart1)
+ *
+ * Every transport is an EventEmitter with open(), write(buffer), close(),
+ * an isOpen getter and 'data' / 'error' / 'close' events.
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const { SerialPort } = require('serialport');
+const { FlexicartError } = require('./flexicart_errors');
+const { DEFAULT_LINE_SETTINGS } = require('./device_config');
+
+/**
+ * Local serial port transport
+ */
+class SerialTransport extends EventEmitter {
+    constructor(path, settings = {}) {
+        super();
+        this.type = 'serial';
+        this.path = path;
+        this.settings = { ...DEFAULT_LINE_SETTINGS, ...settings };
+        this.port = null;
+    }
+
+    get isOpen() {
+        return !!(this.port && this.port.isOpen);
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            this.port = new SerialPort({
+                path: this.path,
+                baudRate: this.settings.baudRate,
+                dataBits: this.settings.dataBits,
+                parity: this.settings.parity,
+                stopBits: this.settings.stopBits,
+                autoOpen: false,
+                lock: false
+            });
+
+            this.port.on('data', (data) => this.emit('data', data));
+            this.port.on('error', (err) => this.emit('error', err));
+            this.port.on('close', (err) => this.emit('close', err || null));
+
+            this.port.open((err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    write(buffer) {
+        return new Promise((resolve, reject) => {
+            if (!this.isOpen) {
+                reject(new Error(`Port not open: ${this.path}`));
+                return;
+            }
+            this.port.write(buffer, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    close() {
+        return new Promise((resolve) => {
+            const port = this.port;
+            if (!port || !port.isOpen) {
+                resolve();
+                return;
+            }
+            port.close(() => resolve());
+        });
+    }
+
+    describe() {
+        const s = this.settings;
+        return `${this.path} (${s.baudRate} baud, ${s.dataBits}${String(s.parity)[0].toUpperCase()}${s.stopBits})`;
+    }
+}
+
+/**
+ * Raw TCP transport for serial-over-IP device servers
+ * Line settings (baud/parity) are configured on the device server itself
+ */
+class TcpTransport extends EventEmitter {
+    constructor(host, port, settings = {}) {
+        super();
+        this.type = 'tcp';
+        this.host = host;
+        this.port = port;
+        this.settings = settings;
+        this.socket = null;
+        this.connected = false;
+    }
+
+    get isOpen() {
+        return this.connected;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            let settled = false;
+
+            socket.setNoDelay(true);
+            socket.setKeepAlive(true, this.settings.keepAliveMs || 10000);
+
+            socket.once('connect', () => {
+                settled = true;
+                this.connected = true;
+                resolve();
+            });
+
+            socket.on('data', (data) => this.emit('data', data));
+
+            socket.on('error', (err) => {
+                if (!settled) {
+                    settled = true;
+                    reject(err);
+                } else {
+                    this.emit('error', err);
+                }
+            });
+
+            socket.on('close', () => {
+                const wasConnected = this.connected;
+                this.connected = false;
+                if (wasConnected) this.emit('close', null);
+            });
+
+            this.socket = socket;
+        });
+    }
+
+    write(buffer) {
+        return new Promise((resolve, reject) => {
+            if (!this.connected) {
+                reject(new Error(`Socket not connected: ${this.describe()}`));
+                return;
+            }
+            this.socket.write(buffer, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    close() {
+        return new Promise((resolve) => {
+            const socket = this.socket;
+            this.connected = false;
+            if (!socket || socket.destroyed) {
+                resolve();
+                return;
+            }
+            socket.end(() => {
+                socket.destroy();
+                resolve();
+            });
+            // Peer may never acknowledge the FIN
+            setTimeout(() => {
+                socket.destroy();
+                resolve();
+            }, 500).unref();
+        });
+    }
+
+    describe() {
+        return `tcp://${this.host}:${this.port}`;
+    }
+}
+
+/**
+ * One end of an in-memory duplex pair
+ * Bytes written to one end are delivered asynchronously to the other
+ */
+class MemoryTransport extends EventEmitter {
+    constructor(name = 'memory') {
+        super();
+        this.type = 'memory';
+        this.name = name;
+        this.peer = null;
+        this.opened = false;
+    }
+
+    get isOpen() {
+        return this.opened;
+    }
+
+    open() {
+        this.opened = true;
+        return Promise.resolve();
+    }
+
+    write(buffer) {
+        if (!this.opened) {
+            return Promise.reject(new Error(`Memory transport not open: ${this.name}`));
+        }
+        const peer = this.peer;
+        const data = Buffer.from(buffer);
+        setImmediate(() => {
+            if (peer && peer.opened) peer.emit('data', data);
+        });
+        return Promise.resolve();
+    }
+
+    close() {
+        if (!this.opened) return Promise.resolve();
+        this.opened = false;
+        const peer = this.peer;
+        setImmediate(() => {
+            this.emit('close', null);
+            if (peer && peer.opened) {
+                peer.opened = false;
+                peer.emit('close', null);
+            }
+        });
+        return Promise.resolve();
+    }
+
+    describe() {
+        return `memory://${this.name}`;
+    }
+}
+
+/**
+ * Create a linked pair of in-memory transports
+ * @param {string} name - Label used in logs
+ * @returns {{ controller: MemoryTransport, device: MemoryTransport }}
+ */
+function createMemoryTransportPair(name = 'memory') {
+    const controller = new MemoryTransport(name);
+    const device = new MemoryTransport(`${name}:device`);
+    controller.peer = device;
+    device.peer = controller;
+    return { controller, device };
+}
+
+// memory://<name> endpoints -> handler receiving the device end of each new pair
+const memoryEndpoints = new Map();
+
+/**
+ * Register an in-memory device (simulator, test stand-in) under memory://<name>
+ * @param {string} name - Endpoint name
+ * @param {Function} onConnect - Called with the device-side transport on every open
+ */
+function registerMemoryEndpoint(name, onConnect) {
+    memoryEndpoints.set(name, onConnect);
+}
+
+function unregisterMemoryEndpoint(name) {
+    memoryEndpoints.delete(name);
+}
+
+/**
+ * Parse a device address into a transport descriptor
+ *   /dev/ttyRP0           -> { type: 'serial', path }
+ *   tcp://host:port       -> { type: 'tcp', host, port }
+ *   memory://name         -> { type: 'memory', name }
+ * @param {string} address - Device address
+ * @returns {Object} Transport descriptor
+ */
+function parseDeviceAddress(address) {
+    if (typeof address !== 'string' || address.length === 0) {
+        throw new FlexicartError(`Invalid device address: ${address}`, 'INVALID_ADDRESS', address);
+    }
+
+    const tcpMatch = address.match(/^tcp:\/\/([^:/]+):(\d+)\/?$/i);
+    if (tcpMatch) {
+        return { type: 'tcp', host: tcpMatch[1], port: parseInt(tcpMatch[2], 10) };
+    }
+
+    const memoryMatch = address.match(/^memory:\/\/(.+)$/i);
+    if (memoryMatch) {
+        return { type: 'memory', name: memoryMatch[1] };
+    }
+
+    if (/^[a-z]+:\/\//i.test(address)) {
+        throw new FlexicartError(`Unsupported transport in address: ${address}`, 'INVALID_ADDRESS', address);
+    }
+
+    return { type: 'serial', path: address };
+}
+
+/**
+ * Create a transport for a device address
+ * @param {string} address - Serial path, tcp://host:port or memory://name
+ * @param {Object} settings - Line settings (serial) / socket options (tcp)
+ * @returns {EventEmitter} Unopened transport
+ */
+function createTransport(address, settings = {}) {
+    const descriptor = parseDeviceAddress(address);
+
+    switch (descriptor.type) {
+        case 'tcp':
+            return new TcpTransport(descriptor.host, descriptor.port, settings);
+
+        case 'memory': {
+            const onConnect = memoryEndpoints.get(descriptor.name);
+            if (!onConnect) {
+                throw new FlexicartError(`No in-memory device registered at ${address}`, 'OPEN_FAILED', address);
+            }
+            const pair = createMemoryTransportPair(descriptor.name);
+            pair.device.open();
+            onConnect(pair.device);
+            return pair.controller;
+        }
+
+        default:
+            return new SerialTransport(descriptor.path, settings);
+    }
+}
+
+module.exports = {
+    SerialTransport,
+    TcpTransport,
+    MemoryTransport,
+    createMemoryTransportPair,
+    registerMemoryEndpoint,
+    unregisterMemoryEndpoint,
+    parseDeviceAddress,
+    createTransport
+};
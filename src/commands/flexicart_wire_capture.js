@@ -0,0 +1,322 @@
+/**
+ * FlexiCart Wire Capture
+ * Records every byte written to or received from a device (via the connection
+ * manager's 'traffic' events) as JSON lines: wall-clock and high-resolution
+ * timestamps, direction, device id and a decoded frame summary. Files rotate by
+ * size; see flexicart_capture_replay.js for feeding a capture back through the parsers.
+ *
+ * Record format (one JSON object per line):
+ *   { "capture": "flexicart-wire", "version": 1, "ts": ... }          - File header
+ *   { "ts", "us", "port", "device", "dir": "tx"|"rx", "hex", "unsolicited"?, "decoded": [...] }
+ *   us = microseconds since the capture started (monotonic)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { FlexicartError } = require('./flexicart_errors');
+const { connectionManager } = require('./flexicart_connection_manager');
+const { getDeviceConfig, DEFAULT_WIRE_CAPTURE } = require('./device_config');
+const { FlexiCartFrameDecoder, isFlexiCartFrame } = require('./flexicart_frame_decoder');
+const { isSingleCartAddress, formatDeviceId } = require('./flexicart_device_registry');
+
+const CAPTURE_FORMAT = 'flexicart-wire';
+const CAPTURE_VERSION = 1;
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+const hex = (byte) => byte.toString(16).toUpperCase().padStart(2, '0');
+
+/**
+ * One-line summary of a decoded message
+ * @param {Object} message - Decoder message
+ * @returns {string} e.g. "FRAME UA2=01 CMD=61 CTRL=10 DATA=80", "ACK"
+ */
+function summarizeMessage(message) {
+    switch (message.type) {
+        case 'FRAME': {
+            const parts = [`FRAME UA2=${hex(message.ua2)}`, `CMD=${hex(message.cmd)}`];
+            if (message.bt !== 0) parts.push(`BT=${hex(message.bt)}`);
+            if (message.ctrl !== null) parts.push(`CTRL=${hex(message.ctrl)}`);
+            if (message.data.length > 0) parts.push(`DATA=${message.data.toString('hex').toUpperCase()}`);
+            return parts.join(' ');
+        }
+        case 'CHECKSUM_ERROR':
+            return `CHECKSUM_ERROR ${message.hex} (CS ${hex(message.received)}, expected ${hex(message.expected)})`;
+        default:
+            return message.type;
+    }
+}
+
+/**
+ * Rotating JSON-lines capture of all device traffic
+ *
+ * Events:
+ *   'record'  (record)         - Every record written
+ *   'rotated' ({ file })       - The active file was rotated
+ *   'error'   (error)          - Write failure (capture keeps running)
+ */
+class WireCapture extends EventEmitter {
+    /**
+     * @param {Object} options - { directory, fileName, maxBytes, maxFiles } (defaults: config "wireCapture")
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_WIRE_CAPTURE, ...options };
+        this.directory = path.resolve(PROJECT_ROOT, this.options.directory);
+        this.file = path.join(this.directory, this.options.fileName);
+
+        this.manager = null;
+        this.stream = null;
+        this.closing = new Set();       // Rotated-out streams still flushing
+        this.bytesWritten = 0;
+        this.startHr = null;
+        this.decoders = new Map();      // `${port}|${dir}` -> streaming decoder
+        this.lastDevice = new Map();    // port -> device id of the last command sent
+        this.onTraffic = (event) => this.record(event);
+        this.stats = { records: 0, txBytes: 0, rxBytes: 0, rotations: 0 };
+    }
+
+    get active() {
+        return this.stream !== null;
+    }
+
+    /**
+     * Start recording traffic from a connection manager
+     */
+    start(manager = connectionManager) {
+        if (this.active) return this;
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.startHr = process.hrtime.bigint();
+        this.openFile();
+
+        this.manager = manager;
+        this.manager.on('traffic', this.onTraffic);
+        console.log(`🎙️  Wire capture started: ${this.file}`);
+        return this;
+    }
+
+    /**
+     * Stop recording and close the file
+     * @returns {Promise<void>} Resolves once everything is flushed
+     */
+    stop() {
+        if (!this.active) return Promise.resolve();
+
+        this.manager.removeListener('traffic', this.onTraffic);
+        this.manager = null;
+
+        const stream = this.stream;
+        this.stream = null;
+        this.decoders.clear();
+        console.log(`🎙️  Wire capture stopped (${this.stats.records} records)`);
+        return Promise.all([...this.closing, new Promise(resolve => stream.end(resolve))]).then(() => {});
+    }
+
+    openFile() {
+        this.bytesWritten = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+        // Opened synchronously so a burst of traffic can rotate it straight away
+        this.stream = fs.createWriteStream(this.file, { fd: fs.openSync(this.file, 'a') });
+        this.stream.on('error', (error) => this.emit('error', error));
+
+        if (this.bytesWritten === 0) {
+            this.writeLine({
+                capture: CAPTURE_FORMAT,
+                version: CAPTURE_VERSION,
+                ts: new Date().toISOString(),
+                pid: process.pid
+            });
+        }
+    }
+
+    /**
+     * Shift wire-capture.jsonl -> .1 -> .2 ... and start a fresh file
+     */
+    rotate() {
+        const old = this.stream;
+        const closed = new Promise(resolve => old.end(resolve));
+        this.closing.add(closed);
+        closed.then(() => this.closing.delete(closed));
+
+        const { maxFiles } = this.options;
+        const rotated = (n) => `${this.file}.${n}`;
+        if (fs.existsSync(rotated(maxFiles))) fs.unlinkSync(rotated(maxFiles));
+        for (let n = maxFiles - 1; n >= 1; n--) {
+            if (fs.existsSync(rotated(n))) fs.renameSync(rotated(n), rotated(n + 1));
+        }
+        fs.renameSync(this.file, rotated(1));
+
+        this.stats.rotations++;
+        this.openFile();
+        this.emit('rotated', { file: rotated(1) });
+    }
+
+    writeLine(object) {
+        const line = JSON.stringify(object) + '\n';
+        this.stream.write(line);
+        this.bytesWritten += Buffer.byteLength(line);
+    }
+
+    /**
+     * Device id for a chunk: the addressed cart for commands, the replying cart for
+     * frames; unaddressed ACK/NAK/BUSY belong to the last cart commanded on the port
+     */
+    resolveDevice(port, direction, data, messages) {
+        if (direction === 'tx') {
+            const device = isFlexiCartFrame(data) && isSingleCartAddress(data[3]) ? formatDeviceId(port, data[3]) : port;
+            this.lastDevice.set(port, device);
+            return device;
+        }
+
+        const frame = messages.find(m => m.type === 'FRAME' && isSingleCartAddress(m.ua2));
+        return frame ? formatDeviceId(port, frame.ua2) : (this.lastDevice.get(port) || port);
+    }
+
+    /**
+     * Record one 'traffic' event
+     * @param {Object} event - { path, direction: 'tx'|'rx', data, unsolicited }
+     */
+    record({ path: port, direction, data, unsolicited = false }) {
+        if (!this.active) return;
+
+        const key = `${port}|${direction}`;
+        let decoder = this.decoders.get(key);
+        if (!decoder) {
+            decoder = new FlexiCartFrameDecoder();
+            this.decoders.set(key, decoder);
+        }
+        // Each command starts a fresh reply - drop half-received bytes of the last one
+        if (direction === 'tx') {
+            const rx = this.decoders.get(`${port}|rx`);
+            if (rx) rx.reset();
+        }
+
+        const messages = decoder.push(data);
+        const record = {
+            ts: new Date().toISOString(),
+            us: Number((process.hrtime.bigint() - this.startHr) / 1000n),
+            port,
+            device: this.resolveDevice(port, direction, data, messages),
+            dir: direction,
+            hex: data.toString('hex').toUpperCase(),
+            decoded: messages.map(summarizeMessage)
+        };
+        if (unsolicited) record.unsolicited = true;
+
+        try {
+            if (this.bytesWritten >= this.options.maxBytes) this.rotate();
+            this.writeLine(record);
+        } catch (error) {
+            this.emit('error', error);
+            return;
+        }
+
+        this.stats.records++;
+        this.stats[direction === 'tx' ? 'txBytes' : 'rxBytes'] += data.length;
+        this.emit('record', record);
+    }
+
+    getStats() {
+        return { file: this.file, active: this.active, bytesWritten: this.bytesWritten, ...this.stats };
+    }
+}
+
+let activeCapture = null;
+
+/**
+ * Start the process-wide capture
+ * @param {Object} options - Overrides for the config "wireCapture" block
+ * @returns {WireCapture|null} The running capture, or null when disabled
+ */
+function startWireCapture(options = {}) {
+    const settings = { ...getDeviceConfig().wireCapture, ...options };
+    if (!settings.enabled) return null;
+
+    if (!activeCapture) activeCapture = new WireCapture(settings).start();
+    return activeCapture;
+}
+
+/**
+ * Stop the process-wide capture, if running
+ */
+async function stopWireCapture() {
+    if (!activeCapture) return;
+    const capture = activeCapture;
+    activeCapture = null;
+    await capture.stop();
+}
+
+/**
+ * Read a capture file
+ * @param {string} file - Capture file path (current or rotated)
+ * @returns {Object} { header, records, invalidLines }
+ * @throws {FlexicartError} INVALID_CAPTURE when the file cannot be read or is not a capture
+ */
+function readCaptureFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new FlexicartError(`Cannot read capture ${file}: ${error.message}`, 'INVALID_CAPTURE');
+    }
+
+    let header = null;
+    const records = [];
+    let invalidLines = 0;
+
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+
+        let object;
+        try {
+            object = JSON.parse(line);
+        } catch (error) {
+            invalidLines++;     // Typically a line cut short by a crash
+            continue;
+        }
+
+        if (object.capture === CAPTURE_FORMAT) {
+            header = header || object;
+        } else if ((object.dir === 'tx' || object.dir === 'rx') && typeof object.hex === 'string') {
+            records.push({ ...object, data: Buffer.from(object.hex, 'hex') });
+        } else {
+            invalidLines++;
+        }
+    }
+
+    if (!header && records.length === 0) {
+        throw new FlexicartError(`${file} is not a ${CAPTURE_FORMAT} capture`, 'INVALID_CAPTURE');
+    }
+
+    return { header, records, invalidLines };
+}
+
+/**
+ * Capture files for a base path, oldest first (file.N ... file.1, file)
+ * @param {string} file - Active capture file
+ * @returns {Array<string>} Existing files in chronological order
+ */
+function listCaptureFiles(file) {
+    const directory = path.dirname(file);
+    const base = path.basename(file);
+    if (!fs.existsSync(directory)) return [];
+
+    const rotated = fs.readdirSync(directory)
+        .map(name => ({ name, match: name.match(new RegExp(`^${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.(\\d+)$`)) }))
+        .filter(entry => entry.match)
+        .sort((a, b) => Number(b.match[1]) - Number(a.match[1]))
+        .map(entry => path.join(directory, entry.name));
+
+    return fs.existsSync(file) ? [...rotated, file] : rotated;
+}
+
+module.exports = {
+    WireCapture,
+    startWireCapture,
+    stopWireCapture,
+    readCaptureFile,
+    listCaptureFiles,
+    summarizeMessage,
+    CAPTURE_FORMAT,
+    CAPTURE_VERSION
+};
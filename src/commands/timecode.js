@@ -0,0 +1,305 @@
+/**
+ * SMPTE Timecode
+ * Parsing, formatting, arithmetic and frame conversions at 24, 25, 29.97
+ * drop-frame and 30 fps, plus the BCD time data of the Sony 9-pin protocol
+ * (61 0C CURRENT TIME SENSE returns and 24 31 CUE UP WITH DATA).
+ * Timecode is handled as a frame count internally; strings are 'HH:MM:SS:FF'
+ * ('HH:MM:SS;FF' for drop-frame).
+ */
+
+const { FlexicartError } = require('./flexicart_errors');
+
+/**
+ * Supported rates: fps is the frame count per timecode second, rate the real
+ * frames per second
+ */
+const FRAME_RATES = Object.freeze({
+    FPS_24: Object.freeze({ id: '24', fps: 24, rate: 24, dropFrame: false }),
+    FPS_25: Object.freeze({ id: '25', fps: 25, rate: 25, dropFrame: false }),
+    FPS_2997_DF: Object.freeze({ id: '29.97df', fps: 30, rate: 30000 / 1001, dropFrame: true }),
+    FPS_30: Object.freeze({ id: '30', fps: 30, rate: 30, dropFrame: false })
+});
+
+const FRAME_RATE_IDS = Object.values(FRAME_RATES).map(rate => rate.id);
+
+// Accepts any frame number a deck can report when the line's rate is not configured
+const DEFAULT_FRAME_RATE = FRAME_RATES.FPS_30;
+
+// Drop-frame: frame numbers 00 and 01 are skipped at the start of every minute except each tenth
+const DROPPED_PER_MINUTE = 2;
+const DF_FRAMES_PER_MINUTE = 60 * 30 - DROPPED_PER_MINUTE;                  // 1798
+const DF_FRAMES_PER_10_MINUTES = 10 * DF_FRAMES_PER_MINUTE + DROPPED_PER_MINUTE;  // 17982
+
+const TIMECODE_PATTERN = /^(\d{1,2}):(\d{2}):(\d{2})(?:([:;.,])(\d{2}))?$/;
+
+/**
+ * Sony time data returns (74 XX) by CMD-2
+ */
+const SONY_TIME_DATA_SOURCES = {
+    0x00: 'TIMER_1',
+    0x01: 'TIMER_2',
+    0x04: 'LTC',
+    0x06: 'VITC',
+    0x14: 'LTC_INTERPOLATED',
+    0x16: 'VITC_HOLD'
+};
+
+// Time data flag bits (DATA-1 BIT-7 CF, BIT-6 DF)
+const SONY_TIME_CF_FLAG = 0x80;
+const SONY_TIME_DF_FLAG = 0x40;
+
+/**
+ * Resolve a frame rate from a FRAME_RATES entry, an id ('29.97df') or a number (25, 29.97)
+ * @param {Object|string|number} rate - Frame rate
+ * @returns {Object} FRAME_RATES entry
+ */
+function getFrameRate(rate = DEFAULT_FRAME_RATE) {
+    if (rate && typeof rate === 'object' && FRAME_RATE_IDS.includes(rate.id)) return rate;
+
+    const key = String(rate).toLowerCase().replace(/\s|fps/g, '');
+    const found = Object.values(FRAME_RATES).find(entry =>
+        entry.id === key || (entry.dropFrame && ['29.97', '2997', 'df'].includes(key))
+    );
+    if (!found) {
+        throw new FlexicartError(`Unsupported frame rate "${rate}" (use ${FRAME_RATE_IDS.join(', ')})`, 'INVALID_PARAMETER');
+    }
+    return found;
+}
+
+/**
+ * Frames in 24 hours of timecode
+ */
+function framesPerDay(rate) {
+    const { fps, dropFrame } = getFrameRate(rate);
+    return dropFrame ? 24 * 6 * DF_FRAMES_PER_10_MINUTES : 24 * 3600 * fps;
+}
+
+/**
+ * Split a timecode string into its fields (syntax only, no range check)
+ * 'HH:MM:SS' is accepted as frame 00; ';' '.' or ',' before the frames marks drop-frame
+ * @param {string} text - Timecode
+ * @returns {Object} { hours, minutes, seconds, frames, dropFrame }
+ */
+function parseTimecode(text) {
+    const match = TIMECODE_PATTERN.exec(String(text).trim());
+    if (!match) throw new FlexicartError(`Invalid timecode "${text}"`, 'INVALID_PARAMETER');
+
+    return {
+        hours: parseInt(match[1], 10),
+        minutes: parseInt(match[2], 10),
+        seconds: parseInt(match[3], 10),
+        frames: match[5] ? parseInt(match[5], 10) : 0,
+        dropFrame: !!match[4] && match[4] !== ':'
+    };
+}
+
+/**
+ * Problem with timecode fields at a rate, if any
+ * @returns {string|null} Description, or null when the fields are a real timecode
+ */
+function checkFields({ hours, minutes, seconds, frames }, rate) {
+    const { fps, dropFrame } = getFrameRate(rate);
+    if (hours > 23 || minutes > 59 || seconds > 59) return 'field out of range';
+    if (frames >= fps) return `frame ${frames} does not exist at ${fps} fps`;
+    if (dropFrame && seconds === 0 && frames < DROPPED_PER_MINUTE && minutes % 10 !== 0) {
+        return `frame ${frames} is dropped at the start of minute ${minutes}`;
+    }
+    return null;
+}
+
+/**
+ * Frame count of a timecode
+ * @param {string|Object|number} timecode - String, { hours, minutes, seconds, frames } or a frame count
+ * @param {Object|string|number} rate - Frame rate
+ * @returns {number} Frames since 00:00:00:00
+ */
+function timecodeToFrames(timecode, rate = DEFAULT_FRAME_RATE) {
+    if (typeof timecode === 'number') {
+        if (!Number.isInteger(timecode)) throw new FlexicartError(`Invalid frame count ${timecode}`, 'INVALID_PARAMETER');
+        return timecode;
+    }
+
+    const fields = typeof timecode === 'string' ? parseTimecode(timecode) : timecode;
+    const problem = checkFields(fields, rate);
+    if (problem) throw new FlexicartError(`Invalid timecode ${formatFields(fields, rate)}: ${problem}`, 'INVALID_PARAMETER');
+
+    const { fps, dropFrame } = getFrameRate(rate);
+    const { hours, minutes, seconds, frames } = fields;
+    const totalMinutes = hours * 60 + minutes;
+    const count = (totalMinutes * 60 + seconds) * fps + frames;
+
+    return dropFrame ? count - DROPPED_PER_MINUTE * (totalMinutes - Math.floor(totalMinutes / 10)) : count;
+}
+
+/**
+ * Timecode fields of a frame count (wraps at 24 hours; negative counts count back from midnight)
+ * @param {number} count - Frames since 00:00:00:00
+ * @param {Object|string|number} rate - Frame rate
+ * @returns {Object} { hours, minutes, seconds, frames }
+ */
+function framesToFields(count, rate = DEFAULT_FRAME_RATE) {
+    const { fps, dropFrame } = getFrameRate(rate);
+    const day = framesPerDay(rate);
+    let frameNumber = ((Math.round(count) % day) + day) % day;
+
+    if (dropFrame) {
+        // Add back the frame numbers skipped so far, then count as 30 fps
+        const tens = Math.floor(frameNumber / DF_FRAMES_PER_10_MINUTES);
+        const rest = frameNumber % DF_FRAMES_PER_10_MINUTES;
+        const minutesInTen = rest < DROPPED_PER_MINUTE ? 0 : Math.floor((rest - DROPPED_PER_MINUTE) / DF_FRAMES_PER_MINUTE);
+        frameNumber += DROPPED_PER_MINUTE * (9 * tens + minutesInTen);
+    }
+
+    return {
+        hours: Math.floor(frameNumber / (3600 * fps)),
+        minutes: Math.floor(frameNumber / (60 * fps)) % 60,
+        seconds: Math.floor(frameNumber / fps) % 60,
+        frames: frameNumber % fps
+    };
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+function formatFields({ hours, minutes, seconds, frames }, rate) {
+    const separator = getFrameRate(rate).dropFrame ? ';' : ':';
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(frames)}`;
+}
+
+/**
+ * Format a frame count as timecode
+ * @param {number} count - Frames since 00:00:00:00
+ * @param {Object|string|number} rate - Frame rate
+ * @returns {string} 'HH:MM:SS:FF' ('HH:MM:SS;FF' for drop-frame)
+ */
+function framesToTimecode(count, rate = DEFAULT_FRAME_RATE) {
+    return formatFields(framesToFields(count, rate), rate);
+}
+
+/**
+ * Normalise a timecode (string, fields or frame count) to its canonical string
+ * @returns {string} Timecode
+ */
+function formatTimecode(timecode, rate = DEFAULT_FRAME_RATE) {
+    return framesToTimecode(timecodeToFrames(timecode, rate), rate);
+}
+
+/**
+ * Whether a string is a valid timecode at a rate
+ * @returns {boolean} True when it parses and every field exists
+ */
+function isValidTimecode(text, rate = DEFAULT_FRAME_RATE) {
+    try {
+        timecodeToFrames(String(text), rate);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * a + b (b may be a timecode or a frame count), wrapping at 24 hours
+ * @returns {string} Timecode
+ */
+function addTimecode(a, b, rate = DEFAULT_FRAME_RATE) {
+    return framesToTimecode(timecodeToFrames(a, rate) + timecodeToFrames(b, rate), rate);
+}
+
+/**
+ * a - b (b may be a timecode or a frame count), wrapping at 24 hours
+ * @returns {string} Timecode
+ */
+function subtractTimecode(a, b, rate = DEFAULT_FRAME_RATE) {
+    return framesToTimecode(timecodeToFrames(a, rate) - timecodeToFrames(b, rate), rate);
+}
+
+/**
+ * Signed distance from a to b in frames (negative when b is earlier)
+ * @returns {number} Frames
+ */
+function timecodeDifference(a, b, rate = DEFAULT_FRAME_RATE) {
+    return timecodeToFrames(b, rate) - timecodeToFrames(a, rate);
+}
+
+/**
+ * Real time taken by a number of frames
+ * @returns {number} Seconds
+ */
+function framesToSeconds(count, rate = DEFAULT_FRAME_RATE) {
+    return count / getFrameRate(rate).rate;
+}
+
+/**
+ * Frames played in a real time span (rounded to the nearest frame)
+ * @returns {number} Frames
+ */
+function secondsToFrames(seconds, rate = DEFAULT_FRAME_RATE) {
+    return Math.round(seconds * getFrameRate(rate).rate);
+}
+
+/**
+ * Decode the 4 BCD bytes of Sony time data (74 00 TIMER-1, 74 04 LTC, 74 06 VITC...)
+ * DATA-1 frames, DATA-2 seconds, DATA-3 minutes, DATA-4 hours. DATA-1 BIT-6
+ * (DF) selects 29.97 drop-frame; the CF and binary-group bits are masked off
+ * @param {Buffer|Array<number>} data - DATA-1..DATA-4
+ * @param {Object|string|number} rate - Rate for non-drop-frame data
+ * @returns {Object|null} { timecode, frames (count, null if not a valid timecode), fields, dropFrame, colorFrame, rate }
+ */
+function decodeSonyTimeData(data, rate = DEFAULT_FRAME_RATE) {
+    if (!data || data.length < 4) return null;
+
+    const bcd = (byte) => (byte >> 4) * 10 + (byte & 0x0F);
+    const dropFrame = !!(data[0] & SONY_TIME_DF_FLAG);
+    const frameRate = dropFrame ? FRAME_RATES.FPS_2997_DF : getFrameRate(rate);
+    const fields = {
+        hours: bcd(data[3] & 0x3F),
+        minutes: bcd(data[2] & 0x7F),
+        seconds: bcd(data[1] & 0x7F),
+        frames: bcd(data[0] & 0x3F)
+    };
+    const valid = !checkFields(fields, frameRate);
+
+    return {
+        timecode: formatFields(fields, frameRate),
+        frames: valid ? timecodeToFrames(fields, frameRate) : null,
+        fields,
+        dropFrame,
+        colorFrame: !!(data[0] & SONY_TIME_CF_FLAG),
+        rate: frameRate.id
+    };
+}
+
+/**
+ * Encode a timecode as the 4 BCD bytes of Sony time data (DF flag set for drop-frame)
+ * @param {string|Object|number} timecode - Timecode or frame count
+ * @param {Object|string|number} rate - Frame rate
+ * @returns {Array<number>} [frames, seconds, minutes, hours]
+ */
+function encodeSonyTimeData(timecode, rate = DEFAULT_FRAME_RATE) {
+    const frameRate = getFrameRate(rate);
+    const { hours, minutes, seconds, frames } = framesToFields(timecodeToFrames(timecode, frameRate), frameRate);
+    const bcd = (value) => ((Math.floor(value / 10)) << 4) | (value % 10);
+
+    return [bcd(frames) | (frameRate.dropFrame ? SONY_TIME_DF_FLAG : 0), bcd(seconds), bcd(minutes), bcd(hours)];
+}
+
+module.exports = {
+    getFrameRate,
+    framesPerDay,
+    parseTimecode,
+    timecodeToFrames,
+    framesToFields,
+    framesToTimecode,
+    formatTimecode,
+    isValidTimecode,
+    addTimecode,
+    subtractTimecode,
+    timecodeDifference,
+    framesToSeconds,
+    secondsToFrames,
+    decodeSonyTimeData,
+    encodeSonyTimeData,
+    FRAME_RATES,
+    FRAME_RATE_IDS,
+    DEFAULT_FRAME_RATE,
+    SONY_TIME_DATA_SOURCES
+};
@@ -0,0 +1,307 @@
+/**
+ * VTR Cue Controller
+ * "Cue tape to 01:00:00:00 with 5 s preroll": PREROLL TIME PRESET (44 31),
+ * CUE UP WITH DATA (24 31) at the target minus the preroll, then STATUS SENSE
+ * polling until the deck reports CUE UP COMPLETE. Progress is recorded as
+ * FlexiCartOperations steps, like the macro executor does for cart moves;
+ * a cue that does not end ready throws a FlexicartError whose code says why.
+ */
+
+const { FlexicartError } = require('./flexicart_errors');
+const { FlexiCartOperations } = require('./flexicart_data_structures');
+const {
+    getVtrFrameRate,
+    getVtrStatus,
+    getVtrTimecode,
+    cueUpVtr,
+    presetVtrPreroll,
+    VTR_MODE,
+    MAX_PREROLL_SECONDS
+} = require('./vtr_interface');
+const { timecodeToFrames, framesToTimecode, secondsToFrames } = require('./timecode');
+
+/**
+ * Controller defaults
+ */
+const VTR_CUE_DEFAULTS = {
+    preroll: 5,                 // Seconds of tape parked ahead of the target
+    pollInterval: 250,          // ms between status polls
+    timeoutFactor: 2,           // Timeout = getExpectedDuration('vtr_cue') x factor
+    responseTimeout: 1000       // ms per 9-pin exchange
+};
+
+/**
+ * Error codes of a cue that did not end ready
+ */
+const VTR_CUE_ERRORS = {
+    TIMEOUT: 'CUE_TIMEOUT',             // No CUE UP COMPLETE within the timeout
+    TAPE_END: 'TAPE_END',               // END OF TAPE while spooling
+    NO_CASSETTE: 'NO_CASSETTE',
+    LOCAL: 'VTR_LOCAL',                 // Deck front panel in LOCAL - remote commands are ignored
+    DECK_ERROR: 'VTR_ERROR',            // Hard error, tape trouble or an alarm
+    REJECTED: 'CUE_REJECTED',           // Preset or cue-up was not ACKed
+    NO_RESPONSE: 'VTR_NOT_RESPONDING'   // No status before the cue was sent
+};
+
+const OPERATION_TYPE = 'vtr_cue';
+
+// STATUS DATA flags that end a cue as a deck fault
+const DECK_ALARMS = ['HARD_ERROR', 'TAPE_TROUBLE', 'SERVO_ALARM', 'SYSTEM_ALARM'];
+
+// Modes a deck spools in while cueing
+const SPOOLING_MODES = [VTR_MODE.FAST_FWD, VTR_MODE.REWIND, VTR_MODE.SHUTTLE, VTR_MODE.JOG, VTR_MODE.VAR];
+
+/**
+ * Conditions that stop a deck from cueing at all
+ * @returns {Object|null} { code, error }
+ */
+function checkDeckReady(status) {
+    if (!status.cassettePresent) return { code: VTR_CUE_ERRORS.NO_CASSETTE, error: 'No cassette in the deck' };
+    if (!status.remote) return { code: VTR_CUE_ERRORS.LOCAL, error: 'Deck is in LOCAL' };
+    if (status.error) {
+        return { code: VTR_CUE_ERRORS.DECK_ERROR, error: `Deck reports ${status.flags.filter(f => DECK_ALARMS.includes(f)).join(', ')}` };
+    }
+    return null;
+}
+
+/**
+ * Judge a decoded status against a running cue
+ * Done on CUE UP COMPLETE; decks that never set it count as cued once they
+ * have spooled and parked in STILL with PREROLL/CUE UP clear
+ * @param {Object} status - decodeVtrStatus() result
+ * @param {boolean} spooled - The deck has been seen cueing since the command
+ * @returns {Object} { done, success, code, error }
+ */
+function evaluateCueStatus(status, spooled = false) {
+    const problem = checkDeckReady(status);
+    if (problem) return { done: true, success: false, ...problem };
+    if (status.endOfTape) {
+        return { done: true, success: false, code: VTR_CUE_ERRORS.TAPE_END, error: 'End of tape reached before the cue point' };
+    }
+
+    const done = status.cueUpComplete || (spooled && status.still && !status.prerollOrCueUp);
+    return { done, success: done, code: null, error: null };
+}
+
+/**
+ * Motion phase recorded as an operation step whenever it changes
+ */
+function describePhase(status) {
+    if (status.prerollOrCueUp) return 'cueing';
+    return status.still ? 'still' : status.mode;
+}
+
+const isSpooling = (status) => status.prerollOrCueUp || SPOOLING_MODES.includes(status.mode);
+
+const isActive = (operation) => !!operation && (operation.status === 'started' || operation.status === 'in_progress');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Cue controller for one deck
+ */
+class VtrCueController {
+    /**
+     * @param {Object} options
+     * @param {string} options.path - Device address of the deck
+     * @param {FlexiCartOperations} options.operations - Tracker to record into (a private one by default)
+     * @param {number} options.pollInterval - ms between status polls
+     * @param {number} options.timeoutFactor - Multiplier on getExpectedDuration for the timeout
+     * @param {number} options.responseTimeout - ms per 9-pin exchange
+     * @param {boolean} options.debug - Enable debug output
+     */
+    constructor(options = {}) {
+        if (!options.path) {
+            throw new FlexicartError('Cue controller needs a device path', 'INVALID_PARAMETER');
+        }
+
+        this.path = options.path;
+        this.operations = options.operations || new FlexiCartOperations();
+        this.pollInterval = options.pollInterval || VTR_CUE_DEFAULTS.pollInterval;
+        this.timeoutFactor = options.timeoutFactor || VTR_CUE_DEFAULTS.timeoutFactor;
+        this.responseTimeout = options.responseTimeout || VTR_CUE_DEFAULTS.responseTimeout;
+        this.debug = !!options.debug;
+    }
+
+    /**
+     * Cue timeout (expected duration x timeoutFactor)
+     */
+    getTimeout() {
+        return Math.round(this.operations.getExpectedDuration(OPERATION_TYPE) * this.timeoutFactor);
+    }
+
+    /**
+     * Cue the deck so that the target is reached after the preroll
+     * @param {string|Object|number} target - Timecode at the deck's frame rate
+     * @param {Object} options - { preroll (whole seconds, 0-30), timeout (ms) }
+     * @returns {Promise<Object>} { success, ready, operationId, operation, target, cuePoint, preroll, position, executionTime, timestamp }
+     * @throws {FlexicartError} INVALID_PARAMETER before anything is sent, otherwise
+     *         a VTR_CUE_ERRORS code with operationId and operation attached
+     */
+    async cue(target, options = {}) {
+        const { preroll = VTR_CUE_DEFAULTS.preroll, timeout = this.getTimeout() } = options;
+        if (!Number.isInteger(preroll) || preroll < 0 || preroll > MAX_PREROLL_SECONDS) {
+            throw new FlexicartError(`Preroll must be whole seconds from 0 to ${MAX_PREROLL_SECONDS}, got ${preroll}`, 'INVALID_PARAMETER', this.path);
+        }
+
+        const rate = getVtrFrameRate(this.path);
+        const targetFrames = timecodeToFrames(target, rate);
+        const cuePoint = framesToTimecode(targetFrames - secondsToFrames(preroll, rate), rate);
+        const details = { path: this.path, target: framesToTimecode(targetFrames, rate), cuePoint, preroll, rate: rate.id };
+        const operationId = this.operations.startOperation(OPERATION_TYPE, { ...details, timeoutMs: timeout });
+
+        try {
+            const ready = await this.readStatus();
+            if (!ready) throw new FlexicartError(`No status from ${this.path}`, VTR_CUE_ERRORS.NO_RESPONSE, this.path);
+            const problem = checkDeckReady(ready);
+            if (problem) throw new FlexicartError(problem.error, problem.code, this.path);
+
+            await this.sendStep(operationId, 'preroll_preset', presetVtrPreroll(this.path, preroll, this.responseTimeout, this.debug));
+            await this.sendStep(operationId, 'sent', cueUpVtr(this.path, cuePoint, this.responseTimeout, this.debug));
+
+            this.operations.updateOperation(operationId, { status: 'in_progress' });
+            this.operations.addOperationStep(operationId, { name: 'accepted' });
+            const status = await this.pollUntilCued(operationId);
+
+            const position = await getVtrTimecode(this.path, 'LTC', this.responseTimeout, this.debug);
+            this.settle(operationId, 'completed', {
+                result: {
+                    success: true,
+                    ready: true,
+                    ...details,
+                    position: position.success ? position.timecode : null,
+                    status
+                }
+            });
+        } catch (error) {
+            const failure = error instanceof FlexicartError ? error : new FlexicartError(error.message, VTR_CUE_ERRORS.DECK_ERROR, this.path);
+            this.settle(operationId, failure.code === VTR_CUE_ERRORS.TIMEOUT ? 'timeout' : 'failed', { error: failure.message });
+            failure.operationId = operationId;
+            failure.operation = this.operations.getOperation(operationId);
+            throw failure;
+        }
+
+        return this.getResult(operationId);
+    }
+
+    /**
+     * One STATUS SENSE
+     * @returns {Promise<Object|null>} Decoded status, null when the deck did not answer
+     */
+    async readStatus() {
+        const result = await getVtrStatus(this.path, this.responseTimeout, this.debug);
+        return result.success ? result.status : null;
+    }
+
+    /**
+     * Send a command that must be ACKed and record it as a step
+     */
+    async sendStep(operationId, name, pending) {
+        const result = await pending;
+        this.operations.addOperationStep(operationId, { name, command: result.command, reply: result.reply || null });
+        if (!result.success) {
+            throw new FlexicartError(`${result.command} not accepted: ${result.error}`, VTR_CUE_ERRORS.REJECTED, this.path);
+        }
+        return result;
+    }
+
+    /**
+     * Status polling loop
+     * Ends when the deck reports the cue complete, a fault ends it, the timeout
+     * runs out or the operation was settled elsewhere (FlexiCartOperations.checkTimeouts).
+     * A poll without an answer only costs one tick
+     * @returns {Promise<Object>} The status that completed the cue
+     */
+    async pollUntilCued(operationId) {
+        const operation = this.operations.getOperation(operationId);
+        const { timeoutMs, expectedDuration } = operation.details;
+        const started = Date.now();
+        let lastPhase = null;
+        let spooled = false;
+
+        for (;;) {
+            await delay(this.pollInterval);
+            if (!isActive(operation)) {
+                throw new FlexicartError(operation.error || `Cue ended as ${operation.status}`, VTR_CUE_ERRORS.TIMEOUT, this.path);
+            }
+
+            const elapsed = Date.now() - started;
+            if (elapsed > timeoutMs) {
+                throw new FlexicartError(`Deck did not report cue-up complete within ${timeoutMs}ms`, VTR_CUE_ERRORS.TIMEOUT, this.path);
+            }
+
+            const status = await this.readStatus();
+            if (!status) continue;
+
+            const phase = describePhase(status);
+            if (phase !== lastPhase) {
+                this.operations.addOperationStep(operationId, { name: phase, mode: status.mode, still: status.still });
+                lastPhase = phase;
+            }
+            spooled = spooled || isSpooling(status);
+
+            const verdict = evaluateCueStatus(status, spooled);
+            if (verdict.done && verdict.success) return status;
+            if (verdict.done) throw new FlexicartError(verdict.error, verdict.code, this.path);
+
+            this.operations.updateOperation(operationId, {
+                progress: Math.min(99, Math.round((elapsed / expectedDuration) * 100))
+            });
+        }
+    }
+
+    /**
+     * Finish an operation with a final step
+     */
+    settle(operationId, status, updates = {}) {
+        const operation = this.operations.getOperation(operationId);
+        if (!isActive(operation)) return;
+
+        this.operations.updateOperation(operationId, {
+            ...updates,
+            status,
+            progress: status === 'completed' ? 100 : operation.progress
+        });
+        this.operations.addOperationStep(operationId, { name: status, error: updates.error || null });
+    }
+
+    /**
+     * Result object for a completed cue
+     */
+    getResult(operationId) {
+        const operation = this.operations.getOperation(operationId);
+        const { target, cuePoint, preroll, position } = operation.result;
+        return {
+            success: true,
+            ready: true,
+            operationId,
+            operation,
+            target,
+            cuePoint,
+            preroll,
+            position,
+            executionTime: operation.duration,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Cue a deck with a one-off controller
+ * @param {string} path - Device address
+ * @param {string|Object|number} target - Timecode at the deck's frame rate
+ * @param {Object} options - Controller options plus { preroll, timeout }
+ * @returns {Promise<Object>} VtrCueController.cue() result
+ */
+function cueVtr(path, target, options = {}) {
+    const { preroll, timeout, ...controllerOptions } = options;
+    return new VtrCueController({ ...controllerOptions, path }).cue(target, { preroll, timeout });
+}
+
+module.exports = {
+    VtrCueController,
+    cueVtr,
+    evaluateCueStatus,
+    VTR_CUE_DEFAULTS,
+    VTR_CUE_ERRORS
+};
@@ -0,0 +1,446 @@
+/**
+ * VTR Interface
+ * Sony BVW/DVW/DNW/HDW/J/MSW/SRW decks over the 9-pin protocol: device type
+ * identification, transport control, STATUS SENSE decoding, tape position
+ * (CURRENT TIME SENSE), cue-up and preroll presets, and port autoscan.
+ * Packets are built and decoded by flexicart_sony_9pin.js and go out through
+ * the same connection manager, queue and retry policy as the FlexiCart lines.
+ */
+
+const { FlexicartError } = require('./flexicart_errors');
+const { sendCommand } = require('./flexicart_serial_utils');
+const { COMMAND_PRIORITY } = require('./flexicart_command_queue');
+const { buildCommandTable, encodeCommand, COMMAND_PROTOCOL } = require('./flexicart_command_catalog');
+const { getDeviceConfig, getLineSettings } = require('./device_config');
+const {
+    decodeSonyResponse,
+    findSonyReturn,
+    decodeSonyDeviceType,
+    describeSonyStatus,
+    SONY_CMD1
+} = require('./flexicart_sony_9pin');
+const {
+    getFrameRate,
+    formatTimecode,
+    decodeSonyTimeData,
+    encodeSonyTimeData,
+    DEFAULT_FRAME_RATE,
+    SONY_TIME_DATA_SOURCES
+} = require('./timecode');
+
+/**
+ * Sony 9-pin packets used for the decks (Sony entries of the command catalog)
+ */
+const VTR_COMMANDS = buildCommandTable(COMMAND_PROTOCOL.SONY, [
+    // Identification, status and time data (12 11, 7X 20 and 74 XX returns)
+    'DEVICE_TYPE', 'SENSE_STATUS',
+    'CURRENT_TIME_SENSE', 'VITC_TIME_SENSE', 'TIMER1_TIME_SENSE',
+
+    // Transport (ACK)
+    'SONY_PLAY', 'SONY_STOP', 'SONY_FAST_FWD', 'SONY_REWIND',
+    'SONY_STANDBY_ON', 'SONY_STANDBY_OFF', 'SONY_EJECT'
+]);
+
+// CMD-2 of the returns answering the sense requests
+const DEVICE_TYPE_RETURN = 0x11;
+const STATUS_DATA_RETURN = 0x20;
+
+// CURRENT TIME SENSE request for each time source
+const TIME_SENSE_COMMANDS = {
+    LTC: 'CURRENT_TIME_SENSE',
+    VITC: 'VITC_TIME_SENSE',
+    TIMER_1: 'TIMER1_TIME_SENSE'
+};
+
+// PREROLL TIME PRESET range (whole seconds)
+const MAX_PREROLL_SECONDS = 30;
+
+// Transport commands go ahead of status polling; a repeated PLAY/STOP is harmless,
+// so they keep the default (retrying) category
+const TRANSPORT_QUEUE_OPTIONS = { priority: COMMAND_PRIORITY.CONTROL };
+
+/**
+ * Transport mode derived from STATUS DATA No.0-2
+ */
+const VTR_MODE = {
+    NO_CASSETTE: 'no_cassette',
+    EJECT: 'eject',
+    RECORD: 'record',
+    SHUTTLE: 'shuttle',
+    JOG: 'jog',
+    VAR: 'var',
+    PLAY: 'play',
+    FAST_FWD: 'fast_forward',
+    REWIND: 'rewind',
+    STOP: 'stop',
+    UNKNOWN: 'unknown'
+};
+
+// First matching flag wins: cassette and eject override the motion bits,
+// shuttle/jog/var override PLAY
+const MODE_FLAGS = [
+    ['CASSETTE_OUT', VTR_MODE.NO_CASSETTE],
+    ['EJECT', VTR_MODE.EJECT],
+    ['REC', VTR_MODE.RECORD],
+    ['SHUTTLE', VTR_MODE.SHUTTLE],
+    ['JOG', VTR_MODE.JOG],
+    ['VAR', VTR_MODE.VAR],
+    ['PLAY', VTR_MODE.PLAY],
+    ['FAST_FWD', VTR_MODE.FAST_FWD],
+    ['REWIND', VTR_MODE.REWIND],
+    ['STOP', VTR_MODE.STOP]
+];
+
+/**
+ * Addresses of the vtr entries in the rs422Devices config
+ * @returns {Array<string>} Device addresses
+ */
+function getVtrPorts() {
+    return getDeviceConfig().devices.filter(device => device.type === 'vtr').map(device => device.address);
+}
+
+/**
+ * Timecode rate of a deck ("frameRate" of its config entry)
+ * @param {string} path - Device address
+ * @returns {Object} FRAME_RATES entry
+ */
+function getVtrFrameRate(path) {
+    const device = getDeviceConfig().devices.find(d => d.address === path);
+    return device && device.frameRate ? getFrameRate(device.frameRate) : DEFAULT_FRAME_RATE;
+}
+
+/**
+ * VTR No. (1-6) the cart addresses a deck by ("cartVtr" of its config entry,
+ * else its place among the configured VTRs)
+ * @param {string} path - Device address
+ * @returns {number|null} VTR No., null for an unknown deck
+ */
+function getVtrCartPosition(path) {
+    const vtrs = getDeviceConfig().devices.filter(device => device.type === 'vtr');
+    const index = vtrs.findIndex(device => device.address === path);
+    if (index === -1) return null;
+    return vtrs[index].cartVtr || index + 1;
+}
+
+/**
+ * Decode STATUS DATA starting at DATA No.0
+ * @param {Buffer|Array<number>} data - STATUS DATA bytes (7X 20 return)
+ * @returns {Object} Transport mode plus the individual status bits
+ */
+function decodeVtrStatus(data) {
+    const flags = describeSonyStatus(data);
+    const has = (flag) => flags.includes(flag);
+    const mode = MODE_FLAGS.find(([flag]) => has(flag));
+
+    return {
+        mode: mode ? mode[1] : VTR_MODE.UNKNOWN,
+        flags,
+        remote: !has('LOCAL'),
+        cassettePresent: !has('CASSETTE_OUT'),
+        standby: has('STANDBY'),
+        still: has('STILL'),
+        direction: has('REVERSE') ? 'reverse' : 'forward',
+        servoLock: has('SERVO_LOCK'),
+        cueUpComplete: has('CUE_UP_COMPLETE'),
+        prerollOrCueUp: has('PREROLL_OR_CUE_UP'),
+        endOfTape: has('END_OF_TAPE'),
+        nearEndOfTape: has('NEAR_END_OF_TAPE'),
+        lostLock: has('LOST_LOCK'),
+        recInhibit: has('REC_INHIBIT'),
+        error: has('HARD_ERROR') || has('TAPE_TROUBLE') || has('SERVO_ALARM') || has('SYSTEM_ALARM'),
+        data: Array.from(data || [])
+    };
+}
+
+/**
+ * Identify the deck (DEVICE TYPE REQUEST 00 11)
+ * @param {string} path - Device address
+ * @param {number} timeout - Response timeout in milliseconds
+ * @param {boolean} debug - Enable debug output
+ * @param {Object} queueOptions - Passed to sendCommand (e.g. { retry: false })
+ * @returns {Promise<Object>} { success, deviceType: { id, model, system }, raw }
+ */
+async function getVtrDeviceType(path, timeout = 1000, debug = false, queueOptions = {}) {
+    try {
+        if (debug) console.log(`📋 Querying VTR device type on ${path}...`);
+
+        const response = await sendCommand(path, VTR_COMMANDS.DEVICE_TYPE, timeout, debug, queueOptions);
+        const typeReturn = findSonyReturn(response, DEVICE_TYPE_RETURN);
+        const deviceType = typeReturn ? decodeSonyDeviceType(typeReturn.data) : null;
+
+        if (!deviceType) {
+            return {
+                success: false,
+                error: `No DEVICE TYPE return (${response.toString('hex')})`,
+                raw: response,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        return {
+            success: true,
+            deviceType,
+            raw: response,
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        if (debug) console.log(`❌ Device type query failed: ${error.message}`);
+        return {
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Read and decode STATUS DATA No.0-9 (STATUS SENSE 61 20)
+ * @param {string} path - Device address
+ * @param {number} timeout - Response timeout in milliseconds
+ * @param {boolean} debug - Enable debug output
+ * @returns {Promise<Object>} { success, status (decodeVtrStatus), raw }
+ */
+async function getVtrStatus(path, timeout = 1000, debug = false) {
+    try {
+        if (debug) console.log(`📊 Querying VTR status on ${path}...`);
+
+        const response = await sendCommand(path, VTR_COMMANDS.SENSE_STATUS, timeout, debug);
+        const statusReturn = findSonyReturn(response, STATUS_DATA_RETURN);
+
+        if (!statusReturn || statusReturn.data.length < 3) {
+            return {
+                success: false,
+                error: `No STATUS DATA return (${response.toString('hex')})`,
+                raw: response,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        return {
+            success: true,
+            status: decodeVtrStatus(statusReturn.data),
+            raw: response,
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        if (debug) console.log(`❌ Status query failed: ${error.message}`);
+        return {
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Read the tape position (CURRENT TIME SENSE 61 0C)
+ * Drop-frame data (DF flag set by the deck) is decoded as 29.97df, anything
+ * else at the deck's configured rate
+ * @param {string} path - Device address
+ * @param {string} source - 'LTC', 'VITC' or 'TIMER_1'
+ * @param {number} timeout - Response timeout in milliseconds
+ * @param {boolean} debug - Enable debug output
+ * @returns {Promise<Object>} { success, source, timecode, frames, dropFrame, rate, raw }
+ */
+async function getVtrTimecode(path, source = 'LTC', timeout = 1000, debug = false) {
+    try {
+        if (!TIME_SENSE_COMMANDS[source]) {
+            throw new Error(`Unknown time source "${source}" (use ${Object.keys(TIME_SENSE_COMMANDS).join(', ')})`);
+        }
+        if (debug) console.log(`⏱️  Querying VTR ${source} time on ${path}...`);
+
+        const response = await sendCommand(path, VTR_COMMANDS[TIME_SENSE_COMMANDS[source]], timeout, debug);
+        // 74 XX time data; a deck without the reader answers 70 0D (time data missing)
+        const timeReturn = decodeSonyResponse(response).packets
+            .find(p => p.group === SONY_CMD1.SENSE_RETURN && p.cmd2 in SONY_TIME_DATA_SOURCES && p.count >= 4);
+        const time = timeReturn ? decodeSonyTimeData(timeReturn.data, getVtrFrameRate(path)) : null;
+
+        if (!time) {
+            return {
+                success: false,
+                source,
+                error: `No ${source} time data (${response.toString('hex')})`,
+                raw: response,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        return {
+            success: true,
+            source: SONY_TIME_DATA_SOURCES[timeReturn.cmd2],
+            timecode: time.timecode,
+            frames: time.frames,
+            dropFrame: time.dropFrame,
+            rate: time.rate,
+            raw: response,
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        if (debug) console.log(`❌ Time query failed: ${error.message}`);
+        return {
+            success: false,
+            source,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Send a transport command; the deck answers ACK, or NAK with error bits
+ * @param {string} path - Device address
+ * @param {string} name - Sony catalog command (e.g. 'SONY_PLAY')
+ * @param {number} timeout - Response timeout in milliseconds
+ * @param {boolean} debug - Enable debug output
+ * @param {Object} params - Command parameters (e.g. { time } for CUE UP WITH DATA)
+ * @returns {Promise<Object>} { success, command, reply, nakErrors (on NAK) }
+ */
+async function sendVtrTransportCommand(path, name, timeout = 1000, debug = false, params = {}) {
+    try {
+        if (debug) console.log(`📤 Sending ${name} to VTR on ${path}...`);
+
+        const command = encodeCommand(name, params, 0x01, COMMAND_PROTOCOL.SONY);
+        const response = await sendCommand(path, command, timeout, debug, TRANSPORT_QUEUE_OPTIONS);
+        const reply = decodeSonyResponse(response).packets[0];
+
+        return {
+            success: reply.type === 'ACK',
+            command: name,
+            reply: reply.type,
+            ...(reply.type === 'ACK' ? {} : { error: `Unexpected reply ${reply.hex}` }),
+            raw: response,
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        // A NAK that outlasted the retry policy carries the deck's error bits
+        const nak = error.response ? decodeSonyResponse(error.response).packets.find(p => p.type === 'NAK') : null;
+        if (debug) console.log(`❌ ${name} failed: ${error.message}`);
+        return {
+            success: false,
+            command: name,
+            error: nak ? `NAK: ${nak.nakErrors.join(', ')}` : error.message,
+            ...(nak ? { reply: 'NAK', nakErrors: nak.nakErrors } : {}),
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+const playVtr = (path, timeout, debug) => sendVtrTransportCommand(path, 'SONY_PLAY', timeout, debug);
+const stopVtr = (path, timeout, debug) => sendVtrTransportCommand(path, 'SONY_STOP', timeout, debug);
+const fastForwardVtr = (path, timeout, debug) => sendVtrTransportCommand(path, 'SONY_FAST_FWD', timeout, debug);
+const rewindVtr = (path, timeout, debug) => sendVtrTransportCommand(path, 'SONY_REWIND', timeout, debug);
+const standbyOnVtr = (path, timeout, debug) => sendVtrTransportCommand(path, 'SONY_STANDBY_ON', timeout, debug);
+const standbyOffVtr = (path, timeout, debug) => sendVtrTransportCommand(path, 'SONY_STANDBY_OFF', timeout, debug);
+const ejectVtr = (path, timeout, debug) => sendVtrTransportCommand(path, 'SONY_EJECT', timeout, debug);
+
+/**
+ * Start a cue-up to a timecode (CUE UP WITH DATA 24 31); the ACK only means the
+ * deck accepted it - completion shows as CUE UP COMPLETE in the status
+ * @param {string} path - Device address
+ * @param {string|Object|number} timecode - Cue point at the deck's frame rate
+ * @param {number} timeout - Response timeout in milliseconds
+ * @param {boolean} debug - Enable debug output
+ * @returns {Promise<Object>} { success, command, reply, timecode }
+ * @throws {FlexicartError} INVALID_PARAMETER for a timecode the rate does not have
+ */
+async function cueUpVtr(path, timecode, timeout = 1000, debug = false) {
+    const rate = getVtrFrameRate(path);
+    const time = encodeSonyTimeData(timecode, rate);
+    const result = await sendVtrTransportCommand(path, 'SONY_CUE_UP_WITH_DATA', timeout, debug, { time });
+    return { ...result, timecode: formatTimecode(timecode, rate) };
+}
+
+/**
+ * Set the preroll time used by PREROLL and the edit commands (PREROLL TIME PRESET 44 31)
+ * @param {string} path - Device address
+ * @param {number} seconds - Whole seconds, 0-30
+ * @param {number} timeout - Response timeout in milliseconds
+ * @param {boolean} debug - Enable debug output
+ * @returns {Promise<Object>} { success, command, reply }
+ * @throws {FlexicartError} INVALID_PARAMETER for a preroll outside 0-30 s
+ */
+async function presetVtrPreroll(path, seconds, timeout = 1000, debug = false) {
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_PREROLL_SECONDS) {
+        throw new FlexicartError(`Preroll must be whole seconds from 0 to ${MAX_PREROLL_SECONDS}, got ${seconds}`, 'INVALID_PARAMETER', path);
+    }
+
+    const time = encodeSonyTimeData({ hours: 0, minutes: 0, seconds, frames: 0 }, getVtrFrameRate(path));
+    return sendVtrTransportCommand(path, 'PREROLL_TIME_PRESET', timeout, debug, { time });
+}
+
+/**
+ * Probe each port for a deck answering DEVICE TYPE REQUEST
+ * @param {Array<string>} ports - Device addresses (default: the configured vtr entries)
+ * @param {Object} options - { timeout, debug }
+ * @returns {Promise<Array<Object>>} Found decks (status.json entries)
+ */
+async function autoScanVtrs(ports = getVtrPorts(), options = {}) {
+    const { timeout = 1000, debug = false } = options;
+    const devices = getDeviceConfig().devices;
+    const found = [];
+
+    console.log(`🔍 Scanning ${ports.length} port(s) for Sony VTRs...`);
+
+    for (const port of ports) {
+        const startTime = Date.now();
+        // Single shot - an absent deck should not cost a full retry cycle
+        const identity = await getVtrDeviceType(port, timeout, debug, { retry: false });
+
+        if (!identity.success) {
+            if (debug) console.log(`    ❌ ${port}: ${identity.error}`);
+            continue;
+        }
+
+        const responseTime = Date.now() - startTime;
+        const status = await getVtrStatus(port, timeout, debug);
+        const entry = devices.find(device => device.address === port);
+        const { baudRate, dataBits, parity, stopBits } = getLineSettings(port);
+        const { id, model, system } = identity.deviceType;
+
+        found.push({
+            id: port,
+            type: 'vtr',
+            port,
+            channelId: entry ? entry.channelId : null,
+            name: model ? `Sony ${model}` : `Sony VTR (${id})`,
+            model,
+            deviceTypeId: id,
+            system,
+            frameRate: getVtrFrameRate(port).id,
+            mode: status.success ? status.status.mode : null,
+            cassettePresent: status.success ? status.status.cassettePresent : null,
+            remote: status.success ? status.status.remote : null,
+            responseTime,
+            lineSettings: { baudRate, dataBits, parity, stopBits },
+            timestamp: identity.timestamp
+        });
+        console.log(`📼 Found ${model ? `Sony ${model}` : `VTR type ${id}`} on ${port}`);
+    }
+
+    return found;
+}
+
+module.exports = {
+    getVtrPorts,
+    getVtrFrameRate,
+    getVtrCartPosition,
+    decodeVtrStatus,
+    getVtrDeviceType,
+    getVtrStatus,
+    getVtrTimecode,
+    sendVtrTransportCommand,
+    playVtr,
+    stopVtr,
+    fastForwardVtr,
+    rewindVtr,
+    standbyOnVtr,
+    standbyOffVtr,
+    ejectVtr,
+    cueUpVtr,
+    presetVtrPreroll,
+    autoScanVtrs,
+    VTR_COMMANDS,
+    VTR_MODE,
+    MAX_PREROLL_SECONDS,
+    VTR_PORTS: getVtrPorts()
+};
@@ -9,6 +9,10 @@ const WebSocket = require('ws');
 // Import CommonJS modules for VTR and Flexicart interfaces
 const vtrInterface = require('./commands/vtr_interface');
 const flexInterface = require('./commands/flexicart_interface');
+const { FlexiCartStateIntegration } = require('./commands/flexicart_state_integration');
+const { FlexiCartAirWorkflow } = require('./commands/flexicart_air_workflow');
+const { FlexiCartScheduler } = require('./commands/flexicart_scheduler');
+const { createAsRunLog } = require('./commands/flexicart_as_run');
 
 const CONFIG_PATH = path.join(__dirname, '..', 'config', 'status.json');
 const HTTP_PORT = process.env.PORT || 8080;
@@ -21,8 +25,8 @@ async function autoscanDevices() {
   console.log('Autoscan: probing', vtrInterface.VTR_PORTS);
   // Scan Sony VTRs
   const vtrs = await vtrInterface.autoScanVtrs(vtrInterface.VTR_PORTS);
-  // Scan Flexicart controllers
-  const flexicarts = await flexInterface.autoScanFlexicarts();
+  // Discover Flexicarts: every UA2 address on every configured line is its own device
+  const flexicarts = await flexInterface.discoverConfiguredFlexicarts(flexInterface.getDeviceConfig().devices);
 
   const devices = [...vtrs, ...flexicarts];
   const status = { timestamp: new Date().toISOString(), devices };
@@ -32,25 +36,131 @@ async function autoscanDevices() {
   if (!devices.length) console.log('No devices found during autoscan');
 }
 
+/**
+ * Build the playlist scheduler: the first configured cart feeding every configured VTR.
+ * The inventory is read from the cart (every bin sensed) before any playlist can be
+ * checked against it. Every run and missed event goes to the as-run log (config
+ * "asRun"), which also restores the cassettes' play counts
+ * @returns {Promise<FlexiCartScheduler|null>} null when no cart or no VTR is configured
+ */
+async function createScheduler() {
+  const cartDevice = flexInterface.getDeviceConfig().devices.find(device => device.type === 'flexicart');
+  const vtrPorts = vtrInterface.getVtrPorts();
+  if (!cartDevice || !vtrPorts.length) return null;
+
+  const cartAddress = (cartDevice.cartAddresses || [0x01])[0];
+  const cart = new FlexiCartStateIntegration(cartDevice.address, 'FC01', cartAddress);
+  await cart.connect();
+  const inventory = await cart.refreshInventory();
+  if (!inventory.success) {
+    console.error('Inventory incomplete:', inventory.error || `bins ${inventory.unresolved.join(', ')} not read`);
+  }
+  const players = vtrPorts.map(vtrPath => new FlexiCartAirWorkflow({ cart, vtrPath }));
+  const scheduler = new FlexiCartScheduler({ players });
+
+  const asRun = createAsRunLog();
+  if (asRun) {
+    players.forEach(player => asRun.attachWorkflow(player));
+    asRun.attachScheduler(scheduler);
+    asRun.applyToInventory(cart.stateManager.inventory);
+    console.log(`As-run log: ${asRun.directory}`);
+  }
+  return scheduler;
+}
+
+/**
+ * Send a JSON message to every open client of the WebSocket servers
+ */
+function broadcast(servers, message) {
+  const data = JSON.stringify(message);
+  for (const server of servers) {
+    server.clients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) client.send(data);
+    });
+  }
+}
+
+/**
+ * Scheduler requests from a WebSocket client:
+ * { type: 'playlist.load', events }, 'schedule.start', 'schedule.stop', 'schedule.status'
+ * Each is answered with { type: '<type>.result', ... }
+ */
+async function handleScheduleMessage(scheduler, socket, raw) {
+  let request;
+  try {
+    request = JSON.parse(raw);
+  } catch (err) {
+    socket.send(JSON.stringify({ type: 'error', error: `Invalid JSON: ${err.message}` }));
+    return;
+  }
+
+  const reply = result => socket.send(JSON.stringify({ type: `${request.type}.result`, ...result }));
+  if (!scheduler) {
+    reply({ success: false, error: 'No scheduler (no flexicart or vtr configured)' });
+    return;
+  }
+
+  switch (request.type) {
+    case 'playlist.load':
+      reply(scheduler.loadPlaylist(request.events));
+      break;
+    case 'schedule.start':
+      reply({ success: scheduler.start() });
+      break;
+    case 'schedule.stop':
+      reply({ success: await scheduler.stop() });
+      break;
+    case 'schedule.status':
+      reply({ success: true, ...scheduler.getStatus() });
+      break;
+    default:
+      socket.send(JSON.stringify({ type: 'error', error: `Unknown request ${request.type}` }));
+  }
+}
+
 /**
  * Initialize the application: autoscan and start HTTP/HTTPS servers
  */
 async function init() {
+  // Record all device traffic from the first probe on (config "wireCapture")
+  try {
+    flexInterface.startWireCapture();
+  } catch (err) {
+    console.error('Wire capture failed to start:', err.message);
+  }
+
   try {
     await autoscanDevices();
   } catch (err) {
     console.error('Init failed:', err);
   }
 
+  let scheduler = null;
+  try {
+    scheduler = await createScheduler();
+  } catch (err) {
+    console.error('Scheduler failed to start:', err.message);
+  }
+
   const app = express();
+  const socketServers = [];
+  const onConnection = socket => {
+    socket.on('message', msg => {
+      handleScheduleMessage(scheduler, socket, msg).catch(err => console.error('WS request failed:', err.message));
+    });
+    if (scheduler) socket.send(JSON.stringify({ type: 'schedule.status', ...scheduler.getStatus() }));
+  };
+  // Playlist progress goes to every connected client
+  if (scheduler) scheduler.on('progress', message => broadcast(socketServers, message));
   // Static file serving, API routes, etc.
 
   // HTTP + WS
   const httpServer = http.createServer(app);
   const wsServer = new WebSocket.Server({ server: httpServer });
+  socketServers.push(wsServer);
   wsServer.on('connection', socket => {
     console.log('WS connection');
-    socket.on('message', msg => console.log('WS message:', msg));
+    onConnection(socket);
   });
   httpServer.listen(HTTP_PORT, () => {
     console.log(`HTTP server + WS listening on port ${HTTP_PORT}`);
@@ -66,8 +176,10 @@ async function init() {
     };
     const httpsServer = https.createServer(sslOptions, app);
     const wssServer = new WebSocket.Server({ server: httpsServer });
+    socketServers.push(wssServer);
     wssServer.on('connection', socket => {
       console.log('WSS connection');
+      onConnection(socket);
     });
     httpsServer.listen(HTTPS_PORT, () => {
       console.log(`HTTPS server + WSS listening on port ${HTTPS_PORT}`);
@@ -77,4 +189,6 @@ async function init() {
   }
 }
 
-init();
+if (require.main === module) init();
+
+module.exports = { createScheduler, handleScheduleMessage };
@@ -6,9 +6,8 @@ const {
     // Status functions
     autoScanFlexicarts,
     getFlexicartStatus,
-    getFlexicartPosition,
-    getFlexicartInventory,
     getFlexicartErrors,
+    getFlexicartInventory,
     clearFlexicartErrors,
     testFlexicartCommunication,
     
@@ -22,11 +21,11 @@ const {
     
     // Parsing functions
     parseFlexicartStatus,
-    parseFlexicartPosition,
-    parseFlexicartInventory,
     
     // Core utilities
     sendCommand,
+    closeAllConnections,
+    autodetectLineSettings,
     
     // Constants
     FLEXICART_COMMANDS,
@@ -36,7 +35,6 @@ const {
 const {
     getSonyDeviceInfo,
     testSonyMovementCommands,
-    testSonyPositionMovement,
     SONY_COMMANDS
 } = require('../src/commands/flexicart_sony_protocol');
 
@@ -52,15 +50,10 @@ async function testSonyFlexicartCommands(path, debug = false) {
     console.log(`🎌 Testing Sony-specific Flexicart commands on ${path}...`);
     
     const sonyCommands = [
-        // Sony VTR-style commands
-        { name: 'SONY_STATUS', command: Buffer.from([0x90, 0x60, 0x00, 0x00]) },
-        { name: 'SONY_SENSE', command: Buffer.from([0x90, 0x61, 0x00, 0x00]) },
-        { name: 'SONY_DEVICE_TYPE', command: Buffer.from([0x90, 0x11, 0x00, 0x00]) },
-        { name: 'SONY_POSITION', command: Buffer.from([0x90, 0x10, 0x00, 0x00]) },
-        
-        // Alternative Sony formats
-        { name: 'SONY_ID_REQUEST', command: Buffer.from([0x88, 0x01]) },
-        { name: 'SONY_STATUS_REQ', command: Buffer.from([0x88, 0x20]) },
+        // Sony 9-pin sense requests
+        { name: 'SONY_DEVICE_TYPE', command: SONY_COMMANDS.DEVICE_TYPE },
+        { name: 'SONY_SENSE', command: SONY_COMMANDS.SENSE_STATUS },
+        { name: 'SONY_POSITION', command: SONY_COMMANDS.CURRENT_TIME_SENSE },
         
         // Simple query commands
         { name: 'QUESTION_MARK', command: Buffer.from([0x3F, 0x0D]) },
@@ -146,14 +139,9 @@ async function testSonyFlexicartMovement(path, debug = false) {
     console.log(`🏃 Testing Sony Flexicart movement commands on ${path}...`);
     
     const movementCommands = [
-        // Sony VTR movement commands
-        { name: 'SONY_STOP', command: Buffer.from([0x90, 0x20, 0x00, 0x00]) },
-        { name: 'SONY_EJECT', command: Buffer.from([0x90, 0x2A, 0x00, 0x00]) },
-        { name: 'SONY_LOAD', command: Buffer.from([0x90, 0x2B, 0x00, 0x00]) },
-        
-        // Position commands
-        { name: 'SONY_GOTO_POS1', command: Buffer.from([0x90, 0x24, 0x00, 0x01]) },
-        { name: 'SONY_GOTO_POS2', command: Buffer.from([0x90, 0x24, 0x00, 0x02]) },
+        // Sony 9-pin transport commands
+        { name: 'SONY_STOP', command: SONY_COMMANDS.SONY_STOP },
+        { name: 'SONY_EJECT', command: SONY_COMMANDS.SONY_EJECT },
         
         // Text-based commands
         { name: 'HOME_TEXT', command: Buffer.from('HOME\r') },
@@ -335,7 +323,7 @@ async function mapFlexicartProtocol(path, debug = false) {
 }
 
 /**
- * Local implementation of serial configuration testing
+ * Sweep serial configurations with the library line autodetect
  * @param {string} path - Serial port path
  * @param {boolean} debug - Enable debug output
  * @returns {Promise<Object>} Test results
@@ -343,18 +331,14 @@ async function mapFlexicartProtocol(path, debug = false) {
 async function testSerialConfigurations(path, debug = false) {
     console.log(`🔧 Testing multiple RS-422 configurations on ${path}...`);
     
-    // For now, just test the current working configuration
-    console.log('✅ Current configuration (38400 8E1) is working');
-    console.log('💡 This device is already responding correctly');
+    const detected = await autodetectLineSettings(path, { debug, apply: false });
+    if (!detected.success) return null;
     
     return {
-        name: 'Current Working Config',
-        baudRate: 38400,
-        parity: 'even',
-        dataBits: 8,
-        stopBits: 1,
+        name: `Autodetected (${detected.type})`,
+        ...detected.settings,
         success: true,
-        duration: 52 // From your previous test
+        duration: detected.duration
     };
 }
 
@@ -378,24 +362,14 @@ async function checkSingleFlexicart(path) {
             return null;
         }
         
-        // Get position information
-        const positionResult = await getFlexicartPosition(path);
-        
-        // Get inventory
-        const inventoryResult = await getFlexicartInventory(path);
-        
         console.log(`✅ Flexicart Found!`);
         console.log(`   🏠 Status: ${statusResult.status.statusText}`);
-        console.log(`   📍 Position: ${positionResult.success ? positionResult.position.current : 'Unknown'}`);
-        console.log(`   📦 Cartridges: ${inventoryResult.success ? inventoryResult.inventory.total : 'Unknown'}`);
         console.log(`   ⚡ Ready: ${statusResult.status.ready ? 'YES' : 'NO'}`);
         console.log(`   🚨 Errors: ${statusResult.status.errorCount || 0}`);
         
         return {
             path,
             status: statusResult.status,
-            position: positionResult.success ? positionResult.position : null,
-            inventory: inventoryResult.success ? inventoryResult.inventory : null,
             timestamp: new Date().toISOString()
         };
         
@@ -678,19 +652,8 @@ async function testSonyMovement(flexicartPath) {
             }
         }
         
-        // Test specific position movement
-        console.log('\n📍 Testing specific position movement...');
-        const positionTest = await testSonyPositionMovement(flexicartPath, 1, true);
-        
-        if (positionTest.success) {
-            console.log('✅ Position movement test successful!');
-            console.log(`   Target: ${positionTest.targetPosition}, Final: ${positionTest.finalPosition}`);
-        } else {
-            console.log('❌ Position movement test failed');
-        }
-        
         console.log(`\n📋 Sony movement testing completed`);
-        return { movementResults, positionTest };
+        return { movementResults };
     } catch (error) {
         console.log(`❌ Sony movement testing failed: ${error.message}`);
         return null;
@@ -715,32 +678,11 @@ async function comprehensiveSonyTest(flexicartPath) {
         console.log('\n🏃 Step 2: Movement Capability Testing');
         const movementResults = await testSonyMovementCommands(flexicartPath, true);
         
-        // Step 3: Position control testing
-        console.log('\n📍 Step 3: Position Control Testing');
-        const positions = [1, 2, 3]; // Test first few positions
-        const positionResults = [];
-        
-        for (const pos of positions) {
-            console.log(`\n   Testing position ${pos}...`);
-            const result = await testSonyPositionMovement(flexicartPath, pos, true);
-            positionResults.push(result);
-            
-            if (result.success) {
-                console.log(`   ✅ Position ${pos}: SUCCESS`);
-            } else {
-                console.log(`   ❌ Position ${pos}: FAILED`);
-            }
-            
-            // Wait between position tests
-            await new Promise(resolve => setTimeout(resolve, 2000));
-        }
-        
         // Summary
         console.log('\n📊 Comprehensive Test Summary:');
         console.log('===============================');
         console.log(`🆔 Device identified: ${deviceInfo.success ? 'YES' : 'NO'}`);
         console.log(`🏃 Movement capable: ${movementResults.success && movementResults.summary.withMovement > 0 ? 'YES' : 'NO'}`);
-        console.log(`📍 Position control: ${positionResults.filter(r => r.success).length}/${positionResults.length} positions`);
         
         if (deviceInfo.success && deviceInfo.deviceInfo.capabilities) {
             console.log(`🔧 Capabilities: ${deviceInfo.deviceInfo.capabilities.join(', ')}`);
@@ -749,12 +691,9 @@ async function comprehensiveSonyTest(flexicartPath) {
         return {
             deviceInfo,
             movementResults,
-            positionResults,
             overall: {
                 deviceIdentified: deviceInfo.success,
-                movementCapable: movementResults.success && movementResults.summary.withMovement > 0,
-                positionControl: positionResults.filter(r => r.success).length,
-                totalPositionsTested: positionResults.length
+                movementCapable: movementResults.success && movementResults.summary.withMovement > 0
             }
         };
         
@@ -788,7 +727,7 @@ async function controlFlexicart(path) {
         console.log('\n🎮 Interactive Control Menu:');
         console.log('============================');
         console.log('1. Get Status');
-        console.log('2. Get Position');
+        console.log('2. Get Errors');
         console.log('3. Get Inventory');
         console.log('4. Move Home');
         console.log('5. Emergency Stop');
@@ -834,14 +773,14 @@ async function controlFlexicart(path) {
                     break;
                     
                 case '2':
-                    console.log('\n📍 Getting position...');
+                    console.log('\n🚨 Getting errors...');
                     try {
-                        const result = await getFlexicartPosition(path);
+                        const result = await getFlexicartErrors(path);
                         if (result.success) {
-                            console.log(`   Current Position: ${result.position.current}`);
-                            console.log(`   Target Position: ${result.position.target}`);
-                            console.log(`   Moving: ${result.position.moving ? 'YES' : 'NO'}`);
-                            console.log(`   Homed: ${result.position.homed ? 'YES' : 'NO'}`);
+                            console.log(`   Errors: ${result.errors.count}`);
+                            result.errors.errors.forEach(error => {
+                                console.log(`      - ${error.message} (${error.hint})`);
+                            });
                         } else {
                             console.log(`   ❌ Failed: ${result.error}`);
                         }
@@ -851,13 +790,13 @@ async function controlFlexicart(path) {
                     break;
                     
                 case '3':
-                    console.log('\n📦 Getting inventory...');
+                    console.log('\n📦 Getting inventory (every bin)...');
                     try {
-                        const result = await getFlexicartInventory(path);
+                        const result = await getFlexicartInventory(path, 2000, false, true);
                         if (result.success) {
-                            console.log(`   Total Slots: ${result.inventory.total}`);
+                            console.log(`   Bins sensed: ${result.inventory.bins.length}`);
                             console.log(`   Occupied: ${result.inventory.occupied.join(', ') || 'None'}`);
-                            console.log(`   Empty: ${result.inventory.empty.join(', ') || 'None'}`);
+                            console.log(`   Unreadable: ${result.inventory.unread.join(', ') || 'None'}`);
                         } else {
                             console.log(`   ❌ Failed: ${result.error}`);
                         }
@@ -956,19 +895,11 @@ async function controlFlexicart(path) {
                     
                     console.log(`\n📍 Moving to position ${targetPos}...`);
                     try {
-                        // Try Sony position movement first
-                        const sonyResult = await testSonyPositionMovement(path, targetPos, false);
-                        if (sonyResult.success) {
-                            console.log(`   ✅ Moved to position ${targetPos}`);
-                            console.log(`   Final Position: ${sonyResult.finalPosition}`);
+                        const result = await moveFlexicartToPosition(path, targetPos);
+                        if (result.success) {
+                            console.log(`   ✅ Move command sent to position ${targetPos}`);
                         } else {
-                            // Fallback to standard movement
-                            const result = await moveFlexicartToPosition(path, targetPos);
-                            if (result.success) {
-                                console.log(`   ✅ Move command sent to position ${targetPos}`);
-                            } else {
-                                console.log(`   ❌ Failed: ${result.error}`);
-                            }
+                            console.log(`   ❌ Failed: ${result.error}`);
                         }
                     } catch (error) {
                         console.log(`   ❌ Error: ${error.message}`);
@@ -981,7 +912,7 @@ async function controlFlexicart(path) {
                         const result = await clearFlexicartErrors(path);
                         if (result.success) {
                             console.log(`   ✅ Errors cleared`);
-                            console.log(`   Status: ${result.status ? result.status.statusText : 'OK'}`);
+                            console.log(`   Errors reported: ${result.errors.count}`);
                         } else {
                             console.log(`   ❌ Failed: ${result.error}`);
                         }
@@ -1110,7 +1041,7 @@ async function main() {
 
 // Make sure to call main() at the end of the file
 if (require.main === module) {
-    main().catch(error => {
+    main().then(closeAllConnections).catch(error => {
         console.error('❌ Unhandled error:', error);
         process.exit(1);
     });
@@ -0,0 +1,300 @@
+const readline = require('readline');
+
+const {
+    getVtrPorts,
+    getVtrDeviceType,
+    getVtrStatus,
+    getVtrTimecode,
+    playVtr,
+    stopVtr,
+    fastForwardVtr,
+    rewindVtr,
+    standbyOnVtr,
+    standbyOffVtr,
+    ejectVtr,
+    autoScanVtrs
+} = require('../src/commands/vtr_interface');
+const { cueVtr } = require('../src/commands/vtr_cue');
+const { closeAllConnections } = require('../src/commands/flexicart_serial_utils');
+
+const MONITOR_INTERVAL = 500;
+
+/**
+ * Print one decoded status
+ */
+function printStatus(status) {
+    console.log(`   Mode: ${status.mode.toUpperCase()}${status.still ? ' (STILL)' : ''}`);
+    console.log(`   Remote: ${status.remote ? 'YES' : 'NO (LOCAL)'}`);
+    console.log(`   Cassette: ${status.cassettePresent ? 'IN' : 'OUT'}`);
+    console.log(`   Standby: ${status.standby ? 'ON' : 'OFF'}`);
+    console.log(`   Servo lock: ${status.servoLock ? 'YES' : 'NO'}`);
+    if (status.endOfTape) console.log('   ⚠️  End of tape');
+    if (status.error) console.log(`   ⚠️  Error flags: ${status.flags.join(', ')}`);
+}
+
+/**
+ * Print the result of a transport command
+ */
+function printTransport(result) {
+    if (result.success) {
+        console.log(`   ✅ ${result.command}: ${result.reply}`);
+    } else {
+        console.log(`   ❌ ${result.command}: ${result.error}`);
+    }
+    return result;
+}
+
+/**
+ * Scan the configured VTR ports
+ */
+async function scanVtrs(debug = false) {
+    const ports = getVtrPorts();
+    const vtrs = await autoScanVtrs(ports, { debug });
+
+    console.log(`\n📊 Found ${vtrs.length} of ${ports.length} VTR(s)`);
+    for (const vtr of vtrs) {
+        console.log(`   📼 Channel ${vtr.channelId} ${vtr.port}: ${vtr.name} - ${vtr.mode || 'status unknown'} (${vtr.responseTime}ms)`);
+    }
+    return vtrs;
+}
+
+/**
+ * Identify a deck and show its status
+ */
+async function checkVtr(path, debug = false) {
+    const identity = await getVtrDeviceType(path, 1000, debug);
+    if (!identity.success) {
+        console.log(`❌ No VTR on ${path}: ${identity.error}`);
+        return false;
+    }
+    console.log(`📼 ${identity.deviceType.model || 'Unknown model'} (${identity.deviceType.id}) on ${path}`);
+
+    const result = await getVtrStatus(path, 1000, debug);
+    if (result.success) printStatus(result.status);
+    else console.log(`   ❌ Status: ${result.error}`);
+
+    const time = await getVtrTimecode(path, 'LTC', 1000, debug);
+    console.log(`   Position: ${time.success ? `${time.timecode} (${time.source}, ${time.rate})` : time.error}`);
+    return result.success;
+}
+
+/**
+ * Poll the deck status until Ctrl+C, printing each change
+ */
+async function monitorVtr(path, debug = false) {
+    console.log(`👀 Monitoring ${path} (Ctrl+C to stop)...`);
+
+    let running = true;
+    let last = null;
+    process.once('SIGINT', () => { running = false; });
+
+    while (running) {
+        const result = await getVtrStatus(path, 1000, debug);
+        const time = await getVtrTimecode(path, 'LTC', 1000, debug);
+        const line = result.success ?
+            `${time.success ? time.timecode : '--:--:--:--'} ${result.status.mode}${result.status.still ? ' still' : ''} [${result.status.flags.join(', ')}]` :
+            `error: ${result.error}`;
+
+        if (line !== last) {
+            console.log(`   ${new Date().toISOString()} ${line}`);
+            last = line;
+        }
+        await new Promise(resolve => setTimeout(resolve, MONITOR_INTERVAL));
+    }
+}
+
+/**
+ * Run each transport command and report the mode the deck settles in
+ */
+async function testVtrTransport(path, debug = false) {
+    console.log(`🧪 Testing transport commands on ${path}...`);
+
+    const steps = [
+        ['STANDBY ON', standbyOnVtr],
+        ['PLAY', playVtr],
+        ['STOP', stopVtr],
+        ['FAST FWD', fastForwardVtr],
+        ['STOP', stopVtr],
+        ['REWIND', rewindVtr],
+        ['STOP', stopVtr]
+    ];
+    let passed = 0;
+
+    for (const [label, send] of steps) {
+        console.log(`\n   ▶️  ${label}`);
+        const result = printTransport(await send(path, 1000, debug));
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const status = await getVtrStatus(path, 1000, debug);
+        console.log(`   📊 Mode after: ${status.success ? status.status.mode : status.error}`);
+        if (result.success) passed++;
+    }
+
+    console.log(`\n📊 ${passed}/${steps.length} commands acknowledged`);
+    return passed === steps.length;
+}
+
+/**
+ * Cue the deck to a timecode with a preroll and report when it is ready
+ */
+async function cueVtrTo(path, timecode, preroll, debug = false) {
+    console.log(`⏩ Cueing ${path} to ${timecode} with ${preroll}s preroll...`);
+
+    try {
+        const result = await cueVtr(path, timecode, { preroll, debug });
+        console.log(`   ✅ Ready at ${result.position || result.cuePoint} (cue point ${result.cuePoint}, ${result.executionTime}ms)`);
+        return true;
+    } catch (error) {
+        console.log(`   ❌ Cue failed (${error.code}): ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Interactive transport control
+ */
+async function controlVtr(path, debug = false) {
+    console.log(`\n🎮 VTR control on ${path}`);
+    console.log('   1. Status          2. Play           3. Stop');
+    console.log('   4. Fast forward    5. Rewind         6. Standby on');
+    console.log('   7. Standby off     8. Eject          0. Exit');
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+    const getUserInput = () => new Promise(resolve => rl.question('\n🎮 Enter command (0-8): ', answer => resolve(answer.trim())));
+
+    const actions = {
+        '2': playVtr,
+        '3': stopVtr,
+        '4': fastForwardVtr,
+        '5': rewindVtr,
+        '6': standbyOnVtr,
+        '7': standbyOffVtr,
+        '8': ejectVtr
+    };
+
+    let running = true;
+    while (running) {
+        const choice = await getUserInput();
+
+        if (choice === '0') {
+            running = false;
+        } else if (choice === '1') {
+            const result = await getVtrStatus(path, 1000, debug);
+            if (result.success) printStatus(result.status);
+            else console.log(`   ❌ Failed: ${result.error}`);
+        } else if (actions[choice]) {
+            printTransport(await actions[choice](path, 1000, debug));
+        } else {
+            console.log('   ❓ Unknown choice');
+        }
+    }
+
+    rl.close();
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    console.log('📼 VTR Status Checker & Controller');
+    console.log('==================================');
+
+    const debugMode = args.includes('--debug') || args.includes('-d');
+    const filteredArgs = args.filter(arg => arg !== '--debug' && arg !== '-d');
+
+    const command = filteredArgs[0] || '--scan';
+    // --cue takes the timecode before the port
+    const cueArgs = command === '--cue' ? filteredArgs.splice(1, 1) : [];
+    const vtrPath = filteredArgs[1] || getVtrPorts()[0];
+    const preroll = filteredArgs[2] !== undefined ? parseInt(filteredArgs[2], 10) : 5;
+
+    if (command === '--help' || command === '-h') {
+        console.log('\nUsage:');
+        console.log('  node check_vtr_status.js [--scan] [--debug]       # Scan the configured VTR ports');
+        console.log('  node check_vtr_status.js --status [port]          # Identify the deck and show its status');
+        console.log('  node check_vtr_status.js --control [port]         # Interactive control');
+        console.log('  node check_vtr_status.js --play [port]            # PLAY');
+        console.log('  node check_vtr_status.js --pause [port]           # STOP with standby on (still picture)');
+        console.log('  node check_vtr_status.js --stop [port]            # STOP, then STANDBY OFF');
+        console.log('  node check_vtr_status.js --monitor [port]         # Print status changes until Ctrl+C');
+        console.log('  node check_vtr_status.js --test [port]            # Exercise the transport commands');
+        console.log('  node check_vtr_status.js --cue <tc> [port] [s]    # Cue to a timecode with s seconds preroll (default 5)');
+        console.log('\nPort defaults to the first vtr entry in config/default.json');
+        return;
+    }
+
+    if (command !== '--scan' && !vtrPath) {
+        console.log('❌ Error: Port path required (no vtr devices configured)');
+        process.exitCode = 1;
+        return;
+    }
+
+    switch (command) {
+        case '--scan':
+            await scanVtrs(debugMode);
+            break;
+
+        case '--status':
+            await checkVtr(vtrPath, debugMode);
+            break;
+
+        case '--control':
+            await controlVtr(vtrPath, debugMode);
+            break;
+
+        case '--play':
+            printTransport(await playVtr(vtrPath, 1000, debugMode));
+            break;
+
+        case '--pause':
+            printTransport(await standbyOnVtr(vtrPath, 1000, debugMode));
+            printTransport(await stopVtr(vtrPath, 1000, debugMode));
+            break;
+
+        case '--stop':
+            if (printTransport(await stopVtr(vtrPath, 1000, debugMode)).success) {
+                printTransport(await standbyOffVtr(vtrPath, 1000, debugMode));
+            }
+            break;
+
+        case '--monitor':
+            await monitorVtr(vtrPath, debugMode);
+            break;
+
+        case '--test':
+            if (!await testVtrTransport(vtrPath, debugMode)) process.exitCode = 1;
+            break;
+
+        case '--cue':
+            if (!cueArgs[0]) {
+                console.log('❌ Error: Timecode required, e.g. --cue 01:00:00:00');
+                process.exitCode = 1;
+            } else if (!await cueVtrTo(vtrPath, cueArgs[0], preroll, debugMode)) {
+                process.exitCode = 1;
+            }
+            break;
+
+        default:
+            console.log(`❌ Unknown command: ${command}`);
+            console.log('💡 Use --help to see available commands');
+            process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    scanVtrs,
+    checkVtr,
+    monitorVtr,
+    testVtrTransport,
+    cueVtrTo,
+    controlVtr
+};
+
+if (require.main === module) {
+    main().then(closeAllConnections).catch(error => {
+        console.error('❌ Unhandled error:', error);
+        process.exit(1);
+    });
+}
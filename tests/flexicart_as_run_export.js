@@ -0,0 +1,69 @@
+/**
+ * FlexiCart As-Run Export Tool
+ * Writes one day of the as-run log as CSV or BXF-style XML
+ *
+ * Usage:
+ *   node tests/flexicart_as_run_export.js [YYYY-MM-DD] [--csv | --bxf] [--out <file>] [--rate <fps>]
+ *
+ * Without a day, today (UTC) is exported; without --out, the export goes to stdout.
+ * The log directory comes from config "asRun".
+ */
+
+const fs = require('fs');
+const { AsRunLog } = require('../src/commands/flexicart_as_run');
+const { getDeviceConfig } = require('../src/commands/device_config');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { day: new Date().toISOString().slice(0, 10), format: 'csv', out: null, frameRate: undefined };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--csv': options.format = 'csv'; break;
+            case '--bxf': options.format = 'bxf'; break;
+            case '--out': options.out = argv[++i]; break;
+            case '--rate': options.frameRate = argv[++i]; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                options.day = arg;
+        }
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(options.day)) throw new Error(`Day must be YYYY-MM-DD, got ${options.day}`);
+    return options;
+}
+
+/**
+ * Export a day and report where it went
+ */
+function runExport(options) {
+    const log = new AsRunLog(getDeviceConfig().asRun);
+    const entries = log.readDay(options.day);
+    const text = log.exportDay(options.day, options.format, { frameRate: options.frameRate });
+
+    if (options.out) {
+        fs.writeFileSync(options.out, text);
+        console.log(`📋 ${entries.length} as-run entries for ${options.day} written to ${options.out} (${options.format})`);
+    } else {
+        process.stdout.write(text);
+    }
+    return entries;
+}
+
+module.exports = {
+    parseArgs,
+    runExport
+};
+
+// Run if called directly
+if (require.main === module) {
+    try {
+        runExport(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error(`\n💥 Export error: ${error.message}`);
+        process.exit(1);
+    }
+}
@@ -10,7 +10,7 @@ const { SerialPort } = require('serialport');
 
 // CORRECTED Configuration
 const CONFIG = {
-    PORT: '/dev/ttyRP0',
+    PORT: process.env.FLEXICART_PORT || '/dev/ttyRP0',
     BAUD_RATE: 38400,
     DATA_BITS: 8,
     PARITY: 'even',
@@ -4,7 +4,7 @@
  * Based on official FlexiCart protocol specification
  */
 
-const { createFlexiCartCommand, sendCommand } = require('../src/commands/flexicart_serial_utils');
+const { createFlexiCartCommand, sendCommand, closeAllConnections } = require('../src/commands/flexicart_serial_utils');
 
 /**
  * FlexiCart Commands for initialization and status
@@ -19,7 +19,7 @@ async function fullFlexiCartInitAndScan() {
     console.log('🚀 FlexiCart Complete Initialization and Full Bin Scan');
     console.log('=====================================================\n');
     
-    const port = '/dev/ttyRP0';
+    const port = process.env.FLEXICART_PORT || '/dev/ttyRP0';
     const cartAddress = 0x01;
     const maxBins = 360; // Full FlexiCart capacity
     
@@ -325,7 +325,7 @@ function extractBarcodeFromResponse(response, position) {
 
 // Run the test
 if (require.main === module) {
-    fullFlexiCartInitAndScan().catch(console.error);
+    fullFlexiCartInitAndScan().catch(console.error).finally(closeAllConnections);
 }
 
 module.exports = { fullFlexiCartInitAndScan };
@@ -10,6 +10,8 @@
 
 const { FlexiCartStateManager } = require('../src/commands/flexicart_data_structures');
 
+const PORT = process.env.FLEXICART_PORT || '/dev/ttyRP0';
+
 async function testCorrectedBarcodeCommands() {
     console.log('🔧 FlexiCart Corrected Barcode Command Test');
     console.log('==========================================\n');
@@ -18,9 +20,9 @@ async function testCorrectedBarcodeCommands() {
     const stateManager = new FlexiCartStateManager('FC01', 30);
     
     // Set the serial port for Linux system  
-    stateManager.barcodeIntegration.setSerialPort('/dev/ttyRP0');
+    stateManager.barcodeIntegration.setSerialPort(PORT);
     
-    console.log('📡 Using FlexiCart on /dev/ttyRP0 with CORRECTED command structure');
+    console.log(`📡 Using FlexiCart on ${PORT} with CORRECTED command structure`);
     console.log('🔧 Configuration: 30-bin system, cart address 0x01');
     console.log('✅ Commands now use proper FlexiCart protocol structure\n');
     
@@ -42,7 +44,7 @@ async function testCorrectedBarcodeCommands() {
                 // Test lamp control with corrected command
                 console.log(`💡 Testing corrected SET BIN LAMP command...`);
                 const lampResult = await stateManager.barcodeIntegration.barcodeReader.setBinLamp(
-                    '/dev/ttyRP0', testPosition, true, 0x01
+                    PORT, testPosition, true, 0x01
                 );
                 console.log(`   Lamp control: ${lampResult ? 'SUCCESS' : 'FAILED'}`);
             }
@@ -88,20 +90,20 @@ async function testCorrectedBarcodeCommands() {
         console.log('========================================');
         
         // Show the actual command bytes being sent
-        const { createFlexiCartCommand } = require('../src/commands/flexicart_serial_utils');
+        const { encodeCommand } = require('../src/commands/flexicart_command_catalog');
         
         console.log('📡 Corrected Command Structure:');
         console.log('------------------------------');
         
-        // SENSE BIN STATUS for position 1
-        const senseBinCmd = createFlexiCartCommand(0x01, 0x62, 0x00, 1, 0x80);
-        console.log(`SENSE BIN STATUS (pos 1): ${senseBinCmd.toString('hex').match(/.{2}/g).join(' ')}`);
-        console.log(`   STX=0x02, BC=0x06, UA1=0x01, UA2=0x01, BT=0x00, CMD=0x62, CTRL=0x01, DATA=0x80, CS=calculated`);
+        // SENSE BIN STATUS for position 300
+        const senseBinCmd = encodeCommand('SENSE_BIN_STATUS', { bin: 300 });
+        console.log(`SENSE BIN STATUS (pos 300): ${senseBinCmd.toString('hex').match(/.{2}/g).join(' ')}`);
+        console.log(`   STX=0x02, BC=0x08, UA1=0x01, UA2=0x01, BT=0x01, CMD=0x62, C.C=0x01, BIN=0x03 0x00, BIT MAP=0x09, CS=calculated`);
         
-        // SET BIN LAMP for position 1 (ON)
-        const setBinLampCmd = createFlexiCartCommand(0x01, 0x09, 0x00, 1, 0x01);
-        console.log(`SET BIN LAMP ON (pos 1):  ${setBinLampCmd.toString('hex').match(/.{2}/g).join(' ')}`);
-        console.log(`   STX=0x02, BC=0x06, UA1=0x01, UA2=0x01, BT=0x00, CMD=0x09, CTRL=0x01, DATA=0x01, CS=calculated`);
+        // SET BIN LAMP for position 300 (ON)
+        const setBinLampCmd = encodeCommand('SET_BIN_LAMP', { bin: 300, on: true });
+        console.log(`SET BIN LAMP ON (pos 300):  ${setBinLampCmd.toString('hex').match(/.{2}/g).join(' ')}`);
+        console.log(`   STX=0x02, BC=0x08, UA1=0x01, UA2=0x01, BT=0x01, CMD=0x09, C.C=0x01, BIN=0x03 0x00, DATA=0x01, CS=calculated`);
         
         // Show current inventory after corrected scan
         console.log('\n📊 Current Inventory (After Corrected Commands):');
@@ -3,13 +3,14 @@
  * Extended initialization monitoring with detailed status analysis
  */
 
-const { createFlexiCartCommand, sendCommand } = require('../src/commands/flexicart_serial_utils');
+const { createFlexiCartCommand, sendCommand, closeAllConnections } = require('../src/commands/flexicart_serial_utils');
+const { encodeCommand, getCassetteBinNumber } = require('../src/commands/flexicart_command_catalog');
 
 async function enhancedInitializationTest() {
     console.log('🔍 FlexiCart Enhanced Initialization Monitor');
     console.log('==========================================\n');
     
-    const port = '/dev/ttyRP0';
+    const port = process.env.FLEXICART_PORT || '/dev/ttyRP0';
     const cartAddress = 0x01;
     
     try {
@@ -98,7 +99,7 @@ async function enhancedInitializationTest() {
         console.log('===============================================');
         
         for (let pos = 1; pos <= 20; pos++) {
-            const binCmd = createFlexiCartCommand(cartAddress, 0x62, 0x00, pos, 0x80);
+            const binCmd = encodeCommand('SENSE_BIN_STATUS', { bin: getCassetteBinNumber(pos) }, cartAddress);
             
             try {
                 const binResp = await sendCommand(port, binCmd, 5000);
@@ -176,7 +177,7 @@ function analyzeBinQuick(response) {
 
 // Run the test
 if (require.main === module) {
-    enhancedInitializationTest().catch(console.error);
+    enhancedInitializationTest().catch(console.error).finally(closeAllConnections);
 }
 
 module.exports = { enhancedInitializationTest };
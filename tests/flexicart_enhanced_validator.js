@@ -11,7 +11,7 @@ const { SerialPort } = require('serialport');
 
 // CORRECTED Configuration (confirmed working)
 const CONFIG = {
-    PORT: '/dev/ttyRP0',        // CORRECTED: Was /dev/ttyRP8
+    PORT: process.env.FLEXICART_PORT || '/dev/ttyRP0',        // CORRECTED: Was /dev/ttyRP8
     BAUD_RATE: 38400,           // Confirmed
     DATA_BITS: 8,               // Confirmed  
     PARITY: 'even',             // Confirmed
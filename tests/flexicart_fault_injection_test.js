@@ -0,0 +1,329 @@
+/**
+ * FlexiCart Fault Injection Test
+ * Runs the stack against the in-process simulator with scripted faults and
+ * checks that retries, macro monitoring timeouts, operation timeouts and the
+ * barcode fallback paths react the way they should. No hardware needed.
+ *
+ * Usage:
+ *   node tests/flexicart_fault_injection_test.js [scenario name filter]
+ */
+
+const { FlexiCartSimulator, FAULT_TYPES, MACRO_END_INFO } = require('../src/commands/flexicart_simulator');
+const { sendCommand, createFlexiCartCommand } = require('../src/commands/flexicart_serial_utils');
+const { connectionManager } = require('../src/commands/flexicart_connection_manager');
+const { overrideLineSettings } = require('../src/commands/device_config');
+const { FlexiCartStateIntegration } = require('../src/commands/flexicart_state_integration');
+const { FlexiCartBarcodeReader } = require('../src/commands/flexicart_barcode_reader');
+const { encodeCommand, getCassetteBinNumber } = require('../src/commands/flexicart_command_catalog');
+const { decodeStatusReturn } = require('../src/commands/flexicart_status_parser');
+
+const CONFIG = {
+    ENDPOINT: 'fault-sim',
+    RESPONSE_TIMEOUT: 300,      // Short line timeout so lost replies surface quickly
+    TIME_SCALE: 0.25
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/**
+ * Wait until a condition holds or fail
+ */
+async function waitFor(condition, timeoutMs, message) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) throw new Error(`Timed out waiting for ${message}`);
+        await sleep(20);
+    }
+}
+
+/**
+ * Send one command to the simulated cart through the normal stack
+ */
+function send(port, cmd, ctrl = 0x00, data = 0x80, retry = undefined) {
+    return sendCommand(port, createFlexiCartCommand(0x01, cmd, 0x00, ctrl, data), CONFIG.RESPONSE_TIMEOUT, false, { retry });
+}
+
+/**
+ * ELEVATOR MOVE (14H) to a bin, addressed by its BIN No.
+ */
+function moveTo(port, bin, retry = undefined) {
+    const command = encodeCommand('ELEVATOR_MOVE', { macro: 1, destination: getCassetteBinNumber(bin) });
+    return sendCommand(port, command, CONFIG.RESPONSE_TIMEOUT, false, { retry });
+}
+
+async function expectError(promise, code) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.code === code, `expected ${code}, got ${error.code}: ${error.message}`);
+        return error;
+    }
+    throw new Error(`expected ${code}, but the command succeeded`);
+}
+
+/**
+ * Scenarios: { name, run(context) }; context = { simulator, cart, port }
+ */
+const SCENARIOS = [
+    {
+        name: 'NAK storm shorter than the retry budget is absorbed',
+        run: async ({ simulator, port }) => {
+            simulator.injectFault(FAULT_TYPES.NAK, { count: 2 });
+            const response = await send(port, 0x61, 0x13);
+            assert(response[5] === 0x71, 'status frame after two NAKs');
+        }
+    },
+    {
+        name: 'NAK storm longer than the retry budget fails with RESPONSE_NAK',
+        run: async ({ simulator, port }) => {
+            simulator.injectFault(FAULT_TYPES.NAK, { count: 10 });
+            const error = await expectError(send(port, 0x61, 0x13), 'RESPONSE_NAK');
+            assert(error.attempts === 3, `3 attempts, got ${error.attempts}`);
+        }
+    },
+    {
+        name: 'Corrupted checksum is retried',
+        run: async ({ simulator, port }) => {
+            simulator.injectFault(FAULT_TYPES.CORRUPT_CHECKSUM, { count: 1 });
+            const response = await send(port, 0x61, 0x13);
+            assert(response[5] === 0x71, 'clean status frame on the second attempt');
+        }
+    },
+    {
+        name: 'Lost reply ends in RESPONSE_TIMEOUT',
+        run: async ({ simulator, port }) => {
+            simulator.injectFault(FAULT_TYPES.DROP_REPLY, { cmd: 0x61 });
+            await expectError(send(port, 0x61, 0x13), 'RESPONSE_TIMEOUT');
+        }
+    },
+    {
+        name: 'Truncated reply ends in RESPONSE_INCOMPLETE',
+        run: async ({ simulator, port }) => {
+            simulator.injectFault(FAULT_TYPES.DROP_REPLY, { cmd: 0x61, bytes: 3 });
+            await expectError(send(port, 0x61, 0x13), 'RESPONSE_INCOMPLETE');
+        }
+    },
+    {
+        name: 'Delayed ACK on a move is not resent while the cart is moving',
+        run: async ({ simulator, cart, port }) => {
+            let starts = 0;
+            cart.on('macroStart', () => starts++);
+            simulator.injectFault(FAULT_TYPES.DELAY_REPLY, { cmd: 0x14, ms: CONFIG.RESPONSE_TIMEOUT * 2, count: 1 });
+
+            const error = await expectError(moveTo(port, 180), 'RESPONSE_TIMEOUT');
+            assert(/may have been executed/.test(error.message), 'refused to resend');
+            await waitFor(() => !cart.macro, 5000, 'move to finish');
+            assert(starts === 1, `move executed once, got ${starts}`);
+            assert(cart.currentBin === 180, `cart at bin 180, got ${cart.currentBin}`);
+        }
+    },
+    {
+        name: 'NAKed move is resent once the status query shows it did not run, and runs once',
+        run: async ({ simulator, cart, port }) => {
+            let starts = 0;
+            cart.on('macroStart', () => starts++);
+            simulator.injectFault(FAULT_TYPES.NAK, { cmd: 0x14, count: 1 });
+
+            const ack = await moveTo(port, 20);
+            assert(ack[0] === 0x04, 'move ACKed on the second attempt');
+            await waitFor(() => !cart.macro, 5000, 'move to finish');
+            assert(starts === 1, `move executed once, got ${starts}`);
+        }
+    },
+    {
+        name: 'Lost ACK of a move refused before execution is resent after the status query',
+        run: async ({ simulator, cart, port }) => {
+            let attempts = 0;
+            simulator.on('command', ({ frame }) => { if (frame.cmd === 0x14) attempts++; });
+            simulator.injectFault(FAULT_TYPES.DOOR_OPEN);
+            simulator.injectFault(FAULT_TYPES.DROP_REPLY, { cmd: 0x14, count: 1 });
+
+            const ack = await moveTo(port, 10);
+            assert(ack[0] === 0x04, 'move ACKed on the second attempt');
+            assert(attempts === 2, `move sent twice, got ${attempts}`);
+            assert(cart.currentBin !== 10, 'cart did not move');
+        }
+    },
+    {
+        name: 'Emergency stop cancels a move retry waiting out its backoff',
+        run: async ({ simulator, cart, port }) => {
+            let starts = 0;
+            cart.on('macroStart', () => starts++);
+            simulator.injectFault(FAULT_TYPES.NAK, { cmd: 0x14, count: 1 });
+            const naked = new Promise(resolve => simulator.once('fault', resolve));
+
+            const move = expectError(moveTo(port, 20, { backoff: 500 }), 'REQUEST_FLUSHED');
+            await naked;
+            await sendCommand(port, encodeCommand('EMERGENCY_STOP'), CONFIG.RESPONSE_TIMEOUT, false);
+            await move;
+            await sleep(600);
+            assert(starts === 0, `move never executed, got ${starts}`);
+        }
+    },
+    {
+        name: 'Door open refuses macros with end information 58H',
+        run: async ({ simulator, cart, port }) => {
+            simulator.injectFault(FAULT_TYPES.DOOR_OPEN);
+            const ack = await moveTo(port, 10);
+            assert(ack[0] === 0x04, 'macro ACKed');
+            const { macroEnd } = decodeStatusReturn(await send(port, 0x61, 0x13));
+            assert(macroEnd && macroEnd.endInfo === MACRO_END_INFO.DOOR_OPEN,
+                `end info 58H, got ${macroEnd ? macroEnd.endInfo.toString(16) : 'none'}`);
+            assert(cart.currentBin !== 10, 'cart did not move');
+        }
+    },
+    {
+        name: 'Emergency stop halts motion and blocks macros until initialize',
+        run: async ({ simulator, cart, port }) => {
+            await moveTo(port, 190);
+            await waitFor(() => cart.macro && cart.snapshot().elevatorMoving, 2000, 'move to start');
+            simulator.injectFault(FAULT_TYPES.EMERGENCY_STOP);
+            assert(!cart.macro && cart.lastMacro.endInfo === MACRO_END_INFO.CANCELLED, 'move cancelled');
+
+            await moveTo(port, 190);
+            assert(cart.lastMacro.endInfo === MACRO_END_INFO.ABNORMAL_END, 'macro refused while stopped');
+
+            await send(port, 0x46);
+            await waitFor(() => !cart.macro, 5000, 'initialize to finish');
+            assert(!cart.emergencyStop && cart.currentBin === 1, 'initialized and home');
+        }
+    },
+    {
+        name: 'Movement that never completes times out in monitorMacroOperation',
+        integration: true,
+        run: async ({ simulator, integration }) => {
+            simulator.injectFault(FAULT_TYPES.STUCK_MOTION);
+            integration.macroExecutor.timeoutFactor = 0.5;     // 2.5s instead of 10s for a move
+            const result = await integration.moveToPosition(100);
+            const operationId = result.operationId;
+
+            const operations = integration.stateManager.operations;
+            await waitFor(() => operations.getOperation(operationId).status !== 'in_progress', 10000, 'macro monitor');
+            const operation = operations.getOperation(operationId);
+            assert(operation.status === 'timeout', `operation timeout, got ${operation.status}`);
+            assert(operation.endTime !== null, 'timeout recorded an end time');
+        }
+    },
+    {
+        name: 'Lost macro ACK fails the operation instead of leaving it open',
+        integration: true,
+        run: async ({ simulator, integration }) => {
+            simulator.injectFault(FAULT_TYPES.DROP_REPLY, { cmd: 0x14 });
+            const result = await integration.moveToPosition(150);
+
+            const operation = integration.stateManager.operations.getOperation(result.operationId);
+            assert(!result.success, 'move reported as failed');
+            assert(result.error === 'Expected ACK, received nothing', `no-ACK error, got ${result.error}`);
+            assert(operation.status === 'failed', `operation failed, got ${operation.status}`);
+            assert(!integration.isMovementActive(), 'no movement left active');
+        }
+    },
+    {
+        name: 'Unreadable barcode reports an occupied bin without barcode data',
+        run: async ({ simulator, cart, port }) => {
+            const bin = Array.from(cart.bins.keys())[0];
+            simulator.injectFault(FAULT_TYPES.UNREADABLE_BARCODE, { bins: [bin] });
+            const result = await new FlexiCartBarcodeReader().readBarcodeAtPosition(port, bin);
+            assert(result.success && result.binOccupied, 'bin reported occupied');
+            assert(result.barcode === `NO_DATA_${bin}`, `no barcode, got ${result.barcode}`);
+        }
+    },
+    {
+        name: 'Barcode read survives a NAK storm',
+        run: async ({ simulator, cart, port }) => {
+            const [bin, barcode] = Array.from(cart.bins.entries())[0];
+            simulator.injectFault(FAULT_TYPES.NAK, { cmd: 0x62, count: 2 });
+            const result = await new FlexiCartBarcodeReader().readBarcodeAtPosition(port, bin);
+            assert(result.barcode === barcode, `barcode ${barcode}, got ${result.barcode}`);
+        }
+    },
+    {
+        name: 'Lost SENSE BIN replies fall back to BIN STATUS RETURN',
+        run: async ({ simulator, cart, port }) => {
+            const [bin, barcode] = Array.from(cart.bins.entries())[0];
+            const empty = Array.from({ length: cart.binCount }, (_, i) => i + 1).find(b => !cart.bins.has(b));
+            const reader = new FlexiCartBarcodeReader();
+
+            simulator.injectFault(FAULT_TYPES.DROP_REPLY, { cmd: 0x62 });
+            const occupied = await reader.readBarcodeAtPosition(port, bin);
+            assert(occupied.barcode === barcode, `barcode ${barcode}, got ${occupied.barcode}`);
+            const vacant = await reader.readBarcodeAtPosition(port, empty);
+            assert(vacant.success && !vacant.binOccupied, `bin ${empty} reported empty`);
+        }
+    },
+    {
+        name: 'No reply at all marks the bin occupied with a timeout placeholder',
+        run: async ({ simulator, cart, port }) => {
+            const bin = Array.from(cart.bins.keys())[0];
+            simulator.injectFault(FAULT_TYPES.DROP_REPLY);
+            const result = await new FlexiCartBarcodeReader().readBarcodeAtPosition(port, bin);
+            assert(result.success && result.binOccupied, 'bin reported occupied');
+            assert(result.barcode === `TIMEOUT_${bin}`, `placeholder, got ${result.barcode}`);
+        }
+    }
+];
+
+/**
+ * Run every scenario on a fresh simulator
+ */
+async function runFaultInjectionTests(filter = null) {
+    console.log('🧨 FlexiCart Fault Injection Test');
+    console.log('=================================\n');
+
+    const results = [];
+    for (const scenario of SCENARIOS) {
+        if (filter && !scenario.name.toLowerCase().includes(filter.toLowerCase())) continue;
+
+        const name = `${CONFIG.ENDPOINT}-${results.length}`;
+        const simulator = new FlexiCartSimulator({ timeScale: CONFIG.TIME_SCALE });
+        const port = simulator.attachMemory(name);
+        overrideLineSettings(port, { responseTimeout: CONFIG.RESPONSE_TIMEOUT });
+        const context = { simulator, cart: simulator.getCart(), port };
+
+        console.log(`🧪 ${scenario.name}`);
+        const start = Date.now();
+        try {
+            if (scenario.integration) {
+                context.integration = new FlexiCartStateIntegration(port, 'FC01');
+                await context.integration.connect();
+            }
+            await scenario.run(context);
+            results.push({ name: scenario.name, passed: true });
+            console.log(`   ✅ Passed (${Date.now() - start}ms)\n`);
+        } catch (error) {
+            results.push({ name: scenario.name, passed: false, error: error.message });
+            console.log(`   ❌ Failed: ${error.message}\n`);
+        } finally {
+            if (context.integration) await context.integration.destroy();
+            await connectionManager.close(port);
+            simulator.close();
+        }
+    }
+
+    const passed = results.filter(r => r.passed).length;
+    console.log('📊 FAULT INJECTION SUMMARY');
+    console.log('==========================');
+    results.forEach(r => console.log(`${r.passed ? '✅' : '❌'} ${r.name}${r.error ? ` - ${r.error}` : ''}`));
+    console.log(`\n${passed}/${results.length} scenarios passed`);
+    return results;
+}
+
+module.exports = {
+    CONFIG,
+    SCENARIOS,
+    runFaultInjectionTests
+};
+
+// Run test if called directly
+if (require.main === module) {
+    runFaultInjectionTests(process.argv[2])
+        .then(results => process.exit(results.every(r => r.passed) ? 0 : 1))
+        .catch(error => {
+            console.error(`\n💥 Test error: ${error.message}`);
+            process.exit(1);
+        });
+}
@@ -5,7 +5,7 @@
  */
 
 const { FlexiCartStateManager } = require('../src/commands/flexicart_data_structures');
-const { createFlexiCartCommand, sendCommand } = require('../src/commands/flexicart_serial_utils');
+const { createFlexiCartCommand, sendCommand, closeAllConnections } = require('../src/commands/flexicart_serial_utils');
 
 /**
  * FlexiCart Commands for initialization and status monitoring
@@ -21,7 +21,7 @@ async function testFlexiCartInitializationAndReading() {
     console.log('🏗️  FlexiCart Elevator Initialization and Bin Reading Test');
     console.log('======================================================\n');
     
-    const serialPort = '/dev/ttyRP0';
+    const serialPort = process.env.FLEXICART_PORT || '/dev/ttyRP0';
     const cartAddress = 0x01;
     
     console.log('📡 Using FlexiCart on /dev/ttyRP0');
@@ -305,7 +305,7 @@ function analyzeBinResponse(response, position) {
 
 // Run the test
 if (require.main === module) {
-    testFlexiCartInitializationAndReading().catch(console.error);
+    testFlexiCartInitializationAndReading().catch(console.error).finally(closeAllConnections);
 }
 
 module.exports = { testFlexiCartInitializationAndReading };
@@ -11,7 +11,7 @@ const { SerialPort } = require('serialport');
 
 // CORRECTED FlexiCart Configuration
 const FLEXICART_CONFIG = {
-    PORT: '/dev/ttyRP0',           // Corrected port with proper cabling
+    PORT: process.env.FLEXICART_PORT || '/dev/ttyRP0',           // Corrected port with proper cabling
     BAUD_RATE: 38400,             // Confirmed working baud rate
     DATA_BITS: 8,                 // 8 data bits
     PARITY: 'even',               // Even parity
@@ -38,27 +38,9 @@ const FLEXICART_CONFIG = {
 const FLEXICART_COMMANDS = {
     // Category 1: Immediate Response Commands (Return data directly)
     STATUS_REQUEST: {
-        cmd: 0x61, ctrl: 0x10, data: 0x80,
+        cmd: 0x61, ctrl: 0x13, data: 0x80,
         category: 'immediate',
-        description: 'Get device status - immediate response'
-    },
-    
-    POSITION_REQUEST: {
-        cmd: 0x61, ctrl: 0x20, data: 0x80,
-        category: 'immediate',
-        description: 'Get current position - immediate response'
-    },
-    
-    INVENTORY_REQUEST: {
-        cmd: 0x61, ctrl: 0x30, data: 0x80,
-        category: 'immediate',
-        description: 'Get cart inventory - immediate response'
-    },
-    
-    ERROR_STATUS: {
-        cmd: 0x61, ctrl: 0x40, data: 0x80,
-        category: 'immediate',
-        description: 'Get error conditions - immediate response'
+        description: 'Sense cart status (BIT MAP 1 13H, BIT MAP 2 80H) - immediate response'
     },
     
     // Category 2: Macro Commands (Return ACK/NACK, need status polling)
@@ -86,29 +68,8 @@ const FLEXICART_COMMANDS = {
         description: 'Rotate carousel counter-clockwise - returns ACK/NACK + poll for completion'
     },
     
-    MOVE_TO_POSITION: {
-        cmd: 0x43, ctrl: 0x00, data: 0x80,  // ctrl will be position number
-        category: 'macro',
-        description: 'Move to specific position - returns ACK/NACK + poll for completion'
-    },
-    
-    LOAD_CART: {
-        cmd: 0x44, ctrl: 0x01, data: 0x80,
-        category: 'macro',
-        description: 'Load cart into player - returns ACK/NACK + poll for completion'
-    },
-    
-    UNLOAD_CART: {
-        cmd: 0x44, ctrl: 0x02, data: 0x80,
-        category: 'macro',
-        description: 'Unload cart from player - returns ACK/NACK + poll for completion'
-    },
-    
-    EJECT_CART: {
-        cmd: 0x45, ctrl: 0x01, data: 0x80,
-        category: 'macro',
-        description: 'Eject cart to access bay - returns ACK/NACK + poll for completion'
-    },
+    // Cassette Move (10H) and Elevator Move (14H) take a Macro No. and BIN Nos. in a
+    // BT 01H block - build them with encodeCommand() from flexicart_command_catalog
     
     INITIALIZE: {
         cmd: 0x46, ctrl: 0x01, data: 0x80,
@@ -532,7 +532,7 @@ class FlexiCartProtocolTest {
 }
 
 // Run the test
-const portPath = process.argv[2] || '/dev/ttyRP8';
+const portPath = process.argv[2] || process.env.FLEXICART_PORT || '/dev/ttyRP8';
 const cartAddr = process.argv[3] ? parseInt(process.argv[3], 16) : 0x01;
 
 FlexiCartProtocolTest.runComprehensiveTest(portPath, cartAddr);
\ No newline at end of file
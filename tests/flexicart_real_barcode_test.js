@@ -6,6 +6,8 @@
 
 const { FlexiCartStateManager } = require('../src/commands/flexicart_data_structures');
 
+const PORT = process.env.FLEXICART_PORT || '/dev/ttyRP0';
+
 async function testRealBarcodeReading() {
     console.log('🚀 FlexiCart Real Barcode Reading Test');
     console.log('=====================================\n');
@@ -14,9 +16,9 @@ async function testRealBarcodeReading() {
     const stateManager = new FlexiCartStateManager('FC01', 30);
     
     // Set the serial port for Linux system
-    stateManager.barcodeIntegration.setSerialPort('/dev/ttyRP0');
+    stateManager.barcodeIntegration.setSerialPort(PORT);
     
-    console.log('📡 Using FlexiCart integrated barcode scanner on /dev/ttyRP0');
+    console.log(`📡 Using FlexiCart integrated barcode scanner on ${PORT}`);
     console.log('🔧 Configuration: 30-bin system, cart address 0x01\n');
     
     try {
@@ -135,7 +137,7 @@ async function testRealBarcodeReading() {
         
         console.log('\n🎉 Real FlexiCart barcode reading test completed!');
         console.log('✅ Using actual FlexiCart integrated barcode scanner');
-        console.log('📡 SENSE BIN STATUS (0x01, 0x62) commands sent to /dev/ttyRP0');
+        console.log(`📡 SENSE BIN STATUS (0x01, 0x62) commands sent to ${PORT}`);
         console.log('💡 SET BIN LAMP (0x01, 0x09) commands for detected cassettes');
         console.log('🔄 Auto-scan enabled for continuous monitoring');
         console.log(`\n📊 Final Stats:`);
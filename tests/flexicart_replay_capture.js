@@ -0,0 +1,122 @@
+/**
+ * FlexiCart Capture Replay Tool
+ * Feeds a wire capture back through parseFlexicartStatus and
+ * FlexiCartBarcodeReader.parseBinStatusResponse to reproduce decoding problems offline
+ *
+ * Usage:
+ *   node tests/flexicart_replay_capture.js [capture file] [--device <id>] [--port <path>]
+ *        [--parser status|binStatus] [--errors-only] [--json]
+ *
+ * Without a file, the configured capture (config "wireCapture") and its rotated
+ * files are replayed, oldest first.
+ */
+
+const path = require('path');
+const { replayCapture } = require('../src/commands/flexicart_capture_replay');
+const { getDeviceConfig } = require('../src/commands/device_config');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { file: null, device: null, port: null, parsers: null, errorsOnly: false, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--device': options.device = argv[++i]; break;
+            case '--port': options.port = argv[++i]; break;
+            case '--parser': options.parsers = (options.parsers || []).concat(argv[++i]); break;
+            case '--errors-only': options.errorsOnly = true; break;
+            case '--json': options.json = true; break;
+            default: options.file = arg;
+        }
+    }
+
+    if (!options.file) {
+        const { directory, fileName } = getDeviceConfig().wireCapture;
+        options.file = path.resolve(__dirname, '..', directory, fileName);
+    }
+    return options;
+}
+
+/**
+ * Print one replayed exchange
+ */
+function printExchange(exchange) {
+    const label = exchange.unsolicited ? 'UNSOLICITED' : `TX ${exchange.command.toString('hex').toUpperCase()}`;
+    console.log(`\n⏱️  ${exchange.ts} (+${(exchange.us / 1000).toFixed(3)}ms) ${exchange.device}`);
+    console.log(`   📤 ${label}`);
+    console.log(`   📥 RX ${exchange.response.toString('hex').toUpperCase() || '(nothing)'}`);
+
+    for (const message of exchange.decoded.messages) {
+        console.log(`   🔍 ${message.type}${message.hex ? ` ${message.hex}` : ''}`);
+    }
+    if (exchange.decoded.pendingBytes > 0) console.log(`   ⚠️  ${exchange.decoded.pendingBytes} byte(s) of an incomplete frame`);
+    if (exchange.decoded.discardedBytes > 0) console.log(`   ⚠️  ${exchange.decoded.discardedBytes} unframed byte(s)`);
+
+    for (const [name, result] of Object.entries(exchange.results)) {
+        if (result && result.error) {
+            console.log(`   ❌ ${name}: threw ${result.error}`);
+            console.log(result.stack.split('\n').slice(1, 4).map(line => `      ${line.trim()}`).join('\n'));
+        } else {
+            console.log(`   📊 ${name}: ${JSON.stringify(result, (key, value) => key === 'raw' ? undefined : value)}`);
+        }
+    }
+}
+
+/**
+ * Replay a capture and print the results
+ */
+function runReplay(options) {
+    console.log('🎞️  FlexiCart Capture Replay');
+    console.log('===========================');
+
+    const replay = replayCapture(options.file, {
+        parsers: options.parsers || undefined,
+        device: options.device,
+        port: options.port
+    });
+
+    if (replay.files.length === 0) {
+        console.log(`❌ No capture found at ${options.file}`);
+        return null;
+    }
+    console.log(`📁 Files: ${replay.files.join(', ')}`);
+
+    const exchanges = options.errorsOnly ?
+        replay.exchanges.filter(e => Object.values(e.results).some(r => r && r.error)) :
+        replay.exchanges;
+
+    if (options.json) {
+        console.log(JSON.stringify(exchanges.map(e => ({
+            ts: e.ts,
+            device: e.device,
+            command: e.command ? e.command.toString('hex') : null,
+            response: e.response.toString('hex'),
+            results: e.results
+        })), null, 2));
+    } else {
+        exchanges.forEach(printExchange);
+    }
+
+    const { stats } = replay;
+    console.log(`\n📊 ${stats.records} records, ${stats.exchanges} exchanges, ${stats.parsed} parsed, ${stats.parserErrors} parser error(s), ${stats.invalidLines} invalid line(s)`);
+    return replay;
+}
+
+module.exports = {
+    parseArgs,
+    runReplay
+};
+
+// Run if called directly
+if (require.main === module) {
+    try {
+        const replay = runReplay(parseArgs(process.argv.slice(2)));
+        process.exit(replay && replay.stats.parserErrors === 0 ? 0 : 1);
+    } catch (error) {
+        console.error(`\n💥 Replay error: ${error.message}`);
+        process.exit(1);
+    }
+}
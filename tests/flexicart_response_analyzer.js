@@ -17,7 +17,7 @@ class FlexiCartStatusChecker {
         dataBits: 8,
         parity: 'even',
         stopBits: 1,
-        workingPort: '/dev/ttyRP8',
+        workingPort: process.env.FLEXICART_PORT || '/dev/ttyRP8',
         workingCartAddress: 0x01
     };
 
@@ -539,7 +539,7 @@ async function main() {
     }
 
     const command = args[0];
-    const port = args[1] || '/dev/ttyRP8';
+    const port = args[1] || process.env.FLEXICART_PORT || '/dev/ttyRP8';
     const cartAddr = args[2] ? parseInt(args[2], 16) : 0x01;
 
     try {
@@ -0,0 +1,125 @@
+/**
+ * FlexiCart Simulator
+ * Serves a simulated FlexiCart on a pseudo-terminal so every tests/flexicart_*.js
+ * script can run without hardware (requires python3 for the pty)
+ *
+ * Usage:
+ *   node tests/flexicart_simulator.js [--link /tmp/flexicart-sim] [--carts 01,02]
+ *        [--bins 198] [--occupancy 0.5] [--seed 1] [--population bins.json]
+ *        [--time-scale 1] [--fault type[:key=value,...]]... [--quiet]
+ *
+ * Then, in another shell:
+ *   FLEXICART_PORT=/tmp/flexicart-sim node tests/flexicart_status_test.js
+ *
+ * A population file maps bins to barcodes: { "1": "TAPE0001", "7": "PROMO-12" }
+ *
+ * Faults (see FAULT_TYPES in src/commands/flexicart_simulator.js), e.g.
+ *   --fault nak:count=5                 NAK storm on the next five commands
+ *   --fault delayReply:cmd=0x44,ms=4000 Late ACK for loads
+ *   --fault unreadableBarcode:bins=3+7  Barcode read errors in bins 3 and 7
+ *   --fault stuckMotion                 Macros never finish
+ */
+
+const fs = require('fs');
+const { FlexiCartSimulator } = require('../src/commands/flexicart_simulator');
+const { getCommandName, describeBinNumber } = require('../src/commands/flexicart_command_catalog');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { link: '/tmp/flexicart-sim', quiet: false, faults: [], simulator: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--link': options.link = argv[++i]; break;
+            case '--carts': options.simulator.addresses = argv[++i].split(',').map(a => parseInt(a, 16)); break;
+            case '--bins': options.simulator.binCount = parseInt(argv[++i], 10); break;
+            case '--occupancy': options.simulator.occupancy = parseFloat(argv[++i]); break;
+            case '--seed': options.simulator.seed = parseInt(argv[++i], 10); break;
+            case '--population': options.simulator.population = JSON.parse(fs.readFileSync(argv[++i], 'utf8')); break;
+            case '--time-scale': options.simulator.timeScale = parseFloat(argv[++i]); break;
+            case '--fault': options.faults.push(parseFault(argv[++i])); break;
+            case '--quiet': options.quiet = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * "type:key=value,key=value" -> { type, options }; numbers may be hex, lists use "+"
+ */
+function parseFault(spec) {
+    const [type, params = ''] = spec.split(':');
+    const options = {};
+    for (const pair of params.split(',').filter(Boolean)) {
+        const [key, value] = pair.split('=');
+        options[key] = value.includes('+') ? value.split('+').map(Number) : Number(value);
+    }
+    return { type, options };
+}
+
+const hex = (byte) => `0x${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+
+/**
+ * Start the simulator and log what the carts do
+ */
+async function runSimulator(options) {
+    console.log('🧪 FlexiCart Simulator');
+    console.log('======================');
+
+    const simulator = new FlexiCartSimulator(options.simulator);
+    for (const fault of options.faults) simulator.injectFault(fault.type, fault.options);
+    const port = await simulator.openPty(options.link);
+
+    for (const cart of simulator.carts.values()) {
+        console.log(`🗄️  Cart ${hex(cart.ua2)}: ${cart.binCount} bins, ${cart.bins.size} cassettes`);
+        if (options.quiet) continue;
+
+        cart.on('macroStart', ({ cmd, ctrl, source, destination, durationMs }) => {
+            const route = [source, destination].filter(bin => bin !== undefined && bin !== null).map(describeBinNumber);
+            console.log(`   ⚙️  ${hex(cart.ua2)} ${getCommandName(cmd, ctrl)} ${hex(cmd)} CTRL ${hex(ctrl)}` +
+                `${route.length > 0 ? ` ${route.join(' -> ')}` : ''} (${Math.round(durationMs)}ms)`);
+        });
+        cart.on('macroEnd', ({ cmd, endInfo }) =>
+            console.log(`   ${endInfo === 0 ? '✅' : '⚠️ '} ${hex(cart.ua2)} macro ${hex(cmd)} end ${hex(endInfo)} at ${cart.currentBin !== null ? `bin ${cart.currentBin}` : 'a VTR'}`));
+        cart.on('lamp', ({ bin, on }) => console.log(`   💡 ${hex(cart.ua2)} bin ${bin} lamp ${on ? 'on' : 'off'}`));
+        cart.on('tally', ({ on }) => console.log(`   🔴 ${hex(cart.ua2)} ON-AIR ${on ? 'on' : 'off'}`));
+    }
+    if (!options.quiet) {
+        simulator.on('nak', ({ reason }) => console.log(`   ❌ NAK (${reason})`));
+        simulator.on('fault', ({ type, cmd, hits }) => console.log(`   🧨 ${type} on ${hex(cmd)} (#${hits})`));
+    }
+    options.faults.forEach(fault => console.log(`🧨 Fault: ${fault.type} ${JSON.stringify(fault.options)}`));
+
+    console.log(`\n📡 Listening on ${port}`);
+    console.log(`💡 FLEXICART_PORT=${port} node tests/flexicart_status_test.js`);
+    return simulator;
+}
+
+module.exports = {
+    parseArgs,
+    parseFault,
+    runSimulator
+};
+
+// Run if called directly
+if (require.main === module) {
+    runSimulator(parseArgs(process.argv.slice(2)))
+        .then((simulator) => {
+            const shutdown = () => {
+                console.log('\n🛑 Stopping simulator');
+                console.log(JSON.stringify(simulator.toJSON().stats));
+                simulator.close();
+                setTimeout(() => process.exit(0), 200);   // Let the pty bridge remove its link
+            };
+            process.on('SIGINT', shutdown);
+            process.on('SIGTERM', shutdown);
+        })
+        .catch((error) => {
+            console.error(`\n💥 Simulator error: ${error.message}`);
+            process.exit(1);
+        });
+}
@@ -6,7 +6,7 @@
 const { FlexiCartStatusFixed } = require('./check_flexicart_status_fixed');
 
 async function testSingleCommand() {
-    const port = process.argv[2] || '/dev/ttyRP8';
+    const port = process.argv[2] || process.env.FLEXICART_PORT || '/dev/ttyRP8';
     const cmdType = process.argv[3] || 'dummy';
     
     console.log(`🎯 Single FlexiCart Command Test`);
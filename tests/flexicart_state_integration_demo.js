@@ -4,6 +4,7 @@
  */
 
 const { FlexiCartStateIntegration } = require('../src/commands/flexicart_state_integration');
+const { connectionManager } = require('../src/commands/flexicart_connection_manager');
 
 /**
  * FlexiCart State Integration Demo
@@ -12,7 +13,7 @@ async function flexiCartStateDemo() {
     console.log('\n🎯 FLEXICART STATE INTEGRATION DEMO');
     console.log('====================================');
     
-    const flexicart = new FlexiCartStateIntegration('/dev/ttyRP0', 'FC01');
+    const flexicart = new FlexiCartStateIntegration(process.env.FLEXICART_PORT || '/dev/ttyRP0', 'FC01');
     
     try {
         // Setup event listeners for real-time monitoring
@@ -46,10 +47,10 @@ async function flexiCartStateDemo() {
         const initialStatus = await flexicart.queryStatus();
         console.log(`   Status result: ${initialStatus.success ? '✅ Success' : '❌ Failed'}`);
         
-        // 2. Query position
-        console.log('\n2️⃣ Querying position...');
-        const positionResult = await flexicart.queryPosition();
-        console.log(`   Position result: ${positionResult.success ? '✅ Success' : '❌ Failed'}`);
+        // 2. Query errors
+        console.log('\n2️⃣ Querying error conditions...');
+        const errorsResult = await flexicart.queryErrors();
+        console.log(`   Errors result: ${errorsResult.success ? '✅ Success' : '❌ Failed'}`);
         
         // 3. Test ON-AIR tally
         console.log('\n3️⃣ Testing ON-AIR tally control...');
@@ -83,12 +84,7 @@ async function flexiCartStateDemo() {
             });
         }
         
-        // 5. Query inventory
-        console.log('\n5️⃣ Querying inventory...');
-        const inventoryResult = await flexicart.queryInventory();
-        console.log(`   Inventory result: ${inventoryResult.success ? '✅ Success' : '❌ Failed'}`);
-        
-        // 6. Display complete system state
+        // 5. Display complete system state
         console.log('\n📋 COMPLETE SYSTEM STATE');
         console.log('=========================');
         
@@ -219,6 +215,7 @@ async function flexiCartStateDemo() {
         // Cleanup
         console.log('\n🧹 Cleaning up...');
         await flexicart.destroy();
+        await connectionManager.closeAll();
         console.log('✅ Cleanup completed');
     }
 }
@@ -17,7 +17,7 @@ const { FlexiCartMasterTest } = require('./flexicart_master_test');
 
 // CORRECTED Configuration
 const TEST_CONFIG = {
-    PORT: '/dev/ttyRP0',              // Corrected port with proper cabling
+    PORT: process.env.FLEXICART_PORT || '/dev/ttyRP0',              // Corrected port with proper cabling
     CART_ADDRESS: 0x01,              // Default cart address
     ACK_EXPECTED: 0x04,              // CORRECTED: Expected ACK response
     
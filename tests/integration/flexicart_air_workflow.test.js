@@ -0,0 +1,251 @@
+/**
+ * Air workflow against the in-memory cart simulator and a stand-in player deck
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FlexiCartAirWorkflow, AIR_WORKFLOW_ERRORS } = require('../../src/commands/flexicart_air_workflow');
+const { FlexiCartStateIntegration } = require('../../src/commands/flexicart_state_integration');
+const { FlexiCartSimulator, FAULT_TYPES } = require('../../src/commands/flexicart_simulator');
+const { VTR_CUE_ERRORS } = require('../../src/commands/vtr_cue');
+const { ejectVtr } = require('../../src/commands/vtr_interface');
+const { connectionManager } = require('../../src/commands/flexicart_connection_manager');
+const { unregisterMemoryEndpoint } = require('../../src/commands/flexicart_transports');
+const { overrideLineSettings } = require('../../src/commands/device_config');
+const { AsRunLog } = require('../../src/commands/flexicart_as_run');
+const { attachDeck } = require('./simulated_vtr_deck');
+
+describe('FlexiCartAirWorkflow (simulated cart and deck)', () => {
+    let simulator;
+    let cart;
+    let integration;
+    let cartPath;
+    let deck;
+    let vtrPath;
+    let workflow;
+    let asRun;
+    let endpoint = 0;
+
+    beforeEach(async () => {
+        simulator = new FlexiCartSimulator({ timeScale: 0.05, population: { 12: 'TAPE0012' } });
+        cart = simulator.getCart();
+        cartPath = simulator.attachMemory(`air-cart-${++endpoint}`);
+        overrideLineSettings(cartPath, { responseTimeout: 200 });
+        integration = new FlexiCartStateIntegration(cartPath, 'FC01');
+        await integration.connect();
+        integration.stateManager.inventory.setCassette(12, { id: 'PROMO', barcode: 'TAPE0012' });
+
+        deck = attachDeck(`air-vtr-${endpoint}`);
+        vtrPath = `memory://air-vtr-${endpoint}`;
+        overrideLineSettings(vtrPath, { responseTimeout: 200 });
+
+        workflow = new FlexiCartAirWorkflow({ cart: integration, vtrPath, cartVtr: 2, pollInterval: 20, cuePollInterval: 20 });
+        asRun = new AsRunLog({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'flexicart-as-run-')) }).attachWorkflow(workflow);
+    });
+
+    afterEach(async () => {
+        await integration.destroy();
+        await connectionManager.close(cartPath);
+        simulator.close();
+        await connectionManager.close(vtrPath);
+        unregisterMemoryEndpoint(`air-vtr-${endpoint}`);
+        overrideLineSettings(vtrPath, null);
+        fs.rmSync(asRun.directory, { recursive: true, force: true });
+    });
+
+    const logged = () => asRun.listDays().flatMap(day => asRun.readDay(day));
+
+    test('finds, loads, cues, airs and returns the cassette as one operation', async () => {
+        const tally = [];
+        cart.on('tally', ({ on }) => tally.push(on));
+
+        const result = await workflow.air('TAPE0012', { start: '01:00:00:00', preroll: 0, duration: '00:00:00:06' });
+
+        expect(result).toMatchObject({ success: true, bin: 12, cassetteId: 'PROMO' });
+        expect(result.cue).toMatchObject({ ready: true, cuePoint: '01:00:00:00' });
+        expect(tally).toEqual([true, false]);
+        expect(deck.received).toEqual(expect.arrayContaining(['200121', '200020']));
+
+        // Back in its home bin, with the play counted from the as-run log
+        expect(cart.vtrs.size).toBe(0);
+        expect(cart.bins.get(12)).toBe('TAPE0012');
+        const home = integration.stateManager.inventory.getCassette(12);
+        expect(home).toMatchObject({ id: 'PROMO', playCount: 1, lastPlayed: result.offAirAt });
+        expect(logged()).toEqual([expect.objectContaining({
+            status: 'aired',
+            barcode: 'TAPE0012',
+            houseId: 'PROMO',
+            bin: 12,
+            player: vtrPath,
+            operationId: result.operationId,
+            plannedStart: null,
+            tallyOn: result.onAirAt,
+            tallyOff: result.offAirAt,
+            plannedDuration: 200,
+            errors: []
+        })]);
+
+        const { operation } = result;
+        expect(operation).toMatchObject({ type: 'air_cassette', status: 'completed', progress: 100 });
+        expect(operation.steps.map(step => step.name)).toEqual(
+            ['locate', 'move', 'load', 'cue', 'roll', 'on_air', 'off_air', 'return', 'completed']
+        );
+        // The macro and cue stages point at their own operations
+        const cue = operation.steps.find(step => step.name === 'cue');
+        expect(integration.stateManager.operations.getOperation(cue.operationId).type).toBe('vtr_cue');
+    });
+
+    test('the player sense on air reaches the cart\'s player status', async () => {
+        const seen = [];
+        const applyPlayerSense = integration.applyPlayerSense.bind(integration);
+        integration.applyPlayerSense = (response) => {
+            const applied = applyPlayerSense(response);
+            seen.push({ ...integration.getSystemStatus().player });
+            return applied;
+        };
+
+        await workflow.air('TAPE0012', { start: '01:00:00:00', preroll: 0, duration: '00:00:00:06' });
+
+        expect(seen).toContainEqual(expect.objectContaining({ cartLoaded: true, playing: true }));
+    });
+
+    test('an unknown barcode fails before anything moves', async () => {
+        const sent = jest.fn();
+        simulator.on('command', sent);
+
+        const error = await workflow.air('NOPE').catch(e => e);
+
+        expect(error.code).toBe(AIR_WORKFLOW_ERRORS.NOT_FOUND);
+        expect(error.operation.status).toBe('failed');
+        expect(error.rolledBack).toEqual([]);
+        expect(sent).not.toHaveBeenCalled();
+    });
+
+    test('a failed cue rolls the load back to the home bin', async () => {
+        await ejectVtr(vtrPath);
+
+        const error = await workflow.air('TAPE0012', { preroll: 0 }).catch(e => e);
+
+        expect(error.code).toBe(VTR_CUE_ERRORS.NO_CASSETTE);
+        expect(error.rolledBack).toEqual(['cue', 'load']);
+        expect(error.operation.steps.map(step => step.name)).toEqual(
+            expect.arrayContaining(['load', 'cue_failed', 'rollback_cue', 'rollback_load', 'failed'])
+        );
+        expect(cart.vtrs.size).toBe(0);
+        expect(cart.bins.get(12)).toBe('TAPE0012');
+        expect(integration.stateManager.inventory.getCassette(12).playCount).toBe(0);
+        expect(logged()).toEqual([expect.objectContaining({
+            status: 'failed',
+            tallyOn: null,
+            errors: [{ stage: 'cue', code: VTR_CUE_ERRORS.NO_CASSETTE, message: error.message }],
+            rolledBack: ['cue', 'load']
+        })]);
+    });
+
+    test('a move the cart aborts fails the run with nothing to undo', async () => {
+        simulator.injectFault(FAULT_TYPES.DOOR_OPEN);
+
+        const error = await workflow.air('TAPE0012').catch(e => e);
+
+        expect(error.code).toBe(AIR_WORKFLOW_ERRORS.MACRO_FAILED);
+        expect(error.rolledBack).toEqual([]);
+        expect(integration.stateManager.operations.getOperation(error.operationId).status).toBe('failed');
+    });
+
+    test('a load that fails after the cassette moved still returns it to the home bin', async () => {
+        // The cart loads the player but the controller never sees the end report
+        const executeMacro = integration.executeMacro.bind(integration);
+        let loads = 0;
+        integration.executeMacro = async (name, params) => {
+            const result = await executeMacro(name, params);
+            return name === 'CASSETTE_MOVE' && ++loads === 1 ? { ...result, success: false, error: 'End report not seen' } : result;
+        };
+
+        const error = await workflow.air('TAPE0012', { preroll: 0 }).catch(e => e);
+
+        expect(error.code).toBe(AIR_WORKFLOW_ERRORS.MACRO_FAILED);
+        expect(error.rolledBack).toEqual(['load']);
+        expect(cart.vtrs.size).toBe(0);
+        expect(cart.bins.get(12)).toBe('TAPE0012');
+        expect(integration.stateManager.inventory.getCassette(12)).toMatchObject({ id: 'PROMO' });
+    });
+
+    test('a load the cart refuses leaves the cassette where it was', async () => {
+        simulator.injectFault(FAULT_TYPES.NAK, { cmd: 0x10 });
+
+        const error = await workflow.air('TAPE0012', { preroll: 0 }).catch(e => e);
+
+        expect(error.code).toBe(AIR_WORKFLOW_ERRORS.MACRO_FAILED);
+        expect(error.rolledBack).toEqual([]);
+        expect(error.operation.steps.map(step => step.name)).toContain('rollback_load_failed');
+        expect(cart.bins.get(12)).toBe('TAPE0012');
+        expect(integration.stateManager.inventory.getCassette(12)).toMatchObject({ id: 'PROMO' });
+    });
+
+    test('a pre-fetched cassette found by house ID can be cancelled back to its bin', async () => {
+        const run = await workflow.prepare('PROMO', { preroll: 0, holdMs: 60000 });
+
+        expect(run).toMatchObject({ key: 'PROMO', bin: 12 });
+        expect(run.cue.ready).toBe(true);
+        expect(cart.vtrs.get(2)).toBe('TAPE0012');
+        expect(integration.stateManager.operations.getOperation(run.operationId).details.timeoutMs)
+            .toBe(workflow.getTimeout(0, 0) + 60000);
+
+        expect(await workflow.cancel(run, 'Not needed')).toEqual(['cue', 'load']);
+        expect(cart.bins.get(12)).toBe('TAPE0012');
+        expect(integration.stateManager.operations.getOperation(run.operationId)).toMatchObject({ status: 'cancelled', error: 'Not needed' });
+        expect(workflow.activeOperationId).toBeNull();
+    });
+
+    test('players sharing the cart take turns with the elevator', async () => {
+        cart.putCassette({ bin: 13 }, 'TAPE0013');
+        integration.stateManager.inventory.setCassette(13, { id: 'NEWS', barcode: 'TAPE0013' });
+        attachDeck(`air-vtr-${endpoint}-b`);
+        const otherPath = `memory://air-vtr-${endpoint}-b`;
+        overrideLineSettings(otherPath, { responseTimeout: 200 });
+        const other = new FlexiCartAirWorkflow({ cart: integration, vtrPath: otherPath, cartVtr: 3, pollInterval: 20, cuePollInterval: 20 });
+
+        try {
+            const runs = await Promise.all([
+                workflow.prepare('TAPE0012', { preroll: 0, holdMs: 60000 }),
+                other.prepare('TAPE0013', { preroll: 0, holdMs: 60000 })
+            ]);
+
+            expect(cart.vtrs.get(2)).toBe('TAPE0012');
+            expect(cart.vtrs.get(3)).toBe('TAPE0013');
+
+            await Promise.all([workflow.cancel(runs[0]), other.cancel(runs[1])]);
+            expect(cart.bins.get(12)).toBe('TAPE0012');
+            expect(cart.bins.get(13)).toBe('TAPE0013');
+        } finally {
+            await connectionManager.close(otherPath);
+            unregisterMemoryEndpoint(`air-vtr-${endpoint}-b`);
+            overrideLineSettings(otherPath, null);
+        }
+    });
+
+    test('a move sent directly while a run is loading waits its turn', async () => {
+        const preparing = workflow.prepare('TAPE0012', { preroll: 0, holdMs: 60000 });
+        await new Promise(resolve => simulator.once('command', resolve));
+
+        const direct = await integration.moveToPosition(30);
+        const run = await preparing;
+
+        expect(direct.response.isACK).toBe(true);
+        expect(cart.vtrs.get(2)).toBe('TAPE0012');
+        await workflow.cancel(run);
+        expect(cart.bins.get(12)).toBe('TAPE0012');
+    });
+
+    test('takeOff ends an open-ended programme early and still returns the cassette', async () => {
+        const airing = workflow.air('TAPE0012', { preroll: 0 });
+        await expect(workflow.air('TAPE0012')).rejects.toMatchObject({ code: AIR_WORKFLOW_ERRORS.BUSY });
+
+        cart.once('tally', () => setTimeout(() => workflow.takeOff(), 50));
+        const result = await airing;
+
+        expect(result.success).toBe(true);
+        expect(cart.bins.get(12)).toBe('TAPE0012');
+    });
+});
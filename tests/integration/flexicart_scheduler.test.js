@@ -0,0 +1,175 @@
+/**
+ * Scheduler driving the air workflow on the in-memory cart simulator and a stand-in player deck
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FlexiCartScheduler, EVENT_STATUS } = require('../../src/commands/flexicart_scheduler');
+const { FlexiCartAirWorkflow } = require('../../src/commands/flexicart_air_workflow');
+const { FlexiCartStateIntegration } = require('../../src/commands/flexicart_state_integration');
+const { FlexiCartSimulator } = require('../../src/commands/flexicart_simulator');
+const { connectionManager } = require('../../src/commands/flexicart_connection_manager');
+const { unregisterMemoryEndpoint } = require('../../src/commands/flexicart_transports');
+const { overrideLineSettings } = require('../../src/commands/device_config');
+const { AsRunLog } = require('../../src/commands/flexicart_as_run');
+const { attachDeck } = require('./simulated_vtr_deck');
+
+describe('FlexiCartScheduler (simulated cart and deck)', () => {
+    let simulator;
+    let cart;
+    let integration;
+    let cartPath;
+    let vtrPath;
+    let scheduler;
+    let asRun;
+    let clock;
+
+    beforeEach(async () => {
+        simulator = new FlexiCartSimulator({ timeScale: 0.05, population: { 12: 'TAPE0012', 13: 'TAPE0013' } });
+        cart = simulator.getCart();
+        cartPath = simulator.attachMemory('schedule-cart');
+        overrideLineSettings(cartPath, { responseTimeout: 200 });
+        integration = new FlexiCartStateIntegration(cartPath, 'FC01');
+        await integration.connect();
+        integration.stateManager.inventory.setCassette(12, { id: 'PROMO', barcode: 'TAPE0012' });
+        integration.stateManager.inventory.setCassette(13, { id: 'NEWS', barcode: 'TAPE0013' });
+
+        attachDeck('schedule-vtr');
+        vtrPath = 'memory://schedule-vtr';
+        overrideLineSettings(vtrPath, { responseTimeout: 200 });
+
+        clock = 0;
+        const player = new FlexiCartAirWorkflow({ cart: integration, vtrPath, pollInterval: 20, cuePollInterval: 20 });
+        scheduler = new FlexiCartScheduler({ players: [player], leadTime: 1000, turnaround: 1000, tickInterval: 20, now: () => clock });
+        asRun = new AsRunLog({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'flexicart-as-run-')) })
+            .attachWorkflow(player)
+            .attachScheduler(scheduler);
+    });
+
+    afterEach(async () => {
+        await scheduler.stop();
+        await integration.destroy();
+        await connectionManager.close(cartPath);
+        simulator.close();
+        await connectionManager.close(vtrPath);
+        unregisterMemoryEndpoint('schedule-vtr');
+        overrideLineSettings(vtrPath, null);
+        fs.rmSync(asRun.directory, { recursive: true, force: true });
+    });
+
+    const reach = (id, status) => new Promise(resolve => {
+        const check = (event) => {
+            if (event.id === id && (event.status === status || event.status === EVENT_STATUS.FAILED)) {
+                scheduler.off('event', check);
+                resolve(event);
+            }
+        };
+        scheduler.on('event', check);
+    });
+
+    test('airs a playlist in order through one player, by barcode and by house ID', async () => {
+        const tally = [];
+        cart.on('tally', ({ on }) => tally.push(on));
+        const stages = [];
+        scheduler.on('progress', message => {
+            if (message.type === 'event.stage') stages.push(`${message.eventId}:${message.stage}`);
+        });
+
+        const loaded = scheduler.loadPlaylist([
+            { id: 'promo', barcode: 'TAPE0012', start: 2000, duration: '00:00:00:06', preroll: 0 },
+            { id: 'news', houseId: 'NEWS', start: 10000, duration: '00:00:00:06', startMode: 'soft', preroll: 0 }
+        ]);
+        expect(loaded).toMatchObject({ success: true, conflicts: [] });
+        scheduler.start();
+
+        clock = 1000;
+        await expect(reach('promo', EVENT_STATUS.CUED)).resolves.toMatchObject({ status: EVENT_STATUS.CUED, player: 0 });
+        expect(cart.vtrs.get(1)).toBe('TAPE0012');
+
+        clock = 2000;
+        const promo = await reach('promo', EVENT_STATUS.DONE);
+        expect(promo).toMatchObject({ status: EVENT_STATUS.DONE, lateMs: 0 });
+        expect(cart.bins.get(12)).toBe('TAPE0012');
+
+        clock = 9000;
+        await reach('news', EVENT_STATUS.CUED);
+        clock = 10000;
+        const news = await reach('news', EVENT_STATUS.DONE);
+        expect(news.status).toBe(EVENT_STATUS.DONE);
+
+        expect(tally).toEqual([true, false, true, false]);
+        expect(stages.filter(stage => stage.startsWith('promo:'))).toEqual(
+            ['locate', 'move', 'load', 'cue', 'roll', 'on_air', 'off_air', 'return', 'completed'].map(stage => `promo:${stage}`)
+        );
+        const operation = integration.stateManager.operations.getOperation(news.operationId);
+        expect(operation).toMatchObject({ type: 'air_cassette', status: 'completed' });
+        expect(integration.stateManager.inventory.getCassette(13).playCount).toBe(1);
+
+        // Planned times are the fake clock's, actual ones real
+        const entries = asRun.readDay(asRun.listDays()[0]);
+        expect(entries.map(entry => [entry.eventId, entry.status, entry.plannedStart])).toEqual([
+            ['promo', 'aired', new Date(2000).toISOString()],
+            ['news', 'aired', new Date(10000).toISOString()]
+        ]);
+        expect(entries[1]).toMatchObject({ barcode: 'TAPE0013', houseId: 'NEWS', startMode: 'soft', bin: 13 });
+    });
+
+    test('a cassette needed twice at once is a conflict', () => {
+        const result = scheduler.loadPlaylist([
+            { id: 'one', barcode: 'TAPE0012', start: 2000, duration: '00:00:10:00' },
+            { id: 'two', barcode: 'TAPE0012', start: 5000, duration: '00:00:10:00' },
+            { id: 'gone', barcode: 'TAPE9999', start: 60000, duration: '00:00:10:00' }
+        ]);
+
+        expect(result.success).toBe(false);
+        expect(result.conflicts.map(conflict => conflict.type).sort()).toEqual(['cassette_not_found', 'duplicate_cassette', 'player_shortage']);
+        expect(scheduler.getPlaylist()).toEqual([]);
+    });
+});
+
+describe('createScheduler (simulated cart and deck from the device config)', () => {
+    const { createScheduler } = require('../../src/index');
+    const { setDeviceConfig } = require('../../src/commands/device_config');
+    let simulator;
+    let scheduler;
+    let directory;
+
+    beforeEach(() => {
+        simulator = new FlexiCartSimulator({ timeScale: 0.05, population: { 12: 'TAPE0012', 40: 'TAPE0040' } });
+        simulator.attachMemory('app-cart');
+        attachDeck('app-vtr');
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'flexicart-as-run-'));
+        setDeviceConfig({
+            asRun: { directory },
+            rs422Devices: [
+                { type: 'vtr', channelId: 1, transport: 'memory', name: 'app-vtr', responseTimeout: 200 },
+                { type: 'flexicart', channelId: 2, transport: 'memory', name: 'app-cart', responseTimeout: 200, cartAddresses: [1] }
+            ]
+        });
+    });
+
+    afterEach(async () => {
+        if (scheduler) {
+            await scheduler.stop();
+            await scheduler.players[0].workflow.cart.destroy();
+        }
+        await connectionManager.close('memory://app-cart');
+        simulator.close();
+        await connectionManager.close('memory://app-vtr');
+        unregisterMemoryEndpoint('app-vtr');
+        setDeviceConfig({});
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('reads the inventory from the cart, so a playlist finds its cassettes without seeding', async () => {
+        scheduler = await createScheduler();
+        const { inventory } = scheduler.players[0].workflow.cart.stateManager;
+
+        expect(inventory.findCassetteByBarcode('TAPE0040')).toMatchObject({ binNumber: 40 });
+        const result = scheduler.loadPlaylist([
+            { id: 'promo', barcode: 'TAPE0012', start: Date.now() + 600000, duration: '00:00:10:00' }
+        ]);
+        expect(result).toMatchObject({ success: true, conflicts: [] });
+    });
+});
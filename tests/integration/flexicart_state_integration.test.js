@@ -0,0 +1,512 @@
+/**
+ * FlexiCartStateIntegration against the in-memory simulator (no serial ports)
+ */
+
+const { FlexiCartStateIntegration } = require('../../src/commands/flexicart_state_integration');
+const { FlexiCartSimulator, FAULT_TYPES } = require('../../src/commands/flexicart_simulator');
+const { connectionManager } = require('../../src/commands/flexicart_connection_manager');
+const { overrideLineSettings } = require('../../src/commands/device_config');
+const { getCassetteBinNumber, getLmBinNumber, encodeCommand, MAX_BIN_INDEX } = require('../../src/commands/flexicart_command_catalog');
+const { sendCommand } = require('../../src/commands/flexicart_serial_utils');
+const { FlexiCartBarcodeReader } = require('../../src/commands/flexicart_barcode_reader');
+const {
+    getFlexicartErrors,
+    getFlexicartInventory,
+    getFlexicartPosition,
+    getFlexicartStatus,
+    testFlexicartCommunication,
+    autoScanFlexicarts,
+    clearFlexicartErrors
+} = require('../../src/commands/flexicart_cmds_status');
+
+const waitFor = async (condition, timeoutMs = 3000) => {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+describe('FlexiCartStateIntegration (simulated cart)', () => {
+    let simulator;
+    let cart;
+    let port;
+    let integration;
+    let endpoint = 0;
+
+    beforeEach(async () => {
+        simulator = new FlexiCartSimulator({ timeScale: 0.05, population: { 1: 'TAPE0001', 12: 'TAPE0012' } });
+        cart = simulator.getCart();
+        port = simulator.attachMemory(`state-integration-${++endpoint}`);
+        overrideLineSettings(port, { responseTimeout: 200 });
+
+        integration = new FlexiCartStateIntegration(port, 'FC01');
+        await integration.connect();
+    });
+
+    afterEach(async () => {
+        await integration.destroy();
+        await connectionManager.close(port);
+        simulator.close();
+    });
+
+    test('connect marks the cart connected and reads status', () => {
+        const status = integration.getSystemStatus();
+
+        expect(integration.isConnected).toBe(true);
+        expect(status.communication.connected).toBe(true);
+        expect(status.hardware.powerOn).toBe(true);
+    });
+
+    test('a move is ACKed, monitored and completed', async () => {
+        const result = await integration.moveToPosition(40);
+
+        expect(result.success).toBe(true);
+        expect(result.response.isACK).toBe(true);
+        const operations = integration.stateManager.operations;
+        expect(operations.getOperation(result.operationId).status).toBe('in_progress');
+
+        await waitFor(() => operations.getOperation(result.operationId).status !== 'in_progress');
+        expect(operations.getOperation(result.operationId).status).toBe('completed');
+        expect(cart.currentBin).toBe(40);
+    });
+
+    test('an out-of-range move is refused before anything is sent', async () => {
+        const sent = jest.fn();
+        simulator.on('command', sent);
+
+        await expect(integration.moveToPosition(0)).rejects.toMatchObject({ code: 'INVALID_PARAMETER' });
+        expect(sent).not.toHaveBeenCalled();
+        expect(integration.getActiveOperations()).toHaveLength(0);
+    });
+
+    test('named commands go through the catalog', async () => {
+        const result = await integration.sendNamedCommand('ELEVATOR_UP');
+
+        expect(result.commandName).toBe('ELEVATOR_UP');
+        expect(integration.stateManager.operations.getOperation(result.operationId).type).toBe('elevator_move');
+        await waitFor(() => !cart.macro);
+        expect(cart.level).toBe(2);
+    });
+
+    test('bins are addressed by their BIN No.', async () => {
+        const commands = [];
+        simulator.on('command', ({ frame }) => commands.push(frame));
+
+        await integration.moveToPosition(190);
+        await waitFor(() => !cart.macro);
+        expect(cart.currentBin).toBe(190);
+        expect([...commands[0].data.slice(1, 3)]).toEqual([0x11, 0x95]);     // Bin 190 = BIN No. 1195
+
+        await integration.sendNamedCommand('SET_BIN_LAMP', { bin: getCassetteBinNumber(196), on: true });
+        expect(cart.lamps.has(196)).toBe(true);
+        await expect(integration.sendNamedCommand('SET_BIN_LAMP', { bin: 196, on: true }))
+            .rejects.toMatchObject({ code: 'INVALID_PARAMETER' });
+    });
+
+    test('a cassette sensed through its S and its L/M address is the same bin', async () => {
+        const reader = new FlexiCartBarcodeReader();
+        const sense = async (binNumber) => reader.parseBinStatusResponse(
+            await sendCommand(port, encodeCommand('SENSE_BIN_STATUS', { bin: binNumber })), 1, true);
+
+        const viaS = await sense(getCassetteBinNumber(1));
+        const viaLm = await sense(getLmBinNumber(1));
+
+        expect(getLmBinNumber(1)).toBe(6001);
+        expect(viaS).toMatchObject({ binOccupied: true, barcode: 'TAPE0001' });
+        expect(viaLm).toMatchObject({ binOccupied: true, barcode: 'TAPE0001' });
+        expect(viaLm.rawResponse).toBe(viaS.rawResponse);
+
+        // The L/M addresses add no bins of their own
+        expect(cart.binCount).toBe(MAX_BIN_INDEX);
+        expect(integration.getInventory().bins.size).toBe(MAX_BIN_INDEX);
+    });
+
+    test('load and unload move the cassette between its bin and a VTR', async () => {
+        const load = await integration.loadCart(12, 2);
+        expect(integration.stateManager.operations.getOperation(load.operationId).details)
+            .toMatchObject({ source: 1106, destination: 102 });
+        await waitFor(() => !cart.macro);
+        expect(cart.vtrs.get(2)).toBe('TAPE0012');
+        expect(cart.bins.has(12)).toBe(false);
+
+        await integration.unloadCart(190, 2);
+        await waitFor(() => !cart.macro);
+        expect(cart.vtrs.size).toBe(0);
+        expect(cart.bins.get(190)).toBe('TAPE0012');
+        expect(cart.currentBin).toBe(190);
+    });
+
+    test('executeMacro resolves once the cassette move has put the cassette in the VTR', async () => {
+        const result = await integration.executeMacro('CASSETTE_MOVE', { source: getCassetteBinNumber(12), destination: 101 });
+
+        expect(result.success).toBe(true);
+        expect(result.operation.steps.map(s => s.name)).toEqual(expect.arrayContaining(['accepted', 'completed']));
+        expect(cart.vtrs.get(1)).toBe('TAPE0012');
+    });
+
+    test('a cassette move to an occupied VTR ends abnormally', async () => {
+        await integration.executeMacro('CASSETTE_MOVE', { source: getCassetteBinNumber(12), destination: 101 });
+        const result = await integration.executeMacro('CASSETTE_MOVE', { source: getCassetteBinNumber(1), destination: 101 });
+
+        expect(result.error).toBe('Macro ended with end information 5EH');
+        expect(cart.bins.get(1)).toBe('TAPE0001');
+    });
+
+    test('a completed move reports the bin the elevator is at', async () => {
+        const { movement } = integration.getSystemStatus();
+
+        await integration.executeMacro('ELEVATOR_MOVE', { destination: getCassetteBinNumber(40) });
+        expect(movement.currentBin).toBe(40);
+
+        await integration.executeMacro('CASSETTE_MOVE', { source: getCassetteBinNumber(12), destination: 1 });
+        expect(movement.currentBin).toBe(12);
+
+        await integration.executeMacro('CASSETTE_MOVE', { source: 1, destination: 101 });
+        expect(movement.currentBin).toBe(0);
+    });
+
+    test('getFlexicartPosition reports where the last completed move left the elevator', async () => {
+        expect((await getFlexicartPosition(port)).position).toMatchObject({ current: 0, moving: false });
+
+        await integration.executeMacro('ELEVATOR_MOVE', { destination: getCassetteBinNumber(40) });
+        const result = await getFlexicartPosition(port);
+
+        expect(result).toMatchObject({ success: true, position: { current: 40, target: 40, moving: false, command: 'ELEVATOR_MOVE' } });
+        expect((await getFlexicartPosition('memory://no-such-cart')).success).toBe(false);
+    });
+
+    test('queryInventory senses the bins the cart reports changed', async () => {
+        cart.changedBins.clear();
+        await integration.executeMacro('CASSETTE_MOVE', { source: getCassetteBinNumber(12), destination: getCassetteBinNumber(30) });
+
+        const result = await integration.queryInventory();
+
+        expect(result.success).toBe(true);
+        expect(result.bins.map(bin => [bin.binNumber, bin.occupied])).toEqual([[12, false], [30, true]]);
+        const inventory = integration.getInventory();
+        expect(inventory.getCassette(30).barcode).toBe('TAPE0012');
+        expect(inventory.isBinOccupied(12)).toBe(false);
+        expect(integration.changedBins).toEqual([]);
+    });
+
+    test('refreshInventory re-reads every bin', async () => {
+        simulator.injectFault(FAULT_TYPES.UNREADABLE_BARCODE, { bins: [12] });
+
+        const result = await integration.refreshInventory();
+
+        expect(result.success).toBe(true);
+        expect(result.bins).toHaveLength(cart.binCount);
+        const inventory = integration.getInventory();
+        expect(inventory.getOccupiedBins().map(bin => bin.binNumber)).toEqual([1, 12]);
+        expect(inventory.getCassette(1).barcode).toBe('TAPE0001');
+        expect(inventory.getCassette(12).barcode).toBeNull();
+    });
+
+    test('executeMacro reports the end information of an aborted macro', async () => {
+        simulator.injectFault(FAULT_TYPES.DOOR_OPEN);
+        const result = await integration.executeMacro('ELEVATOR_MOVE', { destination: getCassetteBinNumber(40) });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Macro ended with end information 58H');
+    });
+
+    test('executeMacro only runs macros', async () => {
+        await expect(integration.executeMacro('STATUS_REQUEST')).rejects.toMatchObject({ code: 'INVALID_COMMAND' });
+    });
+
+    test('abnormal end information is appended to the error log by category', async () => {
+        const door = simulator.injectFault(FAULT_TYPES.DOOR_OPEN);
+        await integration.executeMacro('CASSETTE_MOVE', { source: getCassetteBinNumber(12), destination: 101 });
+        simulator.clearFault(door);
+        await integration.queryErrors();
+
+        const { errors } = integration.getSystemStatus();
+        expect(errors.mechanical.map(error => error.name)).toEqual(['DOOR_OPEN']);
+        expect(errors.system).toEqual([]);
+        expect(errors.lastError).toMatchObject({ code: 0x58, severity: 'warning', hint: 'Close the cart door and retry' });
+    });
+
+    test('clearErrors clears the error report and empties the log without moving the cart', async () => {
+        const door = simulator.injectFault(FAULT_TYPES.DOOR_OPEN);
+        await integration.executeMacro('CASSETTE_MOVE', { source: getCassetteBinNumber(12), destination: 101 });
+        simulator.clearFault(door);
+        await integration.sendCommand(0x6E);
+        const commands = [];
+        simulator.on('command', ({ frame }) => commands.push(frame.cmd));
+
+        const result = await integration.clearErrors();
+
+        expect(result).toMatchObject({ success: true, remaining: 0 });
+        expect(result.errorReport).toMatchObject({ reported: true, cmd: 0x6E, commandName: 'CMD_6E' });
+        expect(commands).toEqual([0x6F, 0x61]);
+        expect(cart.errorReport).toBeNull();
+        expect(integration.getSystemStatus().errors).toMatchObject({ mechanical: [], system: [], lastError: null });
+    });
+
+    test('reinitialize initializes the elevator', async () => {
+        await integration.moveToPosition(40);
+        await waitFor(() => !cart.macro);
+
+        const result = await integration.reinitialize();
+
+        expect(result).toMatchObject({ success: true, commandName: 'ELEVATOR_INITIALIZE' });
+        expect(cart.lastMacro.cmd).toBe(0x1D);
+        expect(cart.currentBin).toBe(1);
+        expect(integration.getSystemStatus().hardware.initialized).toBe(true);
+    });
+
+    test('getFlexicartErrors and clearFlexicartErrors work the cart\'s errors', async () => {
+        cart.finishMacro(0x10, 0xCC, 4);
+        const before = await getFlexicartErrors(port);
+        const cleared = await clearFlexicartErrors(port);
+        const after = await getFlexicartErrors(port);
+
+        expect(before.errors).toMatchObject({ valid: true, count: 1 });
+        expect(before.errors.system[0].name).toBe('VTR_COMMUNICATION_ERROR');
+        expect(cleared).toMatchObject({ success: true, errorReport: { reported: false }, errors: { count: 0 } });
+        expect(after.errors.count).toBe(0);
+        expect(cart.lastMacro.cmd).toBe(0x10);
+    });
+
+    test('getFlexicartStatus reads the Cart Status Return and the door from the cart', async () => {
+        simulator.injectFault(FAULT_TYPES.DOOR_OPEN);
+
+        const result = await getFlexicartStatus(port);
+
+        expect(result.success).toBe(true);
+        expect(result.status).toMatchObject({ statusCode: 0x71, communicating: true });
+        expect(result.status.system.hardware).toMatchObject({ powerOn: true, maintenanceMode: false, doorOpen: true });
+    });
+
+    test('testFlexicartCommunication and autoScanFlexicarts find the cart by its Cart Status Return', async () => {
+        const result = await testFlexicartCommunication(port);
+        expect(result.success).toBe(true);
+        expect(result.status.statusReturn).not.toBeNull();
+
+        const found = await autoScanFlexicarts([port, 'memory://no-cart-here']);
+        expect(found.map(flexicart => flexicart.port)).toEqual([port]);
+    });
+
+    test('testFlexicartCommunication fails when the status request is refused', async () => {
+        simulator.injectFault(FAULT_TYPES.NAK, { cmd: 0x61 });
+
+        const result = await testFlexicartCommunication(port);
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/NAK/);
+    });
+
+    test('getFlexicartInventory senses the changed bins', async () => {
+        cart.changedBins = new Set([1, 2, 12]);
+        simulator.injectFault(FAULT_TYPES.UNREADABLE_BARCODE, { bins: [12] });
+
+        const result = await getFlexicartInventory(port);
+
+        expect(result.inventory).toMatchObject({ occupied: [1, 12], empty: [2], unread: [] });
+        expect(result.inventory.bins[0].cassette.barcode).toBe('TAPE0001');
+        expect(result.inventory.bins[2]).toMatchObject({ binNumber: 12, barcodeReadError: true });
+        expect(cart.changedBins.size).toBe(0);
+    });
+
+    test('clearFlexicartErrors returns the command behind a data stream error and clears it', async () => {
+        await integration.sendCommand(0x6E);
+        expect((await getFlexicartErrors(port)).errors.errorReport).toBe(true);
+
+        const result = await clearFlexicartErrors(port);
+
+        expect(result.success).toBe(true);
+        expect(result.errorReport).toMatchObject({ reported: true, bt: 0x00, cmd: 0x6E, block: [0x00, 0x80] });
+        expect(result.errors.errorReport).toBe(false);
+    });
+
+    test('a macro that has not ended is movement', async () => {
+        await integration.moveToPosition(190);
+        await integration.queryStatus();
+
+        expect(integration.isMovementActive()).toBe(true);
+        expect(integration.getActiveOperations()).toHaveLength(1);
+    });
+
+    test('a macro rejected with NAK fails its operation', async () => {
+        simulator.injectFault(FAULT_TYPES.NAK, { cmd: 0x14 });
+        const result = await integration.moveToPosition(10);
+
+        expect(result).toMatchObject({ success: false, error: 'Command rejected (NACK)' });
+        expect(result.response.isNACK).toBe(true);
+        expect(integration.stateManager.operations.getOperation(result.operationId)).toMatchObject({
+            status: 'failed',
+            error: 'Command rejected (NACK)'
+        });
+        expect(cart.currentBin).toBe(1);
+    });
+
+    test('a macro that gets no ACK fails instead of staying started', async () => {
+        simulator.injectFault(FAULT_TYPES.DROP_REPLY, { cmd: 0x14 });
+        const result = await integration.executeMacro('ELEVATOR_MOVE', { destination: getCassetteBinNumber(10) });
+
+        expect(result).toMatchObject({ success: false, error: 'Expected ACK, received nothing' });
+        expect(result.operation.status).toBe('failed');
+        expect(integration.getActiveOperations()).toHaveLength(0);
+    });
+
+    test('a NAKed move within the retry budget is resent', async () => {
+        simulator.injectFault(FAULT_TYPES.NAK, { cmd: 0x14, count: 1 });
+        const result = await integration.moveToPosition(10);
+
+        expect(result.response.isACK).toBe(true);
+        await waitFor(() => cart.currentBin === 10 && !cart.macro);
+    });
+
+    test('a status query survives a corrupted reply', async () => {
+        simulator.injectFault(FAULT_TYPES.CORRUPT_CHECKSUM, { cmd: 0x61, count: 1 });
+        const result = await integration.queryStatus();
+
+        expect(result.response.isChecksumError).toBe(false);
+        expect(result.response.hasData).toBe(true);
+    });
+
+    test('a status query reports TEST mode; a completed initialize marks the cart initialized', async () => {
+        const { hardware } = integration.getSystemStatus();
+        cart.maintenanceMode = true;
+        await integration.queryStatus();
+
+        expect(hardware).toMatchObject({ powerOn: true, maintenanceMode: true, initialized: false });
+
+        cart.maintenanceMode = false;
+        const result = await integration.executeMacro('INITIALIZE');
+
+        expect(result.success).toBe(true);
+        expect(hardware).toMatchObject({ maintenanceMode: false, initialized: true });
+    });
+
+    test('ON-AIR tally reaches the cart', async () => {
+        const { onAir } = integration.getSystemStatus();
+
+        await integration.setOnAirTally(true);
+        expect(cart.onAir).toBe(true);
+        expect(onAir.tallyOn).toBe(true);
+
+        await integration.setOnAirTally(false);
+        expect(cart.onAir).toBe(false);
+        expect(onAir.tallyOn).toBe(false);
+    });
+
+    test('a tally command the cart refuses leaves the tally as it was', async () => {
+        simulator.injectFault(FAULT_TYPES.NAK, { cmd: 0x71 });
+
+        await integration.setOnAirTally(true);
+
+        expect(integration.getSystemStatus().onAir.tallyOn).toBe(false);
+    });
+
+    test('a running move reports the elevator moving and which way; settling stops it', async () => {
+        const { movement } = integration.getSystemStatus();
+        await integration.executeMacro('ELEVATOR_MOVE', { destination: getCassetteBinNumber(12) });
+
+        const { operationId } = await integration.moveToPosition(190);
+        expect(movement.elevator).toMatchObject({ moving: true, direction: 'up' });
+        expect(movement.carousel.moving).toBe(true);
+
+        await integration.macroExecutor.waitFor(operationId);
+        expect(movement.elevator).toMatchObject({ moving: false, direction: 'stopped' });
+        expect(movement.carousel).toMatchObject({ moving: false, direction: 'stopped' });
+
+        await integration.moveElevatorDown();
+        expect(movement.elevator).toMatchObject({ moving: true, direction: 'down' });
+        expect(movement.carousel.moving).toBe(false);
+    });
+
+    test('the door is read from the console status the cart reports changed', async () => {
+        const { hardware } = integration.getSystemStatus();
+        expect(hardware.doorOpen).toBe(false);
+
+        const door = simulator.injectFault(FAULT_TYPES.DOOR_OPEN);
+        await integration.queryStatus();
+        expect(integration.consoleChanged).toBe(true);
+        await integration.queryConsoleStatus();
+        expect(hardware.doorOpen).toBe(true);
+
+        simulator.clearFault(door);
+        await integration.queryConsoleStatus();
+        expect(hardware.doorOpen).toBe(false);
+    });
+
+    test('a macro refused because the door is open reports the door open', async () => {
+        simulator.injectFault(FAULT_TYPES.DOOR_OPEN);
+
+        const result = await integration.executeMacro('ELEVATOR_UP');
+
+        expect(result.success).toBe(false);
+        expect(integration.getSystemStatus().hardware.doorOpen).toBe(true);
+    });
+
+    test('an emergency stop is latched until an initialize completes', async () => {
+        const { hardware } = integration.getSystemStatus();
+
+        await integration.emergencyStop();
+        expect(hardware.emergencyStop).toBe(true);
+        expect(integration.getSystemStatus().getOperationalState()).toBe('EMERGENCY_STOP');
+
+        const result = await integration.executeMacro('INITIALIZE');
+        expect(result.success).toBe(true);
+        expect(hardware.emergencyStop).toBe(false);
+    });
+
+    test('emergency stop halts a running move', async () => {
+        const { operationId } = await integration.moveToPosition(190);
+        await waitFor(() => cart.macro !== null);
+        await integration.emergencyStop();
+
+        expect(cart.macro).toBeNull();
+        expect(cart.emergencyStop).toBe(true);
+        expect(cart.currentBin).not.toBe(190);
+
+        const move = integration.stateManager.operations.getOperation(operationId);
+        await waitFor(() => move.status !== 'in_progress');
+        expect(move.error).toBe('Macro ended with end information FFH');
+        expect(integration.getSystemStatus().hardware.emergencyStop).toBe(true);
+    });
+
+    test('a motion macro waits for the one before it to settle instead of getting BUSY', async () => {
+        const first = integration.moveToPosition(190);
+        const second = integration.moveToPosition(10);
+
+        const [far, near] = await Promise.all([first, second]);
+        const operations = integration.stateManager.operations;
+
+        expect(far.response.isACK).toBe(true);
+        expect(near.response.isACK).toBe(true);
+        expect(operations.getOperation(far.operationId).status).toBe('completed');
+        await waitFor(() => operations.getOperation(near.operationId).status === 'completed');
+        expect(cart.currentBin).toBe(10);
+    });
+
+    test('a motion still waiting when an emergency stop is sent is dropped', async () => {
+        await integration.moveToPosition(190);
+        const waiting = integration.moveToPosition(10);
+        await waitFor(() => cart.macro !== null);
+        await integration.emergencyStop();
+
+        await expect(waiting).rejects.toMatchObject({ code: 'REQUEST_FLUSHED' });
+        expect(cart.currentBin).not.toBe(10);
+    });
+
+    test('disconnect stops polling and refuses further commands', async () => {
+        await integration.disconnect();
+
+        expect(integration.statusPollTimer).toBeNull();
+        await expect(integration.queryStatus()).rejects.toThrow('Not connected to FlexiCart');
+    });
+
+    test('disconnect leaves the shared port open for other carts on the line', async () => {
+        const other = new FlexiCartStateIntegration(port, 'FC02');
+        await other.connect();
+
+        await integration.disconnect();
+
+        expect(connectionManager.getConnection(port).isOpen).toBe(true);
+        await expect(other.queryStatus()).resolves.toMatchObject({ success: true });
+        await other.destroy();
+    });
+});
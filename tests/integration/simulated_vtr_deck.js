@@ -0,0 +1,79 @@
+/**
+ * Stand-in Sony 9-pin deck on a memory endpoint for the VTR integration tests
+ */
+
+const { encodeSonyCommand, SONY_CMD1 } = require('../../src/commands/flexicart_sony_9pin');
+const { registerMemoryEndpoint } = require('../../src/commands/flexicart_transports');
+
+// STATUS DATA No.1 bit for each transport command the stand-in deck accepts
+const TRANSPORT_BITS = { 0x00: 0x20, 0x01: 0x01, 0x0F: 0x10, 0x10: 0x04, 0x20: 0x08 };
+
+/**
+ * Minimal deck: DEVICE TYPE, STATUS SENSE, the transport commands, preroll
+ * preset and cue-up; anything else is NAKed as an undefined command.
+ * A cue spools for cueTime ms (forever when null), then parks in STILL at the
+ * cue point, or at the end of the tape with endOfTape
+ */
+function attachDeck(name, { deviceType = [0xB0, 0x00], nak = null, cueTime = 30, endOfTape = false } = {}) {
+    // LTC 10:00:00;24 drop-frame (DF flag in DATA-1)
+    const deck = { status: [0x00, 0xA0, 0x80, 0, 0, 0, 0, 0, 0, 0], ltc: [0x64, 0x00, 0x00, 0x10], preroll: null, received: [] };
+
+    const park = (time) => {
+        deck.status[1] = (deck.status[1] & 0x80) | 0x20;
+        deck.status[4] &= ~0x01;
+        if (endOfTape) {
+            deck.status[8] |= 0x10;
+        } else {
+            deck.status[2] |= 0x03;
+            deck.ltc = time;
+        }
+    };
+
+    registerMemoryEndpoint(name, (device) => {
+        device.on('data', (data) => {
+            const [cmd1, cmd2, ...rest] = data;
+            const reply = (group, code, bytes = []) => device.write(encodeSonyCommand(group, code, bytes)).catch(() => {});
+            deck.received.push(Buffer.from(data).toString('hex'));
+
+            if (nak !== null) return reply(SONY_CMD1.SYSTEM_CONTROL_RETURN, 0x12, [nak]);
+            if (cmd1 === 0x00 && cmd2 === 0x11) return reply(SONY_CMD1.SYSTEM_CONTROL_RETURN, 0x11, deviceType);
+            if (cmd1 === 0x61 && cmd2 === 0x20) {
+                const start = rest[0] >> 4;
+                return reply(SONY_CMD1.SENSE_RETURN, 0x20, deck.status.slice(start, start + (rest[0] & 0x0F)));
+            }
+            if (cmd1 === 0x61 && cmd2 === 0x0C) {
+                // LTC only: anything else is 70 0D (time data missing)
+                return rest[0] === 0x01 ? reply(SONY_CMD1.SENSE_RETURN, 0x04, deck.ltc) : reply(SONY_CMD1.SENSE_RETURN, 0x0D);
+            }
+            if (cmd1 === 0x20 && cmd2 in TRANSPORT_BITS) {
+                deck.status[1] = (deck.status[1] & 0x80) | TRANSPORT_BITS[cmd2];
+                deck.status[2] &= ~0x03;
+                if (cmd2 === 0x0F) deck.status[0] |= 0x20;
+                return reply(SONY_CMD1.SYSTEM_CONTROL_RETURN, 0x01);
+            }
+            if (cmd1 === 0x44 && cmd2 === 0x31) {
+                deck.preroll = rest.slice(0, 4);
+                return reply(SONY_CMD1.SYSTEM_CONTROL_RETURN, 0x01);
+            }
+            if (cmd1 === 0x24 && cmd2 === 0x31) {
+                // Spooling: FAST FWD with PREROLL/CUE UP, CUE UP COMPLETE and STILL cleared
+                deck.status[1] = (deck.status[1] & 0x80) | 0x04;
+                deck.status[2] &= ~0x03;
+                deck.status[4] |= 0x01;
+                if (cueTime !== null) setTimeout(park, cueTime, rest.slice(0, 4));
+                return reply(SONY_CMD1.SYSTEM_CONTROL_RETURN, 0x01);
+            }
+            if (cmd1 === 0x20 && (cmd2 === 0x04 || cmd2 === 0x05)) {
+                deck.status[1] = cmd2 === 0x05 ? deck.status[1] | 0x80 : deck.status[1] & ~0x80;
+                return reply(SONY_CMD1.SYSTEM_CONTROL_RETURN, 0x01);
+            }
+            return reply(SONY_CMD1.SYSTEM_CONTROL_RETURN, 0x12, [0x01]);
+        });
+    });
+
+    return deck;
+}
+
+module.exports = {
+    attachDeck
+};
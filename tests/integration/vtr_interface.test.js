@@ -0,0 +1,233 @@
+/**
+ * VTR interface against an in-memory Sony 9-pin deck (no serial ports)
+ */
+
+const {
+    decodeVtrStatus,
+    getVtrDeviceType,
+    getVtrStatus,
+    getVtrTimecode,
+    playVtr,
+    stopVtr,
+    standbyOffVtr,
+    ejectVtr,
+    autoScanVtrs,
+    VTR_MODE
+} = require('../../src/commands/vtr_interface');
+const { cueVtr, VTR_CUE_ERRORS } = require('../../src/commands/vtr_cue');
+const { FlexiCartOperations } = require('../../src/commands/flexicart_data_structures');
+const { registerMemoryEndpoint, unregisterMemoryEndpoint } = require('../../src/commands/flexicart_transports');
+const { connectionManager } = require('../../src/commands/flexicart_connection_manager');
+const { overrideLineSettings } = require('../../src/commands/device_config');
+const { attachDeck } = require('./simulated_vtr_deck');
+
+describe('decodeVtrStatus', () => {
+    test.each([
+        [[0x20, 0x20, 0x00], VTR_MODE.NO_CASSETTE],
+        [[0x00, 0x81, 0x80], VTR_MODE.PLAY],
+        [[0x00, 0x81, 0xA0], VTR_MODE.SHUTTLE],
+        [[0x00, 0x03, 0x80], VTR_MODE.RECORD],
+        [[0x00, 0x88, 0x00], VTR_MODE.REWIND],
+        [[0x00, 0xA0, 0x82], VTR_MODE.STOP],
+        [[0x00, 0x00, 0x00], VTR_MODE.UNKNOWN]
+    ])('%j is %s', (data, mode) => {
+        expect(decodeVtrStatus(data).mode).toBe(mode);
+    });
+
+    test('status bits from DATA No.0-2, 4 and 8', () => {
+        const status = decodeVtrStatus([0x01, 0xA0, 0x87, 0x00, 0x01, 0x00, 0x00, 0x00, 0x50, 0x00]);
+
+        expect(status).toMatchObject({
+            remote: false,
+            standby: true,
+            still: true,
+            direction: 'reverse',
+            servoLock: true,
+            cueUpComplete: true,
+            prerollOrCueUp: true,
+            lostLock: true,
+            endOfTape: true,
+            error: false
+        });
+    });
+});
+
+describe('VTR interface (simulated deck)', () => {
+    let deck;
+    let port;
+    let endpoint = 0;
+
+    beforeEach(() => {
+        const name = `vtr-interface-${++endpoint}`;
+        deck = attachDeck(name);
+        port = `memory://${name}`;
+        overrideLineSettings(port, { responseTimeout: 200 });
+    });
+
+    afterEach(async () => {
+        await connectionManager.close(port);
+        unregisterMemoryEndpoint(port.replace('memory://', ''));
+        overrideLineSettings(port, null);
+    });
+
+    test('device type is identified from the 12 11 return', async () => {
+        const result = await getVtrDeviceType(port);
+
+        expect(result.success).toBe(true);
+        expect(result.deviceType).toEqual({ id: 'B000', model: 'DVW-A500', system: 0 });
+        expect(deck.received).toEqual(['001111']);
+    });
+
+    test('STATUS SENSE asks for DATA No.0-9 and decodes them', async () => {
+        const result = await getVtrStatus(port);
+
+        expect(deck.received).toEqual(['61200a8b']);
+        expect(result.success).toBe(true);
+        expect(result.status).toMatchObject({ mode: VTR_MODE.STOP, standby: true, servoLock: true, cassettePresent: true });
+        expect(result.status.data).toHaveLength(10);
+    });
+
+    test('CURRENT TIME SENSE returns the LTC position as timecode', async () => {
+        const ltc = await getVtrTimecode(port);
+
+        expect(deck.received).toEqual(['610c016e']);
+        expect(ltc).toMatchObject({ success: true, source: 'LTC', timecode: '10:00:00;24', frames: 1078944, dropFrame: true, rate: '29.97df' });
+
+        const vitc = await getVtrTimecode(port, 'VITC');
+        expect(vitc.success).toBe(false);
+        expect(vitc.error).toMatch(/No VITC time data/);
+    });
+
+    test('transport commands are ACKed and change the reported mode', async () => {
+        const play = await playVtr(port);
+        expect(play).toMatchObject({ success: true, command: 'SONY_PLAY', reply: 'ACK' });
+        expect((await getVtrStatus(port)).status.mode).toBe(VTR_MODE.PLAY);
+
+        expect((await stopVtr(port)).success).toBe(true);
+        expect((await standbyOffVtr(port)).success).toBe(true);
+        const stopped = (await getVtrStatus(port)).status;
+        expect(stopped).toMatchObject({ mode: VTR_MODE.STOP, standby: false });
+
+        expect((await ejectVtr(port)).success).toBe(true);
+        expect((await getVtrStatus(port)).status.mode).toBe(VTR_MODE.NO_CASSETTE);
+        expect(deck.received).toEqual(expect.arrayContaining(['200121', '200020', '200424', '200f2f']));
+    });
+
+    test('a NAK fails the command with the deck\'s error bits', async () => {
+        const name = `vtr-interface-nak-${endpoint}`;
+        attachDeck(name, { nak: 0x10 });
+        const nakPort = `memory://${name}`;
+        overrideLineSettings(nakPort, { responseTimeout: 200 });
+
+        const result = await playVtr(nakPort);
+
+        expect(result).toMatchObject({ success: false, reply: 'NAK', nakErrors: ['PARITY_ERROR'] });
+        await connectionManager.close(nakPort);
+        unregisterMemoryEndpoint(name);
+    });
+
+    test('autoscan lists the decks that answer DEVICE TYPE', async () => {
+        const silent = `vtr-interface-silent-${endpoint}`;
+        registerMemoryEndpoint(silent, () => {});
+
+        const found = await autoScanVtrs([port, `memory://${silent}`], { timeout: 100 });
+
+        expect(found).toHaveLength(1);
+        expect(found[0]).toMatchObject({
+            id: port,
+            type: 'vtr',
+            port,
+            model: 'DVW-A500',
+            deviceTypeId: 'B000',
+            mode: VTR_MODE.STOP,
+            cassettePresent: true
+        });
+        expect(found[0].lineSettings).toHaveProperty('parity');
+        await connectionManager.close(`memory://${silent}`);
+        unregisterMemoryEndpoint(silent);
+    });
+});
+
+describe('cue to timecode (simulated deck)', () => {
+    let endpoint = 0;
+    const opened = [];
+
+    // Deck on its own endpoint; the memory ports have no config entry, so 30 fps
+    const attach = (options) => {
+        const name = `vtr-cue-${++endpoint}`;
+        const port = `memory://${name}`;
+        opened.push(name);
+        overrideLineSettings(port, { responseTimeout: 200 });
+        return { deck: attachDeck(name, options), port };
+    };
+
+    afterEach(async () => {
+        for (const name of opened.splice(0)) {
+            await connectionManager.close(`memory://${name}`);
+            unregisterMemoryEndpoint(name);
+            overrideLineSettings(`memory://${name}`, null);
+        }
+    });
+
+    test('presets the preroll, cues to the target minus the preroll and reports ready', async () => {
+        const { deck, port } = attach();
+        const operations = new FlexiCartOperations();
+
+        const result = await cueVtr(port, '01:00:00:00', { preroll: 5, operations, pollInterval: 20 });
+
+        expect(result).toMatchObject({
+            success: true,
+            ready: true,
+            target: '01:00:00:00',
+            cuePoint: '00:59:55:00',
+            preroll: 5,
+            position: '00:59:55:00'
+        });
+        expect(deck.received).toEqual(expect.arrayContaining(['4431000500007a', '24310055590003']));
+        expect(deck.preroll).toEqual([0x00, 0x05, 0x00, 0x00]);
+
+        const operation = operations.getOperation(result.operationId);
+        expect(operation).toMatchObject({ type: 'vtr_cue', status: 'completed', progress: 100 });
+        expect(operation.steps.map(step => step.name)).toEqual(
+            expect.arrayContaining(['preroll_preset', 'sent', 'accepted', 'cueing', 'still', 'completed'])
+        );
+    });
+
+    test('reaching the end of the tape fails the cue with TAPE_END', async () => {
+        const { port } = attach({ endOfTape: true });
+        const operations = new FlexiCartOperations();
+
+        const error = await cueVtr(port, '00:30:00:00', { operations, pollInterval: 20 }).catch(e => e);
+
+        expect(error).toMatchObject({ name: 'FlexicartError', code: VTR_CUE_ERRORS.TAPE_END });
+        expect(operations.getOperation(error.operationId)).toMatchObject({ status: 'failed', error: error.message });
+    });
+
+    test('a deck that never completes the cue times out', async () => {
+        const { port } = attach({ cueTime: null });
+        const operations = new FlexiCartOperations();
+
+        const error = await cueVtr(port, '00:30:00:00', { operations, pollInterval: 20, timeout: 100 }).catch(e => e);
+
+        expect(error.code).toBe(VTR_CUE_ERRORS.TIMEOUT);
+        expect(error.operation.status).toBe('timeout');
+        expect(error.operation.steps.map(step => step.name)).toContain('cueing');
+    });
+
+    test('no cassette is refused before anything moves', async () => {
+        const { deck, port } = attach();
+        await ejectVtr(port);
+
+        const error = await cueVtr(port, '00:30:00:00', { pollInterval: 20 }).catch(e => e);
+
+        expect(error.code).toBe(VTR_CUE_ERRORS.NO_CASSETTE);
+        expect(deck.received.some(hex => hex.startsWith('2431'))).toBe(false);
+    });
+
+    test('bad preroll and timecode are parameter errors', async () => {
+        const { port } = attach();
+
+        await expect(cueVtr(port, '01:00:00:00', { preroll: 31 })).rejects.toMatchObject({ code: 'INVALID_PARAMETER' });
+        await expect(cueVtr(port, '01:00:00:30')).rejects.toMatchObject({ code: 'INVALID_PARAMETER' });
+    });
+});
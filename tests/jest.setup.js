@@ -0,0 +1,9 @@
+/**
+ * Jest setup
+ * The modules under test log every exchange with console.log - keep test output
+ * readable unless FLEXICART_TEST_LOGS is set
+ */
+
+if (!process.env.FLEXICART_TEST_LOGS) {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+}
@@ -0,0 +1,200 @@
+/**
+ * Device configuration: schema validation, the settings merge order and
+ * runtime line overrides
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    loadDeviceConfig,
+    validateDeviceConfig,
+    setDeviceConfig,
+    getLineSettings,
+    getRetryPolicy,
+    overrideLineSettings,
+    getLineOverride,
+    getDeviceAddress,
+    resolveLineSettings,
+    DEFAULT_LINE_SETTINGS,
+    DEFAULT_RETRY_POLICY,
+    DEFAULT_CONFIG_PATH
+} = require('../../src/commands/device_config');
+
+const cart = (overrides = {}) => ({ type: 'flexicart', channelId: 3, path: '/dev/ttyRP2', ...overrides });
+
+describe('validateDeviceConfig', () => {
+    test('the shipped config/default.json is valid', () => {
+        expect(validateDeviceConfig(JSON.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf8')))).toEqual({ valid: true, errors: [] });
+    });
+
+    test.each([
+        ['a baud rate the port cannot run', { lineDefaults: { baudRate: 31250 } }, 'lineDefaults.baudRate must be one of'],
+        ['an unknown parity', { rs422Devices: [cart({ parity: 'mark' })] }, 'rs422Devices[0].parity must be one of'],
+        ['a fractional stop bit count', { rs422Devices: [cart({ stopBits: 1.5 })] }, 'rs422Devices[0].stopBits must be an integer'],
+        ['a negative inter-command delay', { lineDefaults: { interCommandDelay: -1 } }, 'lineDefaults.interCommandDelay must be >= 0'],
+        ['a response timeout as a string', { lineDefaults: { responseTimeout: '3000' } }, 'lineDefaults.responseTimeout must be an integer'],
+        ['a misspelt setting', { rs422Devices: [cart({ baudrate: 38400 })] }, 'rs422Devices[0].baudrate is not a known setting'],
+        ['an unknown device type', { rs422Devices: [cart({ type: 'router' })] }, 'rs422Devices[0].type must be one of'],
+        ['a device without a channel', { rs422Devices: [{ type: 'vtr', path: '/dev/ttyRP0' }] }, 'rs422Devices[0].channelId is required'],
+        ['a UA2 that is not a single cart', { rs422Devices: [cart({ cartAddresses: [1, 3] })] }, 'rs422Devices[0].cartAddresses item 3 must be one of'],
+        ['autodetect as a string', { rs422Devices: [cart({ autodetect: 'yes' })] }, 'rs422Devices[0].autodetect must be true or false'],
+        ['a retry policy out of range', { retryPolicy: { maxAttempts: 0 } }, 'retryPolicy.maxAttempts must be >= 1'],
+        ['a device retry policy that is not an object', { rs422Devices: [cart({ retryPolicy: 3 })] }, 'rs422Devices[0].retryPolicy must be an object'],
+        ['a misspelt device retry setting', { rs422Devices: [cart({ retryPolicy: { retryOnBusey: false } })] }, 'rs422Devices[0].retryPolicy.retryOnBusey is not a known setting'],
+        ['a capture file size below the minimum', { wireCapture: { maxBytes: 10 } }, 'wireCapture.maxBytes must be >= 1024'],
+        ['devices that are not a list', { rs422Devices: {} }, 'rs422Devices must be an array']
+    ])('rejects %s', (label, config, problem) => {
+        const { valid, errors } = validateDeviceConfig(config);
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual([expect.stringContaining(problem)]);
+    });
+
+    test.each([
+        ['serial without a path', { type: 'vtr', channelId: 1 }, 'rs422Devices[0].path is required for serial transport'],
+        ['tcp without a port', { type: 'vtr', channelId: 1, transport: 'tcp', host: '10.0.0.20' }, 'rs422Devices[0].host and .port are required for tcp transport'],
+        ['memory without a name', { type: 'vtr', channelId: 1, transport: 'memory' }, 'rs422Devices[0].name is required for memory transport']
+    ])('rejects %s', (label, device, problem) => {
+        expect(validateDeviceConfig({ rs422Devices: [device] }).errors).toContain(problem);
+    });
+
+    test('rejects a channel used twice', () => {
+        const { errors } = validateDeviceConfig({
+            rs422Devices: [cart(), cart({ path: '/dev/ttyRP3' })]
+        });
+
+        expect(errors).toEqual(['rs422Devices[1].channelId 3 is used twice']);
+    });
+
+    test('carts sharing a line must agree on how it is driven', () => {
+        const { errors } = validateDeviceConfig({
+            lineDefaults: { parity: 'odd' },
+            rs422Devices: [
+                cart({ cartAddresses: [1] }),
+                cart({ channelId: 4, cartAddresses: [2], parity: 'even', responseTimeout: 500 })
+            ]
+        });
+
+        expect(errors).toEqual(['rs422Devices[1].parity conflicts with another device on /dev/ttyRP2']);
+    });
+
+    test('reports every problem at once', () => {
+        const { errors } = validateDeviceConfig({
+            lineDefaults: { baudRate: 0 },
+            rs422Devices: [cart({ parity: 'mark', stopBits: 3 })]
+        });
+
+        expect(errors).toHaveLength(3);
+    });
+
+    test('rejects something that is not an object', () => {
+        expect(validateDeviceConfig(null)).toEqual({ valid: false, errors: ['configuration must be a JSON object'] });
+    });
+});
+
+describe('loadDeviceConfig', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'device-config-'));
+    });
+
+    afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const write = (content) => {
+        const file = path.join(directory, 'config.json');
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        return file;
+    };
+
+    test('an invalid file fails with INVALID_CONFIG listing the problems and the file', () => {
+        const file = write({ lineDefaults: { baudRate: 31250, parity: 'mark' } });
+
+        expect(() => loadDeviceConfig(file)).toThrow(expect.objectContaining({
+            code: 'INVALID_CONFIG',
+            message: expect.stringMatching(new RegExp(`${file}[^]*baudRate[^]*parity`))
+        }));
+    });
+
+    test('unreadable JSON fails with INVALID_CONFIG', () => {
+        expect(() => loadDeviceConfig(write('{ "lineDefaults": '))).toThrow(expect.objectContaining({ code: 'INVALID_CONFIG' }));
+        expect(() => loadDeviceConfig(path.join(directory, 'missing.json'))).toThrow(expect.objectContaining({ code: 'INVALID_CONFIG' }));
+    });
+
+    test('each device gets its address and merged settings', () => {
+        const config = loadDeviceConfig(write({
+            lineDefaults: { parity: 'odd', responseTimeout: 1000 },
+            retryPolicy: { maxAttempts: 5 },
+            rs422Devices: [
+                cart({ baudRate: 19200, retryPolicy: { retryOnBusy: false } }),
+                { type: 'vtr', channelId: 1, transport: 'tcp', host: '10.0.0.20', port: 4001 }
+            ]
+        }));
+
+        expect(config.devices.map(device => device.address)).toEqual(['/dev/ttyRP2', 'tcp://10.0.0.20:4001']);
+        expect(config.devices[0].lineSettings).toEqual({ ...DEFAULT_LINE_SETTINGS, parity: 'odd', responseTimeout: 1000, baudRate: 19200 });
+        expect(config.devices[0].retryPolicy).toEqual({ ...DEFAULT_RETRY_POLICY, maxAttempts: 5, retryOnBusy: false });
+        expect(config.devices[1].lineSettings).toEqual({ ...DEFAULT_LINE_SETTINGS, parity: 'odd', responseTimeout: 1000 });
+    });
+});
+
+describe('active configuration', () => {
+    beforeEach(() => {
+        setDeviceConfig({
+            lineDefaults: { responseTimeout: 1000 },
+            rs422Devices: [cart({ baudRate: 19200, retryPolicy: { maxAttempts: 1 } })]
+        });
+    });
+
+    afterAll(() => setDeviceConfig(DEFAULT_CONFIG_PATH));
+
+    test('a configured address gets its own settings, anything else the line defaults', () => {
+        expect(getLineSettings('/dev/ttyRP2')).toMatchObject({ baudRate: 19200, responseTimeout: 1000 });
+        expect(getLineSettings('/dev/ttyRP9')).toEqual({ ...DEFAULT_LINE_SETTINGS, responseTimeout: 1000 });
+        expect(getRetryPolicy('/dev/ttyRP2').maxAttempts).toBe(1);
+        expect(getRetryPolicy('/dev/ttyRP9')).toEqual(DEFAULT_RETRY_POLICY);
+    });
+
+    test('a runtime override wins until cleared or the config is replaced', () => {
+        overrideLineSettings('/dev/ttyRP2', { baudRate: 9600, parity: 'odd' });
+        expect(getLineSettings('/dev/ttyRP2')).toMatchObject({ baudRate: 9600, parity: 'odd', responseTimeout: 1000 });
+        expect(getLineOverride('/dev/ttyRP2')).toEqual({ baudRate: 9600, parity: 'odd' });
+
+        overrideLineSettings('/dev/ttyRP2', null);
+        expect(getLineSettings('/dev/ttyRP2').baudRate).toBe(19200);
+
+        overrideLineSettings('/dev/ttyRP2', { baudRate: 9600 });
+        setDeviceConfig({});
+        expect(getLineOverride('/dev/ttyRP2')).toBeNull();
+    });
+
+    test('an override is checked against the schema', () => {
+        expect(() => overrideLineSettings('/dev/ttyRP2', { baudRate: 31250 }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_CONFIG', port: '/dev/ttyRP2' }));
+        expect(getLineOverride('/dev/ttyRP2')).toBeNull();
+    });
+
+    test('an invalid replacement leaves the active config in place', () => {
+        expect(() => setDeviceConfig({ lineDefaults: { stopBits: 3 } })).toThrow(expect.objectContaining({ code: 'INVALID_CONFIG' }));
+        expect(getLineSettings('/dev/ttyRP2').baudRate).toBe(19200);
+    });
+});
+
+describe('addresses and defaults', () => {
+    test.each([
+        [{ path: '/dev/ttyRP0' }, '/dev/ttyRP0'],
+        [{ transport: 'tcp', host: 'cart-server', port: 4002 }, 'tcp://cart-server:4002'],
+        [{ transport: 'memory', name: 'sim' }, 'memory://sim']
+    ])('%p is addressed as %s', (device, address) => {
+        expect(getDeviceAddress(device)).toBe(address);
+    });
+
+    test('an unknown transport has no address', () => {
+        expect(() => getDeviceAddress({ transport: 'udp', channelId: 1 })).toThrow(expect.objectContaining({ code: 'INVALID_TRANSPORT' }));
+    });
+
+    test('the protocol defaults are 38400 8E1', () => {
+        expect(resolveLineSettings({})).toMatchObject({ baudRate: 38400, dataBits: 8, parity: 'even', stopBits: 1 });
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * As-run log: daily files, pruning, CSV/BXF export and the inventory play counts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { AsRunLog, formatAsRunCsv, formatAsRunBxf, AS_RUN_STATUS } = require('../../src/commands/flexicart_as_run');
+const { CassetteBinOccupancy } = require('../../src/commands/flexicart_data_structures');
+
+const aired = (overrides = {}) => ({
+    eventId: 'news',
+    title: 'Evening News',
+    status: AS_RUN_STATUS.AIRED,
+    barcode: 'TAPE0013',
+    houseId: 'NEWS',
+    bin: 13,
+    player: '/dev/ttyRP0',
+    operationId: 'op_1',
+    startMode: 'hard',
+    plannedStart: '2026-03-01T18:00:00.000Z',
+    actualStart: '2026-03-01T18:00:00.040Z',
+    startVarianceMs: 40,
+    plannedDuration: 30000,
+    actualDuration: 30000,
+    tallyOn: '2026-03-01T18:00:00.040Z',
+    tallyOff: '2026-03-01T18:00:30.040Z',
+    errors: [],
+    rolledBack: [],
+    ...overrides
+});
+
+describe('AsRunLog', () => {
+    let log;
+
+    beforeEach(() => {
+        log = new AsRunLog({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'flexicart-as-run-')), retainDays: 3650 });
+    });
+
+    afterEach(() => {
+        fs.rmSync(log.directory, { recursive: true, force: true });
+    });
+
+    test('entries go to the file of the day they aired, or were planned for', () => {
+        log.record(aired());
+        log.record(aired({ eventId: 'late', actualStart: '2026-03-02T00:00:01.000Z' }));
+        log.record(aired({ eventId: 'gone', status: AS_RUN_STATUS.MISSED, actualStart: null, plannedStart: '2026-03-02T06:00:00.000Z' }));
+
+        expect(log.listDays()).toEqual(['2026-03-01', '2026-03-02']);
+        expect(log.readDay('2026-03-02').map(entry => entry.eventId)).toEqual(['late', 'gone']);
+        expect(log.readDay('2026-03-01')[0]).toMatchObject({ ...aired(), loggedAt: expect.any(String) });
+        expect(log.readDay('2026-02-28')).toEqual([]);
+    });
+
+    test('a new day deletes the days past retainDays', () => {
+        const short = new AsRunLog({ directory: log.directory, retainDays: 2 });
+        const today = new Date().toISOString().slice(0, 10);
+        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        fs.writeFileSync(short.fileFor('2020-01-01'), '');
+        fs.writeFileSync(short.fileFor(yesterday), '');
+
+        short.record(aired({ actualStart: new Date().toISOString() }));
+
+        expect(short.listDays()).toEqual([yesterday, today]);
+        expect(short.stats.pruned).toBe(1);
+    });
+
+    test('an airing counts as a play of the cassette; a failure does not', () => {
+        const inventory = new CassetteBinOccupancy(20);
+        inventory.setCassette(13, { id: 'NEWS', barcode: 'TAPE0013', playCount: 4 });
+
+        log.record(aired(), inventory);
+        log.record(aired({ status: AS_RUN_STATUS.FAILED, tallyOn: null, tallyOff: null }), inventory);
+
+        expect(inventory.getCassette(13)).toMatchObject({ playCount: 5, lastPlayed: '2026-03-01T18:00:30.040Z' });
+    });
+
+    test('applyToInventory restores play counts after the inventory is rebuilt', () => {
+        log.record(aired());
+        log.record(aired({ status: AS_RUN_STATUS.INTERRUPTED, tallyOff: '2026-03-01T20:00:10.000Z' }));
+        log.record(aired({ barcode: null, houseId: 'CART_2', tallyOff: '2026-03-01T21:00:00.000Z' }));
+        log.record(aired({ status: AS_RUN_STATUS.MISSED }));
+
+        const inventory = new CassetteBinOccupancy(20);
+        inventory.setCassette(13, { id: 'NEWS', barcode: 'TAPE0013' });
+        inventory.setCassette(2, {});
+        inventory.setCassette(3, { id: 'OLD', barcode: 'TAPE0003', playCount: 7 });
+
+        expect(log.applyToInventory(inventory)).toBe(2);
+        expect(inventory.getCassette(13)).toMatchObject({ playCount: 2, lastPlayed: '2026-03-01T20:00:10.000Z' });
+        expect(inventory.getCassette(2)).toMatchObject({ playCount: 1, lastPlayed: '2026-03-01T21:00:00.000Z' });
+        expect(inventory.getCassette(3).playCount).toBe(7);
+    });
+
+    test('an interrupted airing whose return failed is counted as the log replay counts it', () => {
+        const inventory = new CassetteBinOccupancy(20);
+        const interrupted = aired({ status: AS_RUN_STATUS.INTERRUPTED, tallyOff: '2026-03-01T18:00:10.000Z', rolledBack: [] });
+
+        // Still in the player: no bin holds it when the run ends
+        log.record(interrupted, inventory);
+        inventory.setCassette(13, { id: 'NEWS', barcode: 'TAPE0013' });
+        log.record(aired({ actualStart: '2026-03-01T19:00:00.000Z', tallyOff: '2026-03-01T19:00:30.000Z' }), inventory);
+
+        const rebuilt = new CassetteBinOccupancy(20);
+        rebuilt.setCassette(13, { id: 'NEWS', barcode: 'TAPE0013' });
+        log.applyToInventory(rebuilt);
+
+        expect(inventory.getCassette(13)).toMatchObject({ playCount: 2, lastPlayed: '2026-03-01T19:00:30.000Z' });
+        expect(rebuilt.getCassette(13)).toMatchObject({ playCount: 2, lastPlayed: '2026-03-01T19:00:30.000Z' });
+    });
+
+    test('a held play is settled by applyToInventory once the cassette is back in a bin', () => {
+        const inventory = new CassetteBinOccupancy(20);
+        log.record(aired({ status: AS_RUN_STATUS.INTERRUPTED }), inventory);
+        inventory.setCassette(13, { id: 'NEWS', barcode: 'TAPE0013' });
+
+        log.applyToInventory(inventory);
+        log.record(aired({ actualStart: '2026-03-01T19:00:00.000Z', tallyOff: '2026-03-01T19:00:30.000Z' }), inventory);
+
+        expect(inventory.getCassette(13).playCount).toBe(2);
+    });
+
+    test('a scheduled event that never got a player is logged as missed', () => {
+        const scheduler = new EventEmitter();
+        log.attachScheduler(scheduler);
+
+        scheduler.emit('event', { id: 'promo', status: 'on_air' });
+        scheduler.emit('event', {
+            id: 'promo', status: 'missed', title: '', barcode: 'TAPE0012', houseId: null, startMode: 'soft',
+            startTime: '2026-03-01T09:00:00.000Z', durationMs: 10000, error: 'No player was free before the event ended'
+        });
+
+        expect(log.readDay('2026-03-01')).toEqual([expect.objectContaining({
+            eventId: 'promo',
+            status: AS_RUN_STATUS.MISSED,
+            plannedStart: '2026-03-01T09:00:00.000Z',
+            actualStart: null,
+            errors: [{ stage: 'schedule', code: null, message: 'No player was free before the event ended' }]
+        })]);
+    });
+
+    test('exportDay writes CSV or BXF and refuses other formats', () => {
+        log.record(aired());
+
+        expect(log.exportDay('2026-03-01', 'csv').split('\r\n')[1]).toMatch(/^news,aired,Evening News,TAPE0013,NEWS,13,/);
+        expect(log.exportDay('2026-03-01', 'bxf')).toMatch(/<Schedule type="As-Run" scheduleStart="2026-03-01T00:00:00.000Z"/);
+        expect(() => log.exportDay('2026-03-01', 'xls')).toThrow(expect.objectContaining({ code: 'INVALID_PARAMETER' }));
+    });
+});
+
+describe('as-run export formats', () => {
+    test('CSV quotes fields with commas, quotes or newlines and joins the errors', () => {
+        const csv = formatAsRunCsv([aired({
+            title: 'News, "Late"',
+            status: AS_RUN_STATUS.INTERRUPTED,
+            errors: [{ stage: 'on_air', code: 'PLAYER_FAILED', message: 'Player fault on air: TAPE_TROUBLE' }]
+        })]);
+        const [header, row, end] = csv.split('\r\n');
+
+        expect(header).toBe('event_id,status,title,barcode,house_id,bin,player,start_mode,planned_start,actual_start,' +
+            'start_variance_ms,planned_duration_ms,actual_duration_ms,tally_on,tally_off,operation_id,errors');
+        expect(row).toContain('interrupted,"News, ""Late""",TAPE0013');
+        expect(row).toMatch(/,op_1,on_air: Player fault on air: TAPE_TROUBLE$/);
+        expect(end).toBe('');
+    });
+
+    test('BXF has one AsRun per entry with timecode durations and escaped text', () => {
+        const xml = formatAsRunBxf([
+            aired({ title: 'Q&A <live>' }),
+            aired({ eventId: null, status: AS_RUN_STATUS.FAILED, actualDuration: null, errors: [{ stage: 'cue', code: 'TAPE_END', message: 'End of tape' }] })
+        ], { day: '2026-03-01', frameRate: 25 });
+
+        expect(xml.match(/<AsRun>/g)).toHaveLength(2);
+        expect(xml).toContain('<EventId>news</EventId>');
+        expect(xml).toContain('<EventId>op_1</EventId>');
+        expect(xml).toContain('<Name>Q&amp;A &lt;live&gt;</Name>');
+        expect(xml).toContain('<Duration>00:00:30:00</Duration>');
+        expect(xml).toContain('<Duration></Duration>');
+        expect(xml).toContain('<Error stage="cue" code="TAPE_END">End of tape</Error>');
+        expect(xml).toContain('scheduleEnd="2026-03-02T00:00:00.000Z"');
+    });
+});
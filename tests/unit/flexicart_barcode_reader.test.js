@@ -0,0 +1,93 @@
+/**
+ * FlexiCartBarcodeReader.parseFlexiCartBarcodeData / parseBinStatusResponse
+ */
+
+const { FlexiCartBarcodeReader } = require('../../src/commands/flexicart_barcode_reader');
+const { encodeFlexiCartFrame } = require('../../src/commands/flexicart_frame_decoder');
+
+// BIN STATUS RETURN: [STX BC UA1 UA2 BT=01 CMD=72] [C.C] [BIT MAP] [barcode...] [CS]
+const binStatusReturn = (bitMap, barcode = '') =>
+    encodeFlexiCartFrame(0x01, 0x01, 0x72, [0x01, bitMap, ...Buffer.from(barcode, 'ascii')]);
+
+describe('FlexiCartBarcodeReader.parseFlexiCartBarcodeData', () => {
+    const reader = new FlexiCartBarcodeReader();
+
+    test('extracts an ASCII barcode and the cassette-in-bin bit', () => {
+        const result = reader.parseFlexiCartBarcodeData(binStatusReturn(0x05, 'TAPE0042'), 42);
+
+        expect(result).toMatchObject({
+            barcode: 'TAPE0042',
+            format: 'FlexiCart_ASCII',
+            valid: true,
+            cassetteInBin: true,
+            barcodeReadStatus: true
+        });
+        expect(result.metadata.position).toBe(42);
+    });
+
+    test('does not take the checksum byte for barcode data', () => {
+        const frame = binStatusReturn(0x05, 'PROMO100');
+        expect(String.fromCharCode(frame[frame.length - 1])).toBe('Y');     // Printable checksum
+
+        expect(reader.parseFlexiCartBarcodeData(frame, 1).barcode).toBe('PROMO100');
+    });
+
+    test('drops non-printable bytes from the barcode', () => {
+        const frame = encodeFlexiCartFrame(0x01, 0x01, 0x72, [0x01, 0x05, 0x41, 0x00, 0x42, 0x1F, 0x43]);
+
+        expect(reader.parseFlexiCartBarcodeData(frame, 3).barcode).toBe('ABC');
+    });
+
+    test('an occupied bin without barcode bytes reports NO_DATA', () => {
+        const result = reader.parseFlexiCartBarcodeData(binStatusReturn(0x03), 9);
+
+        expect(result).toMatchObject({ barcode: 'NO_DATA_9', valid: false, cassetteInBin: true });
+    });
+
+    test('a cleared bit map means no cassette', () => {
+        expect(reader.parseFlexiCartBarcodeData(binStatusReturn(0x00, 'X1'), 1).cassetteInBin).toBe(false);
+    });
+
+    test('binary barcode data gets a generated id', () => {
+        const frame = encodeFlexiCartFrame(0x01, 0x01, 0x72, [0x01, 0x01, 0x80, 0x90]);
+        const result = reader.parseFlexiCartBarcodeData(frame, 12);
+
+        expect(result.format).toBe('FlexiCart_Generated');
+        expect(result.barcode).toMatch(/^FC012\d{3}$/);
+    });
+
+    test('responses too short for a bit map are flagged', () => {
+        expect(reader.parseFlexiCartBarcodeData(Buffer.from([0x02, 0x04, 0x01, 0x01, 0x01, 0x72, 0x01]), 6).barcode)
+            .toBe('SHORT_RESP_6');
+    });
+});
+
+describe('FlexiCartBarcodeReader.parseBinStatusResponse', () => {
+    const reader = new FlexiCartBarcodeReader();
+
+    test('ACK is an empty bin', () => {
+        expect(reader.parseBinStatusResponse(Buffer.from([0x04]), 8)).toMatchObject({
+            success: true,
+            binOccupied: false,
+            barcode: null
+        });
+    });
+
+    test('BIN STATUS RETURN is parsed structurally', () => {
+        expect(reader.parseBinStatusResponse(binStatusReturn(0x05, 'PROMO-12'), 8, true)).toMatchObject({
+            success: true,
+            position: 8,
+            binOccupied: true,
+            barcode: 'PROMO-12',
+            rawResponse: binStatusReturn(0x05, 'PROMO-12').toString('hex')
+        });
+    });
+
+    test('other multi-byte replies fall back to generic extraction', () => {
+        expect(reader.parseBinStatusResponse(Buffer.from('??ZX81', 'ascii'), 2)).toMatchObject({
+            binOccupied: true,
+            barcode: '??ZX81',
+            format: 'FlexiCart_Generic'
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Capture replay: pairing commands with their replies and feeding a capture
+ * recorded from the simulator back through the parsers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { replayCapture, groupExchanges, REPLAY_PARSERS } = require('../../src/commands/flexicart_capture_replay');
+const { WireCapture } = require('../../src/commands/flexicart_wire_capture');
+const { FlexiCartSimulator } = require('../../src/commands/flexicart_simulator');
+const { connectionManager } = require('../../src/commands/flexicart_connection_manager');
+const { overrideLineSettings } = require('../../src/commands/device_config');
+const { sendCommand } = require('../../src/commands/flexicart_serial_utils');
+const { encodeCommand, getCassetteBinNumber } = require('../../src/commands/flexicart_command_catalog');
+
+const record = (dir, port, hex, extra = {}) => ({ dir, port, device: port, hex, data: Buffer.from(hex, 'hex'), ...extra });
+
+describe('groupExchanges', () => {
+    test('pairs each command with the reply bytes that followed it on its port', () => {
+        const exchanges = groupExchanges([
+            record('tx', 'A', '0101'),
+            record('tx', 'B', '0202'),
+            record('rx', 'A', '04'),
+            record('rx', 'B', '0206'),
+            record('rx', 'B', '0101'),
+            record('tx', 'A', '0303')
+        ]);
+
+        expect(exchanges.map(e => [e.port, e.command.toString('hex'), e.response.toString('hex')])).toEqual([
+            ['A', '0101', '04'],
+            ['B', '0202', '02060101'],
+            ['A', '0303', '']
+        ]);
+        expect(exchanges[1].records).toHaveLength(3);
+    });
+
+    test('unsolicited bytes, and bytes before any command, stand alone', () => {
+        const exchanges = groupExchanges([
+            record('rx', 'A', '05'),
+            record('tx', 'A', '0101'),
+            record('rx', 'A', '0271', { unsolicited: true }),
+            record('rx', 'A', '04')
+        ]);
+
+        expect(exchanges.map(e => [e.unsolicited, e.command && e.command.toString('hex'), e.response.toString('hex')])).toEqual([
+            [true, null, '05'],
+            [false, '0101', '04'],
+            [true, null, '0271']
+        ]);
+    });
+});
+
+describe('replayCapture', () => {
+    let simulator;
+    let port;
+    let directory;
+    let capture;
+    let endpoint = 0;
+
+    beforeEach(async () => {
+        simulator = new FlexiCartSimulator({ timeScale: 0.05, population: { 1: 'TAPE0001' } });
+        port = simulator.attachMemory(`capture-replay-${++endpoint}`);
+        overrideLineSettings(port, { responseTimeout: 200 });
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-replay-'));
+
+        // Record a short session against the simulated cart
+        capture = new WireCapture({ directory }).start();
+        await sendCommand(port, encodeCommand('STATUS_REQUEST'));
+        await sendCommand(port, encodeCommand('SENSE_BIN_STATUS', { bin: getCassetteBinNumber(1) }));
+        await sendCommand(port, encodeCommand('SENSE_BIN_STATUS', { bin: getCassetteBinNumber(2) }));
+        await capture.stop();
+    });
+
+    afterEach(async () => {
+        await connectionManager.close(port);
+        simulator.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('a recorded session decodes the same way offline', () => {
+        const { files, header, exchanges, stats } = replayCapture(capture.file);
+
+        expect(files).toEqual([capture.file]);
+        expect(header.capture).toBe('flexicart-wire');
+        expect(stats).toMatchObject({ exchanges: 3, parserErrors: 0, invalidLines: 0 });
+
+        const [status, occupied, empty] = exchanges;
+        expect(status.device).toBe(`${port}#1`);
+        expect(status.results.status).toMatchObject({ communicating: true, statusCode: 0x71 });
+        expect(status.results.binStatus).toBeUndefined();
+        expect(occupied.results.binStatus).toMatchObject({ position: 1, binOccupied: true, barcode: 'TAPE0001' });
+        expect(empty.results.binStatus).toMatchObject({ position: 2, binOccupied: false });
+        expect(occupied.decoded.frames).toHaveLength(1);
+    });
+
+    test('replays rotated files in order, with filters and a chosen parser', async () => {
+        // Rotate by hand: the session above becomes .1, a second session the active file
+        fs.renameSync(capture.file, `${capture.file}.1`);
+        capture = new WireCapture({ directory }).start();
+        await sendCommand(port, encodeCommand('SENSE_BIN_STATUS', { bin: getCassetteBinNumber(1) }));
+        await capture.stop();
+
+        const all = replayCapture(capture.file);
+        expect(all.files).toEqual([`${capture.file}.1`, capture.file]);
+        expect(all.stats.exchanges).toBe(4);
+
+        const bins = replayCapture(capture.file, { parsers: ['binStatus', 'no-such-parser'] });
+        expect(bins.exchanges.map(e => Object.keys(e.results))).toEqual([[], ['binStatus'], ['binStatus'], ['binStatus']]);
+
+        expect(replayCapture(capture.file, { device: `${port}#2` }).exchanges).toEqual([]);
+        expect(replayCapture(capture.file, { port }).exchanges).toHaveLength(4);
+    });
+
+    test('a parser that throws is reported on its exchange, and the replay goes on', () => {
+        const parsers = {
+            ...REPLAY_PARSERS,
+            broken: { matches: () => true, parse: () => { throw new Error('index out of range'); } }
+        };
+
+        const { exchanges, stats } = replayCapture([capture.file], { parsers });
+
+        expect(stats.parserErrors).toBe(3);
+        expect(exchanges[0].results.broken).toMatchObject({ error: 'index out of range' });
+        expect(exchanges[1].results.binStatus.barcode).toBe('TAPE0001');
+    });
+});
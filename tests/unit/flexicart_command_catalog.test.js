@@ -0,0 +1,309 @@
+/**
+ * FlexiCart command catalog: builders, lookups, validation and derived tables
+ */
+
+const {
+    COMMAND_CATALOG,
+    COMMAND_PROTOCOL,
+    RESPONSE_CLASS,
+    SAFETY_LEVEL,
+    getCommandDefinition,
+    findCommand,
+    getCommandName,
+    validateCommandRequest,
+    encodeCommand,
+    encodeBinNumber,
+    decodeBinNumber,
+    getBinNumber,
+    getBinNumbers,
+    getMacroNumber,
+    getCassetteBinNumber,
+    getCassetteBinIndex,
+    getLmBinNumber,
+    getVtrBinNumber,
+    getVtrNumber,
+    describeBinNumber,
+    MAX_BIN_INDEX,
+    buildCommandTable,
+    describeCommand,
+    isMacroCommand,
+    getOperationType,
+    getResponseType
+} = require('../../src/commands/flexicart_command_catalog');
+const { createFlexiCartCommand } = require('../../src/commands/flexicart_serial_utils');
+const { encodeFlexiCartFrame } = require('../../src/commands/flexicart_frame_decoder');
+const { CassetteBinOccupancy } = require('../../src/commands/flexicart_data_structures');
+const { classifyCommand, COMMAND_CATEGORY, COMMAND_PRIORITY } = require('../../src/commands/flexicart_command_queue');
+const { FLEXICART_COMMANDS } = require('../../src/commands/flexicart_cmds_status');
+const { FLEXICART_MOVEMENT_COMMANDS } = require('../../src/commands/flexicart_cmds_transport');
+const { SONY_COMMANDS } = require('../../src/commands/flexicart_sony_advanced');
+
+describe('catalog entries', () => {
+    test('names are unique per protocol', () => {
+        const keys = COMMAND_CATALOG.flatMap(d => [d.name, ...d.aliases].map(name => `${d.protocol}:${name}`));
+        expect(new Set(keys).size).toBe(keys.length);
+    });
+
+    test('every entry has a response class and safety level', () => {
+        for (const definition of COMMAND_CATALOG) {
+            expect(Object.values(RESPONSE_CLASS)).toContain(definition.responseClass);
+            expect(Object.values(SAFETY_LEVEL)).toContain(definition.safety);
+        }
+    });
+
+    test('macros track an operation type', () => {
+        COMMAND_CATALOG
+            .filter(d => d.protocol === COMMAND_PROTOCOL.FLEXICART && d.responseClass === RESPONSE_CLASS.MACRO)
+            .forEach(d => expect(d.operationType).toEqual(expect.any(String)));
+    });
+
+    test('only the cart emergency stop is an emergency command (a VTR STOP is not)', () => {
+        const emergency = COMMAND_CATALOG.filter(d => d.safety === SAFETY_LEVEL.EMERGENCY).map(d => d.name);
+
+        expect(new Set(emergency)).toEqual(new Set(['EMERGENCY_STOP']));
+    });
+});
+
+describe('encodeCommand', () => {
+    test.each([
+        ['STATUS_REQUEST', {}, [0x61, 0x00, 0x13, 0x80]],
+        ['SENSE_CART_STATUS', { bitmap1: 0x02, bitmap2: 0x00 }, [0x61, 0x00, 0x02, 0x00]],
+        ['SENSE_CHANGED_BIN', {}, [0x61, 0x00, 0x08, 0x00]],
+        ['DUMMY', {}, [0x50, 0x00, 0x00, 0x80]],
+        ['ON_AIR_TALLY_ON', {}, [0x71, 0x00, 0x01, 0x80]],
+        ['EMERGENCY_STOP', {}, [0x48, 0x00, 0x00, 0x80]]
+    ])('%s %p matches createFlexiCartCommand', (name, params, [cmd, bt, ctrl, data]) => {
+        expect(encodeCommand(name, params, 0x04)).toEqual(createFlexiCartCommand(0x04, cmd, bt, ctrl, data));
+    });
+
+    // BT 01H: CMD [Macro No.] + C.C SELECT + BIN No. (BCD) [+ C.C SELECT + BIN No.] [+ DATA]
+    test.each([
+        ['CASSETTE_MOVE', { macro: 12, source: 1012, destination: 101 }, 0x10, [0x12, 0x01, 0x10, 0x12, 0x01, 0x01, 0x01]],
+        ['CASSETTE_MOVE', { macro: 0, source: 106, destination: 6099 }, 0x10, [0x00, 0x01, 0x01, 0x06, 0x01, 0x60, 0x99]],
+        ['CASSETTE_MOVE', { macro: 99, source: 1, destination: 1101 }, 0x10, [0x99, 0x01, 0x00, 0x01, 0x01, 0x11, 0x01]],
+        ['ELEVATOR_MOVE', { macro: 7, destination: 1142 }, 0x14, [0x07, 0x01, 0x11, 0x42]],
+        ['ELEVATOR_INITIALIZE', { macro: 3 }, 0x1D, [0x03, 0x01, 0x00]],
+        ['SET_BIN_LAMP', { bin: 1007, on: true }, 0x09, [0x01, 0x10, 0x07, 0x01]],
+        ['SET_BIN_LAMP', { bin: 6056, on: false }, 0x09, [0x01, 0x60, 0x56, 0x00]],
+        ['SENSE_BIN_STATUS', { bin: 1199 }, 0x62, [0x01, 0x11, 0x99, 0x09]],
+        ['BIN_STATUS_RETURN', { bin: 1001 }, 0x72, [0x01, 0x10, 0x01, 0x09]]
+    ])('%s %p addresses the bin with a BIN No. field', (name, params, cmd, block) => {
+        const frame = encodeCommand(name, params, 0x04);
+
+        expect(frame).toEqual(encodeFlexiCartFrame(0x04, 0x01, cmd, block));
+        expect(frame[1]).toBe(4 + block.length);     // BC: UA1..last block byte
+    });
+
+    test('legacy buffers come from their byte templates', () => {
+        expect(encodeCommand('STATUS', {}, undefined, COMMAND_PROTOCOL.ASCII)).toEqual(Buffer.from([0x02, 0x53, 0x03]));
+    });
+
+    // CMD-1 (group | DATA COUNT) + CMD-2 [+ DATA] + CHECKSUM
+    test.each([
+        ['DEVICE_TYPE', [0x00, 0x11, 0x11]],
+        ['SENSE_STATUS', [0x61, 0x20, 0x0A, 0x8B]],
+        ['CURRENT_TIME_SENSE', [0x61, 0x0C, 0x01, 0x6E]],
+        ['SONY_STOP', [0x20, 0x00, 0x20]],
+        ['SONY_EJECT', [0x20, 0x0F, 0x2F]]
+    ])('Sony %s is a 9-pin packet', (name, packet) => {
+        expect(encodeCommand(name, {}, undefined, COMMAND_PROTOCOL.SONY)).toEqual(Buffer.from(packet));
+    });
+
+    test('unknown commands and bad parameters throw FlexicartError', () => {
+        expect(() => encodeCommand('NOPE')).toThrow(expect.objectContaining({ code: 'INVALID_COMMAND' }));
+        expect(() => encodeCommand('ELEVATOR_MOVE', { macro: 1, destination: 42 })).toThrow(expect.objectContaining({ code: 'INVALID_PARAMETER' }));
+        expect(() => encodeCommand('ELEVATOR_MOVE', { destination: 1001 })).toThrow(/missing parameter "macro"/);
+        expect(() => encodeCommand('CASSETTE_MOVE', { macro: 100, source: 1001, destination: 101 }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_PARAMETER' }));
+        expect(() => encodeCommand('SONY_GOTO_POS', {}, undefined, COMMAND_PROTOCOL.SONY))
+            .toThrow(expect.objectContaining({ code: 'INVALID_COMMAND' }));
+    });
+});
+
+describe('BIN No. addressing', () => {
+    test.each([
+        [1, [0x00, 0x01]],
+        [106, [0x01, 0x06]],
+        [1001, [0x10, 0x01]],
+        [1199, [0x11, 0x99]],
+        [6042, [0x60, 0x42]]
+    ])('bin %i is BCD %p', (bin, bytes) => {
+        expect(encodeBinNumber(bin)).toEqual(bytes);
+        expect(decodeBinNumber(...bytes)).toBe(bin);
+    });
+
+    test('non-decimal nibbles and out-of-range bins are refused', () => {
+        expect(decodeBinNumber(0x01, 0x2C)).toBeNull();
+        expect(() => encodeBinNumber(10000)).toThrow(expect.objectContaining({ code: 'INVALID_PARAMETER' }));
+    });
+
+    // Manual 8-2-1: S bins 10nn (left) / 11nn (right), nn from the top unit
+    test.each([
+        [1, 1001],
+        [2, 1101],
+        [3, 1002],
+        [36, 1118],
+        [MAX_BIN_INDEX, 1199]
+    ])('cassette bin %i is BIN No. %i', (index, binNumber) => {
+        expect(getCassetteBinNumber(index)).toBe(binNumber);
+        expect(getCassetteBinIndex(binNumber)).toBe(index);
+    });
+
+    test('the L/M address of a unit is its left bin, not a bin of its own', () => {
+        expect(MAX_BIN_INDEX).toBe(198);
+        expect(getCassetteBinIndex(6001)).toBe(getCassetteBinIndex(1001));
+        expect(getCassetteBinIndex(6099)).toBe(getCassetteBinIndex(1099));
+        expect([1, 2, 3, MAX_BIN_INDEX].map(getLmBinNumber)).toEqual([6001, 6001, 6002, 6099]);
+    });
+
+    test('VTRs and the elevator have their own BIN Nos.', () => {
+        expect(getVtrBinNumber(1)).toBe(101);
+        expect(getVtrBinNumber(6)).toBe(106);
+        expect(getVtrNumber(103)).toBe(3);
+        expect(getVtrNumber(1001)).toBeNull();
+        expect(getCassetteBinIndex(101)).toBeNull();
+        expect(getCassetteBinIndex(1)).toBeNull();
+        expect(getCassetteBinIndex(1200)).toBeNull();
+        expect(() => getVtrBinNumber(7)).toThrow(expect.objectContaining({ code: 'INVALID_PARAMETER' }));
+        expect(() => getCassetteBinNumber(MAX_BIN_INDEX + 1)).toThrow(expect.objectContaining({ code: 'INVALID_PARAMETER' }));
+        expect([1, 104, 1012].map(describeBinNumber)).toEqual(['ELEVATOR', 'VTR4', 'BIN 1012']);
+    });
+
+    test('every CassetteBinOccupancy bin has its own address', () => {
+        const inventory = new CassetteBinOccupancy();
+        const definition = getCommandDefinition('ELEVATOR_MOVE');
+        const addresses = new Set();
+
+        for (const [bin, entry] of inventory.bins) {
+            const frame = encodeCommand('ELEVATOR_MOVE', { macro: 1, destination: entry.address });
+            const block = frame.subarray(6, frame.length - 1);
+            expect(getCassetteBinIndex(getBinNumber(definition, block))).toBe(bin);
+            addresses.add(block.toString('hex'));
+        }
+        expect(addresses.size).toBe(inventory.maxBins);
+        expect(validateCommandRequest({ name: 'ELEVATOR_MOVE', params: { macro: 1, destination: 1200 } }).valid).toBe(false);
+    });
+
+    test('a cassette move names its source and destination', () => {
+        const frame = encodeCommand('CASSETTE_MOVE', { macro: 5, source: 1101, destination: 102 });
+        const block = frame.subarray(6, frame.length - 1);
+
+        expect(getBinNumbers(getCommandDefinition('CASSETTE_MOVE'), block)).toEqual({ source: 1101, destination: 102 });
+        expect(getBinNumber(getCommandDefinition('CASSETTE_MOVE'), block, 'destination')).toBe(102);
+    });
+
+    test('the Macro No. a move was sent with is read back from its frame', () => {
+        expect(getMacroNumber(encodeCommand('CASSETTE_MOVE', { macro: 42, source: 1101, destination: 102 }))).toBe(42);
+        expect(getMacroNumber(encodeCommand('ELEVATOR_UP'))).toBeNull();
+        expect(getMacroNumber(encodeCommand('STATUS_REQUEST'))).toBeNull();
+    });
+});
+
+describe('validateCommandRequest', () => {
+    test('accepts a valid request', () => {
+        const result = validateCommandRequest({ name: 'SENSE_BIN_STATUS', params: { bin: 6099 } });
+
+        expect(result.valid).toBe(true);
+        expect(result.definition.cmd).toBe(0x62);
+    });
+
+    test('collects every problem', () => {
+        expect(validateCommandRequest({ name: 'SET_BIN_LAMP', params: { bin: 1.5, colour: 'red' } }).errors).toEqual([
+            'SET_BIN_LAMP: "bin" must be a cassette bin number (10nn, 11nn or 60nn)',
+            'SET_BIN_LAMP: missing parameter "on"',
+            'SET_BIN_LAMP: unexpected parameter "colour"'
+        ]);
+    });
+
+    test('refuses safety levels that are not allowed', () => {
+        const readOnly = { allowedSafety: [SAFETY_LEVEL.READ_ONLY] };
+
+        expect(validateCommandRequest({ name: 'STATUS_REQUEST' }, readOnly).valid).toBe(true);
+        expect(validateCommandRequest({ name: 'CASSETTE_MOVE', params: { macro: 1, source: 1001, destination: 101 } }, readOnly).errors)
+            .toEqual(['CASSETTE_MOVE: motion commands are not allowed']);
+    });
+
+    test('unknown names and protocols', () => {
+        expect(validateCommandRequest({ name: 'SONY_EJECT' })).toMatchObject({ valid: false, definition: null });
+        expect(validateCommandRequest({ name: 'SONY_EJECT', protocol: COMMAND_PROTOCOL.SONY }).valid).toBe(true);
+        expect(validateCommandRequest({}).valid).toBe(false);
+    });
+});
+
+describe('lookups', () => {
+    test.each([
+        [0x61, 0x13, 'STATUS_REQUEST'],
+        [0x61, 0x08, 'SENSE_CHANGED_BIN'],
+        [0x61, 0x02, 'SENSE_CART_STATUS'],
+        [0x00, 0x01, 'REPORT_ALL_BINS'],
+        [0x6F, 0x00, 'SENSE_ERROR_REPORT'],
+        [0x71, 0x00, 'ON_AIR_TALLY_OFF'],
+        [0x10, 0x12, 'CASSETTE_MOVE'],
+        [0x14, 0x99, 'ELEVATOR_MOVE'],
+        [0x46, 0x00, 'INITIALIZE'],
+        [0x1D, 0x01, 'ELEVATOR_INITIALIZE'],
+        [0x6E, 0x00, 'CMD_6E'],
+        [0x99, 0x00, 'CMD_99']
+    ])('CMD %i CTRL %i is %s', (cmd, ctrl, name) => {
+        expect(getCommandName(cmd, ctrl)).toBe(name);
+    });
+
+    test('aliases resolve to the same entry', () => {
+        expect(getCommandDefinition('POSITION_QUERY', COMMAND_PROTOCOL.SONY))
+            .toBe(getCommandDefinition('POSITION_STATUS', COMMAND_PROTOCOL.SONY));
+    });
+
+    test('macro, operation and response types', () => {
+        expect(isMacroCommand(0x10)).toBe(true);
+        expect(isMacroCommand(0x48)).toBe(false);
+        expect(isMacroCommand(0x61)).toBe(false);
+        expect(getOperationType(0x10, 0x01)).toBe('cassette_move');
+        expect(getOperationType(0x14, 0x01)).toBe('elevator_move');
+        expect(getOperationType(0x61, 0x13)).toBeNull();
+        expect(getResponseType(0x61, 0x13)).toBe('status');
+        expect(getResponseType(0x61, 0x02)).toBe('status');
+        expect(findCommand(0x62, 0x05).name).toBe('SENSE_BIN_STATUS');
+    });
+
+    test('61H is told apart by BT: Sense Cart Status (00H) and Sense Console Status (01H)', () => {
+        expect(getCommandName(0x61, 0x01)).toBe('SENSE_CART_STATUS');
+        expect(getCommandName(0x61, 0x01, 0x01)).toBe('SENSE_CONSOLE_STATUS');
+        expect(getResponseType(0x61, 0x01, 0x01)).toBe('console');
+        expect(encodeCommand('SENSE_CONSOLE_STATUS').subarray(4, 8)).toEqual(Buffer.from([0x01, 0x61, 0x01, 0x01]));
+        expect(describeCommand(encodeCommand('SENSE_CONSOLE_STATUS'))).toBe('SENSE_CONSOLE_STATUS (61H, CTRL 01H)');
+    });
+
+    test('describeCommand names frames and legacy buffers', () => {
+        expect(describeCommand(encodeCommand('CASSETTE_MOVE', { macro: 1, source: 1012, destination: 101 })))
+            .toBe('CASSETTE_MOVE (10H, BIN 1012 -> VTR1)');
+        expect(describeCommand(encodeCommand('ELEVATOR_MOVE', { macro: 1, destination: 6001 }))).toBe('ELEVATOR_MOVE (14H, BIN 6001)');
+        expect(describeCommand(encodeCommand('STATUS_REQUEST'))).toBe('STATUS_REQUEST (61H, CTRL 13H)');
+        expect(describeCommand(Buffer.from([0x02, 0x21, 0x03]))).toBe('ASCII EMERGENCY_STOP');
+        expect(describeCommand(Buffer.from([0x61, 0x20, 0x0A, 0x8B]))).toBe('SONY SENSE_STATUS (61 20)');
+        expect(describeCommand(Buffer.from([0xAA, 0xBB]))).toBe('RAW aabb');
+    });
+});
+
+describe('tables generated from the catalog', () => {
+    test('legacy exports keep their bytes', () => {
+        expect(FLEXICART_COMMANDS.STATUS).toEqual(Buffer.from([0x02, 0x53, 0x03]));
+        expect(FLEXICART_COMMANDS.PING).toEqual(Buffer.from([0x05]));
+        expect(FLEXICART_MOVEMENT_COMMANDS.CALIBRATE).toEqual(Buffer.from('\x02CAL\x03', 'latin1'));
+        expect(FLEXICART_MOVEMENT_COMMANDS.SONY_STOP).toEqual(Buffer.from([0x20, 0x00, 0x20]));
+        expect(SONY_COMMANDS.POSITION_QUERY).toEqual(Buffer.from([0x61, 0x0C, 0x01, 0x6E]));
+    });
+
+    test('buildCommandTable rejects unknown names', () => {
+        expect(() => buildCommandTable(COMMAND_PROTOCOL.ASCII, ['STATUS', 'WARP'])).toThrow(/Unknown ascii command "WARP"/);
+    });
+
+    test.each([
+        ['EMERGENCY_STOP', {}, COMMAND_CATEGORY.EMERGENCY, COMMAND_PRIORITY.EMERGENCY],
+        ['ELEVATOR_INITIALIZE', { macro: 0 }, COMMAND_CATEGORY.MOVE, COMMAND_PRIORITY.CONTROL],
+        ['CASSETTE_MOVE', { macro: 1, source: 1012, destination: 101 }, COMMAND_CATEGORY.MOVE, COMMAND_PRIORITY.CONTROL],
+        ['SENSE_BIN_STATUS', { bin: 1003 }, COMMAND_CATEGORY.STATUS, COMMAND_PRIORITY.NORMAL],
+        ['ON_AIR_TALLY_ON', {}, COMMAND_CATEGORY.OTHER, COMMAND_PRIORITY.NORMAL]
+    ])('queue classifies %s by safety level', (name, params, category, priority) => {
+        expect(classifyCommand(encodeCommand(name, params))).toEqual({ category, priority });
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Command queue: priority order, deadlines, cancellation and the emergency-stop flush
+ */
+
+const {
+    FlexiCartCommandQueue,
+    classifyCommand,
+    COMMAND_PRIORITY,
+    COMMAND_CATEGORY
+} = require('../../src/commands/flexicart_command_queue');
+const { encodeCommand } = require('../../src/commands/flexicart_command_catalog');
+
+const STATUS = encodeCommand('STATUS_REQUEST');
+const MOVE = encodeCommand('ELEVATOR_MOVE', { macro: 1, destination: 1014 });
+const STOP = encodeCommand('EMERGENCY_STOP');
+
+/**
+ * Queue whose executor holds every request until release() is called,
+ * recording the order commands reach the wire
+ */
+function heldQueue() {
+    const sent = [];
+    const held = [];
+    const queue = new FlexiCartCommandQueue((command, options) => {
+        sent.push(options.label || command);
+        return new Promise(resolve => held.push(() => resolve(options.label || command)));
+    }, 'memory://queue');
+    const release = async () => {
+        held.shift()();
+        await new Promise(resolve => setImmediate(resolve));
+    };
+    return { queue, sent, release };
+}
+
+describe('classifyCommand', () => {
+    test.each([
+        ['EMERGENCY_STOP', STOP, COMMAND_PRIORITY.EMERGENCY, COMMAND_CATEGORY.EMERGENCY],
+        ['ELEVATOR_MOVE', MOVE, COMMAND_PRIORITY.CONTROL, COMMAND_CATEGORY.MOVE],
+        ['STATUS_REQUEST', STATUS, COMMAND_PRIORITY.NORMAL, COMMAND_CATEGORY.STATUS],
+        ['ON_AIR_TALLY_ON', encodeCommand('ON_AIR_TALLY_ON'), COMMAND_PRIORITY.NORMAL, COMMAND_CATEGORY.OTHER],
+        ['a Sony packet', Buffer.from([0x20, 0x00, 0x20]), COMMAND_PRIORITY.NORMAL, COMMAND_CATEGORY.OTHER]
+    ])('%s', (name, command, priority, category) => {
+        expect(classifyCommand(command)).toEqual({ priority, category });
+    });
+});
+
+describe('FlexiCartCommandQueue', () => {
+    test('runs one request at a time, highest priority first and FIFO within a priority', async () => {
+        const { queue, sent, release } = heldQueue();
+
+        const replies = [
+            queue.enqueue(STATUS, { label: 'first' }),
+            queue.enqueue(STATUS, { label: 'poll', priority: COMMAND_PRIORITY.POLL }),
+            queue.enqueue(STATUS, { label: 'normal-a' }),
+            queue.enqueue(MOVE, { label: 'move' }),
+            queue.enqueue(STATUS, { label: 'normal-b' })
+        ];
+        expect(sent).toEqual(['first']);
+        expect(queue.busy).toBe(true);
+        expect(queue.depth).toBe(4);
+
+        for (let i = 0; i < replies.length; i++) await release();
+
+        expect(sent).toEqual(['first', 'move', 'normal-a', 'normal-b', 'poll']);
+        expect(await Promise.all(replies)).toEqual(['first', 'poll', 'normal-a', 'move', 'normal-b']);
+        expect(queue.getStats()).toMatchObject({ enqueued: 5, executed: 5, depth: 0, busy: false });
+    });
+
+    test('an emergency stop goes next and flushes the queued moves', async () => {
+        const { queue, sent, release } = heldQueue();
+        const flushed = jest.fn();
+        queue.on('flushed', flushed);
+
+        queue.enqueue(STATUS, { label: 'on-wire' });
+        const moves = [queue.enqueue(MOVE, { label: 'move-1' }), queue.enqueue(MOVE, { label: 'move-2' })]
+            .map(move => move.catch(error => error));
+        const status = queue.enqueue(STATUS, { label: 'status' });
+        const stop = queue.enqueue(STOP, { label: 'stop' });
+
+        await release();
+        expect(sent).toEqual(['on-wire', 'stop']);
+        for (const move of moves) {
+            expect(await move).toMatchObject({ code: 'REQUEST_FLUSHED' });
+        }
+        expect(flushed).toHaveBeenCalledWith({ by: stop.requestId, count: 2, categories: [COMMAND_CATEGORY.MOVE] });
+
+        await release();
+        await release();
+        expect(await status).toBe('status');
+        expect(queue.getStats()).toMatchObject({ flushed: 2, emergencies: 1 });
+    });
+
+    test('an emergency stop with nothing to flush still announces the flush', async () => {
+        const { queue, release } = heldQueue();
+        const flushed = jest.fn();
+        queue.on('flushed', flushed);
+
+        queue.enqueue(STOP);
+        await release();
+
+        expect(flushed).toHaveBeenCalledWith(expect.objectContaining({ count: 0, categories: [COMMAND_CATEGORY.MOVE] }));
+    });
+
+    test('flush can name other categories, and a request can ask for it', async () => {
+        const { queue, sent, release } = heldQueue();
+
+        queue.enqueue(STATUS, { label: 'on-wire' });
+        const status = queue.enqueue(STATUS, { label: 'status' }).catch(error => error);
+        const move = queue.enqueue(MOVE, { label: 'move', priority: COMMAND_PRIORITY.POLL });
+        queue.enqueue(STATUS, { label: 'reset', priority: COMMAND_PRIORITY.CONTROL, flush: [COMMAND_CATEGORY.STATUS] });
+
+        await release();
+        expect(await status).toMatchObject({ code: 'REQUEST_FLUSHED' });
+        await release();
+        await release();
+        expect(sent).toEqual(['on-wire', 'reset', 'move']);
+        expect(await move).toBe('move');
+
+        expect(queue.flush(null)).toBe(0);
+    });
+
+    test('a request not sent before its deadline is dropped', async () => {
+        const { queue, sent, release } = heldQueue();
+
+        queue.enqueue(STATUS, { label: 'on-wire' });
+        const late = queue.enqueue(STATUS, { label: 'late', maxWait: 10 });
+
+        await expect(late).rejects.toMatchObject({ code: 'DEADLINE_EXCEEDED' });
+        await expect(queue.enqueue(STATUS, { deadline: Date.now() - 1 })).rejects.toMatchObject({ code: 'DEADLINE_EXCEEDED' });
+        await release();
+        expect(sent).toEqual(['on-wire']);
+        expect(queue.getStats().expired).toBe(2);
+    });
+
+    test('queued requests can be cancelled by id or by an abort signal', async () => {
+        const { queue, sent, release } = heldQueue();
+        const controller = new AbortController();
+
+        const onWire = queue.enqueue(STATUS, { label: 'on-wire' });
+        const byId = queue.enqueue(STATUS, { label: 'by-id' });
+        const bySignal = queue.enqueue(STATUS, { label: 'by-signal', signal: controller.signal });
+
+        expect(queue.cancel(byId.requestId)).toBe(true);
+        controller.abort();
+        await expect(byId).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+        await expect(bySignal).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+
+        // The request on the wire runs to completion
+        expect(queue.cancel(onWire.requestId)).toBe(false);
+        await release();
+        expect(await onWire).toBe('on-wire');
+        expect(sent).toEqual(['on-wire']);
+
+        await expect(queue.enqueue(STATUS, { signal: controller.signal })).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+        expect(queue.getStats().cancelled).toBe(3);
+    });
+
+    test('an executor failure rejects only its own request', async () => {
+        let calls = 0;
+        const queue = new FlexiCartCommandQueue(async () => {
+            if (++calls === 1) throw new Error('write failed');
+            return 'ok';
+        });
+
+        await expect(queue.enqueue(STATUS)).rejects.toThrow('write failed');
+        expect(await queue.enqueue(STATUS)).toBe('ok');
+    });
+});
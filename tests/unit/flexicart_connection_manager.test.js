@@ -0,0 +1,157 @@
+/**
+ * Connection manager: one persistent connection per address, serialized
+ * requests, timeouts and reconnecting after the port drops
+ */
+
+const {
+    FlexiCartConnectionManager,
+    NAK_QUIET_TIME
+} = require('../../src/commands/flexicart_connection_manager');
+const { registerMemoryEndpoint, unregisterMemoryEndpoint } = require('../../src/commands/flexicart_transports');
+const { createResponseMatcher, FRAME_BYTES } = require('../../src/commands/flexicart_frame_decoder');
+const { encodeCommand } = require('../../src/commands/flexicart_command_catalog');
+
+const DUMMY = encodeCommand('DUMMY');
+const ACK = Buffer.from([FRAME_BYTES.ACK]);
+const NAK = Buffer.from([FRAME_BYTES.NAK]);
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+describe('FlexiCartConnectionManager', () => {
+    let manager;
+    let name;
+    let path;
+    let devices;
+    let answer;
+    let endpoint = 0;
+
+    /**
+     * Device at memory://<name> that answers every command with answer(command)
+     * (null: stays silent) and records each write with the time it arrived
+     */
+    function attachDevice() {
+        registerMemoryEndpoint(name, (device) => {
+            devices.push(device);
+            device.received = [];
+            device.on('data', (data) => {
+                device.received.push({ data, at: Date.now() });
+                const reply = answer(data);
+                if (reply) device.write(reply);
+            });
+        });
+    }
+
+    const send = (command = DUMMY, options = {}) =>
+        manager.request(path, command, { isComplete: createResponseMatcher(command), ...options });
+
+    beforeEach(() => {
+        name = `connection-${++endpoint}`;
+        path = `memory://${name}`;
+        devices = [];
+        answer = () => ACK;
+        attachDevice();
+        manager = new FlexiCartConnectionManager({ reconnectDelay: 5, maxReconnectDelay: 20 });
+        manager.getConnection(path, { responseTimeout: 100, interCommandDelay: 0 });
+    });
+
+    afterEach(async () => {
+        await manager.closeAll();
+        unregisterMemoryEndpoint(name);
+    });
+
+    test('requests share one open port and go out one at a time', async () => {
+        answer = () => (devices[0].received.length === 1 ? null : ACK);
+        let timedOutAt = null;
+        const first = send(DUMMY, { timeout: 30 }).catch((error) => {
+            timedOutAt = Date.now();
+            return error;
+        });
+        const second = send();
+
+        expect((await first).code).toBe('RESPONSE_TIMEOUT');
+        expect(await second).toEqual(ACK);
+        expect(devices).toHaveLength(1);
+        expect(manager.getConnection(path).getStats()).toMatchObject({ opens: 1, requests: 2, timeouts: 1 });
+        // The second command waited for the first to time out
+        expect(devices[0].received[1].at).toBeGreaterThanOrEqual(timedOutAt);
+    });
+
+    test('a partial reply is handed back when the response timeout runs out', async () => {
+        const status = encodeCommand('STATUS_REQUEST');
+        answer = () => Buffer.from([0x02, 0x0C, 0x01, 0x01]);
+
+        expect(await send(status)).toEqual(Buffer.from([0x02, 0x0C, 0x01, 0x01]));
+    });
+
+    test('the port reopens by itself after the device drops it', async () => {
+        const connection = manager.getConnection(path);
+        await send();
+
+        const disconnected = once(manager, 'disconnected');
+        const reconnected = once(manager, 'reconnected');
+        devices[0].close();
+
+        expect(await disconnected).toMatchObject({ path });
+        expect(await reconnected).toEqual({ path });
+        expect(connection.isOpen).toBe(true);
+        expect(await send()).toEqual(ACK);
+        expect(devices).toHaveLength(2);
+        expect(connection.getStats()).toMatchObject({ opens: 2, reconnects: 1, ioErrors: 1 });
+    });
+
+    test('a request on the wire when the port drops fails with PORT_ERROR', async () => {
+        answer = () => null;
+        const sending = send(DUMMY, { timeout: 1000 }).catch(e => e);
+        await once(manager, 'traffic');
+
+        devices[0].close();
+
+        expect((await sending).code).toBe('PORT_ERROR');
+    });
+
+    test('reconnecting backs off while the device stays away, then recovers', async () => {
+        const connection = manager.getConnection(path);
+        await send();
+        unregisterMemoryEndpoint(name);
+
+        devices[0].close();
+        await once(manager, 'disconnected');
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(connection.isOpen).toBe(false);
+        expect(connection.reconnectAttempts).toBeGreaterThan(1);
+
+        const reconnected = once(manager, 'reconnected');
+        attachDevice();
+        await reconnected;
+        expect(connection.reconnectAttempts).toBe(0);
+        expect(await send()).toEqual(ACK);
+    });
+
+    test('after a NAK the next command waits out the protocol quiet time', async () => {
+        answer = () => (devices[0].received.length === 1 ? NAK : ACK);
+
+        expect(await send()).toEqual(NAK);
+        expect(await send()).toEqual(ACK);
+        const [first, second] = devices[0].received;
+        expect(second.at - first.at).toBeGreaterThanOrEqual(NAK_QUIET_TIME - 1);
+    });
+
+    test('close fails queued requests and does not reconnect', async () => {
+        answer = () => null;
+        const sending = send(DUMMY, { timeout: 1000 }).catch(e => e);
+        const queued = send().catch(e => e);
+        await once(manager, 'traffic');
+
+        await manager.close(path);
+
+        expect((await sending).code).toBe('CONNECTION_CLOSED');
+        expect((await queued).code).toBe('CONNECTION_CLOSED');
+        await new Promise(resolve => setTimeout(resolve, 30));
+        expect(devices).toHaveLength(1);
+        expect(manager.getStats()).toEqual([]);
+    });
+
+    test('an address nobody answers on fails the request with OPEN_FAILED', async () => {
+        await expect(manager.request('memory://nobody-here', DUMMY)).rejects.toMatchObject({ code: 'OPEN_FAILED' });
+    });
+});
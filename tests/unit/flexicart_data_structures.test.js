@@ -0,0 +1,284 @@
+/**
+ * CassetteBinOccupancy and FlexiCartOperations
+ */
+
+const { CassetteBinOccupancy, FlexiCartOperations } = require('../../src/commands/flexicart_data_structures');
+
+describe('CassetteBinOccupancy', () => {
+    let inventory;
+
+    beforeEach(() => {
+        inventory = new CassetteBinOccupancy(30);
+    });
+
+    test('starts with every bin empty', () => {
+        expect(inventory.getOccupancyStats()).toMatchObject({ totalBins: 30, occupied: 0, empty: 30, occupancyRate: 0 });
+        expect(inventory.getEmptyBins()).toHaveLength(30);
+        expect(inventory.getOccupiedBins()).toEqual([]);
+    });
+
+    test('setCassette fills defaults and bumps the inventory version', () => {
+        const version = inventory.inventoryVersion;
+        inventory.setCassette(5, { barcode: 'TAPE0005', title: 'News Open' });
+
+        expect(inventory.isBinOccupied(5)).toBe(true);
+        expect(inventory.getCassette(5)).toMatchObject({
+            id: 'CART_5',
+            barcode: 'TAPE0005',
+            title: 'News Open',
+            type: 'unknown',
+            category: 'general',
+            playCount: 0
+        });
+        expect(inventory.inventoryVersion).toBe(version + 1);
+    });
+
+    test('duration and length are kept as timecode and seconds', () => {
+        inventory.setCassette(1, { duration: '00:30:00' });
+        inventory.setCassette(2, { length: 90.5 });
+        inventory.setCassette(3, {});
+
+        expect(inventory.getCassette(1)).toMatchObject({ duration: '00:30:00:00', length: 1800 });
+        expect(inventory.getCassette(2)).toMatchObject({ duration: '00:01:30:15', length: 90.5 });
+        expect(inventory.getCassette(3)).toMatchObject({ duration: '00:00:00:00', length: 0 });
+        expect(() => inventory.setCassette(4, { duration: '00:61:00:00' })).toThrow(/Invalid timecode/);
+    });
+
+    test.each([0, 31, -1])('rejects bin %i', (bin) => {
+        expect(() => inventory.setCassette(bin, {})).toThrow(/Invalid bin number/);
+        expect(() => inventory.removeCassette(bin)).toThrow(/Invalid bin number/);
+    });
+
+    test('removeCassette returns the cassette and empties the bin', () => {
+        inventory.setCassette(3, { id: 'PROMO' });
+
+        expect(inventory.removeCassette(3).id).toBe('PROMO');
+        expect(inventory.isBinOccupied(3)).toBe(false);
+        expect(inventory.getCassette(3)).toBeNull();
+    });
+
+    test('occupancy stats and sorted bin lists', () => {
+        [9, 2, 30].forEach(bin => inventory.setCassette(bin, {}));
+
+        expect(inventory.getOccupancyStats()).toMatchObject({ occupied: 3, empty: 27, occupancyRate: 10 });
+        expect(inventory.getOccupiedBins().map(b => b.binNumber)).toEqual([2, 9, 30]);
+        expect(inventory.getEmptyBins()).not.toContain(9);
+    });
+
+    test('updateCassetteBarcode adopts a valid barcode as the cassette id', () => {
+        inventory.setCassette(7, {});
+        const cassette = inventory.updateCassetteBarcode(7, { barcode: 'AD-1234', valid: true, title: 'Spot' });
+
+        expect(cassette).toMatchObject({ id: 'AD-1234', barcode: 'AD-1234', scannedBarcode: 'AD-1234', title: 'Spot', barcodeReadCount: 1 });
+        expect(inventory.findCassetteByBarcode('AD-1234').binNumber).toBe(7);
+        expect(inventory.findCassetteById('AD-1234').binNumber).toBe(7);
+    });
+
+    test('updateCassetteBarcode keeps the id for an invalid read', () => {
+        inventory.setCassette(7, { id: 'KEEP' });
+        const cassette = inventory.updateCassetteBarcode(7, { barcode: '???', valid: false });
+
+        expect(cassette).toMatchObject({ id: 'KEEP', barcode: null, scannedBarcode: '???', barcodeValid: false });
+    });
+
+    test('updateCassetteBarcode needs a cassette in the bin', () => {
+        expect(() => inventory.updateCassetteBarcode(4, { barcode: 'X', valid: true })).toThrow(/No cassette in bin 4/);
+    });
+
+    test('classifies barcode issues', () => {
+        inventory.setCassette(1, {});
+        inventory.setCassette(2, { barcode: 'A' });
+        inventory.updateCassetteBarcode(2, { barcode: 'B', valid: false });
+        inventory.setCassette(3, { barcode: 'C', scannedBarcode: 'D' });
+        inventory.setCassette(4, { barcode: 'E', scannedBarcode: 'E' });
+
+        expect(inventory.getCassettesWithBarcodeIssues().map(i => [i.binNumber, i.issue])).toEqual([
+            [1, 'no_barcode'],
+            [2, 'invalid_barcode'],
+            [3, 'barcode_mismatch']
+        ]);
+    });
+
+    test('searchCassettes matches title, artist, category and type', () => {
+        inventory.setCassette(1, { title: 'Morning News', category: 'news', type: 'A' });
+        inventory.setCassette(2, { title: 'Evening News', category: 'news', type: 'B' });
+        inventory.setCassette(3, { title: 'Jingle', artist: 'Studio Band', category: 'promo' });
+
+        expect(inventory.searchCassettes({ title: 'news' }).map(r => r.binNumber)).toEqual([1, 2]);
+        expect(inventory.searchCassettes({ title: 'news', type: 'B' }).map(r => r.binNumber)).toEqual([2]);
+        expect(inventory.searchCassettes({ artist: 'studio' }).map(r => r.binNumber)).toEqual([3]);
+        expect(inventory.searchCassettes({ category: 'weather' })).toEqual([]);
+    });
+
+    test('updateFromInventoryResponse applies occupied and empty bins', () => {
+        inventory.setCassette(8, {});
+        inventory.updateFromInventoryResponse({
+            bins: [
+                { binNumber: 4, occupied: true, cassette: { id: 'IN' } },
+                { binNumber: 8, occupied: false }
+            ]
+        });
+
+        expect(inventory.getCassette(4).id).toBe('IN');
+        expect(inventory.isBinOccupied(8)).toBe(false);
+        expect(inventory.lastInventoryUpdate).not.toBeNull();
+    });
+
+    test('an occupancy bit keeps what is known about the cassette', () => {
+        inventory.setCassette(4, { id: 'KNOWN', barcode: 'B4' });
+        inventory.updateFromInventoryResponse({
+            bins: [
+                { binNumber: 4, occupied: true },
+                { binNumber: 5, occupied: true },
+                { binNumber: 31, occupied: true }
+            ]
+        });
+
+        expect(inventory.getCassette(4)).toMatchObject({ id: 'KNOWN', barcode: 'B4' });
+        expect(inventory.getCassette(5).id).toBe('CART_5');
+        expect(inventory.isBinOccupied(31)).toBe(false);
+    });
+
+    test('a barcode read again keeps the cassette; a different one replaces it', () => {
+        inventory.setCassette(4, { id: 'KNOWN', barcode: 'B4', title: 'News' });
+        inventory.setCassette(6, { id: 'OLD', barcode: 'B6' });
+        inventory.updateFromInventoryResponse({
+            bins: [
+                { binNumber: 4, occupied: true, cassette: { barcode: 'B4' } },
+                { binNumber: 6, occupied: true, cassette: { barcode: 'NEW' } }
+            ]
+        });
+
+        expect(inventory.getCassette(4)).toMatchObject({ id: 'KNOWN', title: 'News' });
+        expect(inventory.getCassette(6)).toMatchObject({ id: 'CART_6', barcode: 'NEW' });
+    });
+
+    test('export and import round-trip', () => {
+        inventory.setCassette(2, { id: 'ONE', barcode: 'B1' });
+        inventory.setCassette(20, { id: 'TWO', barcode: 'B2' });
+        const exported = inventory.exportInventory();
+
+        const copy = new CassetteBinOccupancy(30);
+        copy.setCassette(5, { id: 'STALE' });
+        copy.importInventory(exported);
+
+        expect(copy.getOccupiedBins().map(b => [b.binNumber, b.cassette.id])).toEqual([[2, 'ONE'], [20, 'TWO']]);
+        expect(exported.metadata.stats.occupied).toBe(2);
+    });
+});
+
+describe('FlexiCartOperations', () => {
+    let operations;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        operations = new FlexiCartOperations();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('startOperation records type, expected duration and timeout', () => {
+        const id = operations.startOperation('load', { bin: 12 });
+        const operation = operations.getOperation(id);
+
+        expect(operation).toMatchObject({ type: 'load', status: 'started', progress: 0 });
+        expect(operation.details).toMatchObject({ bin: 12, expectedDuration: 8000, timeoutMs: 30000 });
+    });
+
+    test.each([
+        ['move', 5000],
+        ['load', 8000],
+        ['unload', 6000],
+        ['calibrate', 30000],
+        ['initialize', 45000],
+        ['eject', 10000],
+        ['carousel_rotate', 10000],
+        ['elevator_move', 5000],
+        ['cassette_move', 8000],
+        ['vtr_cue', 90000]
+    ])('expected duration for %s is %i ms', (type, ms) => {
+        expect(operations.getExpectedDuration(type)).toBe(ms);
+    });
+
+    test('operation ids are unique', () => {
+        expect(operations.startOperation('move')).not.toBe(operations.startOperation('move'));
+    });
+
+    test('completion records end time and duration', () => {
+        const id = operations.startOperation('move');
+        jest.advanceTimersByTime(1200);
+        operations.updateOperation(id, { status: 'completed' });
+
+        expect(operations.getOperation(id)).toMatchObject({ status: 'completed', duration: 1200 });
+        expect(operations.getOperation(id).endTime).toBe('2026-01-01T00:00:01.200Z');
+    });
+
+    test('updateOperation on an unknown id returns false', () => {
+        expect(operations.updateOperation('op_missing', { status: 'failed' })).toBe(false);
+    });
+
+    test('steps become the current step', () => {
+        const id = operations.startOperation('move');
+        operations.addOperationStep(id, { name: 'elevator' });
+        operations.addOperationStep(id, { name: 'carousel' });
+
+        const operation = operations.getOperation(id);
+        expect(operation.steps.map(s => s.name)).toEqual(['elevator', 'carousel']);
+        expect(operation.currentStep.name).toBe('carousel');
+    });
+
+    test('active operations are started or in progress', () => {
+        const a = operations.startOperation('move');
+        const b = operations.startOperation('load');
+        const c = operations.startOperation('unload');
+        operations.updateOperation(b, { status: 'in_progress' });
+        operations.updateOperation(c, { status: 'failed' });
+
+        expect(operations.getActiveOperations().map(op => op.id)).toEqual([a, b]);
+    });
+
+    test('checkTimeouts expires only overdue active operations', () => {
+        const slow = operations.startOperation('move', { timeoutMs: 1000 });
+        const patient = operations.startOperation('move', { timeoutMs: 5000 });
+        const done = operations.startOperation('move', { timeoutMs: 1000 });
+        operations.updateOperation(done, { status: 'completed' });
+
+        jest.advanceTimersByTime(1000);
+        expect(operations.checkTimeouts()).toEqual([]);
+
+        jest.advanceTimersByTime(1);
+        const timedOut = operations.checkTimeouts();
+        expect(timedOut.map(op => op.id)).toEqual([slow]);
+        expect(operations.getOperation(slow)).toMatchObject({ status: 'timeout', error: 'Operation timed out after 1001ms' });
+        expect(operations.getOperation(patient).status).toBe('started');
+        expect(operations.getOperation(done).status).toBe('completed');
+
+        // Already timed out - not reported again
+        jest.advanceTimersByTime(10000);
+        expect(operations.checkTimeouts().map(op => op.id)).toEqual([patient]);
+    });
+
+    test('a timeout from the macro monitor records an end time', () => {
+        const id = operations.startOperation('move');
+        operations.updateOperation(id, { status: 'timeout', error: 'Operation monitoring timeout' });
+
+        expect(operations.getOperation(id).endTime).not.toBeNull();
+    });
+
+    test('cleanup drops finished operations older than maxAge', () => {
+        const old = operations.startOperation('move');
+        operations.updateOperation(old, { status: 'completed' });
+        jest.advanceTimersByTime(60000);
+        const recent = operations.startOperation('move');
+        operations.updateOperation(recent, { status: 'completed' });
+        const running = operations.startOperation('move');
+
+        operations.cleanup(30000);
+
+        expect(operations.getOperation(old)).toBeUndefined();
+        expect(operations.getOperation(recent)).toBeDefined();
+        expect(operations.getOperation(running)).toBeDefined();
+    });
+});
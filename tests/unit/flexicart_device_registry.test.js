@@ -0,0 +1,170 @@
+/**
+ * Device registry: UA2 addressing, routing received frames to the cart they
+ * came from and discovering several carts on one line
+ */
+
+const EventEmitter = require('events');
+const {
+    FlexiCartDeviceRegistry,
+    discoverFlexicarts,
+    isSingleCartAddress,
+    ua2ToUnit,
+    unitToUa2,
+    formatDeviceId
+} = require('../../src/commands/flexicart_device_registry');
+const { FlexiCartSimulator } = require('../../src/commands/flexicart_simulator');
+const { connectionManager } = require('../../src/commands/flexicart_connection_manager');
+const { overrideLineSettings } = require('../../src/commands/device_config');
+
+const frameFrom = ua2 => ({ ua1: 0x01, ua2, cmd: 0x71 });
+
+describe('UA2 addressing', () => {
+    test.each([
+        ['0x01', 0x01, 1],
+        ['0x02', 0x02, 2],
+        ['0x04', 0x04, 3],
+        ['0x80', 0x80, 8]
+    ])('UA2 %s is unit %i', (label, ua2, unit) => {
+        expect(isSingleCartAddress(ua2)).toBe(true);
+        expect(ua2ToUnit(ua2)).toBe(unit);
+        expect(unitToUa2(unit)).toBe(ua2);
+    });
+
+    test.each([
+        ['0x00', 0x00],
+        ['0x03', 0x03],
+        ['0x81', 0x81],
+        ['0xFF', 0xFF]
+    ])('UA2 %s does not address a single cart', (label, ua2) => {
+        expect(isSingleCartAddress(ua2)).toBe(false);
+        expect(() => ua2ToUnit(ua2)).toThrow(expect.objectContaining({ code: 'INVALID_ADDRESS' }));
+    });
+
+    test('unit numbers outside 1-8 are rejected', () => {
+        expect(() => unitToUa2(0)).toThrow(expect.objectContaining({ code: 'INVALID_ADDRESS' }));
+        expect(() => unitToUa2(9)).toThrow(expect.objectContaining({ code: 'INVALID_ADDRESS' }));
+    });
+
+    test('device ids carry the port and unit number', () => {
+        expect(formatDeviceId('/dev/ttyRP2', 0x02)).toBe('/dev/ttyRP2#2');
+    });
+});
+
+describe('FlexiCartDeviceRegistry', () => {
+    let manager;
+    let registry;
+
+    beforeEach(() => {
+        manager = new EventEmitter();
+        registry = new FlexiCartDeviceRegistry(manager);
+    });
+
+    afterEach(() => registry.detach());
+
+    test('two carts on one port are separate devices', () => {
+        const first = registry.register('/dev/ttyRP2', 0x01, { channelId: 'CH1' });
+        const second = registry.register('/dev/ttyRP2', 0x02, { channelId: 'CH2' });
+
+        expect(first).not.toBe(second);
+        expect(registry.getByPort('/dev/ttyRP2').map(device => device.id)).toEqual(['/dev/ttyRP2#1', '/dev/ttyRP2#2']);
+        expect(registry.get('/dev/ttyRP2', 0x02)).toBe(second);
+        expect(registry.get('/dev/ttyRP2', 0x03)).toBeNull();
+
+        // Registering again updates the existing device
+        expect(registry.register('/dev/ttyRP2', 0x02, { name: 'Studio B' })).toBe(second);
+        expect(second.toJSON()).toMatchObject({ name: 'Studio B', channelId: 'CH2', unit: 2 });
+    });
+
+    test('a frame from the line reaches only the cart with its UA2 bit', () => {
+        const first = registry.register('/dev/ttyRP2', 0x01);
+        const second = registry.register('/dev/ttyRP2', 0x02);
+        const elsewhere = registry.register('/dev/ttyRP3', 0x02);
+        const frames = jest.fn();
+        second.on('frame', frames);
+
+        manager.emit('frame', { path: '/dev/ttyRP2', frame: frameFrom(0x02), unsolicited: true });
+
+        expect(frames).toHaveBeenCalledWith(frameFrom(0x02), { unsolicited: true });
+        expect(second.framesReceived).toBe(1);
+        expect(first.framesReceived).toBe(0);
+        expect(elsewhere.framesReceived).toBe(0);
+    });
+
+    test('a frame carrying several UA2 bits reaches each of those carts', () => {
+        const first = registry.register('/dev/ttyRP2', 0x01);
+        const second = registry.register('/dev/ttyRP2', 0x02);
+        const third = registry.register('/dev/ttyRP2', 0x04);
+
+        expect(registry.routeFrame('/dev/ttyRP2', frameFrom(0x03))).toEqual([first, second]);
+        expect(third.framesReceived).toBe(0);
+    });
+
+    test('a frame no registered cart answers to is reported as unrouted', () => {
+        registry.register('/dev/ttyRP2', 0x01);
+        const unrouted = jest.fn();
+        registry.on('unroutedFrame', unrouted);
+
+        expect(registry.routeFrame('/dev/ttyRP2', frameFrom(0x08), false)).toEqual([]);
+        expect(unrouted).toHaveBeenCalledWith({ port: '/dev/ttyRP2', frame: frameFrom(0x08), unsolicited: false });
+    });
+
+    test('detached, the registry no longer hears the line', () => {
+        const device = registry.register('/dev/ttyRP2', 0x01);
+        registry.detach();
+
+        manager.emit('frame', { path: '/dev/ttyRP2', frame: frameFrom(0x01), unsolicited: true });
+
+        expect(device.framesReceived).toBe(0);
+    });
+});
+
+describe('discoverFlexicarts', () => {
+    let simulator;
+    let registry;
+    let port;
+    let endpoint = 0;
+
+    beforeEach(() => {
+        simulator = new FlexiCartSimulator({ addresses: [0x01, 0x04], timeScale: 0.05 });
+        port = simulator.attachMemory(`device-registry-${++endpoint}`);
+        overrideLineSettings(port, { responseTimeout: 100 });
+        registry = new FlexiCartDeviceRegistry();
+    });
+
+    afterEach(async () => {
+        registry.detach();
+        await connectionManager.close(port);
+        simulator.close();
+    });
+
+    test('registers every cart that answers on a shared line', async () => {
+        const found = await discoverFlexicarts(port, { timeout: 50, channelId: 'CH1', registry });
+
+        expect(found.map(cart => cart.id)).toEqual([`${port}#1`, `${port}#3`]);
+        expect(found.map(cart => cart.ua2)).toEqual([0x01, 0x04]);
+        expect(found[0]).toMatchObject({ channelId: 'CH1', response: 'ACK' });
+        expect(registry.getByPort(port)).toHaveLength(2);
+    });
+
+    test('only the listed addresses are probed', async () => {
+        const probed = jest.fn();
+        simulator.on('command', probed);
+
+        const found = await discoverFlexicarts(port, { addresses: [0x04, 0x03], timeout: 50, registry });
+
+        expect(found.map(cart => cart.unit)).toEqual([3]);
+        expect(probed).toHaveBeenCalledTimes(1);
+    });
+
+    test('replies are routed back to the cart that sent them', async () => {
+        await discoverFlexicarts(port, { addresses: [0x01, 0x04], timeout: 50, registry });
+        const first = registry.get(port, 0x01);
+        const third = registry.get(port, 0x04);
+        const before = first.framesReceived;
+
+        await third.sendNamed('STATUS_REQUEST');
+
+        expect(third.lastFrame).toMatchObject({ ua2: 0x04, cmd: 0x71 });
+        expect(first.framesReceived).toBe(before);
+    });
+});
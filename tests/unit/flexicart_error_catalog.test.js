@@ -0,0 +1,73 @@
+/**
+ * FlexiCart error catalog: end information codes, severity and remediation
+ */
+
+const {
+    FLEXICART_ERROR_CODES,
+    ERROR_CATEGORY,
+    ERROR_SEVERITY,
+    describeFlexicartError,
+    getErrorStorage,
+    getHighestSeverity
+} = require('../../src/commands/flexicart_error_catalog');
+
+describe('FLEXICART_ERROR_CODES', () => {
+    test('every entry carries code, severity, recoverable and an operator hint', () => {
+        for (const [code, entry] of Object.entries(FLEXICART_ERROR_CODES)) {
+            expect(entry.code).toBe(Number(code));
+            expect(Object.values(ERROR_SEVERITY)).toContain(entry.severity);
+            expect(Object.values(ERROR_CATEGORY)).toContain(entry.category);
+            expect(typeof entry.recoverable).toBe('boolean');
+            expect(entry.hint).toEqual(expect.any(String));
+        }
+    });
+
+    test('paired codes share an entry with the phase they were reported in', () => {
+        expect(FLEXICART_ERROR_CODES[0x58]).toMatchObject({ name: 'DOOR_OPEN', phase: 'before', category: 'door' });
+        expect(FLEXICART_ERROR_CODES[0x38]).toMatchObject({ name: 'DOOR_OPEN', phase: 'during', category: 'door' });
+        expect(FLEXICART_ERROR_CODES[0xFF]).toMatchObject({ name: 'CMD_CANCEL', phase: 'before' });
+        expect(FLEXICART_ERROR_CODES[0xFE]).toMatchObject({ name: 'CMD_CANCEL', phase: 'during' });
+    });
+
+    test.each([
+        [0xB7, 'elevator', 'critical', false],
+        [0xD8, 'mechanical', 'critical', false],
+        [0x5E, 'carousel', 'warning', true],
+        [0x24, 'player', 'error', true],
+        [0x1F, 'barcode', 'warning', true],
+        [0x4F, 'communication', 'error', true],
+        [0xFC, 'command', 'warning', true]
+    ])('%i is a %s fault of severity %s (recoverable %p)', (code, category, severity, recoverable) => {
+        expect(FLEXICART_ERROR_CODES[code]).toMatchObject({ category, severity, recoverable });
+    });
+});
+
+describe('describeFlexicartError', () => {
+    test('known codes come from the catalog', () => {
+        expect(describeFlexicartError(0x5F)).toMatchObject({ name: 'SOURCE_BIN_EMPTY', known: true });
+    });
+
+    test('unknown codes are classified by range', () => {
+        expect(describeFlexicartError(0xC1)).toMatchObject({
+            name: 'UNKNOWN', message: 'Unknown end information C1H', phase: 'before',
+            category: 'mechanical', severity: 'error', recoverable: false, known: false
+        });
+        expect(describeFlexicartError(0x31)).toMatchObject({ phase: 'during', severity: 'warning', recoverable: true });
+    });
+});
+
+describe('getErrorStorage / getHighestSeverity', () => {
+    test('physical faults are mechanical, everything else system', () => {
+        expect(getErrorStorage(FLEXICART_ERROR_CODES[0x58])).toBe('mechanical');
+        expect(getErrorStorage(FLEXICART_ERROR_CODES[0xB6])).toBe('mechanical');
+        expect(getErrorStorage(FLEXICART_ERROR_CODES[0xCC])).toBe('system');
+        expect(getErrorStorage(FLEXICART_ERROR_CODES[0xFA])).toBe('system');
+    });
+
+    test('the most severe entry wins', () => {
+        const entries = [0x58, 0xD7, 0xFA].map(code => FLEXICART_ERROR_CODES[code]);
+
+        expect(getHighestSeverity(entries)).toBe('critical');
+        expect(getHighestSeverity([])).toBeNull();
+    });
+});
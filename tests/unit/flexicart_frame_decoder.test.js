@@ -0,0 +1,106 @@
+/**
+ * FlexiCartFrameDecoder: split frames, bad checksums, noise and bogus byte counts
+ */
+
+const {
+    FlexiCartFrameDecoder,
+    decodeFlexiCartResponse,
+    isCompleteFlexiCartResponse,
+    encodeFlexiCartFrame
+} = require('../../src/commands/flexicart_frame_decoder');
+
+const reply = encodeFlexiCartFrame(0x01, 0x00, 0x71, [0x80, 0x01, 0x04, 0x05, 0x06]);
+const types = (messages) => messages.map(message => message.type);
+
+describe('FlexiCartFrameDecoder', () => {
+    let decoder;
+    let discarded;
+
+    beforeEach(() => {
+        decoder = new FlexiCartFrameDecoder();
+        discarded = [];
+        decoder.on('discard', ({ bytes, reason }) => discarded.push([bytes.toString('hex'), reason]));
+    });
+
+    test('a frame split across chunks is emitted once the last byte arrives', () => {
+        expect(decoder.push(reply.slice(0, 1))).toEqual([]);
+        expect(decoder.push(reply.slice(1, 6))).toEqual([]);
+        expect(decoder.pendingBytes).toBe(6);
+
+        const [frame] = decoder.push(reply.slice(6));
+        expect(frame).toMatchObject({ type: 'FRAME', cmd: 0x71, ctrl: 0x80 });
+        expect(Array.from(frame.data)).toEqual([0x01, 0x04, 0x05, 0x06]);
+        expect(decoder.pendingBytes).toBe(0);
+    });
+
+    test('ACK/NAK/BUSY inside a frame payload are data, outside it they are replies', () => {
+        const messages = decoder.push(Buffer.concat([Buffer.from([0x04]), reply, Buffer.from([0x05, 0x06])]));
+
+        expect(types(messages)).toEqual(['ACK', 'FRAME', 'NAK', 'BUSY']);
+    });
+
+    test('noise before STX is discarded', () => {
+        const messages = decoder.push(Buffer.concat([Buffer.from([0xFF, 0x00, 0x02, 0x01]), reply]));
+
+        expect(types(messages)).toEqual(['FRAME']);
+        expect(discarded).toEqual([['ff000201', 'unframed']]);
+    });
+
+    test('a bad checksum is reported and its bytes are not read as ACK/NAK/BUSY', () => {
+        const corrupted = Buffer.from(reply);
+        corrupted[corrupted.length - 1] ^= 0xFF;
+
+        const messages = decoder.push(Buffer.concat([corrupted, Buffer.from([0x04])]));
+
+        expect(types(messages)).toEqual(['CHECKSUM_ERROR', 'ACK']);
+        expect(messages[0]).toMatchObject({ received: reply[reply.length - 1] ^ 0xFF, expected: reply[reply.length - 1] });
+        expect(decoder.stats).toMatchObject({ checksumErrors: 1, acks: 1, naks: 0, busy: 0 });
+    });
+
+    test('a stray STX with a short frame in front of a real one resyncs one byte on', () => {
+        // 02 05 claims 8 bytes, which runs into the real frame and fails its checksum
+        const messages = decoder.push(Buffer.concat([Buffer.from([0x02, 0x05, 0x04]), reply]));
+
+        expect(types(messages)).toEqual(['FRAME']);
+        expect(messages[0].cmd).toBe(0x71);
+        expect(discarded).toEqual([['020504', 'unframed']]);
+        expect(decoder.stats.checksumErrors).toBe(0);
+    });
+
+    test('a bogus large BC does not hold back the frames behind it', () => {
+        const second = encodeFlexiCartFrame(0x01, 0x00, 0x71, [0x40]);
+
+        const messages = decoder.push(Buffer.concat([Buffer.from([0x02, 0xFF]), reply, second]));
+
+        expect(types(messages)).toEqual(['FRAME', 'FRAME']);
+        expect(decoder.pendingBytes).toBe(0);
+        expect(discarded).toEqual([['02ff', 'unframed']]);
+    });
+
+    test('a large BC with nothing valid behind it waits for more bytes', () => {
+        expect(decoder.push(Buffer.from([0x02, 0xFF, 0x01, 0x01, 0x04]))).toEqual([]);
+        expect(decoder.pendingBytes).toBe(5);
+    });
+
+    test('reset drops a partial frame', () => {
+        decoder.push(reply.slice(0, 4));
+        decoder.reset();
+
+        expect(decoder.pendingBytes).toBe(0);
+        expect(discarded).toEqual([[reply.slice(0, 4).toString('hex'), 'reset']]);
+    });
+});
+
+describe('isCompleteFlexiCartResponse', () => {
+    test('a partial frame is not complete, noise in front of a frame does not delay it', () => {
+        expect(isCompleteFlexiCartResponse(reply.slice(0, reply.length - 1))).toBe(false);
+        expect(isCompleteFlexiCartResponse(Buffer.concat([Buffer.from([0x02, 0xC8]), reply]))).toBe(true);
+    });
+
+    test('frames from another cart on the line do not complete the request', () => {
+        const other = encodeFlexiCartFrame(0x02, 0x00, 0x71, [0x80]);
+
+        expect(isCompleteFlexiCartResponse(other, 0x01)).toBe(false);
+        expect(decodeFlexiCartResponse(Buffer.concat([other, reply])).frames.map(frame => frame.ua2)).toEqual([0x02, 0x01]);
+    });
+});
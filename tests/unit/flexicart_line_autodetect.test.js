@@ -0,0 +1,241 @@
+/**
+ * Line autodetect: probe scoring, the candidate sweep and when startup
+ * discovery is allowed to sweep a silent line
+ */
+
+const {
+    autodetectLineSettings,
+    scoreProbeResponse,
+    buildCandidates,
+    AUTODETECT_MATRIX,
+    PROBE_SCORES
+} = require('../../src/commands/flexicart_line_autodetect');
+const {
+    discoverConfiguredFlexicarts,
+    shouldAutodetect,
+    FlexiCartDeviceRegistry
+} = require('../../src/commands/flexicart_device_registry');
+const { FlexiCartSimulator } = require('../../src/commands/flexicart_simulator');
+const { connectionManager } = require('../../src/commands/flexicart_connection_manager');
+const { registerMemoryEndpoint, unregisterMemoryEndpoint } = require('../../src/commands/flexicart_transports');
+const { getLineOverride, DEFAULT_LINE_SETTINGS } = require('../../src/commands/device_config');
+const { encodeFlexiCartFrame, FRAME_BYTES } = require('../../src/commands/flexicart_frame_decoder');
+
+const statusFrom = ua2 => encodeFlexiCartFrame(ua2, 0x00, 0x71, [0x00]);
+const withBadChecksum = (frame) => {
+    const corrupted = Buffer.from(frame);
+    corrupted[corrupted.length - 1] ^= 0xFF;
+    return corrupted;
+};
+
+describe('buildCandidates', () => {
+    test('sweeps the whole matrix, protocol default first', () => {
+        const candidates = buildCandidates();
+
+        expect(candidates).toHaveLength(24);
+        expect(candidates[0]).toEqual({ baudRate: 38400, dataBits: 8, parity: 'even', stopBits: 1 });
+        expect(candidates[1]).toEqual({ baudRate: 38400, dataBits: 8, parity: 'even', stopBits: 2 });
+        expect(new Set(candidates.map(c => JSON.stringify(c))).size).toBe(24);
+    });
+
+    test('a narrower matrix gives fewer candidates', () => {
+        expect(buildCandidates({ ...AUTODETECT_MATRIX, baudRates: [9600], parities: ['odd'] })).toEqual([
+            { baudRate: 9600, dataBits: 8, parity: 'odd', stopBits: 1 },
+            { baudRate: 9600, dataBits: 8, parity: 'odd', stopBits: 2 }
+        ]);
+    });
+});
+
+describe('scoreProbeResponse', () => {
+    test.each([
+        ['a frame from the probed cart', 'FRAME', statusFrom(0x01)],
+        ['an ACK', 'ACK', Buffer.from([FRAME_BYTES.ACK])],
+        ['a NAK', 'NAK', Buffer.from([FRAME_BYTES.NAK])],
+        ['BUSY', 'BUSY', Buffer.from([FRAME_BYTES.BUSY])],
+        ['unframed bytes', 'NOISE', Buffer.from([0xFF, 0xFE, 0x80])],
+        ['a frame from another cart', 'NOISE', statusFrom(0x02)],
+        ['nothing', 'SILENCE', Buffer.alloc(0)],
+        ['no response at all', 'SILENCE', null]
+    ])('%s scores as %s', (label, type, response) => {
+        expect(scoreProbeResponse(response, 0x01)).toMatchObject({ type, score: PROBE_SCORES[type] });
+    });
+
+    test('a frame with a bad checksum is a near miss, not a working setting', () => {
+        const scored = scoreProbeResponse(withBadChecksum(statusFrom(0x01)), 0x01);
+
+        expect(scored.type).toBe('CHECKSUM_ERROR');
+        expect(scored.score).toBeGreaterThan(PROBE_SCORES.NOISE);
+        expect(scored.score).toBeLessThanOrEqual(PROBE_SCORES.CHECKSUM_ERROR);
+    });
+
+    test('the best message wins', () => {
+        const response = Buffer.concat([Buffer.from([FRAME_BYTES.NAK]), statusFrom(0x01)]);
+
+        expect(scoreProbeResponse(response, 0x01).type).toBe('FRAME');
+    });
+
+    test('stray bytes around a good reply lower its score', () => {
+        const clean = scoreProbeResponse(Buffer.from([FRAME_BYTES.ACK]), 0x01);
+        const noisy = scoreProbeResponse(Buffer.from([0xFF, 0xFF, 0xFF, FRAME_BYTES.ACK]), 0x01);
+
+        expect(noisy).toMatchObject({ type: 'ACK', discardedBytes: 3 });
+        expect(noisy.score).toBe(clean.score - 3);
+    });
+});
+
+describe('autodetectLineSettings', () => {
+    let simulator;
+    let name;
+    let port;
+    let opens;
+    let endpoint = 0;
+
+    /**
+     * Line whose cart only makes sense of the bytes from the answerOn-th open
+     * on (each candidate reopens the port); earlier opens get answer(open)
+     */
+    function attachLine(answerOn, answer = () => null) {
+        registerMemoryEndpoint(name, (device) => {
+            const open = ++opens;
+            if (open >= answerOn) {
+                const link = simulator.connect(data => device.write(data).catch(() => link.close()));
+                device.on('data', data => link.receive(data));
+                return;
+            }
+            device.on('data', () => {
+                const reply = answer(open);
+                if (reply) device.write(reply);
+            });
+        });
+    }
+
+    beforeEach(() => {
+        simulator = new FlexiCartSimulator({ addresses: [0x01, 0x02], timeScale: 0.05 });
+        name = `line-autodetect-${++endpoint}`;
+        port = `memory://${name}`;
+        opens = 0;
+    });
+
+    afterEach(async () => {
+        await connectionManager.close(port);
+        unregisterMemoryEndpoint(name);
+        simulator.close();
+    });
+
+    test('stops at the first candidate the cart answers on and applies it', async () => {
+        // Wrong parity corrupts the reply, wrong stop bits lose it
+        attachLine(3, open => (open === 1 ? withBadChecksum(statusFrom(0x01)) : null));
+
+        const result = await autodetectLineSettings(port, { timeout: 30 });
+
+        expect(result).toMatchObject({
+            success: true,
+            settings: { baudRate: 38400, dataBits: 8, parity: 'none', stopBits: 1 },
+            type: 'ACK'
+        });
+        expect(result.results.map(r => r.type)).toEqual(['CHECKSUM_ERROR', 'SILENCE', 'ACK']);
+        expect(getLineOverride(port)).toEqual(result.settings);
+    });
+
+    test('a cart at another address on the line is found too', async () => {
+        attachLine(1);
+
+        const result = await autodetectLineSettings(port, { addresses: [0x04, 0x02], timeout: 30, apply: false });
+
+        expect(result.success).toBe(true);
+        expect(result.results[0]).toMatchObject({ ua2: 0x02, probe: 'DUMMY' });
+        expect(getLineOverride(port)).toBeNull();
+    });
+
+    test('a silent line reports failure and leaves the settings alone', async () => {
+        attachLine(Infinity);
+        const matrix = { ...AUTODETECT_MATRIX, baudRates: [38400], parities: ['even'] };
+
+        const result = await autodetectLineSettings(port, { matrix, timeout: 20 });
+
+        expect(result).toMatchObject({ success: false, settings: null, type: 'SILENCE', score: 0 });
+        expect(result.results).toHaveLength(2);
+        expect(getLineOverride(port)).toBeNull();
+    });
+
+    test('sweeping everything keeps the best near miss, without accepting it', async () => {
+        attachLine(Infinity, open => (open === 2 ? withBadChecksum(statusFrom(0x01)) : null));
+        const matrix = { ...AUTODETECT_MATRIX, baudRates: [38400], parities: ['even'] };
+
+        const result = await autodetectLineSettings(port, { matrix, timeout: 20, stopOnFirst: false });
+
+        expect(result).toMatchObject({ success: false, settings: null, type: 'CHECKSUM_ERROR' });
+        expect(result.results[1].type).toBe('CHECKSUM_ERROR');
+        expect(getLineOverride(port)).toBeNull();
+    });
+
+    test('a port that cannot be opened ends the sweep', async () => {
+        const result = await autodetectLineSettings('memory://no-line-here', { timeout: 20 });
+
+        expect(result.success).toBe(false);
+        expect(result.results).toHaveLength(1);
+        expect(result.results[0]).toMatchObject({ fatal: true, error: 'OPEN_FAILED' });
+    });
+
+    describe('during startup discovery', () => {
+        let registry;
+
+        beforeEach(() => {
+            registry = new FlexiCartDeviceRegistry();
+        });
+
+        afterEach(() => registry.detach());
+
+        const discover = entry => discoverConfiguredFlexicarts([
+            { type: 'flexicart', channelId: 3, transport: 'memory', name, cartAddresses: [0x01], ...entry }
+        ], { timeout: 30, registry, autodetect: { timeout: 30 } });
+
+        test.each([
+            ['no line format of its own', true, {}],
+            ['a pinned line format', false, { parity: 'odd' }],
+            ['a pinned line format and "autodetect": true', true, { baudRate: 38400, autodetect: true }],
+            ['"autodetect": false', false, { autodetect: false }]
+        ])('an entry with %s is swept: %p', (label, swept, entry) => {
+            expect(shouldAutodetect(entry)).toBe(swept);
+        });
+
+        test('a silent line with no line format of its own is swept and recorded as detected', async () => {
+            // The configured settings are wrong; the cart answers from the second candidate
+            attachLine(3);
+
+            const carts = await discover({});
+
+            expect(carts).toHaveLength(1);
+            expect(carts[0]).toMatchObject({
+                ua2: 0x01,
+                lineSettings: { baudRate: 38400, dataBits: 8, parity: 'even', stopBits: 2 },
+                lineSettingsSource: 'autodetect'
+            });
+        });
+
+        test('a line that answers as configured is recorded without a sweep', async () => {
+            attachLine(1);
+
+            const carts = await discover({});
+
+            expect(opens).toBe(1);
+            expect(carts[0]).toMatchObject({
+                lineSettings: {
+                    baudRate: DEFAULT_LINE_SETTINGS.baudRate,
+                    dataBits: DEFAULT_LINE_SETTINGS.dataBits,
+                    parity: DEFAULT_LINE_SETTINGS.parity,
+                    stopBits: DEFAULT_LINE_SETTINGS.stopBits
+                },
+                lineSettingsSource: 'config'
+            });
+        });
+
+        test('a silent line with a pinned format is left as configured', async () => {
+            attachLine(2);
+
+            expect(await discover({ parity: 'odd' })).toEqual([]);
+            expect(opens).toBe(1);
+            expect(getLineOverride(port)).toBeNull();
+        });
+    });
+});
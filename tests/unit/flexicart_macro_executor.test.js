@@ -0,0 +1,204 @@
+/**
+ * FlexiCartMacroExecutor: ACK, status polling and completion by Macro No.
+ */
+
+const { FlexiCartMacroExecutor, evaluateMacroEnd } = require('../../src/commands/flexicart_macro_executor');
+const { encodeFlexiCartFrame, FRAME_BYTES } = require('../../src/commands/flexicart_frame_decoder');
+const { FlexicartError } = require('../../src/commands/flexicart_errors');
+
+const ACK = Buffer.from([FRAME_BYTES.ACK]);
+const NAK = Buffer.from([FRAME_BYTES.NAK]);
+
+// Cart Status Return (71H) to the status poll: BIT MAP 1 13H, CSTS0, CSTS1 [Macro No. (BCD,
+// FFH = none), end information, remaining], CSTS4, BIT MAP 2 80H, CSTS15
+const cartStatus = (csts1) => encodeFlexiCartFrame(0x01, 0x00, 0x71, [0x13, 0x00, 0x00, ...csts1, 0x00, 0x80, 0x00]);
+const running = () => cartStatus([0xFF, 0xFF, 0xFF]);
+const ended = (macroNo, endInfo = 0x00, remaining = 0x00) => cartStatus([macroNo, endInfo, remaining]);
+
+/**
+ * Executor whose line answers with the scripted replies in order
+ * (an Error in the script is thrown instead)
+ */
+function scriptedExecutor(replies, options = {}) {
+    const sent = [];
+    const executor = new FlexiCartMacroExecutor({
+        pollInterval: 2,
+        ...options,
+        send: async (command) => {
+            sent.push(command);
+            const reply = replies.length > 1 ? replies.shift() : replies[0];
+            if (reply instanceof Error) throw reply;
+            return reply;
+        }
+    });
+    return { executor, sent };
+}
+
+describe('FlexiCartMacroExecutor.execute', () => {
+    test('ACK, polling and completion are recorded as steps', async () => {
+        const { executor, sent } = scriptedExecutor([ACK, running(), running(), ended(0x00)]);
+
+        const result = await executor.execute('ELEVATOR_MOVE', { destination: 1014 });
+
+        expect(result.success).toBe(true);
+        expect(result.operation).toMatchObject({ type: 'elevator_move', status: 'completed', progress: 100 });
+        expect(result.operation.details).toMatchObject({ destination: 1014, macro: 0, expectedDuration: 5000, timeoutMs: 10000 });
+        expect(result.operation.steps.map(s => s.name)).toEqual(['sent', 'accepted', 'completed']);
+        expect(result.operation.result).toEqual({ success: true, endInfo: 0x00 });
+        expect(sent[0].subarray(5, 10)).toEqual(Buffer.from([0x14, 0x00, 0x01, 0x10, 0x14]));
+        expect(sent[1].subarray(5, 8)).toEqual(Buffer.from([0x61, 0x13, 0x80]));     // Polls are STATUS_REQUEST
+        expect(sent).toHaveLength(4);
+    });
+
+    test('another macro\'s end is kept for it and does not complete this one', async () => {
+        const { executor } = scriptedExecutor([ACK, ended(0x05), running(), ended(0x12)]);
+
+        const result = await executor.execute('ELEVATOR_MOVE', { macro: 12, destination: 1014 });
+
+        expect(result.success).toBe(true);
+        expect(executor.takeMacroEnd(5)).toEqual({ macroNo: 5, endInfo: 0x00, remaining: 0 });
+        expect(executor.takeMacroEnd(5)).toBeNull();
+    });
+
+    test('the next poll goes out at once while end reports are waiting', async () => {
+        const { executor, sent } = scriptedExecutor([ACK, ended(0x05, 0x00, 1), ended(0x00)], { pollInterval: 200 });
+
+        const result = await executor.execute('ELEVATOR_MOVE', { destination: 1014 });
+
+        expect(result.success).toBe(true);
+        expect(sent).toHaveLength(3);
+        expect(result.executionTime).toBeLessThan(350);
+    });
+
+    test('a status someone else sensed completes the macro', async () => {
+        const { executor } = scriptedExecutor([ACK, running()]);
+        const pending = executor.execute('ELEVATOR_MOVE', { destination: 1014 });
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        executor.recordStatus({ macroEnd: { macroNo: 0, endInfo: 0x00, remaining: 0 } });
+
+        expect((await pending).success).toBe(true);
+    });
+
+    test('a macro without a Macro No. completes on an end reported under FFH', async () => {
+        const { executor } = scriptedExecutor([ACK, ended(0x00), ended(0xFF)]);
+        const result = await executor.execute('CALIBRATE');
+
+        expect(result.success).toBe(true);
+        expect(executor.takeMacroEnd(0)).not.toBeNull();
+    });
+
+    test('an end left over from an earlier macro with the same number is dropped', () => {
+        const { executor } = scriptedExecutor([ACK]);
+        executor.recordStatus({ macroEnd: { macroNo: 3, endInfo: 0x5F, remaining: 0 } });
+
+        executor.startOperation('cassette_move', { macro: 3 });
+
+        expect(executor.takeMacroEnd(3)).toBeNull();
+    });
+
+    test('each macro gets a Macro No. no running macro holds', async () => {
+        const { executor } = scriptedExecutor([ACK]);
+        const running = executor.startOperation('cassette_move', { macro: 0 });
+
+        expect(executor.allocateMacroNumber()).toBe(1);
+        executor.operations.updateOperation(running, { status: 'completed' });
+        executor.nextMacroNumber = 99;
+        expect(executor.allocateMacroNumber()).toBe(99);
+        expect(executor.allocateMacroNumber()).toBe(0);
+        expect(executor.withMacroNumber({ params: ['macro', 'destination'] }, { macro: 42 })).toEqual({ macro: 42 });
+        expect(executor.withMacroNumber({ params: ['bin'] }, { bin: 1001 })).toEqual({ bin: 1001 });
+    });
+
+    test('a cart with every Macro No. in use refuses another macro', () => {
+        const { executor } = scriptedExecutor([ACK]);
+        for (let macro = 0; macro <= 99; macro++) executor.startOperation('elevator_move', { macro });
+
+        expect(() => executor.allocateMacroNumber()).toThrow(expect.objectContaining({ code: 'MACRO_NUMBERS_EXHAUSTED' }));
+    });
+
+    test('a refused macro fails without polling', async () => {
+        const { executor, sent } = scriptedExecutor([NAK]);
+        const result = await executor.execute('ELEVATOR_UP');
+
+        expect(result).toMatchObject({ success: false, error: 'Expected ACK, received NAK' });
+        expect(sent).toHaveLength(1);
+    });
+
+    test('abnormal end information fails the operation', async () => {
+        const { executor } = scriptedExecutor([ACK, ended(0x00, 0x5F)]);
+        const result = await executor.execute('CASSETTE_MOVE', { source: 1012, destination: 101 });
+
+        expect(result.error).toBe('Macro ended with end information 5FH');
+        expect(result.operation.result).toEqual({ success: false, endInfo: 0x5F });
+    });
+
+    test('onSettled sees every settled macro', async () => {
+        const settled = [];
+        const { executor } = scriptedExecutor([ACK, ended(0xFF)], { onSettled: (operation) => settled.push(operation) });
+        await executor.execute('INITIALIZE');
+
+        expect(settled).toEqual([expect.objectContaining({ type: 'initialize', status: 'completed' })]);
+    });
+
+    test('a lost status reply costs one poll, not the operation', async () => {
+        const lost = new FlexicartError('Response timeout: 100ms', 'RESPONSE_TIMEOUT');
+        const { executor } = scriptedExecutor([ACK, lost, ended(0xFF)]);
+
+        expect((await executor.execute('CALIBRATE')).success).toBe(true);
+    });
+
+    test('a hard poll failure fails the operation', async () => {
+        const { executor } = scriptedExecutor([ACK, new Error('Not connected to FlexiCart')]);
+
+        expect((await executor.execute('CALIBRATE')).error).toBe('Not connected to FlexiCart');
+    });
+
+    test('the timeout comes from the expected duration of the type', async () => {
+        const { executor } = scriptedExecutor([ACK, running()], { timeoutFactor: 0.002 });
+        const result = await executor.execute('CAROUSEL_CW');
+
+        expect(executor.getTimeout('carousel_rotate')).toBe(20);
+        expect(result.operation).toMatchObject({ status: 'timeout', error: 'Macro did not complete within 20ms' });
+    });
+
+    test('an operation settled elsewhere stops the polling', async () => {
+        const { executor, sent } = scriptedExecutor([ACK, running()]);
+        const pending = executor.execute('INITIALIZE');
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const [operation] = executor.operations.getActiveOperations();
+        executor.operations.updateOperation(operation.id, { status: 'failed', error: 'cancelled' });
+        const result = await pending;
+        const polls = sent.length;
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(result.error).toBe('cancelled');
+        expect(sent).toHaveLength(polls);
+    });
+
+    test('only macros can be executed', async () => {
+        const { executor } = scriptedExecutor([ACK]);
+
+        await expect(executor.execute('STATUS_REQUEST')).rejects.toMatchObject({ code: 'INVALID_COMMAND' });
+        await expect(executor.execute('ELEVATOR_MOVE', { destination: 999 })).rejects.toMatchObject({ code: 'INVALID_PARAMETER' });
+    });
+
+    test('needs a send function', () => {
+        expect(() => new FlexiCartMacroExecutor()).toThrow(/send function/);
+    });
+});
+
+describe('evaluateMacroEnd', () => {
+    test('no end report yet is not an answer', () => {
+        expect(evaluateMacroEnd(null)).toEqual({ done: false, success: false, endInfo: null });
+    });
+
+    test('normal end (00H) is done and successful', () => {
+        expect(evaluateMacroEnd({ macroNo: 4, endInfo: 0x00, remaining: 0 })).toEqual({ done: true, success: true, endInfo: 0x00 });
+    });
+
+    test('abnormal end information is done but not successful', () => {
+        expect(evaluateMacroEnd({ macroNo: 4, endInfo: 0x58, remaining: 0 })).toEqual({ done: true, success: false, endInfo: 0x58 });
+    });
+});
@@ -0,0 +1,253 @@
+/**
+ * Retry policy: reply classification, resends, the status query before a
+ * move is resent and the emergency-stop flush
+ */
+
+const EventEmitter = require('events');
+const {
+    sendWithRetry,
+    classifyResponse,
+    abortOnFlush,
+    RESPONSE_OUTCOME
+} = require('../../src/commands/flexicart_retry_policy');
+const { encodeFlexiCartFrame, FRAME_BYTES } = require('../../src/commands/flexicart_frame_decoder');
+const { encodeCommand } = require('../../src/commands/flexicart_command_catalog');
+const { COMMAND_CATEGORY } = require('../../src/commands/flexicart_command_queue');
+const { DEFAULT_RETRY_POLICY } = require('../../src/commands/device_config');
+const { FlexicartError } = require('../../src/commands/flexicart_errors');
+
+const ACK = Buffer.from([FRAME_BYTES.ACK]);
+const NAK = Buffer.from([FRAME_BYTES.NAK]);
+const BUSY = Buffer.from([FRAME_BYTES.BUSY]);
+
+const STATUS = encodeCommand('STATUS_REQUEST');
+const MOVE = encodeCommand('ELEVATOR_MOVE', { macro: 7, destination: 1014 });
+
+// Cart Status Return (71H) to STATUS_REQUEST: BIT MAP 1 13H, CSTS0, CSTS1 [Macro No. (BCD,
+// FFH = none), end information, remaining], CSTS4, BIT MAP 2 80H, CSTS15
+const cartStatus = (csts1 = [0xFF, 0xFF, 0xFF]) => encodeFlexiCartFrame(0x01, 0x00, 0x71, [0x13, 0x00, 0x00, ...csts1, 0x00, 0x80, 0x00]);
+const ended = (macroNo, endInfo) => cartStatus([macroNo, endInfo, 0x00]);
+const corrupted = (frame) => Buffer.concat([frame.subarray(0, -1), Buffer.from([frame[frame.length - 1] ^ 0xFF])]);
+const timeout = () => new FlexicartError('No response', 'RESPONSE_TIMEOUT');
+
+const POLICY = { ...DEFAULT_RETRY_POLICY, backoff: 0 };
+
+/**
+ * sendOnce that answers with the scripted replies in order (an Error is thrown instead)
+ */
+function scripted(replies) {
+    const send = jest.fn(async () => {
+        const reply = replies.length > 1 ? replies.shift() : replies[0];
+        if (reply instanceof Error) throw reply;
+        return reply;
+    });
+    return send;
+}
+
+describe('classifyResponse', () => {
+    test.each([
+        ['a Cart Status Return', cartStatus(), RESPONSE_OUTCOME.OK],
+        ['ACK', ACK, RESPONSE_OUTCOME.OK],
+        ['NAK', NAK, RESPONSE_OUTCOME.NAK],
+        ['BUSY', BUSY, RESPONSE_OUTCOME.BUSY],
+        ['a frame with a bad checksum', corrupted(cartStatus()), RESPONSE_OUTCOME.CHECKSUM_ERROR],
+        ['part of a frame', cartStatus().subarray(0, 6), RESPONSE_OUTCOME.INCOMPLETE],
+        ['nothing', Buffer.alloc(0), RESPONSE_OUTCOME.NO_RESPONSE]
+    ])('%s to a framed command is %s', (label, response, outcome) => {
+        expect(classifyResponse(STATUS, response)).toBe(outcome);
+    });
+
+    test('a missing reply is NO_RESPONSE', () => {
+        expect(classifyResponse(STATUS, null)).toBe(RESPONSE_OUTCOME.NO_RESPONSE);
+    });
+
+    test('legacy ASCII commands only tell a terminated reply from a partial one', () => {
+        const command = Buffer.from([0x02, 0x53, 0x03]);
+        expect(classifyResponse(command, Buffer.from([0x02, 0x4F, 0x4B, 0x03]))).toBe(RESPONSE_OUTCOME.OK);
+        expect(classifyResponse(command, Buffer.from([0x02, 0x4F]))).toBe(RESPONSE_OUTCOME.INCOMPLETE);
+    });
+});
+
+describe('sendWithRetry', () => {
+    test.each([
+        ['NAK', NAK],
+        ['BUSY', BUSY],
+        ['CHECKSUM_ERROR', corrupted(cartStatus())],
+        ['INCOMPLETE', cartStatus().subarray(0, 6)],
+        ['NO_RESPONSE', timeout()]
+    ])('a query is resent after %s', async (outcome, failure) => {
+        const sendOnce = scripted([failure, cartStatus()]);
+
+        await expect(sendWithRetry(STATUS, sendOnce, { policy: POLICY })).resolves.toEqual(cartStatus());
+        expect(sendOnce).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([
+        ['NAK', NAK, 'RESPONSE_NAK', RESPONSE_OUTCOME.NAK],
+        ['BUSY', BUSY, 'RESPONSE_BUSY', RESPONSE_OUTCOME.BUSY],
+        ['CHECKSUM_ERROR', corrupted(cartStatus()), 'CHECKSUM_ERROR', RESPONSE_OUTCOME.CHECKSUM_ERROR],
+        ['INCOMPLETE', cartStatus().subarray(0, 6), 'RESPONSE_INCOMPLETE', RESPONSE_OUTCOME.INCOMPLETE],
+        ['NO_RESPONSE', timeout(), 'RESPONSE_TIMEOUT', RESPONSE_OUTCOME.NO_RESPONSE]
+    ])('gives up after maxAttempts with %s', async (label, failure, code, outcome) => {
+        const sendOnce = scripted([failure]);
+
+        const error = await sendWithRetry(STATUS, sendOnce, { policy: POLICY }).catch(e => e);
+
+        expect(error).toMatchObject({ code, outcome, attempts: POLICY.maxAttempts });
+        expect(error.response).toBeInstanceOf(Buffer);
+        expect(sendOnce).toHaveBeenCalledTimes(POLICY.maxAttempts);
+    });
+
+    test('an outcome switched off in the policy is not retried', async () => {
+        const sendOnce = scripted([NAK, cartStatus()]);
+
+        await expect(sendWithRetry(STATUS, sendOnce, { policy: { ...POLICY, retryOnNak: false } }))
+            .rejects.toMatchObject({ code: 'RESPONSE_NAK', attempts: 1 });
+        expect(sendOnce).toHaveBeenCalledTimes(1);
+    });
+
+    test('errors other than a timeout are not retried', async () => {
+        const sendOnce = scripted([new FlexicartError('Port closed', 'PORT_CLOSED')]);
+
+        await expect(sendWithRetry(STATUS, sendOnce, { policy: POLICY })).rejects.toMatchObject({ code: 'PORT_CLOSED' });
+        expect(sendOnce).toHaveBeenCalledTimes(1);
+    });
+
+    describe('moves', () => {
+        test.each([
+            ['NAK', NAK],
+            ['BUSY', BUSY]
+        ])('a %s move is resent when the status query reports no end for it', async (outcome, failure) => {
+            const sendOnce = scripted([failure, ACK]);
+            const queryStatus = jest.fn(async () => cartStatus());
+
+            await expect(sendWithRetry(MOVE, sendOnce, { policy: POLICY, queryStatus })).resolves.toEqual(ACK);
+            expect(queryStatus).toHaveBeenCalledTimes(1);
+            expect(sendOnce).toHaveBeenCalledTimes(2);
+        });
+
+        test.each([
+            ['BUSY (FCH)', 0xFC],
+            ['number in use (F9H)', 0xF9],
+            ['door open before execution (58H)', 0x58]
+        ])('a move whose ACK was lost is resent when CSTS1 reports it refused: %s', async (label, endInfo) => {
+            const sendOnce = scripted([timeout(), ACK]);
+            const queryStatus = jest.fn(async () => ended(0x07, endInfo));
+
+            await expect(sendWithRetry(MOVE, sendOnce, { policy: POLICY, queryStatus })).resolves.toEqual(ACK);
+            expect(sendOnce).toHaveBeenCalledTimes(2);
+        });
+
+        test.each([
+            ['no end reported (idle or still running)', timeout(), cartStatus()],
+            ['a normal end', timeout(), ended(0x07, 0x00)],
+            ['an end during execution (38H)', cartStatus().subarray(0, 6), ended(0x07, 0x38)],
+            ['a cancel by emergency stop (FFH)', timeout(), ended(0x07, 0xFF)],
+            ['a before-execution end of another Macro No.', timeout(), ended(0x08, 0xFC)],
+            ['a normal end after a NAK', NAK, ended(0x07, 0x00)],
+            ['a reply that is not a Cart Status Return', NAK, NAK],
+            ['a status return without CSTS1', NAK, encodeFlexiCartFrame(0x01, 0x00, 0x71, [0x01, 0x00, 0x00])]
+        ])('a move is not resent when the status query shows %s', async (label, failure, status) => {
+            const sendOnce = scripted([failure, ACK]);
+            const queryStatus = jest.fn(async () => status);
+
+            const error = await sendWithRetry(MOVE, sendOnce, { policy: POLICY, queryStatus }).catch(e => e);
+
+            expect(error.message).toMatch(/may have been executed/);
+            expect(error.attempts).toBe(1);
+            expect(queryStatus).toHaveBeenCalledTimes(1);
+            expect(sendOnce).toHaveBeenCalledTimes(1);
+        });
+
+        test('a move is not resent without a status query, or when the query fails', async () => {
+            await expect(sendWithRetry(MOVE, scripted([NAK, ACK]), { policy: POLICY }))
+                .rejects.toMatchObject({ code: 'RESPONSE_NAK', attempts: 1 });
+
+            const queryStatus = jest.fn(async () => { throw timeout(); });
+            await expect(sendWithRetry(MOVE, scripted([NAK, ACK]), { policy: POLICY, queryStatus }))
+                .rejects.toMatchObject({ code: 'RESPONSE_NAK', attempts: 1 });
+        });
+
+        test('the category given by the caller decides', async () => {
+            const sendOnce = scripted([timeout(), cartStatus()]);
+            const queryStatus = jest.fn(async () => cartStatus());
+
+            await expect(sendWithRetry(STATUS, sendOnce, { policy: POLICY, category: COMMAND_CATEGORY.MOVE, queryStatus }))
+                .rejects.toThrow(/may have been executed/);
+            expect(queryStatus).toHaveBeenCalledTimes(1);
+        });
+
+        test('a retry waiting out its backoff is dropped when the signal aborts', async () => {
+            const controller = new AbortController();
+            const sendOnce = scripted([NAK, ACK]);
+            const queryStatus = jest.fn(async () => cartStatus());
+
+            const sending = sendWithRetry(MOVE, sendOnce, {
+                policy: { ...POLICY, backoff: 1000 },
+                queryStatus,
+                signal: controller.signal
+            }).catch(e => e);
+            await new Promise(resolve => setImmediate(resolve));
+            controller.abort();
+            const error = await sending;
+
+            expect(error).toMatchObject({ code: 'REQUEST_FLUSHED', outcome: RESPONSE_OUTCOME.NAK, attempts: 1 });
+            expect(sendOnce).toHaveBeenCalledTimes(1);
+        });
+
+        test('no status query is sent once the signal has aborted', async () => {
+            const controller = new AbortController();
+            controller.abort();
+            const queryStatus = jest.fn(async () => cartStatus());
+
+            await expect(sendWithRetry(MOVE, scripted([NAK, ACK]), { policy: POLICY, queryStatus, signal: controller.signal }))
+                .rejects.toMatchObject({ code: 'REQUEST_FLUSHED' });
+            expect(queryStatus).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe('abortOnFlush', () => {
+    test('commands that are safe to repeat get no signal', () => {
+        const connection = new EventEmitter();
+
+        const { signal, release } = abortOnFlush(connection, STATUS);
+
+        expect(signal).toBeNull();
+        expect(connection.listenerCount('flushed')).toBe(0);
+        expect(() => release()).not.toThrow();
+    });
+
+    test.each([
+        ['flushes moves', [COMMAND_CATEGORY.MOVE, COMMAND_CATEGORY.OTHER], true],
+        ['flushes every category', undefined, true],
+        ['flushes only other categories', [COMMAND_CATEGORY.STATUS], false]
+    ])('a move is aborted when a request that %s is dispatched', (label, categories, aborted) => {
+        const connection = new EventEmitter();
+        const { signal } = abortOnFlush(connection, MOVE);
+
+        connection.emit('flushed', { by: 1, count: 0, categories });
+
+        expect(signal.aborted).toBe(aborted);
+    });
+
+    test('the category given by the caller decides', () => {
+        const connection = new EventEmitter();
+        const { signal } = abortOnFlush(connection, STATUS, COMMAND_CATEGORY.MOVE);
+
+        connection.emit('flushed', { by: 1, count: 0, categories: [COMMAND_CATEGORY.MOVE] });
+
+        expect(signal.aborted).toBe(true);
+    });
+
+    test('release stops listening', () => {
+        const connection = new EventEmitter();
+        const { signal, release } = abortOnFlush(connection, MOVE);
+
+        release();
+        connection.emit('flushed', { by: 1, count: 0, categories: null });
+
+        expect(connection.listenerCount('flushed')).toBe(0);
+        expect(signal.aborted).toBe(false);
+    });
+});
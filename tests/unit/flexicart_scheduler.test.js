@@ -0,0 +1,234 @@
+/**
+ * FlexiCartScheduler: event checks, conflicts, and pre-fetch/take timing on a fake clock
+ */
+
+const {
+    FlexiCartScheduler,
+    normaliseEvent,
+    detectConflicts,
+    EVENT_STATUS,
+    CONFLICT_TYPES,
+    SCHEDULER_ERRORS
+} = require('../../src/commands/flexicart_scheduler');
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Air workflow stand-in: prepare() cues at once, take() goes on air at once
+ * and stays there until takeOff() or end()
+ */
+function stubPlayer(cassettes) {
+    const player = {
+        vtrPath: 'memory://scheduler-stub',
+        onStage: null,
+        findCassette: (key) => (cassettes.includes(key) ? { binNumber: 1, cassette: { id: key } } : null),
+        prepare: jest.fn(async (key) => ({ operationId: `op_${key}`, key, cassette: { id: key } })),
+        take: jest.fn((run) => {
+            player.onStage('on_air', { ...run, onAirAt: new Date().toISOString() });
+            return new Promise(resolve => {
+                player.end = () => resolve({ offAirAt: new Date().toISOString() });
+            });
+        }),
+        takeOff: jest.fn(() => player.end()),
+        cancel: jest.fn(async () => [])
+    };
+    return player;
+}
+
+describe('normaliseEvent', () => {
+    test('fills in the defaults and converts the duration', () => {
+        const event = normaliseEvent({ start: '2026-01-01T10:00:00Z', houseId: 'PROMO', duration: '00:00:30:00' }, 0, 25);
+
+        expect(event).toMatchObject({
+            id: '1',
+            key: 'PROMO',
+            barcode: null,
+            start: Date.parse('2026-01-01T10:00:00Z'),
+            durationMs: 30000,
+            startMode: 'hard',
+            som: '01:00:00:00',
+            preroll: 5,
+            status: EVENT_STATUS.PENDING
+        });
+    });
+
+    test.each([
+        [{ start: 0, duration: '00:00:10:00' }, /barcode or houseId/],
+        [{ barcode: 'A', start: 'soon', duration: '00:00:10:00' }, /invalid start time/],
+        [{ barcode: 'A', start: 0 }, /needs a duration/],
+        [{ barcode: 'A', start: 0, duration: '00:00:10:25' }, /Invalid timecode/],
+        [{ barcode: 'A', start: 0, duration: 0 }, /longer than zero/],
+        [{ barcode: 'A', start: 0, duration: 250, startMode: 'loose' }, /unknown startMode/],
+        [{ barcode: 'A', start: 0, duration: 250, preroll: 31 }, /preroll/]
+    ])('%j is refused', (raw, message) => {
+        expect(() => normaliseEvent(raw, 0, 25)).toThrow(expect.objectContaining({ code: SCHEDULER_ERRORS.INVALID_EVENT, message: expect.stringMatching(message) }));
+    });
+});
+
+describe('detectConflicts', () => {
+    const event = (id, key, start, seconds = 10) => normaliseEvent({ id, barcode: key, start, duration: seconds * 25 }, 0, 25);
+
+    test('one cassette in two overlapping events', () => {
+        const conflicts = detectConflicts([event('a', 'TAPE1', 0), event('b', 'TAPE1', 5000)], { players: 2 });
+
+        expect(conflicts).toEqual([expect.objectContaining({ type: CONFLICT_TYPES.DUPLICATE_CASSETTE, key: 'TAPE1', events: ['a', 'b'] })]);
+    });
+
+    test('the same cassette again once it is back is fine', () => {
+        const events = [event('a', 'TAPE1', 0), event('b', 'TAPE1', 20000)];
+
+        expect(detectConflicts(events, { players: 1, leadTime: 5000, turnaround: 5000 })).toEqual([]);
+        expect(detectConflicts(events, { players: 1, leadTime: 5000, turnaround: 5001 })).toHaveLength(2);
+    });
+
+    test('overlapping shortages are reported once with every event involved', () => {
+        const events = [event('a', 'A', 0), event('b', 'B', 5000), event('c', 'C', 12000), event('d', 'D', 60000)];
+
+        const conflicts = detectConflicts(events, { players: 1, leadTime: 1000 });
+
+        expect(conflicts).toEqual([expect.objectContaining({
+            type: CONFLICT_TYPES.PLAYER_SHORTAGE,
+            at: new Date(4000).toISOString(),
+            events: ['a', 'b', 'c'],
+            players: 1,
+            needed: 2
+        })]);
+    });
+
+    test('cassettes the cart does not hold', () => {
+        const conflicts = detectConflicts([event('a', 'A', 0), event('b', 'B', 60000)], { locate: key => key === 'A' });
+
+        expect(conflicts).toEqual([expect.objectContaining({ type: CONFLICT_TYPES.NOT_FOUND, key: 'B', events: ['b'] })]);
+    });
+});
+
+describe('FlexiCartScheduler', () => {
+    let clock;
+    let players;
+    let scheduler;
+
+    const create = (cassettes, count = 1, options = {}) => {
+        players = Array.from({ length: count }, () => stubPlayer(cassettes));
+        scheduler = new FlexiCartScheduler({ players, leadTime: 1000, turnaround: 0, tickInterval: 60000, frameRate: 25, now: () => clock, ...options });
+        return scheduler;
+    };
+    const at = async (ms) => {
+        clock = ms;
+        scheduler.tick();
+        await settle();
+    };
+    const status = (id) => scheduler.getEvent(id).status;
+
+    beforeEach(() => {
+        clock = 0;
+    });
+
+    afterEach(async () => {
+        await scheduler.stop();
+    });
+
+    test('a playlist with conflicts or bad events is refused and the old one kept', () => {
+        create(['A', 'B']);
+        expect(scheduler.loadPlaylist([{ id: 'a', barcode: 'A', start: 5000, duration: 250 }]).success).toBe(true);
+
+        const clash = scheduler.loadPlaylist([
+            { id: 'x', barcode: 'A', start: 5000, duration: 250 },
+            { id: 'y', barcode: 'B', start: 6000, duration: 250 }
+        ]);
+        expect(clash).toMatchObject({ success: false, code: SCHEDULER_ERRORS.CONFLICT });
+        expect(clash.conflicts.map(conflict => conflict.type)).toEqual([CONFLICT_TYPES.PLAYER_SHORTAGE]);
+
+        const duplicate = scheduler.loadPlaylist([{ id: 'x', barcode: 'A', start: 0, duration: 1 }, { id: 'x', barcode: 'B', start: 99999, duration: 1 }]);
+        expect(duplicate).toMatchObject({ success: false, code: SCHEDULER_ERRORS.INVALID_EVENT, error: 'Event id x is used twice' });
+        expect(scheduler.loadPlaylist('events').success).toBe(false);
+
+        expect(scheduler.getPlaylist().map(event => event.id)).toEqual(['a']);
+    });
+
+    test('pre-fetches at the lead time, takes a hard start on its time and cuts the event before it', async () => {
+        create(['A', 'B'], 2);
+        const progress = [];
+        scheduler.on('progress', message => progress.push(message.type));
+        scheduler.loadPlaylist([
+            { id: 'b', barcode: 'B', start: 20000, duration: '00:00:10:00', preroll: 0 },
+            { id: 'a', barcode: 'A', start: 10000, duration: '00:01:00:00', preroll: 0 }
+        ]);
+        scheduler.start();
+
+        await at(8999);
+        expect(players[0].prepare).not.toHaveBeenCalled();
+
+        await at(9000);
+        expect(players[0].prepare).toHaveBeenCalledWith('A', {
+            start: '01:00:00:00',
+            preroll: 0,
+            duration: '00:01:00:00',
+            holdMs: 1000,
+            event: { id: 'a', title: '', plannedStart: new Date(10000).toISOString(), startMode: 'hard' }
+        });
+        expect(status('a')).toBe(EVENT_STATUS.CUED);
+
+        await at(10000);
+        expect(status('a')).toBe(EVENT_STATUS.ON_AIR);
+
+        await at(19000);
+        expect(scheduler.getEvent('b')).toMatchObject({ status: EVENT_STATUS.CUED, player: 1 });
+
+        // A runs long - B's hard start takes it off
+        await at(20000);
+        expect(players[0].takeOff).toHaveBeenCalled();
+        expect(status('a')).toBe(EVENT_STATUS.DONE);
+        expect(scheduler.getEvent('b')).toMatchObject({ status: EVENT_STATUS.ON_AIR, lateMs: 0 });
+
+        players[1].end();
+        await settle();
+        expect(status('b')).toBe(EVENT_STATUS.DONE);
+        expect(progress.slice(0, 4)).toEqual(['playlist.loaded', 'schedule.started', 'event.status', 'event.status']);
+        expect(progress).toContain('event.stage');
+    });
+
+    test('a soft start waits for the event before it to finish', async () => {
+        create(['A', 'C'], 2);
+        scheduler.loadPlaylist([
+            { id: 'a', barcode: 'A', start: 10000, duration: '00:00:10:00', preroll: 0 },
+            { id: 'c', houseId: 'C', start: 15000, duration: '00:00:05:00', startMode: 'soft', preroll: 0 }
+        ]);
+        scheduler.start();
+
+        await at(10000);
+        await at(15000);
+        expect(status('c')).toBe(EVENT_STATUS.CUED);
+        await at(18000);
+        expect(status('c')).toBe(EVENT_STATUS.CUED);
+        expect(players[0].takeOff).not.toHaveBeenCalled();
+
+        players[0].end();
+        await settle();
+        await at(21000);
+        expect(scheduler.getEvent('c')).toMatchObject({ status: EVENT_STATUS.ON_AIR, lateMs: 6000 });
+    });
+
+    test('stopping sends cued cassettes home; an event with no player before its end is missed', async () => {
+        const cassettes = ['A', 'B'];
+        create(cassettes);
+        scheduler.loadPlaylist([
+            { id: 'a', barcode: 'A', start: 10000, duration: 250, preroll: 0 },
+            { id: 'b', barcode: 'B', start: 30000, duration: 250, preroll: 0 }
+        ]);
+        scheduler.start();
+
+        await at(9500);
+        expect(status('a')).toBe(EVENT_STATUS.CUED);
+        expect(await scheduler.stop()).toBe(true);
+        expect(players[0].cancel).toHaveBeenCalledWith(expect.objectContaining({ key: 'A' }), 'Schedule stopped');
+        expect(status('a')).toBe(EVENT_STATUS.CANCELLED);
+
+        // B taken out of the cart after the playlist loaded
+        cassettes.pop();
+        scheduler.start();
+        await at(29500);
+        expect(status('b')).toBe(EVENT_STATUS.PENDING);
+        await at(40000);
+        expect(scheduler.getEvent('b')).toMatchObject({ status: EVENT_STATUS.MISSED, error: expect.stringMatching(/No player/) });
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * createFlexiCartCommand packet layout and checksums
+ */
+
+const { createFlexiCartCommand, parseFlexiCartResponse } = require('../../src/commands/flexicart_serial_utils');
+const { calculateChecksum, verifyChecksum, encodeFlexiCartFrame } = require('../../src/commands/flexicart_frame_decoder');
+
+// Sum of BC through CS is 0 modulo 256 for a 2's complement checksum
+const checksumSum = (packet) => Array.from(packet.slice(1)).reduce((sum, byte) => sum + byte, 0) & 0xFF;
+
+describe('createFlexiCartCommand', () => {
+    test('builds the 9-byte STX BC UA1 UA2 BT CMD CTRL DATA CS packet', () => {
+        const packet = createFlexiCartCommand(0x04, 0x61, 0x00, 0x10, 0x80);
+
+        expect(packet).toHaveLength(9);
+        expect(Array.from(packet.slice(0, 8))).toEqual([0x02, 0x06, 0x01, 0x04, 0x00, 0x61, 0x10, 0x80]);
+    });
+
+    test('matches known packets', () => {
+        expect(createFlexiCartCommand(0x01, 0x50).toString('hex')).toBe('020601010050008028');
+        expect(createFlexiCartCommand(0x01, 0x61, 0x00, 0x10).toString('hex')).toBe('020601010061108007');
+    });
+
+    test.each([
+        [0x01, 0x50, 0x00, 0x00, 0x80],
+        [0x01, 0x61, 0x00, 0x10, 0x80],
+        [0x02, 0x43, 0x00, 0xFF, 0x80],
+        [0x80, 0x44, 0x00, 0x01, 0x80],
+        [0x01, 0x09, 0x00, 0x2A, 0x01],
+        [0xFF, 0xFF, 0xFF, 0xFF, 0xFF]
+    ])('UA2 %i CMD %i: 2\'s complement checksum over BC..DATA', (ua2, cmd, bt, ctrl, data) => {
+        const packet = createFlexiCartCommand(ua2, cmd, bt, ctrl, data);
+
+        expect(packet[8]).toBe(calculateChecksum(packet.slice(1, 8)));
+        expect(checksumSum(packet)).toBe(0);
+        expect(verifyChecksum(packet)).toBe(true);
+    });
+
+    test('a corrupted byte fails checksum verification', () => {
+        const packet = createFlexiCartCommand(0x01, 0x61, 0x00, 0x10);
+        packet[6] ^= 0x01;
+
+        expect(verifyChecksum(packet)).toBe(false);
+    });
+
+    test('agrees with encodeFlexiCartFrame', () => {
+        expect(createFlexiCartCommand(0x08, 0x43, 0x00, 0x21, 0x80))
+            .toEqual(encodeFlexiCartFrame(0x08, 0x00, 0x43, [0x21, 0x80]));
+    });
+});
+
+describe('parseFlexiCartResponse', () => {
+    test('reports no response for an empty buffer', () => {
+        expect(parseFlexiCartResponse(Buffer.alloc(0))).toEqual({ type: 'NO_RESPONSE', valid: false });
+    });
+
+    test('recognises ACK, NAK and BUSY', () => {
+        expect(parseFlexiCartResponse(Buffer.from([0x04])).type).toBe('ACK');
+        expect(parseFlexiCartResponse(Buffer.from([0x05])).type).toBe('NAK');
+        expect(parseFlexiCartResponse(Buffer.from([0x06])).type).toBe('BUSY');
+    });
+
+    test('decodes a frame and rejects a bad checksum', () => {
+        const frame = encodeFlexiCartFrame(0x01, 0x00, 0x71, [0x80, 0x01, 0x00]);
+        const parsed = parseFlexiCartResponse(frame);
+        expect(parsed.type).toBe('FLEXICART_FRAME');
+        expect(parsed.valid).toBe(true);
+        expect(parsed.frame.cmd).toBe(0x71);
+
+        const corrupted = Buffer.from(frame);
+        corrupted[corrupted.length - 1] ^= 0xFF;
+        expect(parseFlexiCartResponse(corrupted)).toMatchObject({ type: 'CHECKSUM_ERROR', valid: false });
+    });
+
+    test('ignores frames from other carts when filtering by UA2', () => {
+        const frame = encodeFlexiCartFrame(0x02, 0x00, 0x71, [0x80]);
+
+        expect(parseFlexiCartResponse(frame, 0x01).type).toBe('UNRECOGNIZED');
+        expect(parseFlexiCartResponse(frame, 0x02).type).toBe('FLEXICART_FRAME');
+    });
+});
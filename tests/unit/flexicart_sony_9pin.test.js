@@ -0,0 +1,106 @@
+/**
+ * Sony 9-pin packet codec: CMD-1/DATA COUNT, checksum, ACK/NAK and returns
+ */
+
+const {
+    encodeSonyCommand,
+    decodeSonyResponse,
+    isCompleteSonyResponse,
+    isSonyPacket,
+    findSonyReturn,
+    decodeSonyDeviceType,
+    describeSonyStatus,
+    SONY_CMD1
+} = require('../../src/commands/flexicart_sony_9pin');
+const { classifyResponse, RESPONSE_OUTCOME } = require('../../src/commands/flexicart_retry_policy');
+
+const bytes = (hex) => Buffer.from(hex.replace(/ /g, ''), 'hex');
+
+describe('encodeSonyCommand', () => {
+    test.each([
+        ['STOP', SONY_CMD1.TRANSPORT_CONTROL, 0x00, [], '20 00 20'],
+        ['DEVICE TYPE REQUEST', SONY_CMD1.SYSTEM_CONTROL, 0x11, [], '00 11 11'],
+        ['STATUS SENSE', SONY_CMD1.SENSE_REQUEST, 0x20, [0x0A], '61 20 0a 8b'],
+        ['CUE UP WITH DATA', 0x20, 0x31, [0x00, 0x00, 0x00, 0x01], '24 31 00 00 00 01 56']
+    ])('%s', (name, group, cmd2, data, hex) => {
+        expect(encodeSonyCommand(group, cmd2, data)).toEqual(bytes(hex));
+    });
+
+    test('more than 15 data bytes is refused', () => {
+        expect(() => encodeSonyCommand(SONY_CMD1.PRESET_SELECT, 0x00, new Array(16).fill(0)))
+            .toThrow(expect.objectContaining({ code: 'INVALID_PARAMETER' }));
+    });
+});
+
+describe('decodeSonyResponse', () => {
+    test('ACK and NAK with its error bits', () => {
+        expect(decodeSonyResponse(bytes('10 01 11')).packets[0]).toMatchObject({ type: 'ACK', count: 0 });
+        expect(decodeSonyResponse(bytes('11 12 14 37')).packets[0]).toMatchObject({
+            type: 'NAK', nakBits: 0x14, nakErrors: ['PARITY_ERROR', 'CHECKSUM_ERROR']
+        });
+    });
+
+    test('a return packet carries DATA COUNT bytes', () => {
+        const packet = decodeSonyResponse(bytes('12 11 b0 00 d3')).packets[0];
+
+        expect(packet).toMatchObject({ type: 'RETURN', group: 0x10, count: 2, cmd2: 0x11 });
+        expect(Array.from(packet.data)).toEqual([0xB0, 0x00]);
+    });
+
+    test('data bytes of 00, 55 and F0-FF are kept', () => {
+        const packet = decodeSonyResponse(bytes('73 20 00 55 ff e7')).packets[0];
+        expect(Array.from(packet.data)).toEqual([0x00, 0x55, 0xFF]);
+    });
+
+    test('leading noise is skipped until a packet lines up', () => {
+        const result = decodeSonyResponse(bytes('55 00 7f 10 01 11'));
+
+        expect(result.packets.map(p => p.type)).toEqual(['ACK']);
+        expect(result.discardedBytes).toBe(3);
+        expect(result.pendingBytes).toBe(0);
+    });
+
+    test('a bad checksum is reported, a partial packet is pending', () => {
+        expect(decodeSonyResponse(bytes('10 01 12')).checksumErrors[0]).toMatchObject({ received: 0x12, expected: 0x11 });
+        expect(decodeSonyResponse(bytes('74 04 00 00')).pendingBytes).toBe(4);
+    });
+});
+
+describe('completion and classification', () => {
+    test('isCompleteSonyResponse waits for a whole packet', () => {
+        expect(isCompleteSonyResponse(bytes('74 04 00 00'))).toBe(false);
+        expect(isCompleteSonyResponse(bytes('74 04 00 00 00 01 79'))).toBe(true);
+        expect(isCompleteSonyResponse(bytes('10 01 12'))).toBe(true);
+    });
+
+    test('isSonyPacket checks count, length and checksum', () => {
+        expect(isSonyPacket(bytes('61 0c 01 6e'))).toBe(true);
+        expect(isSonyPacket(bytes('61 0c 01 6f'))).toBe(false);
+        expect(isSonyPacket(bytes('90 11 00 00'))).toBe(false);
+        expect(isSonyPacket(Buffer.from([0x02, 0x53, 0x03]))).toBe(false);
+    });
+
+    test.each([
+        ['10 01 11', RESPONSE_OUTCOME.OK],
+        ['11 12 01 24', RESPONSE_OUTCOME.NAK],
+        ['10 01 12', RESPONSE_OUTCOME.CHECKSUM_ERROR],
+        ['74 04 00', RESPONSE_OUTCOME.INCOMPLETE]
+    ])('reply %s to a Sony command is %s', (hex, outcome) => {
+        expect(classifyResponse(bytes('20 00 20'), bytes(hex))).toBe(outcome);
+    });
+});
+
+describe('return data', () => {
+    test('findSonyReturn skips an ACK and matches CMD-2', () => {
+        const response = bytes('10 01 11 74 04 00 00 00 01 79');
+
+        expect(findSonyReturn(response, 0x04).cmd1).toBe(0x74);
+        expect(findSonyReturn(response, 0x20)).toBeNull();
+    });
+
+    test('device type and status flags', () => {
+        expect(decodeSonyDeviceType([0xB1, 0x00])).toEqual({ id: 'B100', model: 'DVW-A500', system: 1 });
+        expect(decodeSonyDeviceType([0x20, 0x99]).model).toBeNull();
+        expect(describeSonyStatus([0x20, 0x20, 0x81])).toEqual(['CASSETTE_OUT', 'STOP', 'SERVO_LOCK', 'CUE_UP_COMPLETE']);
+    });
+});
@@ -0,0 +1,595 @@
+/**
+ * parseFlexicartStatus / parseSonyFlexicartStatus / Cart Status Return, console
+ * status and player sense decoding / error, move, calibration, bin status and
+ * error report replies
+ */
+
+const {
+    parseFlexicartStatus,
+    parseSonyFlexicartStatus,
+    parseFlexicartErrors,
+    parseFlexicartMoveResponse,
+    parseFlexicartCalibrationResponse,
+    parseFlexicartBinStatus,
+    parseFlexicartErrorReport,
+    parseFlexicartPosition,
+    parseFlexicartMotion,
+    parseFlexicartInventory,
+    decodeStatusReturn,
+    decodeConsoleStatusReturn,
+    decodePlayerSense,
+    statusReturnToSystemStatus,
+    getStatusErrors,
+    FLEXICART_STATUS_CODES
+} = require('../../src/commands/flexicart_status_parser');
+const { encodeFlexiCartFrame } = require('../../src/commands/flexicart_frame_decoder');
+const { encodeSonyCommand, SONY_CMD1 } = require('../../src/commands/flexicart_sony_9pin');
+const { getCassetteBinNumber, getVtrBinNumber, ELEVATOR_BIN } = require('../../src/commands/flexicart_command_catalog');
+
+// Cart Status Return (71H) payload: BIT MAP 1, the CSTS0-7 it selects, [BIT MAP 2, the CSTS8-15 it selects]
+const cartStatus = (...data) => encodeFlexiCartFrame(0x01, 0x00, 0x71, data);
+
+// Replies to the status poll (61H, BIT MAP 1 13H: CSTS0, CSTS1, CSTS4; BIT MAP 2 80H: CSTS15),
+// built from the Cart Status MAP (protocol 8-1-2)
+const pollReply = ({ failure = [0x00, 0x00], macroEnd = [0xFF, 0xFF, 0xFF], console = 0x00, errorReport = 0x00 } = {}) =>
+    cartStatus(0x13, ...failure, ...macroEnd, console, 0x80, errorReport);
+
+const POLL = {
+    // STX, BC, UA1, UA2, BT, CMD 71H, BM1 13H, CSTS0 00 00, CSTS1 FF FF FF (nothing ended), CSTS4 00, BM2 80H, CSTS15 00, CS
+    idle: Buffer.from('020d01010071130000ffffff008000f0', 'hex'),
+    testMode: pollReply({ failure: [0x40, 0x00] }),
+    poweredUp: pollReply({ failure: [0x00, 0x08] }),
+    noReference: pollReply({ failure: [0x18, 0x00] }),
+    moveEnded: pollReply({ macroEnd: [0x12, 0x00, 0x00] }),
+    sourceEmpty: pollReply({ macroEnd: [0x12, 0x5F, 0x00] }),
+    consoleError: pollReply({ console: 0x11 }),
+    dataError: pollReply({ errorReport: 0x01 }),
+    doorOpenBefore: pollReply({ macroEnd: [0x12, 0x58, 0x00] }),
+    doorOpenDuring: pollReply({ macroEnd: [0x12, 0x38, 0x00] }),
+    cancelled: pollReply({ macroEnd: [0x12, 0xFF, 0x00] }),
+    cancelledNoMacroNo: pollReply({ macroEnd: [0xFF, 0xFF, 0x00] })
+};
+
+// Cassette Console Status Return (BT 01H, 71H): C.C 01, BIT MAP 01 (CCS0), CCS0
+const consoleStatus = (ccs0) => encodeFlexiCartFrame(0x01, 0x01, 0x71, [0x01, 0x01, ccs0]);
+
+const CONSOLE = {
+    // STX, BC, UA1, UA2, BT 01, CMD 71H, C.C 01, BIT MAP 01, CCS0 01 (Door Open), CS
+    doorOpen: Buffer.from('02070101017101010182', 'hex'),
+    doorOpening: consoleStatus(0x02),
+    closed: consoleStatus(0x00)
+};
+
+// Player sense: the deck's STATUS DATA return (7A 20, DATA No.0-9)
+const statusData = (...data) => encodeSonyCommand(SONY_CMD1.SENSE_RETURN, 0x20, [...data, ...new Array(10 - data.length).fill(0x00)]);
+
+const PLAYER = {
+    // 7A 20, DATA No.1 01 (PLAY), DATA No.2 80 (SERVO LOCK), checksum
+    playing: Buffer.from('7a20000180000000000000001b', 'hex'),
+    // 7A 20, DATA No.0 20 (CASSETTE OUT), checksum
+    empty: Buffer.from('7a2020000000000000000000ba', 'hex'),
+    stopped: statusData(0x00, 0x20),
+    shuttling: statusData(0x00, 0x01, 0x20)
+};
+
+const systemStatus = (name) => parseFlexicartStatus(POLL[name]).system;
+
+describe('parseFlexicartStatus', () => {
+    test.each([null, undefined, Buffer.alloc(0)])('no response (%p)', (response) => {
+        const status = parseFlexicartStatus(response);
+
+        expect(status.statusText).toBe('NO_RESPONSE');
+        expect(status.communicating).toBe(false);
+        expect(status.ready).toBe(false);
+    });
+
+    test.each([
+        [0x04, 'ACK', { ready: true, errorCount: 0 }],
+        [0x05, 'NAK', { ready: false, errorCount: 1 }],
+        [0x06, 'BUSY', { ready: false, errorCount: 0 }]
+    ])('standalone reply %i -> %s', (byte, text, flags) => {
+        const status = parseFlexicartStatus(Buffer.from([byte]));
+
+        expect(status.statusCode).toBe(byte);
+        expect(status.statusText).toBe(text);
+        expect(status).toMatchObject({ ...flags, moving: false, communicating: true, deviceType: 'FLEXICART' });
+        expect(FLEXICART_STATUS_CODES[byte]).toBe(text);
+    });
+
+    test('a first byte alone is not a status', () => {
+        expect(parseFlexicartStatus(Buffer.from([0x00, 0x01]))).toMatchObject({ statusText: 'UNRECOGNIZED', ready: false });
+        expect(parseFlexicartStatus(Buffer.from([0x7A]))).toMatchObject({ statusCode: 0x7A, statusText: 'UNRECOGNIZED' });
+    });
+
+    test('frames other than a Status Return are data responses', () => {
+        const binStatus = encodeFlexiCartFrame(0x01, 0x01, 0x72, [0x01, 0x82]);
+        expect(parseFlexicartStatus(binStatus)).toMatchObject({ statusCode: 0x72, statusText: 'DATA_RESPONSE', ready: false });
+    });
+
+    test('frames other than a Cart Status Return are data responses', () => {
+        const binStatus = encodeFlexiCartFrame(0x01, 0x01, 0x72, [0x01, 0x82]);
+        expect(parseFlexicartStatus(binStatus)).toMatchObject({ statusCode: 0x72, statusText: 'DATA_RESPONSE', ready: false });
+    });
+
+    test('a damaged frame counts as an error', () => {
+        const frame = Buffer.from(POLL.idle);
+        frame[frame.length - 1] ^= 0xFF;
+        expect(parseFlexicartStatus(frame)).toMatchObject({ statusText: 'CHECKSUM_ERROR', errorCount: 1, ready: false });
+    });
+
+    test.each([
+        ['idle', 'READY', { ready: true, errorCount: 0 }],
+        ['testMode', 'TEST_MODE', { ready: false }],
+        ['poweredUp', 'POWERED_UP', { ready: false }],
+        ['noReference', 'ERROR', { ready: false, errorCount: 2 }],
+        ['moveEnded', 'READY', { ready: true, errorCount: 0 }],
+        ['sourceEmpty', 'ERROR', { ready: false, errorCount: 1 }],
+        ['consoleError', 'ERROR', { errorCount: 1 }],
+        ['dataError', 'ERROR', { errorCount: 1 }]
+    ])('Cart Status Return (%s) -> %s', (name, text, fields) => {
+        const status = parseFlexicartStatus(POLL[name]);
+
+        expect(status.statusText).toBe(text);
+        expect(status).toMatchObject({ ...fields, statusCode: 0x71, moving: false });
+        expect(status.statusReturn).toMatchObject({ bitmap1: 0x13, bitmap2: 0x80 });
+    });
+
+    test('keeps the raw response as hex', () => {
+        expect(parseFlexicartStatus(Buffer.from([0x04, 0xAB])).raw).toBe('04ab');
+    });
+
+    test('hands sync-dominated replies to the Sony parser', () => {
+        const response = Buffer.alloc(40, 0x55);
+        response[10] = 0x57;
+
+        const status = parseFlexicartStatus(response);
+        expect(status.deviceType).toBe('SONY_FLEXICART');
+        expect(status.statusText).toBe('SONY_ACTIVE');
+    });
+
+    test('short sync runs are not treated as Sony replies', () => {
+        expect(parseFlexicartStatus(Buffer.alloc(16, 0x55)).deviceType).toBe('FLEXICART');
+    });
+});
+
+describe('parseSonyFlexicartStatus', () => {
+    const withByte = (byte) => {
+        const response = Buffer.alloc(32, 0x55);
+        response[5] = byte;
+        return response;
+    };
+
+    test('no response', () => {
+        expect(parseSonyFlexicartStatus(Buffer.alloc(0))).toMatchObject({
+            statusText: 'NO_RESPONSE',
+            ready: false,
+            communicating: false
+        });
+    });
+
+    test('pure sync is idle', () => {
+        expect(parseSonyFlexicartStatus(Buffer.alloc(32, 0x55))).toMatchObject({
+            statusText: 'SONY_IDLE',
+            statusCode: 0x55,
+            ready: true
+        });
+    });
+
+    test.each([
+        [0x57, 'SONY_ACTIVE', true, 0],
+        [0x00, 'SONY_STANDBY', true, 0],
+        [0xFF, 'SONY_ERROR', false, 1],
+        [0x12, 'SONY_STATUS_12', true, 0]
+    ])('single status byte %i -> %s', (byte, text, ready, errorCount) => {
+        expect(parseSonyFlexicartStatus(withByte(byte))).toMatchObject({
+            statusCode: byte,
+            statusText: text,
+            ready,
+            errorCount
+        });
+    });
+
+    test('several non-sync bytes are a data response', () => {
+        const response = withByte(0x10);
+        response[6] = 0x20;
+
+        expect(parseSonyFlexicartStatus(response).statusText).toBe('SONY_DATA_RESPONSE');
+    });
+});
+
+describe('decodeStatusReturn', () => {
+    test('decodes the status poll reply', () => {
+        expect(decodeStatusReturn(POLL.sourceEmpty)).toMatchObject({
+            bitmap1: 0x13,
+            bitmap2: 0x80,
+            failure: { test: false, refMissing: false, ltcMissing: false, powerDown: false },
+            macroEnd: { macroNo: 12, endInfo: 0x5F, remaining: 0 },
+            turnOnEnd: null,
+            changedBin: null,
+            consoleStatus: { error: false, changed: false },
+            errorReport: false
+        });
+    });
+
+    // One CSTS at a time: [BIT MAP 1, BIT MAP 2, CSTS bytes, field, value]
+    test.each([
+        [0x01, null, [0x5C, 0x08], 'failure', { test: true, refMissing: true, ltcMissing: true, powerDown: true }],
+        [0x02, null, [0x07, 0x00, 0x02], 'macroEnd', { macroNo: 7, endInfo: 0x00, remaining: 2 }],
+        [0x02, null, [0xFF, 0xFF, 0xFF], 'macroEnd', null],
+        [0x02, null, [0xFF, 0xFA, 0x00], 'macroEnd', { macroNo: null, endInfo: 0xFA, remaining: 0 }],
+        [0x04, null, [0x25, 0x00, 0x00], 'turnOnEnd', { turnOnNo: 25, endInfo: 0x00, remaining: 0 }],
+        [0x08, null, [0x01, 0x10, 0x12], 'changedBin', 1012],
+        [0x08, null, [0x00, 0x00, 0x00], 'changedBin', null],
+        [0x10, null, [0x10], 'consoleStatus', { error: true, changed: false }],
+        [0x20, null, [0x01, 0x05], 'changedVtrs', [1, 3]],
+        [0x40, null, [0x01, 0x20], 'ubBlockCountVtrs', [6]],
+        [0x00, 0x01, [0x02], 'systemModeChanged', 0x02],
+        [0x00, 0x08, [0x01], 'switcherChanged', 0x01],
+        [0x00, 0x10, [0x01, 0x03], 'expandedVtrs', [1, 2]],
+        [0x00, 0x20, [0xFF, 0xFF, 0x00, 0x00, 0x00, 0x00], 'turnOnEndExtended', [0xFF, 0xFF, 0x00, 0x00, 0x00, 0x00]],
+        [0x00, 0x40, [0x00, 0x01, 0x00, 0x00], 'extInput', [0x00, 0x01, 0x00, 0x00]],
+        [0x00, 0x80, [0x01], 'errorReport', true]
+    ])('BIT MAP %i/%p selects %p -> %s', (bitmap1, bitmap2, bytes, field, value) => {
+        const frame = bitmap2 === null ? cartStatus(bitmap1, ...bytes) : cartStatus(bitmap1, bitmap2, ...bytes);
+
+        expect(decodeStatusReturn(frame)[field]).toEqual(value);
+    });
+
+    test('CSTS come in bit order, each at its own width', () => {
+        const status = decodeStatusReturn(cartStatus(0x0B, 0x00, 0x00, 0x03, 0x00, 0x00, 0x01, 0x60, 0x01));
+
+        expect(status).toMatchObject({
+            failure: { powerDown: false },
+            macroEnd: { macroNo: 3, endInfo: 0x00, remaining: 0 },
+            changedBin: 6001
+        });
+    });
+
+    test('BIT MAP 2 may be left out', () => {
+        expect(decodeStatusReturn(cartStatus(0x02, 0x01, 0x00, 0x00))).toMatchObject({ bitmap2: null, errorReport: null });
+    });
+
+    test('nothing past the reserved CSTS7 can be decoded', () => {
+        const status = decodeStatusReturn(cartStatus(0x82, 0x01, 0x00, 0x00, 0x99, 0x80, 0x01));
+
+        expect(status.macroEnd).toMatchObject({ macroNo: 1 });
+        expect(status).toMatchObject({ bitmap2: null, errorReport: null });
+    });
+
+    test('a truncated Cart Status Return or another reply is no status', () => {
+        expect(decodeStatusReturn(cartStatus(0x03, 0x00, 0x00, 0x01))).toBeNull();
+        expect(decodeStatusReturn(Buffer.from([0x04]))).toBeNull();
+        expect(decodeStatusReturn(encodeFlexiCartFrame(0x01, 0x01, 0x72, [0x01, 0x82]))).toBeNull();
+        expect(decodeStatusReturn(null)).toBeNull();
+    });
+});
+
+describe('Cart Status Return -> FlexiCartSystemStatus fields', () => {
+    test('hardware.powerOn: any Cart Status Return comes from a powered controller', () => {
+        expect(systemStatus('idle').hardware.powerOn).toBe(true);
+    });
+
+    test('TEST mode is maintenance mode', () => {
+        expect(systemStatus('testMode').hardware.maintenanceMode).toBe(true);
+        expect(systemStatus('idle').hardware.maintenanceMode).toBe(false);
+    });
+
+    test('Power Down means the cart has to be initialized again', () => {
+        expect(systemStatus('poweredUp').hardware.initialized).toBe(false);
+        expect(systemStatus('idle').hardware).not.toHaveProperty('initialized');
+    });
+
+    test('what the sense did not select is left out', () => {
+        expect(statusReturnToSystemStatus(decodeStatusReturn(cartStatus(0x02, 0xFF, 0xFF, 0xFF))))
+            .toEqual({ hardware: { powerOn: true } });
+    });
+
+    test('hardware.emergencyStop: a macro ended by a cancel (FFH)', () => {
+        expect(systemStatus('cancelled').hardware.emergencyStop).toBe(true);
+        expect(systemStatus('cancelledNoMacroNo').hardware.emergencyStop).toBe(true);
+        expect(systemStatus('moveEnded').hardware).not.toHaveProperty('emergencyStop');
+    });
+
+    test('hardware.doorOpen: a macro refused (58H) or halted (38H) by the door', () => {
+        expect(systemStatus('doorOpenBefore').hardware.doorOpen).toBe(true);
+        expect(systemStatus('doorOpenDuring').hardware.doorOpen).toBe(true);
+        expect(systemStatus('sourceEmpty').hardware).not.toHaveProperty('doorOpen');
+    });
+
+    test('hardware.doorOpen: the console status reports the door either way', () => {
+        const withConsole = (reply) =>
+            statusReturnToSystemStatus(decodeStatusReturn(POLL.idle), { console: decodeConsoleStatusReturn(reply) }).hardware;
+
+        expect(withConsole(CONSOLE.doorOpen).doorOpen).toBe(true);
+        expect(withConsole(CONSOLE.doorOpening).doorOpen).toBe(true);
+        expect(withConsole(CONSOLE.closed).doorOpen).toBe(false);
+        // A later console sense outranks the end information of the macro the door stopped
+        expect(statusReturnToSystemStatus(decodeStatusReturn(POLL.doorOpenBefore), { console: decodeConsoleStatusReturn(CONSOLE.closed) })
+            .hardware.doorOpen).toBe(false);
+    });
+
+    test('player.cartLoaded / player.playing: from the player sense', () => {
+        const player = (reply) => statusReturnToSystemStatus(null, { player: decodePlayerSense(reply) }).player;
+
+        expect(player(PLAYER.playing)).toEqual({ cartLoaded: true, playing: true });
+        expect(player(PLAYER.stopped)).toEqual({ cartLoaded: true, playing: false });
+        expect(player(PLAYER.shuttling)).toEqual({ cartLoaded: true, playing: false });
+        expect(player(PLAYER.empty)).toEqual({ cartLoaded: false, playing: false });
+        expect(systemStatus('idle')).not.toHaveProperty('player');
+    });
+});
+
+describe('decodeConsoleStatusReturn', () => {
+    test('CCS0 Door Open and Door Opening', () => {
+        expect(decodeConsoleStatusReturn(CONSOLE.doorOpen)).toEqual({ doorOpen: true, doorOpening: false });
+        expect(decodeConsoleStatusReturn(CONSOLE.doorOpening)).toEqual({ doorOpen: false, doorOpening: true });
+        expect(decodeConsoleStatusReturn(CONSOLE.closed)).toEqual({ doorOpen: false, doorOpening: false });
+    });
+
+    test('the Cart Status Return (BT 00H) and the console status (BT 01H) share 71H but are told apart', () => {
+        expect(decodeConsoleStatusReturn(POLL.idle)).toBeNull();
+        expect(decodeStatusReturn(CONSOLE.doorOpen)).toBeNull();
+    });
+
+    test('no CCS0 in the reply', () => {
+        expect(decodeConsoleStatusReturn(encodeFlexiCartFrame(0x01, 0x01, 0x71, [0x01, 0x00]))).toBeNull();
+        expect(decodeConsoleStatusReturn(Buffer.from([0x04]))).toBeNull();
+        expect(decodeConsoleStatusReturn(null)).toBeNull();
+    });
+});
+
+describe('decodePlayerSense', () => {
+    test('no STATUS DATA in the reply', () => {
+        expect(decodePlayerSense(Buffer.from([0x10, 0x01, 0x11]))).toBeNull();     // ACK
+        expect(decodePlayerSense(Buffer.alloc(0))).toBeNull();
+        expect(decodePlayerSense(null)).toBeNull();
+    });
+});
+
+describe('getStatusErrors', () => {
+    test('abnormal end information is an error, tagged with the Macro No.', () => {
+        expect(getStatusErrors(decodeStatusReturn(POLL.sourceEmpty)))
+            .toEqual([expect.objectContaining({ name: 'SOURCE_BIN_EMPTY', code: 0x5F, macroNo: 12 })]);
+    });
+
+    test('a normal end or no end is none', () => {
+        expect(getStatusErrors(decodeStatusReturn(POLL.moveEnded))).toEqual([]);
+        expect(getStatusErrors(decodeStatusReturn(POLL.idle))).toEqual([]);
+        expect(getStatusErrors(null)).toEqual([]);
+    });
+});
+
+describe('parseFlexicartErrors', () => {
+    const ended = (endInfo) => parseFlexicartErrors(pollReply({ macroEnd: [0x04, endInfo, 0x00] }));
+
+    test('nothing ended abnormally, no errors', () => {
+        expect(parseFlexicartErrors(POLL.idle)).toMatchObject({
+            valid: true, count: 0, errors: [], highestSeverity: null, consoleError: false, errorReport: false
+        });
+    });
+
+    test('end information is looked up in the catalog', () => {
+        const report = ended(0x58);
+
+        expect(report.count).toBe(1);
+        expect(report.errors[0]).toMatchObject({ name: 'DOOR_OPEN', code: 0x58, severity: 'warning', hint: 'Close the cart door and retry' });
+        expect(report.highestSeverity).toBe('warning');
+    });
+
+    test('errors are split into mechanical and system', () => {
+        expect(ended(0xB7)).toMatchObject({ mechanical: [expect.objectContaining({ name: 'ELEVATOR_TROUBLE' })], system: [] });
+        expect(ended(0xCC)).toMatchObject({ mechanical: [], system: [expect.objectContaining({ name: 'VTR_COMMUNICATION_ERROR' })] });
+        expect(ended(0xB7).highestSeverity).toBe('critical');
+    });
+
+    test('console (CSTS4) and data stream (CSTS15) errors are flagged', () => {
+        expect(parseFlexicartErrors(POLL.consoleError).consoleError).toBe(true);
+        expect(parseFlexicartErrors(POLL.dataError).errorReport).toBe(true);
+    });
+
+    test('anything but a Cart Status Return is no error report', () => {
+        expect(parseFlexicartErrors(Buffer.from([0x05]))).toMatchObject({ valid: false, count: 0, errors: [] });
+        expect(parseFlexicartErrors(null).valid).toBe(false);
+    });
+});
+
+describe('parseFlexicartMoveResponse', () => {
+    test('ACK means accepted and moving', () => {
+        expect(parseFlexicartMoveResponse(Buffer.from([0x04]), 12)).toMatchObject({
+            success: true,
+            accepted: true,
+            moving: true,
+            completed: false
+        });
+    });
+
+    test('NAK and BUSY are refusals', () => {
+        expect(parseFlexicartMoveResponse(Buffer.from([0x05]))).toMatchObject({ success: false, accepted: false, error: 'Expected ACK, received NAK' });
+        expect(parseFlexicartMoveResponse(Buffer.from([0x06])).error).toBe('Expected ACK, received BUSY');
+        expect(parseFlexicartMoveResponse(null).error).toBe('No response');
+    });
+
+    test('the end of its Macro No. completes the move', () => {
+        expect(parseFlexicartMoveResponse(POLL.moveEnded, 12)).toMatchObject({
+            success: true,
+            moving: false,
+            completed: true,
+            endInfo: 0x00
+        });
+    });
+
+    test('nothing ended or another macro ended says nothing about the move', () => {
+        expect(parseFlexicartMoveResponse(POLL.idle, 12)).toMatchObject({ success: true, completed: false });
+        expect(parseFlexicartMoveResponse(POLL.moveEnded, 3)).toMatchObject({ success: true, completed: false });
+    });
+
+    test('an abnormal end carries its end information', () => {
+        expect(parseFlexicartMoveResponse(POLL.sourceEmpty, 12)).toMatchObject({
+            success: false,
+            completed: true,
+            endInfo: 0x5F,
+            error: 'Macro ended with end information 5FH'
+        });
+    });
+});
+
+describe('parseFlexicartCalibrationResponse', () => {
+    test.each([
+        ['accepted', Buffer.from([0x04]), { success: true, accepted: true, completed: false, progress: 0 }],
+        ['running', POLL.idle, { success: true, completed: false, calibrated: null, progress: 0 }],
+        ['done', pollReply({ macroEnd: [0xFF, 0x00, 0x00] }), { success: true, completed: true, calibrated: true, progress: 100, endInfo: 0x00 }],
+        ['aborted', pollReply({ macroEnd: [0xFF, 0xFA, 0x00] }), { success: false, completed: true, calibrated: false, endInfo: 0xFA, error: 'Macro ended with end information FAH' }],
+        ['refused', Buffer.from([0x05]), { success: false, accepted: false, completed: false }]
+    ])('%s', (label, response, expected) => {
+        expect(parseFlexicartCalibrationResponse(response)).toMatchObject(expected);
+    });
+
+    test('the end of a numbered macro says nothing about calibration', () => {
+        expect(parseFlexicartCalibrationResponse(POLL.moveEnded)).toMatchObject({ accepted: false, completed: false });
+    });
+});
+
+describe('parseFlexicartBinStatus', () => {
+    // BIN Status Return (BT 01, 72H): C.C 01, BSTS0, barcode ASCII
+    const binStatus = (bsts0, barcode = '') =>
+        encodeFlexiCartFrame(0x01, 0x01, 0x72, [0x01, bsts0, ...Buffer.from(barcode, 'ascii')]);
+
+    test.each([
+        ['ACK (empty bin)', Buffer.from([0x04]), { binNumber: 7, occupied: false, barcodeReadError: false }],
+        ['cassette with barcode', binStatus(0x05, 'TAPE0007'), {
+            binNumber: 7, occupied: true, barcodeReadError: false,
+            cassette: { barcode: 'TAPE0007', scannedBarcode: 'TAPE0007', barcodeValid: true }
+        }],
+        ['cassette, barcode unreadable', binStatus(0x03), { binNumber: 7, occupied: true, barcodeReadError: true }],
+        ['no cassette', binStatus(0x00), { binNumber: 7, occupied: false, barcodeReadError: false }]
+    ])('%s', (label, response, expected) => {
+        expect(parseFlexicartBinStatus(response, 7)).toEqual(expected);
+    });
+
+    test.each([
+        ['nothing', Buffer.alloc(0)],
+        ['NAK', Buffer.from([0x05])],
+        ['a Cart Status Return', POLL.idle]
+    ])('%s is not a bin status', (label, response) => {
+        expect(parseFlexicartBinStatus(response, 7)).toBeNull();
+    });
+});
+
+describe('parseFlexicartInventory', () => {
+    test('sorts the sensed bins into occupied, empty and unread', () => {
+        const replies = [
+            { bin: 3, response: Buffer.from([0x04]) },
+            { bin: 7, response: encodeFlexiCartFrame(0x01, 0x01, 0x72, [0x01, 0x05, ...Buffer.from('TAPE0007', 'ascii')]) },
+            { bin: 9, response: Buffer.alloc(0) }
+        ];
+
+        expect(parseFlexicartInventory(replies)).toEqual({
+            bins: [
+                { binNumber: 3, occupied: false, barcodeReadError: false },
+                expect.objectContaining({ binNumber: 7, occupied: true, cassette: expect.objectContaining({ barcode: 'TAPE0007' }) })
+            ],
+            occupied: [7],
+            empty: [3],
+            unread: [9],
+            total: 3
+        });
+    });
+});
+
+describe('parseFlexicartPosition', () => {
+    const operation = (command, details, status = 'completed', steps = ['sent', 'accepted', status]) => ({
+        id: 'op_1',
+        type: command === 'CASSETTE_MOVE' ? 'cassette_move' : 'elevator_move',
+        status,
+        steps: steps.map(name => ({ name })),
+        details: { command, ...details }
+    });
+
+    test('a completed ELEVATOR_MOVE leaves the elevator at its destination', () => {
+        expect(parseFlexicartPosition(operation('ELEVATOR_MOVE', { destination: getCassetteBinNumber(40) })))
+            .toEqual({ current: 40, target: 40, moving: false, command: 'ELEVATOR_MOVE', operationId: 'op_1' });
+    });
+
+    test('a CASSETTE_MOVE into the elevator ends at its source, one into a VTR is unknown', () => {
+        expect(parseFlexicartPosition(operation('CASSETTE_MOVE', { source: getCassetteBinNumber(12), destination: ELEVATOR_BIN })).current).toBe(12);
+        expect(parseFlexicartPosition(operation('CASSETTE_MOVE', { source: getCassetteBinNumber(12), destination: getVtrBinNumber(2) })).current).toBe(0);
+    });
+
+    test('a running move is moving to its target; a failed one leaves the position unknown', () => {
+        expect(parseFlexicartPosition(operation('ELEVATOR_MOVE', { destination: getCassetteBinNumber(40) }, 'in_progress', ['sent', 'accepted'])))
+            .toMatchObject({ current: 0, target: 40, moving: true });
+        expect(parseFlexicartPosition(operation('ELEVATOR_MOVE', { destination: getCassetteBinNumber(40) }, 'failed')))
+            .toMatchObject({ current: 0, moving: false });
+    });
+
+    test('a macro the cart never accepted, or no motion at all, has no position', () => {
+        expect(parseFlexicartPosition(operation('ELEVATOR_MOVE', { destination: getCassetteBinNumber(40) }, 'failed', ['sent', 'failed']))).toBeNull();
+        expect(parseFlexicartPosition({ type: 'vtr_cue', status: 'completed', steps: [{ name: 'accepted' }] })).toBeNull();
+        expect(parseFlexicartPosition(null)).toBeNull();
+    });
+});
+
+describe('parseFlexicartMotion', () => {
+    const operation = (command, details = {}, status = 'in_progress', type = 'elevator_move') => ({
+        id: 'op_1',
+        type,
+        status,
+        steps: ['sent', 'accepted'].map(name => ({ name })),
+        details: { command, ...details }
+    });
+
+    test('ELEVATOR UP/DOWN and CAROUSEL CW/CCW move one way', () => {
+        expect(parseFlexicartMotion(operation('ELEVATOR_UP'))).toEqual({
+            elevator: { moving: true, direction: 'up' }, carousel: { moving: false, direction: 'stopped' }
+        });
+        expect(parseFlexicartMotion(operation('ELEVATOR_DOWN')).elevator).toEqual({ moving: true, direction: 'down' });
+        expect(parseFlexicartMotion(operation('CAROUSEL_CW', {}, 'in_progress', 'carousel_rotate'))).toEqual({
+            elevator: { moving: false, direction: 'stopped' }, carousel: { moving: true, direction: 'cw' }
+        });
+        expect(parseFlexicartMotion(operation('CAROUSEL_CCW', {}, 'in_progress', 'carousel_rotate')).carousel)
+            .toEqual({ moving: true, direction: 'ccw' });
+    });
+
+    test('a move goes up to a higher bin and down to a lower one', () => {
+        const move = operation('ELEVATOR_MOVE', { destination: getCassetteBinNumber(40) });
+
+        expect(parseFlexicartMotion(move, 12)).toEqual({ elevator: { moving: true, direction: 'up' }, carousel: { moving: true } });
+        expect(parseFlexicartMotion(move, 90).elevator).toEqual({ moving: true, direction: 'down' });
+        // Not known where the elevator is
+        expect(parseFlexicartMotion(move, 0).elevator).toEqual({ moving: true });
+    });
+
+    test('a settled or refused motion is stopped; anything else is not a motion', () => {
+        const stopped = { elevator: { moving: false, direction: 'stopped' }, carousel: { moving: false, direction: 'stopped' } };
+
+        expect(parseFlexicartMotion(operation('ELEVATOR_UP', {}, 'completed'))).toEqual(stopped);
+        expect(parseFlexicartMotion({ ...operation('ELEVATOR_UP', {}, 'failed'), steps: [{ name: 'sent' }] })).toEqual(stopped);
+        expect(parseFlexicartMotion(operation('VTR_CUE', {}, 'in_progress', 'vtr_cue'))).toBeNull();
+        expect(parseFlexicartMotion(null)).toBeNull();
+    });
+});
+
+describe('parseFlexicartErrorReport', () => {
+    // Error Report Return (7FH): BT + command block of the offending command, FFH when none
+    const errorReport = (...data) => encodeFlexiCartFrame(0x01, 0x00, 0x7F, data);
+
+    test('FFH: no data stream error', () => {
+        expect(parseFlexicartErrorReport(errorReport(0xFF)))
+            .toEqual({ reported: false, bt: null, cmd: null, block: [], commandName: null });
+    });
+
+    test('the offending command is named from its CMD and CTRL', () => {
+        expect(parseFlexicartErrorReport(errorReport(0x01, 0x14, 0x07, 0x01, 0x99, 0x99))).toEqual({
+            reported: true, bt: 0x01, cmd: 0x14, block: [0x07, 0x01, 0x99, 0x99], commandName: 'ELEVATOR_MOVE'
+        });
+        expect(parseFlexicartErrorReport(errorReport(0x00, 0x6E, 0x00, 0x80)).commandName).toBe('CMD_6E');
+    });
+
+    test.each([
+        ['nothing', Buffer.alloc(0)],
+        ['ACK', Buffer.from([0x04])],
+        ['a Cart Status Return', POLL.idle]
+    ])('%s is not an error report', (label, response) => {
+        expect(parseFlexicartErrorReport(response)).toBeNull();
+    });
+});
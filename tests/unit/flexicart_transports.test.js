@@ -0,0 +1,179 @@
+/**
+ * Transports: device addresses, the in-memory pair and the TCP transport
+ * against a local socket server
+ */
+
+const net = require('net');
+const {
+    SerialTransport,
+    TcpTransport,
+    MemoryTransport,
+    createMemoryTransportPair,
+    registerMemoryEndpoint,
+    unregisterMemoryEndpoint,
+    parseDeviceAddress,
+    createTransport
+} = require('../../src/commands/flexicart_transports');
+const { FlexiCartConnectionManager } = require('../../src/commands/flexicart_connection_manager');
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+describe('parseDeviceAddress', () => {
+    test.each([
+        ['/dev/ttyRP0', { type: 'serial', path: '/dev/ttyRP0' }],
+        ['COM3', { type: 'serial', path: 'COM3' }],
+        ['tcp://10.0.0.20:4001', { type: 'tcp', host: '10.0.0.20', port: 4001 }],
+        ['TCP://cart-server:4002/', { type: 'tcp', host: 'cart-server', port: 4002 }],
+        ['memory://cart1', { type: 'memory', name: 'cart1' }]
+    ])('%s', (address, descriptor) => {
+        expect(parseDeviceAddress(address)).toEqual(descriptor);
+    });
+
+    test.each([
+        ['', 'empty'],
+        [null, 'not a string'],
+        ['udp://10.0.0.20:4001', 'an unknown scheme'],
+        ['tcp://10.0.0.20', 'tcp without a port']
+    ])('%p is rejected (%s)', (address) => {
+        expect(() => parseDeviceAddress(address)).toThrow(expect.objectContaining({ code: 'INVALID_ADDRESS' }));
+    });
+});
+
+describe('createTransport', () => {
+    test('picks the transport from the address without opening it', () => {
+        const serial = createTransport('/dev/ttyRP3', { baudRate: 38400, parity: 'odd' });
+        expect(serial).toBeInstanceOf(SerialTransport);
+        expect(serial.isOpen).toBe(false);
+        expect(serial.describe()).toBe('/dev/ttyRP3 (38400 baud, 8O1)');
+
+        const tcp = createTransport('tcp://10.0.0.20:4001');
+        expect(tcp).toBeInstanceOf(TcpTransport);
+        expect(tcp.isOpen).toBe(false);
+        expect(tcp.describe()).toBe('tcp://10.0.0.20:4001');
+    });
+
+    test('a memory address connects to the registered endpoint on every create', async () => {
+        const devices = [];
+        registerMemoryEndpoint('transport-test', device => devices.push(device));
+        try {
+            const first = createTransport('memory://transport-test');
+            createTransport('memory://transport-test');
+
+            expect(first).toBeInstanceOf(MemoryTransport);
+            expect(devices).toHaveLength(2);
+            expect(devices[0].isOpen).toBe(true);
+        } finally {
+            unregisterMemoryEndpoint('transport-test');
+        }
+        expect(() => createTransport('memory://transport-test')).toThrow(expect.objectContaining({ code: 'OPEN_FAILED' }));
+    });
+});
+
+describe('MemoryTransport pair', () => {
+    test('bytes written to one end arrive at the other, after the write returns', async () => {
+        const { controller, device } = createMemoryTransportPair('pair');
+        await controller.open();
+        await device.open();
+        const received = [];
+        device.on('data', data => received.push(data));
+
+        await controller.write(Buffer.from([0x02, 0x06]));
+        expect(received).toEqual([]);
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(received).toEqual([Buffer.from([0x02, 0x06])]);
+    });
+
+    test('closing one end closes the other', async () => {
+        const { controller, device } = createMemoryTransportPair('pair');
+        await controller.open();
+        await device.open();
+
+        const closed = once(controller, 'close');
+        await device.close();
+        await closed;
+
+        expect(controller.isOpen).toBe(false);
+        await expect(controller.write(Buffer.from([0x04]))).rejects.toThrow(/not open/);
+    });
+});
+
+describe('TcpTransport', () => {
+    let server;
+    let sockets;
+    let port;
+
+    beforeEach(async () => {
+        sockets = [];
+        server = net.createServer(socket => sockets.push(socket));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('exchanges bytes with the device server', async () => {
+        const transport = createTransport(`tcp://127.0.0.1:${port}`);
+        const connected = once(server, 'connection');
+        await transport.open();
+        const socket = await connected;
+        expect(transport.isOpen).toBe(true);
+
+        const arrived = once(socket, 'data');
+        await transport.write(Buffer.from([0x02, 0x06, 0x01, 0x01]));
+        expect(await arrived).toEqual(Buffer.from([0x02, 0x06, 0x01, 0x01]));
+
+        const reply = once(transport, 'data');
+        socket.write(Buffer.from([0x04]));
+        expect(await reply).toEqual(Buffer.from([0x04]));
+
+        await transport.close();
+        expect(transport.isOpen).toBe(false);
+    });
+
+    test('the server dropping the socket is reported as close', async () => {
+        const transport = createTransport(`tcp://127.0.0.1:${port}`);
+        const connected = once(server, 'connection');
+        await transport.open();
+        const socket = await connected;
+
+        const closed = once(transport, 'close');
+        socket.destroy();
+
+        expect(await closed).toBeNull();
+        expect(transport.isOpen).toBe(false);
+        await expect(transport.write(Buffer.from([0x04]))).rejects.toThrow(/not connected/);
+    });
+
+    test('a connection over TCP reconnects after the device server drops it', async () => {
+        const path = `tcp://127.0.0.1:${port}`;
+        const manager = new FlexiCartConnectionManager({ reconnectDelay: 5 });
+        manager.getConnection(path, { responseTimeout: 200, interCommandDelay: 0 });
+        server.on('connection', socket => socket.on('data', () => socket.write(Buffer.from([0x04]))));
+        const request = () => manager.request(path, Buffer.from([0x02, 0x03]), { isComplete: buffer => buffer.length > 0 });
+
+        try {
+            expect(await request()).toEqual(Buffer.from([0x04]));
+
+            const reconnected = once(manager, 'reconnected');
+            sockets[0].destroy();
+            await reconnected;
+
+            expect(sockets).toHaveLength(2);
+            expect(await request()).toEqual(Buffer.from([0x04]));
+        } finally {
+            await manager.closeAll();
+        }
+    });
+
+    test('nothing listening rejects the open', async () => {
+        const transport = createTransport(`tcp://127.0.0.1:${port}`);
+        await new Promise(resolve => server.close(resolve));
+        server = net.createServer().listen(0, '127.0.0.1');     // Closed in afterEach
+
+        await expect(transport.open()).rejects.toThrow(/ECONNREFUSED/);
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Wire capture: records, device ids, size-based rotation and reading captures back
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const {
+    WireCapture,
+    readCaptureFile,
+    listCaptureFiles,
+    summarizeMessage,
+    CAPTURE_FORMAT
+} = require('../../src/commands/flexicart_wire_capture');
+const { encodeCommand } = require('../../src/commands/flexicart_command_catalog');
+const { encodeFlexiCartFrame, decodeFlexiCartResponse } = require('../../src/commands/flexicart_frame_decoder');
+
+const PORT = '/dev/ttyRP2';
+const ACK = Buffer.from([0x04]);
+
+describe('WireCapture', () => {
+    let directory;
+    let manager;
+    let capture;
+
+    const start = (options = {}) => {
+        capture = new WireCapture({ directory, ...options }).start(manager);
+        return capture;
+    };
+    const traffic = (direction, data, extra = {}) => manager.emit('traffic', { path: PORT, direction, data, ...extra });
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wire-capture-'));
+        manager = new EventEmitter();
+    });
+
+    afterEach(async () => {
+        if (capture) await capture.stop();
+        capture = null;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('records each chunk with its direction, device and decoded summary', async () => {
+        start();
+        const status = encodeCommand('STATUS_REQUEST', {}, 0x02);
+        const dummy = encodeCommand('DUMMY', {}, 0x04);
+        const reply = encodeFlexiCartFrame(0x02, 0x00, 0x71, [0x01, 0x00]);
+
+        traffic('tx', status);
+        traffic('rx', reply.subarray(0, 3));
+        traffic('rx', reply.subarray(3));
+        traffic('tx', dummy);
+        traffic('rx', ACK);
+        traffic('rx', encodeFlexiCartFrame(0x04, 0x00, 0x71, [0x00]), { unsolicited: true });
+        await capture.stop();
+
+        const { header, records, invalidLines } = readCaptureFile(capture.file);
+        expect(header).toMatchObject({ capture: CAPTURE_FORMAT, version: 1 });
+        expect(invalidLines).toBe(0);
+        expect(records.map(r => [r.dir, r.device, r.decoded])).toEqual([
+            ['tx', `${PORT}#2`, ['FRAME UA2=02 CMD=61 CTRL=13 DATA=80']],
+            ['rx', `${PORT}#2`, []],
+            ['rx', `${PORT}#2`, ['FRAME UA2=02 CMD=71 CTRL=01 DATA=00']],
+            ['tx', `${PORT}#3`, ['FRAME UA2=04 CMD=50 CTRL=00 DATA=80']],
+            ['rx', `${PORT}#3`, ['ACK']],
+            ['rx', `${PORT}#3`, ['FRAME UA2=04 CMD=71 CTRL=00']]
+        ]);
+        expect(records[0].data).toEqual(status);
+        expect(records[5].unsolicited).toBe(true);
+        expect(records.every((record, i) => i === 0 || record.us >= records[i - 1].us)).toBe(true);
+        expect(capture.getStats()).toMatchObject({ active: false, records: 6, txBytes: status.length + dummy.length, rotations: 0 });
+    });
+
+    test('rotates past maxBytes and keeps only maxFiles old files', async () => {
+        start({ maxBytes: 1024, maxFiles: 2 });
+        const rotated = jest.fn();
+        capture.on('rotated', rotated);
+
+        for (let i = 0; i < 60; i++) {
+            traffic('tx', encodeCommand('SET_BIN_LAMP', { bin: 1001, on: i % 2 === 0 }));
+            traffic('rx', ACK);
+        }
+        await capture.stop();
+
+        const files = listCaptureFiles(capture.file);
+        expect(files).toEqual([`${capture.file}.2`, `${capture.file}.1`, capture.file]);
+        expect(fs.existsSync(`${capture.file}.3`)).toBe(false);
+        expect(capture.getStats().rotations).toBeGreaterThan(2);
+        expect(rotated).toHaveBeenLastCalledWith({ file: `${capture.file}.1` });
+
+        // Every file starts with its own header and stays near the limit
+        const captures = files.map(readCaptureFile);
+        for (const [i, file] of files.entries()) {
+            expect(captures[i].header).toMatchObject({ capture: CAPTURE_FORMAT });
+            expect(fs.statSync(file).size).toBeLessThan(1024 + 512);
+        }
+
+        // Oldest first, the kept records are the newest ones, in order
+        const records = captures.flatMap(c => c.records);
+        expect(records.every((record, i) => i === 0 || record.us >= records[i - 1].us)).toBe(true);
+        expect(records[records.length - 1].decoded).toEqual(['ACK']);
+        expect(records.length).toBeLessThan(120);
+    });
+
+    test('a restarted capture appends to the existing file', async () => {
+        start();
+        traffic('tx', ACK);
+        await capture.stop();
+        start();
+        traffic('rx', ACK);
+        await capture.stop();
+
+        const { records } = readCaptureFile(capture.file);
+        expect(records.map(r => r.dir)).toEqual(['tx', 'rx']);
+        expect(fs.readFileSync(capture.file, 'utf8').match(new RegExp(CAPTURE_FORMAT, 'g'))).toHaveLength(1);
+    });
+
+    test('a stopped capture ignores further traffic', async () => {
+        start();
+        await capture.stop();
+        traffic('tx', ACK);
+
+        expect(manager.listenerCount('traffic')).toBe(0);
+        expect(capture.getStats().records).toBe(0);
+    });
+});
+
+describe('readCaptureFile', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wire-capture-'));
+    });
+
+    afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const write = (name, lines) => {
+        const file = path.join(directory, name);
+        fs.writeFileSync(file, lines.join('\n'));
+        return file;
+    };
+
+    test('skips a line cut short by a crash', () => {
+        const file = write('cut.jsonl', [
+            JSON.stringify({ capture: CAPTURE_FORMAT, version: 1 }),
+            JSON.stringify({ dir: 'tx', hex: '04', port: PORT }),
+            '{"dir":"rx","hex":"0'
+        ]);
+
+        const { records, invalidLines } = readCaptureFile(file);
+        expect(records).toHaveLength(1);
+        expect(records[0].data).toEqual(ACK);
+        expect(invalidLines).toBe(1);
+    });
+
+    test('a file that is not a capture is rejected', () => {
+        const file = write('other.jsonl', [JSON.stringify({ timestamp: 'x', event: 'load' })]);
+
+        expect(() => readCaptureFile(file)).toThrow(expect.objectContaining({ code: 'INVALID_CAPTURE' }));
+        expect(() => readCaptureFile(path.join(directory, 'missing.jsonl'))).toThrow(expect.objectContaining({ code: 'INVALID_CAPTURE' }));
+    });
+
+    test('rotated files are listed oldest first, numbered past 9 correctly', () => {
+        const base = path.join(directory, 'wire.jsonl');
+        for (const suffix of ['', '.1', '.2', '.10', '.bak']) fs.writeFileSync(base + suffix, '');
+
+        expect(listCaptureFiles(base)).toEqual([`${base}.10`, `${base}.2`, `${base}.1`, base]);
+        expect(listCaptureFiles(path.join(directory, 'missing', 'wire.jsonl'))).toEqual([]);
+    });
+});
+
+describe('summarizeMessage', () => {
+    test.each([
+        ['an ACK', ACK, 'ACK'],
+        ['a frame with BT set', encodeCommand('SENSE_BIN_STATUS', { bin: 1001 }), 'FRAME UA2=01 CMD=62 BT=01 CTRL=01 DATA=100109'],
+        ['a frame with a bad checksum', Buffer.from([0x02, 0x04, 0x01, 0x01, 0x00, 0x50, 0x00]), 'CHECKSUM_ERROR 02040101005000 (CS 00, expected AA)']
+    ])('%s', (label, bytes, summary) => {
+        expect(summarizeMessage(decodeFlexiCartResponse(bytes).messages[0])).toBe(summary);
+    });
+});
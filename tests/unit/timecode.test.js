@@ -0,0 +1,148 @@
+/**
+ * SMPTE timecode: rates, drop-frame counting, arithmetic and Sony BCD time data
+ */
+
+const {
+    getFrameRate,
+    framesPerDay,
+    parseTimecode,
+    timecodeToFrames,
+    framesToTimecode,
+    formatTimecode,
+    isValidTimecode,
+    addTimecode,
+    subtractTimecode,
+    timecodeDifference,
+    framesToSeconds,
+    secondsToFrames,
+    decodeSonyTimeData,
+    encodeSonyTimeData,
+    FRAME_RATES
+} = require('../../src/commands/timecode');
+
+const DF = '29.97df';
+
+describe('frame rates', () => {
+    test.each([
+        ['24', FRAME_RATES.FPS_24],
+        [25, FRAME_RATES.FPS_25],
+        ['29.97', FRAME_RATES.FPS_2997_DF],
+        [29.97, FRAME_RATES.FPS_2997_DF],
+        ['29.97DF', FRAME_RATES.FPS_2997_DF],
+        ['30 fps', FRAME_RATES.FPS_30],
+        [FRAME_RATES.FPS_25, FRAME_RATES.FPS_25]
+    ])('%p resolves', (rate, expected) => {
+        expect(getFrameRate(rate)).toBe(expected);
+    });
+
+    test('an unsupported rate is refused', () => {
+        expect(() => getFrameRate(50)).toThrow(expect.objectContaining({ code: 'INVALID_PARAMETER' }));
+    });
+
+    test.each([
+        [24, 2073600],
+        [25, 2160000],
+        [DF, 2589408],
+        [30, 2592000]
+    ])('a day at %p is %i frames', (rate, frames) => {
+        expect(framesPerDay(rate)).toBe(frames);
+    });
+});
+
+describe('parsing and formatting', () => {
+    test('fields, drop-frame separators and HH:MM:SS', () => {
+        expect(parseTimecode('01:02:03:04')).toEqual({ hours: 1, minutes: 2, seconds: 3, frames: 4, dropFrame: false });
+        expect(parseTimecode('01:02:03;04').dropFrame).toBe(true);
+        expect(parseTimecode('00:30:00')).toMatchObject({ minutes: 30, frames: 0 });
+        expect(() => parseTimecode('1:2:3')).toThrow(/Invalid timecode/);
+    });
+
+    test.each([
+        ['00:00:01:00', 25, 25],
+        ['01:00:00:00', 24, 86400],
+        ['00:01:00;02', DF, 1800],
+        ['00:10:00;00', DF, 17982],
+        ['01:00:00;00', DF, 107892],
+        ['23:59:59:29', 30, 2591999]
+    ])('%s at %p is frame %i', (timecode, rate, frames) => {
+        expect(timecodeToFrames(timecode, rate)).toBe(frames);
+        expect(framesToTimecode(frames, rate)).toBe(timecode);
+    });
+
+    test('drop-frame skips ;00 and ;01 except every tenth minute', () => {
+        expect(framesToTimecode(1799, DF)).toBe('00:00:59;29');
+        expect(framesToTimecode(1800, DF)).toBe('00:01:00;02');
+        expect(framesToTimecode(17981, DF)).toBe('00:09:59;29');
+        expect(isValidTimecode('00:01:00;00', DF)).toBe(false);
+        expect(isValidTimecode('00:01:00;01', DF)).toBe(false);
+        expect(isValidTimecode('00:10:00;00', DF)).toBe(true);
+        expect(isValidTimecode('00:01:00:00', 30)).toBe(true);
+    });
+
+    test('every drop-frame count round-trips', () => {
+        for (let frames = 0; frames < framesPerDay(DF); frames += 97) {
+            expect(timecodeToFrames(framesToTimecode(frames, DF), DF)).toBe(frames);
+        }
+    });
+
+    test('out of range fields are refused', () => {
+        expect(isValidTimecode('00:00:00:25', 25)).toBe(false);
+        expect(isValidTimecode('00:00:00:24', 25)).toBe(true);
+        expect(isValidTimecode('24:00:00:00', 25)).toBe(false);
+        expect(isValidTimecode('00:60:00:00', 25)).toBe(false);
+        expect(() => timecodeToFrames('00:00:00:30', 30)).toThrow(/does not exist at 30 fps/);
+    });
+
+    test('formatTimecode normalises strings, fields and frame counts', () => {
+        expect(formatTimecode('0:00:10', 25)).toBe('00:00:10:00');
+        expect(formatTimecode({ hours: 1, minutes: 0, seconds: 0, frames: 0 }, DF)).toBe('01:00:00;00');
+        expect(formatTimecode(50, 25)).toBe('00:00:02:00');
+    });
+});
+
+describe('arithmetic', () => {
+    test('add and subtract wrap at 24 hours', () => {
+        expect(addTimecode('00:59:59:24', '00:00:00:01', 25)).toBe('01:00:00:00');
+        expect(addTimecode('23:59:59:24', 2, 25)).toBe('00:00:00:01');
+        expect(subtractTimecode('00:00:00:00', 1, 25)).toBe('23:59:59:24');
+        expect(addTimecode('00:00:59;29', 1, DF)).toBe('00:01:00;02');
+        expect(subtractTimecode('00:01:00;02', 1, DF)).toBe('00:00:59;29');
+    });
+
+    test('timecodeDifference is signed', () => {
+        expect(timecodeDifference('10:00:00:00', '10:00:05:00', 25)).toBe(125);
+        expect(timecodeDifference('10:00:05:00', '10:00:00:00', 25)).toBe(-125);
+    });
+
+    test('frames and real time', () => {
+        expect(framesToSeconds(125, 25)).toBe(5);
+        expect(secondsToFrames(90.5, 30)).toBe(2715);
+        // An hour of drop-frame timecode is an hour of real time to within 3.6ms
+        expect(framesToSeconds(timecodeToFrames('01:00:00;00', DF), DF)).toBeCloseTo(3600, 1);
+        expect(secondsToFrames(3600, DF)).toBe(107892);
+    });
+});
+
+describe('Sony time data', () => {
+    test('decodes BCD with the DF flag', () => {
+        expect(decodeSonyTimeData([0x64, 0x00, 0x00, 0x10])).toMatchObject({
+            timecode: '10:00:00;24', frames: 1078944, dropFrame: true, colorFrame: false, rate: DF
+        });
+    });
+
+    test('non-drop-frame data uses the given rate and masks the flag bits', () => {
+        expect(decodeSonyTimeData([0xA4, 0xD9, 0x30, 0x81], 25)).toMatchObject({
+            timecode: '01:30:59:24', frames: timecodeToFrames('01:30:59:24', 25), colorFrame: true, rate: '25'
+        });
+    });
+
+    test('a frame number the rate does not have has no frame count', () => {
+        expect(decodeSonyTimeData([0x29, 0x00, 0x00, 0x00], 25)).toMatchObject({ timecode: '00:00:00:29', frames: null });
+        expect(decodeSonyTimeData([0x00, 0x00])).toBeNull();
+    });
+
+    test('encodes CUE UP WITH DATA bytes', () => {
+        expect(encodeSonyTimeData('01:30:59:24', 25)).toEqual([0x24, 0x59, 0x30, 0x01]);
+        expect(encodeSonyTimeData('10:00:00;24', DF)).toEqual([0x64, 0x00, 0x00, 0x10]);
+    });
+});